@@ -1,6 +1,9 @@
 module.exports = {
     testEnvironment: 'jsdom',
     roots: ['<rootDir>/src/__tests__'],
+    // Shared setup modules, not test suites
+    testPathIgnorePatterns: ['/node_modules/', '/src/__tests__/helpers/'],
+    setupFiles: ['<rootDir>/src/__tests__/helpers/webPlatform.js'],
     moduleFileExtensions: ['js', 'json'],
     verbose: false
 };
@@ -32,9 +32,9 @@ const CRITICAL_PATTERNS = {
     ],
     'src/systems/GameState.js': [
         // Save/load methods
-        'localStorage.setItem(this.saveKey',
-        'localStorage.getItem(this.saveKey)',
-        'this.state = this.deepMerge(this.state, parsed);'
+        'this.storage.setItem(this.saveKey',
+        'this.storage.getItem(this.saveKey)',
+        'this.state = this.deepMerge(this.state, migrated);'
     ],
     'src/systems/KidMode.js': [
         // Kid Mode core functions
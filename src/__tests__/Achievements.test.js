@@ -0,0 +1,125 @@
+/**
+ * Unit tests for event-fed achievement counters, tiers and hidden achievements
+ */
+
+const achievementsConfig = require('../config/achievements.json');
+const AchievementSystem = require('../systems/AchievementSystem.js');
+const { createEmitter, createGameState } = require('./helpers/testSetup.js');
+
+describe('AchievementSystem', () => {
+    let manager;
+    let achievements;
+
+    const start = (config = JSON.parse(JSON.stringify(achievementsConfig))) => {
+        achievements = new AchievementSystem();
+        achievements.configure(config);
+        achievements.initialize();
+        return achievements;
+    };
+
+    beforeEach(() => {
+        manager = createGameState();
+        window.EconomyManager = createEmitter({ addCoins: jest.fn(), addStardust: jest.fn() });
+        window.EnemyManager = createEmitter();
+    });
+
+    afterEach(() => {
+        achievements?.destroy();
+        manager.stopAutoSave();
+        delete window.EconomyManager;
+        delete window.EnemyManager;
+    });
+
+    test('event counters unlock each tier once with a timestamp and reward', () => {
+        start();
+        const unlocked = jest.fn();
+        manager.on('achievementUnlocked', unlocked);
+
+        for (let i = 0; i < 9; i++) {
+            window.EnemyManager.emit('wispCalmed', { type: 'voidWisp' });
+        }
+        expect(achievements.getProgress('wispWhisperer')).toMatchObject({ count: 9, target: 10, fraction: 0.9, tier: null, nextTier: 'bronze' });
+        expect(unlocked).not.toHaveBeenCalled();
+
+        window.EnemyManager.emit('wispCalmed', { type: 'voidWisp' });
+        window.EnemyManager.emit('wispCalmed', { type: 'voidWisp' });
+
+        expect(unlocked).toHaveBeenCalledTimes(1);
+        expect(unlocked).toHaveBeenCalledWith(expect.objectContaining({ id: 'wispWhisperer', tier: 'bronze', reward: { coins: 50 } }));
+        expect(window.EconomyManager.addCoins).toHaveBeenCalledWith(50, 'achievement');
+        expect(window.EconomyManager.addStardust).not.toHaveBeenCalled();
+        expect(manager.get('unlocks.achievements')).toEqual([
+            { id: 'wispWhisperer', tier: 'bronze', unlockedAt: expect.any(Number) }
+        ]);
+        expect(achievements.getProgress('wispWhisperer')).toMatchObject({
+            count: 11,
+            target: 100,
+            tier: 'bronze',
+            nextTier: 'silver',
+            description: 'Calm 100 wisps and sprites'
+        });
+    });
+
+    test('silver and gold tiers also pay Stardust', () => {
+        start();
+        const silver = achievementsConfig.achievements
+            .find(entry => entry.id === 'wispWhisperer').tiers
+            .find(tier => tier.tier === 'silver');
+
+        for (let i = 0; i < silver.target; i++) {
+            window.EnemyManager.emit('wispCalmed', { type: 'voidWisp' });
+        }
+
+        expect(silver.reward.stardust).toBeGreaterThan(0);
+        expect(window.EconomyManager.addStardust).toHaveBeenCalledTimes(1);
+        expect(window.EconomyManager.addStardust).toHaveBeenCalledWith(silver.reward.stardust, 'achievement', { itemId: 'wispWhisperer' });
+    });
+
+    test('filters, payload amounts, stats and walking feed their counters', () => {
+        start();
+
+        window.EconomyManager.emit('coins:added', { amount: 60, source: 'collection' });
+        window.EconomyManager.emit('coins:added', { amount: 500, source: 'quest' });
+        window.EconomyManager.emit('coins:added', { amount: 40, source: 'enemy_drop' });
+        expect(achievements.getCount('coinCollector')).toBe(100);
+        expect(achievements.getProgress('coinCollector').tier).toBe('bronze');
+
+        manager.set('creature.level', 2);
+        manager.set('creature.level', 1);
+        expect(achievements.getProgress('levelUp')).toMatchObject({ count: 2, tier: 'bronze' });
+
+        manager.updateWorldExploration({ x: 400, y: 300 });
+        manager.updateWorldExploration({ x: 460, y: 380 });
+        manager.updateWorldExploration({ x: 1400, y: 380 });
+        expect(achievements.getCount('firstSteps')).toBe(10);
+        expect(achievements.getCount('explorer')).toBe(2);
+    });
+
+    test('hidden achievements stay secret until their first tier', () => {
+        start();
+        const secret = () => achievements.getAllAchievements().find(entry => entry.id === 'shadowFriend');
+
+        expect(secret()).toMatchObject({ name: '???', icon: '❔', revealed: false, description: 'Hidden achievement' });
+
+        manager.set('achievementCounters.shadowFriend', 49);
+        window.EnemyManager.emit('wispCalmed', { type: 'voidWisp' });
+        expect(secret().revealed).toBe(false);
+
+        window.EnemyManager.emit('wispCalmed', { type: 'shadowSprite' });
+        expect(secret()).toMatchObject({ name: 'Friend of Shadows', revealed: true, tier: 'gold', complete: true });
+    });
+
+    test('checkAchievements catches up play time and progress covers all tiers', () => {
+        start();
+        manager.set('player.playTime', 11 * 60 * 1000);
+
+        const newUnlocks = achievements.checkAchievements();
+
+        expect(newUnlocks).toEqual([expect.objectContaining({ id: 'dedicatedPlayer', tier: 'bronze' })]);
+        expect(achievements.checkAchievements()).toEqual([]);
+
+        const total = achievementsConfig.achievements.reduce((sum, entry) => sum + entry.tiers.length, 0);
+        expect(achievements.getTierTotals()).toEqual({ unlocked: 1, total });
+        expect(achievements.getProgressPercentage()).toBe(Math.round(100 / total));
+    });
+});
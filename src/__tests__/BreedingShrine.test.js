@@ -0,0 +1,178 @@
+/**
+ * Unit tests for roster breeding through the Breeding Shrine
+ */
+
+const RandomService = require('../systems/RandomService.js');
+const BreedingEngine = require('../systems/BreedingEngine.js');
+require('../systems/Genome.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('Breeding Shrine', () => {
+    let engine;
+    let manager;
+    let starterId;
+    let partnerId;
+
+    beforeEach(() => {
+        engine = new BreedingEngine();
+        window.BreedingEngine = engine;
+        window.InventoryManager = { addItem: jest.fn(() => true) };
+
+        manager = createGameState({ install: false });
+        manager.set('creature.name', 'Starter');
+        manager.completeHatching();
+        starterId = manager.get('creature.id');
+        partnerId = manager.addCreatureToRoster({
+            name: 'Pebble',
+            rarity: 'rare',
+            dna: { id: 'dna-pebble', bodyArchetype: 'winged', headArchetype: 'avian' }
+        }).id;
+        manager.set('creature.rarity', 'common');
+        manager.set('creature.level', 5);
+        manager.checkBreedingShrineUnlock();
+    });
+
+    afterEach(() => {
+        manager.stopAutoSave();
+        delete window.InventoryManager;
+    });
+
+    describe('BreedingEngine odds', () => {
+        test('predicted trait odds sum to 1 for every trait', () => {
+            const predictions = engine.predictOffspring(engine.generateRandomGenes(), engine.generateRandomGenes());
+
+            expect(Object.keys(predictions)).toEqual(Object.keys(engine.traitDefinitions));
+            Object.values(predictions).forEach(odds => {
+                const total = odds.reduce((sum, { chance }) => sum + chance, 0);
+                expect(total).toBeCloseTo(1);
+            });
+        });
+
+        test('homozygous parents always pass on their phenotype', () => {
+            const genes = engine.generateRandomGenes();
+            genes.pattern = ['spotted', 'spotted'];
+
+            expect(engine.predictOffspring(genes, genes).pattern).toEqual([
+                expect.objectContaining({ variation: 'spotted', chance: 1 })
+            ]);
+        });
+
+        test('offspring rarity favours the parents with a small chance to tier up', () => {
+            expect(engine.getOffspringRarityOdds('common', 'rare')).toEqual([
+                { rarity: 'common', chance: 0.5 },
+                { rarity: 'rare', chance: 0.4 },
+                { rarity: 'epic', chance: 0.1 }
+            ]);
+            expect(engine.getOffspringRarityOdds('legendary', 'legendary')).toEqual([
+                { rarity: 'legendary', chance: 1 }
+            ]);
+            expect(engine.rollOffspringRarity('common', 'rare', () => 0.95)).toBe('epic');
+        });
+
+        test('allele picks and rarity rolls replay from the genetics stream', () => {
+            const previous = window.RandomService;
+            const breed = () => {
+                window.RandomService = new RandomService('breeding-replay');
+                const parentA = engine.generateInitialGenes();
+                const parentB = engine.generateRandomGenes();
+                return {
+                    genes: engine.breedCreatures(parentA, parentB),
+                    rarity: engine.rollOffspringRarity('rare', 'epic')
+                };
+            };
+
+            try {
+                expect(breed()).toEqual(breed());
+            } finally {
+                window.RandomService = previous;
+            }
+        });
+    });
+
+    test('preview combines compatibility, trait odds and rarity odds', () => {
+        const preview = manager.getBreedingPreview(starterId, partnerId);
+
+        expect(preview.compatibility.percentage).toEqual(expect.any(Number));
+        expect(Object.keys(preview.traitOdds)).toContain('pattern');
+        expect(preview.rarityOdds.map(({ rarity }) => rarity)).toEqual(['common', 'rare', 'epic']);
+        expect(manager.getBreedingPreview(starterId, starterId)).toBeNull();
+    });
+
+    test('breeding puts an offspring egg into the inventory and starts the cooldown', () => {
+        const completed = jest.fn();
+        manager.on('breedingCompleted', completed);
+
+        const random = jest.spyOn(window.RandomService.stream('genetics'), 'next').mockReturnValue(0.5);
+        const result = manager.breedRosterCreatures(starterId, partnerId);
+        random.mockRestore();
+
+        expect(result.success).toBe(true);
+        expect(window.InventoryManager.addItem).toHaveBeenCalledWith(expect.objectContaining({
+            id: 'shrine_egg',
+            type: 'egg',
+            rarity: result.egg.rarity,
+            offspring: expect.objectContaining({
+                genome: expect.objectContaining({ version: 1 }),
+                genes: result.offspringGenes,
+                parentIds: [starterId, partnerId],
+                parentNames: ['Starter', 'Pebble']
+            })
+        }));
+        // Only Pebble has DNA here, so its body and head carry over (unless mutated)
+        expect(result.egg.offspring.dna).toEqual(expect.objectContaining({ bodyArchetype: 'winged', headArchetype: 'avian' }));
+        expect(manager.get('breedingShrine.breedingHistory')).toHaveLength(1);
+        expect(manager.getBreedingShrineStatus().canBreed).toBe(false);
+        expect(completed).toHaveBeenCalledWith(expect.objectContaining({ parentIds: [starterId, partnerId] }));
+    });
+
+    test('refuses to breed while locked, cooling down or with one parent', () => {
+        const refused = jest.fn();
+        manager.on('breedingRefused', refused);
+
+        expect(manager.breedRosterCreatures(starterId, starterId)).toEqual({ success: false, reason: 'same_parent' });
+        expect(manager.breedRosterCreatures(starterId, 'crt-missing')).toEqual({ success: false, reason: 'unknown_parent' });
+
+        manager.breedRosterCreatures(starterId, partnerId);
+        expect(manager.breedRosterCreatures(starterId, partnerId)).toEqual({ success: false, reason: 'cooldown' });
+
+        manager.set('breedingShrine.unlocked', false);
+        expect(manager.breedRosterCreatures(starterId, partnerId)).toEqual({ success: false, reason: 'locked' });
+
+        expect(refused).toHaveBeenCalledTimes(4);
+        expect(window.InventoryManager.addItem).toHaveBeenCalledTimes(1);
+    });
+
+    test('a full inventory leaves the shrine ready', () => {
+        window.InventoryManager.addItem.mockReturnValueOnce(false);
+
+        expect(manager.breedRosterCreatures(starterId, partnerId)).toEqual({ success: false, reason: 'inventory_full' });
+        expect(manager.getBreedingShrineStatus().canBreed).toBe(true);
+    });
+
+    test('hatching a shrine egg keeps the offspring genes, DNA and parents', () => {
+        const { egg } = manager.breedRosterCreatures(starterId, partnerId);
+
+        const record = manager.hatchEgg({ rarity: egg.rarity, source: 'shrine_egg', offspring: egg.offspring });
+
+        expect(record.genes).toEqual(egg.offspring.genes);
+        expect(record.dna).toEqual(egg.offspring.dna);
+        expect(record.lineage).toEqual(expect.objectContaining({ parentIds: [starterId, partnerId], generation: 1 }));
+        expect(record.dna.inheritedTraits).toEqual(expect.objectContaining({ bodyMods: expect.any(Object) }));
+    });
+
+    test('shrine offspring replay from the genetics stream', () => {
+        const previous = window.RandomService;
+        const breed = () => {
+            window.RandomService = new RandomService('shrine-replay');
+            manager.set('breedingShrine.lastBreedingTime', null);
+            const { egg } = manager.breedRosterCreatures(starterId, partnerId);
+            return { genome: egg.offspring.genome, mutations: egg.offspring.mutations, rarity: egg.rarity };
+        };
+
+        try {
+            expect(breed()).toEqual(breed());
+        } finally {
+            window.RandomService = previous;
+        }
+    });
+});
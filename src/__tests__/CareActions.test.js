@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the data-driven care action registry
+ */
+
+const careActionsConfig = require('../config/care-actions.json');
+const CareSystem = require('../systems/CareSystem.js');
+const NeedsSystem = require('../systems/NeedsSystem.js');
+const KidModeManager = require('../systems/KidMode.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('Care action registry', () => {
+    let careSystem;
+    let manager;
+
+    beforeEach(() => {
+        manager = createGameState();
+        window.NeedsSystem = new NeedsSystem();
+        careSystem = new CareSystem();
+        careSystem.configure(JSON.parse(JSON.stringify(careActionsConfig)));
+        window.CareSystem = careSystem;
+
+        manager.addCreatureToRoster({ name: 'Nova' });
+    });
+
+    afterEach(() => {
+        manager.stopAutoSave();
+        delete window.CareSystem;
+        delete window.NeedsSystem;
+    });
+
+    test('every configured action is registered and listed for the care panel', () => {
+        expect(Object.keys(careSystem.careActions)).toEqual(['feed', 'play', 'rest', 'pet', 'groom', 'bathe', 'train']);
+        expect(careSystem.getCareAction('clean').id).toBe('bathe');
+
+        const info = careSystem.getAllCareActionsInfo();
+        expect(info.groom).toMatchObject({ name: 'Groom', icon: '🪮', currentCount: 0, limit: 3, canPerform: true });
+        expect(info.pet.isUnlimited).toBe(true);
+    });
+
+    test('a new action only needs a config entry', async () => {
+        careSystem.configure({
+            actions: {
+                ...careActionsConfig.actions,
+                stargaze: { name: 'Stargaze', happinessBonus: 4, dailyLimit: 1, needs: { energy: 10 }, kid: { text: 'STARS' } }
+            }
+        });
+        manager.set('creature.stats.energy', 50);
+
+        expect(await careSystem.performCareAction('stargaze')).toMatchObject({ success: true, action: 'stargaze' });
+        expect(manager.get('creature.stats.energy')).toBe(60);
+        expect(manager.get('creature.care.dailyCare.stargazeCount')).toBe(1);
+        expect((await careSystem.performCareAction('stargaze')).success).toBe(false);
+        expect(careSystem.getKidModeActions().map(action => action.action)).toContain('stargaze');
+    });
+
+    test('actions apply their need effects and personality nudges', async () => {
+        manager.set('creature.stats.hygiene', 30);
+        manager.set('creature.stats.energy', 80);
+
+        const performed = jest.fn();
+        manager.on('careActionPerformed', performed);
+
+        const result = await careSystem.performCareAction('clean');
+
+        expect(result).toMatchObject({ success: true, action: 'bathe', needsChanged: { hygiene: 50, energy: -5 } });
+        expect(manager.get('creature.care.dailyCare.batheCount')).toBe(1);
+        expect(performed).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'bathe',
+            personalityNudges: careActionsConfig.actions.bathe.personality
+        }));
+        expect(manager.get('creature.care.careHistory').map(entry => entry.action)).toEqual(['bathe']);
+    });
+
+    test('daily limits and cooldowns come from the config', async () => {
+        for (let i = 0; i < 3; i++) {
+            expect((await careSystem.performCareAction('groom')).success).toBe(true);
+        }
+        expect(careSystem.canPerformAction('groom')).toBe(false);
+
+        expect((await careSystem.performCareAction('pet')).success).toBe(true);
+        expect(careSystem.canPerformAction('pet')).toBe(false);
+        expect(careSystem.getCooldownRemaining('pet')).toBeGreaterThan(0);
+
+        // Cooldowns belong to each roster creature
+        const luna = manager.addCreatureToRoster({ name: 'Luna' });
+        manager.setActiveCreature(luna.id);
+        expect(careSystem.canPerformAction('pet')).toBe(true);
+
+        expect((await careSystem.performCareAction('juggle')).success).toBe(false);
+    });
+
+    test('Kid Mode buttons follow the registry and the creature needs', () => {
+        const kidMode = new KidModeManager();
+        kidMode.initialize();
+
+        expect(kidMode.getNextBestAction('dirty')).toMatchObject({ action: 'bathe', text: 'BATHE' });
+        expect(kidMode.getNextBestAction('default').action).toBe('pet');
+        expect(kidMode.getNextBestAction('excited').action).toBe('photo');
+
+        manager.set('creature.stats.hygiene', 25);
+        manager.set('creature.stats.energy', 90);
+        const secondary = kidMode.getSecondaryActions('feed').map(action => action.action);
+        expect(secondary).toHaveLength(3);
+        expect(secondary.slice(0, 2)).toEqual(['bathe', 'groom']);
+        expect(secondary).not.toContain('feed');
+    });
+});
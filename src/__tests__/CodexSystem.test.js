@@ -0,0 +1,99 @@
+/**
+ * Unit tests for codex discovery tracking and milestones
+ */
+
+require('../systems/CreatureGenetics.js');
+const CodexSystem = require('../systems/CodexSystem.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('CodexSystem', () => {
+    let manager;
+    let codex;
+
+    const hatch = (name, { species, body, head, rarity }) => manager.addCreatureToRoster({
+        name,
+        rarity,
+        hatchTime: 1700000000000,
+        genetics: { id: `gen-${name}`, species, rarity },
+        dna: { id: `dna-${name}`, bodyArchetype: body, headArchetype: head, raritySignature: rarity }
+    });
+
+    beforeEach(() => {
+        manager = createGameState();
+        window.EconomyManager = { addCoins: jest.fn((amount) => amount) };
+        codex = new CodexSystem();
+    });
+
+    afterEach(() => {
+        codex.destroy();
+        manager.stopAutoSave();
+        delete window.EconomyManager;
+    });
+
+    test('catalog covers species, body/head forms and rarities', () => {
+        const catalog = codex.getCatalog();
+        const byCategory = (category) => catalog.filter(entry => entry.category === category);
+
+        expect(byCategory('species').map(entry => entry.id)).toEqual(['stellarWyrm', 'crystalDrake', 'nebulaSprite']);
+        expect(byCategory('form')).toHaveLength(5 * 9);
+        expect(byCategory('rarity').map(entry => entry.id)).toEqual(CodexSystem.RARITIES);
+    });
+
+    test('hatching records first-hatch dates, owned counts and counters', () => {
+        codex.initialize();
+        hatch('Nova', { species: 'stellarWyrm', body: 'blob', head: 'feline', rarity: 'rare' });
+        hatch('Echo', { species: 'stellarWyrm', body: 'winged', head: 'avian', rarity: 'common' });
+
+        const species = codex.getEntries('species');
+        const wyrm = species.find(entry => entry.id === 'stellarWyrm');
+        expect(wyrm).toEqual(expect.objectContaining({
+            discovered: true,
+            firstHatchedAt: 1700000000000,
+            firstCreatureName: 'Nova',
+            ownedCount: 2
+        }));
+        expect(species.find(entry => entry.id === 'nebulaSprite').discovered).toBe(false);
+
+        expect(manager.get('codex.discovered')).toBe(5);
+        expect(manager.get('codex.total')).toBe(codex.getCatalog().length);
+        expect(manager.get('codex.byRarity')).toEqual(expect.objectContaining({ rare: 1, common: 1, epic: 0 }));
+    });
+
+    test('discoveries are remembered after the creature leaves the roster', () => {
+        hatch('Nova', { species: 'stellarWyrm', body: 'blob', head: 'feline', rarity: 'rare' });
+        const echo = hatch('Echo', { species: 'crystalDrake', body: 'winged', head: 'avian', rarity: 'epic' });
+        codex.refresh();
+
+        manager.state.creatures = manager.state.creatures.filter(entry => entry.id !== echo.id);
+        codex.refresh();
+
+        const drake = codex.getEntries('species').find(entry => entry.id === 'crystalDrake');
+        expect(drake.discovered).toBe(true);
+        expect(drake.ownedCount).toBe(0);
+    });
+
+    test('milestones pay through EconomyManager once', () => {
+        const reached = jest.fn();
+        manager.on('codexMilestoneReached', reached);
+
+        hatch('Nova', { species: 'stellarWyrm', body: 'blob', head: 'feline', rarity: 'rare' });
+        hatch('Echo', { species: 'crystalDrake', body: 'winged', head: 'avian', rarity: 'epic' });
+        codex.refresh();
+        codex.refresh();
+
+        // 6 of 53 entries → the 10% milestone
+        expect(window.EconomyManager.addCoins).toHaveBeenCalledTimes(1);
+        expect(window.EconomyManager.addCoins).toHaveBeenCalledWith(50, 'codex_milestone');
+        expect(manager.get('codex.milestonesClaimed')).toEqual([10]);
+        expect(reached).toHaveBeenCalledWith({ percent: 10, reward: 50 });
+    });
+
+    test('unpaid milestones are retried when the economy was unavailable', () => {
+        window.EconomyManager.addCoins.mockReturnValueOnce(undefined);
+        hatch('Nova', { species: 'stellarWyrm', body: 'blob', head: 'feline', rarity: 'rare' });
+        hatch('Echo', { species: 'crystalDrake', body: 'winged', head: 'avian', rarity: 'epic' });
+
+        expect(codex.refresh().milestones).toEqual([]);
+        expect(codex.refresh().milestones).toEqual([{ percent: 10, reward: 50 }]);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the coin ledger: recording, capping, summaries and balance audits
+ */
+
+const economyConfig = require('../config/economy.json');
+const EconomyLedger = require('../systems/EconomyLedger.js');
+const { createEmitter, createGameState } = require('./helpers/testSetup.js');
+
+describe('EconomyLedger', () => {
+    let manager;
+    let ledger;
+    let economy;
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const NOW = new Date(2026, 9, 19, 12, 0, 0).getTime();
+
+    // Mirrors EconomyManager: update the balance, then emit
+    const add = (amount, source, details = {}) => {
+        const oldBalance = manager.get('player.cosmicCoins') || 0;
+        manager.set('player.cosmicCoins', oldBalance + amount);
+        economy.emit('coins:added', { amount, source, itemId: details.itemId || null, oldBalance, newBalance: oldBalance + amount });
+    };
+    const spend = (amount, reason, details = {}) => {
+        const oldBalance = manager.get('player.cosmicCoins') || 0;
+        manager.set('player.cosmicCoins', oldBalance - amount);
+        economy.emit('coins:spent', { amount, reason, itemId: details.itemId || null, oldBalance, newBalance: oldBalance - amount });
+    };
+
+    const start = (config = {}) => {
+        ledger = new EconomyLedger();
+        ledger.configure({ ...JSON.parse(JSON.stringify(economyConfig.ledger)), ...config });
+        ledger.initialize();
+        return ledger;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(NOW);
+        manager = createGameState();
+        economy = createEmitter();
+        window.EconomyManager = economy;
+    });
+
+    afterEach(() => {
+        ledger?.destroy();
+        manager.stopAutoSave();
+        delete window.EconomyManager;
+        jest.useRealTimers();
+    });
+
+    test('records each transaction with its category, item and balance', () => {
+        manager.set('player.cosmicCoins', 40);
+        start();
+        expect(manager.get('economyLedger.baseBalance')).toBe(40);
+
+        add(10, 'collection');
+        spend(30, 'purchase:Cosmic Egg', { itemId: 'basic_egg' });
+        add(12, 'sale:cosmic_berry', { itemId: 'cosmic_berry' });
+
+        expect(ledger.getEntries()).toEqual([
+            { time: NOW, delta: 12, balance: 32, category: 'sale', source: 'sale:cosmic_berry', itemId: 'cosmic_berry' },
+            { time: NOW, delta: -30, balance: 20, category: 'purchase', source: 'purchase:Cosmic Egg', itemId: 'basic_egg' },
+            { time: NOW, delta: 10, balance: 50, category: 'collection', source: 'collection', itemId: null }
+        ]);
+        expect(ledger.getEntries({ category: 'purchase', limit: 5 })).toHaveLength(1);
+        expect(ledger.audit()).toEqual({ ok: true, expected: 32, actual: 32, difference: 0, brokenAt: null });
+    });
+
+    test('old entries are folded into the baseline and totals once the cap is hit', () => {
+        start({ maxEntries: 3 });
+        for (let i = 0; i < 5; i++) add(10, 'collection');
+        spend(15, 'trade_offer');
+
+        expect(ledger.getEntries()).toHaveLength(3);
+        expect(manager.get('economyLedger.baseBalance')).toBe(30);
+        expect(ledger.audit().ok).toBe(true);
+        expect(ledger.getEarnedByCategory()).toEqual([{ category: 'collection', amount: 50 }]);
+        expect(ledger.getSpendByCategory()).toEqual([{ category: 'trade_offer', amount: 15 }]);
+    });
+
+    test('summarises earnings per source per day', () => {
+        start();
+        jest.setSystemTime(NOW - 2 * DAY);
+        add(5, 'collection');
+        add(20, 'quest');
+        jest.setSystemTime(NOW);
+        add(7, 'collection');
+        spend(7, 'purchase:Star Map');
+
+        const week = ledger.getEarnedPerDay(7, NOW);
+        expect(week).toHaveLength(7);
+        expect(week[4]).toEqual({ day: '2026-10-17', total: 25, sources: { collection: 5, quest: 20 } });
+        expect(week[6]).toEqual({ day: '2026-10-19', total: 7, sources: { collection: 7 } });
+        expect(week[5].total).toBe(0);
+    });
+
+    test('edited balances and entries fail the audit', () => {
+        start();
+        add(100, 'quest');
+        spend(40, 'purchase:Cosmic Berry');
+
+        manager.set('player.cosmicCoins', 9999);
+        expect(ledger.audit()).toMatchObject({ ok: false, expected: 60, actual: 9999, difference: 9939, brokenAt: null });
+
+        // Reloading runs the audit and reports the mismatch
+        const tamper = jest.fn();
+        manager.on('economyTamperDetected', tamper);
+        ledger.destroy();
+        start();
+        expect(tamper).toHaveBeenCalledWith(expect.objectContaining({ ok: false, difference: 9939 }));
+
+        // Rewriting history to match breaks the balance chain instead
+        manager.set('player.cosmicCoins', 60);
+        manager.set('economyLedger.entries.0.delta', 500);
+        manager.set('economyLedger.entries.1.balance', 460);
+        manager.set('player.cosmicCoins', 460);
+        expect(ledger.audit()).toMatchObject({ ok: false, brokenAt: 0 });
+    });
+
+    test('a reset is recorded so the ledger keeps matching', () => {
+        start();
+        add(80, 'quest');
+        const oldBalance = manager.get('player.cosmicCoins');
+        manager.set('player.cosmicCoins', 0);
+        economy.emit('coins:reset', { oldBalance, newBalance: 0 });
+
+        expect(ledger.getEntries({ limit: 1 })[0]).toMatchObject({ delta: -80, category: 'reset', balance: 0 });
+        expect(ledger.audit().ok).toBe(true);
+    });
+});
@@ -1,3 +1,5 @@
+require('../systems/storage/SaveStorage.js');
+require('../systems/storage/SaveMigrations.js');
 const GameStateManager = require('../systems/GameState.js');
 
 describe('GameStateManager', () => {
@@ -85,4 +87,143 @@ describe('GameStateManager', () => {
             happinessOverride: true
         }));
     });
+
+    describe('save slots', () => {
+        test('legacy save becomes the default slot', () => {
+            manager.stopAutoSave();
+            localStorage.clear();
+            localStorage.setItem('mythical-creature-save', JSON.stringify({
+                version: '1.0.0',
+                creature: { hatched: true, name: 'Legacy', level: 4, rarity: 'rare' }
+            }));
+
+            const legacyManager = new GameStateManager();
+            const [slot] = legacyManager.listSaveSlots();
+
+            expect(legacyManager.saveKey).toBe('mythical-creature-save');
+            expect(slot.active).toBe(true);
+            expect(slot.summary).toEqual(expect.objectContaining({
+                creatureName: 'Legacy',
+                level: 4,
+                rarity: 'rare'
+            }));
+        });
+
+        test('switching slots keeps each creature separate', () => {
+            manager.set('creature.hatched', true);
+            manager.set('creature.name', 'Sparkle');
+            manager.save();
+
+            const slot = manager.createSaveSlot('Sibling');
+            expect(manager.switchSaveSlot(slot.id)).toBe(true);
+            expect(manager.get('creature.name')).toBe('Your Creature');
+
+            manager.set('creature.hatched', true);
+            manager.set('creature.name', 'Nova');
+            manager.save();
+
+            manager.switchSaveSlot('default');
+            expect(manager.get('creature.name')).toBe('Sparkle');
+
+            const names = manager.listSaveSlots().map(entry => entry.summary.creatureName);
+            expect(names).toEqual(['Sparkle', 'Nova']);
+
+            // A fresh manager resumes the last active slot
+            manager.switchSaveSlot(slot.id);
+            const reloaded = new GameStateManager();
+            expect(reloaded.activeSlotId).toBe(slot.id);
+        });
+
+        test('duplicate copies data and delete refuses the active slot', () => {
+            manager.set('creature.hatched', true);
+            manager.set('creature.name', 'Twin');
+            manager.save();
+
+            const copy = manager.duplicateSaveSlot('default');
+            expect(localStorage.getItem(manager.getSlotSaveKey(copy.id))).toBe(localStorage.getItem(manager.saveKey));
+
+            expect(manager.deleteSaveSlot('default')).toBe(false);
+            expect(manager.deleteSaveSlot(copy.id)).toBe(true);
+            expect(localStorage.getItem(manager.getSlotSaveKey(copy.id))).toBeNull();
+            expect(manager.listSaveSlots()).toHaveLength(1);
+        });
+
+        test('reset only clears the active slot', () => {
+            manager.set('creature.hatched', true);
+            manager.set('creature.name', 'Keeper');
+            manager.save();
+            const other = manager.duplicateSaveSlot('default');
+
+            manager.reset();
+
+            expect(localStorage.getItem(manager.saveKey)).toBeNull();
+            expect(localStorage.getItem(manager.getSlotSaveKey(other.id))).not.toBeNull();
+            expect(manager.getActiveSlot().summary.hatched).toBe(false);
+        });
+    });
+    describe('creature roster', () => {
+        const hatchFirst = (name) => {
+            manager.set('creature.name', name);
+            manager.completeHatching();
+        };
+
+        test('hatching gives the creature an id and a roster entry', () => {
+            hatchFirst('Starter');
+
+            const id = manager.get('creature.id');
+            expect(id).toMatch(/^crt-/);
+            expect(manager.get('activeCreatureId')).toBe(id);
+            expect(manager.getRoster()).toEqual([
+                expect.objectContaining({ id, name: 'Starter', active: true })
+            ]);
+        });
+
+        test('switching the active creature keeps each creature\'s stats separate', () => {
+            hatchFirst('Starter');
+            const starterId = manager.get('creature.id');
+            const added = manager.addCreatureToRoster({ name: 'Pebble', level: 3 });
+            manager.set('creature.stats.happiness', 40);
+
+            const changed = jest.fn();
+            manager.on('activeCreatureChanged', changed);
+
+            expect(manager.setActiveCreature(added.id)).toBe(true);
+            expect(manager.get('creature.name')).toBe('Pebble');
+            expect(manager.get('creature.stats.happiness')).toBe(100);
+            expect(changed).toHaveBeenCalledWith(expect.objectContaining({ previousId: starterId, creatureId: added.id }));
+
+            manager.set('creature.stats.happiness', 75);
+            manager.setActiveCreature(starterId);
+            expect(manager.get('creature.stats.happiness')).toBe(40);
+            expect(manager.getRosterCreature(added.id).stats.happiness).toBe(75);
+            expect(manager.getRoster().map(entry => entry.active)).toEqual([true, false]);
+        });
+
+        test('roster is capped and unknown ids are refused', () => {
+            hatchFirst('Starter');
+            const full = jest.fn();
+            manager.on('rosterFull', full);
+
+            for (let i = 1; i < manager.maxRosterSize; i++) {
+                expect(manager.addCreatureToRoster({ name: `Extra ${i}` })).not.toBeNull();
+            }
+
+            expect(manager.isRosterFull()).toBe(true);
+            expect(manager.addCreatureToRoster({ name: 'One too many' })).toBeNull();
+            expect(full).toHaveBeenCalledTimes(1);
+            expect(manager.setActiveCreature('crt-missing')).toBe(false);
+        });
+    });
+
+    test('daily login bonus pays its Stardust through the economy', () => {
+        window.EconomyManager = { addStardust: jest.fn() };
+        try {
+            expect(manager.claimDailyLoginBonus()).toBe(true);
+            expect(window.EconomyManager.addStardust).toHaveBeenCalledWith(10, 'daily_bonus');
+            expect(manager.claimDailyLoginBonus()).toBe(false);
+            expect(window.EconomyManager.addStardust).toHaveBeenCalledTimes(1);
+        } finally {
+            delete window.EconomyManager;
+        }
+    });
 });
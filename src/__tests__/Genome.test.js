@@ -0,0 +1,164 @@
+/**
+ * Unit tests for the unified genome shared by BreedingEngine, CreatureDNA and CreatureGenetics
+ */
+
+require('../systems/RandomService.js');
+require('../systems/BreedingEngine.js');
+require('../systems/CreatureGenetics.js');
+const Genome = require('../systems/Genome.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('Genome', () => {
+    let genome;
+
+    const homozygous = (loci) => Object.fromEntries(Object.entries(loci).map(([key, value]) => [key, [value, value]]));
+
+    const parent = (loci, overrides = {}) => ({
+        version: 1,
+        loci: homozygous(loci),
+        colors: { primary: 0x000000, secondary: 0xFF0000, accent: 0x00FF00 },
+        axes: { temperament: 0, energy: 0, curiosity: 0, attachment: 0 },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        genome = new Genome();
+    });
+
+    test('every model contributes loci with a dominance rule and mutation rate', () => {
+        const loci = genome.getLoci();
+
+        expect(Object.keys(loci)).toEqual(expect.arrayContaining([
+            ...Object.keys(window.BreedingEngine.traitDefinitions),
+            'bodyArchetype', 'elementalAura', 'species', 'bodyType', 'cosmicElement', 'personalityCore'
+        ]));
+        Object.values(loci).forEach(locus => {
+            expect(['genes', 'dna', 'genetics']).toContain(locus.model);
+            expect(locus.mutationRate).toBeGreaterThanOrEqual(0);
+            expect(locus.values.length).toBeGreaterThan(0);
+        });
+    });
+
+    test('dominant alleles are expressed', () => {
+        expect(genome.expressLocus('bodyArchetype', ['winged', 'quadruped'])).toBe('quadruped');
+        expect(genome.expressLocus('pattern', ['spotted', 'solid'])).toBe('solid');
+        // Values from older content rank below every known value
+        expect(genome.expressLocus('headArchetype', ['horned', 'cervine'])).toBe('cervine');
+    });
+
+    test('offspring blend colors and average personality axes', () => {
+        const mother = parent({ species: 'crystalDrake' });
+        const father = parent({ species: 'crystalDrake' }, {
+            colors: { primary: 0x646464, secondary: 0x0000FF, accent: 0x00FF00 },
+            axes: { temperament: 60, energy: -40, curiosity: 20, attachment: 10 }
+        });
+
+        const { genome: child, mutations } = genome.cross(mother, father, () => 0.5);
+
+        expect(child.loci.species).toEqual(['crystalDrake', 'crystalDrake']);
+        expect(child.colors).toEqual({ primary: 0x323232, secondary: 0x800080, accent: 0x00FF00 });
+        expect(child.axes).toEqual({ temperament: 30, energy: -20, curiosity: 10, attachment: 5 });
+        expect(mutations).toEqual([]);
+    });
+
+    test('mutations follow the per-locus rate', () => {
+        const mother = parent({ bodyArchetype: 'winged', species: 'nebulaSprite' });
+
+        const { genome: child, mutations } = genome.cross(mother, mother, () => 0);
+
+        // bodyArchetype mutates (rate 0.03 > 0); species never does (rate 0)
+        expect(child.loci.bodyArchetype).toEqual(['quadruped', 'quadruped']);
+        expect(child.loci.species).toEqual(['nebulaSprite', 'nebulaSprite']);
+        expect(mutations).toEqual(expect.arrayContaining([
+            { locus: 'bodyArchetype', from: 'winged', to: 'quadruped' }
+        ]));
+        expect(mutations.some(mutation => mutation.locus === 'species')).toBe(false);
+    });
+
+    test('expression maps back onto DNA and CreatureGenetics', () => {
+        const child = parent({ bodyArchetype: 'serpentine', elementalAura: 'ember', species: 'nebulaSprite', personalityCore: 'wise', bodyType: 'sturdy' });
+        const genetics = window.CreatureGenetics.generateCreatureGenetics('rare');
+
+        expect(genome.applyToDNA({ id: 'dna-1', bodyArchetype: 'blob' }, child)).toEqual(expect.objectContaining({
+            id: 'dna-1',
+            bodyArchetype: 'serpentine',
+            elementalAura: 'ember'
+        }));
+
+        const inherited = genome.applyToGenetics(genetics, child);
+        expect(inherited.species).toBe('nebulaSprite');
+        expect(inherited.traits.bodyShape.type).toBe('sturdy');
+        expect(inherited.traits.colorGenome.secondary).toBe(0xFF0000);
+        expect(inherited.personality).toEqual(expect.objectContaining({
+            core: 'wise',
+            description: window.CreatureGenetics.personalityTraits.wise.description
+        }));
+        expect(inherited.traits.features.wings.type).toBe('ethereal');
+        expect(inherited).not.toBe(genetics);
+    });
+
+    test('old creature records convert the same way every time', () => {
+        const record = {
+            id: 'crt-old',
+            genes: { size: 'small', pattern: 'spotted', eyeColor: 0x4169E1, temperament: 'gentle', specialTrait: 'none' },
+            genetics: { species: 'stellarWyrm', personality: { core: 'gentle' }, cosmicAffinity: { element: 'star' } },
+            colors: { body: 0x112233, head: 0x445566, wings: 0x778899 }
+        };
+
+        const converted = genome.fromCreature(record);
+
+        expect(converted).toEqual(genome.fromCreature(record));
+        expect(converted.loci).toEqual(expect.objectContaining({
+            bodyShape: ['slender', 'slender'],
+            pattern: ['spotted', 'spotted'],
+            eyeColor: ['blue', 'blue'],
+            horns: ['none', 'none'],
+            personalityCore: ['gentle', 'gentle']
+        }));
+        expect(converted.colors).toEqual({ primary: 0x112233, secondary: 0x778899, accent: 0x445566 });
+        expect(genome.describe(record)).toEqual({
+            size: 'small',
+            pattern: 'spotted',
+            eyeColor: 0x4169E1,
+            temperament: 'gentle',
+            specialTrait: 'none'
+        });
+    });
+
+    describe('breeding roster creatures', () => {
+        let manager;
+
+        beforeEach(() => {
+            window.Genome = genome;
+            window.InventoryManager = { addItem: jest.fn(() => true) };
+            manager = createGameState({ install: false });
+        });
+
+        afterEach(() => {
+            manager.stopAutoSave();
+            delete window.InventoryManager;
+        });
+
+        test('a shrine egg hatches with colors, body type and axes inherited from both parents', () => {
+            const geneticsA = window.CreatureGenetics.generateCreatureGenetics('common');
+            const geneticsB = window.CreatureGenetics.generateCreatureGenetics('common');
+            const parentA = manager.addCreatureToRoster({ name: 'Sol', genetics: geneticsA, personalityState: { axes: { temperament: 80, energy: 0, curiosity: 0, attachment: 0 } } });
+            const parentB = manager.addCreatureToRoster({ name: 'Luna', genetics: geneticsB, personalityState: { axes: { temperament: 40, energy: 0, curiosity: 0, attachment: 0 } } });
+            manager.set('breedingShrine.unlocked', true);
+
+            // No mutations: Math.random() stays above every mutation rate
+            const random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+            const { egg } = manager.breedRosterCreatures(parentA.id, parentB.id);
+            random.mockRestore();
+            const child = manager.hatchEgg({ rarity: egg.rarity, offspring: egg.offspring });
+
+            expect([geneticsA.traits.bodyShape.type, geneticsB.traits.bodyShape.type])
+                .toContain(child.genetics.traits.bodyShape.type);
+            expect([geneticsA.species, geneticsB.species]).toContain(child.genetics.species);
+            expect(child.genetics.traits.colorGenome.primary).toBe(egg.offspring.genome.colors.primary);
+            expect(child.genome.axes.temperament).toBeGreaterThanOrEqual(50);
+            expect(child.genome.axes.temperament).toBeLessThanOrEqual(70);
+            expect(child.genes).toEqual(genome.getGenes(child.genome));
+        });
+    });
+});
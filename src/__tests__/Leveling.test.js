@@ -0,0 +1,110 @@
+/**
+ * Unit tests for the XP curve, XP sources, level caps and level-up rewards
+ */
+
+const levelingConfig = require('../config/leveling.json');
+const careActionsConfig = require('../config/care-actions.json');
+const CareSystem = require('../systems/CareSystem.js');
+const NeedsSystem = require('../systems/NeedsSystem.js');
+const LevelingSystem = require('../systems/LevelingSystem.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('LevelingSystem', () => {
+    let manager;
+    let leveling;
+
+    beforeEach(() => {
+        manager = createGameState();
+        window.EconomyManager = { addCoins: jest.fn() };
+        window.InventoryManager = { addItem: jest.fn(() => true) };
+
+        leveling = new LevelingSystem();
+        leveling.configure(JSON.parse(JSON.stringify(levelingConfig)));
+        window.LevelingSystem = leveling;
+        leveling.initialize();
+
+        manager.addCreatureToRoster({ name: 'Nova' });
+    });
+
+    afterEach(() => {
+        leveling.destroy();
+        manager.stopAutoSave();
+        delete window.LevelingSystem;
+        delete window.EconomyManager;
+        delete window.InventoryManager;
+        delete window.CareSystem;
+        delete window.NeedsSystem;
+    });
+
+    test('the curve comes from the config', () => {
+        expect(leveling.getXPToNext(1)).toBe(100);
+        expect(leveling.getXPToNext(2)).toBe(110);
+        expect(leveling.getTotalXPForLevel(3)).toBe(210);
+        expect(leveling.getLevelForXP(209)).toBe(2);
+        expect(leveling.getLevelForXP(210)).toBe(3);
+
+        // Unconfigured, every 100 XP is a level
+        const classic = new LevelingSystem();
+        expect(classic.getLevelForXP(450)).toBe(5);
+    });
+
+    test('XP is tallied by source and levelUp lists the rewards granted', () => {
+        const levelUp = jest.fn();
+        manager.on('levelUp', levelUp);
+
+        manager.addExperience(null, 'flower');
+        manager.updateWorldExploration({ x: 810, y: 610 }, 'flowers');
+        expect(manager.get('creature.xpSources')).toEqual({ flower: 10, exploration: 4 });
+
+        manager.addExperience(200, 'other');
+
+        expect(levelUp).toHaveBeenCalledTimes(1);
+        const data = levelUp.mock.calls[0][0];
+        expect(data).toMatchObject({ oldLevel: 1, newLevel: 3, source: 'other', capped: false });
+        expect(data.rewards).toEqual(expect.arrayContaining([
+            expect.objectContaining({ level: 2, type: 'coins', amount: 50 }),
+            expect.objectContaining({ level: 2, type: 'item', id: 'stardust_treat', amount: 1 }),
+            expect.objectContaining({ level: 3, type: 'coins', amount: 20 }),
+            expect.objectContaining({ level: 3, type: 'cosmetic', id: 'sparkle_trail' })
+        ]));
+
+        expect(window.EconomyManager.addCoins).toHaveBeenCalledWith(50, 'level_up');
+        expect(window.InventoryManager.addItem).toHaveBeenCalledWith(expect.objectContaining({ id: 'stardust_treat', type: 'food' }));
+        expect(manager.isUnlocked('cosmetics', 'sparkle_trail')).toBe(true);
+        expect(leveling.getProgress()).toMatchObject({ level: 3, current: 4, needed: leveling.getXPToNext(3) });
+    });
+
+    test('new areas and care actions give XP once per area or action', async () => {
+        window.NeedsSystem = new NeedsSystem();
+        window.CareSystem = new CareSystem();
+        window.CareSystem.configure(JSON.parse(JSON.stringify(careActionsConfig)));
+
+        manager.updateWorldExploration({ x: 50, y: 50 });
+        manager.updateWorldExploration({ x: 150, y: 90 });
+        manager.updateWorldExploration({ x: 250, y: 90 });
+        expect(manager.get('world.visitedAreas')).toEqual(['0,0', '1,0']);
+
+        await window.CareSystem.performCareAction('pet');
+        expect(manager.get('creature.xpSources')).toEqual({ exploration: 8, care: 3 });
+        expect(manager.get('creature.experience')).toBe(11);
+    });
+
+    test('life stages cap the level until the creature grows', () => {
+        const levelUp = jest.fn();
+        manager.on('levelUp', levelUp);
+        manager.set('creature.lifeStage', { stage: 'baby' });
+
+        manager.addExperience(leveling.getTotalXPForLevel(14), 'other');
+
+        expect(manager.get('creature.level')).toBe(10);
+        expect(levelUp).toHaveBeenLastCalledWith(expect.objectContaining({ newLevel: 10, capped: true }));
+        expect(leveling.getProgress()).toMatchObject({ capped: true, cap: 10 });
+        expect(leveling.addExperience(50, 'other').levelUp).toBeNull();
+
+        manager.set('creature.lifeStage', { stage: 'juvenile' });
+        manager.emit('lifeStageChanged', { creatureId: manager.get('creature.id'), to: 'juvenile' });
+
+        expect(manager.get('creature.level')).toBe(14);
+        expect(levelUp).toHaveBeenLastCalledWith(expect.objectContaining({ oldLevel: 10, newLevel: 14, source: 'lifeStage' }));
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for creature life stages and evolution forms
+ */
+
+const LifeStageSystem = require('../systems/LifeStageSystem.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('LifeStageSystem', () => {
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+
+    let lifeStages;
+    let manager;
+    let now;
+
+    // A hatched roster creature with the given age, level and personality
+    const addCreature = ({ name = 'Orbit', level = 1, age = 0, axes = {}, element = 'nebula', lifeStage } = {}) => manager.addCreatureToRoster({
+        name,
+        level,
+        experience: (level - 1) * 100,
+        hatchTime: now - age,
+        genetics: { id: `gen-${name}`, cosmicAffinity: { element } },
+        personalityState: { axes: { temperament: 0, energy: 0, curiosity: 0, attachment: 0, ...axes } },
+        ...(lifeStage ? { lifeStage } : {})
+    });
+
+    const stageOf = (id) => manager.getRosterCreature(id).lifeStage;
+
+    beforeEach(() => {
+        now = Date.now();
+        manager = createGameState();
+        lifeStages = new LifeStageSystem();
+    });
+
+    afterEach(() => {
+        lifeStages.destroy();
+        manager.stopAutoSave();
+    });
+
+    test('a stage needs both its level and its age', () => {
+        expect(lifeStages.determineStage({ level: 1, hatchTime: now }, now)).toBe('baby');
+        expect(lifeStages.determineStage({ level: 20, hatchTime: now - 10 * 60 * 1000 }, now)).toBe('baby');
+        expect(lifeStages.determineStage({ level: 20, hatchTime: now - 2 * HOUR }, now)).toBe('juvenile');
+        expect(lifeStages.determineStage({ level: 3, hatchTime: now - 30 * DAY }, now)).toBe('baby');
+        expect(lifeStages.determineStage({ level: 15, hatchTime: now - 2 * DAY }, now)).toBe('adult');
+        expect(lifeStages.determineStage({ level: 40, hatchTime: now - 8 * DAY }, now)).toBe('elder');
+    });
+
+    test('leveling up grows the companion, stores the stage and announces it', () => {
+        const creature = addCreature({ age: 2 * HOUR });
+        lifeStages.initialize();
+        expect(stageOf(creature.id).stage).toBe('baby');
+
+        const changed = jest.fn();
+        manager.on('lifeStageChanged', changed);
+        manager.updateCreature({ experience: 450 });
+
+        expect(changed).toHaveBeenCalledWith(expect.objectContaining({
+            creatureId: creature.id,
+            from: 'baby',
+            to: 'juvenile',
+            name: 'Juvenile'
+        }));
+        expect(manager.get('creature.lifeStage').stage).toBe('juvenile');
+        expect(stageOf(creature.id).history.map(entry => entry.stage)).toEqual(['baby', 'juvenile']);
+
+        // Nothing new to grow into
+        expect(lifeStages.checkCreature(creature.id)).toBeNull();
+        expect(changed).toHaveBeenCalledTimes(1);
+    });
+
+    test('adults branch into a form from their strongest personality axis', () => {
+        const comet = addCreature({ name: 'Comet', level: 15, age: 2 * DAY, axes: { energy: 80, temperament: 40 }, lifeStage: { stage: 'juvenile', form: null, history: [] } });
+        const plain = addCreature({ name: 'Plain', level: 15, age: 2 * DAY, axes: { curiosity: 20 }, lifeStage: { stage: 'juvenile', form: null, history: [] } });
+        const shy = addCreature({ name: 'Shy', level: 15, age: 2 * DAY, axes: { temperament: -70 }, element: null, lifeStage: { stage: 'juvenile', form: null, history: [] } });
+
+        lifeStages.checkRoster({ now });
+
+        expect(stageOf(comet.id)).toMatchObject({ stage: 'adult', form: 'comet', element: 'nebula' });
+        expect(lifeStages.getDisplayName(stageOf(comet.id))).toBe('Nebula Comet');
+        expect(stageOf(plain.id)).toMatchObject({ stage: 'adult', form: null });
+        expect(lifeStages.getDisplayName(stageOf(plain.id))).toBe('Adult');
+        expect(lifeStages.getDisplayName(stageOf(shy.id))).toBe('Harmony');
+    });
+
+    test('the form is kept for good and stages never go backwards', () => {
+        const creature = addCreature({
+            level: 40,
+            age: 8 * DAY,
+            axes: { curiosity: 90 },
+            lifeStage: { stage: 'adult', form: 'guardian', element: 'star', history: [] }
+        });
+
+        lifeStages.checkCreature(creature.id, { now });
+        expect(stageOf(creature.id)).toMatchObject({ stage: 'elder', form: 'guardian', element: 'star' });
+
+        manager.set('creature.level', 2);
+        expect(lifeStages.checkCreature(creature.id, { now })).toBeNull();
+        expect(stageOf(creature.id).stage).toBe('elder');
+    });
+
+    test('creatures from older saves catch up quietly', () => {
+        const creature = addCreature({ level: 20, age: 3 * DAY, axes: { temperament: 75 } });
+        delete manager.state.creatures.find(entry => entry.id === creature.id).lifeStage;
+
+        const changed = jest.fn();
+        manager.on('lifeStageChanged', changed);
+        lifeStages.initialize();
+
+        expect(stageOf(creature.id)).toMatchObject({ stage: 'adult', form: 'guardian' });
+        expect(changed).not.toHaveBeenCalled();
+    });
+
+    test('render modifiers shrink babies and add form features', () => {
+        const baby = lifeStages.getStageModifiers('baby');
+        expect(baby.sizeMultiplier).toBeLessThan(1);
+        expect(baby.headSizeRatio).toBeGreaterThan(1);
+        expect(baby.hornScale).toBe(0);
+        expect(baby.wingGrowth).toBeLessThan(1);
+
+        const comet = lifeStages.getStageModifiers('adult', 'comet', 'nebula');
+        expect(comet.key).toBe('adult-comet-nebula');
+        expect(comet.wingGrowth).toBeGreaterThan(1);
+        expect(comet.features).toEqual(['streaks']);
+        expect(comet.accentColor).toBe(LifeStageSystem.ELEMENTS.nebula.color);
+        expect(lifeStages.getStageModifiers('elder', 'guardian').features).toEqual(['runes', 'plates']);
+
+        // Visitors and previews keep the classic look
+        expect(lifeStages.getRenderModifiers({ visiting: true, hatched: true })).toBeNull();
+        expect(lifeStages.getRenderModifiers({ dna: { id: 'preview' } })).toBeNull();
+        expect(lifeStages.getRenderModifiers({ hatched: true, level: 1, hatchTime: now }).stage).toBe('baby');
+    });
+});
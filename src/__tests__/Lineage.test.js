@@ -0,0 +1,173 @@
+/**
+ * Unit tests for creature lineage, pedigrees and inbreeding coefficients
+ */
+
+require('../systems/RandomService.js');
+require('../systems/BreedingEngine.js');
+require('../systems/Genome.js');
+const LineageSystem = require('../systems/LineageSystem.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('LineageSystem', () => {
+    let lineage;
+    let manager;
+
+    // Adds a creature whose parents are already known, bypassing the shrine cooldown
+    const addCreature = (name, parents = []) => manager.addCreatureToRoster({
+        name,
+        lineage: parents.length
+            ? {
+                parentIds: parents.map(parent => parent.id),
+                generation: Math.max(...parents.map(parent => parent.lineage?.generation || 0)) + 1,
+                traitOrigins: {},
+                mutations: []
+            }
+            : null
+    });
+
+    beforeEach(() => {
+        window.InventoryManager = { addItem: jest.fn(() => true) };
+        manager = createGameState();
+        lineage = new LineageSystem();
+        window.LineageSystem = lineage;
+    });
+
+    afterEach(() => {
+        manager.stopAutoSave();
+        delete window.InventoryManager;
+        delete window.GameState;
+        delete window.LineageSystem;
+    });
+
+    test('trait origins name the parent that passed on the expressed allele', () => {
+        const genome = {
+            loci: {
+                bodyArchetype: ['quadruped', 'winged'],
+                species: ['nebulaSprite', 'nebulaSprite'],
+                cosmicElement: ['void', 'star']
+            }
+        };
+        const origins = {
+            bodyArchetype: [1, 0],
+            species: [0, 1],
+            cosmicElement: [0, 'mutation']
+        };
+
+        expect(lineage.describeTraitOrigins(genome, origins, ['crt-sol', 'crt-luna'])).toEqual({
+            bodyArchetype: { value: 'quadruped', from: 'crt-luna' },
+            species: { value: 'nebulaSprite', from: 'both' },
+            cosmicElement: { value: 'star', from: 'mutation' }
+        });
+    });
+
+    test('Genome.cross keeps allele sources aligned with sorted Mendelian pairs', () => {
+        const mother = window.Genome.fromCreature({ id: 'crt-mother', genes: { pattern: ['striped', 'striped'] } });
+        const father = window.Genome.fromCreature({ id: 'crt-father', genes: { pattern: ['solid', 'solid'] } });
+
+        const { genome, origins } = window.Genome.cross(mother, father, () => 0.5);
+
+        expect(genome.loci.pattern).toEqual(['solid', 'striped']);
+        expect(origins.pattern).toEqual([1, 0]);
+    });
+
+    test('inbreeding coefficients follow Wright for common relationships', () => {
+        const sol = addCreature('Sol');
+        const luna = addCreature('Luna');
+        const nova = addCreature('Nova');
+        const kit = addCreature('Kit', [sol, luna]);
+        const pip = addCreature('Pip', [sol, luna]);
+        const half = addCreature('Half', [sol, nova]);
+
+        expect(lineage.getInbreedingCoefficient(sol.id, luna.id)).toBe(0);
+        expect(lineage.getInbreedingCoefficient(kit.id, pip.id)).toBe(0.25);   // full siblings
+        expect(lineage.getInbreedingCoefficient(kit.id, sol.id)).toBe(0.25);   // parent and offspring
+        expect(lineage.getInbreedingCoefficient(kit.id, half.id)).toBe(0.125); // half siblings
+
+        const inbred = addCreature('Echo', [kit, pip]);
+        expect(lineage.getCreatureInbreeding(inbred.id)).toBe(0.25);
+        // Echo's own inbreeding raises its coancestry with a sibling's offspring
+        expect(lineage.getCoancestry(inbred.id, inbred.id)).toBe(0.625);
+    });
+
+    test('assessPairing warns at half-sibling relatedness and lists shared ancestors', () => {
+        const sol = addCreature('Sol');
+        const luna = addCreature('Luna');
+        const nova = addCreature('Nova');
+        const kit = addCreature('Kit', [sol, luna]);
+        const half = addCreature('Half', [sol, nova]);
+
+        expect(lineage.assessPairing(kit.id, nova.id)).toEqual({ coefficient: 0, percent: 0, warning: false, commonAncestors: [] });
+        expect(lineage.assessPairing(kit.id, half.id)).toEqual({
+            coefficient: 0.125,
+            percent: 12.5,
+            warning: true,
+            commonAncestors: [{ id: sol.id, name: 'Sol' }]
+        });
+    });
+
+    test('pedigrees reach three ancestor generations through archived ancestors', () => {
+        // Great-grandparents that left the roster are still drawn from the archive
+        const founders = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'].map(name => ({ id: `crt-${name}`, name }));
+        lineage.archiveAncestors(founders);
+
+        const grandparents = [0, 2, 4, 6].map(index => addCreature(`G${index}`, [founders[index], founders[index + 1]]));
+        const parents = [addCreature('P0', grandparents.slice(0, 2)), addCreature('P1', grandparents.slice(2))];
+        const child = addCreature('Child', parents);
+
+        const pedigree = lineage.getPedigree(child.id, 3);
+        const greatGrandparent = pedigree.parents[0].parents[0].parents[0];
+
+        expect(pedigree.record.name).toBe('Child');
+        expect(pedigree.parents.map(node => node.record.name)).toEqual(['P0', 'P1']);
+        expect(greatGrandparent.record).toEqual(expect.objectContaining({ name: 'A', archived: true }));
+        expect(greatGrandparent.parents).toEqual([]);
+        expect(lineage.getGeneration(child.id)).toBe(3);
+    });
+
+    describe('shrine breeding', () => {
+        let starterId;
+        let partnerId;
+
+        beforeEach(() => {
+            manager.set('creature.name', 'Starter');
+            manager.completeHatching();
+            starterId = manager.get('creature.id');
+            partnerId = manager.addCreatureToRoster({ name: 'Pebble', rarity: 'rare' }).id;
+            manager.set('breedingShrine.unlocked', true);
+        });
+
+        test('offspring record parents, generation and trait origins, and parents are archived', () => {
+            const { egg } = manager.breedRosterCreatures(starterId, partnerId);
+            const child = manager.hatchEgg({ rarity: egg.rarity, offspring: egg.offspring });
+
+            expect(child.lineage.parentIds).toEqual([starterId, partnerId]);
+            expect(child.lineage.generation).toBe(1);
+            Object.entries(child.lineage.traitOrigins).forEach(([locusKey, origin]) => {
+                expect([starterId, partnerId, 'both', 'mutation']).toContain(origin.from);
+                expect(origin.value).toBe(window.Genome.expressLocus(locusKey, child.genome.loci[locusKey]));
+            });
+            expect(child.lineage.mutations).toEqual(egg.offspring.mutations);
+            expect(Object.keys(manager.get('lineage.ancestors'))).toEqual([starterId, partnerId]);
+        });
+
+        test('the preview and the breeding result warn about close relatives', () => {
+            const starter = manager.getRosterCreature(starterId);
+            const partner = manager.getRosterCreature(partnerId);
+            const sibling = addCreature('Sibling', [starter, partner]);
+            const warned = jest.fn();
+            manager.on('breedingCompleted', warned);
+
+            expect(manager.getBreedingPreview(starterId, partnerId).inbreeding.warning).toBe(false);
+            expect(manager.getBreedingPreview(sibling.id, starterId).inbreeding).toEqual(expect.objectContaining({
+                coefficient: 0.25,
+                warning: true
+            }));
+
+            const result = manager.breedRosterCreatures(sibling.id, starterId);
+            expect(result.inbreeding.warning).toBe(true);
+            expect(result.egg.offspring.lineage.generation).toBe(2);
+            expect(manager.get('breedingShrine.breedingHistory')[0].inbreeding).toBe(0.25);
+            expect(warned).toHaveBeenCalledWith(expect.objectContaining({ inbreeding: result.inbreeding }));
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for real-time creature needs and the offline fast-forward
+ */
+
+const NeedsSystem = require('../systems/NeedsSystem.js');
+const KidModeManager = require('../systems/KidMode.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('NeedsSystem', () => {
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+
+    let needs;
+    let manager;
+    let now;
+
+    const hatch = (stats = {}) => {
+        manager.addCreatureToRoster({ name: 'Nova', hatched: true, hatchTime: now - DAY });
+        Object.entries(stats).forEach(([need, value]) => manager.set(`creature.stats.${need}`, value));
+    };
+
+    beforeEach(() => {
+        now = Date.now();
+        manager = createGameState();
+        needs = new NeedsSystem();
+        window.NeedsSystem = needs;
+    });
+
+    afterEach(() => {
+        manager.stopAutoSave();
+        delete window.NeedsSystem;
+    });
+
+    test('needs decay at their own pace and old records count as fully cared for', () => {
+        const after = needs.simulate({ happiness: 100, energy: 100, health: 100 }, 5 * HOUR);
+
+        expect(after).toEqual({ hunger: 70, energy: 80, hygiene: 85, happiness: 90, health: 100 });
+    });
+
+    test('a week away never drops a need below its kid-friendly floor', () => {
+        const after = needs.simulate({ hunger: 100, energy: 100, hygiene: 100, happiness: 100, health: 100 }, 7 * DAY);
+
+        Object.entries(NeedsSystem.NEEDS).forEach(([need, { floor }]) => {
+            expect(after[need]).toBe(floor);
+        });
+
+        // Health only wears down while hunger or hygiene are low
+        expect(needs.simulate({ hunger: 100, hygiene: 100, health: 90 }, 5 * HOUR).health).toBe(90);
+        expect(needs.simulate({ hunger: 40, hygiene: 100, health: 90 }, 2 * HOUR).health).toBe(88);
+    });
+
+    test('loading a save fast-forwards the time since the game was last played', () => {
+        hatch({ hunger: 90, energy: 90, hygiene: 90, happiness: 90 });
+        const resting = manager.addCreatureToRoster({ name: 'Luna', hatched: true, hatchTime: now - DAY, stats: { happiness: 100, energy: 100, health: 100 } });
+        manager.set('player.lastPlayed', now - 10 * HOUR);
+
+        const fastForwarded = jest.fn();
+        manager.on('needsFastForwarded', fastForwarded);
+        needs.fastForward({ now });
+
+        expect(needs.getNeeds()).toMatchObject({ hunger: 30, energy: 50, hygiene: 60, happiness: 70 });
+        expect(fastForwarded).toHaveBeenCalledWith(expect.objectContaining({ elapsed: 10 * HOUR }));
+        expect(manager.getRosterCreature(resting.id).stats).toMatchObject({ hunger: 40, energy: 60, hygiene: 70, happiness: 80 });
+
+        // Real-time ticks continue from the fast-forward
+        needs.update(now + HOUR);
+        expect(needs.getNeeds().hunger).toBe(25);
+    });
+
+    test('care and food effects restore needs, and lowering effects respect the floors', () => {
+        hatch({ hunger: 30, energy: 27, hygiene: 60 });
+
+        const changed = jest.fn();
+        manager.on('needsChanged', changed);
+
+        expect(needs.applyEffects({ hunger: 30, sparkle: 5 }, 'food:cosmic_berry')).toEqual({ hunger: 30 });
+        expect(needs.applyEffects({ energy: -10, hygiene: -5 }, 'care:play')).toEqual({ energy: -2, hygiene: -5 });
+        expect(needs.getNeeds()).toMatchObject({ hunger: 60, energy: 25, hygiene: 55 });
+        expect(changed).toHaveBeenCalledWith(expect.objectContaining({ source: 'food:cosmic_berry' }));
+
+        expect(needs.applyEffects({ hunger: 80 })).toEqual({ hunger: 40 });
+        expect(needs.getNeeds().hunger).toBe(100);
+    });
+
+    test('Kid Mode suggests the action for the lowest need', () => {
+        const kidMode = new KidModeManager();
+
+        expect(kidMode.getEmotionFromNeeds({ hunger: 30, energy: 45, hygiene: 80, happiness: 90, health: 100 })).toBe('hungry');
+        expect(kidMode.getEmotionFromNeeds({ hunger: 90, energy: 90, hygiene: 26, happiness: 90, health: 100 })).toBe('dirty');
+        expect(kidMode.getEmotionFromNeeds({ hunger: 90, energy: 90, hygiene: 90, happiness: 90, health: 90 })).toBe('excited');
+        expect(kidMode.getEmotionFromNeeds({ hunger: 70, energy: 60, hygiene: 90, happiness: 90, health: 90 })).toBe('default');
+        expect(kidMode.lowNeedLevel).toBe(NeedsSystem.LOW_NEED_LEVEL);
+
+        expect(kidMode.getNextBestAction({ hunger: 80, energy: 30, hygiene: 80, happiness: 80, health: 100 }).action).toBe('rest');
+
+        // A low need beats the personality's favourite activity
+        const genetics = { species: 'Nova', personality: { core: 'playful', carePreferences: { play: 1.5 } } };
+        expect(kidMode.getNextBestAction({ hunger: 25, energy: 90, hygiene: 90, happiness: 90, health: 90 }, genetics).action).toBe('feed');
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for quest rotations, objectives, story chains and rewards
+ */
+
+const questsConfig = require('../config/quests.json');
+const RandomService = require('../systems/RandomService.js');
+const QuestSystem = require('../systems/QuestSystem.js');
+const { createEmitter, createGameState } = require('./helpers/testSetup.js');
+
+const quest = (id, objective, rewards = { coins: 10 }) => ({ id, title: id, description: id, icon: '📜', objective, rewards });
+
+describe('QuestSystem', () => {
+    let manager;
+    let quests;
+
+    const start = (config = JSON.parse(JSON.stringify(questsConfig))) => {
+        quests = new QuestSystem();
+        quests.configure(config);
+        window.QuestSystem = quests;
+        quests.initialize();
+        return quests;
+    };
+
+    beforeEach(() => {
+        manager = createGameState();
+        window.RandomService = new RandomService('quests-test');
+        window.EconomyManager = createEmitter({
+            addCoins: jest.fn((amount, source) => window.EconomyManager.emit('coins:added', { amount, source })),
+            addStardust: jest.fn()
+        });
+        window.EnemyManager = createEmitter();
+        window.InventoryManager = createEmitter({ addItem: jest.fn(() => true) });
+
+        manager.addCreatureToRoster({ name: 'Nova', genetics: { cosmicAffinity: { element: 'crystal' } } });
+    });
+
+    afterEach(() => {
+        quests?.destroy();
+        manager.stopAutoSave();
+        delete window.QuestSystem;
+        delete window.EconomyManager;
+        delete window.EnemyManager;
+        delete window.InventoryManager;
+    });
+
+    test('daily and weekly sets are fixed for their period and roll over', () => {
+        start();
+        const monday = new Date(2026, 9, 19, 9).getTime();
+        quests.refreshRotations(monday);
+
+        const daily = manager.get('quests.daily');
+        expect(daily.period).toBe('2026-10-19');
+        expect(daily.quests).toHaveLength(3);
+        expect(manager.get('quests.weekly.quests')).toHaveLength(2);
+
+        // Another instance on the same day agrees
+        const other = new QuestSystem();
+        other.configure(questsConfig);
+        expect(other.pickRotation('daily', '2026-10-19').map(entry => entry.id)).toEqual(daily.quests.map(entry => entry.id));
+
+        expect(quests.refreshRotations(monday + 3 * 60 * 60 * 1000)).toBe(false);
+        expect(quests.refreshRotations(monday + 24 * 60 * 60 * 1000)).toBe(true);
+        expect(manager.get('quests.daily.period')).toBe('2026-10-20');
+        expect(manager.get('quests.weekly.period')).toBe('2026-10-19');
+    });
+
+    test('objectives advance from coins, calmed enemies, new areas and care events', () => {
+        start({
+            rotations: { daily: { count: 4 }, weekly: { count: 0 } },
+            daily: [
+                quest('coins', { type: 'earnCoins', target: 20, sources: ['collection'] }, { coins: 25, xp: 10, stardust: 5 }),
+                quest('wisps', { type: 'calmEnemies', target: 2, enemyType: 'voidWisp' }),
+                quest('areas', { type: 'visitAreas', target: 2 }),
+                quest('feed', { type: 'careAction', target: 1, action: 'feed' })
+            ],
+            weekly: [],
+            story: []
+        });
+        const completed = jest.fn();
+        manager.on('questCompleted', completed);
+
+        window.EconomyManager.emit('coins:added', { amount: 15, source: 'collection' });
+        window.EconomyManager.emit('coins:added', { amount: 50, source: 'quest' });
+        window.EnemyManager.emit('wispCalmed', { type: 'voidWisp' });
+        window.EnemyManager.emit('wispCalmed', { type: 'shadowSprite' });
+        manager.updateWorldExploration({ x: 10, y: 10 });
+        manager.updateWorldExploration({ x: 20, y: 20 });
+        manager.emit('careActionPerformed', { action: 'play' });
+
+        const progress = () => Object.fromEntries(manager.get('quests.daily.quests').map(entry => [entry.id, entry.progress]));
+        expect(progress()).toEqual({ coins: 15, wisps: 1, areas: 1, feed: 0 });
+        expect(completed).not.toHaveBeenCalled();
+
+        window.EconomyManager.emit('coins:added', { amount: 10, source: 'collection' });
+        manager.emit('careActionPerformed', { action: 'feed' });
+
+        expect(progress()).toMatchObject({ coins: 20, feed: 1 });
+        expect(completed).toHaveBeenCalledWith(expect.objectContaining({
+            id: 'coins',
+            rotation: 'daily',
+            rewards: [
+                expect.objectContaining({ type: 'coins', amount: 25 }),
+                expect.objectContaining({ type: 'stardust', amount: 5 }),
+                expect.objectContaining({ type: 'xp', amount: 10 })
+            ]
+        }));
+        expect(window.EconomyManager.addCoins).toHaveBeenCalledWith(25, 'quest');
+        expect(window.EconomyManager.addStardust).toHaveBeenCalledWith(5, 'quest');
+        expect(manager.get('creature.experience')).toBe(10);
+        expect(manager.get('quests.completedCount')).toBe(2);
+
+        // Completed quests stay completed
+        window.EconomyManager.emit('coins:added', { amount: 10, source: 'collection' });
+        expect(completed).toHaveBeenCalledTimes(2);
+    });
+
+    test('story chains run in order and unlock the next chain by level', () => {
+        start();
+        const story = () => quests.getQuestLog().find(section => section.id === 'story').quests;
+
+        expect(story().map(entry => entry.id)).toEqual(['story_first_meal']);
+        expect(story()[0].chainTitle).toBe('A New Friend (1/3)');
+
+        manager.emit('careActionPerformed', { action: 'feed' });
+        expect(story()[0]).toMatchObject({ id: 'story_garden_walk', progress: 0, target: 2 });
+
+        manager.emit('objectDiscovered', { objectType: 'flowers' });
+        manager.emit('objectDiscovered', { objectType: 'flowers' });
+        window.EnemyManager.emit('wispCalmed', { type: 'shadowSprite' });
+
+        expect(manager.get('quests.story.first_steps.step')).toBe(3);
+        expect(window.InventoryManager.addItem).not.toHaveBeenCalled();
+
+        // Sanctuary Secrets waits for level 3
+        manager.set('creature.level', 1);
+        expect(story()).toEqual([]);
+        manager.set('creature.level', 3);
+        expect(story()[0]).toMatchObject({ id: 'story_explorer', chainTitle: 'Sanctuary Secrets (1/2)' });
+    });
+
+    test('favourite food quests follow the creature element', () => {
+        start({
+            rotations: { daily: { count: 1 }, weekly: { count: 0 } },
+            favoriteFoods: questsConfig.favoriteFoods,
+            daily: [questsConfig.daily.find(entry => entry.id === 'daily_favorite_snack')],
+            weekly: [],
+            story: []
+        });
+
+        const [daily] = quests.getQuestLog();
+        expect(daily.quests[0].description).toBe('Feed Nova a 🫐 Cosmic Berry');
+
+        window.InventoryManager.emit('itemUsed', { item: { id: 'stardust_treat', type: 'food' } });
+        expect(manager.get('quests.daily.quests.0.progress')).toBe(0);
+
+        window.InventoryManager.emit('itemUsed', { item: { id: 'cosmic_berry', type: 'food' } });
+        expect(manager.get('quests.daily.quests.0.completedAt')).toEqual(expect.any(Number));
+        expect(quests.getOpenQuestCount()).toBe(0);
+    });
+});
@@ -0,0 +1,291 @@
+/**
+ * Unit tests for the save migration pipeline
+ * Fixtures under fixtures/saves are real save trees from earlier builds
+ */
+
+require('../systems/storage/SaveStorage.js');
+require('../systems/RandomService.js');
+require('../systems/BreedingEngine.js');
+require('../systems/Genome.js');
+const SaveMigrator = require('../systems/storage/SaveMigrations.js');
+const GameStateManager = require('../systems/GameState.js');
+
+const launchSave = require('./fixtures/saves/v1.0.0-launch.json');
+const stampedSave = require('./fixtures/saves/v1.1.0-stamped-1.0.0.json');
+const singleCreatureSave = require('./fixtures/saves/v1.1.0-single-creature.json');
+const rosterSave = require('./fixtures/saves/v1.2.0-roster.json');
+const genesSave = require('./fixtures/saves/v1.3.0-codex-genes.json');
+const shrineSave = require('./fixtures/saves/v1.4.0-shrine-offspring.json');
+const lineageSave = require('./fixtures/saves/v1.5.0-lineage.json');
+const legacyAchievementsSave = require('./fixtures/saves/v1.6.0-legacy-achievements.json');
+const lastMinorSave = require('./fixtures/saves/v1.7.0-before-2.0.json');
+
+const currentShape = () => {
+    const manager = new GameStateManager();
+    const defaults = manager.createInitialState();
+    delete defaults.session;
+    return { defaults, version: manager.gameVersion };
+};
+
+describe('SaveMigrator', () => {
+    let migrator;
+
+    beforeEach(() => {
+        localStorage.clear();
+        migrator = new SaveMigrator();
+    });
+
+    describe('registered steps', () => {
+        test.each(SaveMigrator.SAVE_MIGRATIONS.map(step => [`${step.from} → ${step.to}`, step]))(
+            '%s keeps the launch save on the path to the current state shape',
+            (_label, step) => {
+                const { defaults, version } = currentShape();
+                const { data: upgraded } = migrator.migrate(launchSave, '1.0.0', step.to, { defaults });
+                expect(upgraded.version).toBe(step.to);
+
+                const { data: current } = migrator.migrate(upgraded, step.to, version, { defaults });
+                expect(migrator.validateShape(current, defaults)).toEqual([]);
+            }
+        );
+    });
+
+    test('1.0.0 launch save gains care tracking without losing the creature', () => {
+        const { defaults, version } = currentShape();
+        const { data, steps } = migrator.migrate(launchSave, '1.0.0', version, { defaults });
+
+        expect(steps).toEqual(['1.0.0 → 1.1.0', '1.1.0 → 1.2.0', '1.2.0 → 1.3.0', '1.3.0 → 1.4.0', '1.4.0 → 1.5.0', '1.5.0 → 1.6.0', '1.6.0 → 1.7.0']);
+        expect(data.version).toBe(version);
+        expect(data.creature).toEqual(expect.objectContaining({ name: 'Glimmer', level: 3, rarity: 'uncommon' }));
+        expect(data.creature.stats).toEqual({ happiness: 82, energy: 100, health: 100 });
+        expect(data.creature.care.lastCareTime).toBe(launchSave.creature.hatchTime);
+        expect(data.player.cosmicCoins).toBe(140);
+        expect(data.inventory.items).toHaveLength(1);
+        expect(migrator.validateShape(data, defaults)).toEqual([]);
+    });
+
+    test('saves stamped 1.0.0 by later builds keep their existing sections', () => {
+        const { defaults, version } = currentShape();
+        const { data } = migrator.migrate(stampedSave, '1.0.0', version, { defaults });
+
+        expect(data.creature.care).toEqual(stampedSave.creature.care);
+        expect(data.safety.kidProfile.nickname).toBe("Nova's Kid");
+        expect(data.creature.dna.bodyArchetype).toBe('serpentine');
+        expect(migrator.validateShape(data, defaults)).toEqual([]);
+    });
+
+    test('1.1.0 saves move the single creature into the roster', () => {
+        const { defaults, version } = currentShape();
+        const { data, steps } = migrator.migrate(singleCreatureSave, '1.1.0', version, { defaults });
+
+        expect(steps).toEqual(['1.1.0 → 1.2.0', '1.2.0 → 1.3.0', '1.3.0 → 1.4.0', '1.4.0 → 1.5.0', '1.5.0 → 1.6.0', '1.6.0 → 1.7.0']);
+        // The genetics id is kept so the memory timeline still matches
+        expect(data.creature.id).toBe('gen_m3x9q2');
+        expect(data.activeCreatureId).toBe('gen_m3x9q2');
+        expect(data.creatures).toHaveLength(1);
+        expect(data.creatures[0]).toEqual(expect.objectContaining({
+            id: 'gen_m3x9q2',
+            name: 'Orbit',
+            personalityState: singleCreatureSave.creature.personalityState
+        }));
+        expect(Object.keys(data.memory.creatures)).toEqual([data.creature.id]);
+        expect(migrator.validateShape(data, defaults)).toEqual([]);
+    });
+
+    test('1.2.0 saves gain codex discovery tracking', () => {
+        const { defaults, version } = currentShape();
+        const { data, steps } = migrator.migrate(rosterSave, '1.2.0', version, { defaults });
+
+        expect(steps).toEqual(['1.2.0 → 1.3.0', '1.3.0 → 1.4.0', '1.4.0 → 1.5.0', '1.5.0 → 1.6.0', '1.6.0 → 1.7.0']);
+        expect(data.codex).toEqual(expect.objectContaining({
+            byRarity: rosterSave.codex.byRarity,
+            entries: {},
+            milestonesClaimed: []
+        }));
+        expect(data.creatures.map(({ genome, genes, ...entry }) => entry))
+            .toEqual(rosterSave.creatures.map(({ genes, ...entry }) => entry));
+        expect(migrator.validateShape(data, defaults)).toEqual([]);
+    });
+
+    test('1.3.0 saves convert every creature to the unified genome', () => {
+        const { defaults, version } = currentShape();
+        const { data, steps } = migrator.migrate(genesSave, '1.3.0', version, { defaults });
+
+        expect(steps).toEqual(['1.3.0 → 1.4.0', '1.4.0 → 1.5.0', '1.5.0 → 1.6.0', '1.6.0 → 1.7.0']);
+        const [orbit, pebble] = data.creatures;
+
+        // Old display genes seed homozygous Mendelian loci
+        expect(orbit.genome.loci).toEqual(expect.objectContaining({
+            bodyShape: ['stocky', 'stocky'],
+            pattern: ['striped', 'striped'],
+            eyeColor: ['green', 'green'],
+            horns: ['small', 'small'],
+            species: ['stellarWyrm', 'stellarWyrm'],
+            bodyArchetype: ['serpentine', 'serpentine'],
+            cosmicElement: ['nebula', 'nebula']
+        }));
+        expect(orbit.genome.axes).toEqual(genesSave.creature.personalityState.axes);
+        expect(orbit.genes.bodyShape).toEqual(['stocky', 'stocky']);
+        expect(data.creature.genome).toEqual(orbit.genome);
+
+        // Mendelian genes that were already allele pairs are kept
+        expect(pebble.genes).toEqual(genesSave.creatures[1].genes);
+        expect(pebble.genome.colors).toEqual({ primary: 4286945, secondary: 4286945, accent: 11393254 });
+        expect(migrator.validateShape(data, defaults)).toEqual([]);
+    });
+
+    test('1.4.0 shrine offspring keep their parents as lineage', () => {
+        const { defaults, version } = currentShape();
+        const { data, steps } = migrator.migrate(shrineSave, '1.4.0', version, { defaults });
+
+        expect(steps).toEqual(['1.4.0 → 1.5.0', '1.5.0 → 1.6.0', '1.6.0 → 1.7.0']);
+        expect(data.lineage).toEqual({ ancestors: {} });
+
+        const [orbit, pebble, sprout] = data.creatures;
+        expect(sprout.lineage).toEqual({
+            parentIds: [orbit.id, pebble.id],
+            generation: 1,
+            traitOrigins: {},
+            mutations: []
+        });
+        expect(sprout.parentIds).toBeUndefined();
+        expect(orbit.lineage).toBeUndefined();
+        expect(sprout.genome).toEqual(shrineSave.creatures[2].genome);
+        expect(migrator.validateShape(data, defaults)).toEqual([]);
+    });
+
+    test('1.5.0 saves gain an empty trade ledger', () => {
+        const { defaults, version } = currentShape();
+        const { data, steps } = migrator.migrate(lineageSave, '1.5.0', version, { defaults });
+
+        expect(steps).toEqual(['1.5.0 → 1.6.0', '1.6.0 → 1.7.0']);
+        expect(data.trading).toEqual({ saveId: null, pendingOffers: {}, consumedOffers: {} });
+        expect(data.creatures).toEqual(lineageSave.creatures);
+        expect(data.player.cosmicCoins).toBe(260);
+        expect(migrator.validateShape(data, defaults)).toEqual([]);
+    });
+
+    test('1.6.0 achievement flags become timestamped bronze tiers', () => {
+        const { defaults, version } = currentShape();
+        const { data, steps } = migrator.migrate(legacyAchievementsSave, '1.6.0', version, { defaults });
+
+        expect(steps).toEqual(['1.6.0 → 1.7.0']);
+        expect(data.unlocks.achievements).toEqual([
+            { id: 'firstSteps', tier: 'bronze', unlockedAt: legacyAchievementsSave.savedAt },
+            { id: 'flowerFriend', tier: 'bronze', unlockedAt: 1761000000000 },
+            { id: 'explorer', tier: 'bronze', unlockedAt: 1761500000000 }
+        ]);
+        expect(data.achievements).toBeUndefined();
+        expect(data.achievementCounters).toEqual({});
+        expect(migrator.validateShape(data, defaults)).toEqual([]);
+    });
+
+    test('migration does not mutate the source save', () => {
+        const { defaults, version } = currentShape();
+        const before = JSON.stringify(launchSave);
+
+        migrator.migrate(launchSave, '1.0.0', version, { defaults });
+
+        expect(JSON.stringify(launchSave)).toBe(before);
+    });
+
+    describe('path resolution', () => {
+        const chain = new SaveMigrator([
+            { from: '1.1.0', to: '2.0.0', migrate: save => ({ ...save, roster: [save.creature] }) },
+            { from: '1.0.0', to: '1.1.0', migrate: save => ({ ...save, care: true }) }
+        ]);
+
+        test('runs steps in order across a major bump', () => {
+            const { data, steps } = chain.migrate({ creature: { name: 'Old' } }, '1.0.0', '2.0.0');
+
+            expect(steps).toEqual(['1.0.0 → 1.1.0', '1.1.0 → 2.0.0']);
+            expect(data).toEqual({ creature: { name: 'Old' }, care: true, roster: [{ name: 'Old' }], version: '2.0.0' });
+        });
+
+        test('patch versions join the next registered step', () => {
+            expect(chain.getPath('1.0.4', '2.0.0').map(step => step.to)).toEqual(['1.1.0', '2.0.0']);
+        });
+
+        test('rejects newer saves and majors without a step', () => {
+            expect(chain.canMigrate('2.1.0', '2.0.0')).toBe(false);
+            expect(chain.canMigrate('1.1.0', '3.0.0')).toBe(false);
+            expect(chain.canMigrate('2.0.0', '2.0.3')).toBe(true);
+        });
+    });
+
+    describe('major upgrade to 2.0.0', () => {
+        // Example 2.0 step: the roster becomes the only creature store
+        const toV2 = {
+            from: '1.7.0',
+            to: '2.0.0',
+            description: 'Drop the active creature mirror; activeCreatureId points into creatures[]',
+            migrate(save) {
+                const { creature, ...rest } = save;
+                return { ...rest, activeCreatureId: save.activeCreatureId ?? creature?.id ?? null };
+            }
+        };
+        const v2Migrator = new SaveMigrator([...SaveMigrator.SAVE_MIGRATIONS, toV2]);
+
+        test('1.x saves only cross into 2.0.0 through a registered major step', () => {
+            expect(migrator.isMajorUpgrade(lastMinorSave.version, '2.0.0')).toBe(true);
+            expect(migrator.canMigrate(lastMinorSave.version, '2.0.0')).toBe(false);
+            expect(v2Migrator.canMigrate(lastMinorSave.version, '2.0.0')).toBe(true);
+            expect(v2Migrator.canMigrate('1.0.0', '2.0.0')).toBe(true);
+        });
+
+        test('the last 1.x save keeps its roster, coins, achievements and trade ledger', () => {
+            expect(migrator.validateShape(lastMinorSave, currentShape().defaults)).toEqual([]);
+
+            const { data, steps } = v2Migrator.migrate(lastMinorSave, '1.7.0', '2.0.0');
+
+            expect(steps).toEqual(['1.7.0 → 2.0.0']);
+            expect(data.version).toBe('2.0.0');
+            expect(data.creature).toBeUndefined();
+            expect(data.activeCreatureId).toBe(lastMinorSave.activeCreatureId);
+            expect(data.creatures).toEqual(lastMinorSave.creatures);
+            expect(data.player.cosmicCoins).toBe(410);
+            expect(data.unlocks.achievements).toEqual(lastMinorSave.unlocks.achievements);
+            expect(data.achievementCounters).toEqual({ wispWhisperer: 14, firstCare: 38 });
+            expect(data.trading).toEqual(lastMinorSave.trading);
+        });
+
+        test('launch saves run the whole 1.x chain before the major step', () => {
+            const { defaults } = currentShape();
+            const { data, steps } = v2Migrator.migrate(launchSave, '1.0.0', '2.0.0', { defaults });
+
+            expect(steps).toHaveLength(SaveMigrator.SAVE_MIGRATIONS.length + 1);
+            expect(steps[steps.length - 1]).toBe('1.7.0 → 2.0.0');
+            expect(data.version).toBe('2.0.0');
+            expect(data.creature).toBeUndefined();
+            expect(data.creatures.find(entry => entry.id === data.activeCreatureId)).toEqual(
+                expect.objectContaining({ name: 'Glimmer', level: 3 })
+            );
+            expect(data.player.cosmicCoins).toBe(140);
+        });
+    });
+
+    test('GameState.load() upgrades a launch save instead of wiping it', () => {
+        localStorage.setItem('mythical-creature-save', JSON.stringify(launchSave));
+        const manager = new GameStateManager();
+        const migratedSpy = jest.fn();
+        manager.on('saveMigrated', migratedSpy);
+
+        expect(manager.load()).toBe(true);
+        expect(manager.get('creature.name')).toBe('Glimmer');
+        expect(manager.get('version')).toBe(manager.gameVersion);
+        expect(migratedSpy).toHaveBeenCalledWith(expect.objectContaining({
+            fromVersion: '1.0.0',
+            steps: ['1.0.0 → 1.1.0', '1.1.0 → 1.2.0', '1.2.0 → 1.3.0', '1.3.0 → 1.4.0', '1.4.0 → 1.5.0', '1.5.0 → 1.6.0', '1.6.0 → 1.7.0'],
+            issues: []
+        }));
+    });
+
+    test('GameState.load() backs up saves from a newer build', () => {
+        const futureSave = JSON.stringify({ ...stampedSave, version: '9.0.0' });
+        localStorage.setItem('mythical-creature-save', futureSave);
+        const manager = new GameStateManager();
+
+        expect(manager.load()).toBe(false);
+        expect(localStorage.getItem('mythical-creature-save_backup_9.0.0')).toBe(futureSave);
+        expect(manager.get('creature.hatched')).toBe(false);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the SaveStorage backend chain
+ * IndexedDB is not available in jsdom, so an in-memory async adapter stands in for it
+ */
+
+const SaveStorage = require('../systems/storage/SaveStorage.js');
+
+const { LocalStorageAdapter, MemoryStorageAdapter } = SaveStorage;
+
+class FakeAsyncAdapter {
+    constructor(initial = {}) {
+        this.name = 'indexedDB';
+        this.synchronous = false;
+        this.entries = new Map(Object.entries(initial));
+        this.failWrites = null;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async open() {}
+
+    async readAll(prefix) {
+        return Array.from(this.entries).filter(([key]) => key.startsWith(prefix));
+    }
+
+    async write(key, value) {
+        if (this.failWrites) throw this.failWrites;
+        this.entries.set(key, value);
+    }
+
+    async remove(key) {
+        this.entries.delete(key);
+    }
+}
+
+describe('SaveStorage', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('uses localStorage synchronously before prepare()', () => {
+        const storage = new SaveStorage([new FakeAsyncAdapter(), new LocalStorageAdapter(), new MemoryStorageAdapter()]);
+
+        storage.setItem('mythical-creature-save', '{"a":1}');
+
+        expect(storage.mode).toBe('localStorage');
+        expect(localStorage.getItem('mythical-creature-save')).toBe('{"a":1}');
+    });
+
+    test('prepare() migrates localStorage saves into the async backend', async () => {
+        localStorage.setItem('mythical-creature-save', 'legacy');
+        localStorage.setItem('mythical-creature-slots', 'index');
+        localStorage.setItem('darkMode', 'true');
+
+        const idb = new FakeAsyncAdapter({ 'mythical-creature-slots': 'newer-index' });
+        const storage = new SaveStorage([idb, new LocalStorageAdapter(), new MemoryStorageAdapter()]);
+
+        await expect(storage.prepare()).resolves.toBe('indexedDB');
+
+        expect(idb.entries.get('mythical-creature-save')).toBe('legacy');
+        // Entries already in IndexedDB win over stale localStorage copies
+        expect(storage.getItem('mythical-creature-slots')).toBe('newer-index');
+        expect(localStorage.getItem('mythical-creature-save')).toBeNull();
+        // Unrelated keys are left alone
+        expect(localStorage.getItem('darkMode')).toBe('true');
+    });
+
+    test('a newer localStorage save replaces an older IndexedDB copy', async () => {
+        const older = JSON.stringify({ savedAt: 1000, player: { cosmicCoins: 10 } });
+        const newer = JSON.stringify({ savedAt: 2000, player: { cosmicCoins: 90 } });
+        const newest = JSON.stringify({ savedAt: 3000, player: { cosmicCoins: 5 } });
+        localStorage.setItem('mythical-creature-save', newer);
+        localStorage.setItem('mythical-creature-slot-2', newer);
+
+        const idb = new FakeAsyncAdapter({
+            'mythical-creature-save': older,
+            'mythical-creature-slot-2': newest
+        });
+        const storage = new SaveStorage([idb, new LocalStorageAdapter(), new MemoryStorageAdapter()]);
+        await storage.prepare();
+
+        expect(storage.getItem('mythical-creature-save')).toBe(newer);
+        expect(idb.entries.get('mythical-creature-save')).toBe(newer);
+        expect(localStorage.getItem('mythical-creature-save')).toBeNull();
+
+        // The older localStorage copy loses and is not deleted, since it was never migrated
+        expect(storage.getItem('mythical-creature-slot-2')).toBe(newest);
+        expect(localStorage.getItem('mythical-creature-slot-2')).toBe(newer);
+    });
+
+    test('the slot index moves into IndexedDB with the saves it lists', async () => {
+        const idbIndex = JSON.stringify({ savedAt: 1000, slots: [{ id: 'default' }] });
+        const localIndex = JSON.stringify({ savedAt: 2000, slots: [{ id: 'default' }, { id: 'slot-2' }] });
+        localStorage.setItem('mythical-creature-slots', localIndex);
+        localStorage.setItem('mythical-creature-save:slot-2', JSON.stringify({ savedAt: 2000 }));
+
+        const idb = new FakeAsyncAdapter({ 'mythical-creature-slots': idbIndex });
+        const storage = new SaveStorage([idb, new LocalStorageAdapter(), new MemoryStorageAdapter()]);
+        await storage.prepare();
+
+        expect(idb.entries.get('mythical-creature-slots')).toBe(localIndex);
+        expect(storage.getItem('mythical-creature-slots')).toBe(localIndex);
+        expect(localStorage.getItem('mythical-creature-slots')).toBeNull();
+    });
+
+    test('an unstamped slot index follows the newer saves', async () => {
+        localStorage.setItem('mythical-creature-save', JSON.stringify({ savedAt: 2000 }));
+        localStorage.setItem('mythical-creature-slots', 'index-from-fallback');
+
+        const idb = new FakeAsyncAdapter({
+            'mythical-creature-save': JSON.stringify({ savedAt: 1000 }),
+            'mythical-creature-slots': 'index-from-before'
+        });
+        const storage = new SaveStorage([idb, new LocalStorageAdapter(), new MemoryStorageAdapter()]);
+        await storage.prepare();
+
+        expect(storage.getItem('mythical-creature-slots')).toBe('index-from-fallback');
+        expect(idb.entries.get('mythical-creature-slots')).toBe('index-from-fallback');
+    });
+
+    test('falls back to localStorage when an async write fails', async () => {
+        const idb = new FakeAsyncAdapter();
+        const storage = new SaveStorage([idb, new LocalStorageAdapter(), new MemoryStorageAdapter()]);
+        await storage.prepare();
+
+        const onModeChange = jest.fn();
+        storage.onModeChange = onModeChange;
+
+        const quotaError = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+        idb.failWrites = quotaError;
+        storage.setItem('mythical-creature-save', 'payload');
+        await storage.flush();
+
+        expect(storage.mode).toBe('localStorage');
+        expect(localStorage.getItem('mythical-creature-save')).toBe('payload');
+        expect(onModeChange).toHaveBeenCalledWith('localStorage', expect.objectContaining({
+            quotaExceeded: true,
+            from: 'indexedDB'
+        }));
+    });
+
+    test('ends in memory mode when nothing persistent is available', async () => {
+        const brokenLocal = new LocalStorageAdapter();
+        brokenLocal.isAvailable = () => false;
+
+        const storage = new SaveStorage([brokenLocal, new MemoryStorageAdapter()]);
+        await storage.prepare();
+
+        storage.setItem('mythical-creature-save', 'volatile');
+        expect(storage.mode).toBe('memory');
+        expect(storage.persistent).toBe(false);
+        expect(storage.getItem('mythical-creature-save')).toBe('volatile');
+    });
+
+    test('estimate() reports navigator.storage numbers when available', async () => {
+        Object.defineProperty(navigator, 'storage', {
+            configurable: true,
+            value: { estimate: jest.fn().mockResolvedValue({ usage: 250, quota: 1000 }) }
+        });
+
+        const storage = new SaveStorage([new LocalStorageAdapter()]);
+        const quota = await storage.estimate();
+
+        expect(quota).toEqual(expect.objectContaining({
+            used: 250,
+            quota: 1000,
+            available: 750,
+            percentUsed: 25,
+            source: 'navigator.storage'
+        }));
+
+        delete navigator.storage;
+    });
+});
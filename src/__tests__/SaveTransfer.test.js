@@ -0,0 +1,174 @@
+/**
+ * Unit tests for save file export/import
+ */
+
+const SaveTransfer = require('../systems/storage/SaveTransfer.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+const launchSave = require('./fixtures/saves/v1.0.0-launch.json');
+
+describe('SaveTransfer', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = createGameState({ install: false });
+        manager.set('creature.hatched', true);
+        manager.set('creature.name', 'Comet');
+        manager.set('creature.level', 7);
+        manager.set('creature.rarity', 'epic');
+        manager.set('player.cosmicCoins', 320);
+    });
+
+    afterEach(() => {
+        manager.stopAutoSave();
+        jest.useRealTimers();
+    });
+
+    test('export round-trips into another slot with a creature preview', () => {
+        const envelope = manager.exportSave();
+
+        expect(envelope.format).toBe(SaveTransfer.SAVE_FILE_FORMAT);
+        expect(envelope.schemaVersion).toBe(manager.gameVersion);
+        expect(envelope.data.session).toBeUndefined();
+
+        const slot = manager.createSaveSlot('Imported');
+        manager.switchSaveSlot(slot.id);
+
+        const result = manager.readSaveImport(JSON.stringify(envelope));
+        expect(result.ok).toBe(true);
+        expect(result.preview).toEqual(expect.objectContaining({
+            creatureName: 'Comet',
+            level: 7,
+            rarity: 'epic',
+            cosmicCoins: 320
+        }));
+
+        expect(manager.importSave(result)).toBe(true);
+        expect(manager.get('creature.name')).toBe('Comet');
+        expect(manager.get('session.currentScene')).toBe('HatchingScene');
+        expect(manager.getActiveSlot().summary.creatureName).toBe('Comet');
+    });
+
+    test('checksum ignores key order but catches edits', () => {
+        const envelope = manager.exportSave();
+        const reordered = { ...envelope, data: Object.fromEntries(Object.entries(envelope.data).reverse()) };
+        expect(manager.readSaveImport(JSON.stringify(reordered)).ok).toBe(true);
+
+        envelope.data.player.cosmicCoins = 999999;
+        const result = manager.readSaveImport(JSON.stringify(envelope));
+
+        expect(result).toEqual(expect.objectContaining({ ok: false, reason: 'tampered' }));
+        expect(manager.importSave(result)).toBe(false);
+        expect(manager.get('player.cosmicCoins')).toBe(320);
+    });
+
+    test('checksum covers the schema version that picks the migration steps', () => {
+        const envelope = manager.exportSave();
+
+        expect(manager.readSaveImport(JSON.stringify({ ...envelope, schemaVersion: '1.0.0' }))).toEqual(
+            expect.objectContaining({ ok: false, reason: 'tampered' })
+        );
+    });
+
+    test('format 1 files (checksum over data only) still import', () => {
+        const { data } = manager.exportSave();
+        const legacy = { format: SaveTransfer.SAVE_FILE_FORMAT, formatVersion: 1, schemaVersion: '1.0.0', checksum: SaveTransfer.checksum(data), data };
+
+        const result = manager.readSaveImport(JSON.stringify(legacy));
+        expect(result).toEqual(expect.objectContaining({ ok: true, schemaVersion: manager.gameVersion, steps: [] }));
+    });
+
+    test.each([
+        ['empty file', '', 'malformed'],
+        ['invalid JSON', '{"format": "mythical-void-save"', 'malformed'],
+        ['another app\'s JSON', JSON.stringify({ hello: 'world' }), 'not_a_save'],
+        ['missing data', JSON.stringify({ format: 'mythical-void-save', formatVersion: 1, checksum: 'x' }), 'malformed']
+    ])('rejects %s', (_label, text, reason) => {
+        const rejected = jest.fn();
+        manager.on('saveImportRejected', rejected);
+
+        expect(manager.readSaveImport(text)).toEqual(expect.objectContaining({ ok: false, reason }));
+        expect(rejected).toHaveBeenCalledWith(expect.objectContaining({ reason }));
+    });
+
+    test('exports from older builds are migrated on import', () => {
+        const transfer = new SaveTransfer();
+        const envelope = transfer.createEnvelope(launchSave, '1.0.0');
+
+        const result = manager.readSaveImport(JSON.stringify(envelope));
+
+        expect(result.ok).toBe(true);
+        expect(result.steps).toEqual(['1.0.0 → 1.1.0', '1.1.0 → 1.2.0', '1.2.0 → 1.3.0', '1.3.0 → 1.4.0', '1.4.0 → 1.5.0', '1.5.0 → 1.6.0', '1.6.0 → 1.7.0']);
+        expect(result.data.creature.care).toBeDefined();
+        expect(result.preview.creatureName).toBe('Glimmer');
+    });
+
+    test('exports from newer builds are refused', () => {
+        const transfer = new SaveTransfer();
+        const envelope = transfer.createEnvelope({ ...manager.get(), version: '9.0.0' }, '9.0.0');
+
+        expect(manager.readSaveImport(JSON.stringify(envelope))).toEqual(
+            expect.objectContaining({ ok: false, reason: 'unsupported_version' })
+        );
+    });
+
+    test('imports keep the trade ledger and refuse saves from before the last trade', () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+        const beforeTrade = manager.exportSave();
+
+        // Pebble goes into escrow, then the trade completes an hour later
+        const escrow = { nonce: 'OFFER-1', toTradeId: 'K7QM-2XPA', creature: { name: 'Pebble' }, coins: 0, createdAt: Date.now() };
+        manager.set('trading.pendingOffers', { 'OFFER-1': escrow });
+        const duringTrade = manager.exportSave();
+        jest.setSystemTime(new Date('2026-03-01T11:00:00Z'));
+        manager.set('trading.pendingOffers', {});
+        manager.set('trading.consumedOffers', { 'OFFER-1': { role: 'sent', completedAt: Date.now() } });
+
+        expect(manager.readSaveImport(JSON.stringify(beforeTrade))).toEqual(
+            expect.objectContaining({ ok: false, reason: 'trade_rollback' })
+        );
+        expect(manager.importSave({ ok: true, data: beforeTrade.data })).toBe(false);
+
+        // A later copy still holding the old escrow and a ledger of its own
+        jest.setSystemTime(new Date('2026-03-01T12:00:00Z'));
+        const laterCopy = new SaveTransfer().createEnvelope({
+            ...duringTrade.data,
+            savedAt: Date.now(),
+            trading: { ...duringTrade.data.trading, consumedOffers: { 'OFFER-0': { role: 'received', completedAt: Date.now() } } }
+        }, manager.gameVersion);
+
+        expect(manager.importSave(manager.readSaveImport(JSON.stringify(laterCopy)))).toBe(true);
+        expect(Object.keys(manager.get('trading.consumedOffers')).sort()).toEqual(['OFFER-0', 'OFFER-1']);
+        expect(manager.get('trading.pendingOffers')).toEqual({});
+    });
+
+    test('files over the import limit are reported as too large, not empty', async () => {
+        const click = jest.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(() => {});
+        const picked = new SaveTransfer().pickFile();
+
+        const input = document.querySelector('input[type="file"]');
+        Object.defineProperty(input, 'files', { value: [{ size: 6 * 1024 * 1024 }] });
+        input.dispatchEvent(new Event('change'));
+
+        const text = await picked;
+        expect(text).toBe(SaveTransfer.FILE_TOO_LARGE);
+        expect(manager.readSaveImport(text)).toEqual(
+            expect.objectContaining({ ok: false, reason: 'too_large', message: 'The file is too large to be a save.' })
+        );
+        click.mockRestore();
+    });
+
+    test('closing the file picker without a file resolves null', async () => {
+        const click = jest.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(() => {});
+        const picked = new SaveTransfer().pickFile();
+
+        const input = document.querySelector('input[type="file"]');
+        expect(input).not.toBeNull();
+        input.dispatchEvent(new Event('cancel'));
+
+        await expect(picked).resolves.toBeNull();
+        expect(document.querySelector('input[type="file"]')).toBeNull();
+        click.mockRestore();
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for creature share codes and visiting creatures
+ */
+
+require('../systems/InputValidator.js');
+const ShareCode = require('../systems/ShareCode.js');
+const CodexSystem = require('../systems/CodexSystem.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('ShareCode', () => {
+    let shareCode;
+    let manager;
+
+    const orbit = {
+        name: 'Orbit',
+        rarity: 'epic',
+        genetics: {
+            id: 'gen-orbit',
+            species: 'crystalDrake',
+            rarity: 'epic',
+            traits: { colorGenome: { primary: 0x4FC3F7, secondary: 0xF48FB1, accent: 0xFFD700 } }
+        },
+        dna: {
+            id: 'dna-orbit',
+            bodyArchetype: 'winged',
+            headArchetype: 'cervine',
+            hybridTag: 'dual-hybrid',
+            elementalAura: 'shadow-soft',
+            temperament: 'shy',
+            energyLevel: 'hyper',
+            curiosity: 'high',
+            attachmentStyle: 'clingy',
+            favouriteCareAction: 'grooming',
+            raritySignature: 'epic'
+        }
+    };
+
+    // Replace one character of a formatted code with a different alphabet symbol
+    const withTypo = (code, index) => {
+        const chars = shareCode.normalize(code).split('');
+        chars[index] = chars[index] === 'A' ? 'B' : 'A';
+        return chars.join('');
+    };
+
+    beforeEach(() => {
+        shareCode = new ShareCode();
+        window.ShareCode = shareCode;
+        manager = createGameState();
+    });
+
+    afterEach(() => {
+        manager.stopAutoSave();
+    });
+
+    test('codes are 16 base32 characters in groups of four', () => {
+        const code = shareCode.encode(orbit);
+
+        expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){3}$/);
+        expect(shareCode.normalize(code)).toHaveLength(ShareCode.CODE_LENGTH);
+    });
+
+    test('decoding restores species, rarity, DNA traits and colors', () => {
+        const decoded = shareCode.decode(shareCode.encode(orbit));
+
+        expect(decoded.valid).toBe(true);
+        expect(decoded.creature.species).toBe('crystalDrake');
+        expect(decoded.creature.rarity).toBe('epic');
+        expect(decoded.creature.dna).toEqual({
+            bodyArchetype: 'winged',
+            headArchetype: 'cervine',
+            hybridTag: 'dual-hybrid',
+            elementalAura: 'shadow-soft',
+            temperament: 'shy',
+            energyLevel: 'hyper',
+            curiosity: 'high',
+            attachmentStyle: 'clingy',
+            favouriteCareAction: 'grooming'
+        });
+        // Colors keep 4 bits per channel
+        expect(decoded.creature.colors).toEqual({ primary: 0x44CCFF, secondary: 0xFF88BB, accent: 0xFFDD00 });
+    });
+
+    test('reading is forgiving about case, dashes and look-alike letters', () => {
+        const code = shareCode.encode(orbit);
+        const typed = code.toLowerCase().replace(/-/g, ' ').replace(/1/g, 'l').replace(/0/g, 'o');
+
+        expect(shareCode.decode(typed).code).toBe(code);
+    });
+
+    test('checksum catches single typos and swapped neighbours', () => {
+        const code = shareCode.encode(orbit);
+        const normalized = shareCode.normalize(code);
+
+        for (let i = 0; i < normalized.length; i++) {
+            expect(shareCode.decode(withTypo(code, i)).valid).toBe(false);
+        }
+
+        for (let i = 0; i < normalized.length - 1; i++) {
+            if (normalized[i] === normalized[i + 1]) continue;
+            const chars = normalized.split('');
+            [chars[i], chars[i + 1]] = [chars[i + 1], chars[i]];
+            expect(shareCode.decode(chars.join('')).valid).toBe(false);
+        }
+    });
+
+    test('InputValidator rejects bad codes with friendly messages', () => {
+        const code = shareCode.encode(orbit);
+
+        expect(window.InputValidator.validate('', 'shareCode').errors[0]).toMatch(/Type in/);
+        expect(window.InputValidator.validate('<script>', 'shareCode').isValid).toBe(false);
+        expect(window.InputValidator.validate(code.slice(0, -2), 'shareCode').errors[0]).toMatch(/16 letters/);
+        expect(window.InputValidator.validate(withTypo(code, 3), 'shareCode').errors[0]).toMatch(/doesn't look right/);
+
+        const valid = window.InputValidator.validate(code.toLowerCase(), 'shareCode');
+        expect(valid.isValid).toBe(true);
+        expect(valid.sanitized).toBe(code);
+        expect(valid.decoded.creature.species).toBe('crystalDrake');
+    });
+
+    test('roster creatures share their own code', () => {
+        const record = manager.addCreatureToRoster(orbit);
+
+        expect(manager.getCreatureShareCode(record.id)).toBe(shareCode.encode(orbit));
+    });
+
+    test('visitors stay out of the roster, save and codex', () => {
+        const codex = new CodexSystem();
+        const arrived = jest.fn();
+        manager.on('visitorArrived', arrived);
+
+        const result = manager.addVisitingCreature(shareCode.encode(orbit));
+
+        expect(result.success).toBe(true);
+        expect(result.visitor.visiting).toBe(true);
+        expect(arrived).toHaveBeenCalledWith({ visitor: expect.objectContaining({ id: result.visitor.id }) });
+        expect(manager.getVisitingCreatures()).toHaveLength(1);
+        expect(manager.getRoster()).toHaveLength(0);
+        expect(manager.addCreatureToRoster(result.visitor)).toBeNull();
+        expect(JSON.stringify(manager.get())).not.toContain(result.visitor.id);
+
+        codex.refresh();
+        expect(manager.get('codex.discovered')).toBe(0);
+        codex.destroy();
+
+        expect(manager.addVisitingCreature(shareCode.encode(orbit)).error).toMatch(/already visiting/);
+        expect(manager.removeVisitingCreature(result.visitor.id)).toBe(true);
+        expect(manager.getVisitingCreatures()).toHaveLength(0);
+    });
+
+    test('bad codes never create visitors', () => {
+        const result = manager.addVisitingCreature('ABCD-EFGH');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/16 letters/);
+        expect(manager.getVisitingCreatures()).toHaveLength(0);
+    });
+});
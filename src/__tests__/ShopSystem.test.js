@@ -0,0 +1,294 @@
+/**
+ * Unit tests for the data-driven shop: featured shelf, discounts, stock, level gates, bundles,
+ * Stardust cosmetics and selling back to the Void Merchant
+ */
+
+require('../systems/RandomService.js');
+const shopConfig = require('../config/shop.json');
+const itemsConfig = require('../config/items.json');
+const ShopSystem = require('../systems/ShopSystem.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('ShopSystem', () => {
+    let manager;
+    let shop;
+    let coins;
+    let stardust;
+    let delivered;
+    let owned;
+
+    const DAY_ONE = new Date(2026, 9, 19, 10, 0, 0).getTime();
+    const DAY_TWO = new Date(2026, 9, 20, 9, 0, 0).getTime();
+
+    const createShop = () => {
+        const instance = new ShopSystem();
+        const { items, cosmetics } = JSON.parse(JSON.stringify(itemsConfig));
+        instance.configure({ ...JSON.parse(JSON.stringify(shopConfig)), items, cosmetics });
+        instance.initialize();
+        return instance;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(DAY_ONE);
+        manager = createGameState();
+        manager.set('creature.level', 1);
+
+        coins = 1000;
+        stardust = 50;
+        delivered = [];
+        owned = [];
+        window.EconomyManager = {
+            canAfford: jest.fn(price => coins >= price),
+            purchase: jest.fn(price => {
+                if (coins < price) return false;
+                coins -= price;
+                return true;
+            }),
+            addCoins: jest.fn(amount => {
+                coins += amount;
+            }),
+            canAffordStardust: jest.fn(price => stardust >= price),
+            spendStardust: jest.fn(price => {
+                if (stardust < price) return false;
+                stardust -= price;
+                return true;
+            }),
+            addStardust: jest.fn(amount => {
+                stardust += amount;
+            })
+        };
+        window.InventoryManager = {
+            addItem: jest.fn(item => {
+                delivered.push(item.id);
+                return true;
+            }),
+            getAvailableSlots: jest.fn(() => 30),
+            getAllItems: () => [...owned],
+            getItem: slot => owned[slot] || null,
+            removeItem: jest.fn((slot, quantity) => {
+                const item = owned[slot];
+                if (!item) return false;
+                if ((item.quantity || 1) <= quantity) owned.splice(slot, 1);
+                else item.quantity -= quantity;
+                return true;
+            })
+        };
+
+        shop = createShop();
+    });
+
+    afterEach(() => {
+        manager.stopAutoSave();
+        delete window.EconomyManager;
+        delete window.InventoryManager;
+        jest.useRealTimers();
+    });
+
+    test('the featured shelf is picked from the date and survives a reload', () => {
+        const featured = shop.getState().featured;
+        expect(featured).toHaveLength(shopConfig.featured.count);
+        featured.forEach(offerId => expect(shopConfig.featured.pool).toContain(offerId));
+
+        expect(createShop().getState().featured).toEqual(featured);
+        expect(shop.pickFeatured(shop.getState().day)).toEqual(featured);
+
+        const offers = shop.getCategoryOffers('featured');
+        expect(offers.map(offer => offer.offerId)).toEqual(featured);
+        offers.forEach(offer => {
+            const base = shopConfig.offers.find(entry => entry.id === offer.offerId);
+            expect(offer).toMatchObject({
+                id: `featured:${offer.offerId}`,
+                featured: true,
+                basePrice: base.price,
+                price: Math.round(base.price * (1 - shopConfig.featured.discount)),
+                stock: { quantity: 1, per: 'day', remaining: 1 }
+            });
+        });
+    });
+
+    test('featured stock runs out and comes back the next day', () => {
+        manager.set('creature.level', 10);
+        const [offer] = shop.getCategoryOffers('featured');
+        const restocked = jest.fn();
+        manager.on('shopRestocked', restocked);
+
+        expect(shop.purchase(offer.id)).toMatchObject({ success: true, offer: { soldOut: true } });
+        expect(coins).toBe(1000 - offer.price);
+        expect(shop.purchase(offer.id)).toMatchObject({ success: false, reason: 'sold_out' });
+
+        // The regular shelf keeps its own stock and full price
+        expect(shop.getOffer(offer.offerId).price).toBe(offer.basePrice);
+
+        jest.setSystemTime(DAY_TWO);
+        expect(shop.getCategoryOffers('eggs').length).toBeGreaterThan(0);
+        expect(restocked).toHaveBeenCalledTimes(1);
+        expect(shop.getState().sold).toEqual({});
+        expect(shop.getState().soldTotal[offer.id]).toBe(1);
+    });
+
+    test('limited offers and level gates block purchases', () => {
+        expect(shop.canPurchase('rare_egg')).toMatchObject({ ok: false, reason: 'level_locked' });
+        manager.set('creature.level', 3);
+        expect(shop.canPurchase('rare_egg').ok).toBe(true);
+
+        for (let i = 0; i < 3; i++) {
+            expect(shop.purchase('star_map').success).toBe(true);
+        }
+        expect(shop.canPurchase('star_map')).toMatchObject({ ok: false, reason: 'sold_out' });
+        expect(shop.canPurchase('nope')).toMatchObject({ ok: false, reason: 'unknown_offer' });
+
+        coins = 10;
+        expect(shop.purchase('basic_egg')).toMatchObject({ success: false, reason: 'insufficient_coins' });
+        expect(window.EconomyManager.purchase).toHaveBeenCalledTimes(3);
+    });
+
+    test('bundles deliver every item, show their savings and one-time stock never resets', () => {
+        const purchases = jest.fn();
+        manager.on('shopPurchase', purchases);
+
+        const nest = shop.getOffer('starter_nest');
+        expect(nest).toMatchObject({ bundle: true, type: 'bundle', price: 110, savings: 30 });
+
+        expect(shop.purchase('starter_nest').success).toBe(true);
+        expect(delivered).toEqual(['basic_egg', 'stardust_treat', 'stardust_treat']);
+        expect(purchases).toHaveBeenCalledWith({
+            offerId: 'starter_nest',
+            price: 110,
+            currency: 'coins',
+            featured: false,
+            items: [{ id: 'basic_egg', quantity: 1 }, { id: 'stardust_treat', quantity: 2 }]
+        });
+
+        jest.setSystemTime(DAY_TWO);
+        expect(shop.canPurchase('starter_nest')).toMatchObject({ ok: false, reason: 'sold_out' });
+    });
+
+    test('full inventories are refused, and coins are refunded if nothing arrives', () => {
+        window.InventoryManager.getAvailableSlots.mockReturnValue(1);
+        expect(shop.canPurchase('starter_nest')).toMatchObject({ ok: false, reason: 'inventory_full' });
+
+        window.InventoryManager.getAvailableSlots.mockReturnValue(30);
+        window.InventoryManager.addItem.mockReturnValue(false);
+        expect(shop.purchase('basic_egg')).toMatchObject({ success: false, reason: 'inventory_full' });
+        expect(window.EconomyManager.addCoins).toHaveBeenCalledWith(100, 'shop_refund', { itemId: 'basic_egg' });
+        expect(coins).toBe(1000);
+        expect(shop.getState().sold).toEqual({});
+    });
+
+    test('bundle items that do not arrive are refunded at their share of the price', () => {
+        window.InventoryManager.addItem.mockImplementation(item => item.id === 'basic_egg');
+
+        // Starter Nest: a 100 coin egg and two 20 coin treats for 110, so each missing treat is 110 * 20 / 140
+        expect(shop.purchase('starter_nest')).toMatchObject({ success: true, refunded: 31 });
+        expect(window.EconomyManager.addCoins).toHaveBeenCalledWith(31, 'shop_refund', { itemId: 'starter_nest' });
+        expect(coins).toBe(1000 - 110 + 31);
+        expect(shop.getState().soldTotal).toEqual({ starter_nest: 1 });
+    });
+
+    test('cosmetics cost Stardust, unlock instead of using a slot and can only be bought once', () => {
+        const offers = shop.getCategoryOffers('cosmetics');
+        expect(offers.length).toBeGreaterThan(0);
+        offers.forEach(offer => expect(offer).toMatchObject({ currency: 'stardust', type: 'cosmetic', owned: false }));
+
+        const bow = shop.getOffer('moonbeam_bow');
+        window.InventoryManager.getAvailableSlots.mockReturnValue(0);
+        expect(shop.purchase('moonbeam_bow')).toMatchObject({ success: true, offer: { owned: true, soldOut: true } });
+        expect(stardust).toBe(50 - bow.price);
+        expect(coins).toBe(1000);
+        expect(window.EconomyManager.spendStardust).toHaveBeenCalledWith(bow.price, 'purchase:Moonbeam Bow', { itemId: 'moonbeam_bow' });
+        expect(window.EconomyManager.purchase).not.toHaveBeenCalled();
+        expect(manager.isUnlocked('cosmetics', 'moonbeam_bow')).toBe(true);
+        expect(delivered).toEqual([]);
+
+        expect(shop.canPurchase('moonbeam_bow')).toMatchObject({ ok: false, reason: 'owned' });
+        stardust = 0;
+        expect(shop.canPurchase('comet_scarf')).toMatchObject({ ok: false, reason: 'insufficient_stardust' });
+    });
+
+    test('sell quotes scale with rarity, wants and the cap', () => {
+        const selling = shopConfig.selling;
+        const wants = shop.getWants();
+        expect(wants).toHaveLength(selling.wants.count);
+        expect(createShop().getWants()).toEqual(wants);
+
+        const quote = (itemId, extra = {}) => shop.getSellQuote({ ...shop.getItemDefinition(itemId), ...extra });
+        const unwanted = selling.wants.pool.filter(itemId => !wants.includes(itemId));
+        const plain = unwanted.find(itemId => !shop.getItemDefinition(itemId).rarity);
+        const buyPrice = shop.getBuyPrice(plain);
+
+        expect(quote(plain)).toMatchObject({ sellable: true, wanted: false, confirm: false, unitPrice: Math.floor(buyPrice * selling.rate) });
+        expect(quote('rare_egg').confirm).toBe(true);
+        const wanted = quote(wants[0]);
+        const rarityRate = selling.rarity[wanted.rarity];
+        expect(wanted).toMatchObject({
+            wanted: true,
+            unitPrice: Math.floor(Math.min(
+                shop.getBuyPrice(wants[0]) * selling.rate * rarityRate * (1 + selling.wants.bonus),
+                shop.getBuyPrice(wants[0]) * selling.maxRate
+            ))
+        });
+
+        // Rarity and wants never push the price past maxRate of the buy price
+        shop.config.selling.wants.pool = ['nebula_egg'];
+        shop.config.selling.wants.count = 1;
+        expect(shop.pickWants('2026-10-19')).toEqual(['nebula_egg']);
+        expect(shop.getSellQuote({ ...shop.getItemDefinition('nebula_egg') }).unitPrice)
+            .toBeLessThanOrEqual(1500 * selling.maxRate);
+
+        // Bred eggs use the configured value and always ask first
+        expect(shop.getSellQuote({ id: 'shrine_egg', name: 'Shrine Egg', type: 'egg', rarity: 'common', offspring: {} }))
+            .toMatchObject({ sellable: true, confirm: true, unitPrice: Math.floor(selling.values.shrine_egg * selling.rate) });
+        expect(shop.getSellQuote({ id: 'mystery_rock', name: 'Rock' })).toMatchObject({ sellable: false, reason: 'no_value' });
+    });
+
+    test('selling several stacks pays each one as its own sale', () => {
+        const item = id => ({ ...shop.getItemDefinition(id) });
+        owned = [
+            { ...item('cosmic_berry'), quantity: 4 },
+            item('basic_egg'),
+            { ...item('star_map'), quantity: 2 }
+        ];
+        const sales = jest.fn();
+        manager.on('shopSale', sales);
+        const berryPrice = shop.getSellQuote(owned[0]).unitPrice;
+        const eggPrice = shop.getSellQuote(owned[1]).unitPrice;
+        const mapPrice = shop.getSellQuote(owned[2]).unitPrice;
+
+        const result = shop.sell([{ slot: 0, quantity: 3 }, { slot: 1 }, { slot: 2, quantity: 9 }]);
+
+        expect(result).toMatchObject({ success: true, total: berryPrice * 3 + eggPrice + mapPrice * 2 });
+        expect(owned).toEqual([expect.objectContaining({ id: 'cosmic_berry', quantity: 1 })]);
+        expect(window.EconomyManager.addCoins.mock.calls).toEqual([
+            [mapPrice * 2, 'sale:star_map', { itemId: 'star_map' }],
+            [eggPrice, 'sale:basic_egg', { itemId: 'basic_egg' }],
+            [berryPrice * 3, 'sale:cosmic_berry', { itemId: 'cosmic_berry' }]
+        ]);
+        expect(sales).toHaveBeenCalledWith(expect.objectContaining({ total: result.total }));
+        expect(coins).toBe(1000 + result.total);
+    });
+
+    test('nothing is sold if any selected item cannot be', () => {
+        owned = [{ ...shop.getItemDefinition('cosmic_berry') }, { id: 'mystery_rock', name: 'Rock' }];
+        expect(shop.sell([{ slot: 0 }, { slot: 1 }])).toMatchObject({ success: false, reason: 'not_sellable' });
+        expect(shop.sell([])).toMatchObject({ success: false, reason: 'nothing_selected' });
+        expect(owned).toHaveLength(2);
+        expect(window.EconomyManager.addCoins).not.toHaveBeenCalled();
+
+        owned = [{ ...shop.getItemDefinition('rare_egg') }, { ...shop.getItemDefinition('cosmic_berry') }];
+        expect(shop.getConfirmationItems([{ slot: 0 }, { slot: 1 }]).map(line => line.item.id)).toEqual(['rare_egg']);
+    });
+
+    test('a stack that cannot be removed is not paid for and the sale reports it', () => {
+        owned = [{ ...shop.getItemDefinition('cosmic_berry'), quantity: 2 }, { ...shop.getItemDefinition('star_map') }];
+        const berryPrice = shop.getSellQuote(owned[0]).unitPrice;
+        window.InventoryManager.removeItem.mockImplementation(slot => slot === 0 && !!owned.splice(0, 1).length);
+
+        const result = shop.sell([{ slot: 0, quantity: 2 }, { slot: 1 }]);
+
+        expect(result).toMatchObject({ success: false, reason: 'sale_incomplete', total: berryPrice * 2 });
+        expect(result.sold.map(line => line.id)).toEqual(['cosmic_berry']);
+        expect(window.EconomyManager.addCoins).toHaveBeenCalledTimes(1);
+        expect(coins).toBe(1000 + berryPrice * 2);
+    });
+});
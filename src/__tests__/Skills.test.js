@@ -0,0 +1,134 @@
+/**
+ * Unit tests for trainable creature skills
+ */
+
+const careActionsConfig = require('../config/care-actions.json');
+const CareSystem = require('../systems/CareSystem.js');
+const NeedsSystem = require('../systems/NeedsSystem.js');
+const SkillSystem = require('../systems/SkillSystem.js');
+const { createGameState, GameStateManager } = require('./helpers/testSetup.js');
+
+const withAffinity = (element, specialAbilities = []) => ({
+    cosmicAffinity: { element, specialAbilities }
+});
+
+describe('SkillSystem', () => {
+    let manager;
+    let skills;
+
+    beforeEach(() => {
+        manager = createGameState();
+        window.NeedsSystem = new NeedsSystem();
+        window.CareSystem = new CareSystem();
+        window.CareSystem.configure(JSON.parse(JSON.stringify(careActionsConfig)));
+
+        skills = new SkillSystem();
+        window.SkillSystem = skills;
+        skills.initialize();
+    });
+
+    afterEach(() => {
+        skills.destroy();
+        manager.stopAutoSave();
+        delete window.SkillSystem;
+        delete window.CareSystem;
+        delete window.NeedsSystem;
+    });
+
+    test('skills unlock by level, earlier for a matching element', () => {
+        const unlocked = jest.fn();
+        manager.on('skillUnlocked', unlocked);
+
+        const nova = manager.addCreatureToRoster({ name: 'Nova', hatched: true, genetics: withAffinity('crystal') });
+        expect(skills.getSkillSummary()).toEqual([]);
+
+        manager.set('creature.level', 2);
+        manager.emit('levelUp', { level: 2 });
+
+        expect(unlocked).toHaveBeenCalledWith(expect.objectContaining({ creatureId: nova.id, skillId: 'crystal_sense', rank: 1 }));
+        expect(skills.getSkillSummary().map(skill => skill.id)).toEqual(['crystal_sense']);
+
+        // Off-affinity skills wait OFF_AFFINITY_LEVELS longer
+        expect(skills.getUnlockLevel(manager.get('creature'), 'glide')).toBe(5 + SkillSystem.OFF_AFFINITY_LEVELS);
+    });
+
+    test('a rolled special ability unlocks early with a head start', () => {
+        manager.addCreatureToRoster({
+            name: 'Orbit',
+            hatched: true,
+            level: 5,
+            genetics: withAffinity('star', ['portal_creation'])
+        }, { makeActive: true });
+        skills.checkUnlocks(manager.get('creature.id'));
+
+        const summary = skills.getSkillSummary();
+        expect(summary.find(skill => skill.id === 'starlight_dash').rank).toBe(1);
+        expect(summary.find(skill => skill.id === 'glide').rank).toBe(2);
+        expect(summary.some(skill => skill.id === 'calm_aura')).toBe(false);
+    });
+
+    test('the train care action improves the focused skill', async () => {
+        const nova = manager.addCreatureToRoster({ name: 'Nova', hatched: true, level: 3, genetics: withAffinity('star') });
+        skills.checkUnlocks(nova.id);
+
+        const improved = jest.fn();
+        manager.on('skillImproved', improved);
+
+        expect((await window.CareSystem.performCareAction('train')).success).toBe(true);
+        expect(skills.getSkillSummary()[0]).toMatchObject({ id: 'starlight_dash', rank: 1, progress: 1, needed: 2, focus: true });
+
+        // Other care actions do not train
+        await window.CareSystem.performCareAction('pet');
+        expect(skills.getSkillSummary()[0].progress).toBe(1);
+
+        skills.train(nova.id, 1);
+        expect(improved).toHaveBeenCalledWith(expect.objectContaining({ skillId: 'starlight_dash', rank: 2 }));
+        expect(skills.getSkillSummary()[0]).toMatchObject({ rank: 2, progress: 0, needed: 3 });
+
+        expect(skills.train(nova.id, 100)).toMatchObject({ rank: SkillSystem.MAX_RANK, progress: 0 });
+        expect(skills.train(nova.id, 1)).toBeNull();
+    });
+
+    test('progress persists per creature and focus can be changed', () => {
+        const nova = manager.addCreatureToRoster({ name: 'Nova', hatched: true, level: 4, genetics: withAffinity('nebula') });
+        const luna = manager.addCreatureToRoster({ name: 'Luna', hatched: true, level: 2, genetics: withAffinity('crystal') });
+        skills.checkUnlocks(nova.id);
+        skills.checkUnlocks(luna.id);
+
+        expect(skills.getSkillSummary().map(skill => skill.id)).toEqual(['calm_aura']);
+        skills.train(luna.id, 2);
+
+        expect(manager.getRosterCreature(luna.id).training.skills.crystal_sense).toMatchObject({ rank: 2, progress: 0 });
+        expect(manager.getRosterCreature(nova.id).training.skills.crystal_sense).toBeUndefined();
+
+        manager.save();
+        const reloaded = new GameStateManager();
+        reloaded.load();
+        expect(reloaded.getRosterCreature(luna.id).training.skills.crystal_sense.rank).toBe(2);
+        reloaded.stopAutoSave();
+
+        manager.set('creature.level', 5);
+        skills.checkUnlocks(nova.id, { quiet: true });
+        expect(skills.cycleFocus()).toBe('glide');
+        skills.train(nova.id, 2);
+        expect(manager.get('creature.training.skills.glide.rank')).toBe(2);
+        expect(manager.get('creature.training.skills.calm_aura.rank')).toBe(1);
+    });
+
+    test('effects scale with rank and skip visitors', () => {
+        const record = {
+            training: { skills: { starlight_dash: { rank: 2 }, crystal_sense: { rank: 1 }, calm_aura: { rank: 4 }, glide: { rank: 3 } } }
+        };
+
+        const effects = skills.getEffects(record);
+        expect(effects.moveSpeedMultiplier).toBeCloseTo(1.12);
+        expect(effects).toMatchObject({ flowerRadius: 30, calmMultiplier: 2, coinMagnetRadius: 120 });
+
+        expect(skills.getEffects({ ...record, visiting: true })).toEqual({
+            moveSpeedMultiplier: 1,
+            flowerRadius: 0,
+            calmMultiplier: 1,
+            coinMagnetRadius: 0
+        });
+    });
+});
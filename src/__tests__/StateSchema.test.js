@@ -0,0 +1,152 @@
+/**
+ * Unit tests for GameState schema validation and self-repair
+ */
+
+const StateValidator = require('../systems/storage/StateSchema.js');
+const { createGameState } = require('./helpers/testSetup.js');
+
+describe('StateValidator', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = createGameState({ install: false });
+    });
+
+    afterEach(() => {
+        manager.stopAutoSave();
+    });
+
+    test('a fresh state tree needs no repairs', () => {
+        const validator = new StateValidator();
+        const state = manager.createInitialState();
+
+        expect(validator.validate(state, manager.createInitialState())).toEqual([]);
+    });
+
+    test('every rarity the configs reward is kept', () => {
+        const validator = new StateValidator();
+        const economyConfig = require('../config/economy.json');
+        Object.keys(economyConfig.stardust.hatch).forEach(rarity => {
+            const state = manager.createInitialState();
+            state.creature.rarity = rarity;
+            expect(validator.validate(state, manager.createInitialState())).toEqual([]);
+            expect(state.creature.rarity).toBe(rarity);
+        });
+    });
+
+    test('load repairs wrong types, ranges and enums and reports them', () => {
+        localStorage.setItem(manager.saveKey, JSON.stringify({
+            version: manager.gameVersion,
+            creature: {
+                hatched: true,
+                name: 'Patch',
+                level: 4.6,
+                rarity: 'ultra',
+                stats: { happiness: 'abc', energy: 140, health: -5 },
+                care: {
+                    careHistory: [
+                        { action: 'feed', timestamp: 1700000000000 },
+                        { action: 'juggle', timestamp: 1700000000001 },
+                        { action: '', timestamp: 1700000000002 },
+                        'garbage'
+                    ]
+                }
+            },
+            inventory: { items: { 0: { id: 'cosmic_berry' } } },
+            settings: { volume: { master: 3 } }
+        }));
+
+        const repaired = jest.fn();
+        manager.on('stateRepaired', repaired);
+
+        expect(manager.load()).toBe(true);
+
+        const creature = manager.get('creature');
+        expect(creature.name).toBe('Patch');
+        expect(creature.level).toBe(5);
+        expect(creature.rarity).toBeUndefined();
+        expect(creature.stats).toEqual({ happiness: 100, energy: 100, health: 0 });
+        // Actions only defined in care-actions.json are kept; empty ones are not
+        expect(creature.care.careHistory).toEqual([
+            { action: 'feed', timestamp: 1700000000000 },
+            { action: 'juggle', timestamp: 1700000000001 }
+        ]);
+        expect(manager.get('inventory.items')).toEqual([]);
+        expect(manager.get('settings.volume.master')).toBe(1);
+
+        expect(repaired).toHaveBeenCalledTimes(1);
+        const { source, repairs } = repaired.mock.calls[0][0];
+        expect(source).toBe('load');
+        expect(repairs).toEqual(expect.arrayContaining([
+            expect.objectContaining({ path: 'creature.stats.happiness', problem: 'expected number', from: 'abc', to: 100 }),
+            expect.objectContaining({ path: 'creature.stats.energy', problem: 'out of range', to: 100 }),
+            expect.objectContaining({ path: 'creature.rarity', problem: 'unknown value' }),
+            expect.objectContaining({ path: 'creature.care.careHistory.2', problem: 'invalid entry removed' }),
+            expect.objectContaining({ path: 'inventory.items', problem: 'expected array' })
+        ]));
+    });
+
+    test('roster creatures get the same checks and repairs as the active creature', () => {
+        const validator = new StateValidator();
+        const defaults = manager.createInitialState();
+        const state = manager.createInitialState();
+        state.creatures = [
+            {
+                ...defaults.creature,
+                id: 'crt-pip',
+                name: 'Pip',
+                stats: { happiness: 'abc', energy: 140, health: 50 },
+                colors: { body: -1, head: 0x336699, wings: 0x112233 },
+                care: 'lost'
+            },
+            { ...defaults.creature, name: 'Nobody' },
+            'garbage'
+        ];
+
+        const repairs = validator.validate(state, defaults);
+
+        expect(state.creatures).toEqual([expect.objectContaining({
+            id: 'crt-pip',
+            name: 'Pip',
+            stats: { happiness: defaults.creature.stats.happiness, energy: 100, health: 50 },
+            colors: { body: 0, head: 0x336699, wings: 0x112233 },
+            care: defaults.creature.care
+        })]);
+        expect(repairs).toEqual(expect.arrayContaining([
+            expect.objectContaining({ path: 'creatures.0.stats.happiness', problem: 'expected number' }),
+            expect.objectContaining({ path: 'creatures.0.care', problem: 'expected object' }),
+            expect.objectContaining({ path: 'creatures.1', problem: 'invalid entry removed' }),
+            expect.objectContaining({ path: 'creatures.2', problem: 'invalid entry removed' })
+        ]));
+    });
+
+    test('set() is only checked in debug mode', () => {
+        const repaired = jest.fn();
+        manager.on('stateRepaired', repaired);
+
+        manager.set('creature.stats.happiness', 'abc');
+        expect(manager.get('creature.stats.happiness')).toBe('abc');
+        expect(repaired).not.toHaveBeenCalled();
+
+        manager.set('session.debugMode', true);
+        const changed = jest.fn();
+        manager.on('changed:creature.stats.happiness', changed);
+
+        manager.set('creature.stats.happiness', 250);
+
+        expect(manager.get('creature.stats.happiness')).toBe(100);
+        expect(changed).toHaveBeenCalledWith(100);
+        expect(repaired).toHaveBeenCalledWith(expect.objectContaining({ source: 'set', path: 'creature.stats.happiness' }));
+    });
+
+    test('keys outside the schema are left alone', () => {
+        const validator = new StateValidator();
+        const state = manager.createInitialState();
+        state.creature.dna = { bodyArchetype: 'serpentine' };
+        state.tutorial = { hatchingSeen: true };
+
+        expect(validator.validate(state, manager.createInitialState())).toEqual([]);
+        expect(state.creature.dna).toEqual({ bodyArchetype: 'serpentine' });
+        expect(state.tutorial).toEqual({ hatchingSeen: true });
+    });
+});
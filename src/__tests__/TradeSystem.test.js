@@ -0,0 +1,232 @@
+/**
+ * Unit tests for creature trades between two saves
+ */
+
+require('../systems/storage/SaveTransfer.js');
+const SafetyManager = require('../systems/SafetyManager.js');
+const TradeSystem = require('../systems/TradeSystem.js');
+const { GameStateManager } = require('./helpers/testSetup.js');
+
+describe('TradeSystem', () => {
+    let trade;
+    let saves;
+
+    // Coins live in GameState, like the real EconomyManager
+    const economy = {
+        canAfford: (amount) => (window.GameState.get('player.cosmicCoins') || 0) >= amount,
+        addCoins: jest.fn((amount) => window.GameState.set('player.cosmicCoins', (window.GameState.get('player.cosmicCoins') || 0) + amount)),
+        removeCoins: jest.fn((amount) => window.GameState.set('player.cosmicCoins', window.GameState.get('player.cosmicCoins') - amount))
+    };
+
+    const createSave = (key, names) => {
+        const manager = new GameStateManager();
+        manager.saveKey = key;
+        const safety = new SafetyManager();
+        safety.initialize(manager);
+        const creatures = names.map(name => manager.addCreatureToRoster({ name, rarity: 'rare' }));
+        manager.set('player.cosmicCoins', 100);
+        return { manager, safety, creatures };
+    };
+
+    // Trades always run against the save that is open
+    const open = (save) => {
+        window.GameState = save.manager;
+        window.SafetyManager = save.safety;
+        return save;
+    };
+
+    const rosterNames = (save) => save.manager.getRoster().map(entry => entry.name);
+
+    const tradeIdOf = async (save) => {
+        open(save);
+        return (await trade.ensureIdentity()).tradeId;
+    };
+
+    // Alice offers Pebble and 40 coins to Bob
+    const offerPebble = async (options = {}) => {
+        const { alice, bob } = saves;
+        const bobId = await tradeIdOf(bob);
+        open(alice);
+        return trade.createOffer(alice.creatures[1].id, { toTradeId: bobId, coins: 40, ...options });
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        window.EconomyManager = economy;
+        trade = new TradeSystem();
+        saves = {
+            alice: createSave('trade-alice', ['Orbit', 'Pebble']),
+            bob: createSave('trade-bob', ['Nova', 'Comet']),
+            carol: createSave('trade-carol', ['Sprout'])
+        };
+    });
+
+    afterEach(() => {
+        Object.values(saves).forEach(save => save.manager.stopAutoSave());
+        delete window.EconomyManager;
+        jest.useRealTimers();
+    });
+
+    test('offer, accept and confirmation swap creatures and move coins once', async () => {
+        const { alice, bob } = saves;
+        const { ok, offer } = await offerPebble();
+
+        expect(ok).toBe(true);
+        // Escrow: Pebble and the coins left Alice's save with the offer
+        expect(rosterNames(alice)).toEqual(['Orbit']);
+        expect(alice.manager.get('player.cosmicCoins')).toBe(60);
+        expect(trade.getPendingOffers()).toHaveLength(1);
+
+        open(bob);
+        const accepted = await trade.acceptOffer(JSON.stringify(offer), { returnCreatureId: bob.creatures[1].id });
+        expect(accepted.ok).toBe(true);
+        expect(rosterNames(bob)).toEqual(['Nova', 'Pebble']);
+        expect(bob.manager.get('player.cosmicCoins')).toBe(140);
+        expect(accepted.creature.tradedFrom.tradeId).toBe(offer.fromTradeId);
+        expect(accepted.creature.id).not.toBe(alice.creatures[1].id);
+
+        open(alice);
+        const completed = await trade.completeTrade(JSON.stringify(accepted.confirmation));
+        expect(completed.ok).toBe(true);
+        expect(rosterNames(alice)).toEqual(['Orbit', 'Comet']);
+        expect(trade.getPendingOffers()).toEqual([]);
+        expect(alice.manager.get('trading.consumedOffers')[offer.nonce].role).toBe('sent');
+        expect(bob.manager.get('trading.consumedOffers')[offer.nonce].role).toBe('received');
+    });
+
+    test('replayed or misaddressed files are refused', async () => {
+        const { alice, bob, carol } = saves;
+        const { offer } = await offerPebble();
+
+        open(carol);
+        expect((await trade.acceptOffer(JSON.stringify(offer))).reason).toBe('wrong_save');
+
+        open(bob);
+        const { confirmation } = await trade.acceptOffer(JSON.stringify(offer));
+        expect((await trade.acceptOffer(JSON.stringify(offer))).reason).toBe('already_used');
+        expect(rosterNames(bob)).toEqual(['Nova', 'Comet', 'Pebble']);
+
+        open(alice);
+        expect((await trade.acceptOffer(JSON.stringify(offer))).reason).toBe('own_offer');
+        expect((await trade.completeTrade(JSON.stringify(confirmation))).ok).toBe(true);
+        expect((await trade.completeTrade(JSON.stringify(confirmation))).reason).toBe('already_used');
+        expect(rosterNames(alice)).toEqual(['Orbit']);
+    });
+
+    test('edited or forged files fail the signature check', async () => {
+        const { bob } = saves;
+        const { offer } = await offerPebble();
+
+        open(bob);
+        expect((await trade.acceptOffer(JSON.stringify({ ...offer, coins: 9999 }))).reason).toBe('tampered');
+        expect((await trade.acceptOffer(JSON.stringify({ ...offer, signature: '00' }))).reason).toBe('tampered');
+
+        // Bob re-signs a richer copy with his own key: the key no longer matches Alice's trade id
+        const bobIdentity = await trade.ensureIdentity();
+        const forged = await trade.sign({ ...offer, coins: 9999, fromKey: bobIdentity.publicKey }, bobIdentity);
+        expect((await trade.acceptOffer(JSON.stringify(forged))).reason).toBe('tampered');
+        // ...and naming himself as the sender makes it his own offer
+        const ownForgery = await trade.sign({ ...forged, fromTradeId: bobIdentity.tradeId }, bobIdentity);
+        expect((await trade.acceptOffer(JSON.stringify(ownForgery))).reason).toBe('own_offer');
+        expect((await trade.acceptOffer(JSON.stringify({ ...offer, format: 'mythical-void-save' }))).reason).toBe('wrong_file');
+        expect((await trade.acceptOffer('not json')).reason).toBe('malformed');
+        expect(rosterNames(bob)).toEqual(['Nova', 'Comet']);
+        expect(bob.manager.get('player.cosmicCoins')).toBe(100);
+    });
+
+    // Every Pebble and coin across both saves: a trade only ever moves them
+    const holdings = () => ({
+        pebbles: [saves.alice, saves.bob].flatMap(rosterNames).filter(name => name === 'Pebble').length,
+        coins: saves.alice.manager.get('player.cosmicCoins') + saves.bob.manager.get('player.cosmicCoins')
+    });
+
+    test('a declined offer returns its escrow once and can no longer be accepted', async () => {
+        const { alice, bob } = saves;
+        const { offer } = await offerPebble();
+
+        open(bob);
+        const declined = await trade.declineOffer(JSON.stringify(offer));
+        expect(declined.ok).toBe(true);
+        expect(declined.confirmation).toMatchObject({ declined: true, creature: null });
+        expect((await trade.acceptOffer(JSON.stringify(offer))).reason).toBe('already_used');
+        expect(bob.manager.get('trading.consumedOffers')[offer.nonce].role).toBe('declined');
+
+        open(alice);
+        const returned = await trade.completeTrade(JSON.stringify(declined.confirmation));
+        expect(returned).toMatchObject({ ok: true, declined: true, coins: 40, creature: { name: 'Pebble' } });
+        expect(rosterNames(alice)).toEqual(['Orbit', 'Pebble']);
+        expect(economy.addCoins).toHaveBeenLastCalledWith(40, 'trade_refund');
+        expect(trade.getPendingOffers()).toEqual([]);
+        expect((await trade.completeTrade(JSON.stringify(declined.confirmation))).reason).toBe('already_used');
+
+        expect(holdings()).toEqual({ pebbles: 1, coins: 200 });
+    });
+
+    test('an accepted offer can\'t be declined, so nothing is duplicated', async () => {
+        const { alice, bob } = saves;
+        const { offer } = await offerPebble();
+
+        open(bob);
+        const { confirmation } = await trade.acceptOffer(JSON.stringify(offer));
+        expect((await trade.declineOffer(JSON.stringify(offer))).reason).toBe('already_used');
+        expect(holdings()).toEqual({ pebbles: 1, coins: 200 });
+
+        // Only Bob's save can sign a decline, so Alice can't write one herself
+        open(alice);
+        const aliceIdentity = await trade.ensureIdentity();
+        const forgedDecline = await trade.sign({ ...confirmation, declined: true, fromKey: aliceIdentity.publicKey }, aliceIdentity);
+        expect((await trade.completeTrade(JSON.stringify(forgedDecline))).reason).toBe('tampered');
+
+        expect((await trade.completeTrade(JSON.stringify(confirmation))).declined).toBe(false);
+        expect(rosterNames(alice)).toEqual(['Orbit']);
+        expect(rosterNames(bob)).toEqual(['Nova', 'Comet', 'Pebble']);
+        expect(holdings()).toEqual({ pebbles: 1, coins: 200 });
+    });
+
+    test('expired offers can be declined but not accepted', async () => {
+        const { bob } = saves;
+        const { offer } = await offerPebble();
+        jest.useFakeTimers();
+        jest.setSystemTime(offer.expiresAt + 1);
+
+        open(bob);
+        expect((await trade.acceptOffer(JSON.stringify(offer))).reason).toBe('expired');
+        expect(rosterNames(bob)).toEqual(['Nova', 'Comet']);
+        // ...but can still be declined, so the escrow can go home
+        expect((await trade.declineOffer(JSON.stringify(offer))).ok).toBe(true);
+    });
+
+    test('the companion, unaffordable coins and bad trade ids are not offered', async () => {
+        const { alice, bob } = saves;
+        const bobId = await tradeIdOf(bob);
+        open(alice);
+
+        expect((await trade.createOffer(alice.creatures[0].id, { toTradeId: bobId })).reason).toBe('cannot_trade');
+        expect((await trade.createOffer(alice.creatures[1].id, { toTradeId: bobId, coins: 500 })).reason).toBe('insufficient_coins');
+        expect((await trade.createOffer(alice.creatures[1].id, { toTradeId: 'NOPE' })).reason).toBe('invalid_trade_id');
+        expect((await trade.createOffer(alice.creatures[1].id, { toTradeId: await tradeIdOf(alice) })).reason).toBe('own_offer');
+        expect(rosterNames(alice)).toEqual(['Orbit', 'Pebble']);
+        expect(alice.manager.get('player.cosmicCoins')).toBe(100);
+    });
+
+    test('kid profiles need the guardian PIN for every step', async () => {
+        const { alice, bob } = saves;
+        open(alice);
+        alice.safety.enableKidProfile({ nickname: 'Ali' });
+
+        expect((await offerPebble()).reason).toBe('guardian_required');
+        open(alice);
+        alice.safety.setGuardianPin('2468');
+        expect((await offerPebble({ guardianPin: '1111' })).reason).toBe('guardian_required');
+        expect(rosterNames(alice)).toEqual(['Orbit', 'Pebble']);
+
+        const { ok, offer } = await offerPebble({ guardianPin: '2468' });
+        expect(ok).toBe(true);
+
+        open(bob);
+        const { confirmation } = await trade.acceptOffer(JSON.stringify(offer));
+        open(alice);
+        expect((await trade.completeTrade(JSON.stringify(confirmation))).reason).toBe('guardian_required');
+        expect((await trade.completeTrade(JSON.stringify(confirmation), { guardianPin: '2468' })).ok).toBe(true);
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the scripted tutorial engine: triggers, branches, timeouts and replay
+ */
+
+const tutorialConfig = require('../config/tutorial.json');
+const TutorialSystem = require('../systems/TutorialSystem.js');
+const { createEmitter, createGameState } = require('./helpers/testSetup.js');
+
+describe('TutorialSystem', () => {
+    let manager;
+    let tutorial;
+
+    const start = (inputMode = 'keyboard') => {
+        tutorial = new TutorialSystem();
+        tutorial.configure(JSON.parse(JSON.stringify(tutorialConfig)));
+        tutorial.setInputMode(inputMode);
+        tutorial.initialize();
+        return tutorial;
+    };
+
+    const completeScene = (sceneKey) => {
+        while (tutorial.begin(sceneKey)) {
+            tutorial.skip();
+        }
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        manager = createGameState();
+        window.EnemyManager = createEmitter();
+    });
+
+    afterEach(() => {
+        tutorial?.destroy();
+        manager.stopAutoSave();
+        delete window.EnemyManager;
+        jest.useRealTimers();
+    });
+
+    test('steps complete on their trigger events and counts, then the next step starts', () => {
+        start();
+        const started = jest.fn();
+        manager.on('tutorialStepStarted', started);
+
+        expect(tutorial.begin('GameScene')).toMatchObject({ id: 'movement', target: 'player' });
+
+        for (let i = 0; i < 9; i++) {
+            manager.set('world.currentPosition', { x: 400 + i * 10, y: 300 });
+        }
+        expect(tutorial.getActiveStep().id).toBe('movement');
+
+        manager.set('world.currentPosition', { x: 500, y: 300 });
+        expect(manager.get('tutorial.steps.movement')).toEqual({ completedAt: expect.any(Number), outcome: 'triggered' });
+        expect(tutorial.getActiveStep().id).toBe('flowers');
+
+        // `where` filters the trigger payload
+        manager.emit('objectDiscovered', { objectType: 'rocks' });
+        expect(tutorial.getActiveStep().id).toBe('flowers');
+        manager.emit('objectDiscovered', { objectType: 'flowers' });
+        expect(tutorial.getActiveStep().id).toBe('care');
+
+        tutorial.skip();
+        tutorial.notify('sceneOpened', { scene: 'InventoryScene' });
+        expect(tutorial.getActiveStep().id).toBe('shop');
+        tutorial.notify('sceneOpened', { scene: 'ShopScene' });
+        tutorial.notify('sceneOpened', { scene: 'InventoryScene' });
+
+        // Manager events
+        window.EnemyManager.emit('wispCalmed', { type: 'voidWisp' });
+        expect(tutorial.getActiveStep()).toBeNull();
+        expect(manager.get('tutorial.steps.care').outcome).toBe('skipped');
+        expect(started.mock.calls.map(([data]) => data.step.id)).toEqual(['movement', 'flowers', 'care', 'shop', 'inventory', 'combat']);
+    });
+
+    test('touch and keyboard branches swap text and targets', () => {
+        start('touch');
+        expect(tutorial.begin('GameScene')).toMatchObject({
+            id: 'movement',
+            target: 'joystick',
+            text: expect.stringContaining('joystick')
+        });
+
+        tutorial.end('GameScene');
+        tutorial.setInputMode('keyboard');
+        expect(tutorial.begin('GameScene')).toMatchObject({ target: 'player', text: expect.stringContaining('WASD') });
+    });
+
+    test('steps time out and only one step runs at a time', () => {
+        start();
+        completeScene('NamingScene');
+        tutorial.begin('HatchingScene');
+
+        jest.advanceTimersByTime(30000);
+        expect(manager.get('tutorial.steps.hatch_egg').outcome).toBe('timedOut');
+        expect(tutorial.getActiveStep().id).toBe('hatch_watch');
+
+        // A scene with nothing to show leaves the running step alone
+        expect(tutorial.begin('NamingScene')).toBeNull();
+        expect(tutorial.getActiveStep().id).toBe('hatch_watch');
+
+        tutorial.notify('hatchCompleted');
+        tutorial.notify('hatchContinued');
+        expect(tutorial.isChapterComplete('hatching')).toBe(true);
+        jest.advanceTimersByTime(60000);
+        expect(manager.get('tutorial.steps.hatch_next').outcome).toBe('triggered');
+    });
+
+    test('legacy flags count as progress and replay starts over', () => {
+        manager.set('tutorial.hatchingSeen', true);
+        manager.set('tutorials', { movement: { completed: true }, interaction: { completed: true } });
+        start();
+        const chapters = jest.fn();
+        manager.on('tutorialChapterCompleted', chapters);
+
+        expect(tutorial.begin('HatchingScene')).toBeNull();
+        expect(tutorial.begin('GameScene').id).toBe('care');
+        expect(tutorial.getProgress()).toMatchObject({ completed: 5, total: tutorialConfig.steps.length });
+
+        completeScene('GameScene');
+        completeScene('NamingScene');
+        expect(chapters).toHaveBeenCalledWith({ chapterId: 'naming', title: 'Naming' });
+        expect(tutorial.getProgressSummary()).toBe('Tutorial: complete ✓');
+
+        const reset = jest.fn();
+        manager.on('tutorialReset', reset);
+        expect(tutorial.replay('GameScene').id).toBe('movement');
+        expect(reset).toHaveBeenCalled();
+        expect(tutorial.isChapterComplete('hatching')).toBe(false);
+        expect(tutorial.getProgress().completed).toBe(0);
+    });
+});
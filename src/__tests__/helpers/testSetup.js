@@ -0,0 +1,36 @@
+/**
+ * Shared test setup: a fresh GameState with the save stack loaded, and a small event
+ * emitter for standing in for window singletons (EconomyManager, EnemyManager, ...)
+ */
+
+const { EventEmitter } = require('events');
+
+require('../../systems/storage/SaveStorage.js');
+require('../../systems/storage/SaveMigrations.js');
+const GameStateManager = require('../../systems/GameState.js');
+
+/**
+ * on/off/emit over a Node EventEmitter, plus any mocked methods in `extra`
+ */
+const createEmitter = (extra = {}) => {
+    const emitter = new EventEmitter();
+    return {
+        on: (event, handler) => emitter.on(event, handler),
+        off: (event, handler) => emitter.off(event, handler),
+        emit: (event, data) => emitter.emit(event, data),
+        ...extra
+    };
+};
+
+/**
+ * Fresh GameState on empty storage, installed as window.GameState
+ * @param {object} options - { install: false } to leave window.GameState alone
+ */
+const createGameState = ({ install = true } = {}) => {
+    localStorage.clear();
+    const manager = new GameStateManager();
+    if (install) window.GameState = manager;
+    return manager;
+};
+
+module.exports = { createEmitter, createGameState, GameStateManager };
@@ -0,0 +1,14 @@
+/**
+ * Browser APIs jsdom leaves out, taken from Node's own implementations:
+ * Web Crypto (TradeSystem signs trade files) and TextEncoder
+ */
+
+const { webcrypto } = require('crypto');
+const { TextEncoder } = require('util');
+
+if (!window.crypto.subtle) {
+    Object.defineProperty(window.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+}
+if (typeof window.TextEncoder === 'undefined') {
+    window.TextEncoder = TextEncoder;
+}
@@ -16,6 +16,7 @@ import './systems/KidMode.js';
 import './systems/HatchCinematics.js';
 import './systems/FXLibrary.js';
 import './systems/ParallaxBiome.js';
+import './systems/RandomService.js';
 import './systems/RaritySystem.js';
 import './systems/RerollSystem.js';
 import './systems/CreatureGenetics.js';
@@ -23,18 +24,34 @@ import './systems/CreatureDNA.js';
 import './systems/PersonalitySystem.js';
 import './systems/CreatureAIController.js';
 import './systems/BreedingEngine.js';
+import './systems/Genome.js';
+import './systems/LineageSystem.js';
+import './systems/ShareCode.js';
+import './systems/storage/SaveStorage.js';
+import './systems/storage/SaveMigrations.js';
+import './systems/storage/SaveTransfer.js';
+import './systems/storage/StateSchema.js';
+import './systems/NeedsSystem.js';
 import './systems/GameState.js';
+import './systems/TradeSystem.js';
 import './systems/EconomyManager.js';
+import './systems/EconomyLedger.js';
 import './systems/AudioManager.js';
 import './systems/EnemyManager.js';
 import './systems/ProjectileManager.js';
 import './systems/InventoryManager.js';
+import './systems/ShopSystem.js';
 import './systems/CreatureMemory.js';
 import './systems/SafetyManager.js';
 import './systems/GraphicsEngine.js';
 import './systems/CreatureAI.js';
 import './systems/CareSystem.js';
 import './systems/AchievementSystem.js';
+import './systems/CodexSystem.js';
+import './systems/LifeStageSystem.js';
+import './systems/SkillSystem.js';
+import './systems/LevelingSystem.js';
+import './systems/QuestSystem.js';
 import './systems/TutorialSystem.js';
 import './systems/MobileControls.js';
 import './scenes/HatchingScene.js';
@@ -43,6 +60,9 @@ import './scenes/NamingScene.js';
 import './scenes/GameScene.js';
 import './scenes/ShopScene.js';
 import './scenes/InventoryScene.js';
+import './scenes/CodexScene.js';
+import './scenes/BreedingShrineScene.js';
+import './scenes/PedigreeScene.js';
 
 if (typeof window !== 'undefined' && !window.Phaser) {
     window.Phaser = Phaser;
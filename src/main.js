@@ -8,9 +8,21 @@ import NamingScene from './scenes/NamingScene.js';
 import GameScene from './scenes/GameScene.js';
 import ShopScene from './scenes/ShopScene.js';
 import InventoryScene from './scenes/InventoryScene.js';
+import CodexScene from './scenes/CodexScene.js';
+import AchievementGalleryScene from './scenes/AchievementGalleryScene.js';
+import BreedingShrineScene from './scenes/BreedingShrineScene.js';
+import PedigreeScene from './scenes/PedigreeScene.js';
 import kidModeConfig from './config/kid-mode.json';
 import hatchCinematicsConfig from './config/hatch-cinematics.json';
 import biomesConfig from './config/biomes.json';
+import careActionsConfig from './config/care-actions.json';
+import levelingConfig from './config/leveling.json';
+import questsConfig from './config/quests.json';
+import achievementsConfig from './config/achievements.json';
+import tutorialConfig from './config/tutorial.json';
+import itemsConfig from './config/items.json';
+import shopConfig from './config/shop.json';
+import economyConfig from './config/economy.json';
 
 const cloneConfig = (config) => {
     try {
@@ -136,6 +148,36 @@ async function initializeGame() {
             throw new Error('Game scenes not loaded properly');
         }
         
+        // Open save storage (IndexedDB → localStorage → memory) before loading saves
+        if (window.SaveStorage) {
+            try {
+                const storageMode = await window.SaveStorage.prepare();
+                console.log(`✅ Save storage ready (${storageMode})`);
+            } catch (storageError) {
+                console.warn('⚠️ Save storage setup failed, using fallback:', storageError);
+            }
+        }
+
+        // Register care actions before anything can perform one (CareSystem initializes with GameScene)
+        if (window.CareSystem) {
+            try {
+                window.CareSystem.configure(cloneConfig(careActionsConfig));
+                console.log('✅ Care actions registered');
+            } catch (configError) {
+                console.warn('⚠️ Care actions config failed to load:', configError);
+            }
+        }
+
+        // Load the XP curve and level-up rewards before any XP can be earned
+        if (window.LevelingSystem) {
+            try {
+                window.LevelingSystem.configure(cloneConfig(levelingConfig));
+                console.log('✅ Leveling curve loaded');
+            } catch (configError) {
+                console.warn('⚠️ Leveling config failed to load:', configError);
+            }
+        }
+
         // Initialize game state system with error handling
         try {
             GameState.init();
@@ -152,9 +194,10 @@ async function initializeGame() {
             }
         }
 
-        // Initialize economy system (depends on GameState)
+        // Initialize economy system with its Stardust rewards (depends on GameState)
         try {
             if (window.EconomyManager) {
+                window.EconomyManager.configure(cloneConfig(economyConfig.stardust));
                 window.EconomyManager.initialize();
             } else {
                 console.warn('⚠️ EconomyManager not available');
@@ -163,6 +206,18 @@ async function initializeGame() {
             console.error('❌ EconomyManager initialization failed:', economyError);
         }
 
+        // Record every coin transaction (depends on EconomyManager)
+        try {
+            if (window.EconomyLedger) {
+                window.EconomyLedger.configure(cloneConfig(economyConfig.ledger));
+                window.EconomyLedger.initialize();
+            } else {
+                console.warn('⚠️ EconomyLedger not available');
+            }
+        } catch (ledgerError) {
+            console.error('❌ EconomyLedger initialization failed:', ledgerError);
+        }
+
         // Initialize audio system
         try {
             if (window.AudioManager) {
@@ -199,6 +254,7 @@ async function initializeGame() {
         // Initialize inventory system
         try {
             if (window.InventoryManager) {
+                window.InventoryManager.configure(cloneConfig(itemsConfig));
                 window.InventoryManager.initialize();
             } else {
                 console.warn('⚠️ InventoryManager not available');
@@ -207,6 +263,99 @@ async function initializeGame() {
             console.error('❌ InventoryManager initialization failed:', inventoryError);
         }
 
+        // Shop catalog shares the item definitions; rolls today's featured shelf
+        try {
+            if (window.ShopSystem) {
+                const { items, cosmetics } = cloneConfig(itemsConfig);
+                window.ShopSystem.configure({ ...cloneConfig(shopConfig), items, cosmetics });
+                window.ShopSystem.initialize();
+            } else {
+                console.warn('⚠️ ShopSystem not available');
+            }
+        } catch (shopError) {
+            console.error('❌ ShopSystem initialization failed:', shopError);
+        }
+
+        // Initialize codex tracking (depends on GameState and EconomyManager)
+        try {
+            if (window.CodexSystem) {
+                window.CodexSystem.initialize();
+            } else {
+                console.warn('⚠️ CodexSystem not available');
+            }
+        } catch (codexError) {
+            console.error('❌ CodexSystem initialization failed:', codexError);
+        }
+
+        // Initialize life stages (backfills saves from before creatures could grow)
+        try {
+            if (window.LifeStageSystem) {
+                window.LifeStageSystem.initialize();
+            } else {
+                console.warn('⚠️ LifeStageSystem not available');
+            }
+        } catch (lifeStageError) {
+            console.error('❌ LifeStageSystem initialization failed:', lifeStageError);
+        }
+
+        // Initialize trainable skills (unlocks skills older saves already qualify for)
+        try {
+            if (window.SkillSystem) {
+                window.SkillSystem.initialize();
+            } else {
+                console.warn('⚠️ SkillSystem not available');
+            }
+        } catch (skillError) {
+            console.error('❌ SkillSystem initialization failed:', skillError);
+        }
+
+        // Award care XP and apply levels held back by life stage caps
+        try {
+            if (window.LevelingSystem) {
+                window.LevelingSystem.initialize();
+            } else {
+                console.warn('⚠️ LevelingSystem not available');
+            }
+        } catch (levelingError) {
+            console.error('❌ LevelingSystem initialization failed:', levelingError);
+        }
+
+        // Quests listen to coins, calmed wisps and care actions; rolls today's daily/weekly set
+        try {
+            if (window.QuestSystem) {
+                window.QuestSystem.configure(cloneConfig(questsConfig));
+                window.QuestSystem.initialize();
+            } else {
+                console.warn('⚠️ QuestSystem not available');
+            }
+        } catch (questError) {
+            console.error('❌ QuestSystem initialization failed:', questError);
+        }
+
+        // Achievement counters listen to the same events; catches up stats saved before this build
+        try {
+            if (window.AchievementSystem) {
+                window.AchievementSystem.configure(cloneConfig(achievementsConfig));
+                window.AchievementSystem.initialize();
+            } else {
+                console.warn('⚠️ AchievementSystem not available');
+            }
+        } catch (achievementError) {
+            console.error('❌ AchievementSystem initialization failed:', achievementError);
+        }
+
+        // Tutorial steps complete on the events the player is being taught
+        try {
+            if (window.TutorialSystem) {
+                window.TutorialSystem.configure(cloneConfig(tutorialConfig));
+                window.TutorialSystem.initialize();
+            } else {
+                console.warn('⚠️ TutorialSystem not available');
+            }
+        } catch (tutorialError) {
+            console.error('❌ TutorialSystem initialization failed:', tutorialError);
+        }
+
         // Set up GameState event listeners with error handling
         try {
             GameState.on('levelUp', (data) => {
@@ -265,7 +414,7 @@ async function initializeGame() {
                     debug: false
                 }
             },
-            scene: [HatchingScene, PersonalityScene, NamingScene, GameScene, ShopScene, InventoryScene],
+            scene: [HatchingScene, PersonalityScene, NamingScene, GameScene, ShopScene, InventoryScene, CodexScene, AchievementGalleryScene, BreedingShrineScene, PedigreeScene],
             scale: {
                 mode: Phaser.Scale.RESIZE,
                 autoCenter: Phaser.Scale.CENTER_BOTH,
@@ -0,0 +1,316 @@
+/**
+ * AchievementGalleryScene - Trophy room for every achievement
+ * Cards show the bronze/silver/gold medals earned, a progress bar towards the next tier
+ * and the date of the latest tier; hidden achievements stay ??? until their first tier
+ */
+
+import Phaser from 'phaser';
+
+export default class AchievementGalleryScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'AchievementGalleryScene' });
+
+        this.page = 0;
+        this.pageContainer = null;
+        this.gameStateUnsubscribers = [];
+        this._isShuttingDown = false;
+    }
+
+    create() {
+        this._isShuttingDown = false;
+        this.gameStateUnsubscribers = [];
+        this.page = 0;
+        if (this.events) {
+            this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+            this.events.once(Phaser.Scenes.Events.DESTROY, this.shutdown, this);
+        }
+        console.log('[AchievementGalleryScene] 🏆 Opening achievements');
+
+        // Pick up play time and stats reached since the last check
+        window.AchievementSystem?.checkAchievements?.();
+
+        this.calculateResponsiveDimensions();
+        this.createBackground();
+        this.createHeader();
+        this.createExitButton();
+        this.displayPage();
+
+        const unsubscribe = window.GameState?.on?.('achievementUnlocked', () => {
+            this.updateProgressText();
+            this.displayPage();
+        });
+        if (typeof unsubscribe === 'function') {
+            this.gameStateUnsubscribers.push(unsubscribe);
+        }
+
+        this.input.keyboard?.on('keydown-ESC', this.exitGallery, this);
+        this.input.keyboard?.on('keydown-H', this.exitGallery, this);
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.hideLoading();
+            window.UXEnhancements.announce('Achievements open. Earn bronze, silver and gold medals.');
+        }
+    }
+
+    calculateResponsiveDimensions() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+        const isMobile = width < 600;
+
+        const cardWidth = isMobile ? Math.min(width - 20, 300) : 300;
+        const cardHeight = 96;
+        const cardSpacing = isMobile ? 8 : 12;
+        const gridTop = isMobile ? 100 : 110;
+        const gridBottom = height - (isMobile ? 70 : 60);
+        const columns = Math.max(1, Math.floor((width - 20) / (cardWidth + cardSpacing)));
+        const rows = Math.max(1, Math.floor((gridBottom - gridTop) / (cardHeight + cardSpacing)));
+
+        this.dims = {
+            width,
+            height,
+            isMobile,
+            cardWidth,
+            cardHeight,
+            cardSpacing,
+            gridTop,
+            columns,
+            rows,
+            pageSize: columns * rows,
+            titleSize: isMobile ? '24px' : '32px'
+        };
+    }
+
+    createBackground() {
+        const { width, height } = this.dims;
+
+        const bgGraphics = this.add.graphics();
+        bgGraphics.fillStyle(0x0A0520, 1);
+        bgGraphics.fillRect(0, 0, width, height);
+
+        for (let i = 0; i < 80; i++) {
+            bgGraphics.fillStyle(0xFFFFFF, Phaser.Math.FloatBetween(0.3, 0.9));
+            bgGraphics.fillCircle(Phaser.Math.Between(0, width), Phaser.Math.Between(0, height), Phaser.Math.FloatBetween(0.5, 2));
+        }
+    }
+
+    createHeader() {
+        const { width, titleSize, isMobile } = this.dims;
+
+        const title = this.add.text(width / 2, 30, 'ACHIEVEMENTS', {
+            fontSize: titleSize,
+            fontFamily: 'Arial Black',
+            color: '#FFD700',
+            stroke: '#4A0080',
+            strokeThickness: isMobile ? 4 : 6,
+            align: 'center'
+        });
+        title.setOrigin(0.5, 0.5);
+
+        this.progressText = this.add.text(width / 2, 65, '', {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            align: 'center'
+        });
+        this.progressText.setOrigin(0.5, 0.5);
+        this.updateProgressText();
+    }
+
+    updateProgressText() {
+        const system = window.AchievementSystem;
+        const { unlocked, total } = system?.getTierTotals?.() || { unlocked: 0, total: 0 };
+        const percent = system?.getProgressPercentage?.() ?? 0;
+        this.progressText?.setText(`${unlocked} / ${total} medals earned (${percent}%)`);
+    }
+
+    displayPage() {
+        this.pageContainer?.destroy(true);
+        this.pageContainer = this.add.container(0, 0);
+
+        const achievements = window.AchievementSystem?.getAllAchievements?.() || [];
+        const { pageSize, columns, cardWidth, cardHeight, cardSpacing, gridTop, width } = this.dims;
+        const pageCount = Math.max(1, Math.ceil(achievements.length / pageSize));
+        this.page = Phaser.Math.Clamp(this.page, 0, pageCount - 1);
+
+        const gridWidth = columns * cardWidth + (columns - 1) * cardSpacing;
+        const left = (width - gridWidth) / 2;
+
+        achievements.slice(this.page * pageSize, (this.page + 1) * pageSize).forEach((achievement, index) => {
+            const x = left + (index % columns) * (cardWidth + cardSpacing);
+            const y = gridTop + Math.floor(index / columns) * (cardHeight + cardSpacing);
+            this.pageContainer.add(this.createAchievementCard(achievement, x, y));
+        });
+
+        if (pageCount > 1) {
+            this.createPager(pageCount);
+        }
+    }
+
+    createAchievementCard(achievement, x, y) {
+        const { cardWidth, cardHeight } = this.dims;
+        const elements = [];
+        const earned = achievement.tier !== null;
+
+        const card = this.add.graphics();
+        card.fillStyle(earned ? 0x2A1B5C : 0x15102E, 0.9);
+        card.fillRoundedRect(x, y, cardWidth, cardHeight, 10);
+        card.lineStyle(2, achievement.complete ? 0xFFD700 : earned ? 0xB39DDB : 0x4A4070, earned ? 0.8 : 0.5);
+        card.strokeRoundedRect(x, y, cardWidth, cardHeight, 10);
+        elements.push(card);
+
+        const icon = this.add.text(x + 28, y + 32, achievement.icon, { fontSize: '28px' }).setOrigin(0.5);
+        if (!earned) icon.setAlpha(0.5);
+        elements.push(icon);
+
+        const name = this.add.text(x + 54, y + 10, achievement.name, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            fontStyle: 'bold',
+            color: achievement.revealed ? '#FFFFFF' : '#7E72A8'
+        });
+        const description = this.add.text(x + 54, y + 30, achievement.description, {
+            fontSize: '11px',
+            fontFamily: 'Arial',
+            color: '#D1C4E9',
+            wordWrap: { width: cardWidth - 64 }
+        });
+        elements.push(name, description);
+
+        // Medals: earned tiers in full colour, the rest faded
+        achievement.tiers.forEach((tier, index) => {
+            const medal = this.add.text(x + cardWidth - 14 - (achievement.tiers.length - 1 - index) * 22, y + 16, tier.icon, {
+                fontSize: '16px'
+            }).setOrigin(0.5);
+            medal.setAlpha(tier.unlocked ? 1 : 0.25);
+            elements.push(medal);
+        });
+
+        if (achievement.revealed) {
+            const barX = x + 54;
+            const barY = y + cardHeight - 20;
+            const barWidth = cardWidth - 140;
+            const nextColor = achievement.nextTier
+                ? Phaser.Display.Color.HexStringToColor(achievement.tiers.find(tier => tier.tier === achievement.nextTier).color).color
+                : 0x81C784;
+
+            const bar = this.add.graphics();
+            bar.fillStyle(0x000000, 0.5);
+            bar.fillRoundedRect(barX, barY, barWidth, 8, 4);
+            bar.fillStyle(nextColor, 1);
+            bar.fillRoundedRect(barX, barY, Math.max(8, barWidth * achievement.fraction), 8, 4);
+            elements.push(bar);
+
+            const count = this.add.text(barX + barWidth + 8, barY + 4,
+                achievement.complete ? '✅ Complete' : `${Math.min(achievement.count, achievement.target)}/${achievement.target}`, {
+                    fontSize: '11px',
+                    fontFamily: 'Arial',
+                    color: '#FFFFFF'
+                }).setOrigin(0, 0.5);
+            elements.push(count);
+        }
+
+        const latest = achievement.tiers.filter(tier => tier.unlocked).pop();
+        if (latest?.unlockedAt) {
+            const date = this.add.text(x + cardWidth - 10, y + cardHeight - 36, this.formatDate(latest.unlockedAt), {
+                fontSize: '10px',
+                fontFamily: 'Arial',
+                color: '#B39DDB'
+            }).setOrigin(1, 0.5);
+            elements.push(date);
+        }
+
+        return elements;
+    }
+
+    formatDate(timestamp) {
+        if (!timestamp) return '—';
+        return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    createPager(pageCount) {
+        const { width, height } = this.dims;
+        const y = height - 35;
+
+        const label = this.add.text(width / 2, y, `Page ${this.page + 1} / ${pageCount}`, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF'
+        }).setOrigin(0.5);
+        this.pageContainer.add(label);
+
+        [[-1, '◀', width / 2 - 90], [1, '▶', width / 2 + 90]].forEach(([step, symbol, x]) => {
+            const target = this.page + step;
+            const enabled = target >= 0 && target < pageCount;
+            const arrow = this.add.text(x, y, symbol, {
+                fontSize: '20px',
+                fontFamily: 'Arial',
+                color: enabled ? '#FFD700' : '#4A4070',
+                padding: { x: 10, y: 4 }
+            }).setOrigin(0.5);
+            if (enabled) {
+                arrow.setInteractive({ useHandCursor: true });
+                arrow.on('pointerdown', () => {
+                    window.AudioManager?.playButtonClick?.();
+                    this.page = target;
+                    this.displayPage();
+                });
+            }
+            this.pageContainer.add(arrow);
+        });
+    }
+
+    createExitButton() {
+        const { width, isMobile } = this.dims;
+
+        const closeButton = this.add.text(width - (isMobile ? 25 : 35), 30, '✕', {
+            fontSize: '26px',
+            fontFamily: 'Arial',
+            color: '#FF8A8A',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(0.5);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.exitGallery());
+    }
+
+    /**
+     * Exit the gallery and return to GameScene
+     */
+    exitGallery() {
+        if (this._isShuttingDown) return;
+        console.log('[AchievementGalleryScene] Closing achievements');
+
+        if (window.AudioManager) {
+            window.AudioManager.playButtonClick();
+        }
+
+        this.scene.stop();
+        this.scene.resume('GameScene');
+    }
+
+    shutdown() {
+        if (this._isShuttingDown) {
+            return;
+        }
+        this._isShuttingDown = true;
+
+        this.gameStateUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.gameStateUnsubscribers = [];
+
+        if (this.input && this.input.keyboard) {
+            this.input.keyboard.off('keydown-ESC', this.exitGallery, this);
+            this.input.keyboard.off('keydown-H', this.exitGallery, this);
+        }
+
+        if (this.time) {
+            this.time.removeAllEvents();
+        }
+
+        this.pageContainer = null;
+        this.progressText = null;
+    }
+}
+
+// Register scene globally
+if (typeof window !== 'undefined') {
+    window.AchievementGalleryScene = AchievementGalleryScene;
+}
@@ -0,0 +1,524 @@
+/**
+ * BreedingShrineScene - Pick two roster creatures, preview their offspring and breed
+ * Uses GameState.getBreedingPreview()/breedRosterCreatures(); the offspring egg goes
+ * into the inventory and hatches there through the normal hatch cinematic.
+ * Closely related pairs (high inbreeding coefficient) need a second tap to breed.
+ */
+
+import Phaser from 'phaser';
+
+const getGameState = () => window.GameState;
+
+export default class BreedingShrineScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'BreedingShrineScene' });
+
+        this.graphicsEngine = null;
+        this.selectedParents = [null, null];
+        this.parentSlots = [];
+        this.rosterContainer = null;
+        this.previewContainer = null;
+        this.breedButton = null;
+        this.statusText = null;
+        this.cooldownTimer = null;
+        this.confirmedPairing = null;
+        this._isShuttingDown = false;
+    }
+
+    create() {
+        this._isShuttingDown = false;
+        this.selectedParents = [null, null];
+        this.parentSlots = [];
+        this.confirmedPairing = null;
+        if (this.events) {
+            this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+            this.events.once(Phaser.Scenes.Events.DESTROY, this.shutdown, this);
+        }
+        console.log('[BreedingShrineScene] ⛩️ Opening Breeding Shrine');
+
+        if (window.GraphicsEngine) {
+            this.graphicsEngine = new window.GraphicsEngine(this);
+        }
+
+        // Saves from before the shrine UI may already qualify
+        getGameState()?.checkBreedingShrineUnlock?.();
+
+        this.calculateResponsiveDimensions();
+        this.createBackground();
+        this.createHeader();
+        this.createParentSlots();
+        this.createBreedButton();
+        this.createRosterPicker();
+        this.createExitButton();
+        this.refreshSelection();
+
+        // Keep the cooldown countdown live while the shrine is open
+        this.cooldownTimer = this.time.addEvent({
+            delay: 1000,
+            loop: true,
+            callback: () => this.updateStatus()
+        });
+
+        this.input.keyboard?.on('keydown-ESC', this.exitShrine, this);
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.hideLoading();
+            window.UXEnhancements.announce('Breeding Shrine open. Choose two creatures to see what their egg might be.');
+        }
+    }
+
+    calculateResponsiveDimensions() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+        const isMobile = width < 600;
+
+        this.dims = {
+            width,
+            height,
+            isMobile,
+            titleSize: isMobile ? '24px' : '32px',
+            slotY: isMobile ? 150 : 165,
+            slotSize: isMobile ? 90 : 110,
+            previewY: isMobile ? 215 : 240,
+            rosterCardSize: isMobile ? 56 : 64
+        };
+    }
+
+    createBackground() {
+        const { width, height } = this.dims;
+
+        const bgGraphics = this.add.graphics();
+        bgGraphics.fillGradientStyle(0x1A0B3D, 0x1A0B3D, 0x0A0520, 0x0A0520, 1);
+        bgGraphics.fillRect(0, 0, width, height);
+
+        for (let i = 0; i < 60; i++) {
+            bgGraphics.fillStyle(0xFFD54F, Phaser.Math.FloatBetween(0.2, 0.7));
+            bgGraphics.fillCircle(Phaser.Math.Between(0, width), Phaser.Math.Between(0, height), Phaser.Math.FloatBetween(0.5, 1.8));
+        }
+    }
+
+    createHeader() {
+        const { width, titleSize, isMobile } = this.dims;
+
+        this.add.text(width / 2, 30, 'BREEDING SHRINE', {
+            fontSize: titleSize,
+            fontFamily: 'Arial Black',
+            color: '#FFD54F',
+            stroke: '#4A0080',
+            strokeThickness: isMobile ? 4 : 6,
+            align: 'center'
+        }).setOrigin(0.5);
+
+        this.statusText = this.add.text(width / 2, 65, '', {
+            fontSize: '15px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            align: 'center'
+        }).setOrigin(0.5);
+    }
+
+    /**
+     * Shrine status line: locked, cooling down or ready
+     */
+    updateStatus() {
+        const status = getGameState()?.getBreedingShrineStatus?.();
+        if (!status || !this.statusText) return;
+
+        if (!status.unlocked) {
+            this.statusText.setText(`🔒 Reach level ${status.levelRequirement} to awaken the shrine`);
+            this.statusText.setColor('#FF9800');
+        } else if (!status.canBreed) {
+            this.statusText.setText(`🌙 The shrine is resting… ready in ${this.formatDuration(status.cooldownRemaining)}`);
+            this.statusText.setColor('#B39DDB');
+        } else {
+            this.statusText.setText('✨ The shrine is glowing — choose two creatures');
+            this.statusText.setColor('#FFD700');
+        }
+
+        this.updateBreedButton(status);
+    }
+
+    formatDuration(ms) {
+        const totalMinutes = Math.ceil(ms / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    createParentSlots() {
+        const { width, slotY, slotSize } = this.dims;
+        const offsets = [-slotSize * 0.9, slotSize * 0.9];
+
+        offsets.forEach((offset, index) => {
+            const x = width / 2 + offset;
+            const frame = this.add.graphics();
+            frame.lineStyle(3, 0xFFD54F, 0.8);
+            frame.fillStyle(0x2A1B5C, 0.8);
+            frame.fillRoundedRect(x - slotSize / 2, slotY - slotSize / 2, slotSize, slotSize, 14);
+            frame.strokeRoundedRect(x - slotSize / 2, slotY - slotSize / 2, slotSize, slotSize, 14);
+
+            const label = this.add.text(x, slotY + slotSize / 2 + 12, 'Choose a parent', {
+                fontSize: '13px',
+                fontFamily: 'Arial',
+                color: '#B39DDB',
+                align: 'center'
+            }).setOrigin(0.5);
+
+            const zone = this.add.zone(x, slotY, slotSize, slotSize).setInteractive({ useHandCursor: true });
+            zone.on('pointerdown', () => {
+                if (this.selectedParents[index]) {
+                    window.AudioManager?.playButtonClick?.();
+                    this.selectedParents[index] = null;
+                    this.refreshSelection();
+                }
+            });
+
+            this.parentSlots.push({ x, y: slotY, frame, label, zone, thumbnail: null });
+        });
+
+        this.add.text(width / 2, slotY, '💞', { fontSize: '28px' }).setOrigin(0.5);
+    }
+
+    createBreedButton() {
+        const { width } = this.dims;
+
+        this.breedButton = this.add.text(width / 2, this.dims.height - 150, '🥚 Breed', {
+            fontSize: '20px',
+            fontFamily: 'Arial Black',
+            color: '#FFFFFF',
+            backgroundColor: '#2E7D32',
+            padding: { x: 22, y: 10 }
+        }).setOrigin(0.5);
+        this.breedButton.setInteractive({ useHandCursor: true });
+        this.breedButton.on('pointerdown', () => this.breed());
+    }
+
+    updateBreedButton(status = getGameState()?.getBreedingShrineStatus?.()) {
+        if (!this.breedButton) return;
+
+        const ready = !!status?.canBreed && this.selectedParents.every(Boolean);
+        this.breedButton.setAlpha(ready ? 1 : 0.45);
+        this.breedButton.setBackgroundColor(ready ? '#2E7D32' : '#424242');
+    }
+
+    /**
+     * Roster strip: tap a creature to place it in the next empty parent slot
+     */
+    createRosterPicker() {
+        this.rosterContainer?.destroy(true);
+        this.rosterContainer = this.add.container(0, 0);
+
+        const { width, height, rosterCardSize } = this.dims;
+        const roster = getGameState()?.getRoster?.() || [];
+        const spacing = 8;
+        const columns = Math.max(1, Math.floor((width - 20) / (rosterCardSize + spacing)));
+        const rows = Math.ceil(roster.length / columns);
+        const top = height - 110 - Math.max(0, rows - 1) * (rosterCardSize + spacing) + 20;
+
+        if (roster.length < 2) {
+            this.rosterContainer.add(this.add.text(width / 2, height - 90, 'You need two creatures to breed.\nHatch an egg from your inventory first!', {
+                fontSize: '14px',
+                fontFamily: 'Arial',
+                color: '#B39DDB',
+                align: 'center'
+            }).setOrigin(0.5));
+            return;
+        }
+
+        const rowWidth = Math.min(roster.length, columns) * (rosterCardSize + spacing) - spacing;
+        const left = (width - rowWidth) / 2;
+
+        roster.forEach((entry, index) => {
+            const x = left + (index % columns) * (rosterCardSize + spacing);
+            const y = top + Math.floor(index / columns) * (rosterCardSize + spacing);
+            const selected = this.selectedParents.includes(entry.id);
+
+            const card = this.add.graphics();
+            card.fillStyle(selected ? 0x6A1B9A : 0x2A1B5C, 0.9);
+            card.fillRoundedRect(x, y, rosterCardSize, rosterCardSize, 8);
+            card.lineStyle(2, selected ? 0xFFD700 : 0x4A4070, 0.9);
+            card.strokeRoundedRect(x, y, rosterCardSize, rosterCardSize, 8);
+            this.rosterContainer.add(card);
+
+            const thumbnailKey = this.getThumbnailKey(entry.id);
+            if (thumbnailKey) {
+                const thumbnail = this.add.image(x + rosterCardSize / 2, y + rosterCardSize / 2 - 6, thumbnailKey);
+                thumbnail.setScale(Math.min((rosterCardSize - 20) / thumbnail.width, (rosterCardSize - 20) / thumbnail.height));
+                this.rosterContainer.add(thumbnail);
+            }
+
+            const name = this.add.text(x + rosterCardSize / 2, y + rosterCardSize - 4, entry.name, {
+                fontSize: '10px',
+                fontFamily: 'Arial',
+                color: '#FFFFFF',
+                fixedWidth: rosterCardSize - 4,
+                align: 'center'
+            }).setOrigin(0.5, 1);
+            this.rosterContainer.add(name);
+
+            const zone = this.add.zone(x + rosterCardSize / 2, y + rosterCardSize / 2, rosterCardSize, rosterCardSize)
+                .setInteractive({ useHandCursor: true });
+            zone.on('pointerdown', () => this.selectParent(entry.id));
+            this.rosterContainer.add(zone);
+        });
+    }
+
+    selectParent(creatureId) {
+        window.AudioManager?.playButtonClick?.();
+
+        const existing = this.selectedParents.indexOf(creatureId);
+        if (existing >= 0) {
+            this.selectedParents[existing] = null;
+        } else {
+            const emptySlot = this.selectedParents.indexOf(null);
+            this.selectedParents[emptySlot >= 0 ? emptySlot : 1] = creatureId;
+        }
+
+        this.refreshSelection();
+    }
+
+    refreshSelection() {
+        const gameState = getGameState();
+        this.confirmedPairing = null;
+
+        this.parentSlots.forEach((slot, index) => {
+            const creatureId = this.selectedParents[index];
+            slot.thumbnail?.destroy();
+            slot.thumbnail = null;
+
+            if (!creatureId) {
+                slot.label.setText('Choose a parent');
+                slot.label.setColor('#B39DDB');
+                return;
+            }
+
+            const creature = gameState.getRosterCreature(creatureId);
+            slot.label.setText(`${creature?.name || '???'}${creature?.rarity ? ` · ${creature.rarity}` : ''}`);
+            slot.label.setColor('#FFFFFF');
+
+            const thumbnailKey = this.getThumbnailKey(creatureId);
+            if (thumbnailKey) {
+                slot.thumbnail = this.add.image(slot.x, slot.y, thumbnailKey);
+                const size = this.dims.slotSize - 24;
+                slot.thumbnail.setScale(Math.min(size / slot.thumbnail.width, size / slot.thumbnail.height));
+            }
+        });
+
+        this.createRosterPicker();
+        this.showPreview();
+        this.updateStatus();
+    }
+
+    /**
+     * Compatibility meter plus rarity and trait odds for the chosen pair
+     */
+    showPreview() {
+        this.previewContainer?.destroy(true);
+        this.previewContainer = this.add.container(0, 0);
+
+        const { width, previewY, isMobile } = this.dims;
+        const [parentA, parentB] = this.selectedParents;
+        const preview = getGameState()?.getBreedingPreview?.(parentA, parentB);
+
+        if (!preview) {
+            this.previewContainer.add(this.add.text(width / 2, previewY + 30, 'Pick two creatures to see their egg’s odds', {
+                fontSize: '14px',
+                fontFamily: 'Arial',
+                color: '#7E72A8'
+            }).setOrigin(0.5));
+            return;
+        }
+
+        const { compatibility, rarityOdds, traitOdds, inbreeding } = preview;
+        const barWidth = Math.min(width - 60, 320);
+        const bar = this.add.graphics();
+        bar.fillStyle(0x15102E, 1);
+        bar.fillRoundedRect(width / 2 - barWidth / 2, previewY, barWidth, 14, 7);
+        bar.fillStyle(compatibility.percentage >= 70 ? 0x66BB6A : compatibility.percentage >= 40 ? 0xFFD54F : 0xFF8A65, 1);
+        bar.fillRoundedRect(width / 2 - barWidth / 2, previewY, Math.max(14, barWidth * compatibility.percentage / 100), 14, 7);
+        this.previewContainer.add(bar);
+
+        this.previewContainer.add(this.add.text(width / 2, previewY + 26, `Compatibility ${compatibility.percentage}%`, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            fontStyle: 'bold',
+            color: '#FFFFFF'
+        }).setOrigin(0.5, 0));
+
+        const rarityLine = rarityOdds.map(({ rarity, chance }) => `${rarity} ${Math.round(chance * 100)}%`).join(' · ');
+        this.previewContainer.add(this.add.text(width / 2, previewY + 48, `🥚 Egg: ${rarityLine}`, {
+            fontSize: '13px',
+            fontFamily: 'Arial',
+            color: '#FFD54F',
+            align: 'center',
+            wordWrap: { width: width - 40 }
+        }).setOrigin(0.5, 0));
+
+        const traitNames = window.BreedingEngine?.traitDefinitions || {};
+        const traitLines = Object.entries(traitOdds).map(([traitKey, odds]) => {
+            const options = odds.map(({ name, chance }) => `${name} ${Math.round(chance * 100)}%`).join(', ');
+            return `${traitNames[traitKey]?.name || traitKey}: ${options}`;
+        });
+
+        let traitTop = previewY + 72;
+        if (inbreeding?.coefficient > 0) {
+            const shared = inbreeding.commonAncestors.map(({ name }) => name).join(', ');
+            const line = inbreeding.warning
+                ? `⚠️ Close relatives! Inbreeding ${inbreeding.percent}% (shared: ${shared})`
+                : `🌳 Distant relatives · inbreeding ${inbreeding.percent}%`;
+            this.previewContainer.add(this.add.text(width / 2, traitTop, line, {
+                fontSize: '13px',
+                fontFamily: 'Arial',
+                fontStyle: inbreeding.warning ? 'bold' : 'normal',
+                color: inbreeding.warning ? '#FF7043' : '#A5D6A7',
+                align: 'center',
+                wordWrap: { width: width - 40 }
+            }).setOrigin(0.5, 0));
+            traitTop += 22;
+        }
+
+        this.previewContainer.add(this.add.text(width / 2, traitTop, traitLines.join('\n'), {
+            fontSize: isMobile ? '11px' : '12px',
+            fontFamily: 'Arial',
+            color: '#B39DDB',
+            align: 'center',
+            lineSpacing: 3
+        }).setOrigin(0.5, 0));
+    }
+
+    breed() {
+        const [parentA, parentB] = this.selectedParents;
+        if (!parentA || !parentB) return;
+
+        // Ask once before breeding close relatives
+        const pairing = `${parentA}|${parentB}`;
+        const inbreeding = getGameState().getBreedingPreview(parentA, parentB)?.inbreeding;
+        if (inbreeding?.warning && this.confirmedPairing !== pairing && getGameState().getBreedingShrineStatus().canBreed) {
+            window.AudioManager?.playError?.();
+            this.confirmedPairing = pairing;
+            this.showMessage(`⚠️ These two are close relatives (${inbreeding.percent}%).\nMixing families keeps traits varied.\nTap Breed again to continue.`, 0xFF7043);
+            return;
+        }
+
+        const result = getGameState().breedRosterCreatures(parentA, parentB);
+        if (!result.success) {
+            window.AudioManager?.playError?.();
+            const messages = {
+                locked: 'The shrine is still asleep.',
+                cooldown: 'The shrine needs to rest before the next egg.',
+                inventory_full: 'Your inventory is full! Make room for the egg.',
+                same_parent: 'Pick two different creatures.',
+                unknown_parent: 'That creature is no longer in your roster.',
+                unavailable: 'The shrine is not available right now.'
+            };
+            this.showMessage(messages[result.reason] || 'The shrine could not breed these two.', 0xFF9800);
+            this.updateStatus();
+            return;
+        }
+
+        window.AudioManager?.playHatchCelebration?.();
+        if (window.FXLibrary) {
+            window.FXLibrary.stardustBurst(this, this.dims.width / 2, this.dims.slotY, {
+                count: 24,
+                color: [0xFFD700, 0xFFA500, 0xFFFFFF],
+                duration: 1600
+            });
+        }
+
+        this.showMessage(`🥚 A ${result.egg.rarity} Shrine Egg appeared!\nHatch it from your inventory 🎒`, 0xFFD700);
+        this.selectedParents = [null, null];
+        this.refreshSelection();
+    }
+
+    getThumbnailKey(creatureId) {
+        if (!this.graphicsEngine?.loadCreatureFromRecord) return null;
+
+        try {
+            const record = getGameState().getRosterCreature(creatureId);
+            const result = this.graphicsEngine.loadCreatureFromRecord(record, 0);
+            return result?.textureName && this.textures.exists(result.textureName) ? result.textureName : null;
+        } catch (error) {
+            console.warn('[BreedingShrineScene] Thumbnail failed', error);
+            return null;
+        }
+    }
+
+    showMessage(message, color) {
+        const { width, height, isMobile } = this.dims;
+
+        const msgText = this.add.text(width / 2, height / 2, message, {
+            fontSize: isMobile ? '16px' : '18px',
+            fontFamily: 'Arial Black',
+            color: `#${color.toString(16).padStart(6, '0')}`,
+            stroke: '#000000',
+            strokeThickness: 4,
+            align: 'center'
+        }).setOrigin(0.5).setDepth(150);
+
+        this.tweens.add({
+            targets: msgText,
+            alpha: 0,
+            y: height / 2 - 30,
+            delay: 2200,
+            duration: 600,
+            onComplete: () => msgText.destroy()
+        });
+    }
+
+    createExitButton() {
+        const { width, isMobile } = this.dims;
+
+        const closeButton = this.add.text(width - (isMobile ? 25 : 35), 30, '✕', {
+            fontSize: '26px',
+            fontFamily: 'Arial',
+            color: '#FF8A8A',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(0.5);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.exitShrine());
+    }
+
+    /**
+     * Leave the shrine and return to GameScene
+     */
+    exitShrine() {
+        if (this._isShuttingDown) return;
+        console.log('[BreedingShrineScene] Closing shrine');
+
+        if (window.AudioManager) {
+            window.AudioManager.playButtonClick();
+        }
+
+        this.scene.stop();
+        this.scene.resume('GameScene');
+    }
+
+    shutdown() {
+        if (this._isShuttingDown) {
+            return;
+        }
+        this._isShuttingDown = true;
+
+        if (this.input && this.input.keyboard) {
+            this.input.keyboard.off('keydown-ESC', this.exitShrine, this);
+        }
+
+        if (this.time) {
+            this.time.removeAllEvents();
+        }
+
+        this.cooldownTimer = null;
+        this.confirmedPairing = null;
+        this.parentSlots = [];
+        this.rosterContainer = null;
+        this.previewContainer = null;
+        this.breedButton = null;
+        this.statusText = null;
+        this.graphicsEngine = null;
+    }
+}
+
+// Register scene globally
+if (typeof window !== 'undefined') {
+    window.BreedingShrineScene = BreedingShrineScene;
+}
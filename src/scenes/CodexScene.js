@@ -0,0 +1,400 @@
+/**
+ * CodexScene - Creature Codex collection book
+ * Lists every species, body/head form and rarity; undiscovered entries are silhouettes,
+ * discovered ones show a rendered thumbnail, first-hatch date and how many you own
+ */
+
+import Phaser from 'phaser';
+
+const CATEGORIES = [
+    { key: 'species', label: '🌌 Species' },
+    { key: 'form', label: '🧬 Forms' },
+    { key: 'rarity', label: '💎 Rarities' }
+];
+
+export default class CodexScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'CodexScene' });
+
+        this.graphicsEngine = null;
+        this.selectedCategory = 'species';
+        this.page = 0;
+        this.pageContainer = null;
+        this.categoryButtons = [];
+        this.gameStateUnsubscribers = [];
+        this._isShuttingDown = false;
+    }
+
+    create() {
+        this._isShuttingDown = false;
+        this.gameStateUnsubscribers = [];
+        this.categoryButtons = [];
+        this.page = 0;
+        if (this.events) {
+            this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+            this.events.once(Phaser.Scenes.Events.DESTROY, this.shutdown, this);
+        }
+        console.log('[CodexScene] 📖 Opening Creature Codex');
+
+        if (window.GraphicsEngine) {
+            this.graphicsEngine = new window.GraphicsEngine(this);
+        }
+
+        // Pick up anything hatched since the last refresh (and pay milestones)
+        const refresh = window.CodexSystem?.refresh?.() || { milestones: [] };
+
+        this.calculateResponsiveDimensions();
+        this.createBackground();
+        this.createHeader();
+        this.createCategoryTabs();
+        this.createMilestoneBar();
+        this.createExitButton();
+        this.displayCategory(this.selectedCategory);
+
+        const unsubscribe = window.GameState?.on?.('codexMilestoneReached', (milestone) => this.showMilestoneToast(milestone));
+        if (typeof unsubscribe === 'function') {
+            this.gameStateUnsubscribers.push(unsubscribe);
+        }
+        refresh.milestones.forEach(milestone => this.showMilestoneToast(milestone));
+
+        this.input.keyboard?.on('keydown-ESC', this.exitCodex, this);
+        this.input.keyboard?.on('keydown-K', this.exitCodex, this);
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.hideLoading();
+            window.UXEnhancements.announce('Creature Codex open. Discover every species, form and rarity.');
+        }
+    }
+
+    calculateResponsiveDimensions() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+        const isMobile = width < 600;
+
+        const cardWidth = isMobile ? 110 : 140;
+        const cardHeight = isMobile ? 130 : 150;
+        const cardSpacing = isMobile ? 8 : 12;
+        const gridTop = isMobile ? 150 : 165;
+        const gridBottom = height - (isMobile ? 110 : 100);
+        const columns = Math.max(1, Math.floor((width - 20) / (cardWidth + cardSpacing)));
+        const rows = Math.max(1, Math.floor((gridBottom - gridTop) / (cardHeight + cardSpacing)));
+
+        this.dims = {
+            width,
+            height,
+            isMobile,
+            cardWidth,
+            cardHeight,
+            cardSpacing,
+            gridTop,
+            columns,
+            rows,
+            pageSize: columns * rows,
+            titleSize: isMobile ? '24px' : '32px'
+        };
+    }
+
+    createBackground() {
+        const { width, height } = this.dims;
+
+        const bgGraphics = this.add.graphics();
+        bgGraphics.fillStyle(0x0A0520, 1);
+        bgGraphics.fillRect(0, 0, width, height);
+
+        for (let i = 0; i < 80; i++) {
+            bgGraphics.fillStyle(0xFFFFFF, Phaser.Math.FloatBetween(0.3, 0.9));
+            bgGraphics.fillCircle(Phaser.Math.Between(0, width), Phaser.Math.Between(0, height), Phaser.Math.FloatBetween(0.5, 2));
+        }
+    }
+
+    createHeader() {
+        const { width, titleSize, isMobile } = this.dims;
+
+        const title = this.add.text(width / 2, 30, 'CREATURE CODEX', {
+            fontSize: titleSize,
+            fontFamily: 'Arial Black',
+            color: '#FFD700',
+            stroke: '#4A0080',
+            strokeThickness: isMobile ? 4 : 6,
+            align: 'center'
+        });
+        title.setOrigin(0.5, 0.5);
+
+        this.progressText = this.add.text(width / 2, 65, '', {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            align: 'center'
+        });
+        this.progressText.setOrigin(0.5, 0.5);
+        this.updateProgressText();
+    }
+
+    updateProgressText() {
+        const progress = window.CodexSystem?.getProgress?.() || { discovered: 0, total: 0, percent: 0 };
+        this.progressText?.setText(`${progress.discovered} / ${progress.total} discovered (${progress.percent}%)`);
+    }
+
+    createCategoryTabs() {
+        const { width, isMobile } = this.dims;
+        const tabWidth = isMobile ? (width - 40) / 3 : 150;
+        const startX = width / 2 - (tabWidth * CATEGORIES.length) / 2 + tabWidth / 2;
+
+        CATEGORIES.forEach((category, index) => {
+            const button = this.add.text(startX + index * tabWidth, 105, category.label, {
+                fontSize: isMobile ? '13px' : '15px',
+                fontFamily: 'Arial',
+                color: '#FFFFFF',
+                backgroundColor: '#2A1B5C',
+                padding: { x: 10, y: 6 },
+                fixedWidth: tabWidth - 8,
+                align: 'center'
+            });
+            button.setOrigin(0.5, 0.5);
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerdown', () => {
+                window.AudioManager?.playButtonClick?.();
+                this.page = 0;
+                this.displayCategory(category.key);
+            });
+            this.categoryButtons.push({ key: category.key, button });
+        });
+    }
+
+    updateCategoryTabs() {
+        this.categoryButtons.forEach(({ key, button }) => {
+            const selected = key === this.selectedCategory;
+            button.setBackgroundColor(selected ? '#6A1B9A' : '#2A1B5C');
+            button.setColor(selected ? '#FFD700' : '#FFFFFF');
+        });
+    }
+
+    displayCategory(category) {
+        this.selectedCategory = category;
+        this.updateCategoryTabs();
+
+        this.pageContainer?.destroy(true);
+        this.pageContainer = this.add.container(0, 0);
+
+        const entries = window.CodexSystem?.getEntries?.(category) || [];
+        const { pageSize, columns, cardWidth, cardHeight, cardSpacing, gridTop, width } = this.dims;
+        const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+        this.page = Phaser.Math.Clamp(this.page, 0, pageCount - 1);
+
+        const gridWidth = columns * cardWidth + (columns - 1) * cardSpacing;
+        const left = (width - gridWidth) / 2;
+
+        entries.slice(this.page * pageSize, (this.page + 1) * pageSize).forEach((entry, index) => {
+            const x = left + (index % columns) * (cardWidth + cardSpacing);
+            const y = gridTop + Math.floor(index / columns) * (cardHeight + cardSpacing);
+            this.pageContainer.add(this.createEntryCard(entry, x, y));
+        });
+
+        if (pageCount > 1) {
+            this.createPager(pageCount);
+        }
+    }
+
+    createEntryCard(entry, x, y) {
+        const { cardWidth, cardHeight } = this.dims;
+        const elements = [];
+
+        const card = this.add.graphics();
+        card.fillStyle(entry.discovered ? 0x2A1B5C : 0x15102E, 0.9);
+        card.fillRoundedRect(x, y, cardWidth, cardHeight, 10);
+        card.lineStyle(2, entry.discovered ? 0xFFD700 : 0x4A4070, entry.discovered ? 0.8 : 0.5);
+        card.strokeRoundedRect(x, y, cardWidth, cardHeight, 10);
+        elements.push(card);
+
+        const thumbnailKey = this.getThumbnailKey(entry.previewDna);
+        if (thumbnailKey) {
+            const thumbnail = this.add.image(x + cardWidth / 2, y + 42, thumbnailKey);
+            thumbnail.setScale(Math.min(60 / thumbnail.width, 60 / thumbnail.height));
+            if (!entry.discovered) {
+                // Silhouette: solid shape with no colours or details
+                thumbnail.setTintFill(0x000000);
+                thumbnail.setAlpha(0.55);
+            }
+            elements.push(thumbnail);
+        }
+
+        const name = this.add.text(x + cardWidth / 2, y + 80, entry.discovered ? entry.label : '???', {
+            fontSize: '12px',
+            fontFamily: 'Arial',
+            fontStyle: 'bold',
+            color: entry.discovered ? '#FFFFFF' : '#7E72A8',
+            align: 'center',
+            wordWrap: { width: cardWidth - 10 }
+        }).setOrigin(0.5, 0);
+        elements.push(name);
+
+        if (entry.discovered) {
+            const details = this.add.text(x + cardWidth / 2, y + cardHeight - 8,
+                `First: ${this.formatDate(entry.firstHatchedAt)}\nOwned: ${entry.ownedCount}`, {
+                    fontSize: '10px',
+                    fontFamily: 'Arial',
+                    color: '#B39DDB',
+                    align: 'center'
+                }).setOrigin(0.5, 1);
+            elements.push(details);
+        }
+
+        return elements;
+    }
+
+    /**
+     * Render (or reuse) a frame-0 DNA texture for a codex entry
+     */
+    getThumbnailKey(dna) {
+        if (!dna || !this.graphicsEngine?.createCreatureFromDNA) return null;
+
+        const cachedKey = `creature_dna_${dna.id}_0`;
+        if (this.textures.exists(cachedKey)) return cachedKey;
+
+        try {
+            const result = this.graphicsEngine.createCreatureFromDNA(dna, 0);
+            return result?.textureName && this.textures.exists(result.textureName) ? result.textureName : null;
+        } catch (error) {
+            console.warn('[CodexScene] Thumbnail failed', error);
+            return null;
+        }
+    }
+
+    formatDate(timestamp) {
+        if (!timestamp) return '—';
+        return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    createPager(pageCount) {
+        const { width, height } = this.dims;
+        const y = height - 85;
+
+        const label = this.add.text(width / 2, y, `Page ${this.page + 1} / ${pageCount}`, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF'
+        }).setOrigin(0.5);
+        this.pageContainer.add(label);
+
+        [[-1, '◀', width / 2 - 90], [1, '▶', width / 2 + 90]].forEach(([step, symbol, x]) => {
+            const target = this.page + step;
+            const enabled = target >= 0 && target < pageCount;
+            const arrow = this.add.text(x, y, symbol, {
+                fontSize: '20px',
+                fontFamily: 'Arial',
+                color: enabled ? '#FFD700' : '#4A4070',
+                padding: { x: 10, y: 4 }
+            }).setOrigin(0.5);
+            if (enabled) {
+                arrow.setInteractive({ useHandCursor: true });
+                arrow.on('pointerdown', () => {
+                    window.AudioManager?.playButtonClick?.();
+                    this.page = target;
+                    this.displayCategory(this.selectedCategory);
+                });
+            }
+            this.pageContainer.add(arrow);
+        });
+    }
+
+    createMilestoneBar() {
+        const { width, height } = this.dims;
+
+        this.milestoneText?.destroy();
+        const milestones = window.CodexSystem?.getMilestones?.() || [];
+        const text = milestones
+            .map(milestone => `${milestone.claimed ? '✅' : '⭐'} ${milestone.percent}% · ${milestone.reward}🪙`)
+            .join('   ');
+
+        this.milestoneText = this.add.text(width / 2, height - 50, text, {
+            fontSize: this.dims.isMobile ? '11px' : '13px',
+            fontFamily: 'Arial',
+            color: '#FFD54F',
+            align: 'center',
+            wordWrap: { width: width - 40 }
+        }).setOrigin(0.5);
+    }
+
+    showMilestoneToast({ percent, reward }) {
+        const { width, height } = this.dims;
+        const toast = this.add.text(width / 2, height / 2, `📖 Codex ${percent}% complete!\n+${reward} Cosmic Coins`, {
+            fontSize: '20px',
+            fontFamily: 'Arial',
+            fontStyle: 'bold',
+            color: '#FFD700',
+            backgroundColor: '#2A1B5C',
+            padding: { x: 20, y: 12 },
+            align: 'center'
+        }).setOrigin(0.5).setDepth(1000);
+
+        this.tweens.add({
+            targets: toast,
+            alpha: 0,
+            y: height / 2 - 40,
+            delay: 1800,
+            duration: 600,
+            onComplete: () => toast.destroy()
+        });
+
+        this.updateProgressText();
+        this.createMilestoneBar();
+    }
+
+    createExitButton() {
+        const { width, isMobile } = this.dims;
+
+        const closeButton = this.add.text(width - (isMobile ? 25 : 35), 30, '✕', {
+            fontSize: '26px',
+            fontFamily: 'Arial',
+            color: '#FF8A8A',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(0.5);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.exitCodex());
+    }
+
+    /**
+     * Exit the codex and return to GameScene
+     */
+    exitCodex() {
+        if (this._isShuttingDown) return;
+        console.log('[CodexScene] Closing codex');
+
+        if (window.AudioManager) {
+            window.AudioManager.playButtonClick();
+        }
+
+        this.scene.stop();
+        this.scene.resume('GameScene');
+    }
+
+    shutdown() {
+        if (this._isShuttingDown) {
+            return;
+        }
+        this._isShuttingDown = true;
+
+        this.gameStateUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.gameStateUnsubscribers = [];
+
+        if (this.input && this.input.keyboard) {
+            this.input.keyboard.off('keydown-ESC', this.exitCodex, this);
+            this.input.keyboard.off('keydown-K', this.exitCodex, this);
+        }
+
+        if (this.time) {
+            this.time.removeAllEvents();
+        }
+
+        this.pageContainer = null;
+        this.categoryButtons = [];
+        this.milestoneText = null;
+        this.progressText = null;
+        this.graphicsEngine = null;
+    }
+}
+
+// Register scene globally
+if (typeof window !== 'undefined') {
+    window.CodexScene = CodexScene;
+}
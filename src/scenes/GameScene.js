@@ -5,6 +5,13 @@
 
 import EconomyHudManager from '../systems/ui/EconomyHudManager.js';
 import CarePanelManager from '../systems/ui/CarePanelManager.js';
+import RosterPanelManager from '../systems/ui/RosterPanelManager.js';
+import SharePanelManager from '../systems/ui/SharePanelManager.js';
+import TradePanelManager from '../systems/ui/TradePanelManager.js';
+import QuestLogPanelManager from '../systems/ui/QuestLogPanelManager.js';
+import SettingsPanelManager from '../systems/ui/SettingsPanelManager.js';
+import CoinHistoryPanelManager from '../systems/ui/CoinHistoryPanelManager.js';
+import TutorialOverlayManager from '../systems/ui/TutorialOverlayManager.js';
 import WorldBuilder from '../systems/world/WorldBuilder.js';
 
 const Phaser = typeof window !== 'undefined' ? window.Phaser : undefined;
@@ -32,16 +39,29 @@ class GameScene extends Phaser.Scene {
         this.playKey = null;
         this.restKey = null;
         this.careKey = null;
+        this.codexKey = null;
+        this.questKey = null;
+        this.achievementKey = null;
         this.worldWidth = 1600;
         this.worldHeight = 1200;
         this.trees = null;
         this.rocks = null;
         this.flowers = null;
+        this.skillEffects = null;
         this.creatureAI = null;
         this.chatUI = null;
         this.isChatOpen = false;
         this.careSystem = null;
         this.carePanelManager = null;
+        this.rosterPanelManager = null;
+        this.sharePanelManager = null;
+        this.tradePanelManager = null;
+        this.questLogPanelManager = null;
+        this.achievementButton = null;
+        this.settingsPanelManager = null;
+        this.coinHistoryPanelManager = null;
+        this.tutorialOverlay = null;
+        this.visitorSprites = new Map();
         this.coins = null;
         this.coinRespawnTimers = [];
         this.enemies = null;
@@ -78,7 +98,6 @@ class GameScene extends Phaser.Scene {
         this.combatText = null;
         this.dailyBonusButton = null;
         this.dailyBonusGlow = null;
-        this.isShowingTutorial = false;
         this.welcomeToastDisplayed = false;
     }
 
@@ -124,7 +143,7 @@ class GameScene extends Phaser.Scene {
                 geneticsProvider: () => this.playerGenetics || getGameState().get('creature.genetics')
             });
 
-            // Initialize AchievementSystem for basic achievements
+            // AchievementSystem counts events on its own; the scene shows toasts and the gallery
             if (typeof window.AchievementSystem !== 'undefined' && window.AchievementSystem) {
                 this.achievementSystem = window.AchievementSystem;
                 // Call initialize if it exists and hasn't been called
@@ -208,10 +227,15 @@ class GameScene extends Phaser.Scene {
             // Initialize Kid Mode features if enabled
             this.initializeKidMode();
             
+            // Skill effects (movement, flowers, calming, coins) of the active creature
+            this.refreshSkillEffects();
+
+            this.createTutorialOverlay();
+
             // Listen for GameState events
             this.setupGameStateListeners();
 
-            // Set up periodic timers for achievements and tutorials
+            // Set up periodic timers for achievements, life stages and needs
             this.setupPeriodicTimers();
 
             console.log('[GameScene] Scene created successfully');
@@ -243,7 +267,6 @@ class GameScene extends Phaser.Scene {
         this.virtualKeyHandler = null;
         this.joystickX = 0;
         this.joystickY = 0;
-        this.isShowingTutorial = false;
         this.welcomeToastDisplayed = false;
         this.combatCooldown = 0;
         this.floatingParticles = [];
@@ -403,6 +426,63 @@ class GameScene extends Phaser.Scene {
         });
     }
 
+    /**
+     * Re-render the player sprite and HUD for the newly active roster creature
+     */
+    refreshActiveCreature() {
+        if (!this.player || this._isShuttingDown) return;
+
+        this.refreshPlayerTexture();
+
+        this.playerGenetics = getGameState().get('creature.genetics') || null;
+        this.refreshSkillEffects();
+
+        this.updateStatsDisplay();
+        this.updatePersonalityDisplay();
+        this.carePanelManager?.updateButtons();
+        this.carePanelManager?.updateHint();
+        this.rosterPanelManager?.updateButton();
+
+        const name = getGameState().get('creature.name') || 'Your creature';
+        this.showCareEffect(`✨ ${name} joins you!`, 0xFFD700);
+    }
+
+    refreshPlayerTexture() {
+        try {
+            const creatureTextures = this.graphicsEngine.createCreatureAnimationFrames();
+            this.player.setTexture(creatureTextures[0]);
+        } catch (error) {
+            console.error('game:error [GameScene] Error re-creating creature frames:', error);
+        }
+    }
+
+    /**
+     * Evolution cinematic (HatchCinematics glow, stardust and burst) around the player;
+     * the sprite switches to its new life stage look at the burst
+     */
+    playEvolutionCinematic({ name }) {
+        if (!this.player || this._isShuttingDown) return;
+
+        const creatureName = getGameState().get('creature.name') || 'Your creature';
+        const celebrate = () => {
+            this.updateStatsDisplay();
+            this.showCareEffect(`🌟 ${creatureName} evolved: ${name}!`, 0xFFD700);
+            window.UXEnhancements?.announce?.(`${creatureName} evolved into the ${name} stage!`);
+        };
+
+        const cinematics = window.HatchCinematics;
+        if (!cinematics?.playEvolutionSequence) {
+            this.refreshPlayerTexture();
+            celebrate();
+            return;
+        }
+
+        cinematics.playEvolutionSequence(this, this.player, {
+            onMorph: () => !this._isShuttingDown && this.refreshPlayerTexture(),
+            onComplete: () => !this._isShuttingDown && celebrate()
+        });
+    }
+
     createCosmicCoins() {
         console.log('game:info [GameScene] Creating cosmic coins for collection');
 
@@ -490,7 +570,8 @@ class GameScene extends Phaser.Scene {
     }
 
     handleCoinCollection(player, coin) {
-        if (!coin?.active) return;
+        if (!coin?.active || coin.getData('collecting')) return;
+        coin.setData('collecting', true);
 
         const coinValue = coin.getData('value') ?? 10;
 
@@ -530,6 +611,7 @@ class GameScene extends Phaser.Scene {
         const originalY = coin.getData('originalY');
 
         coin.setPosition(originalX, originalY);
+        coin.setData('collecting', false);
         coin.setActive(true);
         coin.setVisible(true);
         coin.setAlpha(0);
@@ -630,6 +712,7 @@ class GameScene extends Phaser.Scene {
         const y = data.y ?? this.player?.y ?? 0;
         const type = data.type ?? 'voidWisp';
         this.createEnemyCalmParticles(x, y, type);
+        getGameState().addExperience(null, 'enemyCalmed');
 
         if (data.coinDrop && this.economyHud?.showFloatingCoinText) {
             this.economyHud.showFloatingCoinText(data.coinDrop);
@@ -678,6 +761,9 @@ class GameScene extends Phaser.Scene {
         this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
         this.inventoryKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.I);
         this.combatKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.M);
+        this.codexKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.K);
+        this.questKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.Q);
+        this.achievementKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.H);
 
         this.joystickX = 0;
         this.joystickY = 0;
@@ -754,16 +840,56 @@ class GameScene extends Phaser.Scene {
         this.interactionText.setDepth(3000);
         this.interactionText.setVisible(false);
 
+        this.coinHistoryPanelManager = new CoinHistoryPanelManager(this, { ledger: window.EconomyLedger });
+
         if (!this.economyHud) {
             this.economyHud = new EconomyHudManager(this, {
                 economyManager: window.EconomyManager,
-                playerProvider: () => this.player
+                playerProvider: () => this.player,
+                onOpenHistory: () => this.coinHistoryPanelManager?.togglePanel()
             });
         }
         this.economyHud.init();
 
         this.carePanelManager?.init();
 
+        this.rosterPanelManager = new RosterPanelManager(this, {
+            graphicsEngine: this.graphicsEngine,
+            actions: [
+                { label: '📖 Codex', onSelect: () => this.openCodex() },
+                { label: '⛩️ Shrine', onSelect: () => this.openBreedingShrine() },
+                { label: '🔗 Share', onSelect: () => this.sharePanelManager?.showPanel() },
+                { label: '🤝 Trade', onSelect: () => this.tradePanelManager?.showPanel() }
+            ],
+            onShowPedigree: (creatureId) => this.openPedigree(creatureId)
+        });
+        this.rosterPanelManager.init();
+
+        if (window.QuestSystem) {
+            this.questLogPanelManager = new QuestLogPanelManager(this, { questSystem: window.QuestSystem });
+            this.questLogPanelManager.init();
+        }
+
+        if (this.achievementSystem) {
+            this.achievementButton = this.add.text(215, 16, '🏆 Awards', {
+                fontSize: '12px',
+                color: '#FFFFFF',
+                backgroundColor: 'rgba(0, 0, 0, 0.7)',
+                padding: { x: 8, y: 4 }
+            });
+            this.achievementButton.setScrollFactor(0);
+            this.achievementButton.setDepth(1000);
+            this.achievementButton.setInteractive({ useHandCursor: true });
+            this.achievementButton.on('pointerdown', () => this.openAchievements());
+        }
+
+        this.settingsPanelManager = new SettingsPanelManager(this, { tutorialSystem: this.tutorialSystem });
+        this.settingsPanelManager.init();
+
+        this.sharePanelManager = new SharePanelManager(this);
+        this.tradePanelManager = new TradePanelManager(this);
+        getGameState().getVisitingCreatures?.().forEach(visitor => this.spawnVisitor(visitor));
+
         this.createDailyBonusButton();
         this.createCombatButton();
         this.createCosmicMiniMap();
@@ -795,6 +921,14 @@ class GameScene extends Phaser.Scene {
         this.personalityText.setScrollFactor(0);
         this.personalityText.setDepth(1000);
 
+        // Tap to switch which skill training focuses on
+        this.personalityText.setInteractive({ useHandCursor: true });
+        this.personalityText.on('pointerdown', () => {
+            if (window.SkillSystem?.cycleFocus?.()) {
+                this.updatePersonalityDisplay();
+            }
+        });
+
         // Update personality display
         this.updatePersonalityDisplay();
 
@@ -938,6 +1072,17 @@ class GameScene extends Phaser.Scene {
             lines.push(`💛 ${traits.attachmentStyle.label}`);
         }
 
+        // Trained skills; ▶ marks the one the next training session improves
+        const skills = window.SkillSystem?.getSkillSummary?.() || [];
+        if (skills.length > 0) {
+            lines.push('🎓 Skills');
+            skills.forEach(skill => {
+                const stars = '★'.repeat(skill.rank) + '☆'.repeat(skill.maxRank - skill.rank);
+                const progress = skill.needed > 0 ? ` (${skill.progress}/${skill.needed})` : '';
+                lines.push(`${skill.focus ? '▶ ' : ''}${skill.icon} ${skill.label} ${stars}${progress}`);
+            });
+        }
+
         this.personalityText.setText(lines.join('\n'));
         this.personalityText.setVisible(true);
     }
@@ -1255,6 +1400,60 @@ class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Level-up banner listing the rewards LevelingSystem granted
+     */
+    showLevelUpCelebration({ newLevel, rewards = [], capped = false } = {}) {
+        const { width } = this.scale;
+        const creatureName = getGameState().get('creature.name') || 'Your creature';
+        const lines = [`🎉 ${creatureName} reached level ${newLevel}!`];
+        rewards.forEach(reward => {
+            const amount = reward.type === 'item' && reward.amount > 1 ? ` x${reward.amount}` : '';
+            lines.push(`${reward.icon || '🎁'} ${reward.name}${amount}`);
+        });
+        if (capped) {
+            lines.push('🌱 Grow into the next life stage to keep leveling');
+        }
+
+        const banner = this.add.text(width / 2, 120, lines.join('\n'), {
+            fontSize: '18px',
+            color: '#FFD700',
+            stroke: '#000000',
+            strokeThickness: 2,
+            align: 'center',
+            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            padding: { x: 16, y: 8 },
+            lineSpacing: 4
+        });
+        banner.setOrigin(0.5, 0);
+        banner.setScrollFactor(0);
+        banner.setDepth(3000);
+
+        window.AudioManager?.playLevelUp?.();
+        if (window.UXEnhancements) {
+            const rewardText = rewards.map(reward => reward.name).join(', ');
+            window.UXEnhancements.announce(`${creatureName} reached level ${newLevel}!${rewardText ? ` Rewards: ${rewardText}.` : ''}`, 'assertive');
+        }
+
+        this.tweens.add({
+            targets: banner,
+            scale: { from: 0.8, to: 1 },
+            alpha: { from: 0, to: 1 },
+            duration: 500,
+            ease: 'Back.easeOut',
+            onComplete: () => {
+                this.time.delayedCall(2500 + rewards.length * 500, () => {
+                    this.tweens.add({
+                        targets: banner,
+                        alpha: 0,
+                        duration: 500,
+                        onComplete: () => banner.destroy()
+                    });
+                });
+            }
+        });
+    }
+
     showBonusClaimedMessage() {
         const bonusText = this.add.text(400, 100, '🎉 Daily Bonus Claimed!', {
             fontSize: '20px',
@@ -1292,6 +1491,51 @@ class GameScene extends Phaser.Scene {
         });
     }
 
+    /**
+     * Closest flower inside the Crystal Sense radius, if the creature has the skill
+     */
+    findSensedFlower() {
+        const radius = this.skillEffects?.flowerRadius || 0;
+        if (radius <= 0 || !this.flowers || !this.player) return null;
+
+        let closest = null;
+        let closestDistance = radius;
+        this.flowers.getChildren().forEach(flower => {
+            if (!flower.active) return;
+            const distance = Phaser.Math.Distance.Between(this.player.x, this.player.y, flower.x, flower.y);
+            if (distance <= closestDistance) {
+                closest = flower;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    /**
+     * Collect coins inside the Glide magnet radius
+     */
+    pullNearbyCoins() {
+        const radius = this.skillEffects?.coinMagnetRadius || 0;
+        if (radius <= 0 || !this.coins || !this.player) return;
+
+        this.coins.getChildren().forEach(coin => {
+            if (!coin.active || coin.getData('collecting')) return;
+            if (Phaser.Math.Distance.Between(this.player.x, this.player.y, coin.x, coin.y) <= radius) {
+                this.handleCoinCollection(this.player, coin);
+            }
+        });
+    }
+
+    /**
+     * Cache the active creature's skill effects and hand the calm multiplier to EnemyManager
+     */
+    refreshSkillEffects() {
+        this.skillEffects = window.SkillSystem?.getEffects?.() || null;
+        if (window.EnemyManager) {
+            window.EnemyManager.calmMultiplier = this.skillEffects?.calmMultiplier ?? 1;
+        }
+    }
+
     handleFlowerInteraction(player, flower) {
         // Only show hint once per flower interaction to prevent spam
         if (!this.nearbyFlower) {
@@ -1368,6 +1612,7 @@ class GameScene extends Phaser.Scene {
         // Pause this scene and launch ShopScene on top
         this.scene.pause();
         this.scene.launch('ShopScene');
+        window.TutorialSystem?.notify('sceneOpened', { scene: 'ShopScene' });
     }
 
     openInventory() {
@@ -1386,6 +1631,63 @@ class GameScene extends Phaser.Scene {
         // Pause this scene and launch InventoryScene on top
         this.scene.pause();
         this.scene.launch('InventoryScene');
+        window.TutorialSystem?.notify('sceneOpened', { scene: 'InventoryScene' });
+    }
+
+    openCodex() {
+        console.log('[GameScene] Opening Creature Codex');
+
+        if (window.AudioManager) {
+            window.AudioManager.playButtonClick();
+        }
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.showLoading('Opening Creature Codex...');
+        }
+
+        // Pause this scene and launch CodexScene on top
+        this.scene.pause();
+        this.scene.launch('CodexScene');
+    }
+
+    openAchievements() {
+        console.log('[GameScene] Opening achievements');
+
+        if (window.AudioManager) {
+            window.AudioManager.playButtonClick();
+        }
+
+        // Pause this scene and launch AchievementGalleryScene on top
+        this.scene.pause();
+        this.scene.launch('AchievementGalleryScene');
+    }
+
+    openBreedingShrine() {
+        console.log('[GameScene] Opening Breeding Shrine');
+
+        if (window.AudioManager) {
+            window.AudioManager.playButtonClick();
+        }
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.showLoading('Opening Breeding Shrine...');
+        }
+
+        // Pause this scene and launch BreedingShrineScene on top
+        this.scene.pause();
+        this.scene.launch('BreedingShrineScene');
+    }
+
+    openPedigree(creatureId) {
+        console.log('[GameScene] Opening pedigree for', creatureId);
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.showLoading('Opening family tree...');
+        }
+
+        // Pause this scene and launch PedigreeScene on top
+        this.scene.pause();
+        this.scene.launch('PedigreeScene', { creatureId });
     }
 
     showInteractionHint(message) {
@@ -1403,6 +1705,62 @@ class GameScene extends Phaser.Scene {
     }
 
 
+    /**
+     * Show a friend's visiting creature (from a share code) next to the player
+     * Visitors only wander in place; tapping one says goodbye
+     */
+    spawnVisitor(visitor) {
+        if (!visitor || this.visitorSprites.has(visitor.id) || !this.player) return;
+
+        let textureName = null;
+        try {
+            textureName = this.graphicsEngine?.loadCreatureFromRecord(visitor, 0)?.textureName || null;
+        } catch (error) {
+            console.warn('[GameScene] Visitor render failed', error);
+        }
+        if (!textureName || !this.textures.exists(textureName)) return;
+
+        const slot = this.visitorSprites.size;
+        const x = this.player.x + (slot % 2 === 0 ? -90 : 90);
+        const y = this.player.y + 40 + Math.floor(slot / 2) * 60;
+
+        const sprite = this.add.sprite(x, y, textureName);
+        sprite.setScale(this.player.scaleX * 0.85);
+        sprite.setDepth(this.player.depth - 1);
+        sprite.setInteractive({ useHandCursor: true });
+        sprite.on('pointerdown', () => getGameState().removeVisitingCreature(visitor.id));
+
+        const label = this.add.text(x, y - sprite.displayHeight / 2 - 8, `🏡 ${visitor.name}`, {
+            fontSize: '12px',
+            color: '#4FC3F7',
+            stroke: '#000000',
+            strokeThickness: 2,
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 1);
+        label.setDepth(sprite.depth);
+
+        const tween = this.tweens.add({
+            targets: [sprite, label],
+            y: '-=6',
+            duration: 900,
+            ease: 'Sine.easeInOut',
+            yoyo: true,
+            repeat: -1
+        });
+
+        this.visitorSprites.set(visitor.id, { sprite, label, tween });
+    }
+
+    removeVisitorSprite(visitorId) {
+        const entry = this.visitorSprites.get(visitorId);
+        if (!entry) return;
+
+        entry.tween?.stop();
+        entry.sprite.destroy();
+        entry.label.destroy();
+        this.visitorSprites.delete(visitorId);
+    }
+
     showCareEffect(message, color) {
         // Create floating message
         const effectText = this.add.text(this.player.x, this.player.y - 50, message, {
@@ -1476,7 +1834,8 @@ class GameScene extends Phaser.Scene {
             });
 
             // Show interaction message
-            this.showInteractionHint('*sniff* What a lovely smell! (+2 Happiness, +5 XP)');
+            const flowerXP = window.LevelingSystem?.getSourceXP('flower') ?? 5;
+            this.showInteractionHint(`*sniff* What a lovely smell! (+2 Happiness, +${flowerXP} XP)`);
             this.nearbyFlower = null;
 
             // Reset mobile interact button icon to default (unless near shop)
@@ -1498,9 +1857,6 @@ class GameScene extends Phaser.Scene {
                         // Fail silently - flower interaction still succeeded
                     });
             }
-
-            // Check achievements after flower interaction
-            this.time.delayedCall(500, () => this.checkAndUnlockAchievements());
         }
     }
 
@@ -1630,6 +1986,21 @@ class GameScene extends Phaser.Scene {
             this.openInventory();
         }
 
+        // Handle K key for the creature codex
+        if (Phaser.Input.Keyboard.JustDown(this.codexKey)) {
+            this.openCodex();
+        }
+
+        // Handle H key for the achievements gallery
+        if (Phaser.Input.Keyboard.JustDown(this.achievementKey)) {
+            this.openAchievements();
+        }
+
+        // Handle Q key for the quest log
+        if (Phaser.Input.Keyboard.JustDown(this.questKey)) {
+            this.questLogPanelManager?.togglePanel();
+        }
+
         // Handle M key for combat (desktop)
         if (Phaser.Input.Keyboard.JustDown(this.combatKey)) {
             this.fireCombatProjectile();
@@ -1638,8 +2009,14 @@ class GameScene extends Phaser.Scene {
         // Periodic checks for achievements and tutorials are now handled by timers
         // in setupPeriodicTimers() to improve performance
 
-        // Reset nearby flower when moving away
-        if (!this.physics.overlap(this.player, this.flowers)) {
+        // Glide skill pulls nearby coins in
+        this.pullNearbyCoins();
+
+        // Crystal Sense notices flowers from further away; otherwise reset when moving away
+        const sensedFlower = this.findSensedFlower();
+        if (sensedFlower) {
+            this.handleFlowerInteraction(this.player, sensedFlower);
+        } else if (!this.physics.overlap(this.player, this.flowers)) {
             if (this.nearbyFlower) {
                 this.nearbyFlower = null;
 
@@ -1652,7 +2029,7 @@ class GameScene extends Phaser.Scene {
     }
 
     handleMovement() {
-        const speed = 200;
+        const speed = 200 * (this.skillEffects?.moveSpeedMultiplier ?? 1);
         let velocityX = 0;
         let velocityY = 0;
         let isMoving = false;
@@ -1715,9 +2092,6 @@ class GameScene extends Phaser.Scene {
         if (Math.abs(x - (getGameState().get('world.currentPosition.x') || 0)) > 5 ||
             Math.abs(y - (getGameState().get('world.currentPosition.y') || 0)) > 5) {
             getGameState().updateWorldExploration({ x, y });
-
-            // Check tutorials after movement
-            this.time.delayedCall(300, () => this.checkAndCompleteTutorials());
         }
     }
 
@@ -1751,12 +2125,24 @@ class GameScene extends Phaser.Scene {
         const happinessWarning = this.getStatWarning(stats.happiness, 100);
         const energyWarning = this.getStatWarning(stats.energy, 100);
 
+        const needs = this.getCreatureNeeds();
         const hasCriticalStats = healthWarning.critical || happinessWarning.critical || energyWarning.critical;
 
+        const lifeStage = window.LifeStageSystem && creature.lifeStage
+            ? ` · ${window.LifeStageSystem.getDisplayName(creature.lifeStage)}`
+            : '';
+
+        const xp = window.LevelingSystem?.getProgress(creature);
+        let xpLine = `XP: ${creature.experience}/100`;
+        if (xp) {
+            xpLine = xp.capped ? `XP: max level for this stage (${xp.cap})` : `XP: ${xp.current}/${xp.needed}`;
+        }
+
         const displayText = [
-            `${creature.name} - Level ${creature.level}`,
-            `XP: ${creature.experience}/100`,
+            `${creature.name} - Level ${creature.level}${lifeStage}`,
+            xpLine,
             `${healthWarning.icon} ${stats.health} ${happinessWarning.icon} ${stats.happiness} (${happinessDesc.level}) ${energyWarning.icon} ${stats.energy}`,
+            `🍎 ${needs.hunger} 🫧 ${needs.hygiene}`,
             `Care Streak: ${careStatus ? careStatus.careStreak : 0} days`,
             `${achievementProgress}`,
             `${tutorialProgress}`,
@@ -1831,12 +2217,8 @@ class GameScene extends Phaser.Scene {
         if (!this.achievementSystem) {
             return 'Achievements: N/A';
         }
-        const unlocked = this.achievementSystem.getUnlockedAchievements?.().length ?? 0;
-        const total = Object.keys(this.achievementSystem.achievements || {}).length || 0;
-        const percent = typeof this.achievementSystem.getProgressPercentage === 'function'
-            ? this.achievementSystem.getProgressPercentage()
-            : (total ? Math.round((unlocked / total) * 100) : 0);
-        return `Achievements: ${unlocked}/${total || '?'} (${percent}%)`;
+        const { unlocked, total } = this.achievementSystem.getTierTotals();
+        return `Achievements: ${unlocked}/${total} medals (${this.achievementSystem.getProgressPercentage()}%)`;
     }
 
     getTutorialProgressText() {
@@ -1852,17 +2234,18 @@ class GameScene extends Phaser.Scene {
         return `Tutorials: ${completedCount} tips learned`;
     }
 
+    /**
+     * Catch up play time and stat counters; unlocks arrive as achievementUnlocked events
+     */
     checkAndUnlockAchievements() {
-        if (!this.achievementSystem?.checkAchievements) {
-            return;
-        }
-        const newUnlocks = this.achievementSystem.checkAchievements() || [];
-        newUnlocks.forEach((achievement) => this.showAchievementToast(achievement));
+        this.achievementSystem?.checkAchievements?.();
     }
 
     showAchievementToast(achievement) {
         if (!achievement) return;
-        const toast = this.add.text(this.scale.width / 2, 180, `⭐ Achievement: ${achievement.name}`, {
+        const medal = achievement.tierInfo ? `${achievement.tierInfo.icon} ${achievement.tierInfo.name} · ` : '';
+        window.AudioManager?.playAchievement?.();
+        const toast = this.add.text(this.scale.width / 2, 180, `⭐ Achievement: ${medal}${achievement.name}`, {
             fontSize: '18px',
             color: '#FFD700',
             backgroundColor: 'rgba(0, 0, 0, 0.8)',
@@ -1881,48 +2264,45 @@ class GameScene extends Phaser.Scene {
         });
     }
 
-    checkAndCompleteTutorials() {
-        if (!this.tutorialSystem?.checkTutorials) {
-            return;
-        }
-        const completed = this.tutorialSystem.checkTutorials(getGameState().get(), this) || [];
-        completed.forEach((tutorial) => this.showTutorialCompletion(tutorial));
+    /**
+     * Spotlight overlay for the GameScene tutorial steps; targets are looked up each frame
+     * so they follow the player and the camera
+     */
+    createTutorialOverlay() {
+        if (!this.tutorialSystem) return;
+
+        const actionButtons = () => this.mobileControls?.actionButtons || {};
+        this.tutorialOverlay = new TutorialOverlayManager(this, {
+            tutorialSystem: this.tutorialSystem,
+            sceneKey: 'GameScene',
+            targets: {
+                player: () => this.player,
+                joystick: () => this.mobileControls?.joystickZone,
+                flower: () => this.findNearestFlower(),
+                careHint: () => this.carePanelManager?.hintText,
+                careButton: () => actionButtons().care?.zone,
+                inventoryButton: () => actionButtons().inventory?.zone,
+                shop: () => this.shop,
+                combatButton: () => this.combatButton
+            }
+        });
+        this.tutorialOverlay.init();
     }
 
-    showTutorialHintIfNeeded() {
-        if (!this.tutorialSystem?.getNextTutorial || this.isShowingTutorial) {
-            return;
-        }
-        const next = this.tutorialSystem.getNextTutorial(getGameState().get(), this);
-        if (next) {
-            this.showTutorialHint(next);
-        }
-    }
+    findNearestFlower() {
+        if (!this.flowers || !this.player) return null;
 
-    showTutorialHint(tutorial) {
-        this.isShowingTutorial = true;
-        const hint = this.add.text(this.scale.width / 2, 140, tutorial.message, {
-            fontSize: '16px',
-            color: '#87CEEB',
-            stroke: '#000000',
-            strokeThickness: 2,
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
-            padding: { x: 16, y: 8 },
-            align: 'center'
-        }).setOrigin(0.5);
-        hint.setScrollFactor(0);
-        hint.setDepth(4050);
-
-        this.tweens.add({
-            targets: hint,
-            alpha: 0,
-            delay: 4500,
-            duration: 600,
-            onComplete: () => {
-                hint.destroy();
-                this.isShowingTutorial = false;
+        let closest = null;
+        let closestDistance = Infinity;
+        this.flowers.getChildren().forEach(flower => {
+            if (!flower.active) return;
+            const distance = Phaser.Math.Distance.Between(this.player.x, this.player.y, flower.x, flower.y);
+            if (distance < closestDistance) {
+                closest = flower;
+                closestDistance = distance;
             }
         });
+        return closest;
     }
 
     showTutorialCompletion(tutorial) {
@@ -1974,15 +2354,73 @@ class GameScene extends Phaser.Scene {
             this.showLevelUpCelebration(data);
 
             this.updateStatsDisplay();
-            // Check achievements after level up
-            this.time.delayedCall(500, () => this.checkAndUnlockAchievements());
         });
 
         // Listen for care action events
         this.registerGameStateListener('careActionPerformed', (data) => {
             this.carePanelManager?.handleCareEvent(data);
             this.updateStatsDisplay();
-            this.time.delayedCall(500, () => this.checkAndUnlockAchievements());
+        });
+
+        // Swap the sprite and HUD when another roster creature becomes active
+        this.registerGameStateListener('activeCreatureChanged', () => {
+            this.refreshActiveCreature();
+        });
+
+        // Only the companion on screen gets the cinematic; resting creatures grow quietly
+        this.registerGameStateListener('lifeStageChanged', (data) => {
+            if (data.creatureId === getGameState().get('creature.id')) {
+                this.playEvolutionCinematic(data);
+            }
+        });
+
+        this.registerGameStateListener('skillUnlocked', (data) => {
+            if (data.creatureId !== getGameState().get('creature.id')) return;
+            this.refreshSkillEffects();
+            this.updatePersonalityDisplay();
+            this.showCareEffect(`🎓 New skill: ${data.name}!`, 0x88FFCC);
+        });
+
+        this.registerGameStateListener('skillImproved', (data) => {
+            if (data.creatureId !== getGameState().get('creature.id')) return;
+            this.refreshSkillEffects();
+            this.updatePersonalityDisplay();
+            this.showCareEffect(`🎓 ${data.name} reached rank ${data.rank}!`, 0x88FFCC);
+        });
+
+        this.registerGameStateListener('questCompleted', (data) => {
+            this.showCareEffect(`${data.icon || '📜'} Quest complete: ${data.title}!`, 0xFFD700);
+            window.UXEnhancements?.announce?.(`Quest complete: ${data.title}! ${data.rewards.map(reward => reward.name).join(', ')}`);
+        });
+
+        this.registerGameStateListener('achievementUnlocked', (data) => {
+            this.showAchievementToast(data);
+        });
+
+        this.registerGameStateListener('tutorialChapterCompleted', (data) => {
+            this.showTutorialCompletion(data);
+        });
+
+        this.registerGameStateListener('changed:quests', () => {
+            this.questLogPanelManager?.refresh();
+        });
+
+        this.registerGameStateListener('creatureAdded', () => {
+            this.rosterPanelManager?.updateButton();
+        });
+
+        this.registerGameStateListener('creatureRemoved', () => {
+            this.rosterPanelManager?.updateButton();
+        });
+
+        this.registerGameStateListener('visitorArrived', ({ visitor }) => {
+            this.spawnVisitor(visitor);
+            this.showCareEffect(`👋 ${visitor.name} came to visit!`, 0x4FC3F7);
+        });
+
+        this.registerGameStateListener('visitorLeft', ({ visitor }) => {
+            this.removeVisitorSprite(visitor.id);
+            this.showCareEffect(`👋 Bye, ${visitor.name}!`, 0x4FC3F7);
         });
 
         // Listen for daily bonus events
@@ -1995,6 +2433,7 @@ class GameScene extends Phaser.Scene {
         this.registerGameStateListener('stateChanged', (data) => {
             if (data.path.startsWith('creature.stats') ||
                 data.path.startsWith('creature.care') ||
+                data.path === 'creature.experience' ||
                 data.path.startsWith('world.discoveredObjects') ||
                 data.path.startsWith('dailyBonus')) {
                 this.updateStatsDisplay();
@@ -2006,7 +2445,7 @@ class GameScene extends Phaser.Scene {
     }
 
     /**
-     * Set up periodic timers for achievements and tutorials
+     * Set up periodic timers for achievements, life stages and needs
      * Replaces inefficient modulo checks in update loop
      */
     setupPeriodicTimers() {
@@ -2017,17 +2456,19 @@ class GameScene extends Phaser.Scene {
             loop: true
         });
 
-        // Check tutorials every 3 seconds
+        // Creatures also grow with age (even while the game is closed), so check
+        // life stages shortly after arriving and then every minute
+        this.time.delayedCall(2000, () => window.LifeStageSystem?.checkRoster());
         this.time.addEvent({
-            delay: 3000,
-            callback: () => this.checkAndCompleteTutorials(),
+            delay: 60000,
+            callback: () => window.LifeStageSystem?.checkRoster(),
             loop: true
         });
 
-        // Show tutorial hints every 8 seconds
+        // Needs (hunger, energy, hygiene...) drift down in real time
         this.time.addEvent({
-            delay: 8000,
-            callback: () => this.showTutorialHintIfNeeded(),
+            delay: 60000,
+            callback: () => window.NeedsSystem?.update(),
             loop: true
         });
 
@@ -2059,11 +2500,12 @@ class GameScene extends Phaser.Scene {
      */
     createKidModeHUD() {
         // Get creature stats for status bars
-        const creatureStats = getGameState().get('creature.stats') || { happiness: 80, energy: 60, health: 90 };
+        const creatureStats = this.getCreatureNeeds();
         const needsData = {
-            hunger: 100 - creatureStats.happiness,
-            energy: 100 - creatureStats.energy, 
-            fun: Math.max(0, 100 - creatureStats.happiness - 20)
+            hunger: creatureStats.hunger,
+            energy: creatureStats.energy,
+            fun: creatureStats.happiness,
+            hygiene: creatureStats.hygiene
         };
 
         // Create status bar at top
@@ -2097,18 +2539,17 @@ class GameScene extends Phaser.Scene {
      * @returns {string} Emotion string
      */
     determineCreatureEmotion(stats) {
-        const { happiness, energy, health } = stats;
+        return window.KidMode.getEmotionFromNeeds(stats);
+    }
 
-        // Prioritize critical needs
-        if (happiness < 30) return 'hungry';
-        if (energy < 30) return 'sleepy'; 
-        if (health < 50) return 'dirty';
-        
-        // Secondary states
-        if (happiness < 60) return 'bored';
-        if (happiness > 80 && energy > 70) return 'excited';
-        
-        return 'default'; // Happy/content
+    /**
+     * Active creature needs (hunger, energy, hygiene, happiness, health) from NeedsSystem
+     */
+    getCreatureNeeds() {
+        if (window.NeedsSystem) {
+            return window.NeedsSystem.getNeeds();
+        }
+        return { hunger: 100, energy: 100, hygiene: 100, ...(getGameState().get('creature.stats') || {}) };
     }
 
     /**
@@ -2136,27 +2577,13 @@ class GameScene extends Phaser.Scene {
     handleKidModeAction(action) {
         console.log(`ui:info [GameScene] Kid Mode action: ${action}`);
 
-        switch (action) {
-            case 'feed':
-                this.carePanelManager?.performAction('feed');
-                break;
-            case 'play':
-                this.carePanelManager?.performAction('play');
-                break;
-            case 'rest':
-                this.carePanelManager?.performAction('rest');
-                break;
-            case 'pet':
-                this.carePanelManager?.performAction('pet');
-                break;
-            case 'clean':
-                this.carePanelManager?.performAction('clean');
-                break;
-            case 'photo':
-                this.takeCreaturePhoto();
-                break;
-            default:
-                console.log(`ui:warn [GameScene] Unknown Kid Mode action: ${action}`);
+        if (action === 'photo') {
+            this.takeCreaturePhoto();
+        } else if (this.careSystem?.getCareAction(action)) {
+            // Any registered care action (ids or aliases from care-actions.json)
+            this.carePanelManager?.performAction(action);
+        } else {
+            console.log(`ui:warn [GameScene] Unknown Kid Mode action: ${action}`);
         }
 
         // Refresh HUD after action
@@ -2205,8 +2632,8 @@ class GameScene extends Phaser.Scene {
             return;
         }
 
-        // Get current stats
-        const creatureStats = getGameState().get('creature.stats') || { happiness: 80, energy: 60, health: 90 };
+        // Get current needs
+        const creatureStats = this.getCreatureNeeds();
         
         // Determine new best action
         const emotion = this.determineCreatureEmotion(creatureStats);
@@ -2580,6 +3007,23 @@ class GameScene extends Phaser.Scene {
         this.economyHud = null;
         this.carePanelManager?.destroy();
         this.carePanelManager = null;
+        this.rosterPanelManager?.destroy();
+        this.rosterPanelManager = null;
+        this.sharePanelManager?.destroy();
+        this.sharePanelManager = null;
+        this.tradePanelManager?.destroy();
+        this.tradePanelManager = null;
+        this.questLogPanelManager?.destroy();
+        this.questLogPanelManager = null;
+        this.achievementButton?.destroy();
+        this.achievementButton = null;
+        this.settingsPanelManager?.destroy();
+        this.settingsPanelManager = null;
+        this.coinHistoryPanelManager?.destroy();
+        this.coinHistoryPanelManager = null;
+        this.tutorialOverlay?.destroy();
+        this.tutorialOverlay = null;
+        [...(this.visitorSprites?.keys() || [])].forEach(visitorId => this.removeVisitorSprite(visitorId));
         this.worldBuilder?.destroy();
         this.worldBuilder = null;
         if (this.statBarGraphics) {
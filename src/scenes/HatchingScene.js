@@ -5,6 +5,7 @@
 
 import hatchCinematicsConfig from '../config/hatch-cinematics.json';
 import MobileHelpers from '../utils/mobile-helpers.js';
+import TutorialOverlayManager from '../systems/ui/TutorialOverlayManager.js';
 const Phaser = typeof window !== 'undefined' ? window.Phaser : undefined;
 
 const cloneConfig = (config) => {
@@ -134,6 +135,9 @@ class HatchingScene extends Phaser.Scene {
 
         // Bottom hint text
         this.createBottomHints();
+
+        // Save slot picker (active slot is already loaded by GameState.init)
+        this.createSaveSlotSelector();
     }
 
     showHatchingScreen() {
@@ -179,15 +183,14 @@ class HatchingScene extends Phaser.Scene {
             this.loadHatchConfig();
         }
 
-        // Show tutorial hints for first-time players
-        if (!this.hasSeenTutorial()) {
-            // Create visual pointer to egg
-            this.createTutorialPointer();
-
-            // Show initial tutorial hint after a brief delay
-            this.time.delayedCall(1000, () => {
-                this.showTutorialHint('preHatch');
+        // Scripted tutorial steps (spotlight on the egg for first-time players)
+        if (window.TutorialSystem) {
+            this.tutorialOverlay = new TutorialOverlayManager(this, {
+                tutorialSystem: window.TutorialSystem,
+                sceneKey: 'HatchingScene',
+                targets: { egg: () => this.egg }
             });
+            this.tutorialOverlay.init();
         }
     }
 
@@ -273,8 +276,8 @@ class HatchingScene extends Phaser.Scene {
             console.log('  gameStarted:', state.get('session.gameStarted'));
             console.log('  creatureHatched:', state.get('creature.hatched'));
             
-            // Check what's actually in localStorage
-            const savedData = localStorage.getItem('mythical-creature-save');
+            // Check what's actually in storage
+            const savedData = state.storage?.getItem(state.saveKey);
             if (savedData) {
                 const parsed = JSON.parse(savedData);
                 console.log('💾 localStorage verification:');
@@ -687,152 +690,14 @@ class HatchingScene extends Phaser.Scene {
     }
 
     /**
-     * Check if player has seen the tutorial before
+     * Check if player has finished the hatching tutorial
      * @returns {boolean} True if tutorial has been seen
      */
     hasSeenTutorial() {
-        const gameState = getGameState();
-        return gameState.get('tutorial.hatchingSeen') || false;
-    }
-
-    /**
-     * Mark the hatching tutorial as seen
-     */
-    markTutorialSeen() {
-        const gameState = getGameState();
-        gameState.set('tutorial.hatchingSeen', true);
-        console.log('[HatchingScene] Tutorial marked as seen');
-    }
-
-    /**
-     * Create a visual pointer/indicator to guide player to the egg
-     */
-    createTutorialPointer() {
-        if (this.hasSeenTutorial() || this.tutorialPointer) {
-            return; // Don't show if already seen or already exists
+        if (window.TutorialSystem?.isChapterComplete) {
+            return window.TutorialSystem.isChapterComplete('hatching');
         }
-
-        const { width, height } = this.scale;
-        const eggX = width / 2;
-        const eggY = height * 0.45;
-
-        // Create animated arrow pointing down at the egg
-        const arrowGraphics = this.add.graphics();
-        arrowGraphics.fillStyle(0xFFD700, 1);
-
-        // Draw arrow shape
-        const arrowSize = 30;
-        const arrowX = eggX;
-        const arrowY = eggY - 100;
-
-        arrowGraphics.beginPath();
-        arrowGraphics.moveTo(arrowX, arrowY);
-        arrowGraphics.lineTo(arrowX - arrowSize/2, arrowY - arrowSize);
-        arrowGraphics.lineTo(arrowX + arrowSize/2, arrowY - arrowSize);
-        arrowGraphics.closePath();
-        arrowGraphics.fillPath();
-
-        // Draw arrow shaft
-        arrowGraphics.fillRect(arrowX - 5, arrowY - arrowSize - 20, 10, 20);
-
-        this.tutorialPointer = arrowGraphics;
-
-        // Animate the pointer with bouncing effect
-        this.tweens.add({
-            targets: this.tutorialPointer,
-            y: '+=15',
-            duration: 800,
-            ease: 'Sine.easeInOut',
-            yoyo: true,
-            repeat: -1
-        });
-
-        // Add glow effect
-        this.tweens.add({
-            targets: this.tutorialPointer,
-            alpha: 0.6,
-            duration: 1000,
-            ease: 'Sine.easeInOut',
-            yoyo: true,
-            repeat: -1
-        });
-
-        console.log('[HatchingScene] Tutorial pointer created');
-    }
-
-    /**
-     * Show contextual tutorial hint based on current state
-     * @param {string} stage - Tutorial stage: 'preHatch', 'hatching', 'postHatch'
-     */
-    showTutorialHint(stage) {
-        if (this.hasSeenTutorial()) {
-            return; // Skip hints for experienced players
-        }
-
-        const { width, height } = this.scale;
-        let hintText = '';
-        let duration = 4000;
-
-        switch (stage) {
-            case 'preHatch':
-                hintText = '💡 Tip: Click anywhere on or near the egg to begin!';
-                break;
-            case 'hatching':
-                hintText = '✨ Your creature is hatching! Watch as it reveals its unique traits...';
-                duration = 3000;
-                break;
-            case 'postHatch':
-                hintText = '🎉 Amazing! Next you\'ll choose its personality and give it a name.';
-                duration = 5000;
-                break;
-            default:
-                return;
-        }
-
-        // Remove existing hint if present
-        if (this.tutorialHintText) {
-            this.tweens.killTweensOf(this.tutorialHintText);
-            this.tutorialHintText.destroy();
-        }
-
-        // Create hint text
-        this.tutorialHintText = this.add.text(width / 2, height * 0.75, hintText, {
-            fontSize: '18px',
-            color: '#FFD700',
-            backgroundColor: 'rgba(0, 0, 0, 0.7)',
-            padding: { x: 20, y: 10 },
-            align: 'center',
-            fontFamily: 'Arial, sans-serif',
-            wordWrap: { width: width * 0.8 }
-        }).setOrigin(0.5).setAlpha(0);
-
-        // Fade in
-        this.tweens.add({
-            targets: this.tutorialHintText,
-            alpha: 1,
-            duration: 300,
-            ease: 'Power2'
-        });
-
-        // Auto-dismiss after duration
-        this.time.delayedCall(duration, () => {
-            if (this.tutorialHintText) {
-                this.tweens.add({
-                    targets: this.tutorialHintText,
-                    alpha: 0,
-                    duration: 300,
-                    ease: 'Power2',
-                    onComplete: () => {
-                        if (this.tutorialHintText) {
-                            this.tutorialHintText.destroy();
-                            this.tutorialHintText = null;
-                        }
-                    }
-                });
-            }
-        });
-
-        console.log(`[HatchingScene] Showing tutorial hint: ${stage}`);
+        return getGameState().get('tutorial.hatchingSeen') || false;
     }
 
     createUI() {
@@ -954,23 +819,7 @@ class HatchingScene extends Phaser.Scene {
         this.instructionText.setVisible(false);
         this.progressText.setVisible(true);
 
-        // Hide tutorial pointer if present
-        if (this.tutorialPointer) {
-            this.tweens.add({
-                targets: this.tutorialPointer,
-                alpha: 0,
-                duration: 300,
-                onComplete: () => {
-                    if (this.tutorialPointer) {
-                        this.tutorialPointer.destroy();
-                        this.tutorialPointer = null;
-                    }
-                }
-            });
-        }
-
-        // Show hatching tutorial hint
-        this.showTutorialHint('hatching');
+        window.TutorialSystem?.notify('hatchStarted');
 
         // Start shaking animation
         this.tweens.add({
@@ -1294,14 +1143,7 @@ class HatchingScene extends Phaser.Scene {
                 ease: 'Back.easeOut',
                 onComplete: () => {
                     console.log('hatch:info [HatchingScene] Creature fade-in complete');
-
-                    // Show post-hatch tutorial hint and mark tutorial as seen
-                    if (!this.hasSeenTutorial()) {
-                        this.time.delayedCall(500, () => {
-                            this.showTutorialHint('postHatch');
-                            this.markTutorialSeen();
-                        });
-                    }
+                    window.TutorialSystem?.notify('hatchCompleted');
                 }
             });
 
@@ -1540,15 +1382,16 @@ class HatchingScene extends Phaser.Scene {
         // Update pity data in GameState
         state.set('pitySystem', rollResult.pityData);
 
-        // Generate creature with the rolled rarity
-        this.creatureGenetics = window.CreatureGenetics.generateCreatureGenetics(rarity);
+        // Generate creature with the rolled rarity; genetics and DNA share one seed so it can be regenerated
+        const seed = state.createCreatureSeed();
+        this.creatureGenetics = window.CreatureGenetics.generateCreatureGenetics(rarity, { seed });
 
         // Store rarity info for UI
         this.rarityInfo = window.raritySystem.getRarityInfo(rarity);
 
         // Generate DNA profile (DNA v1)
         if (window.CreatureDNA) {
-            this.creatureDNA = window.CreatureDNA.generateDNA({ forcedRarity: rarity });
+            this.creatureDNA = window.CreatureDNA.generateDNA({ forcedRarity: rarity, seed });
 
             // Store DNA in GameState for persistence
             state.set('creature.dna', this.creatureDNA);
@@ -1592,6 +1435,9 @@ class HatchingScene extends Phaser.Scene {
             return null;
         }
 
+        // Newborns hatch with baby proportions (LifeStageSystem grows them later)
+        const lifeStage = window.LifeStageSystem ? window.LifeStageSystem.getStageModifiers('baby') : null;
+
         // Try DNA-based rendering first (if CreatureDNA is available)
         if (this.creatureDNA && typeof this.graphicsEngine.createCreatureFromDNA === 'function') {
             console.log('hatch:info [HatchingScene] Using DNA-based creature rendering');
@@ -1605,7 +1451,7 @@ class HatchingScene extends Phaser.Scene {
             });
 
             try {
-                const creatureResult = this.graphicsEngine.createCreatureFromDNA(this.creatureDNA, 0);
+                const creatureResult = this.graphicsEngine.createCreatureFromDNA(this.creatureDNA, 0, lifeStage);
 
                 if (!creatureResult || !creatureResult.textureName) {
                     console.warn('hatch:warn [HatchingScene] DNA rendering failed, falling back to genetics');
@@ -1645,7 +1491,8 @@ class HatchingScene extends Phaser.Scene {
             // Use the GraphicsEngine to create a randomized creature
             const creatureResult = this.graphicsEngine.createRandomizedSpaceMythicCreature(
                 this.creatureGenetics,
-                0 // frame 0
+                0, // frame 0
+                lifeStage
             );
 
             console.log('hatch:debug [HatchingScene] createRandomizedSpaceMythicCreature returned:', creatureResult);
@@ -1810,8 +1657,15 @@ class HatchingScene extends Phaser.Scene {
     transitionToPersonality() {
         // Mark creature as hatched
         const state = getGameState();
+        const justHatched = !state.get('creature.hatched');
         state.set('creature.hatched', true);
         state.set('creature.hatchTime', Date.now());
+        window.TutorialSystem?.notify('hatchContinued');
+
+        // The first egg counts like any other hatch (rare ones earn Stardust)
+        if (justHatched) {
+            state.emit('eggHatched', { creature: state.get('creature'), source: 'hatchery' });
+        }
 
         // Fade transition - responsive to screen size
         const { width, height } = this.scale;
@@ -1954,22 +1808,19 @@ class HatchingScene extends Phaser.Scene {
             this.progressText = null;
         }
 
-        // Clean up tutorial elements
-        if (this.tutorialPointer) {
-            this.tweens.killTweensOf(this.tutorialPointer);
-            this.tutorialPointer.destroy();
-            this.tutorialPointer = null;
-        }
-
-        if (this.tutorialHintText) {
-            this.tweens.killTweensOf(this.tutorialHintText);
-            this.tutorialHintText.destroy();
-            this.tutorialHintText = null;
+        // Clean up tutorial overlay
+        if (this.tutorialOverlay) {
+            this.tutorialOverlay.destroy();
+            this.tutorialOverlay = null;
         }
 
         // Clean up reroll UI elements
         this.cleanupRerollUI();
 
+        // Clean up save slot picker
+        this.hideSaveSlotPanel();
+        this.saveSlotChip = null;
+
         // Clean up graphics engine
         if (this.graphicsEngine) {
             this.graphicsEngine = null;
@@ -3088,6 +2939,324 @@ class HatchingScene extends Phaser.Scene {
         });
     }
 
+    /**
+     * Create the save slot chip shown on the home screen
+     * Lets siblings sharing a device keep separate creatures
+     */
+    createSaveSlotSelector() {
+        const GameState = getGameState();
+        const { width, height } = this.scale;
+        const activeSlot = GameState.getActiveSlot();
+        if (!activeSlot) return;
+
+        const chipWidth = Math.min(width * 0.8, 320);
+        const chipHeight = 44;
+        const chipY = height * 0.5 + Math.min(height * 0.08, 95) / 2 + 50;
+
+        const chip = this.add.container(width / 2, chipY);
+        const chipBg = this.add.graphics();
+        chipBg.fillStyle(0xFFFFFF, 0.12);
+        chipBg.fillRoundedRect(-chipWidth / 2, -chipHeight / 2, chipWidth, chipHeight, 14);
+        chipBg.lineStyle(2, 0x80CBC4, 0.6);
+        chipBg.strokeRoundedRect(-chipWidth / 2, -chipHeight / 2, chipWidth, chipHeight, 14);
+
+        const chipText = this.add.text(0, 0, `💾 ${activeSlot.label} · ${this.describeSlot(activeSlot)}`, {
+            fontSize: MobileHelpers.getSmallFontSize(this.scale, 15),
+            color: '#FFFFFF',
+            fontFamily: 'Poppins, Inter, system-ui, -apple-system, sans-serif'
+        }).setOrigin(0.5);
+
+        chip.add([chipBg, chipText]);
+        MobileHelpers.setTouchHitArea(chip, chipWidth, chipHeight, 10);
+        MobileHelpers.addTouchFeedback(this, chip);
+
+        chip.on('pointerup', () => {
+            if (window.AudioManager) {
+                window.AudioManager.playButtonClick();
+            }
+            this.showSaveSlotPanel();
+        });
+
+        this.saveSlotChip = chip;
+    }
+
+    /**
+     * Short human-readable description of a slot's creature
+     */
+    describeSlot(slot) {
+        const summary = slot.summary || {};
+        if (!summary.hatched) return 'New egg';
+
+        const rarity = summary.rarity ? ` · ${summary.rarity}` : '';
+        return `${summary.creatureName} Lv${summary.level}${rarity}`;
+    }
+
+    /**
+     * Overlay listing every save slot with switch / copy / delete actions
+     */
+    showSaveSlotPanel() {
+        this.hideSaveSlotPanel();
+
+        const GameState = getGameState();
+        const { width, height } = this.scale;
+        const slots = GameState.listSaveSlots();
+        const panelWidth = Math.min(width * 0.92, 460);
+        const rowHeight = 64;
+        const panelHeight = 110 + slots.length * rowHeight + 110;
+        const panelTop = Math.max(20, (height - panelHeight) / 2);
+        const left = width / 2 - panelWidth / 2;
+        const fontFamily = 'Poppins, Inter, system-ui, -apple-system, sans-serif';
+
+        const panel = this.add.container(0, 0).setDepth(1000);
+
+        const dim = this.add.rectangle(0, 0, width, height, 0x000000, 0.6).setOrigin(0, 0).setInteractive();
+        dim.on('pointerup', () => this.hideSaveSlotPanel());
+
+        const bg = this.add.graphics();
+        bg.fillStyle(0x2C1B47, 0.97);
+        bg.fillRoundedRect(left, panelTop, panelWidth, panelHeight, 18);
+        bg.lineStyle(2, 0xFFD54F, 0.7);
+        bg.strokeRoundedRect(left, panelTop, panelWidth, panelHeight, 18);
+        // Swallow clicks on the panel body so they don't close the overlay
+        const body = this.add.zone(left, panelTop, panelWidth, panelHeight).setOrigin(0, 0).setInteractive();
+
+        const title = this.add.text(width / 2, panelTop + 30, '💾 Save Slots', {
+            fontSize: '22px',
+            color: '#FFD54F',
+            fontFamily,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+
+        panel.add([dim, bg, body, title]);
+
+        const makeButton = (x, y, label, color, onClick) => {
+            const text = this.add.text(x, y, label, {
+                fontSize: '14px',
+                color: '#FFFFFF',
+                fontFamily,
+                fontStyle: 'bold',
+                backgroundColor: color,
+                padding: { x: 10, y: 6 }
+            }).setOrigin(0.5).setInteractive({ cursor: 'pointer' });
+            text.on('pointerup', onClick);
+            panel.add(text);
+            return text;
+        };
+
+        slots.forEach((slot, index) => {
+            const rowY = panelTop + 70 + index * rowHeight;
+            const rowBg = this.add.graphics();
+            rowBg.fillStyle(0xFFFFFF, slot.active ? 0.18 : 0.08);
+            rowBg.fillRoundedRect(left + 12, rowY, panelWidth - 24, rowHeight - 8, 10);
+
+            const lastPlayed = slot.summary?.lastPlayed
+                ? new Date(slot.summary.lastPlayed).toLocaleDateString()
+                : 'Never played';
+            const label = this.add.text(left + 24, rowY + 8, `${slot.active ? '▶ ' : ''}${slot.label}`, {
+                fontSize: '16px',
+                color: '#FFFFFF',
+                fontFamily,
+                fontStyle: 'bold'
+            });
+            const detail = this.add.text(left + 24, rowY + 30, `${this.describeSlot(slot)} · ${lastPlayed}`, {
+                fontSize: '12px',
+                color: '#B39DDB',
+                fontFamily
+            });
+            panel.add([rowBg, label, detail]);
+
+            const buttonY = rowY + (rowHeight - 8) / 2;
+            const rightEdge = left + panelWidth - 24;
+
+            if (!slot.active) {
+                const deleteButton = makeButton(rightEdge - 16, buttonY, '🗑', '#B71C1C', () => {
+                    // Two taps to delete so kids don't lose a creature by accident
+                    if (!deleteButton.getData('armed')) {
+                        deleteButton.setData('armed', true);
+                        deleteButton.setText('Sure?');
+                        return;
+                    }
+                    GameState.deleteSaveSlot(slot.id);
+                    this.showSaveSlotPanel();
+                });
+
+                makeButton(rightEdge - 130, buttonY, 'Play', '#2E7D32', () => {
+                    this.hideSaveSlotPanel();
+                    GameState.switchSaveSlot(slot.id);
+                    this.scene.restart();
+                });
+            }
+
+            makeButton(rightEdge - 72, buttonY, 'Copy', '#4A148C', () => {
+                GameState.duplicateSaveSlot(slot.id);
+                this.showSaveSlotPanel();
+            });
+        });
+
+        // Move the active slot's creature between devices as a file
+        const transferY = panelTop + panelHeight - 85;
+        makeButton(width / 2 - 80, transferY, '⬆ Export Save', '#1565C0', () => {
+            GameState.downloadSaveExport();
+        });
+        makeButton(width / 2 + 80, transferY, '⬇ Import Save', '#6A1B9A', () => {
+            this.chooseSaveImportFile();
+        });
+
+        const footerY = panelTop + panelHeight - 35;
+        if (slots.length < GameState.maxSaveSlots) {
+            makeButton(width / 2 - 70, footerY, '+ New Slot', '#00897B', () => {
+                GameState.createSaveSlot();
+                this.showSaveSlotPanel();
+            });
+        }
+        makeButton(width / 2 + 70, footerY, 'Close', '#5E35B1', () => this.hideSaveSlotPanel());
+
+        this.saveSlotPanel = panel;
+    }
+
+    hideSaveSlotPanel() {
+        if (this.saveSlotPanel) {
+            this.saveSlotPanel.destroy(true);
+            this.saveSlotPanel = null;
+        }
+        this.hideSaveImportPreview();
+    }
+
+    /**
+     * Pick a save file and validate it before anything is overwritten
+     */
+    async chooseSaveImportFile() {
+        if (!window.SaveTransfer) return;
+
+        let text;
+        try {
+            text = await window.SaveTransfer.pickFile();
+        } catch (error) {
+            console.warn('[HatchingScene] Could not read save file:', error);
+            text = '';
+        }
+        if (text === null || !this.scene.isActive()) return;
+
+        const result = getGameState().readSaveImport(text);
+        this.showSaveImportPreview(result);
+    }
+
+    /**
+     * Show the imported creature (or why the file was rejected) and confirm the overwrite
+     */
+    showSaveImportPreview(result) {
+        this.hideSaveImportPreview();
+
+        const GameState = getGameState();
+        const { width, height } = this.scale;
+        const activeSlot = GameState.getActiveSlot();
+        const panelWidth = Math.min(width * 0.86, 400);
+        const panelHeight = result.ok ? 310 : 250;
+        const panelTop = (height - panelHeight) / 2;
+        const left = width / 2 - panelWidth / 2;
+        const fontFamily = 'Poppins, Inter, system-ui, -apple-system, sans-serif';
+
+        const panel = this.add.container(0, 0).setDepth(1100);
+        const dim = this.add.rectangle(0, 0, width, height, 0x000000, 0.5).setOrigin(0, 0).setInteractive();
+
+        const bg = this.add.graphics();
+        bg.fillStyle(0x1A1033, 0.98);
+        bg.fillRoundedRect(left, panelTop, panelWidth, panelHeight, 18);
+        bg.lineStyle(2, result.ok ? 0x80CBC4 : 0xEF5350, 0.8);
+        bg.strokeRoundedRect(left, panelTop, panelWidth, panelHeight, 18);
+
+        panel.add([dim, bg]);
+
+        const addText = (y, content, style) => {
+            const text = this.add.text(width / 2, y, content, {
+                fontFamily,
+                align: 'center',
+                wordWrap: { width: panelWidth - 40 },
+                ...style
+            }).setOrigin(0.5);
+            panel.add(text);
+            return text;
+        };
+
+        const makeButton = (x, y, label, color, onClick) => {
+            const text = this.add.text(x, y, label, {
+                fontSize: '15px',
+                color: '#FFFFFF',
+                fontFamily,
+                fontStyle: 'bold',
+                backgroundColor: color,
+                padding: { x: 12, y: 7 }
+            }).setOrigin(0.5).setInteractive({ cursor: 'pointer' });
+            text.on('pointerup', onClick);
+            panel.add(text);
+            return text;
+        };
+
+        const buttonY = panelTop + panelHeight - 35;
+
+        if (!result.ok) {
+            addText(panelTop + 40, '⚠️ Can\'t Import This File', { fontSize: '20px', color: '#EF9A9A', fontStyle: 'bold' });
+            addText(panelTop + 110, result.message, { fontSize: '15px', color: '#FFFFFF' });
+            makeButton(width / 2, buttonY, 'OK', '#5E35B1', () => this.hideSaveImportPreview());
+            this.saveImportPreview = panel;
+            return;
+        }
+
+        const { preview } = result;
+        addText(panelTop + 32, '📥 Import This Creature?', { fontSize: '20px', color: '#FFD54F', fontStyle: 'bold' });
+
+        if (preview.hatched && preview.colors && this.graphicsEngine) {
+            const portrait = this.add.graphics();
+            this.graphicsEngine.renderCreatureOnGraphics(
+                portrait,
+                { x: 0, y: 0 },
+                { width: 60, height: 80 },
+                preview.colors.body,
+                preview.colors.head,
+                preview.colors.wings
+            );
+            portrait.setPosition(width / 2, panelTop + 100).setScale(0.8);
+            panel.add(portrait);
+        } else {
+            addText(panelTop + 100, '🥚', { fontSize: '48px' });
+        }
+
+        const creatureLine = preview.hatched
+            ? `${preview.creatureName} · Lv${preview.level}${preview.rarity ? ` · ${preview.rarity}` : ''}`
+            : 'An unhatched egg';
+        addText(panelTop + 155, creatureLine, { fontSize: '18px', color: '#FFFFFF', fontStyle: 'bold' });
+
+        const details = [
+            preview.playerName ? `Explorer: ${preview.playerName}` : null,
+            `💰 ${preview.cosmicCoins} coins`,
+            preview.exportedAt ? `Saved ${new Date(preview.exportedAt).toLocaleDateString()}` : null
+        ].filter(Boolean).join(' · ');
+        addText(panelTop + 185, details, { fontSize: '13px', color: '#B39DDB' });
+
+        addText(panelTop + 218, `This replaces everything in "${activeSlot?.label || 'this slot'}".`, {
+            fontSize: '13px',
+            color: '#FFAB91'
+        });
+
+        makeButton(width / 2 - 70, buttonY, 'Replace', '#C62828', () => {
+            this.hideSaveImportPreview();
+            this.hideSaveSlotPanel();
+            if (GameState.importSave(result)) {
+                this.scene.restart();
+            }
+        });
+        makeButton(width / 2 + 70, buttonY, 'Cancel', '#5E35B1', () => this.hideSaveImportPreview());
+
+        this.saveImportPreview = panel;
+    }
+
+    hideSaveImportPreview() {
+        if (this.saveImportPreview) {
+            this.saveImportPreview.destroy(true);
+            this.saveImportPreview = null;
+        }
+    }
+
     /**
      * Create "Tap to Hatch" instructional text over the egg
      * Quick Win #1 from QA Audit - improves discoverability
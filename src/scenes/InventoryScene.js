@@ -95,6 +95,8 @@ export default class InventoryScene extends Phaser.Scene {
             window.InventoryManager.on('itemAdded', this.refreshInventory, this);
             window.InventoryManager.on('itemRemoved', this.refreshInventory, this);
             window.InventoryManager.on('itemQuantityChanged', this.refreshInventory, this);
+            window.InventoryManager.on('eggHatched', this.handleEggHatched, this);
+            window.InventoryManager.on('rosterFull', this.handleRosterFull, this);
             console.log('[InventoryScene] ✅ Event listeners registered');
 
             // Hide loading overlay once inventory is ready
@@ -1230,6 +1232,68 @@ export default class InventoryScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Announce a creature hatched from an inventory egg (after the "Used" message)
+     */
+    handleEggHatched({ creature }) {
+        if (window.HatchCinematics?.getConfig?.()) {
+            this.playHatchCinematic(creature);
+            return;
+        }
+
+        this.time.delayedCall(700, () => {
+            this.showMessage(`🐣 ${creature.name} hatched! Find them in your roster 🐾`, 0xFFD700);
+        });
+    }
+
+    /**
+     * Play the standard hatch cinematic over the inventory for an egg hatched here
+     */
+    async playHatchCinematic(creature) {
+        const { width, height } = this.dims;
+
+        const overlay = this.add.rectangle(width / 2, height / 2, width, height, 0x0A0520, 0.9);
+        overlay.setInteractive();
+
+        const egg = this.textures.exists('egg')
+            ? this.add.image(width / 2, height / 2, 'egg')
+            : this.add.text(width / 2, height / 2, '🥚', { fontSize: '72px' }).setOrigin(0.5);
+        egg.name = 'egg';
+
+        let creatureSprite = null;
+        const textureName = this.graphicsEngine?.loadCreatureFromRecord?.(creature, 0)?.textureName;
+        if (textureName && this.textures.exists(textureName)) {
+            creatureSprite = this.add.image(width / 2, height / 2, textureName);
+            creatureSprite.name = 'creature';
+            creatureSprite.setAlpha(0);
+        }
+
+        try {
+            await window.HatchCinematics.play(this, {
+                assets: { egg, creature: creatureSprite },
+                genes: window.Genome ? window.Genome.describe(creature) : creature.genes,
+                namingPrompt: `✨ ${creature.name} hatched! ✨`
+            });
+        } catch (error) {
+            console.error('[InventoryScene] Hatch cinematic failed', error);
+        }
+
+        if (this._isShuttingDown) return;
+
+        this.time.delayedCall(1200, () => {
+            window.HatchCinematics.cleanup();
+            [overlay, egg, creatureSprite].forEach(object => object?.destroy());
+            this.showMessage(`🐣 ${creature.name} hatched! Find them in your roster 🐾`, 0xFFD700);
+        });
+    }
+
+    handleRosterFull() {
+        const max = window.GameState?.maxRosterSize || 0;
+        this.time.delayedCall(700, () => {
+            this.showMessage(`Your roster is full (${max} creatures)!`, 0xFF9800);
+        });
+    }
+
     /**
      * Show temporary message
      */
@@ -1297,6 +1361,8 @@ export default class InventoryScene extends Phaser.Scene {
             window.InventoryManager.off('itemAdded', this.refreshInventory, this);
             window.InventoryManager.off('itemRemoved', this.refreshInventory, this);
             window.InventoryManager.off('itemQuantityChanged', this.refreshInventory, this);
+            window.InventoryManager.off('eggHatched', this.handleEggHatched, this);
+            window.InventoryManager.off('rosterFull', this.handleRosterFull, this);
         }
 
         // Remove keyboard listeners
@@ -3,6 +3,7 @@
  * Features: creature naming, genetics display, personality traits, transition to game world
  */
 
+import TutorialOverlayManager from '../systems/ui/TutorialOverlayManager.js';
 const Phaser = typeof window !== 'undefined' ? window.Phaser : undefined;
 
 function requireGlobal(name) {
@@ -102,6 +103,13 @@ class NamingScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Size/pattern/temperament summary; read from the genome when there is one
+     */
+    getGeneticsSummary() {
+        return window.Genome ? window.Genome.describe(this.creatureData) : this.creatureData.genes;
+    }
+
     generateCreatureTraits() {
         const state = getGameState();
         const creatureData = state.get('creature');
@@ -234,6 +242,16 @@ class NamingScene extends Phaser.Scene {
                 align: 'center'
             }).setOrigin(0.5);
         }
+
+        // Scripted tutorial step pointing at the name field
+        if (window.TutorialSystem) {
+            this.tutorialOverlay = new TutorialOverlayManager(this, {
+                tutorialSystem: window.TutorialSystem,
+                sceneKey: 'NamingScene',
+                targets: { nameField: () => this.nameFieldBounds }
+            });
+            this.tutorialOverlay.init();
+        }
     }
 
     createResetButton() {
@@ -291,8 +309,12 @@ class NamingScene extends Phaser.Scene {
     }
 
     resetGameData() {
-        // Clear all game data and reload
-        localStorage.removeItem('mythical-creature-save');
+        // Clear the active save slot and reload
+        if (window.GameState) {
+            window.GameState.reset();
+        } else {
+            localStorage.removeItem('mythical-creature-save');
+        }
         console.log('🔄 Game data reset from naming scene');
         window.location.reload();
     }
@@ -338,6 +360,7 @@ class NamingScene extends Phaser.Scene {
         inputBg.fillRoundedRect(inputX, inputY, inputWidth, inputHeight, 8);
         inputBg.lineStyle(2, 0x4B0082);
         inputBg.strokeRoundedRect(inputX, inputY, inputWidth, inputHeight, 8);
+        this.nameFieldBounds = { x: inputX, y: inputY, width: inputWidth, height: inputHeight };
 
         // ALWAYS start with blank name field
         this.nameInput = '';
@@ -402,7 +425,7 @@ class NamingScene extends Phaser.Scene {
         });
         infoY += titleSize * 1.3;
 
-        const genetics = this.creatureData.genes;
+        const genetics = this.getGeneticsSummary();
         const geneticsText = [
             `Size: ${genetics.size}`,
             `Pattern: ${genetics.pattern}`,
@@ -449,7 +472,7 @@ class NamingScene extends Phaser.Scene {
             fontStyle: 'bold'
         });
 
-        const genetics = this.creatureData.genes;
+        const genetics = this.getGeneticsSummary();
         const geneticsText = [
             `Size: ${genetics.size}`,
             `Pattern: ${genetics.pattern}`,
@@ -484,6 +507,7 @@ class NamingScene extends Phaser.Scene {
         inputBg.fillRoundedRect(300, 430, 200, 40, 8);
         inputBg.lineStyle(2, 0x4B0082);
         inputBg.strokeRoundedRect(300, 430, 200, 40, 8);
+        this.nameFieldBounds = { x: 300, y: 430, width: 200, height: 40 };
 
         // Name label
         this.add.text(400, 415, 'Name your creature:', {
@@ -982,6 +1006,11 @@ class NamingScene extends Phaser.Scene {
             console.log('[NamingScene] Keyboard listeners removed in shutdown');
         }
 
+        if (this.tutorialOverlay) {
+            this.tutorialOverlay.destroy();
+            this.tutorialOverlay = null;
+        }
+
         // Stop all tweens
         if (this.tweens) {
             this.tweens.killAll();
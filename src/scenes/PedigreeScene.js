@@ -0,0 +1,380 @@
+/**
+ * PedigreeScene - Family tree for one creature
+ * Draws the creature and three generations of ancestors (from the roster or the
+ * LineageSystem archive) with rendered thumbnails. Tapping a creature lists which
+ * parent each of its traits came from, highlights mutations and shows its
+ * inbreeding coefficient.
+ */
+
+import Phaser from 'phaser';
+
+const getGameState = () => window.GameState;
+const getLineageSystem = () => window.LineageSystem;
+
+const ANCESTOR_GENERATIONS = 3;
+
+// Trait origin colors: first parent, second parent, both, mutation
+const ORIGIN_COLORS = {
+    parentA: '#4FC3F7',
+    parentB: '#F48FB1',
+    both: '#B39DDB',
+    mutation: '#FFD700'
+};
+
+const formatLabel = (value) => String(value)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[-_]/g, ' ')
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+
+export default class PedigreeScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'PedigreeScene' });
+
+        this.graphicsEngine = null;
+        this.creatureId = null;
+        this.selectedId = null;
+        this.treeContainer = null;
+        this.detailContainer = null;
+        this._isShuttingDown = false;
+    }
+
+    /**
+     * @param {object} data - { creatureId } defaults to the active creature
+     */
+    create(data = {}) {
+        this._isShuttingDown = false;
+        if (this.events) {
+            this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+            this.events.once(Phaser.Scenes.Events.DESTROY, this.shutdown, this);
+        }
+
+        this.creatureId = data.creatureId || getGameState()?.get?.('creature.id') || null;
+        this.selectedId = this.creatureId;
+        console.log('[PedigreeScene] 🌳 Opening pedigree for', this.creatureId);
+
+        if (window.GraphicsEngine) {
+            this.graphicsEngine = new window.GraphicsEngine(this);
+        }
+
+        this.calculateResponsiveDimensions();
+        this.createBackground();
+        this.createHeader();
+        this.createExitButton();
+        this.drawTree();
+        this.showDetails(this.selectedId);
+
+        this.input.keyboard?.on('keydown-ESC', this.exitPedigree, this);
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.hideLoading();
+            window.UXEnhancements.announce('Family tree open. Tap a creature to see which traits it inherited.');
+        }
+    }
+
+    calculateResponsiveDimensions() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+        const isMobile = width < 600;
+        const treeTop = isMobile ? 80 : 95;
+        const rowHeight = Math.min(isMobile ? 78 : 92, (height * 0.62 - treeTop) / (ANCESTOR_GENERATIONS + 1));
+
+        this.dims = {
+            width,
+            height,
+            isMobile,
+            titleSize: isMobile ? '22px' : '30px',
+            treeTop,
+            rowHeight,
+            detailTop: treeTop + rowHeight * (ANCESTOR_GENERATIONS + 1) + 10
+        };
+    }
+
+    createBackground() {
+        const { width, height } = this.dims;
+
+        const bgGraphics = this.add.graphics();
+        bgGraphics.fillGradientStyle(0x0D1B2A, 0x0D1B2A, 0x1A0B3D, 0x1A0B3D, 1);
+        bgGraphics.fillRect(0, 0, width, height);
+
+        for (let i = 0; i < 50; i++) {
+            bgGraphics.fillStyle(0xFFFFFF, Phaser.Math.FloatBetween(0.15, 0.6));
+            bgGraphics.fillCircle(Phaser.Math.Between(0, width), Phaser.Math.Between(0, height), Phaser.Math.FloatBetween(0.5, 1.6));
+        }
+    }
+
+    createHeader() {
+        const { width, titleSize, isMobile } = this.dims;
+        const record = getLineageSystem()?.getRecord(this.creatureId);
+
+        this.add.text(width / 2, 28, `🌳 ${record?.name || 'Family'} Tree`, {
+            fontSize: titleSize,
+            fontFamily: 'Arial Black',
+            color: '#A5D6A7',
+            stroke: '#1B5E20',
+            strokeThickness: isMobile ? 4 : 6,
+            align: 'center'
+        }).setOrigin(0.5);
+
+        const generation = getLineageSystem()?.getGeneration(this.creatureId) || 0;
+        this.add.text(width / 2, isMobile ? 54 : 62, generation > 0 ? `Generation ${generation}` : 'Wild-born · no recorded parents', {
+            fontSize: '13px',
+            fontFamily: 'Arial',
+            color: '#B39DDB'
+        }).setOrigin(0.5);
+    }
+
+    /**
+     * Creature at the bottom, each ancestor generation one row higher
+     */
+    drawTree() {
+        this.treeContainer?.destroy(true);
+        this.treeContainer = this.add.container(0, 0);
+
+        const lineageSystem = getLineageSystem();
+        const pedigree = lineageSystem?.getPedigree(this.creatureId, ANCESTOR_GENERATIONS);
+        if (!pedigree) {
+            this.treeContainer.add(this.add.text(this.dims.width / 2, this.dims.treeTop + 60, 'No family records yet', {
+                fontSize: '15px',
+                fontFamily: 'Arial',
+                color: '#7E72A8'
+            }).setOrigin(0.5));
+            return;
+        }
+
+        const lines = this.add.graphics();
+        this.treeContainer.add(lines);
+        this.drawNode(pedigree, 0, 0, lines);
+    }
+
+    /**
+     * @param {object} node - Pedigree node from LineageSystem.getPedigree()
+     * @param {number} depth - 0 for the creature, 1 for parents…
+     * @param {number} slot - Position within the row (0..2^depth - 1)
+     */
+    drawNode(node, depth, slot, lines) {
+        const { width, treeTop, rowHeight } = this.dims;
+        const slots = 2 ** depth;
+        const x = width * (slot + 0.5) / slots;
+        const y = treeTop + (ANCESTOR_GENERATIONS - depth) * rowHeight + rowHeight / 2;
+        const size = Math.min(rowHeight - 24, width / slots - 8);
+
+        if (depth < ANCESTOR_GENERATIONS) {
+            [0, 1].forEach(parentIndex => {
+                const parentX = width * (slot * 2 + parentIndex + 0.5) / (slots * 2);
+                const parentY = y - rowHeight;
+                const parentNode = node?.parents?.[parentIndex];
+                const highlighted = node?.id === this.selectedId && parentNode;
+
+                lines.lineStyle(highlighted ? 3 : 2, highlighted ? Phaser.Display.Color.HexStringToColor(parentIndex === 0 ? ORIGIN_COLORS.parentA : ORIGIN_COLORS.parentB).color : 0x5C6B8A, parentNode ? 0.9 : 0.3);
+                lines.lineBetween(x, y - size / 2, parentX, parentY + size / 2);
+
+                this.drawNode(parentNode || null, depth + 1, slot * 2 + parentIndex, lines);
+            });
+        }
+
+        this.drawCard(node, x, y, size, depth);
+    }
+
+    drawCard(node, x, y, size, depth) {
+        const record = node?.record;
+        const selected = record && node.id === this.selectedId;
+        const inbred = (node?.inbreeding || 0) >= (getLineageSystem()?.warningThreshold ?? 0.125);
+
+        const card = this.add.graphics();
+        card.fillStyle(record ? (selected ? 0x2E7D32 : 0x1E2A4A) : 0x141428, record ? 0.95 : 0.5);
+        card.fillRoundedRect(x - size / 2, y - size / 2, size, size, 8);
+        card.lineStyle(selected ? 3 : 2, inbred ? 0xFF7043 : (selected ? 0xA5D6A7 : 0x4A5A80), record ? 0.9 : 0.4);
+        card.strokeRoundedRect(x - size / 2, y - size / 2, size, size, 8);
+        this.treeContainer.add(card);
+
+        if (!record) {
+            this.treeContainer.add(this.add.text(x, y, '?', {
+                fontSize: `${Math.max(12, size * 0.4)}px`,
+                fontFamily: 'Arial',
+                color: '#5C6B8A'
+            }).setOrigin(0.5));
+            return;
+        }
+
+        const thumbnailKey = this.getThumbnailKey(record);
+        if (thumbnailKey) {
+            const thumbnail = this.add.image(x, y - 5, thumbnailKey);
+            thumbnail.setScale(Math.min((size - 16) / thumbnail.width, (size - 16) / thumbnail.height));
+            this.treeContainer.add(thumbnail);
+        }
+
+        this.treeContainer.add(this.add.text(x, y + size / 2 + 1, record.name, {
+            fontSize: depth >= 3 ? '9px' : '11px',
+            fontFamily: 'Arial',
+            color: record.archived ? '#9E9E9E' : '#FFFFFF',
+            fixedWidth: Math.max(size, 40),
+            align: 'center'
+        }).setOrigin(0.5, 0));
+
+        const zone = this.add.zone(x, y, size, size).setInteractive({ useHandCursor: true });
+        zone.on('pointerdown', () => {
+            window.AudioManager?.playButtonClick?.();
+            this.selectedId = node.id;
+            this.drawTree();
+            this.showDetails(node.id);
+        });
+        this.treeContainer.add(zone);
+    }
+
+    /**
+     * Trait origins, mutations and inbreeding for the selected creature
+     */
+    showDetails(creatureId) {
+        this.detailContainer?.destroy(true);
+        this.detailContainer = this.add.container(0, 0);
+
+        const lineageSystem = getLineageSystem();
+        const record = lineageSystem?.getRecord(creatureId);
+        if (!record) return;
+
+        const { width, detailTop, isMobile } = this.dims;
+        const lineage = lineageSystem.getLineage(record);
+        const parentNames = lineage.parentIds.map(id => lineageSystem.getRecord(id)?.name || 'Unknown');
+        const coefficient = lineageSystem.getCreatureInbreeding(creatureId);
+        const warning = coefficient >= lineageSystem.warningThreshold;
+
+        const panel = this.add.graphics();
+        panel.fillStyle(0x000000, 0.45);
+        panel.fillRoundedRect(12, detailTop, width - 24, this.dims.height - detailTop - 12, 12);
+        this.detailContainer.add(panel);
+
+        const heading = lineage.parentIds.length
+            ? `${record.name} · child of ${parentNames.join(' & ')}`
+            : `${record.name} · wild-born`;
+        this.detailContainer.add(this.add.text(width / 2, detailTop + 10, heading, {
+            fontSize: isMobile ? '14px' : '16px',
+            fontFamily: 'Arial',
+            fontStyle: 'bold',
+            color: '#FFFFFF'
+        }).setOrigin(0.5, 0));
+
+        this.detailContainer.add(this.add.text(width / 2, detailTop + 32, `Inbreeding ${Math.round(coefficient * 1000) / 10}%${warning ? ' ⚠️ close relatives' : ''}`, {
+            fontSize: '13px',
+            fontFamily: 'Arial',
+            color: warning ? '#FF7043' : '#A5D6A7'
+        }).setOrigin(0.5, 0));
+
+        const origins = Object.entries(lineage.traitOrigins);
+        if (origins.length === 0) {
+            this.detailContainer.add(this.add.text(width / 2, detailTop + 60, lineage.parentIds.length
+                ? 'Trait records started after this creature hatched'
+                : 'Breed this creature at the shrine to start its family line', {
+                fontSize: '12px',
+                fontFamily: 'Arial',
+                color: '#7E72A8',
+                align: 'center',
+                wordWrap: { width: width - 48 }
+            }).setOrigin(0.5, 0));
+            return;
+        }
+
+        this.createLegend(detailTop + 54, parentNames);
+
+        const columns = isMobile ? 2 : 3;
+        const columnWidth = (width - 48) / columns;
+        const traitNames = window.BreedingEngine?.traitDefinitions || {};
+        origins.forEach(([locusKey, origin], index) => {
+            const traitName = traitNames[locusKey]?.name || formatLabel(locusKey);
+            const valueName = traitNames[locusKey]?.variations?.[origin.value]?.name || formatLabel(origin.value);
+            const fromIndex = lineage.parentIds.indexOf(origin.from);
+            const color = origin.from === 'mutation' ? ORIGIN_COLORS.mutation
+                : origin.from === 'both' ? ORIGIN_COLORS.both
+                    : fromIndex === 1 ? ORIGIN_COLORS.parentB : ORIGIN_COLORS.parentA;
+
+            this.detailContainer.add(this.add.text(
+                24 + (index % columns) * columnWidth,
+                detailTop + 80 + Math.floor(index / columns) * 17,
+                `${origin.from === 'mutation' ? '✨ ' : ''}${traitName}: ${valueName}`,
+                {
+                    fontSize: isMobile ? '11px' : '12px',
+                    fontFamily: 'Arial',
+                    color,
+                    fixedWidth: columnWidth - 4
+                }
+            ));
+        });
+    }
+
+    createLegend(y, parentNames) {
+        const entries = [
+            { label: `from ${parentNames[0] || 'parent'}`, color: ORIGIN_COLORS.parentA },
+            { label: `from ${parentNames[1] || 'parent'}`, color: ORIGIN_COLORS.parentB },
+            { label: 'from both', color: ORIGIN_COLORS.both },
+            { label: '✨ mutation', color: ORIGIN_COLORS.mutation }
+        ];
+        const spacing = (this.dims.width - 48) / entries.length;
+
+        entries.forEach((entry, index) => {
+            this.detailContainer.add(this.add.text(24 + spacing * (index + 0.5), y, `● ${entry.label}`, {
+                fontSize: '11px',
+                fontFamily: 'Arial',
+                color: entry.color
+            }).setOrigin(0.5, 0));
+        });
+    }
+
+    getThumbnailKey(record) {
+        if (!this.graphicsEngine?.loadCreatureFromRecord) return null;
+
+        try {
+            const result = this.graphicsEngine.loadCreatureFromRecord(record, 0);
+            return result?.textureName && this.textures.exists(result.textureName) ? result.textureName : null;
+        } catch (error) {
+            console.warn('[PedigreeScene] Thumbnail failed', error);
+            return null;
+        }
+    }
+
+    createExitButton() {
+        const { width, isMobile } = this.dims;
+
+        const closeButton = this.add.text(width - (isMobile ? 25 : 35), 28, '✕', {
+            fontSize: '26px',
+            fontFamily: 'Arial',
+            color: '#FF8A8A',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(0.5);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.exitPedigree());
+    }
+
+    /**
+     * Leave the family tree and return to GameScene
+     */
+    exitPedigree() {
+        if (this._isShuttingDown) return;
+        console.log('[PedigreeScene] Closing pedigree');
+
+        if (window.AudioManager) {
+            window.AudioManager.playButtonClick();
+        }
+
+        this.scene.stop();
+        this.scene.resume('GameScene');
+    }
+
+    shutdown() {
+        if (this._isShuttingDown) {
+            return;
+        }
+        this._isShuttingDown = true;
+
+        if (this.input && this.input.keyboard) {
+            this.input.keyboard.off('keydown-ESC', this.exitPedigree, this);
+        }
+
+        this.treeContainer = null;
+        this.detailContainer = null;
+        this.graphicsEngine = null;
+    }
+}
+
+// Register scene globally
+if (typeof window !== 'undefined') {
+    window.PedigreeScene = PedigreeScene;
+}
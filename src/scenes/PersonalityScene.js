@@ -132,8 +132,12 @@ class PersonalityScene extends Phaser.Scene {
             state.set('creature.personality', displayPersonality);
         }
 
-        if (!creatureData.genes && this.creatureGenetics) {
-            creatureData.genes = this.convertGeneticsToLegacyGenes(this.creatureGenetics);
+        // One genome carries the genetics, DNA and Mendelian genes forward (see Genome.js)
+        if (!creatureData.genome && this.creatureGenetics && window.Genome) {
+            const genome = window.Genome.fromCreature({ ...state.get('creature'), genetics: this.creatureGenetics });
+            creatureData.genome = genome;
+            creatureData.genes = window.Genome.getGenes(genome);
+            state.set('creature.genome', genome);
             state.set('creature.genes', creatureData.genes);
         }
 
@@ -194,45 +198,6 @@ class PersonalityScene extends Phaser.Scene {
         return displayNames[core] || 'Mysterious Being';
     }
 
-    convertGeneticsToLegacyGenes(genetics) {
-        if (!genetics) return null;
-
-        // Map new genetics system to legacy display format
-        const bodyShapeToSize = {
-            'slender': 'small',
-            'balanced': 'medium', 
-            'sturdy': 'large',
-            'fish': 'medium',
-            'cyclops': 'large',
-            'serpentine': 'medium'
-        };
-
-        const markingsToPattern = {
-            'solid': 'solid',
-            'striped': 'striped', 
-            'spotted': 'spotted',
-            'scales': 'scaled',
-            'crystalline': 'crystalline'
-        };
-
-        const personalityToTemperament = {
-            'curious': 'curious',
-            'playful': 'playful',
-            'gentle': 'gentle',
-            'wise': 'wise',
-            'energetic': 'energetic'
-        };
-
-        return {
-            size: bodyShapeToSize[genetics.traits.bodyShape.type] || 'medium',
-            pattern: markingsToPattern[genetics.traits.features.markings?.type] || 'solid',
-            eyeColor: genetics.traits.colorGenome.eyeColor || 0x4169E1,
-            temperament: personalityToTemperament[genetics.personality.core] || 'gentle',
-            specialTrait: genetics.traits.features.specialFeatures?.length > 0 ? 
-                genetics.traits.features.specialFeatures[0] : 'none'
-        };
-    }
-
     getRarityMeta(rarity) {
         const meta = {
             common: { name: 'Common', emoji: '🟢', color: '#7CFC00' },
@@ -1,6 +1,7 @@
 /**
  * ShopScene - Cosmic Shop with Pokemon-style UI
  * Features: Item catalog, purchase flow, currency display, shopkeeper NPC
+ * Offers, the daily featured shelf, stock and level gates come from ShopSystem
  */
 
 import Phaser from 'phaser';
@@ -10,9 +11,10 @@ export default class ShopScene extends Phaser.Scene {
         super({ key: 'ShopScene' });
 
         this.graphicsEngine = null;
-        this.selectedCategory = 'eggs'; // eggs, food, utilities
+        this.selectedCategory = 'featured'; // Category ids from config/shop.json
         this.selectedItemIndex = 0;
         this.shopItems = null;
+        this.sellSelection = new Map(); // Sell tab: inventory slot -> quantity to sell
         this.categoryButtons = [];
         this.itemButtons = [];
         this.shopkeeper = null;
@@ -65,7 +67,7 @@ export default class ShopScene extends Phaser.Scene {
         this.initializeShopItems();
 
         // Display initial category
-        this.displayCategory('eggs');
+        this.displayCategory(this.selectedCategory);
 
         // Play shop ambient sound
         if (window.AudioManager) {
@@ -260,12 +262,27 @@ export default class ShopScene extends Phaser.Scene {
         this.currencyText.setOrigin(0, 0.5);
         this.currencyText.setDepth(11);
 
+        // Stardust balance under the coins (pays for the Style shelf)
+        const currentStardust = window.GameState?.get('player.stardust') || 0;
+        this.stardustText = this.add.text(coinX - 10, coinY + (this.dims.isMobile ? 18 : 24), `💫 ${currentStardust}`, {
+            fontSize: this.dims.isMobile ? '12px' : '14px',
+            fontFamily: 'Arial Black',
+            color: '#E1BEE7',
+            stroke: '#000000',
+            strokeThickness: 2
+        });
+        this.stardustText.setOrigin(0, 0.5);
+        this.stardustText.setDepth(11);
+
         // Listen for currency changes
         if (window.GameState) {
             this.currencyChangeHandler = this.currencyChangeHandler || ((newValue) => {
                 this.updateCurrencyDisplay(newValue);
             });
             this.registerGameStateListener('changed:player.cosmicCoins', this.currencyChangeHandler);
+            this.registerGameStateListener('changed:player.stardust', (newValue) => {
+                this.stardustText?.setText(`💫 ${newValue || 0}`);
+            });
         }
 
         // Close button (X) - ALWAYS VISIBLE top-right
@@ -393,18 +410,18 @@ export default class ShopScene extends Phaser.Scene {
      * Create category menu (responsive tabs)
      */
     createCategoryMenu() {
-        const categories = [
-            { id: 'eggs', label: 'Eggs', icon: '🥚' },
-            { id: 'food', label: 'Food', icon: '🍎' },
-            { id: 'utilities', label: 'Items', icon: '🎒' }
-        ];
+        const categories = window.ShopSystem?.getCategories?.() || [];
 
-        const { width, headerHeight, catalogX, categoryHeight, categoryButtonWidth, margin, isMobile } = this.dims;
+        const { width, headerHeight, catalogX, catalogWidth, categoryHeight, margin, isMobile } = this.dims;
         const spacing = margin;
         const startY = headerHeight + margin;
+        const count = Math.max(1, categories.length);
+        const categoryButtonWidth = Math.min(this.dims.categoryButtonWidth, (catalogWidth - spacing * (count - 1)) / count);
+        // Narrow buttons only have room for the icon
+        const compact = categoryButtonWidth < 110;
 
         // Calculate button positions (centered on mobile, left-aligned on desktop)
-        const totalWidth = (categoryButtonWidth * 3) + (spacing * 2);
+        const totalWidth = (categoryButtonWidth * count) + (spacing * (count - 1));
         const startX = isMobile ? (width - totalWidth) / 2 : catalogX;
 
         categories.forEach((category, index) => {
@@ -421,7 +438,7 @@ export default class ShopScene extends Phaser.Scene {
 
             // Icon
             const icon = this.add.text(
-                x + (isMobile ? categoryButtonWidth / 4 : 20),
+                x + (compact ? categoryButtonWidth / 2 : (isMobile ? categoryButtonWidth / 4 : 20)),
                 y + categoryHeight / 2,
                 category.icon,
                 { fontSize: isMobile ? '20px' : '24px' }
@@ -442,6 +459,7 @@ export default class ShopScene extends Phaser.Scene {
             );
             label.setOrigin(0.5, 0.5);
             label.setDepth(21);
+            label.setVisible(!compact);
 
             // Interactive zone
             const zone = this.add.zone(x, y, categoryButtonWidth, categoryHeight).setOrigin(0, 0);
@@ -492,6 +510,7 @@ export default class ShopScene extends Phaser.Scene {
 
         this.selectedCategory = categoryId;
         this.selectedItemIndex = 0;
+        this.sellSelection.clear();
 
         // Update category button visuals
         this.categoryButtons.forEach(cat => {
@@ -567,25 +586,44 @@ export default class ShopScene extends Phaser.Scene {
         // Reset scroll position
         this.scrollY = 0;
 
+        if (this.isSellCategory(categoryId)) {
+            this.displaySellList();
+            return;
+        }
+
         const items = this.shopItems[categoryId] || [];
         const { catalogX, catalogStartY, catalogWidth, itemHeight, itemSpacing, padding } = this.dims;
 
         const startX = catalogX + padding;
-        const startY = catalogStartY + padding;
+        let startY = catalogStartY + padding;
         const itemWidth = catalogWidth - (padding * 2);
 
+        // Featured shelf header: discount and when the shelf changes
+        if (categoryId === 'featured' && window.ShopSystem) {
+            const discount = Math.round((window.ShopSystem.config.featured?.discount || 0) * 100);
+            const restock = this.formatTimeLeft(window.ShopSystem.getRestockTime() - Date.now());
+            const shelfText = this.add.text(startX, startY, `⭐ Today's picks: ${discount}% off • new offers in ${restock}`, {
+                fontSize: this.dims.itemDescSize,
+                fontFamily: 'Arial',
+                color: '#FFD700'
+            });
+            this.catalogContainer.add(shelfText);
+            startY += 24;
+        }
+
         // Calculate total content height and max scroll
-        const totalHeight = items.length * (itemHeight + itemSpacing);
+        const totalHeight = (startY - catalogStartY - padding) + items.length * (itemHeight + itemSpacing);
         this.maxScrollY = Math.max(0, totalHeight - this.catalogBounds.height + padding * 2);
 
         items.forEach((item, index) => {
             const y = startY + (itemHeight + itemSpacing) * index;
+            const available = !item.locked && !item.soldOut;
 
             // Item row background
             const itemBg = this.add.graphics();
-            itemBg.fillStyle(0x2A0040, 0.6);
+            itemBg.fillStyle(0x2A0040, available ? 0.6 : 0.35);
             itemBg.fillRoundedRect(startX, y, itemWidth, itemHeight, 8);
-            itemBg.lineStyle(2, 0x6B00B3);
+            itemBg.lineStyle(2, item.featured ? 0xFFD700 : 0x6B00B3);
             itemBg.strokeRoundedRect(startX, y, itemWidth, itemHeight, 8);
 
             // Responsive layout calculations
@@ -600,17 +638,29 @@ export default class ShopScene extends Phaser.Scene {
                 fontSize: iconSize
             });
             icon.setOrigin(0.5, 0.5);
+            icon.setAlpha(available ? 1 : 0.5);
 
             // Item name
             const name = this.add.text(textX, y + (this.dims.isMobile ? itemHeight / 2 - 15 : 20), item.name, {
                 fontSize: this.dims.itemNameSize,
                 fontFamily: 'Arial Black',
-                color: '#FFFFFF'
+                color: available ? '#FFFFFF' : '#888888'
+            });
+
+            // Stock, level gate and deal badges next to the name
+            const badges = this.add.text(name.x + name.width + 8, name.y + 2, this.getOfferBadges(item), {
+                fontSize: this.dims.itemDescSize,
+                fontFamily: 'Arial',
+                fontStyle: 'bold',
+                color: item.soldOut || item.locked ? '#FF8A8A' : '#FFD54F'
             });
 
-            // Item description (truncate on mobile if needed)
+            // Item description (truncate on mobile if needed); bundles list what's inside
             const descMaxWidth = itemWidth - textX - buyBtnWidth - 30;
-            const desc = this.add.text(textX, y + (this.dims.isMobile ? itemHeight / 2 + 5 : 45), item.description, {
+            const description = item.bundle
+                ? `${item.description} • ${item.contents.map(({ item: content, quantity }) => `${content.icon}x${quantity}`).join(' ')}`
+                : item.description;
+            const desc = this.add.text(textX, y + (this.dims.isMobile ? itemHeight / 2 + 5 : 45), description, {
                 fontSize: this.dims.itemDescSize,
                 fontFamily: 'Arial',
                 color: '#AAAAAA',
@@ -630,25 +680,56 @@ export default class ShopScene extends Phaser.Scene {
             });
             priceText.setOrigin(0.5, 0.5);
 
-            // Coin icon next to price
+            // Coin (or Stardust) icon next to price
             const coinIconX = priceX + 25;
-            const coinIcon = this.add.graphics();
-            coinIcon.fillStyle(0xFFD700, 1);
-            coinIcon.fillCircle(coinIconX, priceY, this.dims.isMobile ? 8 : 10);
-            coinIcon.fillStyle(0xFFA500, 1);
-            coinIcon.fillCircle(coinIconX, priceY, this.dims.isMobile ? 6 : 7);
+            let coinIcon;
+            if (item.currency === 'stardust') {
+                priceText.setColor('#E1BEE7');
+                coinIcon = this.add.text(coinIconX, priceY, '💫', {
+                    fontSize: this.dims.isMobile ? '14px' : '18px'
+                }).setOrigin(0.5, 0.5);
+            } else {
+                coinIcon = this.add.graphics();
+                coinIcon.fillStyle(0xFFD700, 1);
+                coinIcon.fillCircle(coinIconX, priceY, this.dims.isMobile ? 8 : 10);
+                coinIcon.fillStyle(0xFFA500, 1);
+                coinIcon.fillCircle(coinIconX, priceY, this.dims.isMobile ? 6 : 7);
+            }
+
+            const rowElements = [itemBg, icon, name, badges, desc, priceText, coinIcon];
+
+            // Discounted offers show the regular price crossed out
+            if (item.price < item.basePrice) {
+                const wasText = this.add.text(priceX - priceText.width / 2 - 8, priceY, `${item.basePrice}`, {
+                    fontSize: this.dims.itemDescSize,
+                    fontFamily: 'Arial',
+                    color: '#AAAAAA'
+                });
+                wasText.setOrigin(1, 0.5);
+                const strike = this.add.graphics();
+                strike.lineStyle(1, 0xAAAAAA, 1);
+                strike.lineBetween(wasText.x - wasText.width, priceY, wasText.x, priceY);
+                rowElements.push(wasText, strike);
+            }
 
             // Buy button
             const buyBtnY = y + (this.dims.isMobile ? itemHeight - 50 - 5 : 15);
             const buyBtnHeight = this.dims.isMobile ? 40 : 50;
+            const buyColor = available ? 0x00AA00 : 0x555555;
+            const buyStroke = available ? 0x00FF00 : 0x888888;
 
             const buyBtn = this.add.graphics();
-            buyBtn.fillStyle(0x00AA00, 0.9);
+            buyBtn.fillStyle(buyColor, 0.9);
             buyBtn.fillRoundedRect(buyBtnX, buyBtnY, buyBtnWidth, buyBtnHeight, 8);
-            buyBtn.lineStyle(2, 0x00FF00);
+            buyBtn.lineStyle(2, buyStroke);
             buyBtn.strokeRoundedRect(buyBtnX, buyBtnY, buyBtnWidth, buyBtnHeight, 8);
 
-            const buyLabel = this.add.text(buyBtnX + buyBtnWidth / 2, buyBtnY + buyBtnHeight / 2, 'BRING HOME', {
+            let buyText = 'BRING HOME';
+            if (item.owned) buyText = 'OWNED';
+            else if (item.soldOut) buyText = 'SOLD OUT';
+            else if (item.locked) buyText = `LV ${item.minLevel}`;
+
+            const buyLabel = this.add.text(buyBtnX + buyBtnWidth / 2, buyBtnY + buyBtnHeight / 2, buyText, {
                 fontSize: this.dims.isMobile ? '12px' : '14px',
                 fontFamily: 'Arial Black',
                 color: '#FFFFFF'
@@ -658,18 +739,28 @@ export default class ShopScene extends Phaser.Scene {
             // Interactive zone (larger touch target)
             const zoneTouchSize = Math.max(buyBtnHeight, 44);
             const zone = this.add.zone(buyBtnX, buyBtnY, buyBtnWidth, zoneTouchSize).setOrigin(0, 0);
-            zone.setInteractive({ useHandCursor: true });
+            zone.setInteractive({ useHandCursor: available });
 
             zone.on('pointerdown', () => {
-                this.showPurchaseConfirmation(item);
+                if (item.owned) {
+                    this.showPurchaseError('Already yours!');
+                } else if (item.soldOut) {
+                    this.showPurchaseError(item.stock?.per === 'ever' ? 'Already collected!' : 'Sold out until tomorrow!');
+                } else if (item.locked) {
+                    this.showPurchaseError(`Reach level ${item.minLevel} to unlock!`);
+                } else {
+                    this.showPurchaseConfirmation(item);
+                }
             });
 
             zone.on('pointerover', () => {
-                buyBtn.clear();
-                buyBtn.fillStyle(0x00DD00, 1);
-                buyBtn.fillRoundedRect(buyBtnX, buyBtnY, buyBtnWidth, buyBtnHeight, 8);
-                buyBtn.lineStyle(3, 0x00FF00);
-                buyBtn.strokeRoundedRect(buyBtnX, buyBtnY, buyBtnWidth, buyBtnHeight, 8);
+                if (available) {
+                    buyBtn.clear();
+                    buyBtn.fillStyle(0x00DD00, 1);
+                    buyBtn.fillRoundedRect(buyBtnX, buyBtnY, buyBtnWidth, buyBtnHeight, 8);
+                    buyBtn.lineStyle(3, 0x00FF00);
+                    buyBtn.strokeRoundedRect(buyBtnX, buyBtnY, buyBtnWidth, buyBtnHeight, 8);
+                }
 
                 // Show item tooltip (only on desktop)
                 if (!this.dims.isMobile) {
@@ -679,16 +770,16 @@ export default class ShopScene extends Phaser.Scene {
 
             zone.on('pointerout', () => {
                 buyBtn.clear();
-                buyBtn.fillStyle(0x00AA00, 0.9);
+                buyBtn.fillStyle(buyColor, 0.9);
                 buyBtn.fillRoundedRect(buyBtnX, buyBtnY, buyBtnWidth, buyBtnHeight, 8);
-                buyBtn.lineStyle(2, 0x00FF00);
+                buyBtn.lineStyle(2, buyStroke);
                 buyBtn.strokeRoundedRect(buyBtnX, buyBtnY, buyBtnWidth, buyBtnHeight, 8);
 
                 // Hide item tooltip
                 this.hideItemTooltip();
             });
 
-            this.catalogContainer.add([itemBg, icon, name, desc, priceText, coinIcon, buyBtn, buyLabel, zone]);
+            this.catalogContainer.add([...rowElements, buyBtn, buyLabel, zone]);
 
             this.itemButtons.push({
                 item,
@@ -700,6 +791,285 @@ export default class ShopScene extends Phaser.Scene {
         console.log(`[ShopScene] Displayed ${items.length} items, maxScroll: ${this.maxScrollY}`);
     }
 
+    /**
+     * Short status shown next to an offer's name
+     */
+    getOfferBadges(item) {
+        const badges = [];
+        if (item.locked) badges.push(`🔒 Lv ${item.minLevel}`);
+        if (item.discount > 0) badges.push(`-${Math.round(item.discount * 100)}%`);
+        if (item.bundle && item.savings > 0) badges.push(`Save ${item.savings}`);
+        if (item.owned) {
+            badges.push('OWNED');
+        } else if (item.soldOut) {
+            badges.push('SOLD OUT');
+        } else if (item.stock) {
+            badges.push(item.stock.per === 'ever' ? `${item.stock.remaining} left` : `${item.stock.remaining} left today`);
+        }
+        return badges.join(' • ');
+    }
+
+    formatTimeLeft(ms) {
+        const hours = Math.max(0, Math.floor(ms / (60 * 60 * 1000)));
+        const minutes = Math.max(0, Math.floor(ms / (60 * 1000)) % 60);
+        return `${hours}h ${minutes}m`;
+    }
+
+    isSellCategory(categoryId) {
+        return window.ShopSystem?.getCategories().find(category => category.id === categoryId)?.mode === 'sell';
+    }
+
+    /**
+     * Sell tab: inventory items with what the Void Merchant pays for them.
+     * Tapping a row selects it; +/- pick how many of a stack to sell.
+     */
+    displaySellList() {
+        const shop = window.ShopSystem;
+        const entries = shop ? shop.getSellList() : [];
+        const { catalogX, catalogStartY, catalogWidth, itemHeight, itemSpacing, padding, isMobile } = this.dims;
+
+        const startX = catalogX + padding;
+        const itemWidth = catalogWidth - (padding * 2);
+        let y = catalogStartY + padding;
+
+        // Drop selections for slots that no longer hold a sellable item
+        this.sellSelection.forEach((quantity, slot) => {
+            const entry = entries[slot];
+            if (!entry?.quote?.sellable) {
+                this.sellSelection.delete(slot);
+            } else if (quantity > entry.quantity) {
+                this.sellSelection.set(slot, entry.quantity);
+            }
+        });
+
+        // Today's wants
+        const wants = (shop?.getWants() || []).map(itemId => shop.getItemDefinition(itemId)).filter(Boolean);
+        const bonus = Math.round((shop?.config.selling?.wants?.bonus || 0) * 100);
+        const wantsLabel = wants.length > 0
+            ? `🌙 Today the Void Merchant wants ${wants.map(item => `${item.icon} ${item.name}`).join(', ')} (+${bonus}%)`
+            : '🌙 The Void Merchant buys back what you no longer need';
+        const wantsText = this.add.text(startX, y, wantsLabel, {
+            fontSize: this.dims.itemDescSize,
+            fontFamily: 'Arial',
+            color: '#FFD700',
+            wordWrap: { width: itemWidth }
+        });
+        this.catalogContainer.add(wantsText);
+        y += wantsText.height + 10;
+
+        // Sell button for the whole selection
+        const selected = [...this.sellSelection.entries()];
+        const count = selected.reduce((sum, [, quantity]) => sum + quantity, 0);
+        const total = selected.reduce((sum, [slot, quantity]) => sum + entries[slot].quote.unitPrice * quantity, 0);
+        const barHeight = 44;
+
+        const sellBtn = this.add.graphics();
+        sellBtn.fillStyle(count > 0 ? 0xB8860B : 0x555555, 0.9);
+        sellBtn.fillRoundedRect(startX, y, itemWidth, barHeight, 8);
+        sellBtn.lineStyle(2, count > 0 ? 0xFFD700 : 0x888888);
+        sellBtn.strokeRoundedRect(startX, y, itemWidth, barHeight, 8);
+
+        const sellLabel = this.add.text(startX + itemWidth / 2, y + barHeight / 2,
+            count > 0 ? `Sell ${count} item${count === 1 ? '' : 's'} for ${total} coins` : 'Tap items to choose what to sell', {
+            fontSize: isMobile ? '14px' : '16px',
+            fontFamily: 'Arial Black',
+            color: '#FFFFFF'
+        });
+        sellLabel.setOrigin(0.5, 0.5);
+
+        const sellZone = this.add.zone(startX, y, itemWidth, barHeight).setOrigin(0, 0);
+        sellZone.setInteractive({ useHandCursor: count > 0 });
+        sellZone.on('pointerdown', () => {
+            if (count > 0) this.confirmSale();
+        });
+
+        this.catalogContainer.add([sellBtn, sellLabel, sellZone]);
+        y += barHeight + itemSpacing + 4;
+
+        if (entries.length === 0) {
+            const emptyText = this.add.text(startX + itemWidth / 2, y + 30, 'Your inventory is empty', {
+                fontSize: this.dims.itemNameSize,
+                fontFamily: 'Arial',
+                color: '#AAAAAA'
+            });
+            emptyText.setOrigin(0.5, 0.5);
+            this.catalogContainer.add(emptyText);
+        }
+
+        entries.forEach(entry => {
+            this.createSellRow(entry, startX, y, itemWidth);
+            y += itemHeight + itemSpacing;
+        });
+
+        const totalHeight = y - catalogStartY - padding;
+        this.maxScrollY = Math.max(0, totalHeight - this.catalogBounds.height + padding * 2);
+
+        console.log(`[ShopScene] Displayed ${entries.length} sellable items, maxScroll: ${this.maxScrollY}`);
+    }
+
+    /**
+     * One inventory row in the sell tab
+     */
+    createSellRow({ slot, item, quantity, quote }, startX, y, itemWidth) {
+        const { itemHeight, isMobile } = this.dims;
+        const selectedQuantity = this.sellSelection.get(slot) || 0;
+        const selected = selectedQuantity > 0;
+
+        const rowBg = this.add.graphics();
+        rowBg.fillStyle(selected ? 0x4A0080 : 0x2A0040, quote.sellable ? 0.6 : 0.35);
+        rowBg.fillRoundedRect(startX, y, itemWidth, itemHeight, 8);
+        rowBg.lineStyle(2, selected ? 0xFFD700 : 0x6B00B3);
+        rowBg.strokeRoundedRect(startX, y, itemWidth, itemHeight, 8);
+
+        const iconX = startX + (isMobile ? 25 : 30);
+        const textX = startX + (isMobile ? 55 : 80);
+
+        const icon = this.add.text(iconX, y + itemHeight / 2, quote.icon, {
+            fontSize: isMobile ? '28px' : '36px'
+        });
+        icon.setOrigin(0.5, 0.5);
+        icon.setAlpha(quote.sellable ? 1 : 0.5);
+
+        const name = this.add.text(textX, y + (isMobile ? itemHeight / 2 - 15 : 20), quantity > 1 ? `${quote.name} x${quantity}` : quote.name, {
+            fontSize: this.dims.itemNameSize,
+            fontFamily: 'Arial Black',
+            color: quote.sellable ? '#FFFFFF' : '#888888'
+        });
+
+        const badges = [];
+        if (quote.wanted) badges.push(`🌙 Wanted +${Math.round((window.ShopSystem.config.selling?.wants?.bonus || 0) * 100)}%`);
+        if (quote.rarity !== 'common') badges.push(quote.rarity);
+        const badgeText = this.add.text(name.x + name.width + 8, name.y + 2, badges.join(' • '), {
+            fontSize: this.dims.itemDescSize,
+            fontFamily: 'Arial',
+            fontStyle: 'bold',
+            color: '#FFD54F'
+        });
+
+        let priceLabel = `${quote.unitPrice} coins each`;
+        if (quote.reason === 'equipped') priceLabel = 'Equipped, unequip it to sell';
+        else if (!quote.sellable) priceLabel = 'The Void Merchant has no use for this';
+        const price = this.add.text(textX, y + (isMobile ? itemHeight / 2 + 5 : 45), priceLabel, {
+            fontSize: this.dims.itemDescSize,
+            fontFamily: 'Arial',
+            color: '#AAAAAA'
+        });
+
+        const rowElements = [rowBg, icon, name, badgeText, price];
+
+        // Row tap toggles the selection
+        const rowZone = this.add.zone(startX, y, itemWidth, itemHeight).setOrigin(0, 0);
+        rowZone.setInteractive({ useHandCursor: quote.sellable });
+        rowZone.on('pointerdown', () => {
+            if (!quote.sellable) return;
+            if (selected) {
+                this.sellSelection.delete(slot);
+            } else {
+                this.sellSelection.set(slot, quantity);
+            }
+            window.AudioManager?.playButtonClick?.();
+            this.refreshSellList();
+        });
+        rowElements.push(rowZone);
+
+        // Selected stacks get a quantity stepper on the right
+        if (selected) {
+            const stepperY = y + itemHeight / 2;
+            const rightX = startX + itemWidth - 20;
+            const stepSize = 36;
+
+            const countText = this.add.text(rightX - stepSize - 30, stepperY, `${selectedQuantity}/${quantity}`, {
+                fontSize: this.dims.priceSize,
+                fontFamily: 'Arial Black',
+                color: '#FFD700'
+            });
+            countText.setOrigin(0.5, 0.5);
+            rowElements.push(countText);
+
+            if (quantity > 1) {
+                const step = (label, x, delta) => {
+                    const stepText = this.add.text(x, stepperY, label, {
+                        fontSize: '22px',
+                        fontFamily: 'Arial Black',
+                        color: '#FFFFFF',
+                        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+                        padding: { x: 10, y: 2 }
+                    });
+                    stepText.setOrigin(0.5, 0.5);
+                    const stepZone = this.add.zone(x - stepSize / 2, stepperY - stepSize / 2, stepSize, stepSize).setOrigin(0, 0);
+                    stepZone.setInteractive({ useHandCursor: true });
+                    stepZone.on('pointerdown', () => {
+                        const next = Phaser.Math.Clamp(selectedQuantity + delta, 1, quantity);
+                        this.sellSelection.set(slot, next);
+                        this.refreshSellList();
+                    });
+                    rowElements.push(stepText, stepZone);
+                };
+                step('−', rightX - stepSize * 2 - 60, -1);
+                step('+', rightX - stepSize / 2, 1);
+            }
+        }
+
+        this.catalogContainer.add(rowElements);
+    }
+
+    /**
+     * Redraw the sell tab without losing the scroll position
+     */
+    refreshSellList() {
+        const scrollY = this.scrollY;
+        this.displayCategory(this.selectedCategory);
+        this.scrollY = Math.min(scrollY, this.maxScrollY);
+        this.updateScroll();
+    }
+
+    /**
+     * Sell the selection, asking first if it includes rare finds or bred eggs
+     */
+    confirmSale() {
+        const shop = window.ShopSystem;
+        if (!shop) return;
+
+        const selections = [...this.sellSelection.entries()].map(([slot, quantity]) => ({ slot, quantity }));
+        const precious = shop.getConfirmationItems(selections);
+        if (precious.length === 0) {
+            this.sellSelected(selections);
+            return;
+        }
+
+        this.showConfirmationDialog({
+            title: 'Sell rare items?',
+            details: [
+                'These are hard to find again:',
+                ...precious.map(({ quote, quantity }) => `${quote.icon} ${quote.name} x${quantity} (${quote.rarity})`)
+            ].join('\n'),
+            extraLines: precious.length,
+            onConfirm: () => this.sellSelected(selections)
+        });
+    }
+
+    sellSelected(selections) {
+        const result = window.ShopSystem.sell(selections);
+        this.sellSelection.clear();
+
+        if (!result.success) {
+            const messages = {
+                not_sellable: 'The Void Merchant can\'t take that!',
+                sale_incomplete: `Some items couldn't be sold (got ${result.total} coins for the rest)`,
+                inventory_unavailable: 'Inventory system unavailable!'
+            };
+            this.showPurchaseError(messages[result.reason] || 'Sale failed!');
+            window.AudioManager?.playError?.();
+            this.updateCoinDisplay();
+            this.refreshSellList();
+            return;
+        }
+
+        this.showMessage(`💰 Sold for ${result.total} coins!`, 0xFFD700);
+        this.updateCoinDisplay();
+        this.refreshSellList();
+    }
+
     /**
      * Create purchase confirmation panel
      */
@@ -716,6 +1086,20 @@ export default class ShopScene extends Phaser.Scene {
     showPurchaseConfirmation(item) {
         console.log(`[ShopScene] Showing confirmation for: ${item.name}`);
 
+        // Bundles list their contents, so the modal grows by a line per entry
+        this.showConfirmationDialog({
+            title: 'Confirm Purchase',
+            details: this.getConfirmationDetails(item),
+            extraLines: (item.bundle ? item.contents.length : 0) + (item.savings > 0 ? 1 : 0),
+            onConfirm: () => this.purchaseItem(item)
+        });
+    }
+
+    /**
+     * Modal with Confirm/Cancel buttons
+     * @param {object} options - { title, details, extraLines (lines beyond the usual three), onConfirm }
+     */
+    showConfirmationDialog({ title: titleText, details: detailsText, extraLines = 0, onConfirm }) {
         const { width, height, isMobile } = this.dims;
 
         // Create dark overlay
@@ -726,7 +1110,7 @@ export default class ShopScene extends Phaser.Scene {
 
         // Modal dimensions (responsive)
         const modalWidth = isMobile ? width - 40 : 400;
-        const modalHeight = isMobile ? 280 : 300;
+        const modalHeight = (isMobile ? 280 : 300) + extraLines * 24;
         const modalX = (width - modalWidth) / 2;
         const modalY = (height - modalHeight) / 2;
 
@@ -739,15 +1123,15 @@ export default class ShopScene extends Phaser.Scene {
         panel.setDepth(201);
 
         // Title
-        const title = this.add.text(width / 2, modalY + 40, 'Confirm Purchase', {
+        const title = this.add.text(width / 2, modalY + 40, titleText, {
             fontSize: isMobile ? '22px' : '28px',
             color: '#FFD700',
             fontStyle: 'bold'
         }).setOrigin(0.5).setDepth(202);
 
         // Item details
-        const details = this.add.text(width / 2, modalY + 110,
-            `${item.name}\n\nPrice: ${item.price} Cosmic Coins`, {
+        const details = this.add.text(width / 2, modalY + 110 + extraLines * 12,
+            detailsText, {
             fontSize: isMobile ? '16px' : '20px',
             color: '#FFFFFF',
             align: 'center'
@@ -809,8 +1193,7 @@ export default class ShopScene extends Phaser.Scene {
             // Clean up dialog
             dialogElements.forEach(el => el.destroy());
 
-            // Proceed with purchase
-            this.purchaseItem(item);
+            onConfirm();
         });
 
         // Confirm button hover
@@ -867,6 +1250,29 @@ export default class ShopScene extends Phaser.Scene {
         this.input.keyboard.on('keydown', escHandler);
     }
 
+    /**
+     * Confirmation text: price, plus what's inside a bundle and what the deal saves
+     */
+    getConfirmationDetails(item) {
+        const lines = [item.name, '', `Price: ${this.formatPrice(item)}`];
+        if (item.bundle) {
+            lines.push(item.contents.map(({ item: content, quantity }) => `${content.icon} ${content.name} x${quantity}`).join('\n'));
+        }
+        if (item.savings > 0) {
+            lines.push(`You save ${item.savings} coins`);
+        }
+        return lines.join('\n');
+    }
+
+    formatPrice(item) {
+        return `${item.price} ${item.currency === 'stardust' ? 'Stardust' : 'Cosmic Coins'}`;
+    }
+
+    formatEffect(effect) {
+        if (!effect) return 'Cosmetic';
+        return Object.entries(effect).map(([stat, amount]) => `+${amount} ${stat}`).join(', ');
+    }
+
     /**
      * Show detailed item tooltip on hover
      * @param {Object} item - Item data
@@ -896,10 +1302,10 @@ export default class ShopScene extends Phaser.Scene {
             '',
             item.description,
             '',
-            `Type: ${item.category}`,
-            `Effect: ${item.effect || 'Cosmetic'}`,
+            `Type: ${item.type}`,
+            `Effect: ${this.formatEffect(item.effect)}`,
             '',
-            `Price: ${item.price} Cosmic Coins`
+            `Price: ${this.formatPrice(item)}`
         ].join('\n');
 
         this.itemTooltipText = this.add.text(tooltipX + 15, tooltipY + 15, detailsText, {
@@ -931,7 +1337,7 @@ export default class ShopScene extends Phaser.Scene {
      * Purchase item with validation
      */
     purchaseItem(item) {
-        console.log(`[ShopScene] Attempting to purchase: ${item.name} for ${item.price} coins`);
+        console.log(`[ShopScene] Attempting to purchase: ${item.name} for ${this.formatPrice(item)}`);
 
         // Prevent double-purchases
         if (this.isPurchasing) {
@@ -939,92 +1345,75 @@ export default class ShopScene extends Phaser.Scene {
             return;
         }
 
+        const shop = window.ShopSystem;
+        if (!shop) {
+            this.showPurchaseError('Shop system unavailable!');
+            return;
+        }
+
+        // Validate purchase (coins, stock, level gate, inventory space)
+        const check = shop.canPurchase(item.id);
+        if (!check.ok) {
+            this.failPurchase(check.reason, item);
+            return;
+        }
+
         this.isPurchasing = true;
 
         // Show loading overlay
         this.showLoadingOverlay('Processing purchase...');
 
-        // FIX: Read from correct state path (player.cosmicCoins not currency.cosmicCoins)
-        const currentCoins = window.GameState?.get('player.cosmicCoins') || 0;
-
-        // Validate purchase
-        if (currentCoins < item.price) {
+        // Simulate async purchase (adds realistic feel)
+        this.time.delayedCall(300, () => {
+            const result = shop.purchase(item.id);
             this.hideLoadingOverlay();
-            this.showPurchaseError('Not enough cosmic coins!');
             this.isPurchasing = false;
 
-            if (window.AudioManager) {
-                window.AudioManager.playError();
+            if (!result.success) {
+                this.failPurchase(result.reason, item);
+                return;
             }
-            return;
-        }
 
-        // Check inventory space
-        if (window.InventoryManager && !window.InventoryManager.hasSpace()) {
-            this.hideLoadingOverlay();
-            this.showPurchaseError('Inventory is full!');
-            this.isPurchasing = false;
+            console.log(`[ShopScene] Purchase successful: ${item.name}`);
+            this.showPurchaseSuccess(item);
+            if (result.refunded > 0) {
+                const currency = item.currency === 'stardust' ? 'Stardust' : 'coins';
+                this.showMessage(`↩️ No room for everything: ${result.refunded} ${currency} refunded`, 0xFFD700);
+            }
+
+            // Update coin display in header
+            this.updateCoinDisplay();
 
             if (window.AudioManager) {
-                window.AudioManager.playError();
+                window.AudioManager.playPurchase();
             }
-            return;
-        }
 
-        // Simulate async purchase (adds realistic feel)
-        this.time.delayedCall(300, () => {
-            // Process purchase via EconomyManager
-            // CRITICAL FIX: EconomyManager.purchase() expects (price, itemName) - price first!
-            if (window.EconomyManager) {
-                const success = window.EconomyManager.purchase(item.price, item.name);
-
-                if (success) {
-                    // Add item to inventory
-                    if (window.InventoryManager) {
-                        const itemAdded = window.InventoryManager.addItem(item);
-
-                        if (itemAdded) {
-                            console.log(`[ShopScene] Purchase successful: ${item.name}`);
-                            this.hideLoadingOverlay();
-                            this.showPurchaseSuccess(item);
-
-                            // Update coin display in header
-                            this.updateCoinDisplay();
-
-                            if (window.AudioManager) {
-                                window.AudioManager.playPurchase();
-                            }
-
-                            this.isPurchasing = false;
-                        } else {
-                            // Refund if item couldn't be added
-                            window.EconomyManager.addCoins(item.price, 'shop_refund');
-                            this.hideLoadingOverlay();
-                            this.showPurchaseError('Failed to add item to inventory!');
-                            this.isPurchasing = false;
-                        }
-                    } else {
-                        console.warn('[ShopScene] InventoryManager not available');
-                        this.hideLoadingOverlay();
-                        this.showPurchaseError('Inventory system unavailable!');
-
-                        // Refund purchase
-                        window.EconomyManager.addCoins(item.price, 'shop_refund');
-                        this.isPurchasing = false;
-                    }
-                } else {
-                    this.hideLoadingOverlay();
-                    this.showPurchaseError('Purchase failed!');
-                    this.isPurchasing = false;
-                }
-            } else {
-                this.hideLoadingOverlay();
-                this.showPurchaseError('Shop system unavailable!');
-                this.isPurchasing = false;
-            }
+            // Refresh prices and remaining stock
+            this.initializeShopItems();
+            this.displayCategory(this.selectedCategory);
         });
     }
 
+    /**
+     * Tell the player why a purchase didn't go through
+     */
+    failPurchase(reason, item) {
+        const messages = {
+            insufficient_coins: 'Not enough cosmic coins!',
+            insufficient_stardust: 'Not enough Stardust!',
+            owned: 'Already yours!',
+            inventory_full: 'Inventory is full!',
+            sold_out: item.stock?.per === 'ever' ? 'Already collected!' : 'Sold out until tomorrow!',
+            level_locked: `Reach level ${item.minLevel} to unlock!`,
+            inventory_unavailable: 'Inventory system unavailable!'
+        };
+        this.showPurchaseError(messages[reason] || 'Purchase failed!');
+
+        if (window.AudioManager) {
+            window.AudioManager.playError();
+        }
+    }
+
     /**
      * Show loading overlay during purchase processing
      */
@@ -1370,75 +1759,10 @@ export default class ShopScene extends Phaser.Scene {
      * Initialize shop item catalog
      */
     initializeShopItems() {
-        this.shopItems = {
-            eggs: [
-                {
-                    id: 'basic_egg',
-                    name: 'Cosmic Egg',
-                    description: 'A gentle star egg waiting for a cuddle buddy',
-                    icon: '🥚',
-                    price: 100,
-                    type: 'egg',
-                    rarity: 'common'
-                },
-                {
-                    id: 'rare_egg',
-                    name: 'Stellar Egg',
-                    description: 'Radiates warm, sleepy aurora giggles',
-                    icon: '🌟',
-                    price: 500,
-                    type: 'egg',
-                    rarity: 'rare'
-                }
-            ],
-            food: [
-                {
-                    id: 'stardust_treat',
-                    name: 'Stardust Treat',
-                    description: 'Sparkly cookies that boost smiles (+20 happiness)',
-                    icon: '✨',
-                    price: 20,
-                    type: 'food',
-                    effect: { happiness: 20 }
-                },
-                {
-                    id: 'cosmic_berry',
-                    name: 'Cosmic Berry',
-                    description: 'Juicy berry snack (+30 hunger)',
-                    icon: '🫐',
-                    price: 30,
-                    type: 'food',
-                    effect: { hunger: 30 }
-                },
-                {
-                    id: 'nebula_nectar',
-                    name: 'Nebula Nectar',
-                    description: 'A soothing tea (+40 health)',
-                    icon: '🍯',
-                    price: 50,
-                    type: 'food',
-                    effect: { health: 40 }
-                }
-            ],
-            utilities: [
-                {
-                    id: 'void_crystal',
-                    name: 'Void Crystal',
-                    description: 'Sparkly keepsake for decorating cozy corners',
-                    icon: '💎',
-                    price: 150,
-                    type: 'utility'
-                },
-                {
-                    id: 'star_map',
-                    name: 'Star Map',
-                    description: 'Points to gentle new nooks to explore',
-                    icon: '🗺️',
-                    price: 200,
-                    type: 'utility'
-                }
-            ]
-        };
+        const shop = window.ShopSystem;
+        this.shopItems = shop
+            ? Object.fromEntries(shop.getCategories().map(category => [category.id, shop.getCategoryOffers(category.id)]))
+            : {};
 
         console.log('[ShopScene] Shop items initialized');
     }
@@ -1519,6 +1843,7 @@ export default class ShopScene extends Phaser.Scene {
         // Clear references
         this.graphicsEngine = null;
         this.shopItems = null;
+        this.sellSelection.clear();
         this.categoryButtons = [];
         this.itemButtons = [];
         this.catalogContainer = null;
@@ -1526,6 +1851,7 @@ export default class ShopScene extends Phaser.Scene {
         this.closeButtonZone = null;
         this.scrollZone = null;
         this.currencyText = null;
+        this.stardustText = null;
         this.loadingOverlay = null;
         this.loadingText = null;
 
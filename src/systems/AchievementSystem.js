@@ -1,192 +1,350 @@
 /**
- * AchievementSystem - Simplified achievement system for MVP
- * 8 basic achievements with simple unlocking logic
+ * AchievementSystem - Data-defined achievements with bronze/silver/gold tiers
+ * Definitions live in config/achievements.json. Each achievement has one counter:
+ *   event     counts an event (GameState by default, or `emitter`: EconomyManager,
+ *             EnemyManager, InventoryManager); `where` filters on payload fields and
+ *             `amount` names the payload field to add instead of 1
+ *   stat      highest value seen at a GameState path (`measure: "length"` for lists)
+ *   distance  distance walked, from world.currentPosition changes
+ *   playTime  total play time
+ * `unit` divides the raw counter for display (e.g. 60000 ms per minute). Each tier unlocks
+ * once its target is reached, pays its reward and emits `achievementUnlocked`.
+ * Hidden achievements show as ??? until their first tier unlocks.
+ * Counters are stored in GameState `achievementCounters`; unlocks in `unlocks.achievements`
+ * as `{ id, tier, unlockedAt }`.
  */
 
-function getGameState() {
-    if (typeof window === 'undefined' || !window.GameState) {
-        throw new Error('GameState system not ready');
-    }
-    return window.GameState;
-}
+// Jumps bigger than this (respawns, scene changes) don't count as walking
+const MAX_STEP_DISTANCE = 100;
+
+const DEFAULT_TIER_ORDER = ['bronze', 'silver', 'gold'];
+
+const matchesWhere = (where = {}, data = {}) => Object.entries(where).every(([field, expected]) =>
+    Array.isArray(expected) ? expected.includes(data[field]) : data[field] === expected
+);
 
 class AchievementSystem {
     constructor() {
         this.initialized = false;
-        this.achievements = {
-            firstSteps: {
-                id: 'firstSteps',
-                name: 'First Steps',
-                description: 'Move 100 units',
-                icon: '🚶',
-                reward: 25,
-                unlocked: false,
-                condition: (gameState) => gameState.world.currentPosition &&
-                    (Math.abs(gameState.world.currentPosition.x - 800) > 50 ||
-                     Math.abs(gameState.world.currentPosition.y - 600) > 50)
-            },
-            flowerFriend: {
-                id: 'flowerFriend',
-                name: 'Flower Friend',
-                description: 'Interact with 5 flowers',
-                icon: '🌸',
-                reward: 50,
-                unlocked: false,
-                condition: (gameState) => (gameState.world.discoveredObjects.flowers || 0) >= 5
-            },
-            levelUp: {
-                id: 'levelUp',
-                name: 'Growing Strong',
-                description: 'Reach level 2',
-                icon: '⬆️',
-                reward: 75,
-                unlocked: false,
-                condition: (gameState) => (gameState.creature.level || 1) >= 2
-            },
-            firstCare: {
-                id: 'firstCare',
-                name: 'Caring Owner',
-                description: 'Care for your creature',
-                icon: '❤️',
-                reward: 50,
-                unlocked: false,
-                condition: (gameState) => gameState.creature.care &&
-                    (gameState.creature.care.dailyCare.feedCount > 0 ||
-                     gameState.creature.care.dailyCare.playCount > 0 ||
-                     gameState.creature.care.dailyCare.restCount > 0)
-            },
-            happyCreature: {
-                id: 'happyCreature',
-                name: 'Happy Creature',
-                description: 'Keep happiness above 80',
-                icon: '😊',
-                reward: 100,
-                unlocked: false,
-                condition: (gameState) => (gameState.creature.stats.happiness || 50) >= 80
-            },
-            explorer: {
-                id: 'explorer',
-                name: 'Explorer',
-                description: 'Discover 10 different areas',
-                icon: '🗺️',
-                reward: 75,
-                unlocked: false,
-                condition: (gameState) => (gameState.world.visitedAreas || []).length >= 10
-            },
-            dedicatedPlayer: {
-                id: 'dedicatedPlayer',
-                name: 'Dedicated Player',
-                description: 'Play for 10 minutes',
-                icon: '⏰',
-                reward: 100,
-                unlocked: false,
-                condition: (gameState) => (gameState.player.playTime || 0) >= 600000 // 10 minutes
-            },
-            creatureLover: {
-                id: 'creatureLover',
-                name: 'Creature Lover',
-                description: 'Maintain a 3-day care streak',
-                icon: '💕',
-                reward: 150,
-                unlocked: false,
-                condition: (gameState) => (gameState.creature.care?.careStreak || 0) >= 3
-            }
-        };
+        this.config = { tierOrder: DEFAULT_TIER_ORDER, tiers: {}, achievements: [] };
+        this.unsubscribers = [];
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Load achievement definitions
+     * @param {object} config - Parsed config/achievements.json
+     */
+    configure(config = {}) {
+        this.config = { ...this.config, ...config };
     }
 
     /**
-     * Initialize the achievement system
+     * Subscribe every counter to the event that feeds it
      */
     initialize() {
         if (this.initialized) return;
 
-        // Load achievement progress from GameState
-        const savedAchievements = getGameState().get('achievements') || {};
-        Object.keys(this.achievements).forEach(achievementId => {
-            if (savedAchievements[achievementId]) {
-                this.achievements[achievementId].unlocked = savedAchievements[achievementId].unlocked || false;
+        const gameState = this.getGameState();
+        const definitions = this.getDefinitions();
+
+        definitions.filter(definition => definition.counter?.type === 'event').forEach(definition => {
+            const { emitter, event, where, amount } = definition.counter;
+            const handler = (data = {}) => {
+                if (!matchesWhere(where, data)) return;
+                const value = amount ? Number(data[amount]) || 0 : 1;
+                if (value > 0) this.addToCounter(definition.id, value);
+            };
+
+            if (emitter) {
+                this.listenTo(window[emitter], event, handler);
+            } else {
+                this.listenTo(gameState, event, handler);
             }
         });
 
+        // Stat and distance counters follow state writes
+        this.listenTo(gameState, 'stateChanged', (change) => this.handleStateChange(change));
+
         this.initialized = true;
-        console.log('[AchievementSystem] Initialized with', Object.keys(this.achievements).length, 'achievements');
+        console.log('[AchievementSystem] Initialized with', definitions.length, 'achievements');
+
+        this.checkAchievements();
     }
 
     /**
-     * Check all achievements and unlock any that meet conditions
+     * Subscribe to GameState (returns an unsubscriber) or a manager with on/off
      */
-    checkAchievements() {
-        let newUnlocks = [];
-
-        Object.values(this.achievements).forEach(achievement => {
-            if (!achievement.unlocked) {
-                const gameState = getGameState().get();
-                if (achievement.condition(gameState)) {
-                    achievement.unlocked = true;
-                    newUnlocks.push(achievement);
-
-                    // Save to GameState
-                    getGameState().set(`achievements.${achievement.id}`, {
-                        unlocked: true,
-                        unlockedAt: Date.now()
-                    });
-
-                    console.log(`[AchievementSystem] Unlocked: ${achievement.name}`);
-                }
+    listenTo(emitter, event, handler) {
+        if (!emitter || typeof emitter.on !== 'function') return;
+        const unsubscribe = emitter.on(event, handler);
+        this.unsubscribers.push(typeof unsubscribe === 'function' ? unsubscribe : () => emitter.off?.(event, handler));
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.initialized = false;
+    }
+
+    getDefinitions() {
+        return this.config.achievements || [];
+    }
+
+    getDefinition(id) {
+        return this.getDefinitions().find(definition => definition.id === id) || null;
+    }
+
+    getTierOrder() {
+        return this.config.tierOrder || DEFAULT_TIER_ORDER;
+    }
+
+    /**
+     * Display info for a tier name ({ name, icon, color })
+     */
+    getTierInfo(tier) {
+        return { name: tier, icon: '🏅', color: '#FFFFFF', ...(this.config.tiers?.[tier] || {}) };
+    }
+
+    handleStateChange({ path = '', oldValue, newValue } = {}) {
+        if (path.startsWith('achievementCounters') || path.startsWith('unlocks')) return;
+
+        if (path === 'world.currentPosition' && oldValue && newValue) {
+            const distance = Math.hypot((newValue.x || 0) - (oldValue.x || 0), (newValue.y || 0) - (oldValue.y || 0));
+            if (distance > 0 && distance <= MAX_STEP_DISTANCE) {
+                this.getDefinitions()
+                    .filter(definition => definition.counter?.type === 'distance')
+                    .forEach(definition => this.addToCounter(definition.id, distance));
             }
+        }
+
+        // A write to the stat itself, one of its parents (e.g. switching creature) or children
+        const related = this.getDefinitions().filter(definition => {
+            const statPath = definition.counter?.type === 'stat' ? definition.counter.path : null;
+            return statPath && (statPath === path || statPath.startsWith(`${path}.`) || path.startsWith(`${statPath}.`));
         });
+        related.forEach(definition => this.syncStat(definition));
+    }
+
+    getRawCount(id) {
+        return this.getGameState()?.get(`achievementCounters.${id}`) || 0;
+    }
+
+    /**
+     * Counter value in the achievement's display unit
+     */
+    getCount(id) {
+        const definition = this.getDefinition(id);
+        const unit = definition?.counter?.unit || 1;
+        return Math.floor(this.getRawCount(id) / unit);
+    }
+
+    addToCounter(id, amount) {
+        this.setCounter(id, this.getRawCount(id) + amount);
+    }
 
+    /**
+     * Store a counter and unlock any tiers it now reaches
+     */
+    setCounter(id, value) {
+        const gameState = this.getGameState();
+        if (!gameState) return [];
+
+        gameState.set(`achievementCounters.${id}`, value);
+        return this.checkTiers(this.getDefinition(id));
+    }
+
+    /**
+     * Stat counters keep the highest value they have seen
+     */
+    syncStat(definition) {
+        const { path, measure } = definition.counter;
+        const current = this.getGameState()?.get(path);
+        const value = measure === 'length' ? (Array.isArray(current) ? current.length : 0) : Number(current) || 0;
+        if (value > this.getRawCount(definition.id)) {
+            return this.setCounter(definition.id, value);
+        }
+        return [];
+    }
+
+    syncPlayTime(definition) {
+        const gameState = this.getGameState();
+        const saved = gameState?.get('player.playTime') || 0;
+        const sessionStart = gameState?.get('session.sessionStart');
+        const value = saved + (sessionStart ? Math.max(0, Date.now() - sessionStart) : 0);
+        if (value > this.getRawCount(definition.id)) {
+            return this.setCounter(definition.id, value);
+        }
+        return [];
+    }
+
+    getUnlocks() {
+        const unlocks = this.getGameState()?.get('unlocks.achievements');
+        return Array.isArray(unlocks) ? unlocks.filter(entry => entry && typeof entry === 'object') : [];
+    }
+
+    getUnlock(id, tier) {
+        return this.getUnlocks().find(entry => entry.id === id && entry.tier === tier) || null;
+    }
+
+    /**
+     * Unlock every tier of an achievement whose target the counter has reached
+     * @returns {Array} Newly unlocked tiers
+     */
+    checkTiers(definition) {
+        if (!definition) return [];
+
+        const count = this.getCount(definition.id);
+        const newUnlocks = [];
+        (definition.tiers || []).forEach(tier => {
+            if (count >= tier.target && !this.getUnlock(definition.id, tier.tier)) {
+                newUnlocks.push(this.unlockTier(definition, tier));
+            }
+        });
         return newUnlocks;
     }
 
+    unlockTier(definition, tier) {
+        const gameState = this.getGameState();
+        const unlockedAt = Date.now();
+        gameState.set('unlocks.achievements', [...this.getUnlocks(), { id: definition.id, tier: tier.tier, unlockedAt }]);
+
+        const coins = tier.reward?.coins || 0;
+        if (coins > 0 && window.EconomyManager?.addCoins) {
+            window.EconomyManager.addCoins(coins, 'achievement');
+        }
+        const stardust = tier.reward?.stardust || 0;
+        if (stardust > 0 && window.EconomyManager?.addStardust) {
+            window.EconomyManager.addStardust(stardust, 'achievement', { itemId: definition.id });
+        }
+
+        const unlock = {
+            id: definition.id,
+            name: definition.name,
+            icon: definition.icon,
+            tier: tier.tier,
+            tierInfo: this.getTierInfo(tier.tier),
+            target: tier.target,
+            reward: { ...(tier.reward || {}) },
+            unlockedAt
+        };
+        console.log(`[AchievementSystem] Unlocked: ${definition.name} (${tier.tier})`);
+        gameState.emit('achievementUnlocked', unlock);
+        return unlock;
+    }
+
     /**
-     * Get achievement by ID
+     * Catch up counters read from state (stats, play time) and unlock anything reached
+     * @returns {Array} Newly unlocked tiers
      */
-    getAchievement(id) {
-        return this.achievements[id];
+    checkAchievements() {
+        const newUnlocks = [];
+        this.getDefinitions().forEach(definition => {
+            const type = definition.counter?.type;
+            if (type === 'stat') {
+                newUnlocks.push(...this.syncStat(definition));
+            } else if (type === 'playTime') {
+                newUnlocks.push(...this.syncPlayTime(definition));
+            }
+            newUnlocks.push(...this.checkTiers(definition));
+        });
+        return newUnlocks;
     }
 
     /**
-     * Get all achievements
+     * Tiers, counter and progress towards the next tier for one achievement
      */
+    getProgress(id) {
+        const definition = this.getDefinition(id);
+        if (!definition) return null;
+
+        const count = this.getCount(id);
+        const order = this.getTierOrder();
+        const tiers = [...(definition.tiers || [])]
+            .sort((a, b) => order.indexOf(a.tier) - order.indexOf(b.tier))
+            .map(tier => {
+                const unlock = this.getUnlock(id, tier.tier);
+                return {
+                    ...tier,
+                    ...this.getTierInfo(tier.tier),
+                    tier: tier.tier,
+                    unlocked: !!unlock,
+                    unlockedAt: unlock?.unlockedAt ?? null
+                };
+            });
+
+        const earned = tiers.filter(tier => tier.unlocked);
+        const next = tiers.find(tier => !tier.unlocked) || null;
+        const target = (next || tiers[tiers.length - 1])?.target || 0;
+        const revealed = !definition.hidden || earned.length > 0;
+
+        return {
+            id,
+            name: revealed ? definition.name : '???',
+            description: revealed ? (definition.description || '').replace('{target}', target) : 'Hidden achievement',
+            icon: revealed ? definition.icon : '❔',
+            hidden: !!definition.hidden,
+            revealed,
+            count,
+            target,
+            fraction: target > 0 ? Math.min(1, count / target) : 0,
+            tier: earned.length > 0 ? earned[earned.length - 1].tier : null,
+            nextTier: next?.tier || null,
+            complete: !next,
+            tiers
+        };
+    }
+
     getAllAchievements() {
-        return Object.values(this.achievements);
+        return this.getDefinitions().map(definition => this.getProgress(definition.id));
     }
 
     /**
-     * Get unlocked achievements
+     * Achievements with at least one tier earned
      */
     getUnlockedAchievements() {
-        return Object.values(this.achievements).filter(a => a.unlocked);
+        return this.getAllAchievements().filter(achievement => achievement.tier !== null);
     }
 
-    /**
-     * Get locked achievements
-     */
     getLockedAchievements() {
-        return Object.values(this.achievements).filter(a => !a.unlocked);
+        return this.getAllAchievements().filter(achievement => achievement.tier === null);
+    }
+
+    getTierTotals() {
+        const total = this.getDefinitions().reduce((sum, definition) => sum + (definition.tiers || []).length, 0);
+        const ids = new Set(this.getDefinitions().map(definition => definition.id));
+        const unlocked = this.getUnlocks().filter(entry => ids.has(entry.id)).length;
+        return { unlocked, total };
     }
 
     /**
-     * Get achievement progress percentage
+     * Share of all tiers earned, 0-100
      */
     getProgressPercentage() {
-        const total = Object.keys(this.achievements).length;
-        const unlocked = this.getUnlockedAchievements().length;
-        return Math.round((unlocked / total) * 100);
+        const { unlocked, total } = this.getTierTotals();
+        return total > 0 ? Math.round((unlocked / total) * 100) : 0;
     }
 
     /**
      * Reset all achievements (for testing)
      */
     resetAchievements() {
-        Object.values(this.achievements).forEach(achievement => {
-            achievement.unlocked = false;
-        });
-        getGameState().set('achievements', {});
+        const gameState = this.getGameState();
+        gameState?.set('achievementCounters', {});
+        gameState?.set('unlocks.achievements', []);
         console.log('[AchievementSystem] All achievements reset');
     }
 }
 
-// Export for use in other modules
-window.AchievementSystem = new AchievementSystem();
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.AchievementSystem = window.AchievementSystem || new AchievementSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AchievementSystem;
+}
@@ -69,6 +69,29 @@ class BreedingEngine {
         };
 
         this.totalVariations = this.calculateTotalVariations();
+
+        // Offspring rarity: mostly the parents' tiers, with a small chance to climb one tier
+        this.rarityOrder = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+        this.rarityInheritance = {
+            lowerParent: 0.5,
+            higherParent: 0.4,
+            tierUp: 0.1
+        };
+    }
+
+    /**
+     * Next roll from the RandomService 'genetics' stream, so breeding replays from the master seed
+     */
+    random() {
+        const randomService = typeof window !== 'undefined' ? window.RandomService : null;
+        return randomService ? randomService.stream('genetics').next() : Math.random();
+    }
+
+    /**
+     * Random entry of a list
+     */
+    pick(values) {
+        return values[Math.floor(this.random() * values.length)];
     }
 
     /**
@@ -91,8 +114,8 @@ class BreedingEngine {
         Object.keys(this.traitDefinitions).forEach(traitKey => {
             const variations = Object.keys(this.traitDefinitions[traitKey].variations);
             // Each trait has two alleles (one from each parent)
-            const allele1 = variations[Math.floor(Math.random() * variations.length)];
-            const allele2 = variations[Math.floor(Math.random() * variations.length)];
+            const allele1 = this.pick(variations);
+            const allele2 = this.pick(variations);
             genes[traitKey] = [allele1, allele2];
         });
 
@@ -108,16 +131,16 @@ class BreedingEngine {
         Object.keys(this.traitDefinitions).forEach(traitKey => {
             const variations = Object.keys(this.traitDefinitions[traitKey].variations);
             // For initial creature, give it some dominant traits for better appearance
-            const allele1 = variations[Math.floor(Math.random() * variations.length)];
-            let allele2 = variations[Math.floor(Math.random() * variations.length)];
+            const allele1 = this.pick(variations);
+            let allele2 = this.pick(variations);
 
             // 70% chance to have at least one dominant trait for each trait type
             const traitDef = this.traitDefinitions[traitKey];
             const dominantVariations = variations.filter(v => traitDef.variations[v].dominant);
 
-            if (dominantVariations.length > 0 && Math.random() < 0.7) {
+            if (dominantVariations.length > 0 && this.random() < 0.7) {
                 if (!traitDef.variations[allele1].dominant && !traitDef.variations[allele2].dominant) {
-                    allele2 = dominantVariations[Math.floor(Math.random() * dominantVariations.length)];
+                    allele2 = this.pick(dominantVariations);
                 }
             }
 
@@ -169,8 +192,8 @@ class BreedingEngine {
             const parent2Alleles = [...parent2Genes[traitKey]];
 
             // Each parent contributes one allele randomly
-            const alleleFromParent1 = parent1Alleles[Math.floor(Math.random() * parent1Alleles.length)];
-            const alleleFromParent2 = parent2Alleles[Math.floor(Math.random() * parent2Alleles.length)];
+            const alleleFromParent1 = this.pick(parent1Alleles);
+            const alleleFromParent2 = this.pick(parent2Alleles);
 
             offspringGenes[traitKey] = [alleleFromParent1, alleleFromParent2].sort();
         });
@@ -178,6 +201,79 @@ class BreedingEngine {
         return offspringGenes;
     }
 
+    /**
+     * Punnett-square odds for each expressed trait of an offspring
+     * @returns {Object} traitKey → [{ variation, name, chance }] sorted by chance
+     */
+    predictOffspring(parent1Genes, parent2Genes) {
+        const predictions = {};
+
+        Object.keys(this.traitDefinitions).forEach(traitKey => {
+            const traitDef = this.traitDefinitions[traitKey];
+            const counts = {};
+            let combinations = 0;
+
+            parent1Genes[traitKey].forEach(allele1 => {
+                parent2Genes[traitKey].forEach(allele2 => {
+                    const pair = [allele1, allele2].sort();
+                    const expressed = this.getPhenotype({ [traitKey]: pair })[traitKey];
+                    counts[expressed] = (counts[expressed] || 0) + 1;
+                    combinations++;
+                });
+            });
+
+            predictions[traitKey] = Object.entries(counts)
+                .map(([variation, count]) => ({
+                    variation,
+                    name: traitDef.variations[variation].name,
+                    chance: count / combinations
+                }))
+                .sort((a, b) => b.chance - a.chance);
+        });
+
+        return predictions;
+    }
+
+    /**
+     * Odds for the offspring egg's rarity
+     * @returns {Array<{rarity: string, chance: number}>}
+     */
+    getOffspringRarityOdds(rarity1 = 'common', rarity2 = 'common') {
+        const tier1 = Math.max(0, this.rarityOrder.indexOf(rarity1));
+        const tier2 = Math.max(0, this.rarityOrder.indexOf(rarity2));
+        const lower = Math.min(tier1, tier2);
+        const higher = Math.max(tier1, tier2);
+        const tierUp = Math.min(higher + 1, this.rarityOrder.length - 1);
+
+        const odds = {};
+        const addChance = (tier, chance) => {
+            const rarity = this.rarityOrder[tier];
+            odds[rarity] = (odds[rarity] || 0) + chance;
+        };
+        addChance(lower, this.rarityInheritance.lowerParent);
+        addChance(higher, this.rarityInheritance.higherParent);
+        addChance(tierUp, this.rarityInheritance.tierUp);
+
+        return this.rarityOrder
+            .filter(rarity => odds[rarity])
+            .map(rarity => ({ rarity, chance: Math.round(odds[rarity] * 100) / 100 }));
+    }
+
+    /**
+     * Roll the offspring egg's rarity from getOffspringRarityOdds()
+     * @param {function} random - Roll source; defaults to the 'genetics' stream
+     */
+    rollOffspringRarity(rarity1, rarity2, random = () => this.random()) {
+        const roll = random();
+        let cumulative = 0;
+
+        for (const { rarity, chance } of this.getOffspringRarityOdds(rarity1, rarity2)) {
+            cumulative += chance;
+            if (roll < cumulative) return rarity;
+        }
+        return rarity1 || 'common';
+    }
+
     /**
      * Get visual trait data for rendering
      */
@@ -317,4 +413,10 @@ class BreedingEngine {
 }
 
 // Export for use in other modules
-window.BreedingEngine = new BreedingEngine();
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.BreedingEngine = window.BreedingEngine || new BreedingEngine();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BreedingEngine;
+}
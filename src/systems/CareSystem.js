@@ -1,6 +1,11 @@
 /**
  * CareSystem - High-level interface for creature care mechanics
  * Handles care actions, daily bonuses, and care status management
+ *
+ * Care actions are data: src/config/care-actions.json is loaded through configure() and each
+ * entry declares its need effects (NeedsSystem), daily limit, cooldown, personality nudges
+ * (PersonalitySystem), sound, FX, creature response trigger and Kid Mode button. CarePanelManager
+ * and the Kid Mode buttons list whatever is registered, so a new action only needs a config entry.
  */
 
 function getGameState() {
@@ -13,34 +18,50 @@ function getGameState() {
 class CareSystem {
     constructor() {
         this.initialized = false;
-        this.careActions = {
-            feed: {
-                name: 'Feed',
-                description: 'Give your creature food to increase happiness',
-                happinessBonus: 15,
-                dailyLimit: 3,
-                icon: '🍎',
-                cooldown: 0 // No cooldown between individual actions
-            },
-            play: {
-                name: 'Play',
-                description: 'Play with your creature to make it happy',
-                happinessBonus: 10,
-                dailyLimit: 2,
-                icon: '🎾',
-                cooldown: 0
-            },
-            rest: {
-                name: 'Rest',
-                description: 'Let your creature rest and recover',
-                happinessBonus: 5,
-                dailyLimit: -1, // Unlimited
-                icon: '😴',
-                cooldown: 30000 // 30 second cooldown between rests
+        this.careActions = {};
+
+        // Alternate ids (e.g. Kid Mode's 'clean') → registered action id
+        this.actionAliases = {};
+
+        // Cooldowns per roster creature and action
+        this.lastActionTimes = {};
+    }
+
+    /**
+     * Register care actions from config (care-actions.json)
+     * @param {object} config - { actions: { [id]: definition } }
+     * @returns {object} The registered care actions
+     */
+    configure(config = {}) {
+        const actions = {};
+        const aliases = {};
+
+        Object.entries(config.actions || {}).forEach(([id, definition]) => {
+            if (!definition || typeof definition !== 'object') {
+                console.warn(`[CareSystem] Skipping invalid care action "${id}"`);
+                return;
             }
-        };
 
-        this.lastRestTime = 0;
+            actions[id] = {
+                ...definition,
+                id,
+                name: definition.name || id,
+                icon: definition.icon || '✨',
+                happinessBonus: definition.happinessBonus || 0,
+                dailyLimit: typeof definition.dailyLimit === 'number' ? definition.dailyLimit : -1, // -1 = unlimited
+                cooldown: definition.cooldown || 0,
+                needs: definition.needs || {}, // NeedsSystem deltas (happiness comes from happinessBonus)
+                personality: definition.personality || null
+            };
+            (definition.aliases || []).forEach(alias => {
+                aliases[alias] = id;
+            });
+        });
+
+        this.careActions = actions;
+        this.actionAliases = aliases;
+        console.log(`[CareSystem] Registered care actions: ${Object.keys(actions).join(', ')}`);
+        return this.careActions;
     }
 
     /**
@@ -51,6 +72,10 @@ class CareSystem {
 
         console.log('[CareSystem] Initializing care system...');
 
+        if (Object.keys(this.careActions).length === 0) {
+            console.warn('[CareSystem] No care actions registered - was configure() called?');
+        }
+
         // Set up event listeners for GameState
         getGameState().on('careActionPerformed', (data) => {
             this.onCareActionPerformed(data);
@@ -60,6 +85,46 @@ class CareSystem {
         console.log('[CareSystem] Care system initialized');
     }
 
+    /**
+     * Registered action id for an id or alias, or null
+     */
+    resolveActionType(actionType) {
+        if (this.careActions[actionType]) return actionType;
+        return this.actionAliases[actionType] || null;
+    }
+
+    /**
+     * Care action definition for an id or alias
+     */
+    getCareAction(actionType) {
+        return this.careActions[this.resolveActionType(actionType)] || null;
+    }
+
+    /**
+     * Kid Mode button data for every action with a `kid` entry
+     * @returns {Array<object>} { action, icon, text, message, color, emotion, needs }
+     */
+    getKidModeActions() {
+        return Object.values(this.careActions)
+            .filter(action => action.kid)
+            .map(action => ({
+                action: action.id,
+                icon: action.icon,
+                text: action.kid.text || action.name.toUpperCase(),
+                message: action.kid.message || action.description || '',
+                color: action.kid.color,
+                emotion: action.kid.emotion || null,
+                needs: action.needs
+            }));
+    }
+
+    /**
+     * Key for per-creature bookkeeping (the active roster creature)
+     */
+    getActiveCreatureKey() {
+        return getGameState().get('creature.id') || 'active-creature';
+    }
+
     /**
      * Get current care status
      */
@@ -67,30 +132,42 @@ class CareSystem {
         return getGameState().getCareStatus();
     }
 
+    /**
+     * Key for an action's cooldown on the active creature
+     */
+    getCooldownKey(actionType) {
+        return `${this.getActiveCreatureKey()}:${actionType}`;
+    }
+
+    /**
+     * Milliseconds until an action's cooldown ends (0 when ready)
+     */
+    getCooldownRemaining(actionType, now = Date.now()) {
+        const action = this.getCareAction(actionType);
+        if (!action?.cooldown) return 0;
+
+        const lastTime = this.lastActionTimes[this.getCooldownKey(action.id)] || 0;
+        return Math.max(0, action.cooldown - (now - lastTime));
+    }
+
     /**
      * Check if a care action can be performed
      */
     canPerformAction(actionType) {
-        if (!this.careActions[actionType]) return false;
+        const action = this.getCareAction(actionType);
+        if (!action) return false;
 
         const status = this.getCareStatus();
         if (!status) return false;
 
-        const action = this.careActions[actionType];
-
         // Check daily limit
         if (action.dailyLimit > 0) {
-            const count = status.dailyCare[`${actionType}Count`];
+            const count = status.dailyCare[`${action.id}Count`] || 0;
             if (count >= action.dailyLimit) return false;
         }
 
-        // Check cooldown for rest
-        if (actionType === 'rest') {
-            const now = Date.now();
-            if (now - this.lastRestTime < action.cooldown) return false;
-        }
-
-        return true;
+        // Check cooldown
+        return this.getCooldownRemaining(action.id) === 0;
     }
 
     /**
@@ -101,18 +178,25 @@ class CareSystem {
             return { success: false, reason: 'Action not available' };
         }
 
+        const action = this.getCareAction(actionType);
+        actionType = action.id;
+
         // Calculate personality-based bonus
         const personalityBonus = this.calculatePersonalityBonus(actionType, genetics);
-        const baseBonusHappiness = this.careActions[actionType].happinessBonus;
+        const baseBonusHappiness = action.happinessBonus;
         const totalHappinessBonus = Math.round(baseBonusHappiness * personalityBonus.multiplier);
 
-        const success = getGameState().performCareAction(actionType, totalHappinessBonus);
+        const success = getGameState().performCareAction(actionType, totalHappinessBonus, action);
 
         if (success) {
-            if (actionType === 'rest') {
-                this.lastRestTime = Date.now();
+            if (action.cooldown > 0) {
+                this.lastActionTimes[this.getCooldownKey(actionType)] = Date.now();
             }
 
+            const needsChanged = window.NeedsSystem
+                ? window.NeedsSystem.applyEffects(action.needs, `care:${actionType}`)
+                : {};
+
             console.log(`care:debug [CareSystem] ${actionType} performed with personality bonus:`, {
                 baseBonus: baseBonusHappiness,
                 personalityMultiplier: personalityBonus.multiplier.toFixed(2),
@@ -124,6 +208,7 @@ class CareSystem {
                 success: true,
                 action: actionType,
                 happinessBonus: totalHappinessBonus,
+                needsChanged,
                 personalityBonus: personalityBonus,
                 message: this.getPersonalizedCareMessage(actionType, genetics, personalityBonus)
             };
@@ -142,7 +227,9 @@ class CareSystem {
 
         const personality = genetics.personality;
         const carePreferences = personality.carePreferences || {};
-        const preference = carePreferences[actionType] || 1.0;
+        // Older genetics may list an action under an alias (e.g. 'clean' for bathe)
+        const preferenceKeys = [actionType, ...(this.careActions[actionType]?.aliases || [])];
+        const preference = preferenceKeys.map(key => carePreferences[key]).find(value => typeof value === 'number') || 1.0;
 
         // Base multiplier from care preferences (0.6x to 1.3x)
         let multiplier = preference;
@@ -155,7 +242,7 @@ class CareSystem {
             bonusReasons.push('playful nature');
         }
 
-        if (personality.core === 'gentle' && (actionType === 'pet' || actionType === 'clean')) {
+        if (personality.core === 'gentle' && (actionType === 'pet' || actionType === 'bathe')) {
             multiplier += 0.15;
             bonusReasons.push('gentle soul');
         }
@@ -195,7 +282,7 @@ class CareSystem {
                 bonusReasons.push('nebula dance affinity');
             }
 
-            if (element === 'crystal' && actionType === 'clean') {
+            if (element === 'crystal' && actionType === 'bathe') {
                 multiplier += 0.1 * powerLevel;
                 bonusReasons.push('crystal resonance cleansing');
             }
@@ -258,7 +345,7 @@ class CareSystem {
                 medium: `Your ${species} rests comfortably, their ${personality} energy recharging.`,
                 low: `Your ${species} rests, though they seem restless and might prefer activity.`
             },
-            clean: {
+            bathe: {
                 high: `Your ${species} absolutely loves the cosmic cleansing! Their ${personality} nature appreciates the purity.`,
                 medium: `Your ${species} enjoys the refreshing cleaning session.`,
                 low: `Your ${species} endures the cleaning, though they don't seem particularly enthusiastic.`
@@ -303,12 +390,12 @@ class CareSystem {
      * Get care action information for UI
      */
     getCareActionInfo(actionType) {
-        const action = this.careActions[actionType];
+        const action = this.getCareAction(actionType);
         const status = this.getCareStatus();
 
         if (!action || !status) return null;
 
-        const count = status.dailyCare[`${actionType}Count`];
+        const count = status.dailyCare[`${action.id}Count`] || 0;
         const limit = action.dailyLimit;
         const canPerform = this.canPerformAction(actionType);
 
@@ -318,6 +405,7 @@ class CareSystem {
             limit: limit,
             remaining: limit > 0 ? Math.max(0, limit - count) : 'unlimited',
             canPerform: canPerform,
+            cooldownRemaining: this.getCooldownRemaining(action.id),
             isUnlimited: limit === -1
         };
     }
@@ -472,15 +560,20 @@ class CareSystem {
      * Reset daily care counters (for testing or admin purposes)
      */
     resetDailyCounters() {
-        getGameState().set('creature.care.dailyCare', {
-            feedCount: 0,
-            playCount: 0,
-            restCount: 0,
-            lastReset: Date.now()
+        const dailyCare = { feedCount: 0, playCount: 0, restCount: 0 };
+        Object.keys(this.careActions).forEach(actionType => {
+            dailyCare[`${actionType}Count`] = 0;
         });
+        getGameState().set('creature.care.dailyCare', { ...dailyCare, lastReset: Date.now() });
         console.log('[CareSystem] Daily care counters reset');
     }
 }
 
 // Export for use in other modules
-window.CareSystem = new CareSystem();
+if (typeof window !== 'undefined') {
+    window.CareSystem = window.CareSystem || new CareSystem();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CareSystem;
+}
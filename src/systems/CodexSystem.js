@@ -0,0 +1,329 @@
+/**
+ * CodexSystem - Tracks which species, body/head forms and rarities the player has hatched
+ * Fills GameState `codex` (discovered/total/byRarity + per-entry first-hatch dates)
+ * and pays completion milestones through EconomyManager
+ */
+
+const CODEX_RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+// Fallback trait lists when CreatureDNA hasn't loaded (keeps the catalog size stable)
+const DEFAULT_BODY_ARCHETYPES = ['blob', 'quadruped', 'biped', 'serpentine', 'winged'];
+const DEFAULT_HEAD_ARCHETYPES = ['feline', 'canine', 'avian', 'reptile', 'aquatic', 'simian', 'insectoid', 'rodent', 'cervine'];
+const PREVIEW_AURAS = ['cosmic', 'tidal', 'ember', 'forest', 'storm', 'shadow-soft'];
+
+// Completion milestones: percent of the catalog discovered → coin reward
+const CODEX_MILESTONES = [
+    { percent: 10, reward: 50 },
+    { percent: 25, reward: 150 },
+    { percent: 50, reward: 300 },
+    { percent: 75, reward: 600 },
+    { percent: 100, reward: 1500 }
+];
+
+const formatLabel = (value) => String(value)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[-_]/g, ' ')
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+
+class CodexSystem {
+    constructor() {
+        this.initialized = false;
+        this.milestones = CODEX_MILESTONES;
+        this.unsubscribers = [];
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Start listening for new creatures so discoveries are recorded as they hatch
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const gameState = this.getGameState();
+        if (gameState && typeof gameState.on === 'function') {
+            const refresh = () => this.refresh();
+            ['creatureAdded', 'activeCreatureChanged', 'changed:creature.genetics', 'changed:creature.dna', 'changed:creature.rarity']
+                .forEach(event => {
+                    const unsubscribe = gameState.on(event, refresh);
+                    if (typeof unsubscribe === 'function') {
+                        this.unsubscribers.push(unsubscribe);
+                    }
+                });
+        }
+
+        this.initialized = true;
+        this.refresh();
+        console.log('✅ CodexSystem initialized');
+    }
+
+    /**
+     * Every codex entry, grouped by category
+     * @returns {Array<object>} { key, category, id, label, previewDna }
+     */
+    getCatalog() {
+        const genetics = typeof window !== 'undefined' ? window.CreatureGenetics : null;
+        const dnaTraits = typeof window !== 'undefined' ? window.CreatureDNA?.traits : null;
+        const species = Object.keys(genetics?.speciesTemplates || {});
+        const bodies = dnaTraits?.bodyArchetype?.values || DEFAULT_BODY_ARCHETYPES;
+        const heads = dnaTraits?.headArchetype?.values || DEFAULT_HEAD_ARCHETYPES;
+
+        const catalog = [];
+
+        species.forEach((id, index) => {
+            catalog.push({
+                key: `species:${id}`,
+                category: 'species',
+                id,
+                label: formatLabel(id),
+                previewDna: this.buildPreviewDna(`species-${id}`, {
+                    bodyArchetype: bodies[index % bodies.length],
+                    headArchetype: heads[index % heads.length],
+                    elementalAura: PREVIEW_AURAS[index % PREVIEW_AURAS.length]
+                })
+            });
+        });
+
+        bodies.forEach(body => {
+            heads.forEach(head => {
+                catalog.push({
+                    key: `form:${body}-${head}`,
+                    category: 'form',
+                    id: `${body}-${head}`,
+                    label: `${formatLabel(body)} · ${formatLabel(head)}`,
+                    previewDna: this.buildPreviewDna(`form-${body}-${head}`, { bodyArchetype: body, headArchetype: head })
+                });
+            });
+        });
+
+        CODEX_RARITIES.forEach((rarity, index) => {
+            catalog.push({
+                key: `rarity:${rarity}`,
+                category: 'rarity',
+                id: rarity,
+                label: formatLabel(rarity),
+                previewDna: this.buildPreviewDna(`rarity-${rarity}`, {
+                    bodyArchetype: bodies[index % bodies.length],
+                    raritySignature: rarity
+                })
+            });
+        });
+
+        return catalog;
+    }
+
+    buildPreviewDna(id, traits = {}) {
+        return {
+            id: `codex-${id}`,
+            bodyArchetype: 'blob',
+            headArchetype: 'feline',
+            hybridTag: 'single-species',
+            elementalAura: 'cosmic',
+            raritySignature: 'common',
+            ...traits
+        };
+    }
+
+    /**
+     * Codex keys a creature record counts towards
+     */
+    getEntryKeys(creature) {
+        if (!creature) return [];
+
+        const keys = [];
+        const species = creature.genetics?.species || creature.species;
+        if (species) {
+            keys.push(`species:${species}`);
+        }
+
+        const dna = creature.dna;
+        if (dna?.bodyArchetype && dna?.headArchetype) {
+            keys.push(`form:${dna.bodyArchetype}-${dna.headArchetype}`);
+        }
+
+        const rarity = creature.rarity || creature.genetics?.rarity || dna?.raritySignature;
+        if (CODEX_RARITIES.includes(rarity)) {
+            keys.push(`rarity:${rarity}`);
+        }
+
+        return keys;
+    }
+
+    getRosterCreatures() {
+        const gameState = this.getGameState();
+        if (!gameState?.getRoster) return [];
+
+        return gameState.getRoster()
+            .map(entry => gameState.getRosterCreature(entry.id))
+            // Visiting creatures (share codes) are never discoveries
+            .filter(creature => creature && !creature.visiting);
+    }
+
+    /**
+     * Record discoveries from the roster, update the counters and pay any new milestones
+     * @returns {{ discovered: Array<string>, milestones: Array<object> }}
+     */
+    refresh() {
+        const gameState = this.getGameState();
+        if (!gameState?.get) return { discovered: [], milestones: [] };
+
+        const catalog = this.getCatalog();
+        const catalogKeys = new Set(catalog.map(entry => entry.key));
+        const entries = { ...(gameState.get('codex.entries') || {}) };
+        const byRarity = Object.fromEntries(CODEX_RARITIES.map(rarity => [rarity, 0]));
+        const discovered = [];
+
+        this.getRosterCreatures().forEach(creature => {
+            const keys = this.getEntryKeys(creature);
+
+            keys.forEach(key => {
+                if (!catalogKeys.has(key) || entries[key]) return;
+                entries[key] = {
+                    firstHatchedAt: creature.hatchTime || Date.now(),
+                    firstCreatureName: creature.name || null,
+                    sampleDna: creature.dna ? this.compactDna(creature.dna) : null
+                };
+                discovered.push(key);
+            });
+
+            const rarityKey = keys.find(key => key.startsWith('rarity:'));
+            if (rarityKey) {
+                byRarity[rarityKey.slice('rarity:'.length)]++;
+            }
+        });
+
+        const discoveredCount = catalog.filter(entry => entries[entry.key]).length;
+
+        if (discovered.length > 0) {
+            gameState.set('codex.entries', entries);
+        }
+        if (gameState.get('codex.discovered') !== discoveredCount) {
+            gameState.set('codex.discovered', discoveredCount);
+        }
+        if (gameState.get('codex.total') !== catalog.length) {
+            gameState.set('codex.total', catalog.length);
+        }
+        gameState.set('codex.byRarity', byRarity);
+
+        if (discovered.length > 0) {
+            gameState.emit('codexDiscovered', { keys: discovered, discovered: discoveredCount, total: catalog.length });
+            console.log(`[CodexSystem] Discovered ${discovered.join(', ')} (${discoveredCount}/${catalog.length})`);
+        }
+
+        return { discovered, milestones: this.claimMilestones() };
+    }
+
+    compactDna(dna) {
+        const { id, bodyArchetype, headArchetype, hybridTag, elementalAura, raritySignature } = dna;
+        return { id, bodyArchetype, headArchetype, hybridTag, elementalAura, raritySignature };
+    }
+
+    /**
+     * Catalog entries merged with discovery info, for the Codex scene
+     * @param {string} [category] - 'species', 'form' or 'rarity'
+     */
+    getEntries(category = null) {
+        const gameState = this.getGameState();
+        const entries = gameState?.get('codex.entries') || {};
+        const owned = {};
+
+        this.getRosterCreatures().forEach(creature => {
+            this.getEntryKeys(creature).forEach(key => {
+                owned[key] = (owned[key] || 0) + 1;
+            });
+        });
+
+        return this.getCatalog()
+            .filter(entry => !category || entry.category === category)
+            .map(entry => {
+                const record = entries[entry.key];
+                return {
+                    ...entry,
+                    discovered: !!record,
+                    firstHatchedAt: record?.firstHatchedAt || null,
+                    firstCreatureName: record?.firstCreatureName || null,
+                    ownedCount: owned[entry.key] || 0,
+                    previewDna: record?.sampleDna && entry.category !== 'form'
+                        ? { ...record.sampleDna, id: `${entry.previewDna.id}-${record.sampleDna.id}` }
+                        : entry.previewDna
+                };
+            });
+    }
+
+    getProgress() {
+        const gameState = this.getGameState();
+        const total = this.getCatalog().length;
+        const discovered = gameState?.get('codex.discovered') || 0;
+
+        return {
+            discovered,
+            total,
+            percent: total > 0 ? Math.floor((discovered / total) * 100) : 0
+        };
+    }
+
+    /**
+     * Milestones with their claimed/reached state
+     */
+    getMilestones() {
+        const claimed = this.getGameState()?.get('codex.milestonesClaimed') || [];
+        const { percent } = this.getProgress();
+
+        return this.milestones.map(milestone => ({
+            ...milestone,
+            reached: percent >= milestone.percent,
+            claimed: claimed.includes(milestone.percent)
+        }));
+    }
+
+    /**
+     * Pay every reached milestone that hasn't been paid yet
+     * @returns {Array<object>} Milestones paid out
+     */
+    claimMilestones() {
+        const gameState = this.getGameState();
+        const economy = typeof window !== 'undefined' ? window.EconomyManager : null;
+        if (!gameState || !economy?.addCoins) return [];
+
+        const claimed = [...(gameState.get('codex.milestonesClaimed') || [])];
+        const paid = [];
+
+        this.getMilestones()
+            .filter(milestone => milestone.reached && !milestone.claimed)
+            .forEach(milestone => {
+                // addCoins returns undefined when the economy can't pay (e.g. not initialized)
+                if (economy.addCoins(milestone.reward, 'codex_milestone') === undefined) return;
+
+                claimed.push(milestone.percent);
+                paid.push({ percent: milestone.percent, reward: milestone.reward });
+            });
+
+        if (paid.length > 0) {
+            gameState.set('codex.milestonesClaimed', claimed);
+            paid.forEach(milestone => gameState.emit('codexMilestoneReached', milestone));
+        }
+
+        return paid;
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.initialized = false;
+    }
+}
+
+CodexSystem.MILESTONES = CODEX_MILESTONES;
+CodexSystem.RARITIES = CODEX_RARITIES;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.CodexSystem = window.CodexSystem || new CodexSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodexSystem;
+}
@@ -523,11 +523,13 @@ class CreatureAIController {
     /**
      * Quick response helper for care actions
      * Simplified interface for common use case
+     * @param {string} actionType - Response trigger (care actions name theirs in care-actions.json)
+     * @param {string|null} emotion - Emotion to answer with (defaults to the current one)
      */
-    async respondToCareAction(actionType) {
+    async respondToCareAction(actionType, emotion = null) {
         const dna = window.GameState?.get('creature.dna');
         const personalityState = window.GameState?.get('creature.personalityState');
-        const emotion = this.getCurrentEmotion();
+        emotion = emotion || this.getCurrentEmotion();
 
         return await this.generateResponse({
             dna,
@@ -172,6 +172,7 @@ const RARITY_MODIFIERS = Object.freeze({
 class CreatureDNA {
     constructor() {
         this.initialized = false;
+        this.rng = null; // Seeded generator while a DNA profile is being generated
         this.traits = DNA_TRAITS;
         this.rarityModifiers = RARITY_MODIFIERS;
     }
@@ -201,7 +202,7 @@ class CreatureDNA {
      * @param {Object} options - Generation options
      * @param {string} options.forcedRarity - Force a specific rarity (optional)
      * @param {string} options.seed - Random seed for deterministic generation (optional)
-     * @returns {Object} Complete DNA profile
+     * @returns {Object} Complete DNA profile (the seed is kept as `dna.seed`)
      */
     generateDNA(options = {}) {
         if (!this.initialized) {
@@ -209,6 +210,32 @@ class CreatureDNA {
             this.initialize();
         }
 
+        const randomService = window.RandomService;
+        const seed = options.seed ?? randomService?.createSeed('genetics') ?? null;
+        const previousRng = this.rng;
+        if (seed !== null && randomService) {
+            this.rng = randomService.createGenerator(`dna:${seed}`);
+        }
+
+        try {
+            return this.buildDNA(options, seed);
+        } finally {
+            this.rng = previousRng;
+        }
+    }
+
+    /**
+     * Next random number for DNA rolls (the seeded generator, else the genetics stream)
+     */
+    random() {
+        if (this.rng) return this.rng.next();
+        return window.RandomService ? window.RandomService.stream('genetics').next() : Math.random();
+    }
+
+    /**
+     * Roll every DNA trait (see generateDNA)
+     */
+    buildDNA(options, seed) {
         // Step 1: Roll rarity first (unless forced)
         const rarity = options.forcedRarity || this.rollTrait('raritySignature');
         const rarityMods = this.rarityModifiers[rarity];
@@ -233,7 +260,8 @@ class CreatureDNA {
         // Step 6: Assemble complete DNA object
         const dna = {
             // Metadata
-            id: this.generateDNAId(),
+            id: this.generateDNAId(seed),
+            seed,
             generatedAt: Date.now(),
             version: '1.0',
 
@@ -288,7 +316,7 @@ class CreatureDNA {
             return null;
         }
 
-        const roll = Math.random();
+        const roll = this.random();
         let cumulative = 0;
 
         for (const [value, weight] of Object.entries(trait.weights)) {
@@ -315,7 +343,7 @@ class CreatureDNA {
         }
 
         // Check for glitchy chance first
-        if (Math.random() < rarityMods.glitchyChance) {
+        if (this.random() < rarityMods.glitchyChance) {
             return 'glitchy';
         }
 
@@ -334,7 +362,7 @@ class CreatureDNA {
         }
 
         // Roll with modified weights
-        const roll = Math.random();
+        const roll = this.random();
         let cumulative = 0;
 
         for (const [value, weight] of Object.entries(baseWeights)) {
@@ -349,11 +377,16 @@ class CreatureDNA {
 
     /**
      * Generate a unique DNA ID
+     * @param {string|null} seed - Generation seed, if any
      * @returns {string} Unique identifier
      */
-    generateDNAId() {
+    generateDNAId(seed = null) {
+        // Seeded DNA keeps its seed in the id so the profile can be regenerated from it
+        if (seed !== null) {
+            return `dna_${seed}`;
+        }
         const timestamp = Date.now().toString(36);
-        const random = Math.random().toString(36).substring(2, 9);
+        const random = this.random().toString(36).substring(2, 9);
         return `dna_${timestamp}_${random}`;
     }
 
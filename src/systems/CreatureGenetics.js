@@ -37,6 +37,7 @@ class CreatureGenetics {
     constructor() {
         this.initialized = false;
         this.config = null;
+        this.rng = null; // Seeded generator while a creature is being generated
         
         // Space-Mythic species templates
         this.speciesTemplates = {
@@ -194,24 +195,58 @@ class CreatureGenetics {
         };
     }
 
+    /**
+     * Next random number for genetics rolls
+     * Uses the generator of the creature being generated, else the shared genetics stream
+     */
+    random() {
+        if (this.rng) return this.rng.next();
+
+        const randomService = typeof window !== 'undefined' ? window.RandomService : null;
+        return randomService ? randomService.stream('genetics').next() : Math.random();
+    }
+
     /**
      * Generate a complete genetic profile for a new creature
-     * @param {string|null} seed - Optional seed for deterministic generation
+     * Every roll comes from one generator seeded with `seed`, so the same seed (and
+     * rarity) regenerates the same creature. The seed is stored as `genetics.seed`.
+     * @param {string|number|null} rarityOrSeed - Rarity tier, or a seed for deterministic generation
+     * @param {Object} options - { seed } when a rarity is also given
      * @returns {Object} Complete genetic profile
      */
-    generateCreatureGenetics(rarityOrSeed = null) {
+    generateCreatureGenetics(rarityOrSeed = null, { seed: seedOption = null } = {}) {
         // Check if first parameter is a rarity tier (string) or a seed (number/other)
         let rarity = null;
-        let seed = null;
+        let seed = seedOption;
 
         if (typeof rarityOrSeed === 'string' && ['common', 'uncommon', 'rare', 'epic', 'legendary'].includes(rarityOrSeed)) {
             rarity = rarityOrSeed; // Use provided rarity
             console.log(`genetics:info [CreatureGenetics] Using provided rarity: ${rarity}`);
         } else if (rarityOrSeed !== null) {
             seed = rarityOrSeed; // Use as seed
-            Math.seedrandom(seed); // Would need seedrandom library, fallback to Math.random
         }
 
+        const randomService = typeof window !== 'undefined' ? window.RandomService : null;
+        if (seed === null && randomService) {
+            seed = randomService.createSeed('genetics');
+        }
+
+        const previousRng = this.rng;
+        if (seed !== null && randomService) {
+            this.rng = randomService.createGenerator(`genetics:${seed}`);
+        }
+
+        try {
+            return this.buildGenetics(rarity, seed);
+        } finally {
+            this.rng = previousRng;
+        }
+    }
+
+    /**
+     * Roll every part of a genetic profile (see generateCreatureGenetics)
+     */
+    buildGenetics(rarity, seed) {
         const startTime = Date.now();
 
         // 1. Determine species
@@ -233,10 +268,11 @@ class CreatureGenetics {
         const cosmicAffinity = this.generateCosmicAffinity(template, rarity);
         
         // 6. Create unique identifier
-        const geneticId = this.generateGeneticId(species, visualTraits, personality);
+        const geneticId = this.generateGeneticId(species, visualTraits, personality, seed);
         
         const genetics = {
             id: geneticId,
+            seed,
             species: species,
             rarity: rarity,
             generatedAt: Date.now(),
@@ -244,19 +280,19 @@ class CreatureGenetics {
                 // Visual DNA
                 bodyShape: {
                     type: this.selectBodyShape(template),
-                    intensity: 0.3 + Math.random() * 0.4 // 0.3-0.7 range
+                    intensity: 0.3 + this.random() * 0.4 // 0.3-0.7 range
                 },
                 colorGenome: this.generateColorGenome(template, rarity),
                 features: {
                     eyes: {
                         size: this.weightedChoice(['small', 'medium', 'large'], [0.2, 0.6, 0.2]),
                         color: this.selectEyeColor(template),
-                        glow: Math.random() * 0.8 + 0.2 // 0.2-1.0 range
+                        glow: this.random() * 0.8 + 0.2 // 0.2-1.0 range
                     },
                     wings: {
                         type: template.wingType,
-                        span: 0.8 + Math.random() * 0.4, // 0.8-1.2 range
-                        shimmer: rarity === 'common' ? Math.random() * 0.5 : Math.random() * 0.8 + 0.2
+                        span: 0.8 + this.random() * 0.4, // 0.8-1.2 range
+                        shimmer: rarity === 'common' ? this.random() * 0.5 : this.random() * 0.8 + 0.2
                     },
                     markings: this.generateMarkings(rarity),
                     specialFeatures: this.generateSpecialFeatures(rarity)
@@ -271,7 +307,7 @@ class CreatureGenetics {
                 timesBreeded: 0,
                 maxBreedingTimes: 5,
                 compatibleSpecies: [species], // Can breed within same species
-                fertilityRate: 0.8 + (Math.random() * 0.2) // 0.8-1.0
+                fertilityRate: 0.8 + (this.random() * 0.2) // 0.8-1.0
             },
             lineage: {
                 parent1: null,
@@ -295,7 +331,7 @@ class CreatureGenetics {
      * Select species based on rarity weights
      */
     selectSpecies() {
-        const random = Math.random();
+        const random = this.random();
         let accumulator = 0;
         
         for (const [species, template] of Object.entries(this.speciesTemplates)) {
@@ -313,7 +349,7 @@ class CreatureGenetics {
      * Select rarity level
      */
     selectRarity() {
-        const random = Math.random();
+        const random = this.random();
         let accumulator = 0;
         
         for (const [rarity, weight] of Object.entries(this.rarityWeights)) {
@@ -339,9 +375,9 @@ class CreatureGenetics {
         };
         
         return {
-            colorIntensity: Math.min(1.0, Math.random() * rarityMultiplier[rarity]),
-            featureComplexity: Math.min(1.0, Math.random() * rarityMultiplier[rarity]),
-            effectStrength: Math.min(1.0, Math.random() * rarityMultiplier[rarity])
+            colorIntensity: Math.min(1.0, this.random() * rarityMultiplier[rarity]),
+            featureComplexity: Math.min(1.0, this.random() * rarityMultiplier[rarity]),
+            effectStrength: Math.min(1.0, this.random() * rarityMultiplier[rarity])
         };
     }
 
@@ -352,7 +388,7 @@ class CreatureGenetics {
         const rarityAnchors = this.getRarityAnchors(rarity);
         const paletteBlendRatio = this.getPaletteBlendRatio(rarity);
         const mutationChance = this.config?.mutationChance || 0.15;
-        const colorMixingStrength = Math.random() * 0.4 + 0.1; // 0.1-0.5 range
+        const colorMixingStrength = this.random() * 0.4 + 0.1; // 0.1-0.5 range
 
         // Start with rarity-aligned colors so each tier stays within its family
         let primaryColor = rarityAnchors.primary;
@@ -369,17 +405,17 @@ class CreatureGenetics {
         accentColor = this.blendColors(accentColor, templateEyeColor, Math.min(0.35, paletteBlendRatio + 0.05));
 
         // Additional mixing stays within the rarity palette family for variation
-        if (Math.random() < colorMixingStrength) {
+        if (this.random() < colorMixingStrength) {
             const alternatePrimary = this.randomChoice(rarityAnchors.swatchPool.primary);
             primaryColor = this.blendColors(primaryColor, alternatePrimary, 0.4);
         }
-        if (Math.random() < colorMixingStrength) {
+        if (this.random() < colorMixingStrength) {
             const alternateSecondary = this.randomChoice(rarityAnchors.swatchPool.secondary);
             secondaryColor = this.blendColors(secondaryColor, alternateSecondary, 0.35);
         }
 
         // Allow cosmic accents but keep final clamp to rarity palette
-        if (Math.random() < 0.3) { // 30% chance for cosmic influence
+        if (this.random() < 0.3) { // 30% chance for cosmic influence
             const cosmicColors = this.getCosmicColorPalette(template.cosmicAffinities);
             if (cosmicColors.length > 0) {
                 const cosmicColor = this.randomChoice(cosmicColors);
@@ -388,13 +424,13 @@ class CreatureGenetics {
         }
 
         // Color mutations provide subtle brightness shifts without leaving the family
-        if (Math.random() < mutationChance) {
+        if (this.random() < mutationChance) {
             primaryColor = this.applyColorMutation(primaryColor, rarity);
         }
-        if (Math.random() < mutationChance * 0.7) {
+        if (this.random() < mutationChance * 0.7) {
             secondaryColor = this.applyColorMutation(secondaryColor, rarity);
         }
-        if (Math.random() < mutationChance * 0.6) {
+        if (this.random() < mutationChance * 0.6) {
             accentColor = this.applyColorMutation(accentColor, rarity);
         }
 
@@ -434,7 +470,7 @@ class CreatureGenetics {
         
         // Select quirks
         const selectedQuirks = [];
-        const numQuirks = Math.random() < 0.3 ? 2 : 1; // 30% chance for 2 quirks
+        const numQuirks = this.random() < 0.3 ? 2 : 1; // 30% chance for 2 quirks
         
         for (let i = 0; i < numQuirks; i++) {
             const availableQuirks = traitData.quirks.filter(q => !selectedQuirks.includes(q));
@@ -447,8 +483,8 @@ class CreatureGenetics {
             core: corePersonality,
             description: traitData.description,
             quirks: selectedQuirks,
-            socialLevel: Math.random() * 0.6 + 0.2, // 0.2-0.8 range
-            independence: Math.random() * 0.6 + 0.2, // 0.2-0.8 range
+            socialLevel: this.random() * 0.6 + 0.2, // 0.2-0.8 range
+            independence: this.random() * 0.6 + 0.2, // 0.2-0.8 range
             emotionModifiers: traitData.emotionModifiers,
             carePreferences: traitData.carePreferences
         };
@@ -463,7 +499,7 @@ class CreatureGenetics {
         
         // Rarity affects power level
         const basePowerLevel = affinityData.powerLevel.min + 
-            (Math.random() * (affinityData.powerLevel.max - affinityData.powerLevel.min));
+            (this.random() * (affinityData.powerLevel.max - affinityData.powerLevel.min));
         
         const rarityBonus = {
             common: 0,
@@ -487,12 +523,12 @@ class CreatureGenetics {
     /**
      * Generate unique genetic identifier
      */
-    generateGeneticId(species, visualTraits, personality) {
+    generateGeneticId(species, visualTraits, personality, seed = null) {
         const components = [
             species.substring(0, 3).toUpperCase(),
             personality.core.substring(0, 3).toUpperCase(),
             Math.floor(visualTraits.colorIntensity * 100).toString(16),
-            Date.now().toString(36).slice(-4)
+            seed !== null ? String(seed) : Date.now().toString(36).slice(-4)
         ];
         
         return components.join('-');
@@ -544,7 +580,7 @@ class CreatureGenetics {
     }
 
     selectFromPalette(palette) {
-        return palette[Math.floor(Math.random() * palette.length)];
+        return palette[Math.floor(this.random() * palette.length)];
     }
 
     selectEyeColor(template) {
@@ -558,7 +594,7 @@ class CreatureGenetics {
 
         // Production mode: 50% unique shapes, 30% preferred, 20% common
         // Balanced for good variety while maintaining some patterns
-        const random = Math.random();
+        const random = this.random();
         if (random < 0.5) {
             // Unique body types (50% chance)
             const uniqueShapes = ['fish', 'cyclops', 'serpentine', 'avian', 'quadruped', 'blob', 'reptilian', 'insectoid'];
@@ -590,7 +626,7 @@ class CreatureGenetics {
             legendary: 1.0   // Always has markings
         };
         
-        if (Math.random() > rarityPatternChance[rarity]) {
+        if (this.random() > rarityPatternChance[rarity]) {
             return { 
                 pattern: 'none', 
                 intensity: 0,
@@ -612,12 +648,12 @@ class CreatureGenetics {
         
         return {
             pattern: selectedPattern,
-            intensity: Math.random() * 0.6 + 0.3, // 0.3-0.9 range
+            intensity: this.random() * 0.6 + 0.3, // 0.3-0.9 range
             distribution: distribution,
             colorVariant: colorVariant,
-            scale: Math.random() * 0.8 + 0.2, // 0.2-1.0 scale
-            opacity: Math.random() * 0.4 + 0.4, // 0.4-0.8 opacity
-            animation: rarity === 'legendary' || (rarity === 'rare' && Math.random() < 0.5) 
+            scale: this.random() * 0.8 + 0.2, // 0.2-1.0 scale
+            opacity: this.random() * 0.4 + 0.4, // 0.4-0.8 opacity
+            animation: rarity === 'legendary' || (rarity === 'rare' && this.random() < 0.5) 
                 ? this.generateMarkingAnimation() : null
         };
     }
@@ -646,26 +682,26 @@ class CreatureGenetics {
         };
         
         const rarityData = featuresByRarity[rarity];
-        if (!rarityData || Math.random() > rarityData.probability) {
+        if (!rarityData || this.random() > rarityData.probability) {
             return [];
         }
         
         const numFeatures = rarity === 'legendary' ? 
-            Math.floor(Math.random() * 3) + 1 : // 1-3 features for legendary
+            Math.floor(this.random() * 3) + 1 : // 1-3 features for legendary
             rarity === 'rare' ?
-                Math.floor(Math.random() * 2) + 1 : // 1-2 features for rare
+                Math.floor(this.random() * 2) + 1 : // 1-2 features for rare
                 1; // 1 feature for uncommon
         
         const selectedFeatures = [];
         const availableFeatures = [...rarityData.features];
         
         for (let i = 0; i < numFeatures && availableFeatures.length > 0; i++) {
-            const featureIndex = Math.floor(Math.random() * availableFeatures.length);
+            const featureIndex = Math.floor(this.random() * availableFeatures.length);
             const feature = availableFeatures.splice(featureIndex, 1)[0];
             
             selectedFeatures.push({
                 type: feature,
-                intensity: Math.random() * 0.8 + 0.2, // 0.2-1.0 intensity
+                intensity: this.random() * 0.8 + 0.2, // 0.2-1.0 intensity
                 variant: this.generateFeatureVariant(feature),
                 animation: this.shouldAnimateFeature(feature, rarity) ? 
                     this.generateFeatureAnimation(feature) : null
@@ -685,9 +721,9 @@ class CreatureGenetics {
         
         return {
             type: this.randomChoice(animationTypes),
-            speed: Math.random() * 0.5 + 0.3, // 0.3-0.8 speed
-            intensity: Math.random() * 0.6 + 0.2, // 0.2-0.8 intensity
-            pattern: Math.random() < 0.5 ? 'synchronized' : 'cascading'
+            speed: this.random() * 0.5 + 0.3, // 0.3-0.8 speed
+            intensity: this.random() * 0.6 + 0.2, // 0.2-0.8 intensity
+            pattern: this.random() < 0.5 ? 'synchronized' : 'cascading'
         };
     }
 
@@ -724,10 +760,10 @@ class CreatureGenetics {
         ];
         
         if (dynamicFeatures.includes(featureType)) {
-            return Math.random() < (animationProbability[rarity] || 0.3);
+            return this.random() < (animationProbability[rarity] || 0.3);
         }
         
-        return Math.random() < (animationProbability[rarity] || 0.1) * 0.5;
+        return this.random() < (animationProbability[rarity] || 0.1) * 0.5;
     }
 
     /**
@@ -747,9 +783,9 @@ class CreatureGenetics {
         
         return {
             type: this.randomChoice(animations),
-            duration: Math.random() * 2000 + 1000, // 1-3 seconds
+            duration: this.random() * 2000 + 1000, // 1-3 seconds
             easing: this.randomChoice(['linear', 'ease-in-out', 'bounce', 'elastic']),
-            loop: Math.random() < 0.8 // 80% chance to loop
+            loop: this.random() < 0.8 // 80% chance to loop
         };
     }
 
@@ -845,7 +881,7 @@ class CreatureGenetics {
         const b = color & 0xFF;
         
         // Apply random variation
-        const variation = (Math.random() - 0.5) * strength * 255;
+        const variation = (this.random() - 0.5) * strength * 255;
         
         const mutatedR = Math.max(0, Math.min(255, r + variation));
         const mutatedG = Math.max(0, Math.min(255, g + variation));
@@ -861,23 +897,23 @@ class CreatureGenetics {
         const enhancements = {
             common: {
                 intensity: 0,
-                shimmer: 0.3 + Math.random() * 0.3
+                shimmer: 0.3 + this.random() * 0.3
             },
             uncommon: {
                 intensity: 0.1,
-                shimmer: 0.5 + Math.random() * 0.3
+                shimmer: 0.5 + this.random() * 0.3
             },
             rare: {
                 intensity: 0.2,
-                shimmer: 0.65 + Math.random() * 0.25
+                shimmer: 0.65 + this.random() * 0.25
             },
             epic: {
                 intensity: 0.25,
-                shimmer: 0.75 + Math.random() * 0.2
+                shimmer: 0.75 + this.random() * 0.2
             },
             legendary: {
                 intensity: 0.32,
-                shimmer: 0.85 + Math.random() * 0.15
+                shimmer: 0.85 + this.random() * 0.15
             }
         };
         
@@ -901,8 +937,8 @@ class CreatureGenetics {
             type: this.randomChoice(complexityByRarity[rarity] || ['linear']),
             startColor: color1,
             endColor: color2,
-            intensity: Math.random() * 0.6 + 0.2,
-            angle: Math.random() * 360
+            intensity: this.random() * 0.6 + 0.2,
+            angle: this.random() * 360
         };
     }
 
@@ -990,18 +1026,18 @@ class CreatureGenetics {
         const flags = [];
         
         if (rarity === 'uncommon' || rarity === 'rare' || rarity === 'epic' || rarity === 'legendary') {
-            if (Math.random() < 0.3) flags.push('chromatic_shift');
-            if (Math.random() < 0.2) flags.push('luminance_boost');
+            if (this.random() < 0.3) flags.push('chromatic_shift');
+            if (this.random() < 0.2) flags.push('luminance_boost');
         }
         
         if (rarity === 'rare' || rarity === 'epic' || rarity === 'legendary') {
-            if (Math.random() < 0.4) flags.push('prismatic_effect');
-            if (Math.random() < 0.3) flags.push('cosmic_resonance');
+            if (this.random() < 0.4) flags.push('prismatic_effect');
+            if (this.random() < 0.3) flags.push('cosmic_resonance');
         }
         
         if (rarity === 'legendary') {
-            if (Math.random() < 0.5) flags.push('stellar_core');
-            if (Math.random() < 0.3) flags.push('reality_flux');
+            if (this.random() < 0.5) flags.push('stellar_core');
+            if (this.random() < 0.3) flags.push('reality_flux');
         }
         
         return flags;
@@ -1064,12 +1100,12 @@ class CreatureGenetics {
     }
 
     randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
+        return array[Math.floor(this.random() * array.length)];
     }
 
     weightedChoice(choices, weights) {
         const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = this.random() * totalWeight;
         
         for (let i = 0; i < choices.length; i++) {
             if (random < weights[i]) {
@@ -283,6 +283,10 @@ class CreatureMemoryService {
     resolveCreatureId(creatureId) {
         if (creatureId) return creatureId;
 
+        // Roster id of the active companion (migrated saves reuse the genetics id)
+        const activeId = this.gameState?.get('creature.id');
+        if (activeId) return activeId;
+
         const genetics = this.gameState?.get('creature.genetics');
         if (genetics?.id) return genetics.id;
 
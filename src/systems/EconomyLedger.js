@@ -0,0 +1,252 @@
+/**
+ * EconomyLedger - Persistent record of every Cosmic Coin transaction
+ * Listens to EconomyManager 'coins:added' / 'coins:spent' / 'coins:reset' and appends
+ * `{ time, delta, balance, category, source, itemId }` to GameState `economyLedger`.
+ * The category is the part of the source/reason before ":" ("purchase:Cosmic Egg" -> "purchase").
+ * Only the newest `maxEntries` entries are kept; trimmed entries are folded into `baseBalance`
+ * and the all-time `totals`, so the ledger can always be replayed: baseBalance plus every
+ * delta must equal the stored balance. audit() does that replay to spot edited balances.
+ */
+
+/**
+ * Local calendar day, e.g. "2026-10-19"
+ */
+const toDayKey = (time) => {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+class EconomyLedger {
+    constructor() {
+        this.initialized = false;
+        this.config = { maxEntries: 500, categories: {} };
+        this.unsubscribers = [];
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Load ledger settings
+     * @param {object} config - `ledger` section of config/economy.json
+     */
+    configure(config = {}) {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Start recording EconomyManager transactions and audit the stored balance
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const economy = window.EconomyManager;
+        this.listenTo(economy, 'coins:added', ({ amount, source, itemId, newBalance } = {}) => {
+            this.record(amount, source, { itemId, balance: newBalance });
+        });
+        this.listenTo(economy, 'coins:spent', ({ amount, reason, itemId, newBalance } = {}) => {
+            this.record(-amount, reason, { itemId, balance: newBalance });
+        });
+        this.listenTo(economy, 'coins:reset', ({ oldBalance, newBalance } = {}) => {
+            if (oldBalance !== newBalance) this.record(newBalance - oldBalance, 'reset', { balance: newBalance });
+        });
+
+        this.ensureState();
+        const audit = this.audit();
+        if (!audit.ok) {
+            console.warn(`[EconomyLedger] Balance does not match the ledger (expected ${audit.expected}, found ${audit.actual})`);
+            this.getGameState()?.emit('economyTamperDetected', audit);
+        }
+
+        this.initialized = true;
+        console.log('✅ EconomyLedger initialized with', this.getState().entries.length, 'entries');
+    }
+
+    listenTo(emitter, event, handler) {
+        if (!emitter || typeof emitter.on !== 'function') return;
+        emitter.on(event, handler);
+        this.unsubscribers.push(() => emitter.off?.(event, handler));
+    }
+
+    getBalance() {
+        return this.getGameState()?.get('player.cosmicCoins') || 0;
+    }
+
+    /**
+     * Stored ledger; saves from before the ledger start from their current balance
+     */
+    getState() {
+        const stored = this.getGameState()?.get('economyLedger');
+        return {
+            baseBalance: stored?.baseBalance ?? this.getBalance(),
+            startedAt: stored?.startedAt ?? null,
+            entries: Array.isArray(stored?.entries) ? stored.entries.map(entry => ({ ...entry })) : [],
+            totals: {
+                earned: { ...(stored?.totals?.earned || {}) },
+                spent: { ...(stored?.totals?.spent || {}) }
+            }
+        };
+    }
+
+    saveState(state) {
+        this.getGameState()?.set('economyLedger', JSON.parse(JSON.stringify(state)));
+    }
+
+    ensureState() {
+        if (this.getGameState()?.get('economyLedger')) return;
+        this.saveState({ ...this.getState(), startedAt: Date.now() });
+    }
+
+    /**
+     * "purchase:Cosmic Egg" -> "purchase"
+     */
+    getCategory(source) {
+        return String(source || 'unknown').split(':')[0] || 'unknown';
+    }
+
+    /**
+     * Append one transaction
+     * @param {number} delta - Coins added (positive) or spent (negative)
+     * @param {string} source - EconomyManager source/reason
+     * @param {object} details - { itemId, balance (after the transaction) }
+     * @returns {object|null} - The new entry
+     */
+    record(delta, source, { itemId = null, balance = null } = {}) {
+        if (typeof delta !== 'number' || !Number.isFinite(delta) || delta === 0) return null;
+
+        const state = this.getState();
+        if (!this.getGameState()?.get('economyLedger')) {
+            // First transaction of a fresh ledger: the balance before it is the baseline
+            state.baseBalance = (balance ?? this.getBalance()) - delta;
+            state.startedAt = Date.now();
+        }
+
+        const category = this.getCategory(source);
+        const entry = {
+            time: Date.now(),
+            delta,
+            balance: balance ?? this.getBalance(),
+            category,
+            source: source || 'unknown',
+            itemId: itemId || null
+        };
+        state.entries.push(entry);
+
+        const bucket = delta > 0 ? state.totals.earned : state.totals.spent;
+        bucket[category] = (bucket[category] || 0) + Math.abs(delta);
+
+        // Fold the oldest entries into the baseline once the ledger is full
+        const overflow = state.entries.length - Math.max(1, this.config.maxEntries || 0);
+        if (overflow > 0) {
+            state.entries.splice(0, overflow).forEach(trimmed => {
+                state.baseBalance += trimmed.delta;
+            });
+        }
+
+        this.saveState(state);
+        this.getGameState()?.emit('ledgerEntryAdded', entry);
+        return entry;
+    }
+
+    /**
+     * Newest entries first
+     * @param {object} options - { limit, category }
+     */
+    getEntries({ limit = Infinity, category = null } = {}) {
+        return this.getState().entries
+            .filter(entry => !category || entry.category === category)
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * Coins earned per source category for each of the last `days` days
+     * @returns {Array<{ day: string, total: number, sources: object }>} - Oldest day first
+     */
+    getEarnedPerDay(days = 7, now = Date.now()) {
+        const today = new Date(now);
+        const result = [];
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const day = toDayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset).getTime());
+            result.push({ day, total: 0, sources: {} });
+        }
+        const byDay = Object.fromEntries(result.map(row => [row.day, row]));
+
+        this.getState().entries.forEach(entry => {
+            const row = byDay[toDayKey(entry.time)];
+            if (!row || entry.delta <= 0) return;
+            row.total += entry.delta;
+            row.sources[entry.category] = (row.sources[entry.category] || 0) + entry.delta;
+        });
+        return result;
+    }
+
+    /**
+     * All-time spending per category, biggest first (survives trimming)
+     * @returns {Array<{ category: string, amount: number }>}
+     */
+    getSpendByCategory() {
+        return this.sortTotals(this.getState().totals.spent);
+    }
+
+    /**
+     * All-time earnings per category, biggest first
+     */
+    getEarnedByCategory() {
+        return this.sortTotals(this.getState().totals.earned);
+    }
+
+    sortTotals(totals) {
+        return Object.entries(totals)
+            .map(([category, amount]) => ({ category, amount }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    getCategoryInfo(category) {
+        return this.config.categories?.[category] || this.config.categories?.unknown || { label: category, icon: '❔' };
+    }
+
+    /**
+     * Replay the ledger against the stored balance
+     * @returns {{ ok: boolean, expected: number, actual: number, difference: number, brokenAt: number|null }}
+     *   brokenAt is the first entry whose recorded balance doesn't follow from the one before
+     */
+    audit() {
+        const state = this.getState();
+        let running = state.baseBalance;
+        let brokenAt = null;
+
+        state.entries.forEach((entry, index) => {
+            running += entry.delta;
+            if (brokenAt === null && entry.balance !== running) brokenAt = index;
+        });
+
+        const actual = this.getBalance();
+        return {
+            ok: brokenAt === null && running === actual,
+            expected: running,
+            actual,
+            difference: actual - running,
+            brokenAt
+        };
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.initialized = false;
+    }
+}
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.EconomyLedger = window.EconomyLedger || new EconomyLedger();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EconomyLedger;
+}
@@ -1,15 +1,28 @@
 /**
- * EconomyManager - Manages the game's currency system (Cosmic Coins)
+ * EconomyManager - Manages the game's currencies (Cosmic Coins and Stardust)
  * Handles earning, spending, and validating currency transactions
+ * Stardust is the rare currency: it only comes from epic+ hatches, achievement tiers and
+ * quests (amounts in config/economy.json and the reward configs) and has its own
+ * balance (`player.stardust`) and `stardust:*` events.
  */
 
 class EconomyManager {
     constructor() {
         this.initialized = false;
         this.currencyName = 'cosmicCoins';
+        this.stardustName = 'stardust';
+        this.stardustConfig = { hatch: {} };
         this.events = new Phaser.Events.EventEmitter();
     }
 
+    /**
+     * Load Stardust earning rules
+     * @param {object} config - `stardust` section of config/economy.json
+     */
+    configure(config = {}) {
+        this.stardustConfig = { ...this.stardustConfig, ...config };
+    }
+
     /**
      * Initialize the economy system
      */
@@ -26,6 +39,12 @@ class EconomyManager {
                 window.GameState.set('player.cosmicCoins', 0);
                 console.log('[EconomyManager] Initialized player.cosmicCoins to 0');
             }
+            if (window.GameState.get('player.stardust') === undefined) {
+                window.GameState.set('player.stardust', 0);
+            }
+
+            // Rare hatches are worth Stardust
+            window.GameState.on('eggHatched', ({ creature } = {}) => this.rewardHatch(creature));
         }
 
         this.initialized = true;
@@ -48,8 +67,9 @@ class EconomyManager {
      * Add cosmic coins with visual feedback event
      * @param {number} amount - Amount to add
      * @param {string} source - Source of coins (e.g., 'collection', 'enemy_drop', 'quest')
+     * @param {object} details - Optional { itemId } for the transaction ledger
      */
-    addCoins(amount, source = 'unknown') {
+    addCoins(amount, source = 'unknown', { itemId = null } = {}) {
         if (!this.initialized) {
             console.error('[EconomyManager] Not initialized');
             return;
@@ -74,6 +94,7 @@ class EconomyManager {
         this.events.emit('coins:added', {
             amount,
             source,
+            itemId,
             oldBalance: currentBalance,
             newBalance: newBalance
         });
@@ -87,9 +108,10 @@ class EconomyManager {
      * Remove cosmic coins (for purchases)
      * @param {number} amount - Amount to remove
      * @param {string} reason - Reason for spending (e.g., 'shop_purchase')
+     * @param {object} details - Optional { itemId } for the transaction ledger
      * @returns {boolean} True if successful, false if insufficient funds
      */
-    removeCoins(amount, reason = 'unknown') {
+    removeCoins(amount, reason = 'unknown', details = {}) {
         if (!this.initialized) {
             console.error('[EconomyManager] Not initialized');
             return false;
@@ -130,6 +152,7 @@ class EconomyManager {
         this.events.emit('coins:spent', {
             amount,
             reason,
+            itemId: details.itemId || null,
             oldBalance: currentBalance,
             newBalance: newBalance
         });
@@ -157,15 +180,140 @@ class EconomyManager {
      * Purchase an item (combines canAfford + removeCoins)
      * @param {number} price - Price of item
      * @param {string} itemName - Name of item for logging
+     * @param {object} details - Optional { itemId } for the transaction ledger
      * @returns {boolean} True if purchase successful
      */
-    purchase(price, itemName = 'Unknown Item') {
+    purchase(price, itemName = 'Unknown Item', details = {}) {
         if (!this.canAfford(price)) {
             console.warn(`[EconomyManager] Cannot afford ${itemName} (${price} coins)`);
             return false;
         }
 
-        return this.removeCoins(price, `purchase:${itemName}`);
+        return this.removeCoins(price, `purchase:${itemName}`, details);
+    }
+
+    /**
+     * Get current Stardust balance
+     * @returns {number} Current balance
+     */
+    getStardust() {
+        if (typeof window === 'undefined' || !window.GameState) return 0;
+        return window.GameState.get('player.stardust') || 0;
+    }
+
+    /**
+     * Add Stardust
+     * @param {number} amount - Amount to add
+     * @param {string} source - Source of Stardust (e.g., 'hatch', 'achievement', 'quest')
+     * @param {object} details - Optional { itemId }
+     * @returns {number|undefined} New balance
+     */
+    addStardust(amount, source = 'unknown', { itemId = null } = {}) {
+        if (!this.initialized) {
+            console.error('[EconomyManager] Not initialized');
+            return;
+        }
+
+        if (typeof amount !== 'number' || amount <= 0) {
+            console.error('[EconomyManager] Invalid stardust amount:', amount);
+            return;
+        }
+
+        const currentBalance = this.getStardust();
+        const newBalance = currentBalance + amount;
+        window.GameState.set('player.stardust', newBalance);
+
+        this.events.emit('stardust:added', {
+            amount,
+            source,
+            itemId,
+            oldBalance: currentBalance,
+            newBalance
+        });
+
+        console.log(`[EconomyManager] +${amount} stardust from ${source} (${currentBalance} → ${newBalance})`);
+
+        return newBalance;
+    }
+
+    /**
+     * Spend Stardust
+     * @param {number} amount - Amount to spend
+     * @param {string} reason - Reason for spending (e.g., 'purchase:Moonbeam Bow')
+     * @param {object} details - Optional { itemId }
+     * @returns {boolean} True if successful, false if insufficient Stardust
+     */
+    spendStardust(amount, reason = 'unknown', details = {}) {
+        if (!this.initialized) {
+            console.error('[EconomyManager] Not initialized');
+            return false;
+        }
+
+        if (typeof amount !== 'number' || amount <= 0) {
+            console.error('[EconomyManager] Invalid stardust amount:', amount);
+            return false;
+        }
+
+        const currentBalance = this.getStardust();
+        if (currentBalance < amount) {
+            if (typeof window !== 'undefined' && window.AudioManager) {
+                window.AudioManager.playError();
+            }
+
+            this.events.emit('stardust:insufficient', {
+                amount,
+                currentBalance,
+                shortfall: amount - currentBalance
+            });
+            return false;
+        }
+
+        const newBalance = currentBalance - amount;
+        window.GameState.set('player.stardust', newBalance);
+
+        if (typeof window !== 'undefined' && window.AudioManager) {
+            window.AudioManager.playPurchase();
+        }
+
+        this.events.emit('stardust:spent', {
+            amount,
+            reason,
+            itemId: details.itemId || null,
+            oldBalance: currentBalance,
+            newBalance
+        });
+
+        console.log(`[EconomyManager] -${amount} stardust for ${reason} (${currentBalance} → ${newBalance})`);
+
+        return true;
+    }
+
+    /**
+     * Check if player has enough Stardust
+     * @param {number} price - Price to check
+     * @returns {boolean} True if affordable
+     */
+    canAffordStardust(price) {
+        if (typeof price !== 'number' || price < 0) {
+            console.error('[EconomyManager] Invalid price:', price);
+            return false;
+        }
+
+        return this.getStardust() >= price;
+    }
+
+    /**
+     * Grant the configured Stardust for a hatched creature's rarity
+     * @param {object} creature - Hatched creature record
+     * @returns {number} Stardust granted
+     */
+    rewardHatch(creature) {
+        const rarity = creature?.rarity || creature?.genetics?.rarity;
+        const amount = this.stardustConfig.hatch?.[rarity] || 0;
+        if (amount > 0) {
+            this.addStardust(amount, 'hatch', { itemId: creature.id || null });
+        }
+        return amount;
     }
 
     /**
@@ -180,7 +328,8 @@ class EconomyManager {
 
     /**
      * Listen to economy events
-     * @param {string} event - Event name (coins:added, coins:spent, coins:insufficient)
+     * @param {string} event - Event name (coins:added, coins:spent, coins:insufficient, coins:reset,
+     *   stardust:added, stardust:spent, stardust:insufficient, stardust:reset)
      * @param {function} callback - Callback function
      */
     on(event, callback) {
@@ -204,7 +353,8 @@ class EconomyManager {
         return {
             currentBalance: this.getBalance(),
             formattedBalance: this.formatCoins(this.getBalance()),
-            currencyName: this.currencyName
+            currencyName: this.currencyName,
+            stardust: this.getStardust()
         };
     }
 
@@ -213,8 +363,13 @@ class EconomyManager {
      */
     reset() {
         if (typeof window !== 'undefined' && window.GameState) {
+            const oldBalance = this.getBalance();
             window.GameState.set('player.cosmicCoins', 0);
-            console.log('[EconomyManager] Economy reset to 0 coins');
+            this.events.emit('coins:reset', { oldBalance, newBalance: 0 });
+            const oldStardust = this.getStardust();
+            window.GameState.set('player.stardust', 0);
+            this.events.emit('stardust:reset', { oldBalance: oldStardust, newBalance: 0 });
+            console.log('[EconomyManager] Economy reset to 0 coins and 0 stardust');
         }
     }
 
@@ -10,10 +10,20 @@ class EnemyManager {
         this.spawnRadius = 300; // Minimum distance from player to spawn
         this.despawnRadius = 800; // Maximum distance before despawn
         this.spawnInterval = 25000; // 25 seconds between spawn attempts
+        this.calmDuration = 10000; // No new wisps for 10 seconds after calming one
+        this.calmMultiplier = 1; // Stretched by the Calm Aura skill (SkillSystem)
+        this.calmUntil = 0;
         this.enemyTypes = ['voidWisp', 'shadowSprite'];
         this.events = new Phaser.Events.EventEmitter();
     }
 
+    /**
+     * Spawns, wandering and drops use the shared 'combat' stream (see RandomService)
+     */
+    get rng() {
+        return window.RandomService.stream('combat');
+    }
+
     /**
      * Initialize the enemy system
      */
@@ -46,6 +56,7 @@ class EnemyManager {
         this.player = player;
         this.worldWidth = worldWidth;
         this.worldHeight = worldHeight;
+        this.calmUntil = 0; // Scene clocks restart with each scene
 
         // Spawn initial enemies
         this.spawnInitialEnemies();
@@ -65,7 +76,7 @@ class EnemyManager {
      * Spawn initial enemies
      */
     spawnInitialEnemies() {
-        const initialCount = Phaser.Math.Between(1, 2);
+        const initialCount = this.rng.between(1, 2);
         for (let i = 0; i < initialCount; i++) {
             this.spawnEnemy();
         }
@@ -76,6 +87,7 @@ class EnemyManager {
      */
     attemptSpawn() {
         if (!this.enemyGroup || !this.player) return;
+        if (this.isCalm()) return;
 
         const currentCount = this.enemyGroup.getChildren().filter(e => e.active).length;
 
@@ -84,6 +96,14 @@ class EnemyManager {
         }
     }
 
+    /**
+     * Whether the sanctuary is still calm after a wisp was soothed
+     * @returns {boolean}
+     */
+    isCalm() {
+        return Boolean(this.scene) && this.scene.time.now < this.calmUntil;
+    }
+
     /**
      * Spawn a new enemy
      * @param {string} type - Optional enemy type (random if not specified)
@@ -93,7 +113,7 @@ class EnemyManager {
         if (!this.scene || !this.enemyGroup || !this.player) return null;
 
         // Select random enemy type if not specified
-        const enemyType = type || Phaser.Utils.Array.GetRandom(this.enemyTypes);
+        const enemyType = type || this.rng.pick(this.enemyTypes);
 
         // Find valid spawn position (away from player)
         const spawnPos = this.findValidSpawnPosition();
@@ -168,8 +188,8 @@ class EnemyManager {
         let attempts = 0;
 
         while (attempts < maxAttempts) {
-            const x = Phaser.Math.Between(100, this.worldWidth - 100);
-            const y = Phaser.Math.Between(100, this.worldHeight - 100);
+            const x = this.rng.between(100, this.worldWidth - 100);
+            const y = this.rng.between(100, this.worldHeight - 100);
 
             const distance = Phaser.Math.Distance.Between(x, y, this.player.x, this.player.y);
 
@@ -281,10 +301,10 @@ class EnemyManager {
         enemy.setData('wanderTimer', wanderTimer + delta);
 
         // Pick new wander target every 3-5 seconds
-        if (!wanderTarget || wanderTimer > Phaser.Math.Between(3000, 5000)) {
+        if (!wanderTarget || wanderTimer > this.rng.between(3000, 5000)) {
             wanderTarget = {
-                x: enemy.x + Phaser.Math.Between(-150, 150),
-                y: enemy.y + Phaser.Math.Between(-150, 150)
+                x: enemy.x + this.rng.between(-150, 150),
+                y: enemy.y + this.rng.between(-150, 150)
             };
 
             // Keep within world bounds
@@ -365,7 +385,9 @@ class EnemyManager {
         const type = enemy.getData('type');
         const coinMin = enemy.getData('coinDropMin') || 15;
         const coinMax = enemy.getData('coinDropMax') || 30;
-        const coinDrop = Phaser.Math.Between(coinMin, coinMax);
+        const coinDrop = this.rng.between(coinMin, coinMax);
+        const calmDuration = Math.round(this.calmDuration * this.calmMultiplier);
+        this.calmUntil = this.scene.time.now + calmDuration;
 
         // Add coins to economy
         if (window.EconomyManager) {
@@ -388,7 +410,7 @@ class EnemyManager {
         });
 
         // Broadcast calming event for sparkles/particles
-        this.events.emit('wispCalmed', { enemy, type, coinDrop, x: enemy.x, y: enemy.y });
+        this.events.emit('wispCalmed', { enemy, type, coinDrop, calmDuration, x: enemy.x, y: enemy.y });
 
         console.log(`[EnemyManager] ${type} calmed. Shared ${coinDrop} cozy coins`);
     }
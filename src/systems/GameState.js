@@ -3,13 +3,56 @@
  * Handles player progression, world state, creature data, and persistence
  */
 
+// Storage backend chain (IndexedDB → localStorage → memory), loaded before GameState
+const SaveStorage = typeof window !== 'undefined' ? window.SaveStorage : undefined;
+// Ordered save upgrade steps (see storage/SaveMigrations.js)
+const SaveMigrator = typeof window !== 'undefined' ? window.SaveMigrator : undefined;
+// Checksummed save files for export/import (see storage/SaveTransfer.js)
+const SaveTransfer = typeof window !== 'undefined' ? window.SaveTransfer : undefined;
+// Declarative state schema with field-level repair (see storage/StateSchema.js)
+const StateValidator = typeof window !== 'undefined' ? window.StateValidator : undefined;
+
 // GAME VERSION - Increment when making breaking changes to save data schema
-const GAME_VERSION = '1.1.0'; // Format: major.minor.patch
+const GAME_VERSION = '1.7.0'; // Format: major.minor.patch
+
+// SAVE SLOTS - The default slot keeps the legacy key so existing saves load untouched
+const DEFAULT_SLOT_ID = 'default';
+const MAX_SAVE_SLOTS = 6;
+
+// ROSTER - Every hatched creature lives in `creatures`; the active one is mirrored in `creature`
+const MAX_ROSTER_SIZE = 12;
+
+// VISITORS - Creatures from a friend's share code; session only, never saved or added to the roster
+const MAX_VISITING_CREATURES = 3;
+
+// CARE - Classic limits used when CareSystem's action registry is not loaded
+const FALLBACK_CARE_ACTIONS = {
+    feed: { happinessBonus: 15, dailyLimit: 3 },
+    play: { happinessBonus: 10, dailyLimit: 2 },
+    rest: { happinessBonus: 5, dailyLimit: -1 }
+};
+
+// XP - Classic amounts used when LevelingSystem's sources are not loaded
+const FALLBACK_XP_SOURCES = {
+    flower: 5,
+    hatch: 50,
+    breeding: 25
+};
+
+// WORLD - Grid size (px) of the areas tracked in world.visitedAreas
+const EXPLORATION_AREA_SIZE = 200;
 
 class GameStateManager {
     constructor() {
         this.initialized = false;
-        this.saveKey = 'mythical-creature-save';
+        this.baseSaveKey = 'mythical-creature-save';
+        this.slotIndexKey = 'mythical-creature-slots';
+        this.activeSlotId = DEFAULT_SLOT_ID;
+        this.saveKey = this.baseSaveKey;
+        this.maxSaveSlots = MAX_SAVE_SLOTS;
+        this.maxRosterSize = MAX_ROSTER_SIZE;
+        this.maxVisitingCreatures = MAX_VISITING_CREATURES;
+        this.visitingCreatures = [];
         this.gameVersion = GAME_VERSION;
 
         this.state = this.createInitialState();
@@ -17,28 +60,52 @@ class GameStateManager {
         this.autoSaveInterval = null;
 
         // Storage mode tracking
-        this.storageMode = 'localStorage'; // 'localStorage', 'sessionStorage', or 'memory'
+        this.storage = SaveStorage || null;
+        this.storageMode = 'localStorage'; // 'indexedDB', 'localStorage', or 'memory'
         this.storageErrorShown = false; // Show error message only once
         this.checkStorageAvailability();
+
+        // Pick the active save slot before anything loads
+        this.restoreActiveSlot();
     }
 
     /**
-     * Check if localStorage is available and working
+     * Sync storage mode with the SaveStorage backend chain
      * Handles private browsing, disabled storage, and quota issues
      */
     checkStorageAvailability() {
-        try {
-            const testKey = '__storage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            this.storageMode = 'localStorage';
-            return true;
-        } catch (error) {
-            console.warn('[GameState] localStorage unavailable, falling back to memory-only mode');
+        if (!this.storage || !this.storage.persistent) {
+            console.warn('[GameState] Persistent storage unavailable, falling back to memory-only mode');
             this.storageMode = 'memory';
-            this.showStorageWarning('localStorage unavailable - progress will not be saved');
+            this.showStorageWarning('Storage unavailable - progress will not be saved');
             return false;
         }
+
+        this.storageMode = this.storage.mode;
+        this.storage.onModeChange = (mode, details) => this.handleStorageModeChange(mode, details);
+        return true;
+    }
+
+    /**
+     * Background write failed and SaveStorage fell back to the next backend
+     */
+    handleStorageModeChange(mode, details = {}) {
+        const previousMode = this.storageMode;
+        this.storageMode = mode;
+
+        if (mode === 'memory') {
+            this.showStorageWarning(details.quotaExceeded
+                ? 'Storage full - progress will not be saved. Try clearing browser data.'
+                : 'Storage unavailable - progress will not be saved');
+            this.stopAutoSave();
+            this.emit('saveError', {
+                type: details.quotaExceeded ? 'quota_exceeded' : 'unknown',
+                error: details.error,
+                mode
+            });
+        }
+
+        this.emit('storageModeChanged', { previousMode, mode });
     }
 
     /**
@@ -59,29 +126,31 @@ class GameStateManager {
     }
 
     /**
-     * Get available storage space (approximate)
-     * Returns null if detection fails
+     * Get storage usage from navigator.storage.estimate() (approximate when unsupported)
+     * @returns {Promise<object|null>} { used, available, percentUsed, quota, source, mode }
      */
-    getStorageQuota() {
+    async getStorageQuota() {
+        if (!this.storage) return null;
+
         try {
-            let total = 0;
-            for (let key in localStorage) {
-                if (localStorage.hasOwnProperty(key)) {
-                    total += localStorage[key].length + key.length;
-                }
-            }
-            // Most browsers allow 5-10MB for localStorage
-            const estimatedLimit = 5 * 1024 * 1024; // 5MB conservative estimate
-            return {
-                used: total,
-                available: estimatedLimit - total,
-                percentUsed: (total / estimatedLimit) * 100
-            };
+            return await this.storage.estimate();
         } catch (error) {
             return null;
         }
     }
 
+    /**
+     * Warn when storage is nearly full (runs in the background after saves)
+     */
+    checkStorageQuota() {
+        this.getStorageQuota().then(quota => {
+            if (quota && quota.percentUsed > 90) {
+                console.warn('[GameState] Storage quota nearly full:', quota.percentUsed.toFixed(1) + '%');
+                this.emit('storageQuotaWarning', quota);
+            }
+        });
+    }
+
     /**
      * Create a brand-new default state tree
      */
@@ -100,6 +169,7 @@ class GameStateManager {
                 lastPlayed: null
             },
             creature: {
+                id: null,
                 hatched: false,
                 hatchTime: null,
                 name: 'Your Creature',
@@ -112,6 +182,7 @@ class GameStateManager {
                 },
                 traits: [],
                 genes: null,
+                genome: null,
                 colors: {
                     body: 0x9370DB,
                     head: 0xDDA0DD,
@@ -157,8 +228,9 @@ class GameStateManager {
             unlocks: {
                 scenes: ['HatchingScene'],
                 features: [],
-                achievements: []
+                achievements: []  // { id, tier, unlockedAt } for every achievement tier earned
             },
+            achievementCounters: {},  // Achievement id → progress fed by game events
             breedingShrine: {
                 unlocked: false,
                 lastBreedingTime: null,
@@ -187,17 +259,32 @@ class GameStateManager {
                 rerollHistory: [],
                 lastRerollTime: null
             },
+            inventory: {
+                items: []
+            },
             creatures: [],  // Collection of all hatched creatures
+            activeCreatureId: null,
             codex: {
                 discovered: 0,
-                total: 50,
+                total: 50,  // Recomputed from the catalog by CodexSystem
                 byRarity: {
                     common: 0,
                     uncommon: 0,
                     rare: 0,
                     epic: 0,
                     legendary: 0
-                }
+                },
+                entries: {},  // Codex key → { firstHatchedAt, firstCreatureName, sampleDna }
+                milestonesClaimed: []
+            },
+            lineage: {
+                ancestors: {}  // Creature id → snapshot of every creature that became a parent
+            },
+            trading: {
+                // TradeSystem adds identity: { publicKey: { x, y }, privateKey }, the key that signs trade files
+                saveId: null,  // Identifies this save in trade files: fingerprint of the identity key (created on the first trade)
+                pendingOffers: {},  // Offer id → creature and coins held until the confirmation arrives
+                consumedOffers: {}  // Offer id → { role, completedAt }; a used offer can never apply twice
             },
             memory: {
                 optIn: false,
@@ -244,6 +331,13 @@ class GameStateManager {
         if (this.initialized) return;
         
         console.log('[GameState] Initializing game state system...');
+
+        // SaveStorage.prepare() may have switched backends since construction
+        if (this.storage && this.storageMode !== this.storage.mode) {
+            this.checkStorageAvailability();
+            this.slotIndex = null;
+            this.restoreActiveSlot();
+        }
         
         // Load existing save data
         this.load();
@@ -255,7 +349,7 @@ class GameStateManager {
         // Initialize care system for existing creatures
         if (this.state.creature.hatched) {
             this.initializeCareSystem();
-            this.updateHappinessFromTime();
+            this.updateNeedsFromTime();
         }
 
         // Check and claim daily login bonus
@@ -348,6 +442,11 @@ class GameStateManager {
             // Set new value
             target[lastKey] = value;
 
+            // Debug builds check every write against the state schema
+            if (this.state.session?.debugMode && this.repairState('set', path).length > 0) {
+                value = this.get(path);
+            }
+
             // Emit change event
             this.emit('stateChanged', {
                 path,
@@ -384,35 +483,65 @@ class GameStateManager {
                     this.set(`creature.stats.${statKey}`, newValue);
                 });
             } else if (key === 'experience') {
-                // Handle experience and level progression
-                const currentExp = creature.experience;
-                const newExp = currentExp + updates.experience;
-                this.set('creature.experience', newExp);
-                
-                // Check for level up (every 100 XP)
-                const currentLevel = creature.level;
-                const newLevel = Math.floor(newExp / 100) + 1;
-                
-                if (newLevel > currentLevel) {
-                    this.set('creature.level', newLevel);
-                    this.emit('levelUp', { oldLevel: currentLevel, newLevel });
-                    
-                    // Check if breeding shrine should be unlocked
-                    this.checkBreedingShrineUnlock();
-                }
+                this.addExperience(updates.experience);
             } else {
                 this.set(`creature.${key}`, updates[key]);
             }
         });
     }
 
+    /**
+     * Add creature XP and handle level progression
+     * LevelingSystem applies the XP curve, life stage caps and level-up rewards when loaded;
+     * otherwise every 100 XP is a level.
+     * @param {number|null} amount - XP to add (null uses the source's configured amount)
+     * @param {string} source - flower, care, enemyCalmed, exploration, hatch, breeding, dailyBonus...
+     */
+    addExperience(amount, source = 'other') {
+        const leveling = typeof window !== 'undefined' ? window.LevelingSystem : null;
+        if (leveling?.addExperience) {
+            return leveling.addExperience(amount, source);
+        }
+
+        const xp = amount ?? FALLBACK_XP_SOURCES[source] ?? 0;
+        if (!(xp > 0)) return null;
+
+        const creature = this.get('creature');
+        const newExp = creature.experience + xp;
+        this.set('creature.experience', newExp);
+
+        // Check for level up (every 100 XP)
+        const currentLevel = creature.level;
+        const newLevel = Math.floor(newExp / 100) + 1;
+
+        let levelUp = null;
+        if (newLevel > currentLevel) {
+            this.set('creature.level', newLevel);
+            levelUp = { oldLevel: currentLevel, newLevel, rewards: [], source };
+            this.emit('levelUp', levelUp);
+
+            // Check if breeding shrine should be unlocked
+            this.checkBreedingShrineUnlock();
+        }
+        return { xp, source, levelUp };
+    }
+
     /**
      * Track world exploration
      */
     updateWorldExploration(position, objectType = null) {
         // Update current position
         this.set('world.currentPosition', position);
-        
+
+        // Each new area of the sanctuary grid counts as exploring
+        const area = `${Math.floor(position.x / EXPLORATION_AREA_SIZE)},${Math.floor(position.y / EXPLORATION_AREA_SIZE)}`;
+        const visitedAreas = this.get('world.visitedAreas') || [];
+        if (!visitedAreas.includes(area)) {
+            this.set('world.visitedAreas', [...visitedAreas, area]);
+            this.addExperience(null, 'exploration');
+            this.emit('areaDiscovered', { area, count: visitedAreas.length + 1 });
+        }
+
         // Track object discovery
         if (objectType) {
             const currentCount = this.get(`world.discoveredObjects.${objectType}`) || 0;
@@ -422,8 +551,9 @@ class GameStateManager {
             const interactions = this.get('world.interactionCount');
             this.set('world.interactionCount', interactions + 1);
             
-            // Give creature experience for exploration
-            this.updateCreature({ experience: 5 });
+            // Give creature experience for the discovery
+            this.addExperience(null, objectType === 'flowers' ? 'flower' : 'exploration');
+            this.emit('objectDiscovered', { objectType, count: currentCount + 1 });
         }
     }
 
@@ -431,10 +561,9 @@ class GameStateManager {
      * Unlock new content
      */
     unlock(type, item) {
-        const unlocks = this.get('unlocks');
-        if (!unlocks[type].includes(item)) {
-            unlocks[type].push(item);
-            this.set(`unlocks.${type}`, unlocks[type]);
+        const unlocked = this.get(`unlocks.${type}`) || [];
+        if (!unlocked.includes(item)) {
+            this.set(`unlocks.${type}`, [...unlocked, item]);
             this.emit('unlocked', { type, item });
             
             console.log(`[GameState] Unlocked ${type}:`, item);
@@ -454,18 +583,378 @@ class GameStateManager {
      */
     completeHatching() {
         if (!this.get('creature.hatched')) {
+            // A fresh hatch replaces the active creature's roster entry
+            const previousId = this.get('creature.id');
+            if (previousId) {
+                this.state.creatures = this.state.creatures.filter(entry => entry.id !== previousId);
+            }
+            this.set('creature.id', this.generateCreatureId());
             this.set('creature.hatched', true);
             this.set('creature.hatchTime', Date.now());
             this.unlock('scenes', 'GameScene');
-            this.updateCreature({ experience: 50 }); // Bonus XP for hatching
+            this.addExperience(null, 'hatch'); // Bonus XP for hatching
 
             // Initialize care system for the new creature
             this.initializeCareSystem();
+            this.syncActiveCreature();
 
             console.log('[GameState] Creature hatching completed!');
         }
     }
 
+    generateCreatureId() {
+        return `crt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Copy the active creature into its roster entry
+     */
+    syncActiveCreature() {
+        const creature = this.state.creature;
+        if (!creature?.hatched || !creature.id) return;
+
+        if (!Array.isArray(this.state.creatures)) {
+            this.state.creatures = [];
+        }
+
+        const snapshot = JSON.parse(JSON.stringify(creature));
+        const index = this.state.creatures.findIndex(entry => entry.id === creature.id);
+        if (index >= 0) {
+            this.state.creatures[index] = snapshot;
+        } else {
+            this.state.creatures.push(snapshot);
+        }
+        this.state.activeCreatureId = creature.id;
+    }
+
+    /**
+     * Summaries of every hatched creature for roster UI
+     */
+    getRoster() {
+        this.syncActiveCreature();
+
+        return (this.state.creatures || []).map(entry => ({
+            id: entry.id,
+            name: entry.name || 'Your Creature',
+            level: entry.level || 1,
+            rarity: entry.rarity || null,
+            species: entry.species || null,
+            hatchTime: entry.hatchTime || null,
+            happiness: entry.stats?.happiness ?? null,
+            generation: entry.lineage?.generation || 0,
+            active: entry.id === this.state.activeCreatureId
+        }));
+    }
+
+    /**
+     * Full record for a roster creature (a copy; use setActiveCreature to edit)
+     */
+    getRosterCreature(creatureId) {
+        this.syncActiveCreature();
+
+        const entry = (this.state.creatures || []).find(creature => creature.id === creatureId);
+        return entry ? JSON.parse(JSON.stringify(entry)) : null;
+    }
+
+    /**
+     * Store a roster creature's life stage (LifeStageSystem decides when it grows)
+     * @returns {boolean} false when the creature isn't in the roster
+     */
+    setCreatureLifeStage(creatureId, lifeStage) {
+        return this.setCreatureRecordField(creatureId, 'lifeStage', lifeStage);
+    }
+
+    /**
+     * Store a roster creature's skill training (SkillSystem owns the rules)
+     * @returns {boolean} false when the creature isn't in the roster
+     */
+    setCreatureTraining(creatureId, training) {
+        return this.setCreatureRecordField(creatureId, 'training', training);
+    }
+
+    /**
+     * Write one top-level field of a roster record (through set() for the active creature) and save
+     */
+    setCreatureRecordField(creatureId, field, data) {
+        this.syncActiveCreature();
+
+        const entry = (this.state.creatures || []).find(creature => creature.id === creatureId);
+        if (!entry) return false;
+
+        const value = JSON.parse(JSON.stringify(data));
+        if (creatureId === this.state.activeCreatureId) {
+            this.set(`creature.${field}`, value);
+            this.syncActiveCreature();
+        } else {
+            entry[field] = value;
+        }
+
+        this.save();
+        return true;
+    }
+
+    isRosterFull() {
+        this.syncActiveCreature();
+        return (this.state.creatures || []).length >= this.maxRosterSize;
+    }
+
+    /**
+     * Add a hatched creature to the roster
+     * @param {object} creatureData - Creature fields (genetics, dna, personalityState, stats…)
+     * @param {object} options - { makeActive } switch to the new creature right away
+     * @returns {object|null} The stored creature record, or null when the roster is full
+     */
+    addCreatureToRoster(creatureData = {}, { makeActive = false } = {}) {
+        if (creatureData.visiting) {
+            console.warn('[GameState] Visiting creatures cannot join the roster');
+            return null;
+        }
+
+        if (this.isRosterFull()) {
+            console.warn('[GameState] Creature roster is full');
+            this.emit('rosterFull', { maxRosterSize: this.maxRosterSize });
+            return null;
+        }
+
+        const now = Date.now();
+        const record = this.deepMerge(this.createInitialState().creature, JSON.parse(JSON.stringify(creatureData)));
+        record.id = record.id || this.generateCreatureId();
+        record.hatched = true;
+        record.hatchTime = record.hatchTime || now;
+        record.care.lastCareTime = record.care.lastCareTime || now;
+
+        this.state.creatures.push(record);
+        this.emit('creatureAdded', { creature: JSON.parse(JSON.stringify(record)) });
+        console.log(`[GameState] ${record.name} joined the roster (${this.state.creatures.length}/${this.maxRosterSize})`);
+
+        // First creature (e.g. no hatch yet) becomes the companion automatically
+        if (makeActive || !this.state.creature.hatched) {
+            this.setActiveCreature(record.id);
+        } else {
+            this.save();
+        }
+
+        return record;
+    }
+
+    /**
+     * Take a creature out of the roster (e.g. traded away)
+     * The active companion can't leave; switch to another creature first
+     * @returns {object|null} The removed record, or null when it can't be removed
+     */
+    removeCreatureFromRoster(creatureId) {
+        this.syncActiveCreature();
+
+        const record = (this.state.creatures || []).find(entry => entry.id === creatureId);
+        if (!record || creatureId === this.state.activeCreatureId) {
+            return null;
+        }
+
+        // Descendants that stay behind keep a renderable pedigree
+        const hasOffspring = this.state.creatures.some(entry => entry.lineage?.parentIds?.includes(creatureId));
+        if (hasOffspring && typeof window !== 'undefined' && window.LineageSystem) {
+            window.LineageSystem.archiveAncestors([record]);
+        }
+
+        this.state.creatures = this.state.creatures.filter(entry => entry.id !== creatureId);
+        this.emit('creatureRemoved', { creature: JSON.parse(JSON.stringify(record)) });
+        console.log(`[GameState] ${record.name} left the roster (${this.state.creatures.length}/${this.maxRosterSize})`);
+        this.save();
+
+        return record;
+    }
+
+    /**
+     * Hatch an egg straight into the roster (eggs from the inventory or breeding)
+     * @param {object} options - { rarity, source, name, makeActive, offspring }
+     * @returns {object|null} The new creature record
+     */
+    hatchEgg({ rarity = 'common', source = null, name = null, makeActive = false, offspring = null } = {}) {
+        if (this.isRosterFull()) {
+            this.emit('rosterFull', { maxRosterSize: this.maxRosterSize });
+            return null;
+        }
+
+        const genomeSystem = typeof window !== 'undefined' ? window.Genome : null;
+        // One seed per creature (shrine eggs reuse their DNA seed) so it can be regenerated later
+        const seed = offspring?.dna?.seed ?? this.createCreatureSeed();
+        let genetics = typeof window !== 'undefined' && window.CreatureGenetics
+            ? window.CreatureGenetics.generateCreatureGenetics(rarity, { seed })
+            : null;
+        // Shrine eggs carry the DNA built from both parents
+        const dna = offspring?.dna || (typeof window !== 'undefined' && window.CreatureDNA
+            ? window.CreatureDNA.generateDNA({ forcedRarity: rarity, seed })
+            : null);
+        let personalityState = dna && typeof window !== 'undefined' && window.PersonalitySystem
+            ? window.PersonalitySystem.initializePersonalityState(dna)
+            : null;
+
+        // Inherited species, colors, body shape and personality axes override the fresh rolls
+        if (offspring?.genome && genomeSystem) {
+            genetics = genomeSystem.applyToGenetics(genetics, offspring.genome);
+            personalityState = genomeSystem.applyToPersonalityState(personalityState, offspring.genome);
+        }
+
+        const creatureData = {
+            name: name || `Hatchling ${this.state.creatures.length + 1}`,
+            rarity: genetics?.rarity || rarity,
+            genetics,
+            dna,
+            personalityState,
+            species: genetics?.species || null,
+            personality: genetics?.personality?.core || null,
+            cosmicElement: genetics?.cosmicAffinity?.element || null,
+            hatchSource: source,
+            genes: offspring?.genes || null,
+            genome: offspring?.genome || null,
+            lineage: offspring?.lineage || null
+        };
+
+        // Eggs from the shop or rewards start a genome from their fresh rolls
+        if (!creatureData.genome && genomeSystem) {
+            creatureData.genome = genomeSystem.fromCreature({ ...creatureData, id: dna?.id || genetics?.id });
+            creatureData.genes = genomeSystem.getGenes(creatureData.genome);
+        }
+
+        const record = this.addCreatureToRoster(creatureData, { makeActive });
+        if (record) {
+            this.emit('eggHatched', { creature: JSON.parse(JSON.stringify(record)), source });
+        }
+        return record;
+    }
+
+    /**
+     * Fresh creature seed from the genetics stream (see RandomService)
+     */
+    createCreatureSeed() {
+        const randomService = typeof window !== 'undefined' ? window.RandomService : null;
+        return randomService ? randomService.createSeed('genetics') : null;
+    }
+
+    /**
+     * Seed a roster creature was generated from (stored as genetics.seed and dna.seed)
+     */
+    getCreatureSeed(creatureId) {
+        const record = this.getRosterCreature(creatureId);
+        return record?.genetics?.seed ?? record?.dna?.seed ?? null;
+    }
+
+    /**
+     * Regenerate a creature's genetics and DNA from the seed stored in its save
+     * Shrine offspring get their inherited genome applied again, as in hatchEgg()
+     * @returns {{ seed, genetics, dna }|null} null when the creature has no seed
+     */
+    regenerateCreature(creatureId) {
+        const record = this.getRosterCreature(creatureId);
+        const seed = this.getCreatureSeed(creatureId);
+        if (!record || seed === null) return null;
+
+        const genomeSystem = typeof window !== 'undefined' ? window.Genome : null;
+        const inherited = !!(record.lineage?.parentIds?.length && record.genome && genomeSystem);
+        const rarity = record.genetics?.rarity || record.rarity || 'common';
+
+        let genetics = window.CreatureGenetics
+            ? window.CreatureGenetics.generateCreatureGenetics(rarity, { seed })
+            : null;
+        let dna = window.CreatureDNA
+            ? window.CreatureDNA.generateDNA({ forcedRarity: record.dna?.raritySignature || rarity, seed })
+            : null;
+
+        if (inherited) {
+            genetics = genomeSystem.applyToGenetics(genetics, record.genome);
+            dna = dna && this.buildOffspringDNA(dna, record.genome, record.dna?.raritySignature || rarity);
+        }
+
+        return { seed, genetics, dna };
+    }
+
+    /**
+     * Share code for a roster creature (see ShareCode)
+     */
+    getCreatureShareCode(creatureId = this.state.activeCreatureId) {
+        const shareCode = typeof window !== 'undefined' ? window.ShareCode : null;
+        const record = this.getRosterCreature(creatureId);
+        return shareCode && record ? shareCode.encode(record) : null;
+    }
+
+    /**
+     * Invite a friend's creature to visit from its share code
+     * Visitors stay out of the roster and the save, so they never count toward the codex or economy
+     * @returns {{ success: boolean, visitor?: object, error?: string }}
+     */
+    addVisitingCreature(code) {
+        const validator = typeof window !== 'undefined' ? window.InputValidator : null;
+        const shareCode = typeof window !== 'undefined' ? window.ShareCode : null;
+        if (!validator || !shareCode) {
+            return { success: false, error: 'Sharing is not available right now' };
+        }
+
+        const validation = validator.validate(code, 'shareCode');
+        if (!validation.isValid) {
+            return { success: false, error: validation.errors[0] };
+        }
+
+        const visitor = shareCode.toVisitorRecord(validation.decoded);
+        if (this.visitingCreatures.some(entry => entry.id === visitor.id)) {
+            return { success: false, error: 'That creature is already visiting' };
+        }
+        if (this.visitingCreatures.length >= this.maxVisitingCreatures) {
+            return { success: false, error: `Only ${this.maxVisitingCreatures} visitors fit at once` };
+        }
+
+        visitor.arrivedAt = Date.now();
+        this.visitingCreatures.push(visitor);
+        this.emit('visitorArrived', { visitor: JSON.parse(JSON.stringify(visitor)) });
+        console.log(`[GameState] ${visitor.name} came to visit (${visitor.shareCode})`);
+
+        return { success: true, visitor: JSON.parse(JSON.stringify(visitor)) };
+    }
+
+    getVisitingCreatures() {
+        return JSON.parse(JSON.stringify(this.visitingCreatures));
+    }
+
+    removeVisitingCreature(visitorId) {
+        const visitor = this.visitingCreatures.find(entry => entry.id === visitorId);
+        if (!visitor) return false;
+
+        this.visitingCreatures = this.visitingCreatures.filter(entry => entry.id !== visitorId);
+        this.emit('visitorLeft', { visitor: JSON.parse(JSON.stringify(visitor)) });
+        return true;
+    }
+
+    /**
+     * Make another roster creature the active companion
+     * Care, personality, memory and the game world all read the `creature` node
+     */
+    setActiveCreature(creatureId) {
+        if (creatureId === this.state.activeCreatureId && this.state.creature.id === creatureId) {
+            return true;
+        }
+
+        this.syncActiveCreature();
+        const target = (this.state.creatures || []).find(entry => entry.id === creatureId);
+        if (!target) {
+            console.warn('[GameState] Cannot activate unknown creature:', creatureId);
+            return false;
+        }
+
+        const previousId = this.state.creature.hatched ? this.state.creature.id : null;
+        this.emit('activeCreatureChanging', { creatureId: previousId, nextCreatureId: creatureId });
+
+        this.state.creature = this.deepMerge(this.createInitialState().creature, JSON.parse(JSON.stringify(target)));
+        this.state.activeCreatureId = creatureId;
+        this.repairState('roster', 'creature');
+
+        this.emit('activeCreatureChanged', { previousId, creatureId, creature: this.get('creature') });
+        console.log(`[GameState] Active creature: ${previousId || 'none'} → ${creatureId}`);
+
+        if (this.initialized) {
+            this.save();
+        }
+        return true;
+    }
+
     /**
      * Check if breeding shrine should be unlocked (level 5+)
      */
@@ -516,7 +1005,7 @@ class GameStateManager {
         }
 
         // Get current creature genes (generate if not exists)
-        let creatureGenes = this.get('creature.genes');
+        let creatureGenes = this.getCreatureGenes(this.get('creature.id'));
         if (!creatureGenes) {
             // Generate initial genes for current creature
             creatureGenes = window.BreedingEngine.generateInitialGenes();
@@ -545,7 +1034,7 @@ class GameStateManager {
         this.set('breedingShrine.breedingHistory', history);
 
         // Give experience for breeding
-        this.updateCreature({ experience: 25 });
+        this.addExperience(null, 'breeding');
 
         this.emit('breedingCompleted', {
             offspringGenes,
@@ -572,7 +1061,179 @@ class GameStateManager {
         return {
             ...shrineData,
             ...status,
-            creatureGenes: this.get('creature.genes')
+            creatureGenes: this.getCreatureGenes(this.get('creature.id'))
+        };
+    }
+
+    /**
+     * Unified genome for a roster creature (see Genome.js)
+     * Creatures from before the genome are converted on first use and the
+     * result is stored, together with matching Mendelian `genes`
+     */
+    getCreatureGenome(creatureId) {
+        const genomeSystem = typeof window !== 'undefined' ? window.Genome : null;
+        const isActive = creatureId === this.state.creature.id;
+        const record = isActive
+            ? this.state.creature
+            : (this.state.creatures || []).find(entry => entry.id === creatureId);
+
+        if (!record || !genomeSystem) return null;
+        if (record.genome) return record.genome;
+
+        const genome = genomeSystem.fromCreature(record);
+        const genes = genomeSystem.getGenes(genome);
+        if (isActive) {
+            this.set('creature.genome', genome);
+            this.set('creature.genes', genes);
+        } else {
+            record.genome = genome;
+            record.genes = genes;
+        }
+        return genome;
+    }
+
+    /**
+     * Mendelian genes for a roster creature (BreedingEngine format)
+     */
+    getCreatureGenes(creatureId) {
+        const genome = this.getCreatureGenome(creatureId);
+        return genome ? window.Genome.getGenes(genome) : null;
+    }
+
+    /**
+     * Compatibility and offspring odds for two roster creatures (for the shrine UI)
+     */
+    getBreedingPreview(parentAId, parentBId) {
+        const breedingEngine = typeof window !== 'undefined' ? window.BreedingEngine : null;
+        if (!breedingEngine || !parentAId || !parentBId || parentAId === parentBId) return null;
+
+        const parentA = this.getRosterCreature(parentAId);
+        const parentB = this.getRosterCreature(parentBId);
+        if (!parentA || !parentB) return null;
+
+        const genesA = this.getCreatureGenes(parentAId);
+        const genesB = this.getCreatureGenes(parentBId);
+        const lineageSystem = typeof window !== 'undefined' ? window.LineageSystem : null;
+
+        return {
+            compatibility: breedingEngine.getBreedingCompatibility(genesA, genesB),
+            traitOdds: breedingEngine.predictOffspring(genesA, genesB),
+            rarityOdds: breedingEngine.getOffspringRarityOdds(parentA.rarity, parentB.rarity),
+            inbreeding: lineageSystem ? lineageSystem.assessPairing(parentAId, parentBId) : null
+        };
+    }
+
+    /**
+     * Breed two roster creatures; the offspring egg goes into the inventory
+     * The egg carries the offspring lineage (parents, generation, trait origins)
+     * @returns {Object} { success, reason?, egg, offspringGenes, compatibility, inbreeding }
+     */
+    breedRosterCreatures(parentAId, parentBId) {
+        const breedingEngine = typeof window !== 'undefined' ? window.BreedingEngine : null;
+        const inventory = typeof window !== 'undefined' ? window.InventoryManager : null;
+        const status = this.getBreedingShrineStatus();
+
+        const fail = (reason) => {
+            console.warn('[GameState] Breeding refused:', reason);
+            this.emit('breedingRefused', { reason, parentIds: [parentAId, parentBId] });
+            return { success: false, reason };
+        };
+
+        const genomeSystem = typeof window !== 'undefined' ? window.Genome : null;
+
+        if (!breedingEngine || !genomeSystem || !inventory?.addItem) return fail('unavailable');
+        if (!status.unlocked) return fail('locked');
+        if (!status.canBreed) return fail('cooldown');
+        if (!parentAId || parentAId === parentBId) return fail('same_parent');
+
+        const parentA = this.getRosterCreature(parentAId);
+        const parentB = this.getRosterCreature(parentBId);
+        if (!parentA || !parentB) return fail('unknown_parent');
+
+        const genesA = this.getCreatureGenes(parentAId);
+        const genesB = this.getCreatureGenes(parentBId);
+        const crossed = genomeSystem.cross(this.getCreatureGenome(parentAId), this.getCreatureGenome(parentBId));
+        const { genome, mutations } = crossed;
+        const offspringGenes = genomeSystem.getGenes(genome);
+        const offspringData = breedingEngine.getCreatureTraits(offspringGenes);
+        const compatibility = breedingEngine.getBreedingCompatibility(genesA, genesB);
+        const rarity = breedingEngine.rollOffspringRarity(parentA.rarity, parentB.rarity);
+        const seed = this.createCreatureSeed();
+        const baseDna = window.CreatureDNA?.generateDNA
+            ? window.CreatureDNA.generateDNA({ forcedRarity: rarity, seed })
+            : { id: `dna_${Date.now().toString(36)}`, seed, generatedAt: Date.now() };
+        const lineageSystem = window.LineageSystem;
+        const lineage = lineageSystem
+            ? lineageSystem.buildOffspringLineage(parentAId, parentBId, crossed)
+            : { parentIds: [parentAId, parentBId], generation: 1, traitOrigins: {}, mutations };
+        const inbreeding = lineageSystem ? lineageSystem.assessPairing(parentAId, parentBId) : null;
+
+        const egg = {
+            id: 'shrine_egg',
+            name: 'Shrine Egg',
+            description: `A warm egg from ${parentA.name} and ${parentB.name}`,
+            icon: '🥚',
+            type: 'egg',
+            rarity,
+            offspring: {
+                genome,
+                genes: offspringGenes,
+                dna: this.buildOffspringDNA(baseDna, genome, rarity),
+                mutations,
+                lineage,
+                parentIds: [parentAId, parentBId],
+                parentNames: [parentA.name, parentB.name]
+            }
+        };
+
+        if (!inventory.addItem(egg)) return fail('inventory_full');
+
+        // Parents stay in the pedigree even if they later leave the roster
+        lineageSystem?.archiveAncestors([parentA, parentB]);
+
+        const now = Date.now();
+        this.set('breedingShrine.lastBreedingTime', now);
+
+        const history = this.get('breedingShrine.breedingHistory');
+        history.push({
+            timestamp: now,
+            parentIds: [parentAId, parentBId],
+            rarity,
+            offspringTraits: offspringData.traits,
+            mutations: mutations.length,
+            generation: lineage.generation,
+            inbreeding: inbreeding?.coefficient ?? 0,
+            compatibility
+        });
+        this.set('breedingShrine.breedingHistory', history);
+
+        // Give experience for breeding
+        this.addExperience(null, 'breeding');
+
+        this.emit('breedingCompleted', {
+            offspringGenes,
+            offspringData,
+            parentIds: [parentAId, parentBId],
+            egg,
+            inbreeding,
+            breedingTime: now
+        });
+        console.log(`[GameState] ${parentA.name} + ${parentB.name} → ${rarity} Shrine Egg`);
+
+        this.save();
+        return { success: true, egg, offspringGenes, compatibility, inbreeding };
+    }
+
+    /**
+     * Offspring DNA: freshly rolled DNA with the inherited genome and Mendelian visuals applied
+     */
+    buildOffspringDNA(baseDna, genome, rarity) {
+        const offspringData = window.BreedingEngine.getCreatureTraits(window.Genome.getGenes(genome));
+
+        return {
+            ...window.Genome.applyToDNA(baseDna, genome),
+            raritySignature: rarity,
+            inheritedTraits: offspringData.visualData
         };
     }
 
@@ -588,6 +1249,18 @@ class GameStateManager {
         }
     }
 
+    /**
+     * Catch the creature's needs up on the time since the game was last played
+     * Falls back to the happiness-only decay when NeedsSystem is not loaded
+     */
+    updateNeedsFromTime() {
+        if (window.NeedsSystem?.fastForward) {
+            window.NeedsSystem.fastForward();
+            return;
+        }
+        this.updateHappinessFromTime();
+    }
+
     /**
      * Update creature happiness based on time offline
      */
@@ -616,42 +1289,36 @@ class GameStateManager {
     }
 
     /**
-     * Perform care action (feed, play, rest)
+     * Perform care action (definitions come from CareSystem's care-actions.json registry)
+     * @param {string} actionType - Care action id
+     * @param {number|null} happinessOverride - Happiness to add instead of the action's bonus
+     * @param {object|null} action - Care action definition ({ happinessBonus, dailyLimit, personality })
      */
-    performCareAction(actionType, happinessOverride = null) {
+    performCareAction(actionType, happinessOverride = null, action = null) {
         const creature = this.get('creature');
         if (!creature.hatched) return false;
 
         // Reset daily counters if it's a new day
         this.resetDailyCountersIfNeeded();
 
+        const definition = action
+            || window.CareSystem?.getCareAction?.(actionType)
+            || FALLBACK_CARE_ACTIONS[actionType];
+        if (!definition) return false;
+
         const dailyCare = creature.care.dailyCare;
+        const countKey = `${actionType}Count`;
+        const count = dailyCare[countKey] || 0;
+        const dailyLimit = typeof definition.dailyLimit === 'number' ? definition.dailyLimit : -1;
+
         let canPerform = false;
         let happinessBonus = 0;
 
-        switch (actionType) {
-            case 'feed':
-                if (dailyCare.feedCount < 3) {
-                    happinessBonus = 15;
-                    this.set('creature.care.dailyCare.feedCount', dailyCare.feedCount + 1);
-                    canPerform = true;
-                }
-                break;
-
-            case 'play':
-                if (dailyCare.playCount < 2) {
-                    happinessBonus = 10;
-                    this.set('creature.care.dailyCare.playCount', dailyCare.playCount + 1);
-                    canPerform = true;
-                }
-                break;
-
-            case 'rest':
-                // Unlimited rests, smaller happiness bonus
-                happinessBonus = 5;
-                this.set('creature.care.dailyCare.restCount', dailyCare.restCount + 1);
-                canPerform = true;
-                break;
+        // -1 = unlimited
+        if (dailyLimit < 0 || count < dailyLimit) {
+            happinessBonus = definition.happinessBonus || 0;
+            this.set(`creature.care.dailyCare.${countKey}`, count + 1);
+            canPerform = true;
         }
 
         if (canPerform) {
@@ -693,7 +1360,8 @@ class GameStateManager {
                 happinessBonus: appliedHappinessBonus,
                 baseHappinessBonus: happinessBonus,
                 happinessOverride: happinessOverride !== null,
-                newHappiness
+                newHappiness,
+                personalityNudges: definition.personality || null
             });
 
             console.log(`[GameState] Care action ${actionType} performed: happiness ${currentHappiness} → ${newHappiness}`);
@@ -711,12 +1379,14 @@ class GameStateManager {
         const today = new Date().toDateString();
 
         if (!lastReset || new Date(lastReset).toDateString() !== today) {
-            this.set('creature.care.dailyCare', {
-                feedCount: 0,
-                playCount: 0,
-                restCount: 0,
-                lastReset: Date.now()
-            });
+            // Every `<action>Count` goes back to zero (registry actions add their own counters)
+            const dailyCare = { feedCount: 0, playCount: 0, restCount: 0 };
+            Object.keys(this.get('creature.care.dailyCare') || {})
+                .filter(key => key.endsWith('Count'))
+                .forEach(key => {
+                    dailyCare[key] = 0;
+                });
+            this.set('creature.care.dailyCare', { ...dailyCare, lastReset: Date.now() });
             console.log('[GameState] Daily care counters reset');
         }
     }
@@ -817,10 +1487,12 @@ class GameStateManager {
         this.set('dailyBonus.totalLogins', this.get('dailyBonus.totalLogins') + 1);
 
         // Grant rewards
-        this.updateCreature({ experience: bonus.rewards.xp });
+        this.addExperience(bonus.rewards.xp, 'dailyBonus');
+        if (bonus.rewards.stardust > 0 && typeof window !== 'undefined' && window.EconomyManager?.addStardust) {
+            window.EconomyManager.addStardust(bonus.rewards.stardust, 'daily_bonus');
+        }
 
-        // TODO: Add stardust currency system when implemented
-        console.log(`[GameState] Daily login bonus claimed: Day ${bonus.streak}, +${bonus.rewards.xp} XP`);
+        console.log(`[GameState] Daily login bonus claimed: Day ${bonus.streak}, +${bonus.rewards.xp} XP, +${bonus.rewards.stardust} stardust`);
 
         this.emit('dailyBonusClaimed', bonus);
         return true;
@@ -845,6 +1517,7 @@ class GameStateManager {
                            happiness >= 20 ? 'unhappy' : 'miserable',
             careStreak: creature.care.careStreak,
             dailyCare: {
+                ...dailyCare,
                 feedCount: dailyCare.feedCount,
                 feedLimit: 3,
                 playCount: dailyCare.playCount,
@@ -860,7 +1533,7 @@ class GameStateManager {
     }
 
     /**
-     * Save game state to localStorage with quota detection and fallback
+     * Save game state through SaveStorage with quota detection and fallback
      */
     save() {
         // Skip saving in memory-only mode
@@ -876,27 +1549,26 @@ class GameStateManager {
             this.state.player.lastPlayed = Date.now();
             this.state.session.sessionStart = Date.now();
 
+            this.syncActiveCreature();
+
             // Create save data (exclude session data)
             const saveData = {
                 ...this.state,
-                version: '1.0.0',
+                version: GAME_VERSION,
                 savedAt: Date.now()
             };
             delete saveData.session;
 
             const serialized = JSON.stringify(saveData);
 
-            // Check quota before saving
-            const quota = this.getStorageQuota();
-            if (quota && quota.percentUsed > 90) {
-                console.warn('[GameState] Storage quota nearly full:', quota.percentUsed.toFixed(1) + '%');
-            }
-
-            localStorage.setItem(this.saveKey, serialized);
+            this.storage.setItem(this.saveKey, serialized);
+            this.updateSlotSummary(this.activeSlotId, this.buildSlotSummary(saveData));
 
             this.emit('saved', saveData);
             console.log('[GameState] Game saved successfully');
 
+            this.checkStorageQuota();
+
             return true;
         } catch (error) {
             // Handle specific quota exceeded error
@@ -924,7 +1596,7 @@ class GameStateManager {
     }
 
     /**
-     * Load game state from localStorage with error handling
+     * Load game state through SaveStorage with error handling
      */
     load() {
         // Skip loading in memory-only mode
@@ -934,7 +1606,7 @@ class GameStateManager {
         }
 
         try {
-            const saveData = localStorage.getItem(this.saveKey);
+            const saveData = this.storage.getItem(this.saveKey);
 
             if (saveData) {
                 // Validate JSON before parsing
@@ -945,32 +1617,30 @@ class GameStateManager {
                     throw new Error('Invalid save data structure');
                 }
 
-                // VERSION CHECKING: Detect incompatible save data
+                // VERSION CHECKING: Detect saves no migration path can upgrade
                 const saveVersion = parsed.version || '1.0.0';
                 const isCompatible = this.checkVersionCompatibility(saveVersion, GAME_VERSION);
 
                 if (!isCompatible) {
                     console.warn(`[GameState] Save data version ${saveVersion} incompatible with game version ${GAME_VERSION}`);
-                    console.warn('[GameState] Starting fresh game to prevent errors');
-
-                    // Backup old save before clearing
-                    try {
-                        localStorage.setItem(`${this.saveKey}_backup_${saveVersion}`, saveData);
-                        console.log(`[GameState] Old save backed up as ${this.saveKey}_backup_${saveVersion}`);
-                    } catch (e) {
-                        console.warn('[GameState] Could not backup old save:', e);
-                    }
-
-                    this.showStorageWarning(`Game updated! Starting fresh. Your old progress was backed up.`);
-                    this.emit('versionMismatch', { oldVersion: saveVersion, newVersion: GAME_VERSION });
+                    this.discardIncompatibleSave(saveData, saveVersion);
                     return false;
                 }
 
-                // MIGRATION: Auto-migrate old saves to new schema
-                const migrated = this.migrateSaveData(parsed, saveVersion);
+                // MIGRATION: Upgrade old saves step by step to the current schema
+                let migrated;
+                try {
+                    migrated = this.migrateSaveData(parsed, saveVersion);
+                } catch (migrationError) {
+                    console.error('[GameState] Save migration failed:', migrationError);
+                    this.emit('migrationFailed', { fromVersion: saveVersion, error: migrationError });
+                    this.discardIncompatibleSave(saveData, saveVersion);
+                    return false;
+                }
 
                 // Merge saved data with current state (preserves new properties in updates)
                 this.state = this.deepMerge(this.state, migrated);
+                this.repairState('load');
 
                 // Update version and timestamp
                 this.state.version = GAME_VERSION;
@@ -993,7 +1663,7 @@ class GameStateManager {
 
                 // Try to clear corrupted data
                 try {
-                    localStorage.removeItem(this.saveKey);
+                    this.storage.removeItem(this.saveKey);
                     console.log('[GameState] Cleared corrupted save data');
                 } catch (e) {
                     console.warn('[GameState] Could not clear corrupted data:', e);
@@ -1008,51 +1678,506 @@ class GameStateManager {
     }
 
     /**
-     * Check if save version is compatible with current game version
-     * Major version mismatches are incompatible (1.x.x vs 2.x.x)
+     * Check if save version can be loaded by the current game version
+     * Older saves are compatible when a migration path exists; newer saves never are
      */
     checkVersionCompatibility(saveVersion, gameVersion) {
-        const saveParts = saveVersion.split('.').map(Number);
-        const gameParts = gameVersion.split('.').map(Number);
+        if (SaveMigrator) {
+            return SaveMigrator.canMigrate(saveVersion, gameVersion);
+        }
+
+        // Without the migration registry only same-major saves are safe
+        const saveMajor = parseInt(saveVersion.split('.')[0], 10) || 1;
+        const gameMajor = parseInt(gameVersion.split('.')[0], 10) || 1;
+        return saveMajor === gameMajor;
+    }
+
+    /**
+     * Back up a save that cannot be upgraded, then start fresh
+     */
+    discardIncompatibleSave(rawSave, saveVersion) {
+        console.warn('[GameState] Starting fresh game to prevent errors');
+
+        this.backupSave(rawSave, saveVersion);
+        this.showStorageWarning(`Game updated! Starting fresh. Your old progress was backed up.`);
+        this.emit('versionMismatch', { oldVersion: saveVersion, newVersion: GAME_VERSION });
+    }
+
+    backupSave(rawSave, saveVersion) {
+        const backupKey = `${this.saveKey}_backup_${saveVersion}`;
+        try {
+            this.storage.setItem(backupKey, rawSave);
+            console.log(`[GameState] Old save backed up as ${backupKey}`);
+        } catch (e) {
+            console.warn('[GameState] Could not backup old save:', e);
+        }
+    }
+
+    /**
+     * Migrate save data from old versions to current schema
+     * Steps live in storage/SaveMigrations.js; major upgrades keep a backup of the original
+     */
+    migrateSaveData(saveData, fromVersion) {
+        if (!SaveMigrator || fromVersion === GAME_VERSION) {
+            return { ...saveData };
+        }
+
+        const defaults = this.createInitialState();
+        const { data, steps } = SaveMigrator.migrate(saveData, fromVersion, GAME_VERSION, { defaults });
+
+        if (steps.length === 0) {
+            return data;
+        }
+
+        if (SaveMigrator.isMajorUpgrade(fromVersion, GAME_VERSION)) {
+            this.backupSave(JSON.stringify(saveData), fromVersion);
+        }
+
+        delete defaults.session;
+        const issues = SaveMigrator.validateShape(data, defaults);
+        if (issues.length > 0) {
+            console.warn('[GameState] Migrated save differs from current schema:', issues);
+        }
 
-        const saveMajor = saveParts[0] || 1;
-        const gameMajor = gameParts[0] || 1;
+        this.emit('saveMigrated', { fromVersion, toVersion: GAME_VERSION, steps, issues });
+        console.log(`[GameState] Migration complete: ${fromVersion} → ${GAME_VERSION} (${steps.join(', ')})`);
+        return data;
+    }
+
+    /**
+     * Check the state tree against the schema and repair invalid fields to defaults
+     * @param {string} source - What triggered the check ('load', 'import', 'set')
+     * @param {string|null} path - Limit the check to the section containing this path
+     * @returns {Array<object>} Repairs made: { path, problem, from, to }
+     */
+    repairState(source, path = null) {
+        if (!StateValidator) return [];
+
+        const defaults = this.createInitialState();
+        const repairs = path
+            ? StateValidator.validatePath(this.state, path, defaults)
+            : StateValidator.validate(this.state, defaults);
+
+        if (repairs.length > 0) {
+            console.warn(`[GameState] Repaired ${repairs.length} invalid field(s) after ${source}:`,
+                repairs.map(repair => `${repair.path} (${repair.problem})`));
+            this.emit('stateRepaired', { source, path, repairs, timestamp: Date.now() });
+        }
+
+        return repairs;
+    }
 
-        // Major version mismatch = incompatible
-        if (saveMajor !== gameMajor) {
+    /**
+     * Build a checksummed export of the active slot (session data excluded)
+     * @returns {object|null} Export envelope, or null when SaveTransfer is unavailable
+     */
+    exportSave() {
+        if (!SaveTransfer) {
+            console.warn('[GameState] Save export unavailable');
+            return null;
+        }
+
+        if (this.state.session?.sessionStart) {
+            const sessionTime = Date.now() - this.state.session.sessionStart;
+            this.state.player.playTime += sessionTime;
+            this.state.session.sessionStart = Date.now();
+        }
+
+        this.syncActiveCreature();
+        const envelope = SaveTransfer.createEnvelope({ ...this.state, savedAt: Date.now() }, GAME_VERSION);
+        this.emit('saveExported', { slotId: this.activeSlotId, exportedAt: envelope.exportedAt });
+        return envelope;
+    }
+
+    /**
+     * Export the active slot and offer it as a file download
+     */
+    downloadSaveExport() {
+        const envelope = this.exportSave();
+        return envelope ? SaveTransfer.download(envelope) : false;
+    }
+
+    /**
+     * Validate an imported save file without touching the current state
+     * Tampered, malformed or too-new files are rejected; older ones are migrated.
+     * @param {string} text - Raw file contents
+     * @returns {object} { ok, data, preview, steps } or { ok: false, reason, message }
+     */
+    readSaveImport(text) {
+        if (!SaveTransfer) {
+            return { ok: false, reason: 'unavailable', message: 'Save import is not available.' };
+        }
+
+        const result = SaveTransfer.parseImport(text, {
+            gameVersion: GAME_VERSION,
+            migrator: SaveMigrator || null,
+            defaults: this.createInitialState()
+        });
+        const rejection = result.ok ? this.checkTradeRollback(result.data) : result;
+
+        if (rejection) {
+            console.warn(`[GameState] Save import rejected (${rejection.reason}): ${rejection.message}`);
+            this.emit('saveImportRejected', { reason: rejection.reason, message: rejection.message });
+            return rejection;
+        }
+
+        return result;
+    }
+
+    /**
+     * Refuse saves from before this slot's latest trade step. Their roster could still hold a
+     * creature that has since been traded away, and trading it again would duplicate it.
+     * @returns {object|null} { ok: false, reason, message }, or null when the import is safe
+     */
+    checkTradeRollback(data) {
+        const trading = this.state.trading || {};
+        const lastTradeAt = Math.max(0,
+            ...Object.values(trading.consumedOffers || {}).map(entry => entry.completedAt || 0),
+            ...Object.values(trading.pendingOffers || {}).map(entry => entry.createdAt || 0)
+        );
+
+        if (lastTradeAt === 0 || (data.savedAt || 0) >= lastTradeAt) return null;
+        return {
+            ok: false,
+            reason: 'trade_rollback',
+            message: 'This save file is older than your last trade, so it can\'t replace this slot.'
+        };
+    }
+
+    /**
+     * Trade ledger after an import: used offers from both saves stay used, and escrow that
+     * either save already settled is not brought back. The slot keeps its trade identity.
+     */
+    mergeTradingLedger(current = {}, imported = {}) {
+        const consumedOffers = { ...(imported.consumedOffers || {}), ...(current.consumedOffers || {}) };
+        const pendingOffers = Object.fromEntries(
+            Object.entries({ ...(imported.pendingOffers || {}), ...(current.pendingOffers || {}) })
+                .filter(([nonce]) => !consumedOffers[nonce])
+        );
+        const owner = current.identity ? current : imported;
+
+        return {
+            ...imported,
+            saveId: owner.saveId ?? null,
+            identity: owner.identity,
+            pendingOffers,
+            consumedOffers
+        };
+    }
+
+    /**
+     * Replace the active slot with a validated import from readSaveImport()
+     */
+    importSave(importResult) {
+        if (!importResult || !importResult.ok || !importResult.data) {
+            console.warn('[GameState] Refusing to import an unvalidated save');
             return false;
         }
+        if (this.checkTradeRollback(importResult.data)) {
+            console.warn('[GameState] Refusing to import a save from before the last trade');
+            return false;
+        }
+
+        const { session, trading } = this.state;
+        this.state = this.deepMerge(this.createInitialState(), JSON.parse(JSON.stringify(importResult.data)));
+        this.state.session = { ...session, sessionStart: Date.now() };
+        this.state.trading = this.mergeTradingLedger(trading, this.state.trading);
+        this.state.version = GAME_VERSION;
+        this.repairState('import');
+
+        this.save();
+
+        this.emit('saveImported', {
+            slotId: this.activeSlotId,
+            preview: importResult.preview,
+            fromVersion: importResult.schemaVersion,
+            steps: importResult.steps
+        });
+        console.log(`[GameState] Imported save into slot ${this.activeSlotId}`);
 
-        // Same major version = compatible (minor/patch changes should be backward compatible)
         return true;
     }
 
     /**
-     * Migrate save data from old versions to current schema
-     * Add migration logic here when changing save data structure
+     * Resolve the active save slot from the slot index
+     * Legacy single-key saves become the default slot
      */
-    migrateSaveData(saveData, fromVersion) {
-        const migrated = { ...saveData };
+    restoreActiveSlot() {
+        const index = this.readSlotIndex();
+        const activeSlot = index.slots.find(slot => slot.id === index.activeSlotId) || index.slots[0];
+
+        this.activeSlotId = activeSlot.id;
+        this.saveKey = this.getSlotSaveKey(activeSlot.id);
 
-        // Example migration for v1.0.0 → v1.1.0
-        // if (fromVersion === '1.0.0') {
-        //     migrated.newField = 'default value';
-        // }
+        if (index.activeSlotId !== activeSlot.id) {
+            this.writeSlotIndex({ ...index, activeSlotId: activeSlot.id });
+        }
+    }
+
+    /**
+     * Storage key for a slot's save data
+     */
+    getSlotSaveKey(slotId) {
+        return slotId === DEFAULT_SLOT_ID ? this.baseSaveKey : `${this.baseSaveKey}:${slotId}`;
+    }
+
+    /**
+     * Read the slot index, building a default one if none exists
+     */
+    readSlotIndex() {
+        if (this.slotIndex) return this.slotIndex;
+
+        let index = null;
+        if (this.storageMode !== 'memory') {
+            try {
+                const raw = this.storage.getItem(this.slotIndexKey);
+                index = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                console.warn('[GameState] Slot index unreadable, rebuilding:', error);
+                index = null;
+            }
+        }
+
+        if (!index || !Array.isArray(index.slots) || index.slots.length === 0) {
+            index = {
+                activeSlotId: DEFAULT_SLOT_ID,
+                slots: [this.createSlotEntry(DEFAULT_SLOT_ID, 'Save 1', this.readSlotSummary(DEFAULT_SLOT_ID))]
+            };
+        }
+
+        this.slotIndex = index;
+        return index;
+    }
+
+    /**
+     * Persist the slot index (kept in memory when storage is unavailable)
+     * Stored with a `savedAt` so SaveStorage can tell which backend has the newer copy
+     */
+    writeSlotIndex(index) {
+        this.slotIndex = index;
+        if (this.storageMode === 'memory') return;
+
+        try {
+            this.storage.setItem(this.slotIndexKey, JSON.stringify({ ...index, savedAt: Date.now() }));
+        } catch (error) {
+            console.warn('[GameState] Failed to write slot index:', error);
+        }
+    }
+
+    createSlotEntry(id, label, summary = null) {
+        const now = Date.now();
+        return {
+            id,
+            label,
+            createdAt: now,
+            summary: summary || this.buildSlotSummary(null)
+        };
+    }
+
+    /**
+     * Per-slot metadata shown in the slot list
+     */
+    buildSlotSummary(state) {
+        const creature = state?.creature || {};
+        return {
+            creatureName: creature.hatched ? (creature.name || 'Your Creature') : null,
+            level: creature.level || 1,
+            rarity: creature.rarity || null,
+            hatched: !!creature.hatched,
+            lastPlayed: state?.player?.lastPlayed || null
+        };
+    }
+
+    /**
+     * Build a summary from a slot's stored save without loading it
+     */
+    readSlotSummary(slotId) {
+        if (this.storageMode === 'memory') return this.buildSlotSummary(null);
+
+        try {
+            const raw = this.storage.getItem(this.getSlotSaveKey(slotId));
+            return this.buildSlotSummary(raw ? JSON.parse(raw) : null);
+        } catch (error) {
+            return this.buildSlotSummary(null);
+        }
+    }
+
+    updateSlotSummary(slotId, summary) {
+        const index = this.readSlotIndex();
+        const slots = index.slots.map(slot => (slot.id === slotId ? { ...slot, summary } : slot));
+        this.writeSlotIndex({ ...index, slots });
+    }
+
+    /**
+     * List save slots with creature name, level, rarity and last played
+     */
+    listSaveSlots() {
+        const index = this.readSlotIndex();
+        return index.slots.map(slot => ({
+            ...slot,
+            summary: { ...slot.summary },
+            active: slot.id === this.activeSlotId
+        }));
+    }
+
+    getActiveSlot() {
+        return this.listSaveSlots().find(slot => slot.active) || null;
+    }
+
+    /**
+     * Create an empty save slot (does not switch to it)
+     * @param {string} label - Display name for the slot
+     * @returns {object|null} Slot entry, or null when all slots are in use
+     */
+    createSaveSlot(label = null) {
+        const index = this.readSlotIndex();
+        if (index.slots.length >= this.maxSaveSlots) {
+            console.warn(`[GameState] Cannot create slot: limit of ${this.maxSaveSlots} reached`);
+            return null;
+        }
+
+        const id = `slot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        const entry = this.createSlotEntry(id, this.sanitizeSlotLabel(label, `Save ${index.slots.length + 1}`));
+
+        this.writeSlotIndex({ ...index, slots: [...index.slots, entry] });
+        this.emit('slotCreated', { slot: entry });
+        console.log(`[GameState] Created save slot ${id}`);
+
+        return { ...entry };
+    }
+
+    /**
+     * Copy a slot's save data into a new slot
+     */
+    duplicateSaveSlot(slotId, label = null) {
+        const index = this.readSlotIndex();
+        const source = index.slots.find(slot => slot.id === slotId);
+        if (!source) {
+            console.warn('[GameState] Cannot duplicate unknown slot:', slotId);
+            return null;
+        }
+
+        // Flush the live state so the copy matches what the player sees
+        if (slotId === this.activeSlotId && this.initialized) {
+            this.save();
+        }
+
+        const entry = this.createSaveSlot(label || `${source.label} (copy)`);
+        if (!entry) return null;
+
+        if (this.storageMode !== 'memory') {
+            try {
+                const raw = this.storage.getItem(this.getSlotSaveKey(slotId));
+                if (raw) {
+                    this.storage.setItem(this.getSlotSaveKey(entry.id), raw);
+                }
+            } catch (error) {
+                console.error('[GameState] Failed to duplicate slot data:', error);
+                this.deleteSaveSlot(entry.id);
+                return null;
+            }
+        }
+
+        this.updateSlotSummary(entry.id, { ...source.summary });
+        this.emit('slotDuplicated', { sourceId: slotId, slot: entry });
+
+        return { ...entry, summary: { ...source.summary } };
+    }
+
+    renameSaveSlot(slotId, label) {
+        const index = this.readSlotIndex();
+        if (!index.slots.some(slot => slot.id === slotId)) return false;
+
+        const slots = index.slots.map(slot => (
+            slot.id === slotId ? { ...slot, label: this.sanitizeSlotLabel(label, slot.label) } : slot
+        ));
+        this.writeSlotIndex({ ...index, slots });
+        return true;
+    }
+
+    /**
+     * Delete a slot and its save data. The active slot cannot be deleted.
+     */
+    deleteSaveSlot(slotId) {
+        if (slotId === this.activeSlotId) {
+            console.warn('[GameState] Cannot delete the active save slot');
+            return false;
+        }
+
+        const index = this.readSlotIndex();
+        if (!index.slots.some(slot => slot.id === slotId)) return false;
+
+        if (this.storageMode !== 'memory') {
+            try {
+                this.storage.removeItem(this.getSlotSaveKey(slotId));
+            } catch (error) {
+                console.warn('[GameState] Failed to remove slot data:', error);
+            }
+        }
+
+        this.writeSlotIndex({ ...index, slots: index.slots.filter(slot => slot.id !== slotId) });
+        this.emit('slotDeleted', { slotId });
+        console.log(`[GameState] Deleted save slot ${slotId}`);
+
+        return true;
+    }
+
+    /**
+     * Save the current slot and load another one in its place
+     */
+    switchSaveSlot(slotId) {
+        const index = this.readSlotIndex();
+        if (!index.slots.some(slot => slot.id === slotId)) {
+            console.warn('[GameState] Cannot switch to unknown slot:', slotId);
+            return false;
+        }
+        if (slotId === this.activeSlotId) return true;
+
+        const wasInitialized = this.initialized;
+        const previousSlotId = this.activeSlotId;
+        const debugMode = !!this.state.session?.debugMode;
+
+        if (wasInitialized) {
+            this.save();
+        }
+        this.stopAutoSave();
+
+        this.activeSlotId = slotId;
+        this.saveKey = this.getSlotSaveKey(slotId);
+        this.writeSlotIndex({ ...index, activeSlotId: slotId });
+
+        this.state = this.createInitialState();
+        this.state.session.debugMode = debugMode;
+        this.initialized = false;
+
+        if (wasInitialized) {
+            this.init();
+        } else {
+            this.load();
+        }
+
+        this.emit('slotChanged', { previousSlotId, slotId });
+        console.log(`[GameState] Switched save slot ${previousSlotId} → ${slotId}`);
+
+        return true;
+    }
 
-        console.log(`[GameState] Migration complete: ${fromVersion} → ${GAME_VERSION}`);
-        return migrated;
+    sanitizeSlotLabel(label, fallback) {
+        const cleaned = (label ?? '').toString().trim().slice(0, 24);
+        return cleaned || fallback;
     }
 
     /**
      * Reset game state to defaults with error handling
+     * Only the active save slot is cleared
      */
     reset(options = {}) {
         const { preserveSessionDebug = true } = options;
 
-        // Only try to remove from localStorage if not in memory-only mode
+        // Only try to remove saved data if not in memory-only mode
         if (this.storageMode !== 'memory') {
             try {
-                localStorage.removeItem(this.saveKey);
+                this.storage.removeItem(this.saveKey);
             } catch (error) {
                 console.warn('[GameState] Failed to remove save data:', error);
                 // Continue with reset even if removal fails
@@ -1064,6 +2189,7 @@ class GameStateManager {
         this.stopAutoSave();
         this.state = this.createInitialState();
         this.initialized = false;
+        this.updateSlotSummary(this.activeSlotId, this.buildSlotSummary(null));
 
         if (preserveSessionDebug && previousSession) {
             this.state.session.debugMode = !!previousSession.debugMode;
@@ -1180,7 +2306,10 @@ class GameStateManager {
         return {
             initialized: this.initialized,
             autoSaveActive: !!this.autoSaveInterval,
-            saveExists: !!localStorage.getItem(this.saveKey),
+            saveExists: this.storageMode !== 'memory' && !!this.storage.getItem(this.saveKey),
+            storageMode: this.storageMode,
+            activeSlotId: this.activeSlotId,
+            saveSlots: this.listSaveSlots(),
             eventListeners: Array.from(this.eventListeners.keys()),
             state: this.state
         };
@@ -0,0 +1,543 @@
+/**
+ * Genome - One heritable genome shared by BreedingEngine, CreatureDNA and CreatureGenetics
+ *
+ * A genome is a plain object stored on each creature record as `genome`:
+ *   loci   - diploid allele pairs, one per locus (see getLoci())
+ *   colors - { primary, secondary, accent } color genome, blended between parents
+ *   axes   - PersonalitySystem axes (-100..100), averaged between parents
+ *
+ * Each model keeps its own shape; express() maps the genome back onto them:
+ *   BreedingEngine   - the 7 Mendelian traits are loci with the engine's own dominance
+ *   CreatureDNA      - body/head archetype, hybrid tag, aura, favourite care action;
+ *                      temperament/energy/curiosity/attachment come from the axes
+ *   CreatureGenetics - species, body shape, cosmic element, core personality, colors
+ *
+ * fromCreature() converts records made before the genome existed (old saves).
+ */
+
+const GENOME_VERSION = 1;
+
+/**
+ * Non-Mendelian loci. `dominance` lists values from most to least dominant; the
+ * more dominant allele of a pair is expressed. Common forms dominate, rare forms
+ * are recessive. `mutationRate` is the chance per inherited allele to mutate.
+ */
+const GENOME_LOCI = Object.freeze({
+    bodyArchetype: {
+        model: 'dna',
+        path: 'bodyArchetype',
+        dominance: ['quadruped', 'blob', 'biped', 'serpentine', 'winged'],
+        mutationRate: 0.03
+    },
+    headArchetype: {
+        model: 'dna',
+        path: 'headArchetype',
+        dominance: ['feline', 'canine', 'avian', 'reptile', 'aquatic', 'simian', 'insectoid', 'rodent', 'cervine'],
+        mutationRate: 0.03
+    },
+    hybridTag: {
+        model: 'dna',
+        path: 'hybridTag',
+        dominance: ['single-species', 'dual-hybrid', 'triple-hybrid', 'glitchy'],
+        mutationRate: 0.02
+    },
+    elementalAura: {
+        model: 'dna',
+        path: 'elementalAura',
+        dominance: ['cosmic', 'forest', 'ember', 'tidal', 'storm', 'shadow-soft'],
+        mutationRate: 0.05
+    },
+    favouriteCareAction: {
+        model: 'dna',
+        path: 'favouriteCareAction',
+        dominance: ['play', 'feeding', 'grooming', 'rest'],
+        mutationRate: 0.08
+    },
+    species: {
+        model: 'genetics',
+        path: 'species',
+        dominance: ['stellarWyrm', 'crystalDrake', 'nebulaSprite'],
+        mutationRate: 0
+    },
+    bodyType: {
+        model: 'genetics',
+        path: 'traits.bodyShape.type',
+        dominance: ['balanced', 'sturdy', 'slender', 'quadruped', 'avian', 'serpentine', 'reptilian', 'fish', 'blob', 'insectoid', 'cyclops'],
+        mutationRate: 0.04
+    },
+    cosmicElement: {
+        model: 'genetics',
+        path: 'cosmicAffinity.element',
+        dominance: ['star', 'moon', 'crystal', 'nebula', 'void'],
+        mutationRate: 0.05
+    },
+    personalityCore: {
+        model: 'genetics',
+        path: 'personality.core',
+        dominance: ['gentle', 'curious', 'playful', 'wise', 'energetic'],
+        mutationRate: 0.05
+    }
+});
+
+// Mendelian loci use BreedingEngine.traitDefinitions for values and dominance
+const MENDELIAN_MUTATION_RATE = 0.02;
+
+const COLOR_KEYS = ['primary', 'secondary', 'accent'];
+const COLOR_MUTATION_RATE = 0.1;
+const COLOR_MUTATION_SHIFT = 24;
+
+const AXIS_KEYS = ['temperament', 'energy', 'curiosity', 'attachment'];
+const AXIS_DNA_FIELDS = {
+    temperament: 'temperament',
+    energy: 'energyLevel',
+    curiosity: 'curiosity',
+    attachment: 'attachmentStyle'
+};
+const AXIS_VARIANCE = 10;
+
+/**
+ * Mapping between the old display genes (PersonalityScene/NamingScene) and loci
+ */
+const LEGACY_GENE_MAP = Object.freeze({
+    sizeToBodyShape: { small: 'slender', medium: 'normal', large: 'stocky' },
+    bodyShapeToSize: { slender: 'small', normal: 'medium', stocky: 'large' },
+    bodyTypeToBodyShape: { slender: 'slender', balanced: 'normal', sturdy: 'stocky', cyclops: 'stocky', blob: 'stocky' },
+    markingToPattern: { spots: 'spotted', complex_spots: 'spotted', constellation_dots: 'spotted', stripes: 'striped', aurora_stripes: 'striped' }
+});
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const clampAxis = (value) => Math.max(-100, Math.min(100, Math.round(value)));
+
+const getPath = (source, path) => path.split('.').reduce((node, key) => node?.[key], source);
+
+const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+        if (!node[key] || typeof node[key] !== 'object') {
+            node[key] = {};
+        }
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Deterministic generator (RandomService) so converting the same old creature twice gives the same genome
+ */
+const seededRandom = (seedText) => {
+    const randomService = typeof window !== 'undefined' ? window.RandomService : null;
+    if (!randomService) return Math.random;
+
+    const generator = randomService.createGenerator(seedText);
+    return () => generator.next();
+};
+
+/**
+ * Next value from the RandomService genetics stream, so crosses replay from the master seed
+ */
+const geneticsRandom = () => {
+    const randomService = typeof window !== 'undefined' ? window.RandomService : null;
+    return randomService ? randomService.stream('genetics').next() : Math.random();
+};
+
+class Genome {
+    constructor() {
+        this.version = GENOME_VERSION;
+        this.loci = GENOME_LOCI;
+        this.legacyGeneMap = LEGACY_GENE_MAP;
+    }
+
+    getBreedingEngine() {
+        return typeof window !== 'undefined' ? window.BreedingEngine : null;
+    }
+
+    /**
+     * Every locus with its model, dominance and mutation rate
+     * @returns {Object} locusKey → { model, path, dominance, mutationRate, values }
+     */
+    getLoci() {
+        const loci = {};
+        const traitDefinitions = this.getBreedingEngine()?.traitDefinitions || {};
+
+        Object.entries(traitDefinitions).forEach(([traitKey, traitDef]) => {
+            loci[traitKey] = {
+                model: 'genes',
+                path: traitKey,
+                dominance: 'mendelian',
+                mutationRate: MENDELIAN_MUTATION_RATE,
+                values: Object.keys(traitDef.variations)
+            };
+        });
+
+        Object.entries(GENOME_LOCI).forEach(([locusKey, locus]) => {
+            loci[locusKey] = { ...locus, values: locus.dominance };
+        });
+
+        return loci;
+    }
+
+    /**
+     * Expressed value of one allele pair
+     */
+    expressLocus(locusKey, alleles) {
+        if (!Array.isArray(alleles) || alleles.length === 0) return null;
+
+        const locus = this.getLoci()[locusKey];
+        if (!locus) return alleles[0];
+
+        if (locus.dominance === 'mendelian') {
+            return this.getBreedingEngine().getPhenotype({ [locusKey]: alleles })[locusKey];
+        }
+
+        // Values outside the dominance list (older content) are the most recessive
+        const rank = (allele) => {
+            const index = locus.dominance.indexOf(allele);
+            return index === -1 ? locus.dominance.length : index;
+        };
+        return rank(alleles[1]) < rank(alleles[0]) ? alleles[1] : alleles[0];
+    }
+
+    /**
+     * Build a genome from an existing creature record
+     * Reads Mendelian `genes` (or the old display genes), DNA, genetics, colors and
+     * personality axes. Loci the record has no data for are rolled from a seed
+     * derived from the creature id so repeated conversions agree.
+     */
+    fromCreature(record = {}) {
+        if (record.genome?.version) {
+            return clone(record.genome);
+        }
+
+        const random = seededRandom(record.id || record.genetics?.id || record.dna?.id || record.name || 'creature');
+        const loci = {};
+        const allLoci = this.getLoci();
+        const mendelianGenes = this.readMendelianGenes(record, random);
+
+        Object.entries(allLoci).forEach(([locusKey, locus]) => {
+            if (locus.model === 'genes') {
+                if (mendelianGenes[locusKey]) {
+                    loci[locusKey] = [...mendelianGenes[locusKey]].sort();
+                }
+                return;
+            }
+
+            const source = locus.model === 'dna' ? record.dna : record.genetics;
+            const value = source ? getPath(source, locus.path) : null;
+            if (typeof value === 'string' && value) {
+                loci[locusKey] = [value, value];
+            }
+        });
+
+        return {
+            version: GENOME_VERSION,
+            loci,
+            colors: this.readColors(record),
+            axes: this.readAxes(record)
+        };
+    }
+
+    readMendelianGenes(record, random) {
+        const breedingEngine = this.getBreedingEngine();
+        if (!breedingEngine) return {};
+
+        const traitDefinitions = breedingEngine.traitDefinitions;
+        const genes = record.genes && typeof record.genes === 'object' ? record.genes : {};
+        const isAllelePair = (traitKey, pair) => Array.isArray(pair) && pair.length === 2 &&
+            pair.every(allele => traitDefinitions[traitKey]?.variations[allele]);
+
+        // Old display genes ({ size, pattern, eyeColor, temperament, specialTrait }) seed homozygous loci
+        const bodyType = record.genetics?.traits?.bodyShape?.type;
+        const marking = record.genetics?.traits?.features?.markings?.pattern;
+        const hints = {
+            bodyShape: LEGACY_GENE_MAP.sizeToBodyShape[genes.size] || LEGACY_GENE_MAP.bodyTypeToBodyShape[bodyType],
+            pattern: typeof genes.pattern === 'string' ? genes.pattern : LEGACY_GENE_MAP.markingToPattern[marking],
+            eyeColor: Object.keys(traitDefinitions.eyeColor?.variations || {})
+                .find(variation => traitDefinitions.eyeColor.variations[variation].color === genes.eyeColor),
+            horns: typeof genes.specialTrait === 'string' ? (genes.specialTrait === 'horns' ? 'small' : 'none') : null
+        };
+
+        const result = {};
+        Object.keys(traitDefinitions).forEach(traitKey => {
+            const variations = Object.keys(traitDefinitions[traitKey].variations);
+
+            if (isAllelePair(traitKey, genes[traitKey])) {
+                result[traitKey] = [...genes[traitKey]];
+            } else if (hints[traitKey] && variations.includes(hints[traitKey])) {
+                result[traitKey] = [hints[traitKey], hints[traitKey]];
+            } else {
+                result[traitKey] = [0, 1].map(() => variations[Math.floor(random() * variations.length)]);
+            }
+        });
+
+        return result;
+    }
+
+    readColors(record) {
+        const colorGenome = record.genetics?.traits?.colorGenome;
+        const colors = record.colors || {};
+        const fallback = { primary: colors.body, secondary: colors.wings, accent: colors.head };
+
+        return Object.fromEntries(COLOR_KEYS.map(key => {
+            const value = Number.isFinite(colorGenome?.[key]) ? colorGenome[key] : fallback[key];
+            return [key, Number.isFinite(value) ? value : null];
+        }));
+    }
+
+    readAxes(record) {
+        const axes = record.personalityState?.axes;
+        const personalitySystem = typeof window !== 'undefined' ? window.PersonalitySystem : null;
+
+        return Object.fromEntries(AXIS_KEYS.map(axis => {
+            if (Number.isFinite(axes?.[axis])) {
+                return [axis, clampAxis(axes[axis])];
+            }
+            const label = record.dna?.[AXIS_DNA_FIELDS[axis]];
+            return [axis, label && personalitySystem?.traitToAxis ? personalitySystem.traitToAxis(axis, label) : 0];
+        }));
+    }
+
+    /**
+     * Cross two genomes
+     * Each locus takes one allele from each parent (mutating at the locus rate);
+     * colors blend with a random weight and axes average with some variance.
+     * @param {Function} [random] - Source of randomness in [0, 1) (default: the genetics stream)
+     * @returns {{ genome: object, mutations: Array<object>, origins: object }}
+     *   origins: locusKey → source of each allele (0 = parent A, 1 = parent B, 'mutation')
+     */
+    cross(genomeA, genomeB, random = geneticsRandom) {
+        const loci = {};
+        const origins = {};
+        const mutations = [];
+        const pick = (values) => values[Math.floor(random() * values.length)];
+
+        Object.entries(this.getLoci()).forEach(([locusKey, locus]) => {
+            const pairA = genomeA?.loci?.[locusKey];
+            const pairB = genomeB?.loci?.[locusKey];
+            // A parent without this locus passes on the other parent's pair
+            const parents = [pairA || pairB, pairB || pairA];
+            if (!parents[0]) return;
+
+            const alleles = parents.map((pair, parentIndex) => {
+                const inherited = pick(pair);
+                const source = pairA && pairB ? parentIndex : (pairA ? 0 : 1);
+                if (locus.mutationRate > 0 && random() < locus.mutationRate) {
+                    const mutated = pick(locus.values);
+                    if (mutated !== inherited) {
+                        mutations.push({ locus: locusKey, from: inherited, to: mutated });
+                        return { allele: mutated, source: 'mutation' };
+                    }
+                }
+                return { allele: inherited, source };
+            });
+
+            // Mendelian pairs are stored sorted (BreedingEngine convention); keep sources aligned
+            if (locus.model === 'genes') {
+                alleles.sort((a, b) => (a.allele < b.allele ? -1 : a.allele > b.allele ? 1 : 0));
+            }
+            loci[locusKey] = alleles.map(entry => entry.allele);
+            origins[locusKey] = alleles.map(entry => entry.source);
+        });
+
+        const colors = {};
+        COLOR_KEYS.forEach(key => {
+            const colorA = genomeA?.colors?.[key];
+            const colorB = genomeB?.colors?.[key];
+            if (!Number.isFinite(colorA) || !Number.isFinite(colorB)) {
+                colors[key] = Number.isFinite(colorA) ? colorA : (Number.isFinite(colorB) ? colorB : null);
+                return;
+            }
+
+            colors[key] = this.blendColors(colorA, colorB, random());
+            if (random() < COLOR_MUTATION_RATE) {
+                colors[key] = this.shiftColor(colors[key], Math.round((random() * 2 - 1) * COLOR_MUTATION_SHIFT));
+                mutations.push({ locus: `colors.${key}`, from: null, to: colors[key] });
+            }
+        });
+
+        const axes = {};
+        AXIS_KEYS.forEach(axis => {
+            const average = ((genomeA?.axes?.[axis] || 0) + (genomeB?.axes?.[axis] || 0)) / 2;
+            axes[axis] = clampAxis(average + (random() * 2 - 1) * AXIS_VARIANCE);
+        });
+
+        return {
+            genome: { version: GENOME_VERSION, loci, colors, axes },
+            mutations,
+            origins
+        };
+    }
+
+    blendColors(colorA, colorB, ratio) {
+        const channel = (color, shift) => (color >> shift) & 0xFF;
+        return [16, 8, 0].reduce((result, shift) => {
+            const value = Math.round(channel(colorA, shift) * (1 - ratio) + channel(colorB, shift) * ratio);
+            return result | (value << shift);
+        }, 0);
+    }
+
+    shiftColor(color, amount) {
+        return [16, 8, 0].reduce((result, shift) => {
+            const value = Math.max(0, Math.min(255, ((color >> shift) & 0xFF) + amount));
+            return result | (value << shift);
+        }, 0);
+    }
+
+    /**
+     * Map a genome back onto each model
+     * @returns {{ genes: object, dna: object, genetics: object, colors: object, axes: object }}
+     *   `dna` and `genetics` are patches keyed by field path
+     */
+    express(genome) {
+        const genes = {};
+        const dna = {};
+        const genetics = {};
+        const loci = genome?.loci || {};
+
+        Object.entries(this.getLoci()).forEach(([locusKey, locus]) => {
+            if (!loci[locusKey]) return;
+
+            if (locus.model === 'genes') {
+                genes[locusKey] = [...loci[locusKey]];
+                return;
+            }
+
+            const expressed = this.expressLocus(locusKey, loci[locusKey]);
+            (locus.model === 'dna' ? dna : genetics)[locus.path] = expressed;
+        });
+
+        const personalitySystem = typeof window !== 'undefined' ? window.PersonalitySystem : null;
+        if (personalitySystem?.axisToTrait && genome?.axes) {
+            AXIS_KEYS.forEach(axis => {
+                const trait = personalitySystem.axisToTrait(axis, genome.axes[axis]);
+                if (trait) {
+                    dna[AXIS_DNA_FIELDS[axis]] = trait.label;
+                }
+            });
+        }
+
+        COLOR_KEYS.forEach(key => {
+            if (Number.isFinite(genome?.colors?.[key])) {
+                genetics[`traits.colorGenome.${key}`] = genome.colors[key];
+            }
+        });
+
+        const eyeColorVariation = genes.eyeColor && this.getBreedingEngine()?.getPhenotype({ eyeColor: genes.eyeColor }).eyeColor;
+        const eyeColor = this.getBreedingEngine()?.traitDefinitions.eyeColor?.variations[eyeColorVariation]?.color;
+        if (Number.isFinite(eyeColor)) {
+            genetics['traits.features.eyes.color'] = eyeColor;
+        }
+
+        return {
+            genes,
+            dna,
+            genetics,
+            colors: { ...(genome?.colors || {}) },
+            axes: { ...(genome?.axes || {}) }
+        };
+    }
+
+    /**
+     * Mendelian genes (BreedingEngine format) carried by a genome
+     */
+    getGenes(genome) {
+        return this.express(genome).genes;
+    }
+
+    /**
+     * Copy of a DNA profile with the genome's traits expressed on it
+     */
+    applyToDNA(dna, genome) {
+        const result = { ...(dna || {}) };
+        Object.entries(this.express(genome).dna).forEach(([path, value]) => setPath(result, path, value));
+        return result;
+    }
+
+    /**
+     * Copy of a CreatureGenetics profile with the genome's traits expressed on it
+     * Personality descriptions and cosmic details follow the expressed core/element
+     */
+    applyToGenetics(genetics, genome) {
+        if (!genetics) return genetics;
+
+        const result = clone(genetics);
+        Object.entries(this.express(genome).genetics).forEach(([path, value]) => setPath(result, path, value));
+
+        const creatureGenetics = typeof window !== 'undefined' ? window.CreatureGenetics : null;
+        const personalityData = creatureGenetics?.personalityTraits?.[result.personality?.core];
+        if (personalityData) {
+            Object.assign(result.personality, {
+                description: personalityData.description,
+                emotionModifiers: personalityData.emotionModifiers,
+                carePreferences: personalityData.carePreferences
+            });
+        }
+
+        const affinityData = creatureGenetics?.cosmicAffinities?.[result.cosmicAffinity?.element];
+        if (affinityData) {
+            Object.assign(result.cosmicAffinity, {
+                description: affinityData.description,
+                visualEffects: affinityData.visualEffects
+            });
+        }
+
+        const wingType = creatureGenetics?.speciesTemplates?.[result.species]?.wingType;
+        if (wingType && result.traits?.features?.wings) {
+            result.traits.features.wings.type = wingType;
+        }
+
+        return result;
+    }
+
+    /**
+     * Copy of a PersonalitySystem state starting from the genome's axes
+     */
+    applyToPersonalityState(personalityState, genome) {
+        if (!personalityState) return personalityState;
+
+        const axes = { ...personalityState.axes };
+        AXIS_KEYS.forEach(axis => {
+            if (Number.isFinite(genome?.axes?.[axis])) {
+                axes[axis] = genome.axes[axis];
+            }
+        });
+        return { ...personalityState, axes };
+    }
+
+    /**
+     * The short genetics summary the naming and personality screens show
+     * @param {object} record - Creature record (uses `genome`, converting if missing)
+     * @returns {{ size, pattern, eyeColor, temperament, specialTrait }}
+     */
+    describe(record) {
+        const genome = record?.genome?.version ? record.genome : this.fromCreature(record || {});
+        const breedingEngine = this.getBreedingEngine();
+        const phenotype = breedingEngine ? breedingEngine.getPhenotype(this.getGenes(genome)) : {};
+        const eyeVariation = breedingEngine?.traitDefinitions.eyeColor?.variations[phenotype.eyeColor];
+        const temperament = this.expressLocus('personalityCore', genome.loci.personalityCore) ||
+            this.express(genome).dna.temperament;
+
+        return {
+            size: LEGACY_GENE_MAP.bodyShapeToSize[phenotype.bodyShape] || 'medium',
+            pattern: phenotype.pattern || 'solid',
+            eyeColor: eyeVariation?.color || 0x4169E1,
+            temperament: temperament || 'gentle',
+            specialTrait: phenotype.horns && phenotype.horns !== 'none' ? 'horns' : 'none'
+        };
+    }
+}
+
+Genome.VERSION = GENOME_VERSION;
+Genome.LOCI = GENOME_LOCI;
+Genome.AXIS_KEYS = AXIS_KEYS;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.Genome = window.Genome || new Genome();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Genome;
+}
@@ -263,9 +263,22 @@ class GraphicsEngine {
 
     /**
      * Render creature directly onto a graphics context (for genetic composition)
+     * `geneticTraits.lifeStage` (LifeStageSystem render modifiers) scales the body, head,
+     * wings and horns and adds the stage and evolution form features
      */
     renderCreatureOnGraphics(graphics, center, size, bodyColor = 0x9370DB, headColor = 0xDDA0DD, wingColor = 0x8A2BE2, frame = 0, geneticTraits = null) {
         const eyeColor = 0x4169E1;
+        const lifeStage = geneticTraits?.lifeStage || null;
+        const growth = lifeStage?.sizeMultiplier ?? 1;
+        const headScale = growth * (lifeStage?.headSizeRatio ?? 1);
+
+        // Young creatures have softer colors
+        if (lifeStage) {
+            bodyColor = this.applyGrowthStageColors(bodyColor, lifeStage.colorSaturation);
+            headColor = this.applyGrowthStageColors(headColor, lifeStage.colorSaturation);
+            wingColor = this.applyGrowthStageColors(wingColor, lifeStage.colorSaturation);
+        }
+
         let modifiedBodyColor = bodyColor;
         let modifiedHeadColor = headColor;
         
@@ -293,47 +306,59 @@ class GraphicsEngine {
             }
         }
 
+        bodyScale.x *= growth;
+        bodyScale.y *= growth;
+
         // Render body based on body type
         const bodyType = this.currentBodyType || 'balanced';
         console.log(`graphics:debug [GraphicsEngine] Rendering body type: ${bodyType}`, { bodyScale, bodyOffset });
         this.renderBodyByType(graphics, center, bodyOffset, bodyScale, modifiedBodyColor, bodyType);
 
-        // Head with realistic shading
+        // Head with realistic shading (sits lower on smaller bodies)
         const headShadow = this.darkenColor(headColor, 0.4);
         const headHighlight = this.lightenColor(headColor, 0.3);
+        const headY = center.y - 10 * growth;
 
         // Head base (shadow side)
         graphics.fillStyle(headShadow);
-        graphics.fillCircle(center.x + 1, center.y - 8, 16);
+        graphics.fillCircle(center.x + headScale, headY + 2 * headScale, 16 * headScale);
 
         // Head main color
         graphics.fillStyle(headColor);
-        graphics.fillCircle(center.x - 1, center.y - 10, 15);
+        graphics.fillCircle(center.x - headScale, headY, 15 * headScale);
 
         // Head highlight (lit side)
         graphics.fillStyle(headHighlight, 0.9);
-        graphics.fillCircle(center.x - 4, center.y - 12, 10);
+        graphics.fillCircle(center.x - 4 * headScale, headY - 2 * headScale, 10 * headScale);
 
         // Head shine
         graphics.fillStyle(0xFFFFFF, 0.4);
-        graphics.fillCircle(center.x - 6, center.y - 15, 5);
+        graphics.fillCircle(center.x - 6 * headScale, headY - 5 * headScale, 5 * headScale);
 
         // Eyes based on body type
         if (this.currentBodyType === 'cyclops') {
-            this.createCyclopsEye(graphics, center.x, center.y - 10, eyeColor);
+            this.createCyclopsEye(graphics, center.x, headY, eyeColor);
         } else {
-            this.createRealisticEyes(graphics, center.x - 6, center.y - 12, center.x + 6, center.y - 12, eyeColor);
+            this.createRealisticEyes(graphics, center.x - 6 * headScale, headY - 2 * headScale, center.x + 6 * headScale, headY - 2 * headScale, eyeColor);
         }
 
         // Genetic head modifications
-        this.applyGeneticHeadMods(graphics, center, modifiedHeadColor, geneticTraits);
+        this.applyGeneticHeadMods(graphics, center, modifiedHeadColor, geneticTraits, {
+            headY,
+            headScale,
+            hornScale: lifeStage?.hornScale ?? 1
+        });
 
         // Dynamic wings (animated frames)
-        this.createAnimatedWings(graphics, center, wingColor, frame);
+        this.createAnimatedWings(graphics, center, wingColor, frame, lifeStage?.wingGrowth ?? 1);
 
         // Chest highlight
         graphics.fillStyle(0xFFFFFF, 0.2);
-        graphics.fillEllipse(center.x - 2, center.y - 2, 8, 12);
+        graphics.fillEllipse(center.x - 2 * growth, center.y - 2 * growth, 8 * growth, 12 * growth);
+
+        if (lifeStage) {
+            this.addLifeStageFeatures(graphics, center, { x: center.x, y: headY, radius: 15 * headScale }, lifeStage, headColor);
+        }
     }
 
     /**
@@ -442,76 +467,77 @@ class GraphicsEngine {
 
     /**
      * Create animated wings with proper depth and feather details
+     * @param {number} growth - Wing size multiplier (life stage wing growth, 1 = adult)
      */
-    createAnimatedWings(graphics, center, wingColor, frame) {
+    createAnimatedWings(graphics, center, wingColor, frame, growth = 1) {
         const wingShadow = this.darkenColor(wingColor, 0.5);
         const wingHighlight = this.lightenColor(wingColor, 0.3);
 
         // Wing animation offsets
-        let leftWingY = center.y + 3;
-        let rightWingY = center.y + 3;
-        let wingSpread = 22;
+        let leftWingY = center.y + 3 * growth;
+        let rightWingY = center.y + 3 * growth;
+        let wingSpread = 22 * growth;
 
         if (frame % 2 === 1) {
-            leftWingY = center.y + 8;   // Wings down
-            rightWingY = center.y + 8;
-            wingSpread = 18;
+            leftWingY = center.y + 8 * growth;   // Wings down
+            rightWingY = center.y + 8 * growth;
+            wingSpread = 18 * growth;
         }
 
         // === LEFT WING ===
         
         // Wing shadow
         graphics.fillStyle(wingShadow);
-        graphics.fillEllipse(center.x - wingSpread - 1, leftWingY + 1, 15, 25);
+        graphics.fillEllipse(center.x - wingSpread - 1, leftWingY + 1, 15 * growth, 25 * growth);
 
         // Wing base
         graphics.fillStyle(wingColor);
-        graphics.fillEllipse(center.x - wingSpread, leftWingY, 15, 25);
+        graphics.fillEllipse(center.x - wingSpread, leftWingY, 15 * growth, 25 * growth);
 
         // Wing feather details (multiple layers)
         for (let feather = 0; feather < 3; feather++) {
             const featherAlpha = 0.8 - (feather * 0.2);
-            const featherOffset = feather * 2;
+            const featherOffset = feather * 2 * growth;
             graphics.fillStyle(this.lightenColor(wingColor, 0.1 + feather * 0.1), featherAlpha);
-            graphics.fillEllipse(center.x - wingSpread + featherOffset, leftWingY - featherOffset, 12 - feather, 20 - feather);
+            graphics.fillEllipse(center.x - wingSpread + featherOffset, leftWingY - featherOffset, (12 - feather) * growth, (20 - feather) * growth);
         }
 
         // Wing highlight
         graphics.fillStyle(wingHighlight, 0.7);
-        graphics.fillEllipse(center.x - wingSpread + 2, leftWingY - 3, 8, 15);
+        graphics.fillEllipse(center.x - wingSpread + 2 * growth, leftWingY - 3 * growth, 8 * growth, 15 * growth);
 
         // === RIGHT WING (mirrored) ===
         
         // Wing shadow
         graphics.fillStyle(wingShadow);
-        graphics.fillEllipse(center.x + wingSpread + 1, rightWingY + 1, 15, 25);
+        graphics.fillEllipse(center.x + wingSpread + 1, rightWingY + 1, 15 * growth, 25 * growth);
 
         // Wing base
         graphics.fillStyle(wingColor);
-        graphics.fillEllipse(center.x + wingSpread, rightWingY, 15, 25);
+        graphics.fillEllipse(center.x + wingSpread, rightWingY, 15 * growth, 25 * growth);
 
         // Wing feather details
         for (let feather = 0; feather < 3; feather++) {
             const featherAlpha = 0.8 - (feather * 0.2);
-            const featherOffset = feather * 2;
+            const featherOffset = feather * 2 * growth;
             graphics.fillStyle(this.lightenColor(wingColor, 0.1 + feather * 0.1), featherAlpha);
-            graphics.fillEllipse(center.x + wingSpread - featherOffset, rightWingY - featherOffset, 12 - feather, 20 - feather);
+            graphics.fillEllipse(center.x + wingSpread - featherOffset, rightWingY - featherOffset, (12 - feather) * growth, (20 - feather) * growth);
         }
 
         // Wing highlight
         graphics.fillStyle(wingHighlight, 0.7);
-        graphics.fillEllipse(center.x + wingSpread - 2, rightWingY - 3, 8, 15);
+        graphics.fillEllipse(center.x + wingSpread - 2 * growth, rightWingY - 3 * growth, 8 * growth, 15 * growth);
 
         // Wing membrane details (adds realism)
         graphics.lineStyle(1, wingShadow, 0.5);
         graphics.beginPath();
-        graphics.moveTo(center.x - 5, center.y);
-        graphics.lineTo(center.x - wingSpread + 5, leftWingY + 8);
+        graphics.moveTo(center.x - 5 * growth, center.y);
+        graphics.lineTo(center.x - wingSpread + 5 * growth, leftWingY + 8 * growth);
         graphics.strokePath();
 
         graphics.beginPath();
-        graphics.moveTo(center.x + 5, center.y);
-        graphics.lineTo(center.x + wingSpread - 5, rightWingY + 8);
+        graphics.moveTo(center.x + 5 * growth, center.y);
+        graphics.lineTo(center.x + wingSpread - 5 * growth, rightWingY + 8 * growth);
         graphics.strokePath();
     }
 
@@ -1506,27 +1532,33 @@ class GraphicsEngine {
 
     /**
      * Apply genetic head modifications based on creature traits
+     * @param {Object} proportions - { headY, headScale, hornScale } from the life stage
+     *   (defaults match the adult head at center.y - 10; hornScale 0 hides the horns)
      */
-    applyGeneticHeadMods(graphics, center, headColor, geneticTraits) {
+    applyGeneticHeadMods(graphics, center, headColor, geneticTraits, proportions = {}) {
         if (!geneticTraits) return;
+
+        const { headY = center.y - 10, headScale = 1, hornScale = 1 } = proportions;
+        const hornSize = headScale * hornScale;
         
         // Apply horn modifications
-        if (geneticTraits.horns) {
+        if (geneticTraits.horns && hornSize > 0) {
             const hornColor = this.darkenColor(headColor, 0.3);
+            const baseY = headY - 10 * headScale;
             
             // Left horn
             graphics.fillStyle(hornColor);
             graphics.fillTriangle(
-                center.x - 8, center.y - 20,
-                center.x - 12, center.y - 30,
-                center.x - 4, center.y - 25
+                center.x - 8 * headScale, baseY,
+                center.x - 8 * headScale - 4 * hornSize, baseY - 10 * hornSize,
+                center.x - 8 * headScale + 4 * hornSize, baseY - 5 * hornSize
             );
             
             // Right horn
             graphics.fillTriangle(
-                center.x + 8, center.y - 20,
-                center.x + 12, center.y - 30,
-                center.x + 4, center.y - 25
+                center.x + 8 * headScale, baseY,
+                center.x + 8 * headScale + 4 * hornSize, baseY - 10 * hornSize,
+                center.x + 8 * headScale - 4 * hornSize, baseY - 5 * hornSize
             );
         }
         
@@ -1534,8 +1566,89 @@ class GraphicsEngine {
         if (geneticTraits.crest) {
             const crestColor = this.lightenColor(headColor, 0.2);
             graphics.fillStyle(crestColor);
-            graphics.fillEllipse(center.x, center.y - 18, 8, 12);
+            graphics.fillEllipse(center.x, headY - 8 * headScale, 8 * headScale, 12 * headScale);
+        }
+    }
+
+    /**
+     * Life stage markings and evolution form features (LifeStageSystem render modifiers)
+     * @param {Object} head - Head anchor { x, y, radius }
+     * @param {Object} lifeStage - { markingIntensity, accentColor, features }
+     */
+    addLifeStageFeatures(graphics, center, head, lifeStage, headColor) {
+        const accent = lifeStage.accentColor;
+        const intensity = lifeStage.markingIntensity ?? 1;
+
+        // Cheek markings fill in as the creature grows up
+        graphics.fillStyle(accent, 0.7 * intensity);
+        const dots = Math.max(1, Math.round(3 * intensity));
+        for (let i = 0; i < dots; i++) {
+            const offsetY = head.y + head.radius * 0.35 + i * 2.5;
+            graphics.fillCircle(head.x - head.radius * 0.7 + i * 2, offsetY, 1.5);
+            graphics.fillCircle(head.x + head.radius * 0.7 - i * 2, offsetY, 1.5);
         }
+
+        (lifeStage.features || []).forEach(feature => {
+            switch (feature) {
+                case 'plates':
+                    // Guardian: armour plates along the shoulders
+                    graphics.fillStyle(this.darkenColor(headColor, 0.35), 0.9);
+                    [-1, 1].forEach(side => {
+                        graphics.fillTriangle(
+                            center.x + side * 10, center.y + 2,
+                            center.x + side * 16, center.y - 6,
+                            center.x + side * 18, center.y + 4
+                        );
+                    });
+                    break;
+
+                case 'halo':
+                    // Harmony: soft halo above the head
+                    graphics.lineStyle(2, this.lightenColor(accent, 0.3), 0.8);
+                    graphics.strokeEllipse(head.x, head.y - head.radius - 6, head.radius * 1.4, 5);
+                    break;
+
+                case 'streaks':
+                    // Comet: tail streaks trailing behind
+                    graphics.lineStyle(2, accent, 0.6);
+                    for (let i = 0; i < 3; i++) {
+                        graphics.beginPath();
+                        graphics.moveTo(center.x - 6 + i * 6, center.y + 20);
+                        graphics.lineTo(center.x - 12 + i * 6, center.y + 34);
+                        graphics.strokePath();
+                    }
+                    break;
+
+                case 'crescent':
+                    // Dreamer: sleepy moon mark on the forehead
+                    graphics.fillStyle(accent, 0.9);
+                    graphics.fillCircle(head.x, head.y - head.radius * 0.55, 3.5);
+                    graphics.fillStyle(headColor, 1);
+                    graphics.fillCircle(head.x + 1.5, head.y - head.radius * 0.55 - 1, 3);
+                    break;
+
+                case 'antennae':
+                    // Seeker: feelers with glowing tips
+                    graphics.lineStyle(1.5, this.darkenColor(headColor, 0.3), 0.9);
+                    [-1, 1].forEach(side => {
+                        graphics.beginPath();
+                        graphics.moveTo(head.x + side * head.radius * 0.3, head.y - head.radius * 0.9);
+                        graphics.lineTo(head.x + side * head.radius * 0.6, head.y - head.radius - 10);
+                        graphics.strokePath();
+                        graphics.fillStyle(accent, 0.95);
+                        graphics.fillCircle(head.x + side * head.radius * 0.6, head.y - head.radius - 10, 2);
+                    });
+                    break;
+
+                case 'runes':
+                    // Elder: wisdom runes above the brow
+                    graphics.fillStyle(0xE0E0E0, 0.8);
+                    graphics.fillCircle(head.x, head.y - head.radius - 3, 2);
+                    graphics.fillCircle(head.x - 6, head.y - head.radius, 1.5);
+                    graphics.fillCircle(head.x + 6, head.y - head.radius, 1.5);
+                    break;
+            }
+        });
     }
 
     /**
@@ -1732,9 +1845,10 @@ class GraphicsEngine {
      * Create randomized creature from genetic profile
      * @param {Object} genetics - Genetic profile from CreatureGenetics
      * @param {number} frame - Animation frame
+     * @param {Object|null} lifeStage - LifeStageSystem render modifiers (null = adult look)
      * @returns {Object} Texture info and metadata
      */
-    createRandomizedSpaceMythicCreature(genetics, frame = 0) {
+    createRandomizedSpaceMythicCreature(genetics, frame = 0, lifeStage = null) {
         // Input validation
         if (!genetics || !genetics.traits) {
             console.warn('graphics:warn [GraphicsEngine] Invalid genetics provided, using defaults');
@@ -1753,7 +1867,8 @@ class GraphicsEngine {
             // Create enhanced creature with genetic modifications
             const enhancedTraits = {
                 ...genetics.traits.features,
-                bodyMods: bodyModifications
+                bodyMods: bodyModifications,
+                lifeStage
             };
 
             // Create base creature
@@ -1780,8 +1895,14 @@ class GraphicsEngine {
                 enhancedTraits
             );
 
-            // Add enhanced markings based on genetics
-            this.addEnhancedMarkings(graphics, center, baseSize, genetics.traits.features.markings, genetics.traits.colorGenome);
+            // Add enhanced markings based on genetics (faint on young creatures)
+            const markings = genetics.traits.features.markings;
+            const markingIntensity = lifeStage?.markingIntensity ?? 1;
+            this.addEnhancedMarkings(graphics, center, baseSize, markings && markingIntensity < 1 ? {
+                ...markings,
+                intensity: markings.intensity * markingIntensity,
+                opacity: (markings.opacity || 0.6) * markingIntensity
+            } : markings, genetics.traits.colorGenome);
 
             // Add rarity-based special effects
             this.addRarityEffects(graphics, genetics, center, {
@@ -1797,7 +1918,9 @@ class GraphicsEngine {
 
             translation.restore();
 
-            const textureName = `creature_${genetics.id}_${frame}`;
+            const textureName = lifeStage
+                ? `creature_${genetics.id}_${lifeStage.key}_${frame}`
+                : `creature_${genetics.id}_${frame}`;
             const textureResult = this.finalizeTexture(graphics, textureName, metrics.width, metrics.height);
 
             const generationTime = Date.now() - startTime;
@@ -1811,6 +1934,7 @@ class GraphicsEngine {
                 textureName,
                 genetics,
                 visualConfig,
+                lifeStage,
                 metadata: {
                     generationTime,
                     frame,
@@ -3717,9 +3841,10 @@ class GraphicsEngine {
      * Main entry point for DNA-based creature rendering
      * @param {Object} dna - CreatureDNA object with discrete traits
      * @param {number} frame - Animation frame (0-based)
+     * @param {Object|null} lifeStage - LifeStageSystem render modifiers (null = adult look)
      * @returns {Object} Creature render result with texture name
      */
-    createCreatureFromDNA(dna, frame = 0) {
+    createCreatureFromDNA(dna, frame = 0, lifeStage = null) {
         if (!dna) {
             console.warn('graphics:warn [GraphicsEngine] No DNA provided, using default creature');
             return this.createSpaceMythicCreature({ frame });
@@ -3728,11 +3853,19 @@ class GraphicsEngine {
         try {
             const startTime = Date.now();
 
-            // Get DNA-based color scheme
+            // Get DNA-based color scheme (softer on young creatures)
             const colors = this.getDNAColorScheme(dna);
+            if (lifeStage) {
+                ['body', 'head', 'accent'].forEach(key => {
+                    colors[key] = this.applyGrowthStageColors(colors[key], lifeStage.colorSaturation);
+                });
+            }
 
-            // Calculate canvas size based on body archetype
-            const metrics = this.getDNACanvasMetrics(dna.bodyArchetype);
+            // Calculate canvas size based on body archetype (room for antennae and halos)
+            const metrics = this.getDNACanvasMetrics(dna.bodyArchetype, lifeStage ? 12 : 0);
+            const growth = lifeStage?.sizeMultiplier ?? 1;
+            const bodySize = { width: metrics.size.width * growth, height: metrics.size.height * growth };
+            const headScale = lifeStage?.headSizeRatio ?? 1;
 
             // Create graphics context
             const graphics = this.createScratchGraphics();
@@ -3744,23 +3877,44 @@ class GraphicsEngine {
             };
 
             // Render body based on DNA bodyArchetype
-            this.renderBodyArchetype(graphics, center, metrics.size, dna.bodyArchetype, colors);
+            this.renderBodyArchetype(graphics, center, bodySize, dna.bodyArchetype, colors);
 
             // Render head based on DNA headArchetype (with hybrid support)
-            this.renderHeadArchetype(graphics, center, metrics.size, dna.headArchetype, colors, dna.hybridTag);
+            this.renderHeadArchetype(graphics, center, bodySize, dna.headArchetype, colors, dna.hybridTag, headScale);
+
+            // Inherited horns from breeding
+            const horns = dna.inheritedTraits?.headMods?.horns;
+            if (horns && horns !== 'none') {
+                this.applyGeneticHeadMods(graphics, center, colors.head, { horns }, {
+                    headY: center.y - 10 * growth,
+                    headScale: growth,
+                    hornScale: lifeStage?.hornScale ?? 1
+                });
+            }
+
+            if (lifeStage) {
+                const headSize = bodySize.width * 0.4 * headScale;
+                this.addLifeStageFeatures(graphics, center, {
+                    x: center.x,
+                    y: center.y - bodySize.height * 0.35,
+                    radius: headSize / 2
+                }, lifeStage, colors.head);
+            }
 
             // Add elemental aura effects (drawn on graphics for texture)
-            this.addElementalAuraToGraphics(graphics, center, metrics.size, dna.elementalAura);
+            this.addElementalAuraToGraphics(graphics, center, bodySize, dna.elementalAura);
 
             // Add rarity enhancements for epic+
             if (this.isEpicOrHigher(dna.raritySignature)) {
-                this.addRarityEnhancements(graphics, center, metrics.size, dna.raritySignature);
+                this.addRarityEnhancements(graphics, center, bodySize, dna.raritySignature);
             }
 
             translation.restore();
 
             // Generate texture
-            const textureName = `creature_dna_${dna.id}_${frame}`;
+            const textureName = lifeStage
+                ? `creature_dna_${dna.id}_${lifeStage.key}_${frame}`
+                : `creature_dna_${dna.id}_${frame}`;
             this.finalizeTexture(graphics, textureName, metrics.width, metrics.height);
 
             const generationTime = Date.now() - startTime;
@@ -3775,6 +3929,7 @@ class GraphicsEngine {
                 textureName,
                 dna,
                 colors,
+                lifeStage,
                 metadata: {
                     generationTime,
                     frame,
@@ -3808,20 +3963,24 @@ class GraphicsEngine {
 
         const colorScheme = auraColors[dna.elementalAura] || auraColors.cosmic;
 
+        // Bred creatures carry their expressed Mendelian traits (BreedingEngine visual data)
+        const inherited = dna.inheritedTraits || {};
+
         return {
-            body: colorScheme.primary,
+            body: inherited.pattern ? this.applyPatternColor(colorScheme.primary, inherited.pattern) : colorScheme.primary,
             head: colorScheme.secondary,
             accent: colorScheme.accent,
-            eyes: 0x4169E1
+            eyes: inherited.eyeColor || 0x4169E1
         };
     }
 
     /**
      * Calculate canvas metrics based on body archetype
      * @param {string} bodyArchetype - DNA body archetype
+     * @param {number} extraPadding - Additional padding on every side
      * @returns {Object} Canvas metrics
      */
-    getDNACanvasMetrics(bodyArchetype) {
+    getDNACanvasMetrics(bodyArchetype, extraPadding = 0) {
         const baseSizes = {
             blob: { width: 60, height: 60 },
             quadruped: { width: 70, height: 55 },
@@ -3831,7 +3990,7 @@ class GraphicsEngine {
         };
 
         const size = baseSizes[bodyArchetype] || baseSizes.blob;
-        const padding = { x: 15, y: 15 };
+        const padding = { x: 15 + extraPadding, y: 15 + extraPadding };
 
         return {
             size,
@@ -3894,11 +4053,12 @@ class GraphicsEngine {
      * @param {string} headArchetype - DNA head archetype
      * @param {Object} colors - Color scheme
      * @param {string} hybridTag - Hybrid type (single-species, dual-hybrid, triple-hybrid, glitchy)
+     * @param {number} headScale - Head size relative to the body (life stage head ratio)
      */
-    renderHeadArchetype(graphics, center, size, headArchetype, colors, hybridTag) {
+    renderHeadArchetype(graphics, center, size, headArchetype, colors, hybridTag, headScale = 1) {
         // Head position (top of body)
         const headY = center.y - size.height * 0.35;
-        const headSize = size.width * 0.4;
+        const headSize = size.width * 0.4 * headScale;
 
         // For hybrids, blend features
         const isDualHybrid = hybridTag === 'dual-hybrid';
@@ -4491,12 +4651,27 @@ class GraphicsEngine {
             return null;
         }
 
+        return this.loadCreatureFromRecord(gameState.get('creature'), frame);
+    }
+
+    /**
+     * Render any creature record (active creature, roster entry, codex preview)
+     * @param {Object} creature - Creature record with dna and/or genetics
+     * @param {number} frame - Animation frame (0-3 for walk cycle)
+     * @returns {Object|null} Creature render result or null
+     */
+    loadCreatureFromRecord(creature, frame = 0) {
+        // Life stage look (baby proportions, evolution form) for hatched roster creatures
+        const lifeStage = typeof window !== 'undefined' && window.LifeStageSystem
+            ? window.LifeStageSystem.getRenderModifiers(creature)
+            : null;
+
         // Priority 1: Try DNA-based rendering
-        const dna = gameState.get('creature.dna');
+        const dna = creature?.dna;
         if (dna) {
             console.log('graphics:info [GraphicsEngine] Loading creature from DNA:', dna.id);
             try {
-                const result = this.createCreatureFromDNA(dna, frame);
+                const result = this.createCreatureFromDNA(dna, frame, lifeStage);
                 if (result && result.textureName) {
                     console.log('graphics:info [GraphicsEngine] Successfully loaded creature from DNA');
                     return result;
@@ -4507,12 +4682,12 @@ class GraphicsEngine {
         }
 
         // Priority 2: Try genetics-based rendering
-        const genetics = gameState.get('creature.genetics');
+        const genetics = creature?.genetics;
         if (genetics) {
             console.log('graphics:info [GraphicsEngine] Loading creature from genetics:', genetics.id);
             try {
                 if (typeof this.createRandomizedSpaceMythicCreature === 'function') {
-                    const result = this.createRandomizedSpaceMythicCreature(genetics, frame);
+                    const result = this.createRandomizedSpaceMythicCreature(genetics, frame, lifeStage);
                     if (result && result.textureName) {
                         console.log('graphics:info [GraphicsEngine] Successfully loaded creature from genetics');
                         return result;
@@ -13,6 +13,7 @@ class HatchCinematicsManager {
         this.assets = {};
         this.startTime = 0;
         this.currentBeat = 0;
+        this.focusPoint = null;
     }
 
     /**
@@ -262,8 +263,7 @@ class HatchCinematicsManager {
      * Beat 2: Create nebula glow pulse effect
      */
     createNebulaGlow(scene, config) {
-        const eggX = scene.cameras.main.width / 2;
-        const eggY = scene.cameras.main.height / 2;
+        const { x: eggX, y: eggY } = this.getFocusPoint(scene);
         
         // Multi-layered nebula glow
         const baseGlow = scene.add.graphics();
@@ -299,8 +299,7 @@ class HatchCinematicsManager {
      * Beat 3: Create stardust particle leak effect
      */
     createStardustLeak(scene, config) {
-        const eggX = scene.cameras.main.width / 2;
-        const eggY = scene.cameras.main.height / 2;
+        const { x: eggX, y: eggY } = this.getFocusPoint(scene);
         
         const particles = [];
         
@@ -379,7 +378,8 @@ class HatchCinematicsManager {
 
         // Create burst particles
         if (window.FXLibrary) {
-            window.FXLibrary.stardustBurst(scene, scene.cameras.main.width / 2, scene.cameras.main.height / 2, {
+            const focus = this.getFocusPoint(scene);
+            window.FXLibrary.stardustBurst(scene, focus.x, focus.y, {
                 count: 12,
                 color: config.colors.glow,
                 scale: 0.8,
@@ -469,12 +469,15 @@ class HatchCinematicsManager {
         const centerX = scene.cameras.main.width / 2 + 180;
         const centerY = scene.cameras.main.height / 2;
         
-        // Get creature data for space traits
+        // Get creature data for space traits (config.genes overrides the active creature, e.g. shrine eggs)
         const creatureData = window.GameState ? window.GameState.get('creature') : {};
+        const genes = config.genes || (creatureData?.genome && window.Genome
+            ? window.Genome.describe(creatureData)
+            : creatureData?.genes);
         const spaceTraits = [
-            { title: 'Origin', value: creatureData.genes?.size || 'Stellar', icon: '⭐' },
-            { title: 'Energy', value: creatureData.genes?.pattern || 'Cosmic', icon: '✨' },
-            { title: 'Spirit', value: creatureData.genes?.temperament || 'Peaceful', icon: '🌟' }
+            { title: 'Origin', value: genes?.size || 'Stellar', icon: '⭐' },
+            { title: 'Energy', value: genes?.pattern || 'Cosmic', icon: '✨' },
+            { title: 'Spirit', value: genes?.temperament || 'Peaceful', icon: '🌟' }
         ];
 
         const cards = [];
@@ -562,7 +565,7 @@ class HatchCinematicsManager {
         auroraGlow.fillGradientStyle(config.colors.particles, config.colors.glow, config.colors.particles, config.colors.glow, 0.3);
         auroraGlow.fillRoundedRect(-180, -30, 360, 60, 20);
         
-        const promptText = scene.add.text(0, 0, '✨ Name Your Stellar Companion! ✨', {
+        const promptText = scene.add.text(0, 0, config.namingPrompt || '✨ Name Your Stellar Companion! ✨', {
             fontSize: '22px',
             color: '#FFD54F',
             stroke: '#37474F',
@@ -647,8 +650,11 @@ class HatchCinematicsManager {
      * Create twinkling stars around glow effect
      */
     createTwinklingStars(scene, centerX, centerY, config) {
+        this.assets.stars = this.assets.stars || [];
+
         for (let i = 0; i < 6; i++) {
             const star = scene.add.graphics();
+            this.assets.stars.push(star);
             star.fillStyle(config.colors.highlight, 0.8);
             star.fillCircle(0, 0, 1);
             
@@ -677,8 +683,7 @@ class HatchCinematicsManager {
      * Create sparkles for creature emergence
      */
     createEmergenceSparkles(scene, config) {
-        const centerX = scene.cameras.main.width / 2;
-        const centerY = scene.cameras.main.height / 2;
+        const { x: centerX, y: centerY } = this.getFocusPoint(scene);
         
         for (let i = 0; i < 8; i++) {
             const sparkle = scene.add.graphics();
@@ -703,6 +708,72 @@ class HatchCinematicsManager {
         }
     }
 
+    /**
+     * Where effects are centred: the evolving creature, or the middle of the screen for hatches
+     */
+    getFocusPoint(scene) {
+        return this.focusPoint || {
+            x: scene.cameras.main.width / 2,
+            y: scene.cameras.main.height / 2
+        };
+    }
+
+    /**
+     * Evolution cinematic: the hatch glow, stardust and burst beats played around a
+     * creature already in the world. `onMorph` swaps in the new look at the burst.
+     * @param {Phaser.Scene} scene
+     * @param {Phaser.GameObjects.Sprite} target - The evolving creature
+     * @param {Object} callbacks - { onMorph, onComplete }
+     */
+    playEvolutionSequence(scene, target, { onMorph = null, onComplete = null } = {}) {
+        if (!this.config) {
+            this.initialize();
+        }
+
+        this.cleanup();
+        const config = this.config;
+        const timings = config.timings;
+
+        this.scene = scene;
+        this.startTime = Date.now();
+        this.focusPoint = { x: target.x, y: target.y };
+        this.logTelemetry('evolution/sequence_start', { target: target.name || null });
+
+        // Glow pulses and stardust gather around the creature
+        this.currentBeat = 1;
+        this.createNebulaGlow(scene, config);
+        this.playSpaceSound(scene, config.sfx.glow);
+
+        let currentTime = timings.glowPulse;
+        scene.time.delayedCall(currentTime * 1000, () => {
+            this.currentBeat = 2;
+            this.createStardustLeak(scene, config);
+        });
+        currentTime += timings.particleLeak;
+
+        // Burst: the new form appears in a flash of light
+        scene.time.delayedCall(currentTime * 1000, () => {
+            this.currentBeat = 3;
+            this.createStellarBurst(scene, config);
+            this.createGentleShake(scene, config);
+            this.createEmergenceSparkles(scene, config);
+            this.playSpaceSound(scene, config.sfx.pop);
+
+            if (target.active) {
+                target.setTintFill(config.colors.glow);
+                scene.time.delayedCall(timings.creatureBlink * 400, () => target.active && target.clearTint());
+            }
+            onMorph?.();
+        });
+        currentTime += timings.creatureBlink;
+
+        scene.time.delayedCall(currentTime * 1000, () => {
+            this.logTelemetry('evolution/sequence_complete', { totalDuration: Date.now() - this.startTime });
+            this.cleanup();
+            onComplete?.();
+        });
+    }
+
     /**
      * Play space-themed sound effect
      */
@@ -757,6 +828,7 @@ class HatchCinematicsManager {
         this.assets = {};
         this.scene = null;
         this.currentBeat = 0;
+        this.focusPoint = null;
         console.log('cinematic:debug [HatchCinematics] Space-mythic assets cleaned up');
     }
 
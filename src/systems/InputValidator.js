@@ -10,7 +10,8 @@ class InputValidator {
             email: this.validateEmail.bind(this),
             number: this.validateNumber.bind(this),
             text: this.validateText.bind(this),
-            command: this.validateCommand.bind(this)
+            command: this.validateCommand.bind(this),
+            shareCode: this.validateShareCode.bind(this)
         };
         
         // Validation rules
@@ -34,8 +35,23 @@ class InputValidator {
                 maxLength: 500,
                 sanitize: true,
                 trim: true
+            },
+            shareCode: {
+                // 16 characters plus up to 3 dashes (or spaces) between groups
+                maxLength: 24,
+                pattern: /^[0-9A-Za-z\s-]+$/
             }
         };
+
+        // Kid-friendly messages for ShareCode.decode() errors
+        this.shareCodeMessages = {
+            empty: 'Type in your friend\'s creature code',
+            characters: 'Codes only use letters and numbers',
+            length: 'Codes have 16 letters and numbers - check for a missing one',
+            checksum: 'That code doesn\'t look right - check each letter again',
+            version: 'That code is from a different version of the game',
+            unknown_value: 'That code doesn\'t match any creature we know'
+        };
         
         // Blocked patterns for security
         this.blockedPatterns = [
@@ -238,6 +254,45 @@ class InputValidator {
         return result;
     }
     
+    /**
+     * Validate a creature share code (see ShareCode)
+     * On success `sanitized` is the formatted code and `decoded` holds the creature fields
+     */
+    validateShareCode(value, options = {}) {
+        const rules = { ...this.rules.shareCode, ...options };
+        const result = {
+            isValid: true,
+            errors: [],
+            sanitized: String(value ?? '').trim(),
+            decoded: null
+        };
+
+        if (result.sanitized.length > rules.maxLength || !rules.pattern.test(result.sanitized || ' ')) {
+            result.isValid = false;
+            result.errors.push(result.sanitized ? this.shareCodeMessages.characters : this.shareCodeMessages.empty);
+            result.sanitized = '';
+            return result;
+        }
+
+        const shareCode = window.ShareCode;
+        if (!shareCode) {
+            result.isValid = false;
+            result.errors.push('Sharing is not available right now');
+            return result;
+        }
+
+        const decoded = shareCode.decode(result.sanitized);
+        if (!decoded.valid) {
+            result.isValid = false;
+            result.errors.push(this.shareCodeMessages[decoded.error] || this.shareCodeMessages.checksum);
+            return result;
+        }
+
+        result.sanitized = decoded.code;
+        result.decoded = decoded;
+        return result;
+    }
+
     /**
      * Sanitize input to prevent XSS
      */
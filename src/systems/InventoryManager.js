@@ -1,6 +1,8 @@
 /**
  * InventoryManager - Manages player inventory system
  * Handles item storage, usage, equipping, and organization
+ * Item definitions come from config/items.json (shared with the shop catalog); items added
+ * by id, or with only some fields, are filled in from their definition.
  */
 
 class InventoryManager {
@@ -8,9 +10,39 @@ class InventoryManager {
         this.initialized = false;
         this.maxSlots = 30;
         this.inventory = [];
+        this.itemDefinitions = {};
         this.events = new Phaser.Events.EventEmitter();
     }
 
+    /**
+     * Load item definitions
+     * @param {object} config - Parsed config/items.json
+     */
+    configure(config = {}) {
+        (config.items || []).forEach(item => {
+            this.itemDefinitions[item.id] = item;
+        });
+    }
+
+    /**
+     * @param {string} itemId
+     * @returns {object|null} - Item definition
+     */
+    getItemDefinition(itemId) {
+        return this.itemDefinitions[itemId] || null;
+    }
+
+    /**
+     * Build an inventory item from its definition
+     * @param {string} itemId
+     * @param {object} overrides - Fields that differ from the definition
+     * @returns {object|null}
+     */
+    createItem(itemId, overrides = {}) {
+        const definition = this.getItemDefinition(itemId);
+        return definition ? { ...definition, ...overrides } : null;
+    }
+
     /**
      * Initialize the inventory system
      */
@@ -34,10 +66,16 @@ class InventoryManager {
 
     /**
      * Add item to inventory
-     * @param {object} item - Item object to add
+     * @param {object|string} item - Item object (or item id) to add
      * @returns {boolean} - Success status
      */
     addItem(item) {
+        if (typeof item === 'string') {
+            item = this.createItem(item);
+        } else if (item?.id && this.getItemDefinition(item.id)) {
+            item = this.createItem(item.id, item);
+        }
+
         if (!item) {
             console.warn('[InventoryManager] Cannot add null item');
             return false;
@@ -174,31 +212,11 @@ class InventoryManager {
             return false;
         }
 
-        // Apply food effects to creature
+        // Apply food effects to creature needs (hunger, energy, hygiene, happiness, health)
         if (item.effect) {
-            let effectApplied = false;
-
-            if (item.effect.happiness !== undefined) {
-                const currentHappiness = window.GameState.get('creature.stats.happiness') || 0;
-                const newHappiness = Math.min(100, currentHappiness + item.effect.happiness);
-                window.GameState.set('creature.stats.happiness', newHappiness);
-                effectApplied = true;
-            }
-
-            if (item.effect.hunger !== undefined) {
-                const currentHunger = window.GameState.get('creature.stats.hunger') || 0;
-                const newHunger = Math.min(100, currentHunger + item.effect.hunger);
-                window.GameState.set('creature.stats.hunger', newHunger);
-                effectApplied = true;
-            }
-
-            if (item.effect.health !== undefined) {
-                const currentHealth = window.GameState.get('creature.stats.health') || 100;
-                const maxHealth = 100;
-                const newHealth = Math.min(maxHealth, currentHealth + item.effect.health);
-                window.GameState.set('creature.stats.health', newHealth);
-                effectApplied = true;
-            }
+            const effectApplied = window.NeedsSystem
+                ? Object.keys(window.NeedsSystem.applyEffects(item.effect, `food:${item.id}`)).length > 0
+                : this.applyFoodStats(item.effect);
 
             if (effectApplied) {
                 console.log(`[InventoryManager] Applied ${item.name} effects:`, item.effect);
@@ -212,6 +230,22 @@ class InventoryManager {
         return false;
     }
 
+    /**
+     * Fallback for useFoodItem when NeedsSystem is not loaded: add effects straight to the stats
+     * @param {object} effect - Stat deltas
+     * @returns {boolean} - Whether any stat changed
+     */
+    applyFoodStats(effect) {
+        let effectApplied = false;
+        ['happiness', 'hunger', 'energy', 'hygiene', 'health'].forEach(stat => {
+            if (effect[stat] === undefined) return;
+            const current = window.GameState.get(`creature.stats.${stat}`) ?? 100;
+            window.GameState.set(`creature.stats.${stat}`, Math.max(0, Math.min(100, current + effect[stat])));
+            effectApplied = true;
+        });
+        return effectApplied;
+    }
+
     /**
      * Use egg item (opens hatching system)
      * @param {object} item - Egg item
@@ -224,7 +258,30 @@ class InventoryManager {
         // Emit event for UI to handle (e.g., open hatching scene)
         this.events.emit('eggSelected', { item, slot });
 
-        // Note: Egg is not removed until hatching is confirmed
+        if (!window.GameState?.hatchEgg) {
+            console.warn('[InventoryManager] GameState roster not available');
+            return false;
+        }
+
+        if (window.GameState.isRosterFull()) {
+            console.warn('[InventoryManager] Creature roster is full');
+            this.events.emit('rosterFull', { item, slot });
+            return false;
+        }
+
+        // Hatch into the roster; the current companion stays active
+        const creature = window.GameState.hatchEgg({
+            rarity: item.rarity || 'common',
+            source: item.id,
+            offspring: item.offspring || null
+        });
+        if (!creature) {
+            return false;
+        }
+
+        this.removeItem(slot, 1);
+        this.events.emit('eggHatched', { item, creature });
+
         return true;
     }
 
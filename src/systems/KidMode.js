@@ -53,6 +53,24 @@ class KidModeManager {
                 color: 'hsl(265,55%,78%)'
             }
         };
+
+        // Lowest NeedsSystem need → emotion (health recovers with food)
+        this.needEmotionMap = {
+            hunger: 'hungry',
+            energy: 'sleepy',
+            hygiene: 'dirty',
+            happiness: 'bored',
+            health: 'hungry'
+        };
+        this.thrivingNeedLevel = 80;
+    }
+
+    /**
+     * Level under which NeedsSystem counts a need as low (read lazily: NeedsSystem loads after
+     * Kid Mode, and without it no need is ever low)
+     */
+    get lowNeedLevel() {
+        return window.NeedsSystem?.constructor.LOW_NEED_LEVEL ?? 0;
     }
 
     /**
@@ -153,15 +171,40 @@ class KidModeManager {
         return this.enabled;
     }
 
+    /**
+     * Emotion from NeedsSystem needs: the lowest need under the low level decides,
+     * a creature with every need high is excited
+     * @param {Object} needs - { hunger, energy, hygiene, happiness, health } (0-100)
+     * @returns {string} Emotion key of emotionActionMap
+     */
+    getEmotionFromNeeds(needs = {}) {
+        const values = Object.keys(this.needEmotionMap)
+            .filter(need => typeof needs[need] === 'number')
+            .map(need => ({ need, value: needs[need] }));
+        if (values.length === 0) return 'default';
+
+        const lowest = values.reduce((low, entry) => (entry.value < low.value ? entry : low));
+        if (lowest.value < this.lowNeedLevel) {
+            return this.needEmotionMap[lowest.need];
+        }
+        return lowest.value >= this.thrivingNeedLevel ? 'excited' : 'default';
+    }
+
     /**
      * Get the best next action based on creature emotion/state and genetics
-     * @param {string} emotion - Current creature emotional state
+     * @param {string|Object} emotion - Current creature emotional state, or its NeedsSystem needs
      * @param {Object} genetics - Creature genetics data (optional)
      * @returns {Object} Action object with space-themed messaging
      */
     getNextBestAction(emotion, genetics = null) {
-        // Use genetics-based suggestions if available
-        if (genetics && genetics.personality) {
+        let urgentNeed = false;
+        if (emotion && typeof emotion === 'object') {
+            emotion = this.getEmotionFromNeeds(emotion);
+            urgentNeed = !['excited', 'default'].includes(emotion);
+        }
+
+        // Use genetics-based suggestions if available (a low need always comes first)
+        if (genetics && genetics.personality && !urgentNeed) {
             return this.getGeneticsBasedAction(emotion, genetics);
         }
         
@@ -209,7 +252,11 @@ class KidModeManager {
      */
     getEmotionBasedAction(emotion) {
         const normalizedEmotion = (emotion || 'default').toLowerCase();
-        const actionData = this.emotionActionMap[normalizedEmotion] || this.emotionActionMap.default;
+        const careActions = this.getCareActionButtons();
+        const actionData = careActions.find(action => action.emotion === normalizedEmotion)
+            || this.emotionActionMap[normalizedEmotion]
+            || careActions.find(action => action.emotion === 'default')
+            || this.emotionActionMap.default;
         
         return {
             action: actionData.action,
@@ -370,9 +417,31 @@ class KidModeManager {
      * Get secondary actions (excluding primary)
      */
     getSecondaryActions(primaryAction) {
-        const secondaryActions = [];
         const primaryActionName = primaryAction?.toLowerCase();
 
+        // Registered care actions, the ones helping the lowest needs first
+        const careActions = this.getCareActionButtons();
+        if (careActions.length > 0) {
+            const needs = window.NeedsSystem?.getNeeds?.() || {};
+            const helpScore = (action) => Object.entries(action.needs || {})
+                .filter(([need, delta]) => delta > 0 && typeof needs[need] === 'number')
+                .reduce((score, [need, delta]) => score + Math.min(delta, 100 - needs[need]), 0);
+
+            return careActions
+                .filter(action => action.action !== primaryActionName)
+                .map((action, index) => ({ action, index, score: helpScore(action) }))
+                .sort((a, b) => b.score - a.score || a.index - b.index)
+                .slice(0, 3)
+                .map(({ action }) => ({
+                    action: action.action,
+                    icon: action.icon,
+                    text: action.text.split(' ')[0],
+                    emotion: action.emotion,
+                    color: action.color
+                }));
+        }
+
+        const secondaryActions = [];
         for (const [emotion, data] of Object.entries(this.emotionActionMap)) {
             if (emotion !== 'default' && data.action !== primaryActionName) {
                 secondaryActions.push({
@@ -388,6 +457,20 @@ class KidModeManager {
         return secondaryActions.slice(0, 3);
     }
 
+    /**
+     * Kid Mode buttons for the care actions registered in CareSystem (care-actions.json)
+     * @returns {Array<Object>} Empty when CareSystem is not loaded (emotionActionMap is used instead)
+     */
+    getCareActionButtons() {
+        const careSystem = typeof window !== 'undefined' ? window.CareSystem : null;
+        if (!careSystem || typeof careSystem.getKidModeActions !== 'function') return [];
+
+        return careSystem.getKidModeActions().map(action => ({
+            ...action,
+            color: action.color || this.config?.colors?.primary || 'hsl(45,90%,64%)'
+        }));
+    }
+
     /**
      * Create space-themed kid button with glassmorphism
      */
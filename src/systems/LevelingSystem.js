@@ -0,0 +1,272 @@
+/**
+ * LevelingSystem - XP curve, XP sources, level caps and level-up rewards
+ * Configured from config/leveling.json: `curve` sets the XP each level needs, `sources`
+ * how much XP flowers, care, calming wisps and exploring give, `levelCaps` the highest
+ * level each life stage may reach and `rewards` / `everyLevel` what a new level grants
+ * (coins, items, unlocks and cosmetics). Experience is the creature's lifetime total, so
+ * XP earned while capped turns into levels once the creature grows into its next stage.
+ * GameState.addExperience() delegates here; the `levelUp` event lists the rewards granted.
+ */
+
+// Classic 100 XP per level until configure() runs
+const DEFAULT_CONFIG = {
+    curve: { base: 100, growth: 1, step: 0, roundTo: 1 },
+    maxLevel: 100,
+    levelCaps: {},
+    sources: {},
+    everyLevel: null,
+    rewards: {}
+};
+
+class LevelingSystem {
+    constructor() {
+        this.initialized = false;
+        this.config = DEFAULT_CONFIG;
+        this.unsubscribers = [];
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Load the curve, sources, caps and rewards table
+     * @param {object} config - Parsed config/leveling.json
+     */
+    configure(config = {}) {
+        this.config = {
+            ...DEFAULT_CONFIG,
+            ...config,
+            curve: { ...DEFAULT_CONFIG.curve, ...(config.curve || {}) }
+        };
+        this.levelTotals = null;
+    }
+
+    /**
+     * Award care XP and apply levels a new life stage (or newly active creature) allows
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const gameState = this.getGameState();
+        if (gameState && typeof gameState.on === 'function') {
+            const listeners = {
+                careActionPerformed: () => this.award('care'),
+                lifeStageChanged: ({ creatureId } = {}) => {
+                    if (creatureId === gameState.get('creature.id')) this.applyLevelUps('lifeStage');
+                },
+                activeCreatureChanged: () => this.applyLevelUps('catchUp')
+            };
+            Object.entries(listeners).forEach(([event, handler]) => {
+                const unsubscribe = gameState.on(event, handler);
+                if (typeof unsubscribe === 'function') {
+                    this.unsubscribers.push(unsubscribe);
+                }
+            });
+        }
+
+        this.initialized = true;
+        console.log('✅ LevelingSystem initialized');
+    }
+
+    /**
+     * XP needed to go from `level` to the next one
+     */
+    getXPToNext(level) {
+        const { base, growth, step, roundTo } = this.config.curve;
+        const raw = base * Math.pow(growth, level - 1) + step * (level - 1);
+        return Math.max(1, Math.round(raw / roundTo) * roundTo);
+    }
+
+    /**
+     * Lifetime XP a creature needs to reach `level`
+     */
+    getTotalXPForLevel(level) {
+        if (!this.levelTotals) {
+            this.levelTotals = [0, 0];
+            for (let l = 2; l <= this.config.maxLevel; l++) {
+                this.levelTotals[l] = this.levelTotals[l - 1] + this.getXPToNext(l - 1);
+            }
+        }
+        const clamped = Math.max(1, Math.min(level, this.config.maxLevel));
+        return this.levelTotals[clamped];
+    }
+
+    /**
+     * Level the curve gives for a lifetime XP total (before any life stage cap)
+     */
+    getLevelForXP(experience) {
+        let level = 1;
+        while (level < this.config.maxLevel && experience >= this.getTotalXPForLevel(level + 1)) {
+            level++;
+        }
+        return level;
+    }
+
+    /**
+     * Highest level the creature's life stage allows
+     */
+    getLevelCap(record) {
+        const stage = record?.lifeStage?.stage;
+        const cap = stage ? this.config.levelCaps[stage] : null;
+        return Math.min(cap || this.config.maxLevel, this.config.maxLevel);
+    }
+
+    getSource(source) {
+        return this.config.sources[source] || null;
+    }
+
+    getSourceXP(source) {
+        return this.getSource(source)?.xp || 0;
+    }
+
+    /**
+     * Progress through the current level for HUDs
+     * @returns {object} { level, current, needed, cap, capped }
+     */
+    getProgress(record = null) {
+        const creature = record || this.getGameState()?.get('creature');
+        const level = creature?.level || 1;
+        const experience = creature?.experience || 0;
+        const cap = this.getLevelCap(creature);
+
+        if (level >= cap) {
+            return { level, current: 0, needed: 0, cap, capped: true };
+        }
+
+        const needed = this.getXPToNext(level);
+        const current = Math.max(0, Math.min(needed, experience - this.getTotalXPForLevel(level)));
+        return { level, current, needed, cap, capped: false };
+    }
+
+    /**
+     * Give the active creature the configured XP for a source
+     */
+    award(source) {
+        return this.addExperience(null, source);
+    }
+
+    /**
+     * Add XP to the active creature, tally it by source and apply any level-ups
+     * @param {number|null} amount - XP to add (null uses the source's configured XP)
+     * @param {string} source - Key from config `sources` ('other' for anything untracked)
+     * @returns {object|null} { xp, source, levelUp } or null when nothing was added
+     */
+    addExperience(amount, source = 'other') {
+        const gameState = this.getGameState();
+        const xp = Math.round(amount ?? this.getSourceXP(source));
+        if (!gameState || !(xp > 0)) return null;
+
+        const creature = gameState.get('creature');
+        gameState.set('creature.experience', (creature.experience || 0) + xp);
+
+        const tally = { ...(creature.xpSources || {}) };
+        tally[source] = (tally[source] || 0) + xp;
+        gameState.set('creature.xpSources', tally);
+
+        gameState.emit('experienceGained', { amount: xp, source, experience: gameState.get('creature.experience') });
+
+        return { xp, source, levelUp: this.applyLevelUps(source) };
+    }
+
+    /**
+     * Raise the active creature to the level its XP and life stage allow, granting rewards
+     * for every level passed. Levels never go down.
+     * @returns {object|null} The levelUp event data, or null when the level didn't change
+     */
+    applyLevelUps(source = 'other') {
+        const gameState = this.getGameState();
+        const creature = gameState?.get('creature');
+        if (!creature) return null;
+
+        const oldLevel = creature.level || 1;
+        const cap = this.getLevelCap(creature);
+        const curveLevel = this.getLevelForXP(creature.experience || 0);
+        const newLevel = Math.min(curveLevel, cap);
+        if (newLevel <= oldLevel) return null;
+
+        const rewards = [];
+        for (let level = oldLevel + 1; level <= newLevel; level++) {
+            rewards.push(...this.grantRewards(level));
+        }
+
+        gameState.set('creature.level', newLevel);
+        const data = { oldLevel, newLevel, rewards, source, capped: curveLevel > cap };
+        gameState.emit('levelUp', data);
+
+        // Check if breeding shrine should be unlocked
+        gameState.checkBreedingShrineUnlock?.();
+        return data;
+    }
+
+    /**
+     * Rewards for reaching a level (everyLevel plus the table entry)
+     * @returns {object} { coins, items, unlocks, cosmetics }
+     */
+    getRewardsForLevel(level) {
+        const entries = [this.config.everyLevel, this.config.rewards[level]].filter(Boolean);
+        return {
+            coins: entries.reduce((sum, entry) => sum + (entry.coins || 0), 0),
+            items: entries.flatMap(entry => entry.items || []),
+            unlocks: entries.flatMap(entry => entry.unlocks || []),
+            cosmetics: entries.flatMap(entry => entry.cosmetics || [])
+        };
+    }
+
+    /**
+     * Hand out a level's rewards
+     * @returns {Array<object>} Granted rewards: { level, type, id, name, icon, amount }
+     */
+    grantRewards(level) {
+        const gameState = this.getGameState();
+        const { coins, items, unlocks, cosmetics } = this.getRewardsForLevel(level);
+        const granted = [];
+
+        if (coins > 0 && window.EconomyManager?.addCoins) {
+            window.EconomyManager.addCoins(coins, 'level_up');
+            granted.push({ level, type: 'coins', id: 'coins', name: `${coins} coins`, icon: '🪙', amount: coins });
+        }
+
+        items.forEach(({ quantity = 1, ...item }) => {
+            const inventory = window.InventoryManager;
+            if (!inventory?.addItem) return;
+            let added = 0;
+            for (let i = 0; i < quantity; i++) {
+                if (inventory.addItem({ ...item })) added++;
+            }
+            if (added > 0) {
+                granted.push({ level, type: 'item', id: item.id, name: item.name, icon: item.icon, amount: added });
+            }
+        });
+
+        unlocks.forEach(unlock => {
+            gameState.unlock(unlock.type, unlock.id);
+            granted.push({ level, type: 'unlock', id: unlock.id, name: unlock.name, icon: unlock.icon });
+        });
+
+        cosmetics.forEach(cosmetic => {
+            gameState.unlock('cosmetics', cosmetic.id);
+            granted.push({ level, type: 'cosmetic', id: cosmetic.id, name: cosmetic.name, icon: cosmetic.icon });
+        });
+
+        return granted;
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.initialized = false;
+    }
+}
+
+LevelingSystem.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.LevelingSystem = window.LevelingSystem || new LevelingSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LevelingSystem;
+}
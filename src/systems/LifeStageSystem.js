@@ -0,0 +1,312 @@
+/**
+ * LifeStageSystem - Age- and level-driven life stages for every hatched creature
+ * A creature grows baby → juvenile → adult → elder once it has both the level and the
+ * age (time since hatchTime) a stage asks for. Reaching adult branches into an evolution
+ * form picked from its PersonalitySystem axes and flavoured by its cosmicAffinity element.
+ * The stage is stored on each creature record as `lifeStage`; GraphicsEngine reads the
+ * render modifiers from getRenderModifiers() and GameScene plays the evolution cinematic
+ * on `lifeStageChanged`.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Ordered youngest → oldest; a stage needs BOTH its level and its age
+const LIFE_STAGES = [
+    {
+        id: 'baby',
+        label: 'Baby',
+        minLevel: 1,
+        minAge: 0,
+        visuals: { sizeMultiplier: 0.7, headSizeRatio: 1.3, wingGrowth: 0.45, hornScale: 0, markingIntensity: 0.3, colorSaturation: 0.75 }
+    },
+    {
+        id: 'juvenile',
+        label: 'Juvenile',
+        minLevel: 5,
+        minAge: HOUR,
+        visuals: { sizeMultiplier: 0.85, headSizeRatio: 1.12, wingGrowth: 0.75, hornScale: 0.6, markingIntensity: 0.6, colorSaturation: 0.9 }
+    },
+    {
+        id: 'adult',
+        label: 'Adult',
+        minLevel: 15,
+        minAge: DAY,
+        visuals: { sizeMultiplier: 1.0, headSizeRatio: 1.0, wingGrowth: 1.0, hornScale: 1.0, markingIntensity: 1.0, colorSaturation: 1.0 }
+    },
+    {
+        id: 'elder',
+        label: 'Elder',
+        minLevel: 40,
+        minAge: 7 * DAY,
+        visuals: { sizeMultiplier: 1.0, headSizeRatio: 0.95, wingGrowth: 1.1, hornScale: 1.25, markingIntensity: 1.0, colorSaturation: 0.85 },
+        features: ['runes']
+    }
+];
+
+// The stage where a creature picks its evolution form (kept for every later stage)
+const BRANCH_STAGE = 'adult';
+
+// Each form follows one personality axis; the strongest axis past the threshold wins
+const EVOLUTION_FORMS = {
+    guardian: { id: 'guardian', label: 'Guardian', axis: 'temperament', direction: 1, visuals: { hornScale: 1.35 }, features: ['plates'] },
+    harmony: { id: 'harmony', label: 'Harmony', axis: 'temperament', direction: -1, visuals: { headSizeRatio: 1.05 }, features: ['halo'] },
+    comet: { id: 'comet', label: 'Comet', axis: 'energy', direction: 1, visuals: { wingGrowth: 1.25 }, features: ['streaks'] },
+    dreamer: { id: 'dreamer', label: 'Dreamer', axis: 'energy', direction: -1, visuals: { colorSaturation: 0.9 }, features: ['crescent'] },
+    seeker: { id: 'seeker', label: 'Seeker', axis: 'curiosity', direction: 1, visuals: {}, features: ['antennae'] }
+};
+
+// Axis value (-100..100) a form needs before it beats the classic adult look
+const FORM_THRESHOLD = 30;
+
+// cosmicAffinity elements give the form its name and marking colour
+const ELEMENTS = {
+    star: { label: 'Star', color: 0xFFD54F },
+    nebula: { label: 'Nebula', color: 0xF48FB1 },
+    crystal: { label: 'Crystal', color: 0xB39DDB },
+    moon: { label: 'Moon', color: 0xE0E0E0 },
+    void: { label: 'Void', color: 0x7E57C2 }
+};
+const DEFAULT_ACCENT = 0xFFFFFF;
+
+class LifeStageSystem {
+    constructor() {
+        this.initialized = false;
+        this.stages = LIFE_STAGES;
+        this.forms = EVOLUTION_FORMS;
+        this.unsubscribers = [];
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Re-check creatures as they level up, join the roster or become active.
+     * Saves from before life stages get their current stage without a cinematic.
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const gameState = this.getGameState();
+        if (gameState && typeof gameState.on === 'function') {
+            const listeners = {
+                levelUp: () => this.checkCreature(gameState.get('creature.id')),
+                activeCreatureChanged: () => this.checkCreature(gameState.get('creature.id')),
+                creatureAdded: ({ creature } = {}) => creature && this.checkCreature(creature.id)
+            };
+            Object.entries(listeners).forEach(([event, handler]) => {
+                const unsubscribe = gameState.on(event, handler);
+                if (typeof unsubscribe === 'function') {
+                    this.unsubscribers.push(unsubscribe);
+                }
+            });
+        }
+
+        this.initialized = true;
+        this.backfillRoster();
+        console.log('✅ LifeStageSystem initialized');
+    }
+
+    getStage(stageId) {
+        return LIFE_STAGES.find(stage => stage.id === stageId) || null;
+    }
+
+    getStageIndex(stageId) {
+        return LIFE_STAGES.findIndex(stage => stage.id === stageId);
+    }
+
+    /**
+     * Highest stage the creature's level and age allow
+     * @param {object} record - Creature record (level, hatchTime)
+     * @param {number} now - Timestamp to measure age against
+     * @returns {string} Stage id
+     */
+    determineStage(record, now = Date.now()) {
+        const level = record?.level || 1;
+        const age = Math.max(0, now - (record?.hatchTime || now));
+
+        for (let i = LIFE_STAGES.length - 1; i > 0; i--) {
+            const stage = LIFE_STAGES[i];
+            if (level >= stage.minLevel && age >= stage.minAge) {
+                return stage.id;
+            }
+        }
+        return LIFE_STAGES[0].id;
+    }
+
+    /**
+     * Evolution form from the strongest personality axis, plus the cosmic element
+     * @returns {{ form: string|null, element: string|null }} form is null for the classic look
+     */
+    getEvolutionForm(record) {
+        const axes = record?.personalityState?.axes || {};
+        const element = record?.genetics?.cosmicAffinity?.element || record?.cosmicElement || null;
+
+        let best = null;
+        let bestScore = FORM_THRESHOLD - 1;
+        Object.values(EVOLUTION_FORMS).forEach(form => {
+            const score = (axes[form.axis] || 0) * form.direction;
+            if (score > bestScore) {
+                best = form;
+                bestScore = score;
+            }
+        });
+
+        return { form: best ? best.id : null, element: ELEMENTS[element] ? element : null };
+    }
+
+    /**
+     * Display name for a stored life stage, e.g. "Nebula Comet" or "Juvenile"
+     */
+    getDisplayName(lifeStage) {
+        const form = EVOLUTION_FORMS[lifeStage?.form];
+        if (form) {
+            const element = ELEMENTS[lifeStage.element];
+            return element ? `${element.label} ${form.label}` : form.label;
+        }
+        return this.getStage(lifeStage?.stage)?.label || LIFE_STAGES[0].label;
+    }
+
+    /**
+     * Next life stage for a record, or null when it has nothing new to grow into
+     * Stages never go backwards; the form chosen at the branch stage is kept for good
+     */
+    evaluate(record, now = Date.now()) {
+        const current = record?.lifeStage || null;
+        const stage = this.determineStage(record, now);
+
+        if (current && this.getStageIndex(stage) <= this.getStageIndex(current.stage)) {
+            return null;
+        }
+
+        const branchIndex = this.getStageIndex(BRANCH_STAGE);
+        const alreadyBranched = current && this.getStageIndex(current.stage) >= branchIndex;
+        const { form, element } = alreadyBranched || this.getStageIndex(stage) < branchIndex
+            ? { form: current?.form || null, element: current?.element || null }
+            : this.getEvolutionForm(record);
+
+        return {
+            stage,
+            form,
+            element,
+            evolvedAt: now,
+            history: [...(current?.history || []), { stage, form, at: now }]
+        };
+    }
+
+    /**
+     * Grow one creature if it is ready and store the new stage on its record
+     * @param {string} creatureId - Roster creature id
+     * @param {object} options - { now }
+     * @returns {object|null} The new lifeStage, or null when nothing changed
+     */
+    checkCreature(creatureId, { now = Date.now() } = {}) {
+        const gameState = this.getGameState();
+        const record = creatureId && gameState?.getRosterCreature ? gameState.getRosterCreature(creatureId) : null;
+        if (!record?.hatched) return null;
+
+        const lifeStage = this.evaluate(record, now);
+        if (!lifeStage) return null;
+
+        gameState.setCreatureLifeStage(creatureId, lifeStage);
+
+        // Saves from before life stages catch up quietly; only real growth is celebrated
+        if (record.lifeStage) {
+            gameState.emit('lifeStageChanged', {
+                creatureId,
+                from: record.lifeStage.stage,
+                to: lifeStage.stage,
+                form: lifeStage.form,
+                name: this.getDisplayName(lifeStage),
+                lifeStage: JSON.parse(JSON.stringify(lifeStage))
+            });
+            console.log(`[LifeStageSystem] ${record.name} grew from ${record.lifeStage.stage} to ${this.getDisplayName(lifeStage)}`);
+        }
+
+        return lifeStage;
+    }
+
+    /**
+     * Check every roster creature (age keeps counting while they rest)
+     * @returns {Array<object>} Stages that changed
+     */
+    checkRoster(options = {}) {
+        const gameState = this.getGameState();
+        if (!gameState?.getRoster) return [];
+
+        return gameState.getRoster()
+            .map(entry => this.checkCreature(entry.id, options))
+            .filter(Boolean);
+    }
+
+    backfillRoster() {
+        const gameState = this.getGameState();
+        if (!gameState?.getRoster) return;
+
+        gameState.getRoster().forEach(entry => {
+            if (!gameState.getRosterCreature(entry.id)?.lifeStage) {
+                this.checkCreature(entry.id);
+            }
+        });
+    }
+
+    /**
+     * Visual modifiers for one stage and form (sizes are multipliers of the adult look)
+     * @returns {object} { key, stage, form, element, sizeMultiplier, headSizeRatio, wingGrowth,
+     *                     hornScale, markingIntensity, colorSaturation, accentColor, features }
+     */
+    getStageModifiers(stageId, form = null, element = null) {
+        const stage = this.getStage(stageId) || LIFE_STAGES[0];
+        const formInfo = EVOLUTION_FORMS[form] || null;
+        const visuals = { ...stage.visuals };
+
+        // Form visuals multiply the stage visuals
+        Object.entries(formInfo?.visuals || {}).forEach(([key, value]) => {
+            visuals[key] = visuals[key] * value;
+        });
+
+        return {
+            key: [stage.id, formInfo?.id, ELEMENTS[element] ? element : null].filter(Boolean).join('-'),
+            stage: stage.id,
+            form: formInfo?.id || null,
+            element: ELEMENTS[element] ? element : null,
+            ...visuals,
+            accentColor: ELEMENTS[element]?.color || DEFAULT_ACCENT,
+            features: [...(stage.features || []), ...(formInfo?.features || [])]
+        };
+    }
+
+    /**
+     * Render modifiers for a creature record; null keeps the classic adult look
+     * (visitors and previews have no life of their own in this save)
+     */
+    getRenderModifiers(record) {
+        if (!record || record.visiting || !record.hatched) return null;
+
+        const lifeStage = record.lifeStage || this.evaluate(record);
+        return this.getStageModifiers(lifeStage.stage, lifeStage.form, lifeStage.element);
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.initialized = false;
+    }
+}
+
+LifeStageSystem.STAGES = LIFE_STAGES;
+LifeStageSystem.FORMS = EVOLUTION_FORMS;
+LifeStageSystem.ELEMENTS = ELEMENTS;
+LifeStageSystem.BRANCH_STAGE = BRANCH_STAGE;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.LifeStageSystem = window.LifeStageSystem || new LifeStageSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LifeStageSystem;
+}
@@ -0,0 +1,259 @@
+/**
+ * LineageSystem - Family trees for bred creatures
+ *
+ * Every shrine-bred creature stores `lineage` on its record:
+ *   parentIds    - [parentAId, parentBId]
+ *   generation   - 0 for wild/shop hatches, otherwise one more than the older parent line
+ *   traitOrigins - locusKey → { value, from } where `from` is a parent id, 'both' or 'mutation'
+ *   mutations    - [{ locus, from, to }] from Genome.cross()
+ *
+ * Parents are snapshotted into GameState `lineage.ancestors` when they breed, so the
+ * pedigree still renders after an ancestor leaves the roster. Inbreeding uses Wright's
+ * coefficient, computed with the coancestry recursion over that family tree.
+ */
+
+// Offspring of half siblings (or closer) trigger the shrine warning
+const INBREEDING_WARNING_THRESHOLD = 0.125;
+// Guard against corrupted saves that contain a parent loop
+const MAX_PEDIGREE_DEPTH = 16;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class LineageSystem {
+    constructor() {
+        this.warningThreshold = INBREEDING_WARNING_THRESHOLD;
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    getGenome() {
+        return typeof window !== 'undefined' ? window.Genome : null;
+    }
+
+    /**
+     * Roster creature or archived ancestor
+     * @returns {object|null} A copy of the record; archived ancestors carry `archived: true`
+     */
+    getRecord(creatureId) {
+        const gameState = this.getGameState();
+        if (!gameState || !creatureId) return null;
+
+        const rosterEntry = gameState.getRosterCreature?.(creatureId);
+        if (rosterEntry) return rosterEntry;
+
+        const ancestor = gameState.get('lineage.ancestors')?.[creatureId];
+        return ancestor ? { ...clone(ancestor), archived: true } : null;
+    }
+
+    /**
+     * Normalized lineage for any record (wild hatches are generation 0 with no parents)
+     */
+    getLineage(record) {
+        const lineage = record?.lineage || {};
+        const parentIds = Array.isArray(lineage.parentIds) ? lineage.parentIds : (record?.parentIds || []);
+
+        return {
+            parentIds: parentIds.filter(Boolean),
+            generation: Number.isInteger(lineage.generation) ? lineage.generation : (parentIds.length ? 1 : 0),
+            traitOrigins: lineage.traitOrigins || {},
+            mutations: lineage.mutations || []
+        };
+    }
+
+    getParentIds(creatureId) {
+        return this.getLineage(this.getRecord(creatureId)).parentIds;
+    }
+
+    getGeneration(creatureId) {
+        return this.getLineage(this.getRecord(creatureId)).generation;
+    }
+
+    /**
+     * Which parent each expressed trait came from
+     * @param {object} genome - Offspring genome
+     * @param {object} origins - Allele sources from Genome.cross() (0, 1 or 'mutation')
+     * @param {Array<string>} parentIds - [parentAId, parentBId]
+     */
+    describeTraitOrigins(genome, origins = {}, parentIds = []) {
+        const genomeSystem = this.getGenome();
+        const traitOrigins = {};
+
+        Object.entries(origins).forEach(([locusKey, sources]) => {
+            const alleles = genome?.loci?.[locusKey];
+            if (!Array.isArray(alleles)) return;
+
+            const value = genomeSystem ? genomeSystem.expressLocus(locusKey, alleles) : alleles[0];
+            const expressedSources = alleles
+                .map((allele, index) => (allele === value ? sources[index] : null))
+                .filter(source => source !== null && source !== undefined);
+
+            const parents = [...new Set(expressedSources.filter(source => source !== 'mutation'))];
+            let from = 'mutation';
+            if (parents.length > 1) {
+                from = 'both';
+            } else if (parents.length === 1) {
+                from = parentIds[parents[0]] || null;
+            }
+
+            traitOrigins[locusKey] = { value, from };
+        });
+
+        return traitOrigins;
+    }
+
+    /**
+     * Lineage for a new shrine offspring
+     * @param {object} cross - Genome.cross() result { genome, origins, mutations }
+     */
+    buildOffspringLineage(parentAId, parentBId, { genome, origins, mutations = [] } = {}) {
+        const parentIds = [parentAId, parentBId];
+
+        return {
+            parentIds,
+            generation: Math.max(this.getGeneration(parentAId), this.getGeneration(parentBId)) + 1,
+            traitOrigins: this.describeTraitOrigins(genome, origins, parentIds),
+            mutations: clone(mutations)
+        };
+    }
+
+    /**
+     * Keep a renderable snapshot of creatures that became parents
+     */
+    archiveAncestors(records = []) {
+        const gameState = this.getGameState();
+        if (!gameState) return;
+
+        const ancestors = { ...(gameState.get('lineage.ancestors') || {}) };
+        records.filter(record => record?.id).forEach(record => {
+            ancestors[record.id] = {
+                id: record.id,
+                name: record.name || 'Your Creature',
+                rarity: record.rarity || null,
+                species: record.species || record.genetics?.species || null,
+                lineage: this.getLineage(record),
+                genome: record.genome || null,
+                dna: record.dna || null,
+                genetics: record.genetics || null,
+                colors: record.colors || null,
+                archivedAt: Date.now()
+            };
+        });
+        gameState.set('lineage.ancestors', ancestors);
+    }
+
+    /**
+     * Ancestor tree for the pedigree scene
+     * @param {number} generations - Ancestor generations to include (parents = 1)
+     * @returns {object|null} { id, record, inbreeding, parents: [node|null, node|null] }
+     */
+    getPedigree(creatureId, generations = 3) {
+        const build = (id, depth) => {
+            const record = this.getRecord(id);
+            if (!record) return { id, record: null, parents: [] };
+
+            const { parentIds } = this.getLineage(record);
+            return {
+                id,
+                record,
+                inbreeding: this.getCreatureInbreeding(id),
+                parents: depth < generations ? parentIds.map(parentId => build(parentId, depth + 1)) : []
+            };
+        };
+
+        return this.getRecord(creatureId) ? build(creatureId, 0) : null;
+    }
+
+    /**
+     * Every known ancestor id of a creature (not including itself)
+     */
+    getAncestorIds(creatureId) {
+        const seen = new Set();
+        const visit = (id, depth) => {
+            if (depth > MAX_PEDIGREE_DEPTH) return;
+            this.getParentIds(id).forEach(parentId => {
+                if (seen.has(parentId)) return;
+                seen.add(parentId);
+                visit(parentId, depth + 1);
+            });
+        };
+        visit(creatureId, 0);
+        return seen;
+    }
+
+    /**
+     * Coefficient of coancestry f(X, Y): chance that alleles drawn from X and Y are identical by descent
+     * f(X, X) = (1 + F_X) / 2, otherwise recurse through the parents of the younger creature
+     */
+    getCoancestry(idX, idY, cache = new Map(), depth = 0) {
+        if (!idX || !idY || depth > MAX_PEDIGREE_DEPTH) return 0;
+
+        const key = [idX, idY].sort().join('|');
+        if (cache.has(key)) return cache.get(key);
+
+        let coefficient;
+        if (idX === idY) {
+            const [sire, dam] = this.getParentIds(idX);
+            coefficient = (1 + this.getCoancestry(sire, dam, cache, depth + 1)) / 2;
+        } else {
+            // Ancestors always have a lower generation, so the younger creature is never an ancestor of the other
+            const [younger, older] = this.getGeneration(idX) >= this.getGeneration(idY) ? [idX, idY] : [idY, idX];
+            const parents = this.getParentIds(younger);
+            coefficient = parents.length === 2
+                ? (this.getCoancestry(parents[0], older, cache, depth + 1) + this.getCoancestry(parents[1], older, cache, depth + 1)) / 2
+                : 0;
+        }
+
+        cache.set(key, coefficient);
+        return coefficient;
+    }
+
+    /**
+     * Inbreeding coefficient of an offspring from these parents (Wright's F)
+     */
+    getInbreedingCoefficient(parentAId, parentBId) {
+        if (!parentAId || !parentBId || parentAId === parentBId) return 0;
+        return this.getCoancestry(parentAId, parentBId);
+    }
+
+    /**
+     * Inbreeding coefficient of an existing creature
+     */
+    getCreatureInbreeding(creatureId) {
+        const [sire, dam] = this.getParentIds(creatureId);
+        return this.getInbreedingCoefficient(sire, dam);
+    }
+
+    /**
+     * Breeding warning data for the shrine preview
+     * @returns {object} { coefficient, percent, warning, commonAncestors: [{ id, name }] }
+     */
+    assessPairing(parentAId, parentBId) {
+        const coefficient = this.getInbreedingCoefficient(parentAId, parentBId);
+        const ancestorsA = new Set([parentAId, ...this.getAncestorIds(parentAId)]);
+        const ancestorsB = new Set([parentBId, ...this.getAncestorIds(parentBId)]);
+        const commonAncestors = [...ancestorsA]
+            .filter(id => ancestorsB.has(id))
+            .map(id => ({ id, name: this.getRecord(id)?.name || 'Unknown' }));
+
+        return {
+            coefficient,
+            percent: Math.round(coefficient * 1000) / 10,
+            warning: coefficient >= this.warningThreshold,
+            commonAncestors
+        };
+    }
+}
+
+LineageSystem.WARNING_THRESHOLD = INBREEDING_WARNING_THRESHOLD;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.LineageSystem = window.LineageSystem || new LineageSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineageSystem;
+}
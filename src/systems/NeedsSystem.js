@@ -0,0 +1,210 @@
+/**
+ * NeedsSystem - Real-time creature needs (hunger, energy, hygiene, happiness, health)
+ * Every need runs 0-100 where 100 is fully cared for. Needs drift down while time passes,
+ * including while the game is closed: on load the time since `player.lastPlayed` is
+ * fast-forwarded for every roster creature. Kid-friendly floors stop any need from
+ * dropping so low that a creature looks harmed, however long the player was away.
+ * Care actions (CareSystem) and food `effect` fields restore needs through applyEffects().
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const NEEDS = {
+    hunger: { label: 'Hunger', icon: '🍎', decayPerHour: 6, floor: 25 },
+    energy: { label: 'Energy', icon: '⚡', decayPerHour: 4, floor: 25 },
+    hygiene: { label: 'Hygiene', icon: '🫧', decayPerHour: 3, floor: 25 },
+    happiness: { label: 'Happiness', icon: '😊', decayPerHour: 2, floor: 20 },
+    // Health only drops while the creature is hungry or grubby (see HEALTH_RISK_LEVEL)
+    health: { label: 'Health', icon: '❤️', decayPerHour: 1, floor: 50 }
+};
+
+// Hunger or hygiene under this level slowly wears health down (still above the health floor)
+const HEALTH_RISK_LEVEL = 40;
+
+// Below this a need is worth pointing out to the player
+const LOW_NEED_LEVEL = 50;
+
+const clampPercent = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+class NeedsSystem {
+    constructor() {
+        this.needs = NEEDS;
+        this.lastUpdate = null;
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Needs from a stats object; missing needs (older records) count as fully cared for
+     */
+    readNeeds(stats = {}) {
+        const needs = {};
+        Object.keys(NEEDS).forEach(need => {
+            needs[need] = typeof stats?.[need] === 'number' ? stats[need] : 100;
+        });
+        return needs;
+    }
+
+    /**
+     * Current needs of the active creature
+     */
+    getNeeds() {
+        return this.readNeeds(this.getGameState()?.get('creature.stats'));
+    }
+
+    /**
+     * Pure decay step: the needs after `elapsedMs` of real time
+     * @param {object} stats - Current needs/stats
+     * @param {number} elapsedMs - Time that passed
+     * @returns {object} New needs (never below each need's floor unless already lower)
+     */
+    simulate(stats, elapsedMs) {
+        const hours = Math.max(0, elapsedMs || 0) / HOUR;
+        const before = this.readNeeds(stats);
+        const after = { ...before };
+
+        const decay = (need, amount) => {
+            const { floor } = NEEDS[need];
+            if (before[need] <= floor) return before[need];
+            return clampPercent(Math.max(floor, before[need] - amount));
+        };
+
+        ['hunger', 'energy', 'hygiene', 'happiness'].forEach(need => {
+            after[need] = decay(need, NEEDS[need].decayPerHour * hours);
+        });
+
+        // Hours spent below the risk level (needs fall linearly until they reach it)
+        const riskHours = ['hunger', 'hygiene'].map(need => {
+            const hoursUntilRisk = Math.max(0, before[need] - HEALTH_RISK_LEVEL) / NEEDS[need].decayPerHour;
+            return Math.max(0, hours - hoursUntilRisk);
+        });
+        after.health = decay('health', NEEDS.health.decayPerHour * Math.max(...riskHours));
+
+        return after;
+    }
+
+    /**
+     * Catch every roster creature up on the time since the game was last played
+     * @param {object} options - { now }
+     * @returns {object|null} { elapsed, before, after } for the active creature
+     */
+    fastForward({ now = Date.now() } = {}) {
+        const gameState = this.getGameState();
+        if (!gameState) return null;
+
+        const since = gameState.get('player.lastPlayed') || gameState.get('creature.care.lastCareTime');
+        this.lastUpdate = now;
+        if (!since || since >= now) return null;
+
+        const elapsed = now - since;
+        const result = this.advance(elapsed);
+        if (result) {
+            gameState.emit('needsFastForwarded', result);
+            console.log(`[NeedsSystem] Fast-forwarded ${(elapsed / HOUR).toFixed(1)} hours away`, result.after);
+        }
+        return result;
+    }
+
+    /**
+     * Real-time decay since the last update (GameScene calls this on a timer)
+     */
+    update(now = Date.now()) {
+        if (this.lastUpdate === null) {
+            this.lastUpdate = now;
+            return null;
+        }
+
+        const elapsed = now - this.lastUpdate;
+        this.lastUpdate = now;
+        return elapsed > 0 ? this.advance(elapsed) : null;
+    }
+
+    /**
+     * Decay the active creature (through GameState.set so the HUD updates) and the resting roster
+     */
+    advance(elapsedMs) {
+        const gameState = this.getGameState();
+        if (!gameState?.get('creature.hatched')) return null;
+
+        const activeId = gameState.get('creature.id');
+        (gameState.state.creatures || []).forEach(entry => {
+            if (entry.id === activeId || !entry.stats) return;
+            Object.assign(entry.stats, this.simulate(entry.stats, elapsedMs));
+        });
+
+        const before = this.getNeeds();
+        const after = this.simulate(before, elapsedMs);
+        this.writeNeeds(after, before);
+
+        return { elapsed: elapsedMs, before, after };
+    }
+
+    writeNeeds(after, before = this.getNeeds()) {
+        const gameState = this.getGameState();
+        Object.keys(NEEDS).forEach(need => {
+            if (after[need] !== before[need] || gameState.get(`creature.stats.${need}`) === undefined) {
+                gameState.set(`creature.stats.${need}`, after[need]);
+            }
+        });
+    }
+
+    /**
+     * Apply a care action or item effect ({ hunger: 30, energy: -10, ... }) to the active creature
+     * Lowering a need (e.g. play tires a creature out) still respects the kid-friendly floors
+     * @param {object} effect - Need deltas; unknown keys are ignored
+     * @param {string} source - For logging, e.g. 'care:feed' or 'food:cosmic_berry'
+     * @returns {object} The deltas actually applied
+     */
+    applyEffects(effect, source = 'effect') {
+        const gameState = this.getGameState();
+        if (!gameState || !effect) return {};
+
+        const before = this.getNeeds();
+        const after = { ...before };
+        const applied = {};
+
+        Object.entries(effect).forEach(([need, delta]) => {
+            if (!NEEDS[need] || typeof delta !== 'number' || delta === 0) return;
+
+            const lowest = delta < 0 ? Math.min(before[need], NEEDS[need].floor) : 0;
+            after[need] = Math.max(lowest, clampPercent(before[need] + delta));
+            applied[need] = after[need] - before[need];
+        });
+
+        if (Object.keys(applied).length > 0) {
+            this.writeNeeds(after, before);
+            gameState.emit('needsChanged', { source, applied, needs: this.getNeeds() });
+        }
+        return applied;
+    }
+
+    /**
+     * Lowest need under LOW_NEED_LEVEL, or null when the creature is doing well
+     * @returns {{ need: string, value: number }|null}
+     */
+    getMostUrgentNeed(needs = this.getNeeds()) {
+        let urgent = null;
+        Object.keys(NEEDS).forEach(need => {
+            const value = needs[need];
+            if (value < LOW_NEED_LEVEL && (!urgent || value < urgent.value)) {
+                urgent = { need, value };
+            }
+        });
+        return urgent;
+    }
+}
+
+NeedsSystem.NEEDS = NEEDS;
+NeedsSystem.LOW_NEED_LEVEL = LOW_NEED_LEVEL;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.NeedsSystem = window.NeedsSystem || new NeedsSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NeedsSystem;
+}
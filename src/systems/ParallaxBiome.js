@@ -14,6 +14,13 @@ class ParallaxBiomeManager {
         this.scrollFactor = 0;
     }
 
+    /**
+     * Decoration placement uses the shared 'world' stream (see RandomService)
+     */
+    get rng() {
+        return window.RandomService.stream('world');
+    }
+
     /**
      * Initialize the parallax biome system
      */
@@ -195,13 +202,13 @@ class ParallaxBiomeManager {
             star.fillStyle(this.config.palette.stars, 0.9);
             
             // Vary star sizes for depth
-            const size = Phaser.Math.FloatBetween(0.8, 2.2);
+            const size = this.rng.floatBetween(0.8, 2.2);
             star.fillCircle(0, 0, size);
             
             // Random positioning across extended area
             star.setPosition(
-                Phaser.Math.Between(0, width * 1.5),
-                Phaser.Math.Between(0, height * 0.7) // Keep in upper area
+                this.rng.between(0, width * 1.5),
+                this.rng.between(0, height * 0.7) // Keep in upper area
             );
             
             // Accessibility
@@ -213,7 +220,7 @@ class ParallaxBiomeManager {
                     targets: star,
                     alpha: { from: 0.4, to: 1.0 },
                     scale: { from: 0.8, to: 1.2 },
-                    duration: Phaser.Math.Between(2000, 4000),
+                    duration: this.rng.between(2000, 4000),
                     ease: 'Sine.easeInOut',
                     yoyo: true,
                     repeat: -1,
@@ -245,8 +252,8 @@ class ParallaxBiomeManager {
             
             // Position in mid-distance
             rock.setPosition(
-                Phaser.Math.Between(100, width + 200),
-                Phaser.Math.Between(height * 0.2, height * 0.8)
+                this.rng.between(100, width + 200),
+                this.rng.between(height * 0.2, height * 0.8)
             );
             
             // Accessibility
@@ -256,10 +263,10 @@ class ParallaxBiomeManager {
             if (layer.animate && this.config.effects.enableGentleFloat) {
                 this.scene.tweens.add({
                     targets: rock,
-                    y: rock.y + Phaser.Math.Between(-15, 15),
-                    x: rock.x + Phaser.Math.Between(-10, 10),
-                    rotation: Phaser.Math.FloatBetween(-0.1, 0.1),
-                    duration: Phaser.Math.Between(6000, 10000),
+                    y: rock.y + this.rng.between(-15, 15),
+                    x: rock.x + this.rng.between(-10, 10),
+                    rotation: this.rng.floatBetween(-0.1, 0.1),
+                    duration: this.rng.between(6000, 10000),
                     ease: 'Sine.easeInOut',
                     yoyo: true,
                     repeat: -1,
@@ -284,8 +291,8 @@ class ParallaxBiomeManager {
             const flora = this.scene.add.graphics();
             
             // Create crystalline plant shapes
-            const baseHeight = 30 + Phaser.Math.Between(10, 50);
-            const baseWidth = 8 + Phaser.Math.Between(2, 12);
+            const baseHeight = 30 + this.rng.between(10, 50);
+            const baseWidth = 8 + this.rng.between(2, 12);
             
             // Stem
             flora.fillStyle(this.config.palette.crystalFlora, 0.7);
@@ -297,8 +304,8 @@ class ParallaxBiomeManager {
             
             // Position in foreground
             flora.setPosition(
-                Phaser.Math.Between(50, width + 100),
-                height - Phaser.Math.Between(10, 80)
+                this.rng.between(50, width + 100),
+                height - this.rng.between(10, 80)
             );
             
             // Accessibility
@@ -308,8 +315,8 @@ class ParallaxBiomeManager {
             if (layer.animate) {
                 this.scene.tweens.add({
                     targets: flora,
-                    rotation: Phaser.Math.FloatBetween(-0.05, 0.05),
-                    duration: Phaser.Math.Between(3000, 5000),
+                    rotation: this.rng.floatBetween(-0.05, 0.05),
+                    duration: this.rng.between(3000, 5000),
                     ease: 'Sine.easeInOut',
                     yoyo: true,
                     repeat: -1,
@@ -322,7 +329,7 @@ class ParallaxBiomeManager {
                 this.scene.tweens.add({
                     targets: flora,
                     alpha: { from: 0.6, to: 1.0 },
-                    duration: Phaser.Math.Between(2000, 3500),
+                    duration: this.rng.between(2000, 3500),
                     ease: 'Sine.easeInOut',
                     yoyo: true,
                     repeat: -1,
@@ -346,13 +353,13 @@ class ParallaxBiomeManager {
             const dust = this.scene.add.graphics();
             dust.fillStyle(this.config.palette.dust, 0.6);
             
-            const size = Phaser.Math.FloatBetween(1, 3);
+            const size = this.rng.floatBetween(1, 3);
             dust.fillCircle(0, 0, size);
             
             // Position across scene
             dust.setPosition(
-                Phaser.Math.Between(0, width * 1.2),
-                Phaser.Math.Between(0, height)
+                this.rng.between(0, width * 1.2),
+                this.rng.between(0, height)
             );
             
             // Accessibility
@@ -360,14 +367,14 @@ class ParallaxBiomeManager {
             
             // Gentle drift animation
             if (layer.animate && this.config.effects.enableDustDrift) {
-                const driftDirection = Phaser.Math.FloatBetween(-1, 1);
+                const driftDirection = this.rng.floatBetween(-1, 1);
                 
                 this.scene.tweens.add({
                     targets: dust,
                     x: dust.x + driftDirection * 50,
-                    y: dust.y + Phaser.Math.Between(-20, 20),
+                    y: dust.y + this.rng.between(-20, 20),
                     alpha: { from: 0.2, to: 0.8 },
-                    duration: Phaser.Math.Between(4000, 7000),
+                    duration: this.rng.between(4000, 7000),
                     ease: 'Sine.easeInOut',
                     yoyo: true,
                     repeat: -1,
@@ -151,7 +151,7 @@ class PersonalitySystem {
         // Listen for game events
         if (window.GameState && typeof window.GameState.on === 'function') {
             window.GameState.on('careActionPerformed', (data) => {
-                this.onCareAction(data.actionType);
+                this.onCareAction(data.actionType, data.personalityNudges);
             });
 
             window.GameState.on('combatEngaged', (data) => {
@@ -165,6 +165,19 @@ class PersonalitySystem {
             window.GameState.on('sessionEnded', () => {
                 this.onSessionEnd();
             });
+
+            // Switching companions ends one creature's session and starts the next
+            window.GameState.on('activeCreatureChanging', ({ creatureId }) => {
+                if (creatureId && window.GameState.get('session.currentScene') === 'GameScene') {
+                    this.onSessionEnd();
+                }
+            });
+
+            window.GameState.on('activeCreatureChanged', () => {
+                if (window.GameState.get('session.currentScene') === 'GameScene') {
+                    this.onSessionStart();
+                }
+            });
         }
 
         this.initialized = true;
@@ -290,8 +303,10 @@ class PersonalitySystem {
 
     /**
      * Track a care action and adjust personality
+     * @param {string} actionType - Care action id
+     * @param {object|null} nudges - Axis nudges from the care action registry (defaults to ADJUSTMENT_RULES)
      */
-    onCareAction(actionType) {
+    onCareAction(actionType, nudges = null) {
         const state = this.getGameState();
         if (!state) return;
 
@@ -312,7 +327,7 @@ class PersonalitySystem {
         }
 
         // Apply personality adjustments
-        const rules = this.adjustmentRules[actionType];
+        const rules = nudges || this.adjustmentRules[actionType];
         if (rules) {
             this.applyAdjustments(personalityState, rules, `care:${actionType}`);
         }
@@ -0,0 +1,428 @@
+/**
+ * QuestSystem - Daily/weekly quest rotations and chained story quests
+ * Quest definitions live in config/quests.json. Each quest has one objective that existing
+ * events advance:
+ *   earnCoins    EconomyManager 'coins:added' (amount; optional `sources` filter)
+ *   calmEnemies  EnemyManager 'wispCalmed' (optional `enemyType`)
+ *   visitAreas   GameState 'areaDiscovered'
+ *   discover     GameState 'objectDiscovered' (optional `objectType`)
+ *   careAction   GameState 'careActionPerformed' (optional `action`)
+ *   useFood      InventoryManager 'itemUsed' (`favorite` limits it to the creature's favourite food)
+ * Daily and weekly sets are picked deterministically from the date, so every reload shows
+ * the same quests until the period rolls over. Rewards go through EconomyManager,
+ * InventoryManager and GameState.addExperience as soon as a quest completes.
+ * Progress is stored in GameState under `quests`.
+ */
+
+// Coins quests and level-ups hand out never count towards earnCoins objectives
+const REWARD_COIN_SOURCES = ['quest', 'level_up'];
+
+const ROTATIONS = ['daily', 'weekly'];
+
+/**
+ * Local calendar day, e.g. "2026-10-19"
+ */
+const toDayKey = (time) => {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Local Monday that starts the week
+ */
+const getWeekStart = (time) => {
+    const date = new Date(time);
+    const sinceMonday = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - sinceMonday).getTime();
+};
+
+class QuestSystem {
+    constructor() {
+        this.initialized = false;
+        this.config = { rotations: {}, favoriteFoods: {}, daily: [], weekly: [], story: [] };
+        this.unsubscribers = [];
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Load quest definitions
+     * @param {object} config - Parsed config/quests.json
+     */
+    configure(config = {}) {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Listen to the events that drive objectives and roll today's quests
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const gameState = this.getGameState();
+        if (gameState && typeof gameState.on === 'function') {
+            const listeners = {
+                careActionPerformed: ({ action } = {}) => this.recordProgress('careAction', 1, { action }),
+                areaDiscovered: ({ area } = {}) => this.recordProgress('visitAreas', 1, { area }),
+                objectDiscovered: ({ objectType } = {}) => this.recordProgress('discover', 1, { objectType })
+            };
+            Object.entries(listeners).forEach(([event, handler]) => {
+                const unsubscribe = gameState.on(event, handler);
+                if (typeof unsubscribe === 'function') {
+                    this.unsubscribers.push(unsubscribe);
+                }
+            });
+        }
+
+        this.listenTo(window.EconomyManager, 'coins:added', ({ amount, source } = {}) => {
+            this.recordProgress('earnCoins', amount, { source });
+        });
+        this.listenTo(window.EnemyManager, 'wispCalmed', ({ type } = {}) => {
+            this.recordProgress('calmEnemies', 1, { enemyType: type });
+        });
+        this.listenTo(window.InventoryManager, 'itemUsed', ({ item } = {}) => {
+            if (item?.type === 'food') this.recordProgress('useFood', 1, { itemId: item.id });
+        });
+
+        this.refreshRotations();
+
+        this.initialized = true;
+        console.log('✅ QuestSystem initialized');
+    }
+
+    /**
+     * Subscribe to a manager with on/off (EconomyManager, EnemyManager, InventoryManager)
+     */
+    listenTo(emitter, event, handler) {
+        if (!emitter || typeof emitter.on !== 'function') return;
+        emitter.on(event, handler);
+        this.unsubscribers.push(() => emitter.off?.(event, handler));
+    }
+
+    /**
+     * Stored quest progress, filled in for saves from before quests
+     */
+    getState() {
+        const stored = this.getGameState()?.get('quests') || {};
+        return {
+            daily: stored.daily || { period: null, quests: [] },
+            weekly: stored.weekly || { period: null, quests: [] },
+            story: { ...(stored.story || {}) },
+            completedCount: stored.completedCount || 0
+        };
+    }
+
+    saveState(state) {
+        this.getGameState()?.set('quests', JSON.parse(JSON.stringify(state)));
+    }
+
+    getPeriodKey(rotation, now = Date.now()) {
+        return rotation === 'weekly' ? toDayKey(getWeekStart(now)) : toDayKey(now);
+    }
+
+    /**
+     * When the current daily or weekly period ends
+     */
+    getPeriodEnd(rotation, now = Date.now()) {
+        if (rotation === 'weekly') {
+            const start = new Date(getWeekStart(now));
+            return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7).getTime();
+        }
+        const date = new Date(now);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+    }
+
+    /**
+     * Pick the quests for a period; the same period always gives the same quests
+     */
+    pickRotation(rotation, period) {
+        const pool = [...(this.config[rotation] || [])];
+        const count = Math.min(this.config.rotations?.[rotation]?.count ?? 3, pool.length);
+        const rng = window.RandomService?.createGenerator?.(`quests:${rotation}:${period}`);
+        if (rng) {
+            for (let i = pool.length - 1; i > 0; i--) {
+                const j = Math.floor(rng.next() * (i + 1));
+                [pool[i], pool[j]] = [pool[j], pool[i]];
+            }
+        }
+        return pool.slice(0, count).map(quest => ({ id: quest.id, progress: 0, completedAt: null }));
+    }
+
+    /**
+     * Start new daily/weekly sets when their period has rolled over
+     * @returns {boolean} Whether anything changed
+     */
+    refreshRotations(now = Date.now()) {
+        const state = this.getState();
+        let changed = false;
+
+        ROTATIONS.forEach(rotation => {
+            const period = this.getPeriodKey(rotation, now);
+            if (state[rotation].period !== period) {
+                state[rotation] = { period, quests: this.pickRotation(rotation, period) };
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveState(state);
+            this.getGameState()?.emit('questsRotated', { daily: state.daily.period, weekly: state.weekly.period });
+        }
+        return changed;
+    }
+
+    getDefinition(rotation, questId) {
+        return (this.config[rotation] || []).find(quest => quest.id === questId) || null;
+    }
+
+    getChain(chainId) {
+        return (this.config.story || []).find(chain => chain.id === chainId) || null;
+    }
+
+    isChainComplete(state, chain) {
+        return (state.story[chain.id]?.step || 0) >= chain.quests.length;
+    }
+
+    /**
+     * Story chains the player can currently work on (previous chain done, level reached)
+     */
+    getUnlockedChains(state = this.getState()) {
+        const level = this.getGameState()?.get('creature.level') || 1;
+        return (this.config.story || []).filter(chain => {
+            if (this.isChainComplete(state, chain)) return false;
+            const required = chain.requires ? this.getChain(chain.requires) : null;
+            if (required && !this.isChainComplete(state, required)) return false;
+            return level >= (chain.minLevel || 1);
+        });
+    }
+
+    /**
+     * The creature's favourite food, from its cosmic element
+     */
+    getFavoriteFood(record = null) {
+        const creature = record || this.getGameState()?.get('creature');
+        const element = creature?.genetics?.cosmicAffinity?.element;
+        const foods = this.config.favoriteFoods || {};
+        return foods[element] || foods.default || null;
+    }
+
+    matchesObjective(objective, details) {
+        switch (objective.type) {
+        case 'earnCoins':
+            return objective.sources
+                ? objective.sources.includes(details.source)
+                : !REWARD_COIN_SOURCES.includes(details.source);
+        case 'calmEnemies':
+            return !objective.enemyType || objective.enemyType === details.enemyType;
+        case 'discover':
+            return !objective.objectType || objective.objectType === details.objectType;
+        case 'careAction':
+            return !objective.action || objective.action === details.action;
+        case 'useFood':
+            return !objective.favorite || this.getFavoriteFood()?.id === details.itemId;
+        default:
+            return true;
+        }
+    }
+
+    /**
+     * Advance every active quest whose objective matches an event
+     * @param {string} type - Objective type
+     * @param {number} amount - How much to add
+     * @param {object} details - Event details the objective filters on
+     * @returns {Array<object>} Quests completed by this event
+     */
+    recordProgress(type, amount = 1, details = {}) {
+        if (!(amount > 0)) return [];
+        this.refreshRotations();
+
+        const state = this.getState();
+        const completed = [];
+        let changed = false;
+
+        const advance = (definition, entry) => {
+            if (!definition || entry.completedAt || definition.objective.type !== type) return false;
+            if (!this.matchesObjective(definition.objective, details)) return false;
+
+            entry.progress = Math.min(definition.objective.target, (entry.progress || 0) + amount);
+            changed = true;
+            return entry.progress >= definition.objective.target;
+        };
+
+        ROTATIONS.forEach(rotation => {
+            state[rotation].quests.forEach(entry => {
+                const definition = this.getDefinition(rotation, entry.id);
+                if (advance(definition, entry)) {
+                    entry.completedAt = Date.now();
+                    completed.push({ rotation, definition });
+                }
+            });
+        });
+
+        this.getUnlockedChains(state).forEach(chain => {
+            const entry = { step: 0, progress: 0, ...state.story[chain.id] };
+            const definition = chain.quests[entry.step];
+            if (advance(definition, entry)) {
+                completed.push({ rotation: 'story', definition, chain });
+                entry.step += 1;
+                entry.progress = 0;
+            }
+            state.story[chain.id] = entry;
+        });
+
+        if (!changed) return [];
+
+        state.completedCount += completed.length;
+        this.saveState(state);
+
+        return completed.map(({ rotation, definition, chain }) => this.completeQuest(rotation, definition, chain));
+    }
+
+    /**
+     * Grant a finished quest's rewards and announce it
+     */
+    completeQuest(rotation, definition, chain = null) {
+        const gameState = this.getGameState();
+        const rewards = this.grantRewards(definition.rewards || {});
+        const data = {
+            id: definition.id,
+            rotation,
+            title: definition.title,
+            icon: definition.icon,
+            chainId: chain?.id || null,
+            chainComplete: chain ? this.isChainComplete(this.getState(), chain) : false,
+            rewards
+        };
+
+        gameState?.emit('questCompleted', data);
+        gameState?.save?.();
+        console.log(`[QuestSystem] Completed ${rotation} quest "${definition.title}"`);
+        return data;
+    }
+
+    /**
+     * @returns {Array<object>} Granted rewards: { type, id, name, icon, amount }
+     */
+    grantRewards({ coins = 0, xp = 0, stardust = 0, items = [] }) {
+        const granted = [];
+
+        if (coins > 0 && window.EconomyManager?.addCoins) {
+            window.EconomyManager.addCoins(coins, 'quest');
+            granted.push({ type: 'coins', id: 'coins', name: `${coins} coins`, icon: '🪙', amount: coins });
+        }
+
+        if (stardust > 0 && window.EconomyManager?.addStardust) {
+            window.EconomyManager.addStardust(stardust, 'quest');
+            granted.push({ type: 'stardust', id: 'stardust', name: `${stardust} Stardust`, icon: '💫', amount: stardust });
+        }
+
+        if (xp > 0) {
+            this.getGameState()?.addExperience?.(xp, 'quest');
+            granted.push({ type: 'xp', id: 'xp', name: `${xp} XP`, icon: '⭐', amount: xp });
+        }
+
+        items.forEach(({ quantity = 1, ...item }) => {
+            const inventory = window.InventoryManager;
+            if (!inventory?.addItem) return;
+            let added = 0;
+            for (let i = 0; i < quantity; i++) {
+                if (inventory.addItem({ ...item })) added++;
+            }
+            if (added > 0) {
+                granted.push({ type: 'item', id: item.id, name: item.name, icon: item.icon, amount: added });
+            }
+        });
+
+        return granted;
+    }
+
+    /**
+     * Fill {name} and {favoriteFood} into quest text
+     */
+    formatText(text = '') {
+        const creatureName = this.getGameState()?.get('creature.name') || 'your creature';
+        const food = this.getFavoriteFood();
+        return text
+            .replace(/\{name\}/g, creatureName)
+            .replace(/\{favoriteFood\}/g, food ? `${food.icon || ''} ${food.name}`.trim() : 'treat');
+    }
+
+    describeQuest(definition, progress, completedAt) {
+        return {
+            id: definition.id,
+            title: definition.title,
+            description: this.formatText(definition.description),
+            icon: definition.icon || '📜',
+            progress: progress || 0,
+            target: definition.objective.target,
+            completed: Boolean(completedAt),
+            rewards: definition.rewards || {}
+        };
+    }
+
+    /**
+     * Everything the quest log panel shows
+     * @returns {Array<object>} Sections { id, title, endsAt, quests: [{ id, title, description,
+     *   icon, progress, target, completed, rewards, chainTitle? }] }
+     */
+    getQuestLog(now = Date.now()) {
+        this.refreshRotations(now);
+        const state = this.getState();
+
+        const sections = ROTATIONS.map(rotation => ({
+            id: rotation,
+            title: rotation === 'daily' ? 'Daily' : 'Weekly',
+            endsAt: this.getPeriodEnd(rotation, now),
+            quests: state[rotation].quests
+                .map(entry => {
+                    const definition = this.getDefinition(rotation, entry.id);
+                    return definition ? this.describeQuest(definition, entry.progress, entry.completedAt) : null;
+                })
+                .filter(Boolean)
+        }));
+
+        sections.push({
+            id: 'story',
+            title: 'Story',
+            endsAt: null,
+            quests: this.getUnlockedChains(state).map(chain => {
+                const entry = state.story[chain.id] || { step: 0, progress: 0 };
+                return {
+                    ...this.describeQuest(chain.quests[entry.step], entry.progress, null),
+                    chainTitle: `${chain.title} (${entry.step + 1}/${chain.quests.length})`
+                };
+            })
+        });
+
+        return sections;
+    }
+
+    /**
+     * Unfinished quests, for the quest log button badge
+     */
+    getOpenQuestCount() {
+        return this.getQuestLog().reduce((sum, section) => sum + section.quests.filter(quest => !quest.completed).length, 0);
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.initialized = false;
+    }
+}
+
+QuestSystem.toDayKey = toDayKey;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.QuestSystem = window.QuestSystem || new QuestSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestSystem;
+}
@@ -0,0 +1,143 @@
+/**
+ * RandomService - Seedable pseudo-random numbers shared by every generation system
+ *
+ * Named streams keep systems independent: rolling an extra enemy never changes which
+ * creature hatches next. Each stream is derived from one master seed, so a session
+ * can be replayed with RandomService.setSeed(seed).
+ *   genetics - creature genetics and DNA rolls
+ *   rarity   - rarity/pity rolls
+ *   world    - world layout and parallax decoration
+ *   combat   - enemy spawns, wandering and drops
+ *
+ * createGenerator(seed) gives a standalone generator for one deterministic job,
+ * e.g. regenerating a creature from the seed stored in its save.
+ */
+
+const STREAM_NAMES = Object.freeze(['genetics', 'rarity', 'world', 'combat']);
+
+/**
+ * Hash any seed (number or string) into a 32-bit integer
+ */
+const hashSeed = (value) => {
+    let hash = 0;
+    for (const char of String(value)) {
+        hash = (Math.imul(hash, 31) + char.charCodeAt(0)) | 0;
+    }
+    return hash;
+};
+
+/**
+ * One deterministic sequence (mulberry32)
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed;
+        this.state = hashSeed(seed);
+    }
+
+    /**
+     * Next float in [0, 1), drop-in for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = Math.imul(this.state ^ (this.state >>> 15), 1 | this.state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer in [min, max] inclusive (same contract as Phaser.Math.Between)
+     */
+    between(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Float in [min, max) (same contract as Phaser.Math.FloatBetween)
+     */
+    floatBetween(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    pick(values) {
+        return values[Math.floor(this.next() * values.length)];
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Short base-36 seed for a child generator (creature seeds)
+     */
+    nextSeed() {
+        return Math.floor(this.next() * 0xFFFFFFFF).toString(36).padStart(7, '0');
+    }
+}
+
+class RandomService {
+    constructor(seed = null) {
+        this.streamNames = STREAM_NAMES;
+        this.streams = new Map();
+        this.setSeed(seed ?? RandomService.createEntropySeed());
+    }
+
+    static createEntropySeed() {
+        return `${Date.now().toString(36)}${Math.floor(Math.random() * 0xFFFFFF).toString(36)}`;
+    }
+
+    /**
+     * Restart every stream from a new master seed
+     */
+    setSeed(seed) {
+        this.masterSeed = String(seed);
+        this.streams.clear();
+        console.log(`[RandomService] Master seed ${this.masterSeed}`);
+        return this.masterSeed;
+    }
+
+    getSeed() {
+        return this.masterSeed;
+    }
+
+    /**
+     * Named sub-stream of the master seed (created on first use)
+     */
+    stream(name) {
+        if (!STREAM_NAMES.includes(name)) {
+            console.warn(`[RandomService] Unknown stream "${name}"`);
+        }
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(`${this.masterSeed}:${name}`));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Standalone generator; the same seed always gives the same sequence
+     */
+    createGenerator(seed) {
+        return new SeededRandom(seed);
+    }
+
+    /**
+     * Fresh seed for a new creature or object, drawn from a stream
+     */
+    createSeed(streamName = 'genetics') {
+        return this.stream(streamName).nextSeed();
+    }
+}
+
+RandomService.STREAMS = STREAM_NAMES;
+RandomService.SeededRandom = SeededRandom;
+RandomService.hashSeed = hashSeed;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.RandomService = window.RandomService || new RandomService();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RandomService;
+}
@@ -121,11 +121,18 @@ class RaritySystem {
         return { rarity, pityData };
     }
 
+    /**
+     * Next random number from the shared rarity stream (see RandomService)
+     */
+    random() {
+        return window.RandomService ? window.RandomService.stream('rarity').next() : Math.random();
+    }
+
     /**
      * Standard probability roll
      */
     rollStandardRarity() {
-        const roll = Math.random() * 100;
+        const roll = this.random() * 100;
 
         if (roll < 50) return 'common';        // 0-50 (50%)
         if (roll < 75) return 'uncommon';      // 50-75 (25%)
@@ -138,7 +145,7 @@ class RaritySystem {
      * Pity rarity roll (70% Epic, 30% Legendary)
      */
     rollPityRarity() {
-        return Math.random() < 0.7 ? 'epic' : 'legendary';
+        return this.random() < 0.7 ? 'epic' : 'legendary';
     }
 
     /**
@@ -164,7 +171,7 @@ class RaritySystem {
             const range1 = 360 - hue[0];
             const range2 = hue[1];
             const totalRange = range1 + range2;
-            const random = Math.random() * totalRange;
+            const random = this.random() * totalRange;
 
             if (random < range1) {
                 selectedHue = hue[0] + random;
@@ -199,7 +206,7 @@ class RaritySystem {
      * Random in range helper
      */
     randomInRange(min, max) {
-        return min + Math.random() * (max - min);
+        return min + this.random() * (max - min);
     }
 
     /**
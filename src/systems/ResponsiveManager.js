@@ -1178,7 +1178,8 @@ class ResponsiveManager {
         const needTypes = [
             { key: 'hunger', name: 'Cosmic Energy' },
             { key: 'energy', name: 'Nebula Rest' },
-            { key: 'fun', name: 'Stellar Joy' }
+            { key: 'fun', name: 'Stellar Joy' },
+            { key: 'hygiene', name: 'Aurora Clean' }
         ];
         
         const barSpacing = this.isMobile ? bgWidth / 4 : 120;
@@ -1186,7 +1187,8 @@ class ResponsiveManager {
         
         needTypes.slice(0, maxBars).forEach((need, index) => {
             const xOffset = (index - (maxBars - 1) / 2) * barSpacing;
-            const value = needs[need.key] || Math.floor(Math.random() * 100);
+            // Missing needs count as fully cared for, as in NeedsSystem.readNeeds()
+            const value = needs[need.key] ?? 100;
             
             const needBar = window.KidMode.createSpaceNeedBar(
                 scene, 
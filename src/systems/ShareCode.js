@@ -0,0 +1,233 @@
+/**
+ * ShareCode - Short, typable codes that describe a creature
+ *
+ * A code is 16 Crockford base32 characters shown as XXXX-XXXX-XXXX-XXXX:
+ *   14 payload characters (70 bits) - version, species, rarity, the nine CreatureDNA
+ *                                     traits and the color genome (12-bit RGB each)
+ *   2 checksum characters (10 bits) - position-weighted sum mod 1021, so any single
+ *                                     typo or swapped neighbours are caught
+ * Crockford base32 skips I, L, O and U; when reading, I/L count as 1 and O as 0.
+ *
+ * Decoding never touches GameState: toVisitorRecord() builds a "visiting" creature
+ * that GameState keeps outside the roster (see GameState.addVisitingCreature()).
+ */
+
+const SHARE_CODE_VERSION = 1;
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const PAYLOAD_LENGTH = 14;
+const CHECKSUM_LENGTH = 2;
+const CODE_LENGTH = PAYLOAD_LENGTH + CHECKSUM_LENGTH;
+const CHECKSUM_MODULUS = 1021;
+
+/**
+ * Encoded fields in bit order. Value lists are append-only so old codes keep decoding.
+ */
+const SHARE_CODE_FIELDS = Object.freeze([
+    { key: 'version', bits: 2 },
+    { key: 'species', bits: 2, values: ['stellarWyrm', 'crystalDrake', 'nebulaSprite'] },
+    { key: 'rarity', bits: 3, values: ['common', 'uncommon', 'rare', 'epic', 'legendary'] },
+    { key: 'bodyArchetype', bits: 3, dna: true, values: ['blob', 'quadruped', 'biped', 'serpentine', 'winged'] },
+    { key: 'headArchetype', bits: 4, dna: true, values: ['feline', 'canine', 'avian', 'reptile', 'aquatic', 'simian', 'insectoid', 'rodent', 'cervine'] },
+    { key: 'hybridTag', bits: 2, dna: true, values: ['single-species', 'dual-hybrid', 'triple-hybrid', 'glitchy'] },
+    { key: 'elementalAura', bits: 3, dna: true, values: ['cosmic', 'forest', 'ember', 'tidal', 'storm', 'shadow-soft'] },
+    { key: 'temperament', bits: 3, dna: true, values: ['gentle', 'playful', 'mischievous', 'shy', 'bold'] },
+    { key: 'energyLevel', bits: 2, dna: true, values: ['chill', 'balanced', 'hyper'] },
+    { key: 'curiosity', bits: 2, dna: true, values: ['low', 'medium', 'high'] },
+    { key: 'attachmentStyle', bits: 2, dna: true, values: ['independent', 'balanced', 'clingy'] },
+    { key: 'favouriteCareAction', bits: 2, dna: true, values: ['feeding', 'play', 'rest', 'grooming'] },
+    { key: 'primary', bits: 12, color: true },
+    { key: 'secondary', bits: 12, color: true },
+    { key: 'accent', bits: 12, color: true }
+]);
+
+// Fallback colors for records that predate the color genome
+const DEFAULT_COLORS = { primary: 0x9370DB, secondary: 0xDDA0DD, accent: 0x8A2BE2 };
+
+/**
+ * 24-bit color → 12-bit (4 bits per channel) and back
+ */
+const packColor = (color) => {
+    const value = Number.isInteger(color) ? color : 0;
+    return (((value >> 20) & 0xF) << 8) | (((value >> 12) & 0xF) << 4) | ((value >> 4) & 0xF);
+};
+
+const unpackColor = (packed) => {
+    const expand = (nibble) => (nibble << 4) | nibble;
+    return (expand((packed >> 8) & 0xF) << 16) | (expand((packed >> 4) & 0xF) << 8) | expand(packed & 0xF);
+};
+
+class ShareCode {
+    constructor() {
+        this.version = SHARE_CODE_VERSION;
+        this.fields = SHARE_CODE_FIELDS;
+        this.codeLength = CODE_LENGTH;
+    }
+
+    /**
+     * Upper-case, drop spaces/dashes and map look-alike letters (I/L → 1, O → 0)
+     */
+    normalize(code) {
+        return String(code ?? '')
+            .toUpperCase()
+            .replace(/[\s-]/g, '')
+            .replace(/[IL]/g, '1')
+            .replace(/O/g, '0');
+    }
+
+    /**
+     * Group a normalized code for display: XXXX-XXXX-XXXX-XXXX
+     */
+    format(code) {
+        return this.normalize(code).match(/.{1,4}/g)?.join('-') || '';
+    }
+
+    checksum(payload) {
+        let sum = 0;
+        for (let i = 0; i < payload.length; i++) {
+            sum = (sum + (i + 1) * ALPHABET.indexOf(payload[i])) % CHECKSUM_MODULUS;
+        }
+        return ALPHABET[sum >> 5] + ALPHABET[sum & 31];
+    }
+
+    /**
+     * Field values for a creature record (roster entry or active creature)
+     */
+    readFields(record = {}) {
+        const genetics = record.genetics || {};
+        const dna = record.dna || {};
+        const colors = genetics.traits?.colorGenome || record.genome?.colors || {
+            primary: record.colors?.body,
+            secondary: record.colors?.wings,
+            accent: record.colors?.head
+        };
+
+        return {
+            version: SHARE_CODE_VERSION,
+            species: genetics.species || record.species,
+            rarity: genetics.rarity || record.rarity,
+            ...Object.fromEntries(SHARE_CODE_FIELDS.filter(field => field.dna).map(field => [field.key, dna[field.key]])),
+            primary: colors.primary ?? DEFAULT_COLORS.primary,
+            secondary: colors.secondary ?? DEFAULT_COLORS.secondary,
+            accent: colors.accent ?? DEFAULT_COLORS.accent
+        };
+    }
+
+    /**
+     * Share code for a creature
+     * Unknown trait values fall back to the first value of their list
+     */
+    encode(record) {
+        const values = this.readFields(record);
+        let bits = '';
+
+        SHARE_CODE_FIELDS.forEach(field => {
+            let number;
+            if (field.color) {
+                number = packColor(values[field.key]);
+            } else if (field.values) {
+                number = Math.max(0, field.values.indexOf(values[field.key]));
+            } else {
+                number = values[field.key];
+            }
+            bits += number.toString(2).padStart(field.bits, '0');
+        });
+
+        bits = bits.padEnd(PAYLOAD_LENGTH * 5, '0');
+        let payload = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            payload += ALPHABET[parseInt(bits.slice(i, i + 5), 2)];
+        }
+
+        return this.format(payload + this.checksum(payload));
+    }
+
+    /**
+     * Read a share code
+     * @returns {{ valid: boolean, error?: string, code?: string, creature?: object }}
+     *   error: 'empty' | 'length' | 'characters' | 'checksum' | 'version' | 'unknown_value'
+     */
+    decode(code) {
+        const normalized = this.normalize(code);
+
+        if (!normalized) return { valid: false, error: 'empty' };
+        if ([...normalized].some(char => !ALPHABET.includes(char))) return { valid: false, error: 'characters' };
+        if (normalized.length !== CODE_LENGTH) return { valid: false, error: 'length' };
+
+        const payload = normalized.slice(0, PAYLOAD_LENGTH);
+        if (this.checksum(payload) !== normalized.slice(PAYLOAD_LENGTH)) {
+            return { valid: false, error: 'checksum' };
+        }
+
+        const bits = [...payload].map(char => ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+        const creature = { colors: {}, dna: {} };
+        let offset = 0;
+
+        for (const field of SHARE_CODE_FIELDS) {
+            const number = parseInt(bits.slice(offset, offset + field.bits), 2);
+            offset += field.bits;
+
+            if (field.key === 'version') {
+                if (number !== SHARE_CODE_VERSION) return { valid: false, error: 'version' };
+            } else if (field.color) {
+                creature.colors[field.key] = unpackColor(number);
+            } else if (number >= field.values.length) {
+                return { valid: false, error: 'unknown_value' };
+            } else if (field.dna) {
+                creature.dna[field.key] = field.values[number];
+            } else {
+                creature[field.key] = field.values[number];
+            }
+        }
+
+        return { valid: true, code: this.format(normalized), creature };
+    }
+
+    /**
+     * Renderable record for a decoded code; `visiting` keeps it out of the roster,
+     * codex and economy
+     */
+    toVisitorRecord(decoded, { name = null } = {}) {
+        const { code, creature } = decoded;
+        const id = `visit-${this.normalize(code)}`;
+
+        return {
+            id,
+            visiting: true,
+            shareCode: code,
+            name: name || `Visitor ${code.slice(0, 4)}`,
+            rarity: creature.rarity,
+            species: creature.species,
+            dna: {
+                id: `dna_${id}`,
+                version: '1.0',
+                ...creature.dna,
+                raritySignature: creature.rarity
+            },
+            genetics: {
+                id,
+                species: creature.species,
+                rarity: creature.rarity,
+                traits: { colorGenome: { ...creature.colors } }
+            },
+            colors: {
+                body: creature.colors.primary,
+                wings: creature.colors.secondary,
+                head: creature.colors.accent
+            }
+        };
+    }
+}
+
+ShareCode.ALPHABET = ALPHABET;
+ShareCode.CODE_LENGTH = CODE_LENGTH;
+ShareCode.FIELDS = SHARE_CODE_FIELDS;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.ShareCode = window.ShareCode || new ShareCode();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShareCode;
+}
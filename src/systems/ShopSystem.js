@@ -0,0 +1,491 @@
+/**
+ * ShopSystem - Cosmic Shop catalog, daily featured shelf and stock
+ * Offers live in config/shop.json and point at item definitions from config/items.json
+ * (the same definitions InventoryManager uses). An offer sells one item (`itemId`) or is a
+ * bundle (`items: [{ itemId, quantity }]`), and may be level gated (`minLevel`) or limited
+ * (`stock: { quantity, per: 'day' | 'ever' }`). Cosmetic offers (`cosmeticId`, from the
+ * `cosmetics` list in config/items.json) are priced in Stardust (`currency: 'stardust'`),
+ * unlock into GameState `unlocks.cosmetics` instead of the inventory and can be bought once.
+ * Every day a few offers from `featured.pool` go on the featured shelf at a discount with
+ * their own small stock. The shelf is picked deterministically from the date and stored in
+ * GameState `shop` together with what was sold, so reloading can't reroll the day's offers.
+ * The Void Merchant also buys items back (`selling`): a fraction of the buy price scaled by
+ * rarity, with a bonus for the few items on his daily "wants" list. Each sold stack is paid
+ * out as its own `sale:<item id>` transaction, so every sale shows up in the EconomyLedger.
+ */
+
+const FEATURED_PREFIX = 'featured:';
+
+/**
+ * Local calendar day, e.g. "2026-10-19"
+ */
+const toDayKey = (time) => {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+class ShopSystem {
+    constructor() {
+        this.initialized = false;
+        this.config = {
+            categories: [],
+            featured: { count: 0, discount: 0, pool: [] },
+            selling: { rate: 0, maxRate: 0, rarity: {}, confirmRarities: [], values: {}, wants: { count: 0, bonus: 0, pool: [] } },
+            offers: [],
+            items: [],
+            cosmetics: []
+        };
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Load the shop catalog
+     * @param {object} config - Parsed config/shop.json plus `items` and `cosmetics` from config/items.json
+     */
+    configure(config = {}) {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Roll today's featured shelf if the day has changed
+     */
+    initialize() {
+        if (this.initialized) return;
+        this.refreshDay();
+        this.initialized = true;
+        console.log('✅ ShopSystem initialized with', this.config.offers.length, 'offers');
+    }
+
+    getItemDefinition(itemId) {
+        return (this.config.items || []).find(item => item.id === itemId) || null;
+    }
+
+    getCosmeticDefinition(cosmeticId) {
+        return (this.config.cosmetics || []).find(cosmetic => cosmetic.id === cosmeticId) || null;
+    }
+
+    getCategories() {
+        return this.config.categories || [];
+    }
+
+    /**
+     * Stored shop state, filled in for saves from before the stocked shop
+     */
+    getState() {
+        const stored = this.getGameState()?.get('shop') || {};
+        return {
+            day: stored.day || null,
+            featured: Array.isArray(stored.featured) ? [...stored.featured] : [],
+            wants: Array.isArray(stored.wants) ? [...stored.wants] : null,
+            sold: { ...(stored.sold || {}) },
+            soldTotal: { ...(stored.soldTotal || {}) }
+        };
+    }
+
+    saveState(state) {
+        this.getGameState()?.set('shop', JSON.parse(JSON.stringify(state)));
+    }
+
+    /**
+     * Seeded pick of `count` entries from a pool; the same seed always gives the same pick
+     */
+    pickFromPool(candidates, count, seed) {
+        const picked = [...candidates];
+        const rng = window.RandomService?.createGenerator?.(seed);
+        if (rng) {
+            for (let i = picked.length - 1; i > 0; i--) {
+                const j = Math.floor(rng.next() * (i + 1));
+                [picked[i], picked[j]] = [picked[j], picked[i]];
+            }
+        }
+        return picked.slice(0, Math.min(count, picked.length));
+    }
+
+    /**
+     * Pick the featured offers for a day
+     */
+    pickFeatured(day) {
+        const { pool = [], count = 0 } = this.config.featured || {};
+        return this.pickFromPool(pool.filter(offerId => this.getBaseOffer(offerId)), count, `shop:featured:${day}`);
+    }
+
+    /**
+     * Pick the items the Void Merchant pays extra for on a day
+     */
+    pickWants(day) {
+        const { pool = [], count = 0 } = this.config.selling?.wants || {};
+        return this.pickFromPool(pool.filter(itemId => this.getItemDefinition(itemId)), count, `shop:wants:${day}`);
+    }
+
+    /**
+     * Start a new shop day: new featured shelf, daily stock restocked
+     * @returns {boolean} Whether the day rolled over
+     */
+    refreshDay(now = Date.now()) {
+        const state = this.getState();
+        const day = toDayKey(now);
+        if (state.day === day) return false;
+
+        state.day = day;
+        state.featured = this.pickFeatured(day);
+        state.wants = this.pickWants(day);
+        state.sold = {};
+        this.saveState(state);
+        this.getGameState()?.emit('shopRestocked', { day, featured: state.featured, wants: state.wants });
+        return true;
+    }
+
+    getBaseOffer(offerId) {
+        return (this.config.offers || []).find(offer => offer.id === offerId) || null;
+    }
+
+    /**
+     * Items an offer hands out, resolved against the item definitions
+     * @returns {Array<{ item: object, quantity: number }>}
+     */
+    getContents(offer) {
+        if (offer.cosmeticId) {
+            const cosmetic = this.getCosmeticDefinition(offer.cosmeticId);
+            return cosmetic ? [{ item: { ...cosmetic, type: 'cosmetic' }, quantity: 1 }] : [];
+        }
+        const entries = offer.items || (offer.itemId ? [{ itemId: offer.itemId, quantity: 1 }] : []);
+        return entries
+            .map(({ itemId, quantity = 1 }) => ({ item: this.getItemDefinition(itemId), quantity }))
+            .filter(entry => entry.item);
+    }
+
+    /**
+     * An offer ready for display: item details, price, currency, stock and lock state
+     * @param {string} offerId - Offer id, or "featured:<offer id>" for the featured shelf
+     * @returns {object|null}
+     */
+    getOffer(offerId, state = this.getState()) {
+        const featured = offerId.startsWith(FEATURED_PREFIX);
+        const base = this.getBaseOffer(featured ? offerId.slice(FEATURED_PREFIX.length) : offerId);
+        if (!base || (featured && !state.featured.includes(base.id))) return null;
+
+        const contents = this.getContents(base);
+        if (contents.length === 0) return null;
+
+        const single = !base.items && contents[0].item;
+        const valueOfContents = contents.reduce((sum, { item, quantity }) => {
+            const itemOffer = (this.config.offers || []).find(offer => offer.itemId === item.id && !offer.items);
+            return sum + (itemOffer?.price || 0) * quantity;
+        }, 0);
+
+        const currency = base.currency || 'coins';
+        const discount = featured && currency === 'coins' ? (this.config.featured?.discount || 0) : 0;
+        const price = Math.max(1, Math.round(base.price * (1 - discount)));
+        const stockRule = featured ? (this.config.featured?.stock || null) : (base.stock || null);
+        const soldCount = stockRule
+            ? (stockRule.per === 'ever' ? state.soldTotal[offerId] : state.sold[offerId]) || 0
+            : 0;
+        const remaining = stockRule ? Math.max(0, stockRule.quantity - soldCount) : null;
+        const level = this.getGameState()?.get('creature.level') || 1;
+        const owned = single?.type === 'cosmetic' && !!this.getGameState()?.isUnlocked?.('cosmetics', single.id);
+
+        return {
+            id: offerId,
+            offerId: base.id,
+            category: featured ? 'featured' : base.category,
+            name: base.name || single?.name,
+            description: base.description || single?.description || '',
+            icon: base.icon || single?.icon || '🎁',
+            type: single ? single.type : 'bundle',
+            rarity: single?.rarity || null,
+            effect: single?.effect || null,
+            contents,
+            bundle: !!base.items,
+            featured,
+            currency,
+            basePrice: base.price,
+            price,
+            discount,
+            savings: base.items ? Math.max(0, valueOfContents - price) : base.price - price,
+            minLevel: base.minLevel || 1,
+            locked: level < (base.minLevel || 1),
+            stock: stockRule ? { quantity: stockRule.quantity, per: stockRule.per || 'day', remaining } : null,
+            owned,
+            soldOut: remaining === 0 || owned
+        };
+    }
+
+    /**
+     * Offers on one shelf ("featured" is today's featured shelf)
+     */
+    getCategoryOffers(categoryId) {
+        this.refreshDay();
+        const state = this.getState();
+        const ids = categoryId === 'featured'
+            ? state.featured.map(offerId => `${FEATURED_PREFIX}${offerId}`)
+            : (this.config.offers || []).filter(offer => offer.category === categoryId).map(offer => offer.id);
+        return ids.map(offerId => this.getOffer(offerId, state)).filter(Boolean);
+    }
+
+    /**
+     * Whether an offer can be bought right now
+     * @returns {{ ok: boolean, reason: string|null, offer: object|null }}
+     */
+    canPurchase(offerId) {
+        this.refreshDay();
+        const offer = this.getOffer(offerId);
+        const fail = (reason) => ({ ok: false, reason, offer });
+
+        if (!offer) return fail('unknown_offer');
+        if (offer.locked) return fail('level_locked');
+        if (offer.owned) return fail('owned');
+        if (offer.soldOut) return fail('sold_out');
+
+        const economy = window.EconomyManager;
+        if (!economy) return fail('economy_unavailable');
+        if (offer.currency === 'stardust') {
+            if (!economy.canAffordStardust?.(offer.price)) return fail('insufficient_stardust');
+        } else if (!economy.canAfford(offer.price)) {
+            return fail('insufficient_coins');
+        }
+
+        // Cosmetics are unlocks and never take an inventory slot
+        const items = offer.contents.filter(({ item }) => item.type !== 'cosmetic');
+        if (items.length === 0) return { ok: true, reason: null, offer };
+
+        const inventory = window.InventoryManager;
+        if (!inventory) return fail('inventory_unavailable');
+        // Every entry may need its own slot (eggs never stack)
+        const slotsNeeded = items.reduce((sum, { item, quantity }) => sum + (item.type === 'egg' ? quantity : 1), 0);
+        if (inventory.getAvailableSlots() < slotsNeeded) return fail('inventory_full');
+
+        return { ok: true, reason: null, offer };
+    }
+
+    /**
+     * Buy an offer: charge coins (or Stardust), deliver its items and count it against the stock.
+     * Anything the inventory turns away is refunded at its share of the price
+     * @returns {{ success: boolean, reason: string|null, offer: object|null, refunded: number }}
+     */
+    purchase(offerId) {
+        const check = this.canPurchase(offerId);
+        if (!check.ok) {
+            return { success: false, reason: check.reason, offer: check.offer, refunded: 0 };
+        }
+
+        const { offer } = check;
+        const economy = window.EconomyManager;
+        const gameState = this.getGameState();
+        const details = { itemId: offer.offerId };
+        const stardust = offer.currency === 'stardust';
+        const charged = stardust
+            ? economy.spendStardust(offer.price, `purchase:${offer.name}`, details)
+            : economy.purchase(offer.price, offer.name, details);
+        if (!charged) {
+            return { success: false, reason: stardust ? 'insufficient_stardust' : 'insufficient_coins', offer, refunded: 0 };
+        }
+
+        // Each unit is worth its regular shelf price (or an equal share if nothing has one)
+        const unitValue = ({ item }) => (item.type === 'cosmetic' ? 0 : this.getBuyPrice(item.id) || 0);
+        const weighted = offer.contents.some(entry => unitValue(entry) > 0);
+        let totalValue = 0;
+        let missingValue = 0;
+        let delivered = 0;
+        offer.contents.forEach(entry => {
+            const { item, quantity } = entry;
+            const value = weighted ? unitValue(entry) : 1;
+            totalValue += value * quantity;
+            if (item.type === 'cosmetic') {
+                gameState?.unlock('cosmetics', item.id);
+                delivered++;
+                return;
+            }
+            for (let i = 0; i < quantity; i++) {
+                if (window.InventoryManager.addItem({ ...item })) delivered++;
+                else missingValue += value;
+            }
+        });
+
+        const refunded = delivered === 0
+            ? offer.price
+            : Math.floor(offer.price * missingValue / (totalValue || 1));
+        if (refunded > 0) {
+            if (stardust) economy.addStardust(refunded, 'shop_refund', details);
+            else economy.addCoins(refunded, 'shop_refund', details);
+        }
+        if (delivered === 0) {
+            return { success: false, reason: 'inventory_full', offer, refunded };
+        }
+
+        const state = this.getState();
+        state.sold[offerId] = (state.sold[offerId] || 0) + 1;
+        state.soldTotal[offerId] = (state.soldTotal[offerId] || 0) + 1;
+        this.saveState(state);
+
+        gameState?.emit('shopPurchase', {
+            offerId,
+            price: offer.price - refunded,
+            currency: offer.currency,
+            featured: offer.featured,
+            items: offer.contents.map(({ item, quantity }) => ({ id: item.id, quantity }))
+        });
+        gameState?.save?.();
+
+        console.log(`[ShopSystem] Sold ${offer.name} for ${offer.price - refunded} ${offer.currency}`);
+        return { success: true, reason: null, offer: this.getOffer(offerId), refunded };
+    }
+
+    /**
+     * Item ids the Void Merchant wants today
+     */
+    getWants() {
+        this.refreshDay();
+        const state = this.getState();
+        return state.wants || this.pickWants(state.day);
+    }
+
+    /**
+     * What the shop charges for one of an item on its regular shelf (or its configured value
+     * for items the shop doesn't sell, like shrine eggs)
+     * @returns {number|null}
+     */
+    getBuyPrice(itemId) {
+        const offer = (this.config.offers || []).find(entry => entry.itemId === itemId && !entry.items);
+        return offer?.price || this.config.selling?.values?.[itemId] || null;
+    }
+
+    /**
+     * What the Void Merchant pays for one of an inventory item
+     * @param {object} item - Inventory item
+     * @returns {{ itemId, name, icon, rarity, unitPrice, wanted, confirm, sellable, reason }|null}
+     */
+    getSellQuote(item) {
+        if (!item) return null;
+
+        const selling = this.config.selling || {};
+        const definition = this.getItemDefinition(item.id) || {};
+        const rarity = item.rarity || definition.rarity || 'common';
+        const buyPrice = this.getBuyPrice(item.id);
+        const wanted = this.getWants().includes(item.id);
+        const equipped = !!item.equippable && this.getGameState()?.get('creature.equippedAttack')?.id === item.id;
+
+        let unitPrice = 0;
+        if (buyPrice) {
+            const multiplier = (selling.rate || 0) * (selling.rarity?.[rarity] ?? 1) * (wanted ? 1 + (selling.wants?.bonus || 0) : 1);
+            // Never pay more than `maxRate` of the buy price, so buy-to-sell can't turn a profit
+            const cap = selling.maxRate ? buyPrice * selling.maxRate : Infinity;
+            unitPrice = Math.max(1, Math.floor(Math.min(buyPrice * multiplier, cap)));
+        }
+
+        let reason = null;
+        if (!buyPrice) reason = 'no_value';
+        else if (equipped) reason = 'equipped';
+
+        return {
+            itemId: item.id,
+            name: item.name || definition.name,
+            icon: item.icon || definition.icon || '❔',
+            rarity,
+            unitPrice,
+            wanted,
+            // Rare finds and bred eggs ask before they're gone for good
+            confirm: (selling.confirmRarities || []).includes(rarity) || !!item.offspring,
+            sellable: !reason,
+            reason
+        };
+    }
+
+    /**
+     * Inventory items with their sell quotes, in slot order
+     * @returns {Array<{ slot: number, item: object, quantity: number, quote: object }>}
+     */
+    getSellList() {
+        const items = window.InventoryManager?.getAllItems?.() || [];
+        return items.map((item, slot) => ({ slot, item, quantity: item.quantity || 1, quote: this.getSellQuote(item) }));
+    }
+
+    /**
+     * Resolve a selection against the inventory
+     * @param {Array<{ slot: number, quantity: number }>} selections
+     * @returns {Array<{ slot, item, quantity, quote }>|null} - Null if anything selected can't be sold
+     */
+    resolveSale(selections = []) {
+        const inventory = window.InventoryManager;
+        const lines = new Map();
+        for (const { slot, quantity = 1 } of selections) {
+            const item = inventory?.getItem(slot);
+            const quote = this.getSellQuote(item);
+            if (!quote?.sellable) return null;
+            lines.set(slot, { slot, item, quantity: Math.min(Math.max(1, Math.floor(quantity)), item.quantity || 1), quote });
+        }
+        return [...lines.values()];
+    }
+
+    /**
+     * Selected items that should be confirmed before selling
+     */
+    getConfirmationItems(selections) {
+        return (this.resolveSale(selections) || []).filter(line => line.quote.confirm);
+    }
+
+    /**
+     * Sell items back to the Void Merchant. Every stack is taken out of the inventory before
+     * anything is paid; if one can't be, only the stacks that left are paid for and the sale
+     * reports `sale_incomplete`
+     * @param {Array<{ slot: number, quantity: number }>} selections - Inventory slots and how many to sell
+     * @returns {{ success: boolean, reason: string|null, total: number, sold: Array<object> }}
+     */
+    sell(selections = []) {
+        const fail = (reason) => ({ success: false, reason, total: 0, sold: [] });
+        const inventory = window.InventoryManager;
+        const economy = window.EconomyManager;
+        if (!inventory) return fail('inventory_unavailable');
+        if (!economy) return fail('economy_unavailable');
+
+        const lines = this.resolveSale(selections);
+        if (!lines) return fail('not_sellable');
+        if (lines.length === 0) return fail('nothing_selected');
+
+        // Highest slot first so removing a stack doesn't shift the slots still to sell
+        lines.sort((a, b) => b.slot - a.slot);
+
+        const removed = lines.filter(({ slot, quantity }) => inventory.removeItem(slot, quantity));
+        if (removed.length === 0) return fail('not_sellable');
+
+        const sold = removed.map(({ item, quantity, quote }) => {
+            const price = quote.unitPrice * quantity;
+            economy.addCoins(price, `sale:${item.id}`, { itemId: item.id });
+            return { id: item.id, name: quote.name, quantity, unitPrice: quote.unitPrice, price, wanted: quote.wanted };
+        });
+
+        const total = sold.reduce((sum, line) => sum + line.price, 0);
+        const gameState = this.getGameState();
+        gameState?.emit('shopSale', { items: sold, total });
+        gameState?.save?.();
+
+        console.log(`[ShopSystem] Sold ${sold.length} stack(s) for ${total} coins`);
+        if (removed.length < lines.length) {
+            console.warn(`[ShopSystem] ${lines.length - removed.length} stack(s) could not be taken from the inventory`);
+            return { success: false, reason: 'sale_incomplete', total, sold };
+        }
+        return { success: true, reason: null, total, sold };
+    }
+
+    /**
+     * When today's stock and featured shelf roll over
+     */
+    getRestockTime(now = Date.now()) {
+        const date = new Date(now);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+    }
+}
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.ShopSystem = window.ShopSystem || new ShopSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShopSystem;
+}
@@ -0,0 +1,325 @@
+/**
+ * SkillSystem - Trainable creature skills with gameplay effects
+ * Each skill unlocks at a level; creatures whose cosmic element (or a special ability rolled
+ * by CreatureGenetics.selectSpecialAbilities) matches the skill unlock it early, and a matching
+ * ability also gives a head start in rank. The "train" care action (care-actions.json
+ * `skillTraining`) adds progress to the focused skill. Progress is stored per creature as
+ * `training` and GameScene reads getEffects() for movement, flowers, calming and coins.
+ */
+
+// Skills reach rank 1 when unlocked; rank MAX_RANK is mastery
+const MAX_RANK = 5;
+
+// Levels added to minLevel for creatures without a matching element or ability
+const OFF_AFFINITY_LEVELS = 10;
+
+const SKILLS = {
+    starlight_dash: {
+        id: 'starlight_dash',
+        label: 'Starlight Dash',
+        icon: '💫',
+        description: 'Zips around the sanctuary faster',
+        minLevel: 3,
+        elements: ['star'],
+        abilities: ['light_generation', 'warmth_sharing'],
+        effect: { moveSpeedMultiplier: 0.06 } // +6% speed per rank
+    },
+    crystal_sense: {
+        id: 'crystal_sense',
+        label: 'Crystal Sense',
+        icon: '🔮',
+        description: 'Notices flowers from further away',
+        minLevel: 2,
+        elements: ['crystal'],
+        abilities: ['memory_storing', 'emotion_sensing'],
+        effect: { flowerRadius: 30 } // +30px detection radius per rank
+    },
+    calm_aura: {
+        id: 'calm_aura',
+        label: 'Calm Aura',
+        icon: '🕊️',
+        description: 'Keeps the sanctuary calm for longer after soothing a wisp',
+        minLevel: 4,
+        elements: ['moon', 'nebula'],
+        abilities: ['dream_weaving', 'healing_resonance'],
+        effect: { calmMultiplier: 0.25 } // +25% calm time per rank
+    },
+    glide: {
+        id: 'glide',
+        label: 'Glide',
+        icon: '🪽',
+        description: 'Stardust currents glide nearby coins over',
+        minLevel: 5,
+        elements: ['void', 'nebula'],
+        abilities: ['space_sensing', 'portal_creation', 'night_vision', 'color_changing'],
+        effect: { coinMagnetRadius: 40 } // +40px coin pull radius per rank
+    }
+};
+
+// Effects of a creature with no skills
+const BASE_EFFECTS = {
+    moveSpeedMultiplier: 1,
+    flowerRadius: 0,
+    calmMultiplier: 1,
+    coinMagnetRadius: 0
+};
+
+class SkillSystem {
+    constructor() {
+        this.initialized = false;
+        this.skills = SKILLS;
+        this.unsubscribers = [];
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Unlock skills as creatures level up or join, and train on care actions with `skillTraining`
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const gameState = this.getGameState();
+        if (gameState && typeof gameState.on === 'function') {
+            const listeners = {
+                levelUp: () => this.checkUnlocks(gameState.get('creature.id')),
+                activeCreatureChanged: () => this.checkUnlocks(gameState.get('creature.id')),
+                creatureAdded: ({ creature } = {}) => creature && this.checkUnlocks(creature.id),
+                careActionPerformed: ({ action } = {}) => {
+                    const points = window.CareSystem?.getCareAction?.(action)?.skillTraining || 0;
+                    if (points > 0) {
+                        this.train(gameState.get('creature.id'), points);
+                    }
+                }
+            };
+            Object.entries(listeners).forEach(([event, handler]) => {
+                const unsubscribe = gameState.on(event, handler);
+                if (typeof unsubscribe === 'function') {
+                    this.unsubscribers.push(unsubscribe);
+                }
+            });
+
+            (gameState.getRoster?.() || []).forEach(entry => this.checkUnlocks(entry.id, { quiet: true }));
+        }
+
+        this.initialized = true;
+        console.log('✅ SkillSystem initialized');
+    }
+
+    getSkill(skillId) {
+        return SKILLS[skillId] || null;
+    }
+
+    /**
+     * Level a skill unlocks at for this creature (early with a matching element or ability)
+     */
+    getUnlockLevel(record, skillId) {
+        const skill = SKILLS[skillId];
+        return this.hasAffinity(record, skill) ? skill.minLevel : skill.minLevel + OFF_AFFINITY_LEVELS;
+    }
+
+    hasAffinity(record, skill) {
+        return skill.elements.includes(this.getElement(record)) || this.hasInnateAbility(record, skill);
+    }
+
+    hasInnateAbility(record, skill) {
+        const abilities = record?.genetics?.cosmicAffinity?.specialAbilities || [];
+        return abilities.some(ability => skill.abilities.includes(ability));
+    }
+
+    getElement(record) {
+        return record?.genetics?.cosmicAffinity?.element || record?.cosmicElement || null;
+    }
+
+    /**
+     * Stored training for a record: { focus, skills: { [id]: { rank, progress, unlockedAt } } }
+     */
+    getTraining(record) {
+        const training = record?.training || {};
+        return { focus: training.focus || null, skills: { ...(training.skills || {}) } };
+    }
+
+    /**
+     * Training sessions the next rank needs
+     */
+    getSessionsForNextRank(rank) {
+        return rank >= MAX_RANK ? 0 : rank + 1;
+    }
+
+    /**
+     * Unlock every skill the creature now qualifies for
+     * @param {string} creatureId - Roster creature id
+     * @param {object} options - { quiet } skips the skillUnlocked events (older saves catching up)
+     * @returns {Array<string>} Newly unlocked skill ids
+     */
+    checkUnlocks(creatureId, { quiet = false } = {}) {
+        const gameState = this.getGameState();
+        const record = creatureId && gameState?.getRosterCreature ? gameState.getRosterCreature(creatureId) : null;
+        if (!record?.hatched) return [];
+
+        const training = this.getTraining(record);
+        const unlocked = Object.values(SKILLS)
+            .filter(skill => !training.skills[skill.id] && (record.level || 1) >= this.getUnlockLevel(record, skill.id))
+            .map(skill => skill.id);
+        if (unlocked.length === 0) return [];
+
+        const now = Date.now();
+        unlocked.forEach(skillId => {
+            // A matching special ability gives a head start
+            const rank = this.hasInnateAbility(record, SKILLS[skillId]) ? 2 : 1;
+            training.skills[skillId] = { rank, progress: 0, unlockedAt: now };
+        });
+        gameState.setCreatureTraining(creatureId, training);
+
+        if (!quiet) {
+            unlocked.forEach(skillId => {
+                gameState.emit('skillUnlocked', { creatureId, skillId, name: SKILLS[skillId].label, rank: training.skills[skillId].rank });
+            });
+        }
+        return unlocked;
+    }
+
+    /**
+     * Skill that training improves: the chosen focus, else the lowest-ranked unfinished skill
+     */
+    getTrainingTarget(training) {
+        const focus = training.skills[training.focus];
+        if (focus && focus.rank < MAX_RANK) return training.focus;
+
+        return Object.keys(SKILLS)
+            .filter(skillId => training.skills[skillId] && training.skills[skillId].rank < MAX_RANK)
+            .sort((a, b) => training.skills[a].rank - training.skills[b].rank)[0] || null;
+    }
+
+    /**
+     * Add training sessions to a creature's focused skill
+     * @returns {object|null} { skillId, rank, progress, rankedUp } or null when nothing can be trained
+     */
+    train(creatureId, sessions = 1) {
+        const gameState = this.getGameState();
+        const record = creatureId && gameState?.getRosterCreature ? gameState.getRosterCreature(creatureId) : null;
+        if (!record?.hatched) return null;
+
+        const training = this.getTraining(record);
+        const skillId = this.getTrainingTarget(training);
+        if (!skillId) return null;
+
+        const skill = { ...training.skills[skillId] };
+        skill.progress += sessions;
+
+        let rankedUp = false;
+        while (skill.rank < MAX_RANK && skill.progress >= this.getSessionsForNextRank(skill.rank)) {
+            skill.progress -= this.getSessionsForNextRank(skill.rank);
+            skill.rank += 1;
+            rankedUp = true;
+        }
+        if (skill.rank >= MAX_RANK) skill.progress = 0;
+
+        training.skills[skillId] = skill;
+        gameState.setCreatureTraining(creatureId, training);
+
+        if (rankedUp) {
+            gameState.emit('skillImproved', { creatureId, skillId, name: SKILLS[skillId].label, rank: skill.rank });
+            console.log(`[SkillSystem] ${record.name}'s ${SKILLS[skillId].label} reached rank ${skill.rank}`);
+        }
+        return { skillId, rank: skill.rank, progress: skill.progress, rankedUp };
+    }
+
+    /**
+     * Choose which unlocked skill the active creature trains next
+     */
+    setFocus(skillId) {
+        const gameState = this.getGameState();
+        const creatureId = gameState?.get('creature.id');
+        const record = creatureId ? gameState.getRosterCreature(creatureId) : null;
+        const training = this.getTraining(record);
+        if (!training.skills[skillId]) return false;
+
+        training.focus = skillId;
+        return gameState.setCreatureTraining(creatureId, training);
+    }
+
+    /**
+     * Move the training focus to the next unlocked skill (personality panel tap)
+     * @returns {string|null} The new focus
+     */
+    cycleFocus() {
+        const gameState = this.getGameState();
+        const record = gameState?.getRosterCreature?.(gameState.get('creature.id'));
+        const training = this.getTraining(record);
+        const unlocked = Object.keys(SKILLS).filter(skillId => training.skills[skillId]);
+        if (unlocked.length === 0) return null;
+
+        const current = unlocked.indexOf(this.getTrainingTarget(training));
+        const next = unlocked[(current + 1) % unlocked.length];
+        this.setFocus(next);
+        return next;
+    }
+
+    /**
+     * Gameplay effects of a creature's skills (defaults to the active creature)
+     * @returns {object} { moveSpeedMultiplier, flowerRadius, calmMultiplier, coinMagnetRadius }
+     */
+    getEffects(record = null) {
+        const gameState = this.getGameState();
+        const source = record || gameState?.get('creature');
+        const effects = { ...BASE_EFFECTS };
+        if (!source || source.visiting) return effects;
+
+        const { skills } = this.getTraining(source);
+        Object.entries(skills).forEach(([skillId, { rank }]) => {
+            Object.entries(SKILLS[skillId]?.effect || {}).forEach(([key, perRank]) => {
+                effects[key] += perRank * rank;
+            });
+        });
+        return effects;
+    }
+
+    /**
+     * Display rows for the personality panel
+     * @returns {Array<object>} { id, label, icon, rank, maxRank, progress, needed, focus }
+     */
+    getSkillSummary(record = null) {
+        const gameState = this.getGameState();
+        const training = this.getTraining(record || gameState?.get('creature'));
+        const target = this.getTrainingTarget(training);
+
+        return Object.values(SKILLS)
+            .filter(skill => training.skills[skill.id])
+            .map(skill => {
+                const { rank, progress } = training.skills[skill.id];
+                return {
+                    id: skill.id,
+                    label: skill.label,
+                    icon: skill.icon,
+                    rank,
+                    maxRank: MAX_RANK,
+                    progress,
+                    needed: this.getSessionsForNextRank(rank),
+                    focus: skill.id === target
+                };
+            });
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.initialized = false;
+    }
+}
+
+SkillSystem.SKILLS = SKILLS;
+SkillSystem.MAX_RANK = MAX_RANK;
+SkillSystem.OFF_AFFINITY_LEVELS = OFF_AFFINITY_LEVELS;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.SkillSystem = window.SkillSystem || new SkillSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkillSystem;
+}
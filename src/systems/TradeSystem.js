@@ -0,0 +1,624 @@
+/**
+ * TradeSystem - Swap creatures between two saves with offer and confirmation files
+ *
+ *   1. Save A: createOffer() moves the creature (and any coins) into `trading.pendingOffers`
+ *      and exports an offer addressed to save B's trade id.
+ *   2. Save B: acceptOffer() adds the creature, optionally sends one back, and exports a
+ *      confirmation.
+ *   3. Save A: completeTrade() reads the confirmation, receives the returned creature and
+ *      releases the escrow.
+ * Save B may instead declineOffer(): that exports a confirmation marked `declined`, and
+ * completeTrade() on save A then brings the escrow home.
+ *
+ * Every offer carries a random nonce. Both saves write it to `trading.consumedOffers`, so
+ * a file can only ever be used once, and an offer only opens in the save it was addressed
+ * to. Escrow only comes back through save B's signed decline: an offer B has accepted can
+ * no longer be declined, so the creature and coins never end up in both saves. Offers
+ * can't be accepted after a week, but may still be declined.
+ *
+ * Each save signs its files with its own ECDSA P-256 key pair (Web Crypto), kept in
+ * `trading.identity`. The trade id is a fingerprint of the public key, and every file
+ * carries that key, so a file only opens when it was signed by the save whose trade id it
+ * names: edits, and offers written by hand or with another save's key, are refused.
+ * When the kid profile is on, every step needs the guardian PIN (SafetyManager).
+ */
+
+const TRADE_OFFER_FORMAT = 'mythical-void-trade-offer';
+const TRADE_CONFIRMATION_FORMAT = 'mythical-void-trade-confirmation';
+const TRADE_FORMAT_VERSION = 3;
+const TRADE_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const TRADE_SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const TRADE_OFFER_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+const TRADE_ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TRADE_ID_LENGTH = 8;
+const MAX_TRADE_COINS = 10000;
+const MAX_TRADE_FILE_BYTES = 512 * 1024;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const encodeText = (text) => new TextEncoder().encode(text);
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+const fromHex = (hex) => new Uint8Array((hex.match(/[0-9a-f]{2}/g) || []).map(pair => parseInt(pair, 16)));
+
+class TradeSystem {
+    constructor() {
+        this.maxCoins = MAX_TRADE_COINS;
+        this.identityRequest = null;
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    getSubtle() {
+        return typeof window !== 'undefined' ? window.crypto?.subtle || null : null;
+    }
+
+    /**
+     * Random symbols from the trade id alphabet (crypto when available)
+     */
+    randomSymbols(length) {
+        const values = new Uint32Array(length);
+        const cryptoSource = typeof window !== 'undefined' ? window.crypto : null;
+        if (cryptoSource?.getRandomValues) {
+            cryptoSource.getRandomValues(values);
+        } else {
+            values.forEach((_, index) => { values[index] = Math.floor(Math.random() * 0xFFFFFFFF); });
+        }
+        return [...values].map(value => TRADE_ID_ALPHABET[value % TRADE_ID_ALPHABET.length]).join('');
+    }
+
+    /**
+     * This save's trade id, e.g. "K7QM-2XPA" (null until ensureIdentity() has made the key pair)
+     */
+    getTradeId() {
+        const gameState = this.getGameState();
+        if (!gameState?.get('trading.identity')) return null;
+        return gameState.get('trading.saveId');
+    }
+
+    /**
+     * This save's signing identity, creating the key pair and trade id on first use
+     * @returns {Promise<object|null>} { tradeId, publicKey, privateKey }, or null without Web Crypto
+     */
+    async ensureIdentity() {
+        const gameState = this.getGameState();
+        const subtle = this.getSubtle();
+        if (!gameState || !subtle || typeof TextEncoder === 'undefined') return null;
+
+        const stored = gameState.get('trading.identity');
+        if (stored) {
+            return { tradeId: gameState.get('trading.saveId'), ...stored };
+        }
+
+        // Two trade steps asking at once must not make two key pairs
+        if (this.identityRequest?.gameState !== gameState) {
+            const promise = this.createIdentity(gameState, subtle)
+                .catch(error => {
+                    console.warn('[TradeSystem] Could not create a trade key:', error);
+                    return null;
+                })
+                .finally(() => { this.identityRequest = null; });
+            this.identityRequest = { gameState, promise };
+        }
+        return this.identityRequest.promise;
+    }
+
+    async createIdentity(gameState, subtle) {
+        const keyPair = await subtle.generateKey(TRADE_KEY_ALGORITHM, true, ['sign', 'verify']);
+        const { x, y, d } = await subtle.exportKey('jwk', keyPair.privateKey);
+        const identity = { publicKey: { x, y }, privateKey: d };
+        const tradeId = await this.fingerprint(identity.publicKey);
+
+        // Older saves had a random trade id; the key's fingerprint replaces it
+        gameState.set('trading.identity', identity);
+        gameState.set('trading.saveId', tradeId);
+        gameState.save();
+        console.log(`[TradeSystem] Created trade key ${tradeId}`);
+
+        return { tradeId, ...identity };
+    }
+
+    /**
+     * Trade id for a public key: the first 40 bits of its SHA-256 in the trade id alphabet
+     */
+    async fingerprint(publicKey) {
+        const digest = new Uint8Array(await this.getSubtle().digest('SHA-256', encodeText(`${publicKey.x}.${publicKey.y}`)));
+        const bits = [...digest.slice(0, 5)].map(byte => byte.toString(2).padStart(8, '0')).join('');
+        const symbols = bits.match(/.{5}/g).map(chunk => TRADE_ID_ALPHABET[parseInt(chunk, 2)]).join('');
+        return `${symbols.slice(0, 4)}-${symbols.slice(4)}`;
+    }
+
+    normalizeTradeId(tradeId) {
+        const symbols = String(tradeId ?? '').toUpperCase().replace(/[\s-]/g, '');
+        return symbols.length === TRADE_ID_LENGTH ? `${symbols.slice(0, 4)}-${symbols.slice(4)}` : symbols;
+    }
+
+    isValidTradeId(tradeId) {
+        const symbols = this.normalizeTradeId(tradeId).replace('-', '');
+        return symbols.length === TRADE_ID_LENGTH && [...symbols].every(char => TRADE_ID_ALPHABET.includes(char));
+    }
+
+    importKey(publicKey, privateKey = null) {
+        const jwk = { kty: 'EC', crv: 'P-256', x: publicKey.x, y: publicKey.y, ext: true };
+        if (privateKey) jwk.d = privateKey;
+        return this.getSubtle().importKey('jwk', jwk, TRADE_KEY_ALGORITHM, false, [privateKey ? 'sign' : 'verify']);
+    }
+
+    /**
+     * Canonical bytes of every field but the signature itself
+     */
+    signedBytes(file) {
+        const { signature, ...payload } = file;
+        return encodeText(window.SaveTransfer.constructor.canonicalize(payload));
+    }
+
+    /**
+     * Copy of a trade file signed with this save's key
+     */
+    async sign(file, identity) {
+        const key = await this.importKey(identity.publicKey, identity.privateKey);
+        const signature = await this.getSubtle().sign(TRADE_SIGNATURE_ALGORITHM, key, this.signedBytes(file));
+        return { ...file, signature: toHex(signature) };
+    }
+
+    /**
+     * True when the file's key matches its fromTradeId and signed every field
+     */
+    async verify(file) {
+        const { fromKey } = file;
+        if (!isPlainObject(fromKey) || typeof fromKey.x !== 'string' || typeof fromKey.y !== 'string' || typeof file.signature !== 'string') {
+            return false;
+        }
+
+        try {
+            if (await this.fingerprint(fromKey) !== file.fromTradeId) return false;
+            const key = await this.importKey(fromKey);
+            return await this.getSubtle().verify(TRADE_SIGNATURE_ALGORITHM, key, fromHex(file.signature), this.signedBytes(file));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Guardian PIN gate for kid profiles
+     * @returns {object|null} A failure result, or null when the trade may go ahead
+     */
+    checkGuardian(guardianPin) {
+        const safetyManager = typeof window !== 'undefined' ? window.SafetyManager : null;
+        if (!safetyManager?.getKidProfile?.().enabled) return null;
+
+        if (!safetyManager.getGuardianStatus().pinHash) {
+            return this.fail('guardian_required', 'A grown-up needs to set a guardian PIN before trading.');
+        }
+        if (!guardianPin || !safetyManager.verifyGuardianPin(String(guardianPin))) {
+            return this.fail('guardian_required', 'Ask a grown-up to enter the guardian PIN.');
+        }
+        return null;
+    }
+
+    fail(reason, message) {
+        return { ok: false, reason, message };
+    }
+
+    isConsumed(nonce) {
+        return !!this.getGameState()?.get('trading.consumedOffers')?.[nonce];
+    }
+
+    markConsumed(nonce, role) {
+        const gameState = this.getGameState();
+        const consumed = { ...(gameState.get('trading.consumedOffers') || {}) };
+        consumed[nonce] = { role, completedAt: Date.now() };
+        gameState.set('trading.consumedOffers', consumed);
+    }
+
+    /**
+     * Offer a roster creature (plus optional coins) to another save
+     * @param {string} creatureId - Roster creature to give; not the active companion
+     * @param {object} options - { toTradeId, coins, guardianPin }
+     * @returns {Promise<object>} { ok: true, offer } or { ok: false, reason, message }
+     */
+    async createOffer(creatureId, { toTradeId, coins = 0, guardianPin = null } = {}) {
+        const gameState = this.getGameState();
+        if (!gameState || !window.SaveTransfer) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        const guardianFailure = this.checkGuardian(guardianPin);
+        if (guardianFailure) return guardianFailure;
+
+        const identity = await this.ensureIdentity();
+        if (!identity) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        if (!this.isValidTradeId(toTradeId)) {
+            return this.fail('invalid_trade_id', 'Check your friend\'s trade ID - it has 8 letters and numbers.');
+        }
+        const recipient = this.normalizeTradeId(toTradeId);
+        if (recipient === identity.tradeId) {
+            return this.fail('own_offer', 'That is your own trade ID.');
+        }
+
+        const record = gameState.getRosterCreature(creatureId);
+        if (!record) {
+            return this.fail('cannot_trade', 'That creature is not in your roster.');
+        }
+        if (creatureId === gameState.get('activeCreatureId')) {
+            return this.fail('cannot_trade', 'Choose another companion before trading this one.');
+        }
+
+        if (!Number.isInteger(coins) || coins < 0 || coins > this.maxCoins) {
+            return this.fail('invalid_coins', `Coins must be a whole number up to ${this.maxCoins}.`);
+        }
+        const economy = window.EconomyManager;
+        if (coins > 0 && !economy?.canAfford?.(coins)) {
+            return this.fail('insufficient_coins', 'You don\'t have that many coins.');
+        }
+
+        const createdAt = Date.now();
+        const offer = await this.sign({
+            format: TRADE_OFFER_FORMAT,
+            formatVersion: TRADE_FORMAT_VERSION,
+            schemaVersion: gameState.gameVersion,
+            nonce: this.randomSymbols(20),
+            fromTradeId: identity.tradeId,
+            fromKey: identity.publicKey,
+            toTradeId: recipient,
+            createdAt,
+            expiresAt: createdAt + TRADE_OFFER_LIFETIME,
+            creature: clone(record),
+            coins
+        }, identity);
+
+        // Escrow: the creature and coins leave this save now, so they can't be traded twice.
+        // Signing yielded, so check again that both are still here.
+        if (coins > 0 && !economy.canAfford(coins)) {
+            return this.fail('insufficient_coins', 'You don\'t have that many coins.');
+        }
+        if (!gameState.removeCreatureFromRoster(creatureId)) {
+            return this.fail('cannot_trade', 'That creature can\'t be traded right now.');
+        }
+        if (coins > 0) {
+            economy.removeCoins(coins, 'trade_offer');
+        }
+
+        const pending = { ...(gameState.get('trading.pendingOffers') || {}) };
+        pending[offer.nonce] = {
+            nonce: offer.nonce,
+            toTradeId: recipient,
+            signature: offer.signature,
+            creature: clone(record),
+            coins,
+            createdAt: offer.createdAt,
+            expiresAt: offer.expiresAt
+        };
+        gameState.set('trading.pendingOffers', pending);
+        gameState.save();
+
+        gameState.emit('tradeOffered', { nonce: offer.nonce, creature: clone(record), coins, toTradeId: recipient });
+        console.log(`[TradeSystem] Offered ${record.name} and ${coins} coins to ${recipient}`);
+
+        return { ok: true, offer };
+    }
+
+    /**
+     * Parse a trade file and check its signature
+     * @returns {Promise<object>} { ok: true, file } or { ok: false, reason, message }
+     */
+    async readFile(text, format) {
+        if (text === window.SaveTransfer.constructor.FILE_TOO_LARGE || (typeof text === 'string' && text.length > MAX_TRADE_FILE_BYTES)) {
+            return this.fail('too_large', 'That file is too big to be a trade file.');
+        }
+        if (typeof text !== 'string' || text.trim() === '') {
+            return this.fail('malformed', 'That is not a trade file.');
+        }
+
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            return this.fail('malformed', 'That is not a trade file.');
+        }
+
+        if (!isPlainObject(file) || file.format !== format) {
+            const expected = format === TRADE_OFFER_FORMAT ? 'an offer' : 'a confirmation';
+            return this.fail('wrong_file', `That file is not ${expected} file.`);
+        }
+        if (file.formatVersion !== TRADE_FORMAT_VERSION) {
+            return file.formatVersion < TRADE_FORMAT_VERSION
+                ? this.fail('unsupported_version', 'That trade file is from an older version of the game - ask for a new one.')
+                : this.fail('unsupported_version', 'That trade file needs a newer version of the game.');
+        }
+        if (typeof file.nonce !== 'string' || !(await this.verify(file))) {
+            return this.fail('tampered', 'That trade file was changed, or wasn\'t made by the save it says it\'s from.');
+        }
+
+        const migrator = window.SaveMigrator;
+        const gameVersion = this.getGameState().gameVersion;
+        if (migrator && file.schemaVersion && migrator.constructor.compareVersions(file.schemaVersion, gameVersion) > 0) {
+            return this.fail('unsupported_version', 'That trade file needs a newer version of the game.');
+        }
+
+        return { ok: true, file };
+    }
+
+    /**
+     * Read an offer addressed to this save that hasn't been accepted or declined yet
+     */
+    async readOffer(text, identity) {
+        const read = await this.readFile(text, TRADE_OFFER_FORMAT);
+        if (!read.ok) return read;
+        const offer = read.file;
+
+        if (offer.fromTradeId === identity.tradeId) {
+            return this.fail('own_offer', 'This is your own offer - send it to your friend.');
+        }
+        if (offer.toTradeId !== identity.tradeId) {
+            return this.fail('wrong_save', 'This offer was made for a different save.');
+        }
+        if (this.isConsumed(offer.nonce)) {
+            return this.fail('already_used', 'This offer was already used.');
+        }
+        return read;
+    }
+
+    /**
+     * Accept an offer addressed to this save
+     * @param {string} text - Offer file contents
+     * @param {object} options - { returnCreatureId, guardianPin } returnCreatureId is sent back (optional)
+     * @returns {Promise<object>} { ok: true, confirmation, creature, coins } or { ok: false, reason, message }
+     */
+    async acceptOffer(text, { returnCreatureId = null, guardianPin = null } = {}) {
+        const gameState = this.getGameState();
+        if (!gameState || !window.SaveTransfer) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        const guardianFailure = this.checkGuardian(guardianPin);
+        if (guardianFailure) return guardianFailure;
+
+        const identity = await this.ensureIdentity();
+        if (!identity) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        const read = await this.readOffer(text, identity);
+        if (!read.ok) return read;
+        const offer = read.file;
+
+        if (!Number.isFinite(offer.expiresAt) || Date.now() > offer.expiresAt) {
+            return this.fail('expired', 'This offer has expired - ask your friend for a new one.');
+        }
+        if (!isPlainObject(offer.creature) || !Number.isInteger(offer.coins) || offer.coins < 0 || offer.coins > this.maxCoins) {
+            return this.fail('malformed', 'That offer is missing its creature.');
+        }
+
+        let returned = null;
+        if (returnCreatureId) {
+            returned = gameState.getRosterCreature(returnCreatureId);
+            if (!returned || returnCreatureId === gameState.get('activeCreatureId')) {
+                return this.fail('cannot_trade', 'Choose a creature that isn\'t your companion to send back.');
+            }
+        } else if (gameState.isRosterFull()) {
+            return this.fail('roster_full', 'Your roster is full - send a creature back or make room first.');
+        }
+
+        const economy = window.EconomyManager;
+        if (offer.coins > 0 && !economy?.addCoins) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        const confirmation = await this.sign({
+            format: TRADE_CONFIRMATION_FORMAT,
+            formatVersion: TRADE_FORMAT_VERSION,
+            schemaVersion: gameState.gameVersion,
+            nonce: offer.nonce,
+            offerSignature: offer.signature,
+            fromTradeId: identity.tradeId,
+            fromKey: identity.publicKey,
+            toTradeId: offer.fromTradeId,
+            acceptedAt: Date.now(),
+            creature: returned ? clone(returned) : null
+        }, identity);
+
+        // Signing yielded: the offer may have been used or the creature sent meanwhile
+        if (this.isConsumed(offer.nonce)) {
+            return this.fail('already_used', 'This offer was already used.');
+        }
+        if (returned && !gameState.removeCreatureFromRoster(returnCreatureId)) {
+            return this.fail('cannot_trade', 'Choose a creature that isn\'t your companion to send back.');
+        }
+
+        // Ledger first: nothing below can run twice for the same offer
+        this.markConsumed(offer.nonce, 'received');
+        const creature = gameState.addCreatureToRoster(this.prepareIncoming(offer.creature, offer.fromTradeId));
+        if (offer.coins > 0) {
+            economy.addCoins(offer.coins, 'trade');
+        }
+        gameState.save();
+
+        gameState.emit('tradeAccepted', { nonce: offer.nonce, creature: clone(creature), coins: offer.coins, returned: returned ? clone(returned) : null });
+        console.log(`[TradeSystem] Accepted ${creature.name} from ${offer.fromTradeId}`);
+
+        return { ok: true, confirmation, creature: clone(creature), coins: offer.coins };
+    }
+
+    /**
+     * Turn down an offer addressed to this save. The offer can't be accepted afterwards, and
+     * the exported confirmation gives the friend their creature and coins back.
+     * @param {string} text - Offer file contents
+     * @param {object} options - { guardianPin }
+     * @returns {Promise<object>} { ok: true, confirmation } or { ok: false, reason, message }
+     */
+    async declineOffer(text, { guardianPin = null } = {}) {
+        const gameState = this.getGameState();
+        if (!gameState || !window.SaveTransfer) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        const guardianFailure = this.checkGuardian(guardianPin);
+        if (guardianFailure) return guardianFailure;
+
+        const identity = await this.ensureIdentity();
+        if (!identity) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        // Expired offers may still be declined, so the friend's escrow can come home
+        const read = await this.readOffer(text, identity);
+        if (!read.ok) return read;
+        const offer = read.file;
+
+        const confirmation = await this.sign({
+            format: TRADE_CONFIRMATION_FORMAT,
+            formatVersion: TRADE_FORMAT_VERSION,
+            schemaVersion: gameState.gameVersion,
+            nonce: offer.nonce,
+            offerSignature: offer.signature,
+            fromTradeId: identity.tradeId,
+            fromKey: identity.publicKey,
+            toTradeId: offer.fromTradeId,
+            declined: true,
+            declinedAt: Date.now(),
+            creature: null
+        }, identity);
+
+        if (this.isConsumed(offer.nonce)) {
+            return this.fail('already_used', 'This offer was already used.');
+        }
+        this.markConsumed(offer.nonce, 'declined');
+        gameState.save();
+
+        gameState.emit('tradeDeclined', { nonce: offer.nonce, fromTradeId: offer.fromTradeId });
+        console.log(`[TradeSystem] Declined offer ${offer.nonce} from ${offer.fromTradeId}`);
+
+        return { ok: true, confirmation };
+    }
+
+    /**
+     * Finish a trade this save offered, from the friend's confirmation file
+     * @returns {Promise<object>} { ok: true, declined: false, creature } (creature is null when
+     *   nothing was sent back), or { ok: true, declined: true, creature, coins } with the escrow
+     */
+    async completeTrade(text, { guardianPin = null } = {}) {
+        const gameState = this.getGameState();
+        if (!gameState || !window.SaveTransfer) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        const guardianFailure = this.checkGuardian(guardianPin);
+        if (guardianFailure) return guardianFailure;
+
+        const read = await this.readFile(text, TRADE_CONFIRMATION_FORMAT);
+        if (!read.ok) return read;
+        const confirmation = read.file;
+
+        if (!this.getTradeId() || confirmation.toTradeId !== this.getTradeId()) {
+            return this.fail('wrong_save', 'This confirmation belongs to a different save.');
+        }
+        if (this.isConsumed(confirmation.nonce)) {
+            return this.fail('already_used', 'This trade is already finished.');
+        }
+
+        const pending = gameState.get('trading.pendingOffers')?.[confirmation.nonce];
+        if (!pending || pending.signature !== confirmation.offerSignature || pending.toTradeId !== confirmation.fromTradeId) {
+            return this.fail('unknown_offer', 'This confirmation doesn\'t match any of your offers.');
+        }
+        if (confirmation.declined === true) {
+            return this.returnEscrow(pending);
+        }
+        if (confirmation.creature !== null && !isPlainObject(confirmation.creature)) {
+            return this.fail('malformed', 'That confirmation is missing its creature.');
+        }
+        if (confirmation.creature && gameState.isRosterFull()) {
+            return this.fail('roster_full', 'Your roster is full - make room, then open the confirmation again.');
+        }
+
+        this.markConsumed(confirmation.nonce, 'sent');
+        const remaining = { ...gameState.get('trading.pendingOffers') };
+        delete remaining[confirmation.nonce];
+        gameState.set('trading.pendingOffers', remaining);
+
+        const creature = confirmation.creature
+            ? gameState.addCreatureToRoster(this.prepareIncoming(confirmation.creature, confirmation.fromTradeId))
+            : null;
+        gameState.save();
+
+        gameState.emit('tradeCompleted', { nonce: confirmation.nonce, sent: clone(pending.creature), creature: creature ? clone(creature) : null });
+        console.log(`[TradeSystem] Trade ${confirmation.nonce} completed`);
+
+        return { ok: true, declined: false, creature: creature ? clone(creature) : null };
+    }
+
+    /**
+     * Bring a declined offer's creature and coins home (from completeTrade)
+     */
+    returnEscrow(pending) {
+        const gameState = this.getGameState();
+        if (gameState.isRosterFull()) {
+            return this.fail('roster_full', 'Your roster is full - make room, then open the confirmation again.');
+        }
+        const economy = window.EconomyManager;
+        if (pending.coins > 0 && !economy?.addCoins) {
+            return this.fail('unavailable', 'Trading is not available right now.');
+        }
+
+        this.markConsumed(pending.nonce, 'declined');
+        const remaining = { ...gameState.get('trading.pendingOffers') };
+        delete remaining[pending.nonce];
+        gameState.set('trading.pendingOffers', remaining);
+
+        const creature = gameState.addCreatureToRoster(clone(pending.creature));
+        if (pending.coins > 0) {
+            economy.addCoins(pending.coins, 'trade_refund');
+        }
+        gameState.save();
+
+        gameState.emit('tradeReturned', { nonce: pending.nonce, creature: clone(creature), coins: pending.coins });
+        console.log(`[TradeSystem] Offer ${pending.nonce} was declined; escrow returned`);
+
+        return { ok: true, declined: true, creature: clone(creature), coins: pending.coins };
+    }
+
+    /**
+     * Roster-ready copy of a traded creature with a fresh id
+     */
+    prepareIncoming(record, fromTradeId) {
+        const incoming = clone(record);
+        delete incoming.id;
+        incoming.tradedFrom = { tradeId: fromTradeId, at: Date.now() };
+        return incoming;
+    }
+
+    getPendingOffers() {
+        return Object.values(this.getGameState()?.get('trading.pendingOffers') || {}).map(clone);
+    }
+
+    buildFileName(file) {
+        const kind = file.format === TRADE_OFFER_FORMAT ? 'offer' : 'confirmation';
+        const name = (file.format === TRADE_OFFER_FORMAT ? file.creature?.name : file.fromTradeId) || 'trade';
+        const slug = name.toString().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trade';
+        return `mythical-void-trade-${kind}-${slug}.json`;
+    }
+
+    /**
+     * Download a trade file through SaveTransfer
+     */
+    download(file) {
+        return window.SaveTransfer?.download(file, this.buildFileName(file)) || false;
+    }
+}
+
+TradeSystem.OFFER_FORMAT = TRADE_OFFER_FORMAT;
+TradeSystem.CONFIRMATION_FORMAT = TRADE_CONFIRMATION_FORMAT;
+
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.TradeSystem = window.TradeSystem || new TradeSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeSystem;
+}
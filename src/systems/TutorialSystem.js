@@ -1,167 +1,291 @@
 /**
- * TutorialSystem - Simple progressive onboarding system
- * Provides basic hints for movement and interaction
+ * TutorialSystem - Scripted onboarding driven by config/tutorial.json
+ * Steps run in order within each scene. A step names a `target` the scene resolves (a game
+ * object or UI element to spotlight), its `text`, an optional `trigger` that completes it
+ * ({ event, emitter?, where?, count? }), a `timeout` after which it moves on by itself and
+ * `branches` keyed by input mode ('touch' / 'keyboard') that override its text or target.
+ * Triggers come from GameState events, manager events (`emitter`) or scenes calling notify().
+ * TutorialOverlayManager draws the dim overlay, spotlight, pointer and bubble.
+ * Progress is stored in GameState `tutorial.steps` ({ completedAt, outcome }); replay()
+ * clears it. `legacyKey` / chapter `legacyFlag` keep progress from the old hint system.
  */
 
-function getGameState() {
-    if (typeof window === 'undefined' || !window.GameState) {
-        throw new Error('GameState system not ready');
-    }
-    return window.GameState;
-}
+const matchesWhere = (where = {}, data = {}) => Object.entries(where).every(([field, expected]) =>
+    Array.isArray(expected) ? expected.includes(data?.[field]) : data?.[field] === expected
+);
 
 class TutorialSystem {
     constructor() {
         this.initialized = false;
-        this.currentTutorial = null;
-        this.completedTutorials = [];
-        this.tutorialSteps = {
-            movement: {
-                id: 'movement',
-                title: 'Movement',
-                message: 'Use WASD or Arrow Keys to move your creature around the world',
-                condition: (gameState, scene) => {
-                    // Check if player has moved significantly from start
-                    const pos = gameState.world.currentPosition;
-                    return pos && (Math.abs(pos.x - 800) > 100 || Math.abs(pos.y - 600) > 100);
-                },
-                completed: false
-            },
-            interaction: {
-                id: 'interaction',
-                title: 'Interaction',
-                message: 'Press SPACE when near flowers to interact and gain XP',
-                condition: (gameState, scene) => {
-                    // Check if player has interacted with flowers
-                    return (gameState.world.discoveredObjects.flowers || 0) >= 1;
-                },
-                completed: false
-            },
-            care: {
-                id: 'care',
-                title: 'Creature Care',
-                message: 'Press TAB to open care menu, then F/P/R to feed, play, or rest with your creature',
-                condition: (gameState, scene) => {
-                    // Check if player has performed any care action
-                    const care = gameState.creature.care;
-                    return care && (care.dailyCare.feedCount > 0 || care.dailyCare.playCount > 0 || care.dailyCare.restCount > 0);
-                },
-                completed: false
-            },
-            levelUp: {
-                id: 'levelUp',
-                title: 'Level Up',
-                message: 'Keep exploring and interacting to gain XP and level up your creature!',
-                condition: (gameState, scene) => {
-                    // Check if creature has reached level 2
-                    return (gameState.creature.level || 1) >= 2;
-                },
-                completed: false
-            }
-        };
+        this.config = { chapters: [], steps: [] };
+        this.inputMode = null;
+        this.active = null;
+        this.timeoutHandle = null;
+        this.unsubscribers = [];
+    }
+
+    getGameState() {
+        return typeof window !== 'undefined' ? window.GameState : null;
+    }
+
+    /**
+     * Load tutorial steps
+     * @param {object} config - Parsed config/tutorial.json
+     */
+    configure(config = {}) {
+        this.config = { ...this.config, ...config };
     }
 
     /**
-     * Initialize the tutorial system
+     * Subscribe to every event a step can be triggered by
      */
     initialize() {
         if (this.initialized) return;
 
-        // Load tutorial progress from GameState
-        const savedTutorials = getGameState().get('tutorials') || {};
-        Object.keys(this.tutorialSteps).forEach(stepId => {
-            if (savedTutorials[stepId]) {
-                this.tutorialSteps[stepId].completed = savedTutorials[stepId].completed || false;
-            }
+        const subscribed = new Set();
+        this.getSteps().filter(step => step.trigger?.event).forEach(({ trigger }) => {
+            const key = `${trigger.emitter || 'GameState'}:${trigger.event}`;
+            if (subscribed.has(key)) return;
+            subscribed.add(key);
+
+            const emitter = trigger.emitter ? window[trigger.emitter] : this.getGameState();
+            this.listenTo(emitter, trigger.event, (data) => this.handleEvent(trigger.event, data, trigger.emitter || null));
         });
 
         this.initialized = true;
-        console.log('[TutorialSystem] Initialized with', Object.keys(this.tutorialSteps).length, 'tutorial steps');
+        console.log('[TutorialSystem] Initialized with', this.getSteps().length, 'steps');
     }
 
     /**
-     * Get the next tutorial step that should be shown
+     * Subscribe to GameState (returns an unsubscriber) or a manager with on/off
      */
-    getNextTutorial(gameState, scene) {
-        for (const [stepId, step] of Object.entries(this.tutorialSteps)) {
-            if (!step.completed && !this.isCompleted(step, gameState, scene)) {
-                return step;
-            }
-        }
-        return null;
+    listenTo(emitter, event, handler) {
+        if (!emitter || typeof emitter.on !== 'function') return;
+        const unsubscribe = emitter.on(event, handler);
+        this.unsubscribers.push(typeof unsubscribe === 'function' ? unsubscribe : () => emitter.off?.(event, handler));
+    }
+
+    destroy() {
+        this.clearTimeout();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.active = null;
+        this.initialized = false;
+    }
+
+    getSteps() {
+        return this.config.steps || [];
+    }
+
+    getStep(stepId) {
+        return this.getSteps().find(step => step.id === stepId) || null;
+    }
+
+    getChapter(chapterId) {
+        return (this.config.chapters || []).find(chapter => chapter.id === chapterId) || null;
+    }
+
+    /**
+     * 'touch' or 'keyboard'; picks which branch of a step is shown
+     */
+    getInputMode() {
+        if (this.inputMode) return this.inputMode;
+        if (typeof window !== 'undefined' && window.responsiveManager?.isMobile) return 'touch';
+        const touchCapable = typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+        return touchCapable ? 'touch' : 'keyboard';
+    }
+
+    setInputMode(mode) {
+        this.inputMode = mode;
+    }
+
+    /**
+     * A step with the branch for the current input mode applied
+     */
+    resolveStep(step) {
+        if (!step) return null;
+        const branch = step.branches?.[this.getInputMode()] || {};
+        const { branches, ...base } = step;
+        return { ...base, ...branch, id: step.id };
+    }
+
+    getState() {
+        const gameState = this.getGameState();
+        const stored = gameState?.get('tutorial') || {};
+        return { ...stored, steps: { ...(stored.steps || {}) }, legacy: gameState?.get('tutorials') || {} };
+    }
+
+    isStepComplete(stepId, state = this.getState()) {
+        if (state.steps[stepId]) return true;
+
+        // Saves from before the tutorial engine flagged hatching as seen and kept
+        // the old hints under tutorials.<id>
+        const step = this.getStep(stepId);
+        const chapter = this.getChapter(step?.chapter);
+        if (chapter?.legacyFlag && state[chapter.legacyFlag]) return true;
+        return !!(step?.legacyKey && state.legacy[step.legacyKey]?.completed);
+    }
+
+    isChapterComplete(chapterId) {
+        const state = this.getState();
+        return this.getSteps()
+            .filter(step => step.chapter === chapterId)
+            .every(step => this.isStepComplete(step.id, state));
+    }
+
+    /**
+     * First unfinished step for a scene, with its branch applied
+     */
+    getNextStep(sceneKey) {
+        const state = this.getState();
+        const step = this.getSteps().find(entry => entry.scene === sceneKey && !this.isStepComplete(entry.id, state));
+        return this.resolveStep(step);
+    }
+
+    getActiveStep() {
+        return this.active ? this.resolveStep(this.getStep(this.active.stepId)) : null;
     }
 
     /**
-     * Check if a tutorial step is completed
+     * Show the next step for a scene (no-op while one is already running there).
+     * Only one step runs at a time, so a scene with a step takes over from another
+     * @returns {object|null} The active step
      */
-    isCompleted(step, gameState, scene) {
-        return step.condition(gameState, scene);
+    begin(sceneKey) {
+        if (this.active?.sceneKey === sceneKey) {
+            return this.getActiveStep();
+        }
+
+        // A scene with nothing left to show leaves another scene's step running
+        const step = this.getNextStep(sceneKey);
+        if (!step) return null;
+
+        this.clearTimeout();
+        this.active = { sceneKey, stepId: step.id, count: 0, startedAt: Date.now() };
+        if (step.timeout > 0) {
+            this.timeoutHandle = setTimeout(() => this.completeStep(step.id, 'timedOut'), step.timeout);
+        }
+
+        const { completed, total } = this.getProgress();
+        this.getGameState()?.emit('tutorialStepStarted', { step, sceneKey, index: completed + 1, total });
+        return step;
     }
 
     /**
-     * Mark a tutorial step as completed
+     * Stop showing a scene's step without completing it (e.g. the scene closed)
      */
-    completeTutorial(stepId) {
-        if (this.tutorialSteps[stepId]) {
-            this.tutorialSteps[stepId].completed = true;
-            this.completedTutorials.push(stepId);
-
-            // Save to GameState
-            getGameState().set(`tutorials.${stepId}`, {
-                completed: true,
-                completedAt: Date.now()
-            });
-
-            console.log(`[TutorialSystem] Completed tutorial: ${stepId}`);
+    end(sceneKey) {
+        if (this.active?.sceneKey !== sceneKey) return;
+        this.clearTimeout();
+        this.active = null;
+    }
+
+    clearTimeout() {
+        if (this.timeoutHandle) {
+            clearTimeout(this.timeoutHandle);
+            this.timeoutHandle = null;
         }
     }
 
     /**
-     * Check all tutorial steps and complete any that meet conditions
+     * Scene-side moments that aren't GameState events (hatch started, scene opened)
      */
-    checkTutorials(gameState, scene) {
-        let completedSteps = [];
-
-        Object.entries(this.tutorialSteps).forEach(([stepId, step]) => {
-            if (!step.completed && this.isCompleted(step, gameState, scene)) {
-                this.completeTutorial(stepId);
-                completedSteps.push(step);
-            }
-        });
+    notify(event, data = {}) {
+        this.handleEvent(event, data, null);
+    }
+
+    handleEvent(event, data, emitter) {
+        if (!this.active) return;
 
-        return completedSteps;
+        const step = this.getActiveStep();
+        const trigger = step?.trigger;
+        if (!trigger || trigger.event !== event || (trigger.emitter || null) !== emitter) return;
+        if (trigger.where && !matchesWhere(trigger.where, data)) return;
+
+        this.active.count += 1;
+        if (this.active.count >= (trigger.count || 1)) {
+            this.completeStep(step.id, 'triggered');
+        }
     }
 
     /**
-     * Get tutorial completion percentage
+     * Skip the step on screen
      */
-    getCompletionPercentage() {
-        const total = Object.keys(this.tutorialSteps).length;
-        const completed = this.completedTutorials.length;
-        return Math.round((completed / total) * 100);
+    skip() {
+        if (this.active) {
+            this.completeStep(this.active.stepId, 'skipped');
+        }
     }
 
     /**
-     * Get tutorial progress text
+     * Record a step and move the scene on to its next one
+     * @param {string} outcome - 'triggered', 'timedOut' or 'skipped'
      */
-    getProgressText() {
-        const completed = this.completedTutorials.length;
-        const total = Object.keys(this.tutorialSteps).length;
-        return `Tutorial: ${completed}/${total} (${this.getCompletionPercentage()}%)`;
+    completeStep(stepId, outcome = 'triggered') {
+        const gameState = this.getGameState();
+        const step = this.getStep(stepId);
+        if (!gameState || !step) return;
+
+        const sceneKey = this.active?.stepId === stepId ? this.active.sceneKey : null;
+        if (sceneKey) {
+            this.clearTimeout();
+            this.active = null;
+        }
+
+        const state = this.getState();
+        if (!state.steps[stepId]) {
+            gameState.set(`tutorial.steps.${stepId}`, { completedAt: Date.now(), outcome });
+        }
+        gameState.emit('tutorialStepCompleted', { stepId, chapter: step.chapter, outcome });
+
+        if (step.chapter && this.isChapterComplete(step.chapter)) {
+            const chapter = this.getChapter(step.chapter);
+            gameState.emit('tutorialChapterCompleted', { chapterId: step.chapter, title: chapter?.title || step.chapter });
+        }
+
+        if (sceneKey) {
+            this.begin(sceneKey);
+        }
+    }
+
+    getProgress() {
+        const state = this.getState();
+        const total = this.getSteps().length;
+        const completed = this.getSteps().filter(step => this.isStepComplete(step.id, state)).length;
+        return { completed, total, percent: total > 0 ? Math.round((completed / total) * 100) : 0 };
+    }
+
+    getProgressSummary() {
+        const { completed, total } = this.getProgress();
+        return completed >= total ? 'Tutorial: complete ✓' : `Tutorial: ${completed}/${total} tips`;
     }
 
     /**
-     * Reset all tutorials (for testing)
+     * Forget all progress so every scene shows its steps again
+     * @param {string|null} sceneKey - Scene that should start its first step right away
      */
-    resetTutorials() {
-        Object.values(this.tutorialSteps).forEach(step => {
-            step.completed = false;
-        });
-        this.completedTutorials = [];
-        getGameState().set('tutorials', {});
-        console.log('[TutorialSystem] All tutorials reset');
+    replay(sceneKey = null) {
+        this.clearTimeout();
+        this.active = null;
+
+        const gameState = this.getGameState();
+        gameState?.set('tutorial', { steps: {} });
+        if (gameState?.get('tutorials')) {
+            gameState.set('tutorials', {});
+        }
+        gameState?.emit('tutorialReset', {});
+        console.log('[TutorialSystem] Tutorial reset for replay');
+
+        return sceneKey ? this.begin(sceneKey) : null;
     }
 }
 
-// Export for use in other modules
-window.TutorialSystem = new TutorialSystem();
+// Create singleton instance
+if (typeof window !== 'undefined') {
+    window.TutorialSystem = window.TutorialSystem || new TutorialSystem();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TutorialSystem;
+}
@@ -1066,12 +1066,17 @@ class UXEnhancements {
         
         const creature = window.GameState.get('creature');
         const stats = creature.stats;
+        const xp = window.LevelingSystem?.getProgress(creature);
+        let experience = `${creature.experience} out of 100`;
+        if (xp) {
+            experience = xp.capped ? 'maxed for this life stage' : `${xp.current} out of ${xp.needed}`;
+        }
         const message = `
             ${creature.name} is at level ${creature.level}.
             Health: ${stats.health}.
             Happiness: ${stats.happiness}.
             Energy: ${stats.energy}.
-            Experience: ${creature.experience} out of 100.
+            Experience: ${experience}.
         `;
         
         this.announce(message, 'assertive');
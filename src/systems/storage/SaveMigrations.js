@@ -0,0 +1,362 @@
+/**
+ * SaveMigrations - Ordered, testable upgrade steps for saved GameState trees
+ *
+ * Each step upgrades a save from `from` to `to`. Steps receive a deep copy of the
+ * save plus `{ defaults }` (a fresh createInitialState() tree) and return the
+ * upgraded tree. Add a step here whenever the save schema changes, and add a
+ * fixture for the old shape under src/__tests__/fixtures/saves.
+ */
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Copy top-level sections (and their missing keys) from defaults into a save
+ */
+function fillMissingSections(save, defaults, sections) {
+    sections.forEach(section => {
+        if (!isPlainObject(save[section]) && !Array.isArray(save[section])) {
+            save[section] = clone(defaults[section]);
+            return;
+        }
+
+        if (isPlainObject(defaults[section])) {
+            save[section] = { ...clone(defaults[section]), ...save[section] };
+        }
+    });
+}
+
+const SAVE_MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Add care tracking, daily bonus, pity/reroll, codex, memory and safety sections',
+        migrate(save, { defaults }) {
+            fillMissingSections(save, defaults, [
+                'player', 'world', 'settings', 'unlocks', 'breedingShrine', 'dailyBonus',
+                'pitySystem', 'rerollSystem', 'codex', 'memory', 'safety', 'inventory'
+            ]);
+
+            if (!Array.isArray(save.creatures)) {
+                save.creatures = [];
+            }
+
+            const creature = isPlainObject(save.creature) ? save.creature : clone(defaults.creature);
+            creature.stats = { ...clone(defaults.creature.stats), ...(creature.stats || {}) };
+            creature.colors = { ...clone(defaults.creature.colors), ...(creature.colors || {}) };
+            if (!Array.isArray(creature.traits)) {
+                creature.traits = [];
+            }
+
+            // 1.0.0 creatures had no care record; start it from the hatch time
+            if (!isPlainObject(creature.care)) {
+                creature.care = clone(defaults.creature.care);
+                if (creature.hatched) {
+                    creature.care.lastCareTime = creature.hatchTime || save.savedAt || null;
+                    creature.care.careStreak = 1;
+                }
+            }
+            creature.care.dailyCare = {
+                ...clone(defaults.creature.care.dailyCare),
+                ...(creature.care.dailyCare || {})
+            };
+            if (!Array.isArray(creature.care.careHistory)) {
+                creature.care.careHistory = [];
+            }
+
+            save.creature = creature;
+            return save;
+        }
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'Give the hatched creature a roster id and store it in creatures[]',
+        migrate(save, { defaults }) {
+            const creature = isPlainObject(save.creature) ? save.creature : clone(defaults.creature);
+            const roster = Array.isArray(save.creatures) ? save.creatures.filter(isPlainObject) : [];
+
+            if (creature.hatched) {
+                // Reuse the genetics id so existing memory timelines stay attached
+                creature.id = creature.id || creature.genetics?.id || creature.dna?.id ||
+                    `crt-${(creature.hatchTime || save.savedAt || 0).toString(36)}-legacy`;
+                if (!roster.some(entry => entry.id === creature.id)) {
+                    roster.push(clone(creature));
+                }
+                save.activeCreatureId = creature.id;
+            } else {
+                creature.id = creature.id || null;
+                save.activeCreatureId = null;
+            }
+
+            save.creature = creature;
+            save.creatures = roster.filter(entry => typeof entry.id === 'string');
+            return save;
+        }
+    },
+    {
+        from: '1.2.0',
+        to: '1.3.0',
+        description: 'Add codex discovery entries and milestone claims',
+        migrate(save, { defaults }) {
+            // Entries are backfilled from the roster by CodexSystem on the next refresh
+            fillMissingSections(save, defaults, ['codex']);
+            return save;
+        }
+    },
+    {
+        from: '1.3.0',
+        to: '1.4.0',
+        description: 'Convert creature genes, DNA and genetics into the unified genome',
+        migrate(save) {
+            // Without Genome loaded, GameState.getCreatureGenome() converts on first use instead
+            const genomeSystem = typeof window !== 'undefined' ? window.Genome : null;
+            const convert = (record) => {
+                if (!record.genome && genomeSystem && record.hatched !== false) {
+                    record.genome = genomeSystem.fromCreature(record);
+                    // Old display genes ({ size, pattern, ... }) become Mendelian allele pairs
+                    record.genes = genomeSystem.getGenes(record.genome);
+                }
+                record.genome = record.genome || null;
+                return record;
+            };
+
+            const roster = Array.isArray(save.creatures) ? save.creatures.filter(isPlainObject) : [];
+            save.creatures = roster.map(convert);
+
+            if (isPlainObject(save.creature)) {
+                const rosterEntry = save.creature.id && save.creatures.find(entry => entry.id === save.creature.id);
+                if (rosterEntry && !save.creature.genome) {
+                    save.creature.genome = clone(rosterEntry.genome);
+                    save.creature.genes = clone(rosterEntry.genes);
+                } else if (save.creature.hatched) {
+                    convert(save.creature);
+                } else {
+                    save.creature.genome = save.creature.genome || null;
+                }
+            }
+            return save;
+        }
+    },
+    {
+        from: '1.4.0',
+        to: '1.5.0',
+        description: 'Add lineage records and the pedigree ancestor archive',
+        migrate(save, { defaults }) {
+            fillMissingSections(save, defaults, ['lineage']);
+
+            // Shrine offspring from 1.4.0 only kept `parentIds`; they become first-generation lineage
+            const convert = (record) => {
+                if (!isPlainObject(record.lineage) && Array.isArray(record.parentIds) && record.parentIds.length) {
+                    record.lineage = { parentIds: record.parentIds, generation: 1, traitOrigins: {}, mutations: [] };
+                }
+                delete record.parentIds;
+                return record;
+            };
+
+            save.creatures = (Array.isArray(save.creatures) ? save.creatures : []).map(convert);
+            if (isPlainObject(save.creature)) {
+                convert(save.creature);
+            }
+            return save;
+        }
+    },
+    {
+        from: '1.5.0',
+        to: '1.6.0',
+        description: 'Add the trade offer escrow and consumed-offer ledger',
+        migrate(save, { defaults }) {
+            // The save id is created on the first trade
+            fillMissingSections(save, defaults, ['trading']);
+            return save;
+        }
+    },
+    {
+        from: '1.6.0',
+        to: '1.7.0',
+        description: 'Store achievement unlocks per tier with timestamps and add achievement counters',
+        migrate(save, { defaults }) {
+            fillMissingSections(save, defaults, ['unlocks', 'achievementCounters']);
+
+            // Older builds kept `{ unlocked, unlockedAt }` under a top-level map and/or bare
+            // ids in unlocks.achievements; each becomes the bronze tier of the same id
+            const legacy = isPlainObject(save.achievements) ? save.achievements : {};
+            const unlocks = [];
+            const addUnlock = (id, tier, unlockedAt) => {
+                if (unlocks.some(entry => entry.id === id && entry.tier === tier)) return;
+                unlocks.push({ id, tier, unlockedAt: unlockedAt ?? legacy[id]?.unlockedAt ?? save.savedAt ?? null });
+            };
+
+            (Array.isArray(save.unlocks.achievements) ? save.unlocks.achievements : []).forEach(entry => {
+                if (typeof entry === 'string') {
+                    addUnlock(entry, 'bronze');
+                } else if (isPlainObject(entry) && typeof entry.id === 'string') {
+                    addUnlock(entry.id, entry.tier || 'bronze', entry.unlockedAt);
+                }
+            });
+            Object.entries(legacy).forEach(([id, record]) => {
+                if (record?.unlocked) addUnlock(id, 'bronze');
+            });
+
+            save.unlocks.achievements = unlocks;
+            delete save.achievements;
+            return save;
+        }
+    }
+];
+
+class SaveMigrator {
+    constructor(migrations = SAVE_MIGRATIONS) {
+        this.migrations = [...migrations].sort((a, b) => SaveMigrator.compareVersions(a.from, b.from));
+    }
+
+    /**
+     * Compare two semver strings (major.minor.patch)
+     * @returns {number} negative if a < b, 0 if equal, positive if a > b
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a || '0.0.0').split('.').map(part => parseInt(part, 10) || 0);
+        const partsB = String(b || '0.0.0').split('.').map(part => parseInt(part, 10) || 0);
+
+        for (let i = 0; i < 3; i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    static getMajor(version) {
+        return parseInt(String(version || '1').split('.')[0], 10) || 1;
+    }
+
+    /**
+     * Resolve the ordered steps that take a save from one version to another
+     * Versions between registered steps (e.g. patch releases) join the next step.
+     * @returns {Array|null} Steps to run, or null when no path exists
+     */
+    getPath(fromVersion, toVersion) {
+        if (SaveMigrator.compareVersions(fromVersion, toVersion) > 0) {
+            return null; // Save is from a newer game build
+        }
+
+        const path = [];
+        let current = fromVersion;
+
+        while (SaveMigrator.compareVersions(current, toVersion) < 0) {
+            const step = this.migrations.find(migration =>
+                SaveMigrator.compareVersions(migration.from, current) <= 0 &&
+                SaveMigrator.compareVersions(migration.to, current) > 0 &&
+                SaveMigrator.compareVersions(migration.to, toVersion) <= 0
+            );
+
+            if (!step) {
+                // No schema change registered: same-major saves load as-is
+                return SaveMigrator.getMajor(current) === SaveMigrator.getMajor(toVersion) ? path : null;
+            }
+
+            path.push(step);
+            current = step.to;
+        }
+
+        return path;
+    }
+
+    isMajorUpgrade(fromVersion, toVersion) {
+        return SaveMigrator.getMajor(fromVersion) !== SaveMigrator.getMajor(toVersion);
+    }
+
+    canMigrate(fromVersion, toVersion) {
+        return this.getPath(fromVersion, toVersion) !== null;
+    }
+
+    /**
+     * Run every step between two versions
+     * @param {object} saveData - Parsed save (not mutated)
+     * @param {string} fromVersion - Version stamped on the save
+     * @param {string} toVersion - Current game version
+     * @param {object} context - { defaults } fresh initial state for filling new fields
+     * @returns {{ data: object, steps: Array<string> }}
+     */
+    migrate(saveData, fromVersion, toVersion, context = {}) {
+        const path = this.getPath(fromVersion, toVersion);
+        if (!path) {
+            throw new Error(`No migration path from save version ${fromVersion} to ${toVersion}`);
+        }
+
+        let data = clone(saveData);
+        const steps = [];
+
+        path.forEach(step => {
+            const result = step.migrate(data, { defaults: clone(context.defaults || {}) });
+            if (!isPlainObject(result)) {
+                throw new Error(`Migration ${step.from} → ${step.to} did not return a state object`);
+            }
+
+            data = result;
+            data.version = step.to;
+            steps.push(`${step.from} → ${step.to}`);
+        });
+
+        data.version = toVersion;
+        return { data, steps };
+    }
+
+    /**
+     * Compare a migrated tree with the createInitialState() shape
+     * Reports missing keys and type mismatches; `null` defaults accept any value.
+     * @returns {Array<string>} Issue descriptions (empty when the shape matches)
+     */
+    validateShape(data, template, path = '') {
+        const issues = [];
+
+        Object.keys(template).forEach(key => {
+            const keyPath = path ? `${path}.${key}` : key;
+            const expected = template[key];
+
+            if (!data || !(key in data)) {
+                issues.push(`missing ${keyPath}`);
+                return;
+            }
+
+            const actual = data[key];
+            if (expected === null || actual === null) {
+                return;
+            }
+
+            if (Array.isArray(expected)) {
+                if (!Array.isArray(actual)) issues.push(`${keyPath} should be an array`);
+                return;
+            }
+
+            if (isPlainObject(expected)) {
+                if (!isPlainObject(actual)) {
+                    issues.push(`${keyPath} should be an object`);
+                    return;
+                }
+                // Keyed maps (e.g. memory.creatures) start empty; nothing to compare
+                if (Object.keys(expected).length > 0) {
+                    issues.push(...this.validateShape(actual, expected, keyPath));
+                }
+                return;
+            }
+
+            if (typeof actual !== typeof expected) {
+                issues.push(`${keyPath} should be a ${typeof expected}`);
+            }
+        });
+
+        return issues;
+    }
+}
+
+SaveMigrator.SAVE_MIGRATIONS = SAVE_MIGRATIONS;
+
+// Singleton wiring
+if (typeof window !== 'undefined') {
+    window.SaveMigrator = window.SaveMigrator || new SaveMigrator();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveMigrator;
+}
@@ -0,0 +1,464 @@
+/**
+ * SaveStorage - Pluggable persistence layer for GameState
+ * Tries IndexedDB first, then localStorage, then an in-memory store.
+ *
+ * GameState keeps a synchronous API, so async backends (IndexedDB) are
+ * hydrated into a write-through cache by prepare() and persisted in the
+ * background. Synchronous backends (localStorage, memory) are used directly.
+ */
+
+const SAVE_KEY_PREFIX = 'mythical-creature-';
+const APPROXIMATE_LOCAL_QUOTA = 5 * 1024 * 1024; // Most browsers allow 5-10MB for localStorage
+
+/**
+ * `savedAt` of a stored save, or null for entries that aren't timestamped saves
+ */
+function readSavedAt(value) {
+    try {
+        const savedAt = JSON.parse(value)?.savedAt;
+        return typeof savedAt === 'number' ? savedAt : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isQuotaError(error) {
+    return !!error && (
+        error.name === 'QuotaExceededError' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+/**
+ * Volatile store used when nothing else works (private mode, storage disabled)
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.synchronous = true;
+        this.entries = new Map();
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    readSync(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    writeSync(key, value) {
+        this.entries.set(key, value);
+    }
+
+    removeSync(key) {
+        this.entries.delete(key);
+    }
+
+    keysSync(prefix = '') {
+        return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix));
+    }
+}
+
+/**
+ * Thin wrapper around window.localStorage
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+        this.synchronous = true;
+    }
+
+    isAvailable() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    readSync(key) {
+        return localStorage.getItem(key);
+    }
+
+    writeSync(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    removeSync(key) {
+        localStorage.removeItem(key);
+    }
+
+    keysSync(prefix = '') {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+}
+
+/**
+ * IndexedDB key/value store - one object store, save strings keyed like localStorage
+ */
+class IndexedDBAdapter {
+    constructor(options = {}) {
+        this.name = 'indexedDB';
+        this.synchronous = false;
+        this.dbName = options.dbName || 'mythical-void';
+        this.storeName = options.storeName || 'saves';
+        this.version = options.version || 1;
+        this.db = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+        });
+    }
+
+    readAll(prefix = '') {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const transaction = this.db.transaction(this.storeName, 'readonly');
+            const request = transaction.objectStore(this.storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                if (typeof cursor.key === 'string' && cursor.key.startsWith(prefix)) {
+                    entries.push([cursor.key, cursor.value]);
+                }
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(entries);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    write(key, value) {
+        return this.runWrite(store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this.runWrite(store => store.delete(key));
+    }
+
+    runWrite(operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+class SaveStorage {
+    /**
+     * @param {Array} adapters - Backends in order of preference
+     * @param {object} options - { keyPrefix }
+     */
+    constructor(adapters = null, options = {}) {
+        this.keyPrefix = options.keyPrefix || SAVE_KEY_PREFIX;
+        this.adapters = adapters || [new IndexedDBAdapter(), new LocalStorageAdapter(), new MemoryStorageAdapter()];
+        this.cache = new Map();
+        this.pendingWrites = new Set();
+        this.adapter = null;
+        this.preparePromise = null;
+        this.onModeChange = null;
+
+        // Synchronous backend is usable immediately; prepare() may upgrade to IndexedDB
+        this.bootstrapAdapter = this.adapters.find(adapter => adapter.synchronous && adapter.isAvailable()) || null;
+        this.adapter = this.bootstrapAdapter;
+    }
+
+    get mode() {
+        return this.adapter ? this.adapter.name : 'memory';
+    }
+
+    get persistent() {
+        return !!this.adapter && this.adapter.name !== 'memory';
+    }
+
+    /**
+     * Open the preferred backend, hydrate the cache and migrate legacy saves
+     * @returns {Promise<string>} Active storage mode
+     */
+    prepare() {
+        if (!this.preparePromise) {
+            this.preparePromise = this.openPreferredAdapter();
+        }
+        return this.preparePromise;
+    }
+
+    async openPreferredAdapter() {
+        for (const adapter of this.adapters) {
+            if (adapter === this.bootstrapAdapter || adapter.synchronous) {
+                // Reached a synchronous backend: it is already active (or the next fallback)
+                if (adapter.isAvailable()) {
+                    this.activate(adapter);
+                    return this.mode;
+                }
+                continue;
+            }
+
+            if (!adapter.isAvailable()) continue;
+
+            try {
+                await adapter.open();
+                const stored = new Map(await adapter.readAll(this.keyPrefix));
+                const migratedKeys = await this.migrateLegacyEntries(adapter, stored);
+
+                this.cache = stored;
+                this.activate(adapter);
+
+                if (migratedKeys.length > 0) {
+                    console.log(`[SaveStorage] Migrated ${migratedKeys.length} save entries from ${this.bootstrapAdapter.name} to ${adapter.name}`);
+                }
+                this.clearBootstrapCopies(migratedKeys);
+                this.requestPersistence();
+
+                return this.mode;
+            } catch (error) {
+                console.warn(`[SaveStorage] ${adapter.name} unavailable, trying next backend:`, error);
+            }
+        }
+
+        this.activate(this.adapters.find(adapter => adapter.name === 'memory') || new MemoryStorageAdapter());
+        return this.mode;
+    }
+
+    /**
+     * Copy saves written by the bootstrap backend into the new backend
+     * When both have an entry, the newer `savedAt` wins: a session that fell back to
+     * localStorage after an IndexedDB failure leaves its progress in localStorage only.
+     * Entries without a timestamp (like a slot index from before it was stamped) follow
+     * the saves: they're copied over when any bootstrap save replaced an older one.
+     * @returns {Promise<Array<string>>} Keys copied over
+     */
+    async migrateLegacyEntries(adapter, stored) {
+        if (!this.bootstrapAdapter || this.bootstrapAdapter === adapter) return [];
+
+        const legacyEntries = this.bootstrapAdapter.keysSync(this.keyPrefix)
+            .map(key => [key, this.bootstrapAdapter.readSync(key)])
+            .filter(([, value]) => value !== null);
+        const isNewer = (key, value) => {
+            const legacySavedAt = readSavedAt(value);
+            const storedSavedAt = readSavedAt(stored.get(key));
+            return legacySavedAt !== null && storedSavedAt !== null && legacySavedAt > storedSavedAt;
+        };
+        const legacySessionNewer = legacyEntries.some(([key, value]) => stored.has(key) && isNewer(key, value));
+
+        const migratedKeys = [];
+        for (const [key, value] of legacyEntries) {
+            if (stored.has(key)) {
+                const timestamped = readSavedAt(value) !== null && readSavedAt(stored.get(key)) !== null;
+                if (timestamped ? !isNewer(key, value) : !legacySessionNewer) continue;
+            }
+
+            await adapter.write(key, value);
+            stored.set(key, value);
+            migratedKeys.push(key);
+        }
+        return migratedKeys;
+    }
+
+    /**
+     * Remove the bootstrap copies that now live in the new backend; copies that lost
+     * to a newer entry stay where they are
+     */
+    clearBootstrapCopies(migratedKeys = []) {
+        if (!this.bootstrapAdapter || this.bootstrapAdapter === this.adapter) return;
+
+        try {
+            migratedKeys.forEach(key => this.bootstrapAdapter.removeSync(key));
+        } catch (error) {
+            console.warn('[SaveStorage] Could not clear migrated entries:', error);
+        }
+    }
+
+    requestPersistence() {
+        if (typeof navigator === 'undefined' || !navigator.storage?.persist) return;
+
+        navigator.storage.persist().catch(() => {
+            // Best effort - browsers may refuse without user engagement
+        });
+    }
+
+    activate(adapter) {
+        const previousMode = this.mode;
+        this.adapter = adapter;
+
+        if (previousMode !== this.mode) {
+            console.log(`[SaveStorage] Storage backend: ${previousMode} → ${this.mode}`);
+        }
+    }
+
+    getItem(key) {
+        if (!this.adapter) return null;
+        if (this.adapter.synchronous) return this.adapter.readSync(key);
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    /**
+     * Store a value. Synchronous backends throw quota errors straight to the caller;
+     * async backend failures demote storage to the next backend in the chain.
+     */
+    setItem(key, value) {
+        if (!this.adapter) return;
+
+        if (this.adapter.synchronous) {
+            this.adapter.writeSync(key, value);
+            return;
+        }
+
+        this.cache.set(key, value);
+        this.track(this.adapter.write(key, value));
+    }
+
+    removeItem(key) {
+        if (!this.adapter) return;
+
+        if (this.adapter.synchronous) {
+            this.adapter.removeSync(key);
+            return;
+        }
+
+        this.cache.delete(key);
+        this.track(this.adapter.remove(key));
+    }
+
+    keys(prefix = this.keyPrefix) {
+        if (!this.adapter) return [];
+        if (this.adapter.synchronous) return this.adapter.keysSync(prefix);
+        return Array.from(this.cache.keys()).filter(key => key.startsWith(prefix));
+    }
+
+    track(promise) {
+        const failedAdapter = this.adapter;
+        const tracked = promise
+            .catch(error => this.handleWriteFailure(failedAdapter, error))
+            .finally(() => this.pendingWrites.delete(tracked));
+        this.pendingWrites.add(tracked);
+    }
+
+    /**
+     * Wait for background writes to finish
+     */
+    flush() {
+        return Promise.all(Array.from(this.pendingWrites));
+    }
+
+    /**
+     * Move the cached saves onto the next backend that accepts them
+     */
+    handleWriteFailure(failedAdapter, error) {
+        if (this.adapter !== failedAdapter) return;
+
+        console.error(`[SaveStorage] ${failedAdapter.name} write failed:`, error);
+
+        const startIndex = this.adapters.indexOf(failedAdapter) + 1;
+        for (const adapter of this.adapters.slice(startIndex)) {
+            if (!adapter.synchronous || !adapter.isAvailable()) continue;
+
+            try {
+                this.cache.forEach((value, key) => adapter.writeSync(key, value));
+                this.activate(adapter);
+                break;
+            } catch (fallbackError) {
+                console.warn(`[SaveStorage] ${adapter.name} could not take over:`, fallbackError);
+            }
+        }
+
+        if (this.adapter === failedAdapter) {
+            const memory = new MemoryStorageAdapter();
+            this.cache.forEach((value, key) => memory.writeSync(key, value));
+            this.activate(memory);
+        }
+
+        if (typeof this.onModeChange === 'function') {
+            this.onModeChange(this.mode, { error, quotaExceeded: isQuotaError(error), from: failedAdapter.name });
+        }
+    }
+
+    /**
+     * Report storage usage, using navigator.storage.estimate() when the browser supports it
+     * @returns {Promise<object>} { used, quota, available, percentUsed, source, mode }
+     */
+    async estimate() {
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            try {
+                const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+                return {
+                    used: usage,
+                    quota,
+                    available: Math.max(0, quota - usage),
+                    percentUsed: quota > 0 ? (usage / quota) * 100 : 0,
+                    source: 'navigator.storage',
+                    mode: this.mode
+                };
+            } catch (error) {
+                console.warn('[SaveStorage] navigator.storage.estimate() failed:', error);
+            }
+        }
+
+        // Approximate: count characters in our own keys
+        let used = 0;
+        this.keys().forEach(key => {
+            used += key.length + (this.getItem(key) || '').length;
+        });
+
+        return {
+            used,
+            quota: APPROXIMATE_LOCAL_QUOTA,
+            available: APPROXIMATE_LOCAL_QUOTA - used,
+            percentUsed: (used / APPROXIMATE_LOCAL_QUOTA) * 100,
+            source: 'approximate',
+            mode: this.mode
+        };
+    }
+}
+
+SaveStorage.MemoryStorageAdapter = MemoryStorageAdapter;
+SaveStorage.LocalStorageAdapter = LocalStorageAdapter;
+SaveStorage.IndexedDBAdapter = IndexedDBAdapter;
+SaveStorage.isQuotaError = isQuotaError;
+
+// Singleton wiring
+if (typeof window !== 'undefined') {
+    window.SaveStorage = window.SaveStorage || new SaveStorage();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveStorage;
+}
@@ -0,0 +1,266 @@
+/**
+ * SaveTransfer - Portable save files for moving a creature between devices
+ *
+ * File format (JSON):
+ * {
+ *   format: 'mythical-void-save', formatVersion: 2,
+ *   schemaVersion: '1.1.0',     // GameState version of `data`
+ *   exportedAt: 1731700000000,
+ *   checksum: '…',              // hash of the canonical JSON of { schemaVersion, data }
+ *   data: { …GameState tree without session… }
+ * }
+ * Format 1 files checksummed `data` alone; their schema version is read from `data.version`.
+ */
+
+const SAVE_FILE_FORMAT = 'mythical-void-save';
+const SAVE_FILE_FORMAT_VERSION = 2;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+// pickFile() result for files over MAX_IMPORT_BYTES (they are never read)
+const FILE_TOO_LARGE = Symbol('file too large');
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+class SaveTransfer {
+    /**
+     * JSON with object keys sorted so the checksum ignores key order
+     */
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => SaveTransfer.canonicalize(item)).join(',')}]`;
+        }
+        if (isPlainObject(value)) {
+            const entries = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${SaveTransfer.canonicalize(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * 53-bit string hash (cyrb53)
+     */
+    static hash53(text, seed = 0) {
+        let h1 = 0xdeadbeef ^ seed;
+        let h2 = 0x41c6ce57 ^ seed;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    }
+
+    /**
+     * Integrity checksum for save data (two seeded hashes, hex encoded)
+     */
+    static checksum(data) {
+        const text = SaveTransfer.canonicalize(data);
+        return [0, 0x9e3779b9]
+            .map(seed => SaveTransfer.hash53(text, seed).toString(16).padStart(14, '0'))
+            .join('');
+    }
+
+    /**
+     * Wrap a state tree in a checksummed export envelope
+     * @param {object} state - Full GameState tree
+     * @param {string} schemaVersion - GameState version of the tree
+     */
+    createEnvelope(state, schemaVersion) {
+        const data = JSON.parse(JSON.stringify(state));
+        delete data.session;
+        data.version = schemaVersion;
+
+        return {
+            format: SAVE_FILE_FORMAT,
+            formatVersion: SAVE_FILE_FORMAT_VERSION,
+            schemaVersion,
+            exportedAt: Date.now(),
+            checksum: SaveTransfer.checksum({ schemaVersion, data }),
+            data
+        };
+    }
+
+    /**
+     * Validate an import file and upgrade its data to the current schema
+     * @param {string} text - Raw file contents
+     * @param {object} options - { gameVersion, migrator, defaults }
+     * @returns {object} { ok: true, data, preview, steps } or { ok: false, reason, message }
+     */
+    parseImport(text, { gameVersion, migrator = null, defaults = null } = {}) {
+        const fail = (reason, message) => ({ ok: false, reason, message });
+
+        if (text === FILE_TOO_LARGE || (typeof text === 'string' && text.length > MAX_IMPORT_BYTES)) {
+            return fail('too_large', 'The file is too large to be a save.');
+        }
+        if (typeof text !== 'string' || text.trim() === '') {
+            return fail('malformed', 'The file is empty.');
+        }
+
+        let envelope;
+        try {
+            envelope = JSON.parse(text);
+        } catch (error) {
+            return fail('malformed', 'The file is not a valid save file.');
+        }
+
+        if (!isPlainObject(envelope) || envelope.format !== SAVE_FILE_FORMAT) {
+            return fail('not_a_save', 'This file is not a Mythical Void save.');
+        }
+        if (envelope.formatVersion !== 1 && envelope.formatVersion !== SAVE_FILE_FORMAT_VERSION) {
+            return fail('unsupported_version', 'This save file needs a newer version of the game.');
+        }
+        if (!isPlainObject(envelope.data) || typeof envelope.checksum !== 'string') {
+            return fail('malformed', 'The save file is missing its data.');
+        }
+
+        // The schema version picks the migration steps, so it must be covered by the checksum too
+        const legacyFormat = envelope.formatVersion === 1;
+        const schemaVersion = legacyFormat ? envelope.data.version || '1.0.0' : envelope.schemaVersion;
+        const expected = legacyFormat
+            ? SaveTransfer.checksum(envelope.data)
+            : SaveTransfer.checksum({ schemaVersion, data: envelope.data });
+        if (typeof schemaVersion !== 'string' || expected !== envelope.checksum) {
+            return fail('tampered', 'The save file was changed after it was exported.');
+        }
+
+        let data = envelope.data;
+        let steps = [];
+
+        if (migrator && gameVersion) {
+            if (!migrator.canMigrate(schemaVersion, gameVersion)) {
+                return fail('unsupported_version', `Saves from version ${schemaVersion} can't be loaded here.`);
+            }
+
+            try {
+                ({ data, steps } = migrator.migrate(envelope.data, schemaVersion, gameVersion, { defaults }));
+            } catch (error) {
+                return fail('malformed', 'The save file could not be upgraded.');
+            }
+
+            if (defaults) {
+                const template = { ...defaults };
+                delete template.session;
+                const issues = migrator.validateShape(data, template);
+                if (issues.length > 0) {
+                    return fail('malformed', `The save file is incomplete (${issues[0]}).`);
+                }
+            }
+        }
+
+        return {
+            ok: true,
+            data,
+            steps,
+            schemaVersion,
+            exportedAt: envelope.exportedAt || null,
+            preview: this.buildPreview(data, envelope.exportedAt)
+        };
+    }
+
+    /**
+     * Creature summary shown before an import overwrites the current slot
+     */
+    buildPreview(data, exportedAt = null) {
+        const creature = data.creature || {};
+        return {
+            creatureName: creature.hatched ? (creature.name || 'Your Creature') : null,
+            hatched: !!creature.hatched,
+            level: creature.level || 1,
+            rarity: creature.rarity || null,
+            colors: creature.colors || null,
+            playerName: data.player?.name || '',
+            cosmicCoins: data.player?.cosmicCoins || 0,
+            creatureCount: Array.isArray(data.creatures) ? data.creatures.length : 0,
+            exportedAt
+        };
+    }
+
+    buildFileName(envelope) {
+        const name = (envelope.data?.creature?.name || 'creature')
+            .toString()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '') || 'creature';
+        const date = new Date(envelope.exportedAt).toISOString().slice(0, 10);
+        return `mythical-void-${name}-${date}.json`;
+    }
+
+    /**
+     * Offer the envelope as a file download (browser only)
+     */
+    download(envelope, fileName = null) {
+        if (typeof document === 'undefined' || typeof Blob === 'undefined') {
+            console.warn('[SaveTransfer] Downloads are not supported here');
+            return false;
+        }
+
+        const blob = new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName || this.buildFileName(envelope);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        return true;
+    }
+
+    /**
+     * Open a file picker and resolve with the chosen file's text: null if cancelled, or
+     * SaveTransfer.FILE_TOO_LARGE for files over the import limit
+     */
+    pickFile(accept = 'application/json,.json') {
+        if (typeof document === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+            input.style.display = 'none';
+
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                input.remove();
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+                if (file.size > MAX_IMPORT_BYTES) {
+                    resolve(FILE_TOO_LARGE);
+                    return;
+                }
+                file.text().then(resolve, reject);
+            }, { once: true });
+
+            // Closing the picker without choosing fires `cancel` instead of `change`
+            input.addEventListener('cancel', () => {
+                input.remove();
+                resolve(null);
+            }, { once: true });
+
+            document.body.appendChild(input);
+            input.click();
+        });
+    }
+}
+
+SaveTransfer.SAVE_FILE_FORMAT = SAVE_FILE_FORMAT;
+SaveTransfer.SAVE_FILE_FORMAT_VERSION = SAVE_FILE_FORMAT_VERSION;
+SaveTransfer.FILE_TOO_LARGE = FILE_TOO_LARGE;
+
+// Singleton wiring
+if (typeof window !== 'undefined') {
+    window.SaveTransfer = window.SaveTransfer || new SaveTransfer();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveTransfer;
+}
@@ -0,0 +1,456 @@
+/**
+ * StateSchema - Declarative schema for the GameState tree with field-level repair
+ *
+ * Every node describes the expected type plus optional constraints:
+ *   number:  { min, max, integer }      string: { enum, minLength, maxLength }
+ *   array:   { items, maxLength, itemDefaults }   object: { fields }   map: { values }
+ * Shared flags: `nullable` (null allowed), `optional` (may be absent), `required` (never
+ * repaired from a default: the enclosing entry is invalid instead).
+ *
+ * Repairs: wrong types, NaN and unknown enum values fall back to the default from
+ * createInitialState(); numbers are clamped into range; over-long strings and
+ * arrays are trimmed; array entries that can't be repaired are dropped. Array entries
+ * fall back to the top-level section named by `itemDefaults` (roster creatures repair
+ * toward a fresh `creature`).
+ * Keys not listed in the schema are left untouched.
+ */
+
+const RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+// Sentinel for values with no usable default (array entries get dropped)
+const INVALID = Symbol('invalid');
+
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'number', integer: true, ...options });
+const string = (options = {}) => ({ type: 'string', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const array = (items = null, options = {}) => ({ type: 'array', items, ...options });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+const map = (values, options = {}) => ({ type: 'map', values, ...options });
+const any = (options = {}) => ({ type: 'any', ...options });
+
+const percent = (options = {}) => number({ min: 0, max: 100, ...options });
+const count = (options = {}) => integer({ min: 0, ...options });
+const timestamp = (options = {}) => number({ min: 0, nullable: true, ...options });
+const color = () => integer({ min: 0, max: 0xFFFFFF });
+
+const CREATURE_SCHEMA = object({
+    id: string({ nullable: true }),
+    hatched: boolean(),
+    hatchTime: timestamp(),
+    name: string({ maxLength: 40 }),
+    level: integer({ min: 1, max: 100 }),
+    experience: number({ min: 0 }),
+    xpSources: map(number({ min: 0 }), { optional: true }),
+    rarity: string({ enum: RARITIES, nullable: true, optional: true }),
+    stats: object({
+        happiness: percent(),
+        energy: percent(),
+        health: percent(),
+        hunger: percent({ optional: true }),
+        hygiene: percent({ optional: true })
+    }),
+    traits: array(),
+    genes: any({ nullable: true }),
+    genome: any({ nullable: true, optional: true }),
+    lineage: any({ nullable: true, optional: true }),
+    lifeStage: any({ nullable: true, optional: true }),
+    training: any({ nullable: true, optional: true }),
+    colors: object({
+        body: color(),
+        head: color(),
+        wings: color()
+    }),
+    care: object({
+        lastCareTime: timestamp(),
+        careStreak: count(),
+        careHistory: array(object({
+            // Any registered action id: care actions are data (config/care-actions.json)
+            action: string({ minLength: 1, maxLength: 40 }),
+            timestamp: number({ min: 0 })
+        }), { maxLength: 20 }),
+        dailyCare: object({
+            feedCount: count(),
+            playCount: count(),
+            restCount: count(),
+            lastReset: timestamp()
+        })
+    })
+});
+
+const STATE_SCHEMA = object({
+    version: string(),
+    savedAt: number({ min: 0 }),
+    player: object({
+        name: string({ maxLength: 40 }),
+        playTime: number({ min: 0 }),
+        gamesPlayed: count(),
+        lastPlayed: timestamp(),
+        cosmicCoins: count({ optional: true }),
+        stardust: count({ optional: true })
+    }),
+    creature: CREATURE_SCHEMA,
+    world: object({
+        currentPosition: object({ x: number(), y: number() }),
+        visitedAreas: array(),
+        discoveredObjects: map(count()),
+        interactionCount: count()
+    }),
+    settings: object({
+        volume: object({
+            master: number({ min: 0, max: 1 }),
+            music: number({ min: 0, max: 1 }),
+            sfx: number({ min: 0, max: 1 })
+        }),
+        graphics: object({
+            effects: boolean(),
+            particles: boolean(),
+            smoothMovement: boolean()
+        }),
+        controls: object({
+            moveSpeed: number({ min: 50, max: 600 })
+        }),
+        audioMuted: boolean({ optional: true })
+    }),
+    unlocks: object({
+        scenes: array(string()),
+        features: array(string()),
+        achievements: array(object({
+            id: string(),
+            tier: string(),
+            unlockedAt: timestamp()
+        })),
+        cosmetics: array(string(), { optional: true })
+    }),
+    breedingShrine: object({
+        unlocked: boolean(),
+        lastBreedingTime: timestamp(),
+        breedingCooldown: number({ min: 0 }),
+        breedingHistory: array()
+    }),
+    dailyBonus: object({
+        lastLoginDate: string({ nullable: true }),
+        currentStreak: count(),
+        longestStreak: count(),
+        totalLogins: count(),
+        claimedToday: boolean()
+    }),
+    pitySystem: object({
+        hatchesSinceEpic: count(),
+        guaranteedEpicNext: boolean(),
+        totalHatches: count(),
+        pitiesTriggered: count(),
+        lastHatchTime: timestamp(),
+        history: array()
+    }),
+    rerollSystem: object({
+        freeRerollsAvailable: count(),
+        totalRerolls: count(),
+        successfulRerolls: count(),
+        rerollHistory: array(),
+        lastRerollTime: timestamp()
+    }),
+    // Roster entries are full creature records; one without an id can't be addressed
+    creatures: array(object({
+        ...CREATURE_SCHEMA.fields,
+        id: string({ minLength: 1, required: true })
+    }), { itemDefaults: 'creature' }),
+    activeCreatureId: string({ nullable: true }),
+    codex: object({
+        discovered: count(),
+        total: count(),
+        byRarity: object(Object.fromEntries(RARITIES.map(rarity => [rarity, count()]))),
+        entries: map(object({
+            firstHatchedAt: number({ min: 0 }),
+            firstCreatureName: string({ nullable: true, optional: true }),
+            sampleDna: any({ nullable: true, optional: true })
+        })),
+        milestonesClaimed: array(count())
+    }),
+    lineage: object({
+        ancestors: map(object({
+            id: string(),
+            name: string({ maxLength: 40, optional: true }),
+            lineage: any({ optional: true })
+        }))
+    }),
+    trading: object({
+        saveId: string({ nullable: true }),
+        identity: object({
+            publicKey: object({ x: string({ minLength: 1 }), y: string({ minLength: 1 }) }),
+            privateKey: string({ minLength: 1 })
+        }, { nullable: true, optional: true }),
+        pendingOffers: map(object({
+            nonce: string(),
+            toTradeId: string(),
+            signature: string({ optional: true }),
+            creature: any(),
+            coins: count(),
+            createdAt: timestamp(),
+            expiresAt: timestamp({ optional: true })
+        })),
+        consumedOffers: map(object({
+            role: string({ enum: ['sent', 'received', 'declined', 'cancelled'] }),  // cancelled: older saves
+            completedAt: timestamp()
+        }))
+    }),
+    achievementCounters: map(number({ min: 0 })),
+    quests: object({
+        daily: object({ period: string({ nullable: true }), quests: array(object({ id: string(), progress: count(), completedAt: timestamp() })) }),
+        weekly: object({ period: string({ nullable: true }), quests: array(object({ id: string(), progress: count(), completedAt: timestamp() })) }),
+        story: map(object({ step: count(), progress: count() })),
+        completedCount: count()
+    }, { optional: true }),
+    shop: object({
+        day: string({ nullable: true }),
+        featured: array(string()),
+        wants: array(string(), { nullable: true, optional: true }),
+        sold: map(count()),
+        soldTotal: map(count())
+    }, { optional: true }),
+    economyLedger: object({
+        baseBalance: integer(),
+        startedAt: timestamp(),
+        entries: array(object({
+            time: timestamp(),
+            delta: integer(),
+            balance: integer(),
+            category: string(),
+            source: string(),
+            itemId: string({ nullable: true })
+        })),
+        totals: object({ earned: map(count()), spent: map(count()) })
+    }, { optional: true }),
+    memory: object({
+        optIn: boolean(),
+        lastOptInChange: timestamp(),
+        lastPurge: timestamp(),
+        deletionLog: array(),
+        creatures: map(any())
+    }),
+    safety: object({
+        kidProfile: object({
+            enabled: boolean(),
+            nickname: string({ maxLength: 24 }),
+            emojiAvatar: string({ maxLength: 16 }),
+            ageBracket: string(),
+            createdAt: timestamp()
+        }),
+        parentalControls: object({
+            enabled: boolean(),
+            requireChatApproval: boolean(),
+            allowMemoryTracking: boolean(),
+            allowExplorationWithoutGuardian: boolean(),
+            screenTimeLimitMinutes: count(),
+            lastUpdated: timestamp()
+        }),
+        guardian: object({
+            pinHash: string({ nullable: true }),
+            lastVerified: timestamp()
+        }),
+        auditLog: array()
+    }),
+    inventory: object({
+        items: array(object({
+            quantity: integer({ min: 1, optional: true })
+        }))
+    }, { optional: true }),
+    session: object({
+        sessionStart: number({ min: 0 }),
+        currentScene: string(),
+        debugMode: boolean(),
+        gameStarted: boolean()
+    })
+});
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function typeMatches(node, value) {
+    switch (node.type) {
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object':
+        case 'map': return isPlainObject(value);
+        default: return true;
+    }
+}
+
+class StateValidator {
+    constructor(schema = STATE_SCHEMA) {
+        this.schema = schema;
+        this.rootDefaults = {};  // Defaults of the tree being checked (for `itemDefaults`)
+    }
+
+    /**
+     * Check (and repair in place) a whole state tree
+     * @param {object} state - State tree to check; repaired in place
+     * @param {object} defaults - Fresh createInitialState() tree used for repairs
+     * @returns {Array<object>} Repairs made: { path, problem, from, to }
+     */
+    validate(state, defaults = {}) {
+        this.rootDefaults = defaults;
+        const repairs = [];
+        this.checkFields(state, this.schema.fields, defaults, '', repairs);
+        return repairs;
+    }
+
+    /**
+     * Check only the top-level section that contains a dot-notation path
+     * (used after set() in debug mode)
+     */
+    validatePath(state, path, defaults = {}) {
+        const section = String(path).split('.')[0];
+        const node = this.schema.fields[section];
+        if (!node || !isPlainObject(state)) return [];
+        this.rootDefaults = defaults;
+
+        const repairs = [];
+        this.checkFields(state, { [section]: node }, defaults, '', repairs);
+        return repairs;
+    }
+
+    /**
+     * Walk declared fields of an object, replacing invalid values
+     * @returns {boolean} false when a required field had no usable default
+     */
+    checkFields(target, fields, defaults, basePath, repairs) {
+        let intact = true;
+
+        Object.keys(fields).forEach(key => {
+            const path = basePath ? `${basePath}.${key}` : key;
+            const fallback = isPlainObject(defaults) ? defaults[key] : undefined;
+            const result = this.checkValue(fields[key], target[key], fallback, path, repairs);
+
+            if (result === INVALID) {
+                intact = false;
+                return;
+            }
+            if (result === undefined) {
+                if (key in target) delete target[key];
+                return;
+            }
+            target[key] = result;
+        });
+
+        return intact;
+    }
+
+    /**
+     * Check one value against its schema node
+     * @returns {*} Valid (possibly repaired) value, undefined to drop an optional key, or INVALID
+     */
+    checkValue(node, value, fallback, path, repairs) {
+        const repairTo = (problem) => {
+            if ((fallback === undefined || node.required) && !node.optional && !node.nullable) {
+                return INVALID;
+            }
+            const to = fallback === undefined ? (node.optional ? undefined : null) : clone(fallback);
+            repairs.push({ path, problem, from: value, to });
+            return to;
+        };
+
+        if (value === undefined) {
+            return node.optional ? undefined : repairTo('missing');
+        }
+        if (value === null) {
+            return node.nullable || node.type === 'any' ? null : repairTo('unexpected null');
+        }
+        if (!typeMatches(node, value)) {
+            return repairTo(`expected ${node.type}`);
+        }
+
+        switch (node.type) {
+            case 'number': return this.checkNumber(node, value, path, repairs);
+            case 'string': return this.checkString(node, value, repairTo, path, repairs);
+            case 'array': return this.checkArray(node, value, fallback, path, repairs);
+            case 'object':
+                return this.checkFields(value, node.fields, fallback, path, repairs) ? value : repairTo('invalid entry');
+            case 'map':
+                Object.keys(value).forEach(key => {
+                    const entry = this.checkValue(node.values, value[key], undefined, `${path}.${key}`, repairs);
+                    if (entry === INVALID || entry === undefined) {
+                        repairs.push({ path: `${path}.${key}`, problem: 'invalid entry removed', from: value[key], to: undefined });
+                        delete value[key];
+                    } else {
+                        value[key] = entry;
+                    }
+                });
+                return value;
+            default:
+                return value;
+        }
+    }
+
+    checkNumber(node, value, path, repairs) {
+        let repaired = node.integer ? Math.round(value) : value;
+        if (node.min !== undefined) repaired = Math.max(node.min, repaired);
+        if (node.max !== undefined) repaired = Math.min(node.max, repaired);
+
+        if (repaired !== value) {
+            const problem = node.integer && !Number.isInteger(value) ? 'not an integer' : 'out of range';
+            repairs.push({ path, problem, from: value, to: repaired });
+        }
+        return repaired;
+    }
+
+    checkString(node, value, repairTo, path, repairs) {
+        if (node.enum && !node.enum.includes(value)) {
+            return repairTo('unknown value');
+        }
+        if (node.minLength !== undefined && value.length < node.minLength) {
+            return repairTo('too short');
+        }
+        if (node.maxLength !== undefined && value.length > node.maxLength) {
+            const trimmed = value.slice(0, node.maxLength);
+            repairs.push({ path, problem: 'too long', from: value, to: trimmed });
+            return trimmed;
+        }
+        return value;
+    }
+
+    checkArray(node, value, fallback, path, repairs) {
+        let items = value;
+
+        if (node.items) {
+            const itemFallback = node.itemDefaults && isPlainObject(this.rootDefaults)
+                ? this.rootDefaults[node.itemDefaults]
+                : undefined;
+            // Defaults repair an entry field by field; they never stand in for a whole one
+            const itemNode = itemFallback === undefined ? node.items : { ...node.items, required: true };
+            items = [];
+            value.forEach((item, index) => {
+                const itemPath = `${path}.${index}`;
+                const checked = this.checkValue(itemNode, item, itemFallback, itemPath, repairs);
+                if (checked === INVALID || checked === undefined) {
+                    repairs.push({ path: itemPath, problem: 'invalid entry removed', from: item, to: undefined });
+                    return;
+                }
+                items.push(checked);
+            });
+        }
+
+        // Histories keep their newest entries
+        if (node.maxLength !== undefined && items.length > node.maxLength) {
+            repairs.push({ path, problem: 'too long', from: items.length, to: node.maxLength });
+            items = items.slice(items.length - node.maxLength);
+        }
+
+        return items;
+    }
+}
+
+StateValidator.STATE_SCHEMA = STATE_SCHEMA;
+StateValidator.RARITIES = RARITIES;
+StateValidator.types = { number, integer, string, boolean, array, object, map, any, percent, count, timestamp, color };
+
+// Singleton wiring
+if (typeof window !== 'undefined') {
+    window.StateValidator = window.StateValidator || new StateValidator();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateValidator;
+}
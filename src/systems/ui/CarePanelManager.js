@@ -81,20 +81,21 @@ class CarePanelManager {
 
     createCareButtons() {
         if (!this.careSystem) return;
-        const actions = this.careSystem.getAllCareActionsInfo();
+        const actions = Object.entries(this.careSystem.getAllCareActionsInfo()).filter(([, info]) => info);
         const startY = 120;
-        const spacing = 60;
+        // Registered actions share the panel height (panel ends at y=460)
+        const spacing = Math.min(60, Math.floor(320 / Math.max(1, actions.length)));
         let index = 0;
-        Object.entries(actions).forEach(([actionType, info]) => {
+        actions.forEach(([actionType, info]) => {
             const y = startY + index * spacing;
-            const button = this.createCareButton(200, y, 240, 50, info.icon || '✨', info.name || actionType, actionType);
+            const button = this.createCareButton(200, y, 240, spacing - 10, info.icon || '✨', info.name || actionType, actionType);
             this.careButtons[actionType] = button;
             index++;
         });
     }
 
     createCareButton(x, y, width, height, icon, label, actionType) {
-        const textureKey = 'careButtonTexture';
+        const textureKey = `careButtonTexture_${width}x${height}`;
         if (!this.scene.textures.exists(textureKey)) {
             const graphics = this.scene.make.graphics({ add: false });
             graphics.fillStyle(0x228B22, 0.9);
@@ -155,14 +156,17 @@ class CarePanelManager {
             const genetics = this.geneticsProvider ? this.geneticsProvider() : null;
             const result = await this.careSystem.performCareAction(actionType, genetics);
             if (result?.success) {
-                this.showCareEffect(actionType, result.happinessBonus);
+                const action = this.careSystem.getCareAction?.(result.action) || {};
+                this.showCareEffect(result.action, result.happinessBonus);
+                this.playActionFeedback(action);
                 this.updateButtons();
                 this.updateHint();
 
                 // INTEGRATION EXAMPLE: Get creature's response via CreatureAIController
                 if (window.CreatureAIController) {
                     try {
-                        const response = await window.CreatureAIController.respondToCareAction(actionType);
+                        const { trigger = result.action, emotion = null } = action.response || {};
+                        const response = await window.CreatureAIController.respondToCareAction(trigger, emotion);
                         this.showCreatureResponse(response);
                     } catch (error) {
                         console.warn('[CarePanelManager] AI response failed:', error);
@@ -223,6 +227,24 @@ class CarePanelManager {
         });
     }
 
+    /**
+     * Sound and FX declared by the care action config
+     */
+    playActionFeedback(action) {
+        if (action.sound) {
+            window.AudioManager?.playSound?.(action.sound);
+        }
+
+        if (action.fx?.type === 'stardustBurst' && window.FXLibrary) {
+            const player = this.playerProvider ? this.playerProvider() : null;
+            const colors = (action.fx.colors || []).map(color => parseInt(String(color).replace('#', ''), 16));
+            window.FXLibrary.stardustBurst(this.scene, player ? player.x : 400, player ? player.y : 300, {
+                count: action.fx.count || 8,
+                ...(colors.length > 0 ? { color: colors } : {})
+            });
+        }
+    }
+
     handleCareEvent(data) {
         if (!data) return;
         this.showCareEffect(data.action, data.happinessBonus);
@@ -278,6 +300,9 @@ class CarePanelManager {
     }
 
     getActionCopy(actionType) {
+        const configured = this.careSystem?.getCareAction?.(actionType)?.copy;
+        if (configured) return configured;
+
         const friendly = {
             feed: 'loved the tasty snack! 🍎',
             play: 'giggles after playtime! 🎲',
@@ -309,9 +334,10 @@ class CarePanelManager {
         }
         const status = this.careSystem.getCareStatus();
         if (!status) return;
-        const feedLeft = 3 - status.dailyCare.feedCount;
-        const playLeft = 2 - status.dailyCare.playCount;
-        this.hintText.setText(`TAB: open Care Corner • 🍎 Feed ${feedLeft} left • 🎮 Play ${playLeft} left • 😴 Rest anytime`);
+        const limited = Object.values(this.careSystem.getAllCareActionsInfo())
+            .filter(info => info && !info.isUnlimited)
+            .map(info => `${info.icon} ${info.name} ${info.remaining} left`);
+        this.hintText.setText(['TAB: open Care Corner', ...limited].join(' • '));
     }
 
     destroy() {
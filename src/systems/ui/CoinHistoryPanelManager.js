@@ -0,0 +1,176 @@
+/**
+ * CoinHistoryPanelManager - "Where did my coins go?" panel opened from the coin HUD.
+ * Shows the last week's earnings, what coins were spent on and the latest transactions
+ * from EconomyLedger, plus whether the balance still matches the ledger.
+ */
+class CoinHistoryPanelManager {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {object} options - { ledger }
+     */
+    constructor(scene, { ledger } = {}) {
+        this.scene = scene;
+        this.ledger = ledger;
+
+        this.panel = null;
+        this.panelVisible = false;
+    }
+
+    togglePanel() {
+        if (this.panelVisible) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.hidePanel();
+        if (!this.ledger) return;
+
+        const { width, height } = this.scene.scale;
+        const panelWidth = Math.min(width - 40, 360);
+        const panelHeight = Math.min(height - 40, 470);
+        const left = (width - panelWidth) / 2;
+        const top = Math.max(20, (height - panelHeight) / 2);
+        const innerLeft = left + 20;
+        const innerWidth = panelWidth - 40;
+
+        const panel = this.scene.add.container(0, 0);
+        panel.setScrollFactor(0);
+        panel.setDepth(2100);
+
+        const bg = this.scene.add.graphics();
+        bg.fillStyle(0x0b0a2a, 0.94);
+        bg.fillRoundedRect(left, top, panelWidth, panelHeight, 16);
+        bg.lineStyle(3, 0xFFD700, 0.8);
+        bg.strokeRoundedRect(left, top, panelWidth, panelHeight, 16);
+        panel.add(bg);
+
+        const title = this.scene.add.text(width / 2, top + 16, '🪙 Where did my coins go?', {
+            fontSize: '18px',
+            color: '#FFD700',
+            fontFamily: 'Poppins, Arial, sans-serif',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        panel.add(title);
+
+        const closeButton = this.scene.add.text(left + panelWidth - 20, top + 14, '✕', {
+            fontSize: '20px',
+            color: '#FF8A8A',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 0);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.hidePanel());
+        panel.add(closeButton);
+
+        let y = top + 52;
+
+        // Earned per day, as small bars
+        y = this.addHeading(panel, innerLeft, y, 'Earned this week');
+        const days = this.ledger.getEarnedPerDay(7);
+        const best = Math.max(1, ...days.map(day => day.total));
+        const barWidth = (innerWidth - 6 * 6) / 7;
+        const barMaxHeight = 44;
+        const bars = this.scene.add.graphics();
+        days.forEach((day, index) => {
+            const x = innerLeft + index * (barWidth + 6);
+            const barHeight = Math.max(2, Math.round((day.total / best) * barMaxHeight));
+            bars.fillStyle(0x00CED1, day.total > 0 ? 0.85 : 0.25);
+            bars.fillRect(x, y + barMaxHeight - barHeight, barWidth, barHeight);
+
+            const label = this.scene.add.text(x + barWidth / 2, y + barMaxHeight + 2, this.formatWeekday(day.day), {
+                fontSize: '10px',
+                color: '#B39DDB',
+                fontFamily: 'Arial, sans-serif'
+            }).setOrigin(0.5, 0);
+            panel.add(label);
+        });
+        panel.add(bars);
+        y += barMaxHeight + 22;
+
+        // Spending by category
+        y = this.addHeading(panel, innerLeft, y, 'Spent on');
+        const spending = this.ledger.getSpendByCategory().slice(0, 4);
+        if (spending.length === 0) {
+            y = this.addLine(panel, innerLeft, y, 'Nothing yet', '#AAAAAA');
+        }
+        spending.forEach(({ category, amount }) => {
+            const { icon, label } = this.ledger.getCategoryInfo(category);
+            y = this.addLine(panel, innerLeft, y, `${icon} ${label}: ${amount.toLocaleString()}`, '#FFFFFF');
+        });
+        y += 8;
+
+        // Latest transactions
+        y = this.addHeading(panel, innerLeft, y, 'Latest');
+        const bottom = top + panelHeight - 40;
+        const recent = this.ledger.getEntries({ limit: Math.max(1, Math.floor((bottom - y) / 18)) });
+        if (recent.length === 0) {
+            this.addLine(panel, innerLeft, y, 'No coins have moved yet', '#AAAAAA');
+        }
+        recent.forEach(entry => {
+            const { icon, label } = this.ledger.getCategoryInfo(entry.category);
+            const amount = entry.delta > 0 ? `+${entry.delta}` : `${entry.delta}`;
+            const item = entry.itemId ? ` · ${entry.itemId.replace(/_/g, ' ')}` : '';
+            y = this.addLine(panel, innerLeft, y, `${amount}  ${icon} ${label}${item}`, entry.delta > 0 ? '#7CFC00' : '#FF8A8A');
+        });
+
+        // Ledger replay against the stored balance
+        const audit = this.ledger.audit();
+        const auditText = audit.ok
+            ? '✅ Every coin is accounted for'
+            : `⚠️ Balance is off by ${audit.difference > 0 ? '+' : ''}${audit.difference} from the ledger`;
+        const footer = this.scene.add.text(width / 2, top + panelHeight - 28, auditText, {
+            fontSize: '12px',
+            color: audit.ok ? '#B39DDB' : '#FFB74D',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 0);
+        panel.add(footer);
+
+        this.panel = panel;
+        this.panelVisible = true;
+    }
+
+    addHeading(panel, x, y, text) {
+        const heading = this.scene.add.text(x, y, text, {
+            fontSize: '13px',
+            color: '#FFD700',
+            fontFamily: 'Arial, sans-serif',
+            fontStyle: 'bold'
+        });
+        panel.add(heading);
+        return y + 20;
+    }
+
+    addLine(panel, x, y, text, color) {
+        const line = this.scene.add.text(x, y, text, {
+            fontSize: '12px',
+            color,
+            fontFamily: 'Arial, sans-serif'
+        });
+        panel.add(line);
+        return y + 18;
+    }
+
+    /**
+     * "2026-10-19" -> "Mon"
+     */
+    formatWeekday(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short' });
+    }
+
+    hidePanel() {
+        if (this.panel) {
+            this.panel.destroy(true);
+            this.panel = null;
+        }
+        this.panelVisible = false;
+    }
+
+    destroy() {
+        this.hidePanel();
+    }
+}
+
+export default CoinHistoryPanelManager;
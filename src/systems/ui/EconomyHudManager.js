@@ -6,13 +6,16 @@ import Phaser from 'phaser';
  *  - Create/destroy the HUD visuals.
  *  - Listen to EconomyManager events and animate balance changes.
  *  - Provide floating coin feedback near the player when coins are earned.
+ *  - Show the Stardust balance in a second row under the coins.
+ *  - Open the coin history panel when the HUD is tapped (`onOpenHistory`).
  */
 
 export default class EconomyHudManager {
-    constructor(scene, { economyManager, playerProvider } = {}) {
+    constructor(scene, { economyManager, playerProvider, onOpenHistory } = {}) {
         this.scene = scene;
         this.economyManager = economyManager;
         this.playerProvider = playerProvider;
+        this.onOpenHistory = onOpenHistory;
 
         this.currencyBgImage = null;
         this.currencyIcon = null;
@@ -21,9 +24,13 @@ export default class EconomyHudManager {
         this.balanceAnimationTimer = null;
         this.currentDisplayedBalance = 0;
 
+        this.stardustBgImage = null;
+        this.stardustText = null;
+
         this.handleCoinsAddedBound = null;
         this.handleCoinsSpentBound = null;
         this.handleCoinsInsufficientBound = null;
+        this.handleStardustChangedBound = null;
     }
 
     init() {
@@ -35,6 +42,13 @@ export default class EconomyHudManager {
         this.currencyBgImage.setOrigin(0, 0);
         this.currencyBgImage.setScrollFactor(0);
         this.currencyBgImage.setDepth(1000);
+        if (typeof this.onOpenHistory === 'function') {
+            this.currencyBgImage.setInteractive({ useHandCursor: true });
+            this.currencyBgImage.on('pointerdown', () => {
+                window.AudioManager?.playButtonClick?.();
+                this.onOpenHistory();
+            });
+        }
 
         this.currencyIcon = this.scene.add.image(hudX - 120, hudY + 8, 'cosmicCoin');
         this.currencyIcon.setScale(0.75);
@@ -67,6 +81,28 @@ export default class EconomyHudManager {
         this.currencyText.setScrollFactor(0);
         this.currencyText.setDepth(1001);
 
+        this.stardustBgImage = this.scene.add.image(hudX - 140, hudY + 28, bgTexture);
+        this.stardustBgImage.setOrigin(0, 0);
+        this.stardustBgImage.setScrollFactor(0);
+        this.stardustBgImage.setDepth(1000);
+
+        this.stardustText = this.scene.add.text(
+            hudX - 128,
+            hudY + 44,
+            this.formatStardustText(this.economyManager?.getStardust?.() || 0),
+            {
+                fontSize: '15px',
+                fontFamily: 'Arial, sans-serif',
+                color: '#E1BEE7',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 3
+            }
+        );
+        this.stardustText.setOrigin(0, 0.5);
+        this.stardustText.setScrollFactor(0);
+        this.stardustText.setDepth(1001);
+
         if (this.economyManager) {
             this.handleCoinsAddedBound = this.handleCoinsAddedBound || ((data) => this.handleCoinsAdded(data));
             this.handleCoinsSpentBound = this.handleCoinsSpentBound || ((data) => this.handleCoinsSpent(data));
@@ -75,6 +111,11 @@ export default class EconomyHudManager {
             this.economyManager.on('coins:added', this.handleCoinsAddedBound);
             this.economyManager.on('coins:spent', this.handleCoinsSpentBound);
             this.economyManager.on('coins:insufficient', this.handleCoinsInsufficientBound);
+
+            this.handleStardustChangedBound = this.handleStardustChangedBound || ((data) => this.handleStardustChanged(data));
+            this.economyManager.on('stardust:added', this.handleStardustChangedBound);
+            this.economyManager.on('stardust:spent', this.handleStardustChangedBound);
+            this.economyManager.on('stardust:reset', this.handleStardustChangedBound);
         }
     }
 
@@ -170,6 +211,19 @@ export default class EconomyHudManager {
         });
     }
 
+    handleStardustChanged(data) {
+        this.stardustText.setText(this.formatStardustText(data.newBalance));
+
+        this.scene.tweens.add({
+            targets: this.stardustText,
+            scaleX: 1.2,
+            scaleY: 1.2,
+            duration: 200,
+            ease: 'Back.easeOut',
+            yoyo: true
+        });
+    }
+
     animateCurrencyChange(oldBalance, newBalance) {
         if (this.balanceAnimationTimer) {
             this.balanceAnimationTimer.remove();
@@ -259,16 +313,24 @@ export default class EconomyHudManager {
         return Math.floor(amount).toLocaleString();
     }
 
+    formatStardustText(amount) {
+        return `💫 ${Math.floor(amount).toLocaleString()}`;
+    }
+
     destroy() {
         if (this.economyManager) {
             this.economyManager.off('coins:added', this.handleCoinsAddedBound);
             this.economyManager.off('coins:spent', this.handleCoinsSpentBound);
             this.economyManager.off('coins:insufficient', this.handleCoinsInsufficientBound);
+            this.economyManager.off('stardust:added', this.handleStardustChangedBound);
+            this.economyManager.off('stardust:spent', this.handleStardustChangedBound);
+            this.economyManager.off('stardust:reset', this.handleStardustChangedBound);
         }
 
         this.handleCoinsAddedBound = null;
         this.handleCoinsSpentBound = null;
         this.handleCoinsInsufficientBound = null;
+        this.handleStardustChangedBound = null;
 
         this.balanceAnimationTimer?.remove();
         this.balanceAnimationTimer = null;
@@ -282,9 +344,13 @@ export default class EconomyHudManager {
         this.currencyBgImage?.destroy();
         this.currencyIcon?.destroy();
         this.currencyText?.destroy();
+        this.stardustBgImage?.destroy();
+        this.stardustText?.destroy();
 
         this.currencyBgImage = null;
         this.currencyIcon = null;
         this.currencyText = null;
+        this.stardustBgImage = null;
+        this.stardustText = null;
     }
 }
@@ -0,0 +1,216 @@
+/**
+ * QuestLogPanelManager - Quest log with daily, weekly and story quests.
+ * Rows show the quest icon, title, description, a progress bar and the reward; data comes
+ * from QuestSystem.getQuestLog(). The toggle button counts unfinished quests and the panel
+ * refreshes itself while open as objectives advance.
+ */
+class QuestLogPanelManager {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {object} options - { questSystem }
+     */
+    constructor(scene, { questSystem } = {}) {
+        this.scene = scene;
+        this.questSystem = questSystem;
+
+        this.panel = null;
+        this.panelVisible = false;
+        this.toggleButton = null;
+    }
+
+    init() {
+        if (this.toggleButton || !this.questSystem) return;
+
+        this.toggleButton = this.scene.add.text(120, 42, '📜 Quests', {
+            fontSize: '12px',
+            color: '#FFFFFF',
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            padding: { x: 8, y: 4 }
+        });
+        this.toggleButton.setScrollFactor(0);
+        this.toggleButton.setDepth(1000);
+        this.toggleButton.setInteractive({ useHandCursor: true });
+        this.toggleButton.on('pointerdown', () => {
+            window.AudioManager?.playButtonClick?.();
+            this.togglePanel();
+        });
+        this.updateButton();
+    }
+
+    updateButton() {
+        if (!this.toggleButton) return;
+        const open = this.questSystem.getOpenQuestCount();
+        this.toggleButton.setText(open > 0 ? `📜 Quests (${open})` : '📜 Quests ✓');
+    }
+
+    /**
+     * Re-render after progress so the open panel stays current
+     */
+    refresh() {
+        this.updateButton();
+        if (this.panelVisible) {
+            this.showPanel();
+        }
+    }
+
+    togglePanel() {
+        if (this.panelVisible) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.hidePanel();
+
+        const { width, height } = this.scene.scale;
+        const sections = this.questSystem.getQuestLog().filter(section => section.quests.length > 0);
+        const rowHeight = 58;
+        const headerHeight = 26;
+        const panelWidth = Math.min(width - 40, 420);
+        const contentHeight = sections.reduce((sum, section) => sum + headerHeight + section.quests.length * rowHeight, 0);
+        const panelHeight = Math.min(height - 40, 70 + contentHeight + 10);
+        const left = (width - panelWidth) / 2;
+        const top = Math.max(20, (height - panelHeight) / 2);
+
+        const panel = this.scene.add.container(0, 0);
+        panel.setScrollFactor(0);
+        panel.setDepth(2100);
+
+        const bg = this.scene.add.graphics();
+        bg.fillStyle(0x0b0a2a, 0.92);
+        bg.fillRoundedRect(left, top, panelWidth, panelHeight, 16);
+        bg.lineStyle(3, 0xFFD700, 0.8);
+        bg.strokeRoundedRect(left, top, panelWidth, panelHeight, 16);
+        panel.add(bg);
+
+        const title = this.scene.add.text(width / 2, top + 18, '📜 Quest Log', {
+            fontSize: '18px',
+            color: '#FFD700',
+            fontFamily: 'Poppins, Arial, sans-serif',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        panel.add(title);
+
+        const closeButton = this.scene.add.text(left + panelWidth - 20, top + 16, '✕', {
+            fontSize: '20px',
+            color: '#FF8A8A',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 0);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.hidePanel());
+        panel.add(closeButton);
+
+        let y = top + 56;
+        const bottom = top + panelHeight - 10;
+        sections.forEach(section => {
+            if (y + headerHeight + rowHeight > bottom) return;
+
+            const resets = section.endsAt ? ` · new in ${this.formatTimeLeft(section.endsAt - Date.now())}` : '';
+            const header = this.scene.add.text(left + 14, y, `${section.title}${resets}`, {
+                fontSize: '13px',
+                color: '#B39DDB',
+                fontFamily: 'Arial, sans-serif',
+                fontStyle: 'bold'
+            });
+            panel.add(header);
+            y += headerHeight;
+
+            section.quests.forEach(quest => {
+                if (y + rowHeight > bottom) return;
+                panel.add(this.createRow(quest, left + 12, y, panelWidth - 24, rowHeight - 6));
+                y += rowHeight;
+            });
+        });
+
+        this.panel = panel;
+        this.panelVisible = true;
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.announce('Quest log open. Finish quests to earn coins and treats.');
+        }
+    }
+
+    createRow(quest, x, y, rowWidth, rowHeight) {
+        const elements = [];
+
+        const rowBg = this.scene.add.graphics();
+        rowBg.fillStyle(quest.completed ? 0x2E7D32 : 0xFFFFFF, quest.completed ? 0.45 : 0.08);
+        rowBg.fillRoundedRect(x, y, rowWidth, rowHeight, 10);
+        elements.push(rowBg);
+
+        const icon = this.scene.add.text(x + 22, y + rowHeight / 2, quest.icon, { fontSize: '22px' }).setOrigin(0.5);
+        const name = this.scene.add.text(x + 44, y + 6, `${quest.completed ? '✅ ' : ''}${quest.title}`, {
+            fontSize: '14px',
+            color: '#FFFFFF',
+            fontFamily: 'Arial, sans-serif',
+            fontStyle: 'bold'
+        });
+        const detail = this.scene.add.text(x + 44, y + 25, quest.chainTitle ? `${quest.chainTitle}: ${quest.description}` : quest.description, {
+            fontSize: '11px',
+            color: '#D1C4E9',
+            fontFamily: 'Arial, sans-serif'
+        });
+        elements.push(icon, name, detail);
+
+        // Progress bar
+        const barWidth = rowWidth - 150;
+        const fraction = quest.target > 0 ? Math.min(1, quest.progress / quest.target) : 0;
+        const bar = this.scene.add.graphics();
+        bar.fillStyle(0x000000, 0.5);
+        bar.fillRoundedRect(x + 44, y + rowHeight - 12, barWidth, 6, 3);
+        bar.fillStyle(quest.completed ? 0x81C784 : 0xFFD54F, 1);
+        bar.fillRoundedRect(x + 44, y + rowHeight - 12, Math.max(6, barWidth * fraction), 6, 3);
+        elements.push(bar);
+
+        const count = this.scene.add.text(x + 52 + barWidth, y + rowHeight - 9, `${quest.progress}/${quest.target}`, {
+            fontSize: '11px',
+            color: '#FFFFFF',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0, 0.5);
+        elements.push(count);
+
+        const reward = this.scene.add.text(x + rowWidth - 10, y + 8, this.formatRewards(quest.rewards), {
+            fontSize: '11px',
+            color: '#FFD700',
+            align: 'right',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(1, 0);
+        elements.push(reward);
+
+        return elements;
+    }
+
+    formatRewards({ coins = 0, xp = 0, stardust = 0, items = [] } = {}) {
+        const parts = [];
+        if (coins > 0) parts.push(`🪙 ${coins}`);
+        if (stardust > 0) parts.push(`💫 ${stardust}`);
+        if (xp > 0) parts.push(`⭐ ${xp}`);
+        items.forEach(item => parts.push(`${item.icon || '🎁'}${item.quantity > 1 ? ` x${item.quantity}` : ''}`));
+        return parts.join('  ');
+    }
+
+    formatTimeLeft(ms) {
+        const hours = Math.max(0, Math.floor(ms / (60 * 60 * 1000)));
+        if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+        const minutes = Math.max(0, Math.floor(ms / (60 * 1000)) % 60);
+        return `${hours}h ${minutes}m`;
+    }
+
+    hidePanel() {
+        if (this.panel) {
+            this.panel.destroy(true);
+            this.panel = null;
+        }
+        this.panelVisible = false;
+    }
+
+    destroy() {
+        this.hidePanel();
+        this.toggleButton?.destroy();
+        this.toggleButton = null;
+    }
+}
+
+export default QuestLogPanelManager;
@@ -0,0 +1,248 @@
+const getGameState = () => window.GameState;
+
+/**
+ * RosterPanelManager - Lists every hatched creature and switches the active companion.
+ * Rows show a sprite thumbnail, name, level and rarity; tapping "Choose" calls
+ * GameState.setActiveCreature(), which the scene reacts to via activeCreatureChanged.
+ * The 🌳 button on a row opens that creature's family tree (onShowPedigree).
+ */
+class RosterPanelManager {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {object} options - { graphicsEngine, actions: [{ label, onSelect }] footer buttons,
+     *   onShowPedigree(creatureId) row button }
+     */
+    constructor(scene, { graphicsEngine, actions = [], onShowPedigree = null } = {}) {
+        this.scene = scene;
+        this.graphicsEngine = graphicsEngine;
+        this.actions = actions;
+        this.onShowPedigree = onShowPedigree;
+
+        this.panel = null;
+        this.panelVisible = false;
+        this.toggleButton = null;
+    }
+
+    init() {
+        if (this.toggleButton) return;
+
+        this.toggleButton = this.scene.add.text(120, 16, '🐾 Roster', {
+            fontSize: '12px',
+            color: '#FFFFFF',
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            padding: { x: 8, y: 4 }
+        });
+        this.toggleButton.setScrollFactor(0);
+        this.toggleButton.setDepth(1000);
+        this.toggleButton.setInteractive({ useHandCursor: true });
+        this.toggleButton.on('pointerdown', () => {
+            window.AudioManager?.playButtonClick?.();
+            this.togglePanel();
+        });
+        this.updateButton();
+    }
+
+    updateButton() {
+        const count = getGameState()?.getRoster?.().length || 0;
+        this.toggleButton?.setText(`🐾 Roster (${count})`);
+    }
+
+    togglePanel() {
+        if (this.panelVisible) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.hidePanel();
+
+        const gameState = getGameState();
+        if (!gameState?.getRoster) return;
+
+        const { width, height } = this.scene.scale;
+        const roster = gameState.getRoster();
+        const rowHeight = 64;
+        const panelWidth = Math.min(width - 40, 380);
+        const visibleRows = Math.max(1, Math.min(roster.length, Math.floor((height - 160) / rowHeight)));
+        const panelHeight = 90 + visibleRows * rowHeight + 20;
+        const left = (width - panelWidth) / 2;
+        const top = Math.max(20, (height - panelHeight) / 2);
+
+        const panel = this.scene.add.container(0, 0);
+        panel.setScrollFactor(0);
+        panel.setDepth(2100);
+
+        const bg = this.scene.add.graphics();
+        bg.fillStyle(0x0b0a2a, 0.92);
+        bg.fillRoundedRect(left, top, panelWidth, panelHeight, 16);
+        bg.lineStyle(3, 0xFFD700, 0.8);
+        bg.strokeRoundedRect(left, top, panelWidth, panelHeight, 16);
+        panel.add(bg);
+
+        const title = this.scene.add.text(width / 2, top + 18, `🐾 Your Creatures (${roster.length}/${gameState.maxRosterSize})`, {
+            fontSize: '18px',
+            color: '#FFD700',
+            fontFamily: 'Poppins, Arial, sans-serif',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        panel.add(title);
+
+        const closeButton = this.scene.add.text(left + panelWidth - 20, top + 16, '✕', {
+            fontSize: '20px',
+            color: '#FF8A8A',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 0);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.hidePanel());
+        panel.add(closeButton);
+
+        const actionWidth = (panelWidth - 24) / Math.max(1, this.actions.length);
+        this.actions.forEach((action, index) => {
+            const actionButton = this.scene.add.text(left + 12 + actionWidth * (index + 0.5), top + panelHeight - 38, action.label, {
+                fontSize: '13px',
+                color: '#FFFFFF',
+                backgroundColor: '#4A148C',
+                padding: { x: 8, y: 4 },
+                fontFamily: 'Arial, sans-serif'
+            }).setOrigin(0.5, 0);
+            actionButton.setInteractive({ useHandCursor: true });
+            actionButton.on('pointerdown', () => {
+                this.hidePanel();
+                action.onSelect();
+            });
+            panel.add(actionButton);
+        });
+
+        if (roster.length === 0) {
+            const empty = this.scene.add.text(width / 2, top + 80, 'Hatch an egg from your inventory\nto grow your family!', {
+                fontSize: '14px',
+                color: '#B39DDB',
+                align: 'center',
+                fontFamily: 'Arial, sans-serif'
+            }).setOrigin(0.5, 0);
+            panel.add(empty);
+        }
+
+        roster.slice(0, visibleRows).forEach((entry, index) => {
+            const rowY = top + 60 + index * rowHeight;
+            panel.add(this.createRow(entry, left + 12, rowY, panelWidth - 24, rowHeight - 8));
+        });
+
+        this.panel = panel;
+        this.panelVisible = true;
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.announce('Creature roster open. Choose who joins you on your adventure.');
+        }
+    }
+
+    createRow(entry, x, y, rowWidth, rowHeight) {
+        const elements = [];
+
+        const rowBg = this.scene.add.graphics();
+        rowBg.fillStyle(entry.active ? 0x4A148C : 0xFFFFFF, entry.active ? 0.7 : 0.08);
+        rowBg.fillRoundedRect(x, y, rowWidth, rowHeight, 10);
+        elements.push(rowBg);
+
+        const thumbnailKey = this.getThumbnailKey(entry.id);
+        if (thumbnailKey) {
+            const thumbnail = this.scene.add.image(x + 30, y + rowHeight / 2, thumbnailKey);
+            const scale = Math.min(44 / thumbnail.width, 44 / thumbnail.height);
+            thumbnail.setScale(scale);
+            elements.push(thumbnail);
+        }
+
+        const rarity = entry.rarity ? ` · ${entry.rarity}` : '';
+        const name = this.scene.add.text(x + 62, y + 10, `${entry.active ? '⭐ ' : ''}${entry.name}`, {
+            fontSize: '15px',
+            color: '#FFFFFF',
+            fontFamily: 'Arial, sans-serif',
+            fontStyle: 'bold'
+        });
+        const generation = entry.generation > 0 ? ` · Gen ${entry.generation}` : '';
+        const detail = this.scene.add.text(x + 62, y + 32, `Lv ${entry.level}${rarity}${generation}`, {
+            fontSize: '12px',
+            color: '#B39DDB',
+            fontFamily: 'Arial, sans-serif'
+        });
+        elements.push(name, detail);
+
+        if (this.onShowPedigree) {
+            const pedigree = this.scene.add.text(x + rowWidth - 100, y + rowHeight / 2, '🌳', {
+                fontSize: '18px',
+                padding: { x: 4, y: 2 }
+            }).setOrigin(0.5);
+            pedigree.setInteractive({ useHandCursor: true });
+            pedigree.on('pointerdown', () => {
+                window.AudioManager?.playButtonClick?.();
+                this.hidePanel();
+                this.onShowPedigree(entry.id);
+            });
+            elements.push(pedigree);
+        }
+
+        if (entry.active) {
+            const badge = this.scene.add.text(x + rowWidth - 12, y + rowHeight / 2, 'With you', {
+                fontSize: '12px',
+                color: '#FFD700',
+                fontFamily: 'Arial, sans-serif'
+            }).setOrigin(1, 0.5);
+            elements.push(badge);
+        } else {
+            const choose = this.scene.add.text(x + rowWidth - 12, y + rowHeight / 2, 'Choose', {
+                fontSize: '13px',
+                color: '#FFFFFF',
+                backgroundColor: '#2E7D32',
+                padding: { x: 10, y: 5 },
+                fontFamily: 'Arial, sans-serif',
+                fontStyle: 'bold'
+            }).setOrigin(1, 0.5);
+            choose.setInteractive({ useHandCursor: true });
+            choose.on('pointerdown', () => this.chooseCreature(entry.id));
+            elements.push(choose);
+        }
+
+        return elements;
+    }
+
+    /**
+     * Render (or reuse) a frame-0 texture for a roster creature
+     */
+    getThumbnailKey(creatureId) {
+        if (!this.graphicsEngine?.loadCreatureFromRecord) return null;
+
+        try {
+            const record = getGameState().getRosterCreature(creatureId);
+            const result = this.graphicsEngine.loadCreatureFromRecord(record, 0);
+            return result?.textureName && this.scene.textures.exists(result.textureName) ? result.textureName : null;
+        } catch (error) {
+            console.warn('[RosterPanelManager] Thumbnail failed', error);
+            return null;
+        }
+    }
+
+    chooseCreature(creatureId) {
+        window.AudioManager?.playButtonClick?.();
+        if (getGameState().setActiveCreature(creatureId)) {
+            this.hidePanel();
+        }
+    }
+
+    hidePanel() {
+        if (this.panel) {
+            this.panel.destroy(true);
+            this.panel = null;
+        }
+        this.panelVisible = false;
+    }
+
+    destroy() {
+        this.hidePanel();
+        this.toggleButton?.destroy();
+        this.toggleButton = null;
+    }
+}
+
+export default RosterPanelManager;
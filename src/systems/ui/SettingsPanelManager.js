@@ -0,0 +1,145 @@
+/**
+ * SettingsPanelManager - Small settings panel opened from the ⚙️ HUD button.
+ * Toggles sound and lets the player replay the tutorial from the first step; the
+ * hatching and naming steps come back the next time those scenes open.
+ */
+class SettingsPanelManager {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {object} options - { tutorialSystem }
+     */
+    constructor(scene, { tutorialSystem } = {}) {
+        this.scene = scene;
+        this.tutorialSystem = tutorialSystem;
+
+        this.panel = null;
+        this.panelVisible = false;
+        this.toggleButton = null;
+    }
+
+    init() {
+        if (this.toggleButton) return;
+
+        this.toggleButton = this.scene.add.text(215, 42, '⚙️ Settings', {
+            fontSize: '12px',
+            color: '#FFFFFF',
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            padding: { x: 8, y: 4 }
+        });
+        this.toggleButton.setScrollFactor(0);
+        this.toggleButton.setDepth(1000);
+        this.toggleButton.setInteractive({ useHandCursor: true });
+        this.toggleButton.on('pointerdown', () => {
+            window.AudioManager?.playButtonClick?.();
+            this.togglePanel();
+        });
+    }
+
+    togglePanel() {
+        if (this.panelVisible) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.hidePanel();
+
+        const { width, height } = this.scene.scale;
+        const panelWidth = Math.min(width - 40, 320);
+        const panelHeight = 210;
+        const left = (width - panelWidth) / 2;
+        const top = Math.max(20, (height - panelHeight) / 2);
+
+        const panel = this.scene.add.container(0, 0);
+        panel.setScrollFactor(0);
+        panel.setDepth(2100);
+
+        const bg = this.scene.add.graphics();
+        bg.fillStyle(0x0b0a2a, 0.92);
+        bg.fillRoundedRect(left, top, panelWidth, panelHeight, 16);
+        bg.lineStyle(3, 0xFFD700, 0.8);
+        bg.strokeRoundedRect(left, top, panelWidth, panelHeight, 16);
+        panel.add(bg);
+
+        const title = this.scene.add.text(width / 2, top + 18, '⚙️ Settings', {
+            fontSize: '18px',
+            color: '#FFD700',
+            fontFamily: 'Poppins, Arial, sans-serif',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        panel.add(title);
+
+        const closeButton = this.scene.add.text(left + panelWidth - 20, top + 16, '✕', {
+            fontSize: '20px',
+            color: '#FF8A8A',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 0);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.hidePanel());
+        panel.add(closeButton);
+
+        const audio = window.AudioManager;
+        const soundLabel = () => (audio?.isMuted?.() ? '🔇 Sound: Off' : '🔊 Sound: On');
+        const soundButton = this.createButton(width / 2, top + 70, soundLabel(), () => {
+            audio?.toggleMute?.();
+            soundButton.setText(soundLabel());
+        });
+        panel.add(soundButton);
+
+        if (this.tutorialSystem) {
+            const replayButton = this.createButton(width / 2, top + 120, '🎓 Replay tutorial', () => this.replayTutorial());
+            const progress = this.scene.add.text(width / 2, top + 160, this.tutorialSystem.getProgressSummary(), {
+                fontSize: '12px',
+                color: '#B39DDB',
+                fontFamily: 'Arial, sans-serif'
+            }).setOrigin(0.5, 0);
+            panel.add([replayButton, progress]);
+        }
+
+        this.panel = panel;
+        this.panelVisible = true;
+    }
+
+    createButton(x, y, label, onClick) {
+        const button = this.scene.add.text(x, y, label, {
+            fontSize: '15px',
+            color: '#FFFFFF',
+            fontFamily: 'Arial, sans-serif',
+            backgroundColor: 'rgba(255, 255, 255, 0.12)',
+            padding: { x: 14, y: 8 }
+        }).setOrigin(0.5);
+        button.setInteractive({ useHandCursor: true });
+        button.on('pointerdown', () => {
+            window.AudioManager?.playButtonClick?.();
+            onClick();
+        });
+        return button;
+    }
+
+    replayTutorial() {
+        this.hidePanel();
+        this.tutorialSystem.replay();
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.announce('Tutorial restarted. Follow the highlighted tips.');
+        }
+    }
+
+    hidePanel() {
+        if (this.panel) {
+            this.panel.destroy(true);
+            this.panel = null;
+        }
+        this.panelVisible = false;
+    }
+
+    destroy() {
+        this.hidePanel();
+        this.toggleButton?.destroy();
+        this.toggleButton = null;
+    }
+}
+
+export default SettingsPanelManager;
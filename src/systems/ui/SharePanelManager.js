@@ -0,0 +1,230 @@
+const getGameState = () => window.GameState;
+
+/**
+ * SharePanelManager - Shows the active creature's share code and invites a friend's
+ * creature to visit. Typed codes go through InputValidator ('shareCode') and
+ * GameState.addVisitingCreature(); the scene reacts to visitorArrived.
+ * The code box is an HTML input over the canvas, like NamingScene's name field.
+ */
+class SharePanelManager {
+    /**
+     * @param {Phaser.Scene} scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        this.panel = null;
+        this.panelVisible = false;
+        this.codeInput = null;
+        this.messageText = null;
+        this.inputResizeHandler = null;
+    }
+
+    togglePanel() {
+        if (this.panelVisible) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.hidePanel();
+
+        const gameState = getGameState();
+        if (!gameState?.getCreatureShareCode) return;
+
+        const { width, height } = this.scene.scale;
+        const panelWidth = Math.min(width - 40, 380);
+        const panelHeight = 300;
+        const left = (width - panelWidth) / 2;
+        const top = Math.max(20, (height - panelHeight) / 2);
+
+        const panel = this.scene.add.container(0, 0);
+        panel.setScrollFactor(0);
+        panel.setDepth(2100);
+
+        const bg = this.scene.add.graphics();
+        bg.fillStyle(0x0b0a2a, 0.92);
+        bg.fillRoundedRect(left, top, panelWidth, panelHeight, 16);
+        bg.lineStyle(3, 0x4FC3F7, 0.8);
+        bg.strokeRoundedRect(left, top, panelWidth, panelHeight, 16);
+        panel.add(bg);
+
+        const title = this.scene.add.text(width / 2, top + 18, '🔗 Share a Creature', {
+            fontSize: '18px',
+            color: '#4FC3F7',
+            fontFamily: 'Poppins, Arial, sans-serif',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        panel.add(title);
+
+        const closeButton = this.scene.add.text(left + panelWidth - 20, top + 16, '✕', {
+            fontSize: '20px',
+            color: '#FF8A8A',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 0);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.hidePanel());
+        panel.add(closeButton);
+
+        const name = gameState.get('creature.name') || 'Your creature';
+        const code = gameState.getCreatureShareCode();
+        const ownLabel = this.scene.add.text(width / 2, top + 56, `Read this code to a friend to share ${name}:`, {
+            fontSize: '13px',
+            color: '#B39DDB',
+            fontFamily: 'Arial, sans-serif',
+            align: 'center',
+            wordWrap: { width: panelWidth - 32 }
+        }).setOrigin(0.5, 0);
+        const ownCode = this.scene.add.text(width / 2, top + 82, code || 'Hatch a creature first!', {
+            fontSize: code ? '22px' : '15px',
+            color: '#FFD700',
+            fontFamily: 'Courier New, monospace',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        panel.add([ownLabel, ownCode]);
+
+        const visitors = gameState.getVisitingCreatures().length;
+        const inviteLabel = this.scene.add.text(width / 2, top + 130, `Got a friend's code? Invite their creature (${visitors}/${gameState.maxVisitingCreatures} visiting)`, {
+            fontSize: '13px',
+            color: '#B39DDB',
+            fontFamily: 'Arial, sans-serif',
+            align: 'center',
+            wordWrap: { width: panelWidth - 32 }
+        }).setOrigin(0.5, 0);
+        panel.add(inviteLabel);
+
+        this.messageText = this.scene.add.text(width / 2, top + 212, '', {
+            fontSize: '13px',
+            color: '#FF8A8A',
+            fontFamily: 'Arial, sans-serif',
+            align: 'center',
+            wordWrap: { width: panelWidth - 32 }
+        }).setOrigin(0.5, 0);
+        panel.add(this.messageText);
+
+        const inviteButton = this.scene.add.text(width / 2, top + panelHeight - 46, '👋 Invite to visit', {
+            fontSize: '14px',
+            color: '#FFFFFF',
+            backgroundColor: '#2E7D32',
+            padding: { x: 12, y: 6 },
+            fontFamily: 'Arial, sans-serif',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        inviteButton.setInteractive({ useHandCursor: true });
+        inviteButton.on('pointerdown', () => this.submitCode());
+        panel.add(inviteButton);
+
+        this.createCodeInput(left + 24, top + 166, panelWidth - 48, 38);
+
+        this.panel = panel;
+        this.panelVisible = true;
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.announce('Share panel open. Read your code to a friend, or type in theirs.');
+        }
+    }
+
+    /**
+     * HTML input positioned over the canvas (mobile keyboards need a real input)
+     */
+    createCodeInput(inputX, inputY, inputWidth, inputHeight) {
+        const htmlInput = document.createElement('input');
+        htmlInput.type = 'text';
+        htmlInput.maxLength = 24;
+        htmlInput.placeholder = 'XXXX-XXXX-XXXX-XXXX';
+
+        htmlInput.style.position = 'absolute';
+        htmlInput.style.fontSize = '18px'; // Prevents iOS zoom (16px+ required)
+        htmlInput.style.fontFamily = 'Courier New, monospace';
+        htmlInput.style.zIndex = '10000';
+        htmlInput.style.textAlign = 'center';
+        htmlInput.style.textTransform = 'uppercase';
+        htmlInput.style.backgroundColor = 'rgba(255, 255, 255, 0.98)';
+        htmlInput.style.color = '#333333';
+        htmlInput.style.border = '3px solid #4FC3F7';
+        htmlInput.style.borderRadius = '12px';
+        htmlInput.style.outline = 'none';
+        htmlInput.style.touchAction = 'manipulation';
+
+        htmlInput.autocomplete = 'off';
+        htmlInput.autocorrect = 'off';
+        htmlInput.autocapitalize = 'characters';
+        htmlInput.spellcheck = false;
+
+        const updateInputPosition = () => {
+            const canvasRect = this.scene.game.canvas.getBoundingClientRect();
+            const scaleX = canvasRect.width / this.scene.scale.width;
+            const scaleY = canvasRect.height / this.scene.scale.height;
+
+            htmlInput.style.left = `${canvasRect.left + inputX * scaleX}px`;
+            htmlInput.style.top = `${canvasRect.top + inputY * scaleY}px`;
+            htmlInput.style.width = `${inputWidth * scaleX}px`;
+            htmlInput.style.height = `${inputHeight * scaleY}px`;
+        };
+
+        document.body.appendChild(htmlInput);
+        updateInputPosition();
+        window.addEventListener('resize', updateInputPosition);
+        this.inputResizeHandler = updateInputPosition;
+
+        htmlInput.addEventListener('input', () => this.messageText?.setText(''));
+        htmlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                htmlInput.blur();
+                this.submitCode();
+            }
+        });
+
+        this.codeInput = htmlInput;
+    }
+
+    submitCode() {
+        window.AudioManager?.playButtonClick?.();
+        const value = this.codeInput?.value || '';
+
+        const validation = window.InputValidator?.validate(value, 'shareCode');
+        if (!validation?.isValid) {
+            this.showMessage(validation?.errors?.[0] || 'Sharing is not available right now');
+            return;
+        }
+
+        const result = getGameState().addVisitingCreature(validation.sanitized);
+        if (!result.success) {
+            this.showMessage(result.error);
+            return;
+        }
+
+        this.hidePanel();
+    }
+
+    showMessage(message) {
+        this.messageText?.setText(message);
+        window.UXEnhancements?.announce?.(message);
+    }
+
+    hidePanel() {
+        if (this.codeInput) {
+            this.codeInput.remove();
+            this.codeInput = null;
+        }
+        if (this.inputResizeHandler) {
+            window.removeEventListener('resize', this.inputResizeHandler);
+            this.inputResizeHandler = null;
+        }
+        if (this.panel) {
+            this.panel.destroy(true);
+            this.panel = null;
+        }
+        this.messageText = null;
+        this.panelVisible = false;
+    }
+
+    destroy() {
+        this.hidePanel();
+    }
+}
+
+export default SharePanelManager;
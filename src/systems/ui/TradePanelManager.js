@@ -0,0 +1,374 @@
+const getGameState = () => window.GameState;
+
+/**
+ * TradePanelManager - Front end for TradeSystem offer/confirmation files.
+ * Pick a creature (never the companion) and optional coins, type the friend's trade ID
+ * and "Make offer" downloads the offer. "Open offer" accepts a friend's offer, sending the
+ * picked creature back (or nobody), and downloads the confirmation; "Decline" turns an offer
+ * down instead. "Finish trade" reads either confirmation on the offering save. Text boxes are HTML inputs over the canvas,
+ * like SharePanelManager; the PIN box only appears while the kid profile is on.
+ */
+class TradePanelManager {
+    /**
+     * @param {Phaser.Scene} scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        this.panel = null;
+        this.panelVisible = false;
+        this.htmlInputs = [];
+        this.inputResizeHandler = null;
+        this.tradeIdInput = null;
+        this.pinInput = null;
+        this.messageText = null;
+
+        this.selectedIndex = -1;
+        this.coins = 0;
+        this.lastTradeId = '';
+    }
+
+    /**
+     * Roster creatures that may leave (everyone except the companion)
+     */
+    getTradeableCreatures() {
+        return (getGameState()?.getRoster?.() || []).filter(entry => !entry.active);
+    }
+
+    getSelectedCreature() {
+        return this.getTradeableCreatures()[this.selectedIndex] || null;
+    }
+
+    togglePanel() {
+        if (this.panelVisible) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.hidePanel();
+
+        const tradeSystem = window.TradeSystem;
+        if (!tradeSystem || !getGameState()) return;
+
+        const { width, height } = this.scene.scale;
+        const panelWidth = Math.min(width - 40, 400);
+        const guardianRequired = !!window.SafetyManager?.getKidProfile?.().enabled;
+        const panelHeight = guardianRequired ? 420 : 370;
+        const left = (width - panelWidth) / 2;
+        const top = Math.max(20, (height - panelHeight) / 2);
+        const centerX = width / 2;
+
+        const tradeable = this.getTradeableCreatures();
+        this.selectedIndex = Math.min(this.selectedIndex, tradeable.length - 1);
+
+        const panel = this.scene.add.container(0, 0);
+        panel.setScrollFactor(0);
+        panel.setDepth(2100);
+
+        const bg = this.scene.add.graphics();
+        bg.fillStyle(0x0b0a2a, 0.92);
+        bg.fillRoundedRect(left, top, panelWidth, panelHeight, 16);
+        bg.lineStyle(3, 0xF48FB1, 0.8);
+        bg.strokeRoundedRect(left, top, panelWidth, panelHeight, 16);
+        panel.add(bg);
+
+        const title = this.scene.add.text(centerX, top + 18, '🤝 Trade Creatures', {
+            fontSize: '18px',
+            color: '#F48FB1',
+            fontFamily: 'Poppins, Arial, sans-serif',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        panel.add(title);
+
+        const closeButton = this.scene.add.text(left + panelWidth - 20, top + 16, '✕', {
+            fontSize: '20px',
+            color: '#FF8A8A',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 0);
+        closeButton.setInteractive({ useHandCursor: true });
+        closeButton.on('pointerdown', () => this.hidePanel());
+        panel.add(closeButton);
+
+        // The trade ID comes from this save's signing key, made the first time the panel opens
+        const tradeId = tradeSystem.getTradeId();
+        if (!tradeId) {
+            tradeSystem.ensureIdentity().then(identity => {
+                if (identity && this.panelVisible) this.showPanel();
+            });
+        }
+
+        const pending = tradeSystem.getPendingOffers().length;
+        const idText = this.scene.add.text(centerX, top + 52, `Your trade ID: ${tradeId || '…'}${pending ? `  ·  ${pending} waiting` : ''}`, {
+            fontSize: '14px',
+            color: '#FFD700',
+            fontFamily: 'Courier New, monospace',
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+        panel.add(idText);
+
+        // Creature picker: ◀ name ▶ (index -1 = nobody)
+        const selected = this.getSelectedCreature();
+        const pickerLabel = selected ? `${selected.name} · Lv ${selected.level}` : (tradeable.length ? 'Nobody' : 'No creatures to trade');
+        panel.add(this.createStepper(centerX, top + 88, `🐾 ${pickerLabel}`, (direction) => {
+            const count = tradeable.length + 1;
+            this.selectedIndex = ((this.selectedIndex + 1 + direction + count) % count) - 1;
+            this.showPanel();
+        }));
+
+        panel.add(this.createStepper(centerX, top + 124, `🪙 ${this.coins} coins`, (direction) => {
+            const balance = window.EconomyManager?.getBalance?.() || 0;
+            this.coins = Math.max(0, Math.min(balance, this.coins + direction * 10));
+            this.showPanel();
+        }));
+
+        this.createInputs(left + 24, top + 160, panelWidth - 48, guardianRequired);
+
+        this.messageText = this.scene.add.text(centerX, top + panelHeight - 112, '', {
+            fontSize: '13px',
+            color: '#FF8A8A',
+            fontFamily: 'Arial, sans-serif',
+            align: 'center',
+            wordWrap: { width: panelWidth - 32 }
+        }).setOrigin(0.5, 0);
+        panel.add(this.messageText);
+
+        const actions = [
+            { label: '📤 Make offer', color: '#4A148C', onSelect: () => this.makeOffer() },
+            { label: '📥 Open offer', color: '#2E7D32', onSelect: () => this.openOffer() },
+            { label: '🙅 Decline', color: '#6D4C41', onSelect: () => this.declineOffer() },
+            { label: '✅ Finish trade', color: '#1565C0', onSelect: () => this.finishTrade() }
+        ];
+        const actionWidth = (panelWidth - 24) / actions.length;
+        actions.forEach((action, index) => {
+            const button = this.scene.add.text(left + 12 + actionWidth * (index + 0.5), top + panelHeight - 46, action.label, {
+                fontSize: '13px',
+                color: '#FFFFFF',
+                backgroundColor: action.color,
+                padding: { x: 8, y: 5 },
+                fontFamily: 'Arial, sans-serif'
+            }).setOrigin(0.5, 0);
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerdown', () => {
+                window.AudioManager?.playButtonClick?.();
+                action.onSelect();
+            });
+            panel.add(button);
+        });
+
+        this.panel = panel;
+        this.panelVisible = true;
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.announce('Trade panel open. Pick a creature and your friend\'s trade ID to make an offer.');
+        }
+    }
+
+    createStepper(x, y, label, onStep) {
+        const elements = [];
+        const text = this.scene.add.text(x, y, label, {
+            fontSize: '14px',
+            color: '#FFFFFF',
+            fontFamily: 'Arial, sans-serif'
+        }).setOrigin(0.5, 0);
+        elements.push(text);
+
+        [[-1, '◀', x - 150], [1, '▶', x + 150]].forEach(([direction, arrow, arrowX]) => {
+            const button = this.scene.add.text(arrowX, y - 2, arrow, {
+                fontSize: '16px',
+                color: '#F48FB1',
+                padding: { x: 8, y: 2 }
+            }).setOrigin(0.5, 0);
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerdown', () => onStep(direction));
+            elements.push(button);
+        });
+
+        return elements;
+    }
+
+    /**
+     * Friend's trade ID (and guardian PIN for kid profiles) as HTML inputs
+     */
+    createInputs(inputX, inputY, inputWidth, guardianRequired) {
+        this.tradeIdInput = this.createHtmlInput(inputX, inputY, inputWidth, 36, {
+            placeholder: "Friend's trade ID",
+            maxLength: 12
+        });
+        this.tradeIdInput.value = this.lastTradeId;
+        this.tradeIdInput.addEventListener('input', () => {
+            this.lastTradeId = this.tradeIdInput.value;
+            this.messageText?.setText('');
+        });
+
+        if (guardianRequired) {
+            this.pinInput = this.createHtmlInput(inputX, inputY + 48, inputWidth, 36, {
+                placeholder: 'Guardian PIN',
+                maxLength: 12,
+                type: 'password'
+            });
+            this.pinInput.inputMode = 'numeric';
+        }
+
+        const updateInputPositions = () => this.htmlInputs.forEach(({ element, bounds }) => this.positionInput(element, bounds));
+        window.addEventListener('resize', updateInputPositions);
+        this.inputResizeHandler = updateInputPositions;
+    }
+
+    createHtmlInput(x, y, inputWidth, inputHeight, { placeholder, maxLength, type = 'text' }) {
+        const htmlInput = document.createElement('input');
+        htmlInput.type = type;
+        htmlInput.maxLength = maxLength;
+        htmlInput.placeholder = placeholder;
+
+        htmlInput.style.position = 'absolute';
+        htmlInput.style.fontSize = '16px'; // Prevents iOS zoom (16px+ required)
+        htmlInput.style.zIndex = '10000';
+        htmlInput.style.textAlign = 'center';
+        htmlInput.style.textTransform = type === 'text' ? 'uppercase' : 'none';
+        htmlInput.style.backgroundColor = 'rgba(255, 255, 255, 0.98)';
+        htmlInput.style.color = '#333333';
+        htmlInput.style.border = '3px solid #F48FB1';
+        htmlInput.style.borderRadius = '12px';
+        htmlInput.style.outline = 'none';
+        htmlInput.style.touchAction = 'manipulation';
+
+        htmlInput.autocomplete = 'off';
+        htmlInput.spellcheck = false;
+
+        const bounds = { x, y, width: inputWidth, height: inputHeight };
+        document.body.appendChild(htmlInput);
+        this.positionInput(htmlInput, bounds);
+        this.htmlInputs.push({ element: htmlInput, bounds });
+
+        return htmlInput;
+    }
+
+    positionInput(element, bounds) {
+        const canvasRect = this.scene.game.canvas.getBoundingClientRect();
+        const scaleX = canvasRect.width / this.scene.scale.width;
+        const scaleY = canvasRect.height / this.scene.scale.height;
+
+        element.style.left = `${canvasRect.left + bounds.x * scaleX}px`;
+        element.style.top = `${canvasRect.top + bounds.y * scaleY}px`;
+        element.style.width = `${bounds.width * scaleX}px`;
+        element.style.height = `${bounds.height * scaleY}px`;
+    }
+
+    getGuardianPin() {
+        return this.pinInput?.value || null;
+    }
+
+    async makeOffer() {
+        const creature = this.getSelectedCreature();
+        if (!creature) {
+            this.showMessage('Pick a creature to offer first.');
+            return;
+        }
+
+        const result = await window.TradeSystem.createOffer(creature.id, {
+            toTradeId: this.tradeIdInput?.value,
+            coins: this.coins,
+            guardianPin: this.getGuardianPin()
+        });
+        if (!result.ok) {
+            this.showMessage(result.message);
+            return;
+        }
+
+        window.TradeSystem.download(result.offer);
+        if (!this.panelVisible) return;
+        this.selectedIndex = -1;
+        this.coins = 0;
+        this.showPanel();
+        this.showMessage(`Offer saved! Send the file to your friend. ${creature.name} waits for the confirmation.`, '#81C784');
+    }
+
+    async openOffer() {
+        const text = await window.SaveTransfer?.pickFile();
+        if (text === null || text === undefined || !this.panelVisible) return;
+
+        const returned = this.getSelectedCreature();
+        const result = await window.TradeSystem.acceptOffer(text, {
+            returnCreatureId: returned?.id || null,
+            guardianPin: this.getGuardianPin()
+        });
+        if (!result.ok) {
+            this.showMessage(result.message);
+            return;
+        }
+
+        window.TradeSystem.download(result.confirmation);
+        if (!this.panelVisible) return;
+        this.selectedIndex = -1;
+        this.showPanel();
+        const coins = result.coins ? ` and ${result.coins} coins` : '';
+        this.showMessage(`${result.creature.name}${coins} joined you! Send the confirmation file back to your friend.`, '#81C784');
+    }
+
+    async declineOffer() {
+        const text = await window.SaveTransfer?.pickFile();
+        if (text === null || text === undefined || !this.panelVisible) return;
+
+        const result = await window.TradeSystem.declineOffer(text, { guardianPin: this.getGuardianPin() });
+        if (!result.ok) {
+            this.showMessage(result.message);
+            return;
+        }
+
+        window.TradeSystem.download(result.confirmation);
+        if (!this.panelVisible) return;
+        this.showMessage('Offer declined. Send the file back so your friend gets their creature back.', '#81C784');
+    }
+
+    async finishTrade() {
+        const text = await window.SaveTransfer?.pickFile();
+        if (text === null || text === undefined || !this.panelVisible) return;
+
+        const result = await window.TradeSystem.completeTrade(text, { guardianPin: this.getGuardianPin() });
+        if (!this.panelVisible) return;
+        if (!result.ok) {
+            this.showMessage(result.message);
+            return;
+        }
+
+        this.showPanel();
+        if (result.declined) {
+            const coins = result.coins ? ` and ${result.coins} coins` : '';
+            this.showMessage(`Your friend said no thanks. ${result.creature.name}${coins} came back home.`, '#81C784');
+        } else {
+            this.showMessage(result.creature ? `Trade finished! ${result.creature.name} joined you.` : 'Trade finished!', '#81C784');
+        }
+    }
+
+    showMessage(message, color = '#FF8A8A') {
+        this.messageText?.setColor(color);
+        this.messageText?.setText(message);
+        window.UXEnhancements?.announce?.(message);
+    }
+
+    hidePanel() {
+        this.htmlInputs.forEach(({ element }) => element.remove());
+        this.htmlInputs = [];
+        this.tradeIdInput = null;
+        this.pinInput = null;
+        if (this.inputResizeHandler) {
+            window.removeEventListener('resize', this.inputResizeHandler);
+            this.inputResizeHandler = null;
+        }
+        if (this.panel) {
+            this.panel.destroy(true);
+            this.panel = null;
+        }
+        this.messageText = null;
+        this.panelVisible = false;
+    }
+
+    destroy() {
+        this.hidePanel();
+    }
+}
+
+export default TradePanelManager;
@@ -0,0 +1,219 @@
+/**
+ * TutorialOverlayManager - Draws TutorialSystem steps on top of a scene.
+ * The step's target is looked up in `targets` (name -> function returning a game object or
+ * a { x, y, width, height } rect); the screen around it is dimmed, a ring spotlights it and a
+ * bobbing arrow points at it. The bubble shows the step text and a Skip button. Steps with
+ * `dim: false` keep the scene visible, steps without a target only show the bubble.
+ */
+class TutorialOverlayManager {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {object} options - { tutorialSystem, sceneKey, targets }
+     */
+    constructor(scene, { tutorialSystem, sceneKey, targets = {} } = {}) {
+        this.scene = scene;
+        this.tutorialSystem = tutorialSystem;
+        this.sceneKey = sceneKey || scene.scene?.key;
+        this.targets = targets;
+
+        this.step = null;
+        this.container = null;
+        this.dimGraphics = null;
+        this.pointer = null;
+        this.bubble = null;
+        this.bubbleBelow = null;
+        this.gameStateUnsubscribers = [];
+    }
+
+    init() {
+        const gameState = window.GameState;
+        if (!this.tutorialSystem || !gameState) return;
+
+        const listen = (event, handler) => {
+            const unsubscribe = gameState.on(event, handler);
+            if (typeof unsubscribe === 'function') {
+                this.gameStateUnsubscribers.push(unsubscribe);
+            }
+        };
+        listen('tutorialStepStarted', ({ step, sceneKey, index, total }) => {
+            if (sceneKey === this.sceneKey) this.show(step, index, total);
+        });
+        listen('tutorialStepCompleted', ({ stepId }) => {
+            if (this.step?.id === stepId) this.hide();
+        });
+        listen('tutorialReset', () => this.start());
+
+        this.scene.events.on('update', this.update, this);
+        this.scene.events.on('resume', this.start, this);
+        this.scene.events.once('shutdown', this.destroy, this);
+        this.start();
+    }
+
+    /**
+     * Pick up this scene's next step (or the one already running after a resume)
+     */
+    start() {
+        const step = this.tutorialSystem.begin(this.sceneKey);
+        if (step && this.step?.id !== step.id) {
+            const { completed, total } = this.tutorialSystem.getProgress();
+            this.show(step, completed + 1, total);
+        }
+    }
+
+    show(step, index, total) {
+        this.hide();
+        this.step = step;
+
+        const { width, height } = this.scene.scale;
+        this.container = this.scene.add.container(0, 0);
+        this.container.setScrollFactor(0);
+        this.container.setDepth(12000);
+
+        this.dimGraphics = this.scene.add.graphics();
+        this.container.add(this.dimGraphics);
+
+        this.pointer = this.scene.add.graphics();
+        this.pointer.fillStyle(0xFFD700, 1);
+        this.pointer.fillTriangle(-14, -22, 14, -22, 0, 0);
+        this.pointer.lineStyle(2, 0xFFFFFF, 0.9);
+        this.pointer.strokeTriangle(-14, -22, 14, -22, 0, 0);
+        this.pointer.setVisible(false);
+        this.container.add(this.pointer);
+
+        const bubbleWidth = Math.min(width - 40, 460);
+        const label = total ? `Tip ${Math.min(index, total)}/${total}` : 'Tip';
+        const text = this.scene.add.text(0, 0, `${step.text}\n${label}`, {
+            fontSize: '15px',
+            color: '#FFFFFF',
+            fontFamily: 'Arial, sans-serif',
+            align: 'center',
+            lineSpacing: 6,
+            wordWrap: { width: bubbleWidth - 40 },
+            backgroundColor: 'rgba(20, 10, 50, 0.92)',
+            padding: { x: 16, y: 12 }
+        }).setOrigin(0.5, 0);
+
+        const skip = this.scene.add.text(0, 0, 'Skip ›', {
+            fontSize: '12px',
+            color: '#FFD700',
+            fontFamily: 'Arial, sans-serif',
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(1, 0);
+        skip.setInteractive({ useHandCursor: true });
+        skip.on('pointerdown', () => {
+            window.AudioManager?.playButtonClick?.();
+            this.tutorialSystem.skip();
+        });
+
+        this.bubble = { text, skip };
+        this.container.add([text, skip]);
+        this.bubbleBelow = null;
+        this.layout(width, height);
+
+        if (window.UXEnhancements) {
+            window.UXEnhancements.announce(step.text);
+        }
+    }
+
+    /**
+     * Screen-space bounds of the step's target, or null when it has none
+     */
+    getTargetBounds() {
+        const resolve = this.step?.target ? this.targets[this.step.target] : null;
+        const target = typeof resolve === 'function' ? resolve() : null;
+        if (!target) return null;
+        if (target.active === false || target.visible === false) return null;
+
+        const bounds = typeof target.getBounds === 'function' ? target.getBounds() : target;
+        if (!Number.isFinite(bounds?.x) || !Number.isFinite(bounds?.y)) return null;
+
+        // World objects move with the camera; HUD objects (scrollFactor 0) don't
+        const camera = this.scene.cameras?.main;
+        const followsCamera = target.scrollFactorX !== 0 && typeof target.getBounds === 'function';
+        const offsetX = followsCamera && camera ? camera.scrollX : 0;
+        const offsetY = followsCamera && camera ? camera.scrollY : 0;
+
+        return {
+            x: bounds.x - offsetX,
+            y: bounds.y - offsetY,
+            width: bounds.width || 0,
+            height: bounds.height || 0
+        };
+    }
+
+    layout(width, height, bounds = this.getTargetBounds()) {
+        if (!this.bubble) return;
+
+        // Keep the bubble on the opposite half of the screen from the target
+        const below = bounds ? bounds.y + bounds.height / 2 < height / 2 : false;
+        if (below === this.bubbleBelow) return;
+        this.bubbleBelow = below;
+
+        const { text, skip } = this.bubble;
+        const top = below ? height - text.height - 90 : 90;
+        text.setPosition(width / 2, top);
+        skip.setPosition(width / 2 + text.width / 2, top + text.height + 6);
+    }
+
+    update(time) {
+        if (!this.step || !this.container) return;
+
+        const { width, height } = this.scene.scale;
+        const bounds = this.getTargetBounds();
+        const padding = 10;
+
+        this.dimGraphics.clear();
+        if (bounds) {
+            const left = Math.max(0, bounds.x - padding);
+            const top = Math.max(0, bounds.y - padding);
+            const right = Math.min(width, bounds.x + bounds.width + padding);
+            const bottom = Math.min(height, bounds.y + bounds.height + padding);
+
+            // Dim everything except the spotlight
+            if (this.step.dim !== false) {
+                this.dimGraphics.fillStyle(0x000000, 0.6);
+                this.dimGraphics.fillRect(0, 0, width, top);
+                this.dimGraphics.fillRect(0, bottom, width, height - bottom);
+                this.dimGraphics.fillRect(0, top, left, bottom - top);
+                this.dimGraphics.fillRect(right, top, width - right, bottom - top);
+            }
+
+            const pulse = 0.6 + Math.sin(time / 250) * 0.3;
+            this.dimGraphics.lineStyle(3, 0xFFD700, pulse);
+            this.dimGraphics.strokeRoundedRect(left, top, right - left, bottom - top, 12);
+
+            this.pointer.setVisible(true);
+            this.pointer.setPosition((left + right) / 2, top - 6 - Math.abs(Math.sin(time / 200)) * 10);
+        } else {
+            if (this.step.dim !== false && this.step.target === undefined) {
+                this.dimGraphics.fillStyle(0x000000, 0.35);
+                this.dimGraphics.fillRect(0, 0, width, height);
+            }
+            this.pointer.setVisible(false);
+        }
+
+        this.layout(width, height, bounds);
+    }
+
+    hide() {
+        this.container?.destroy(true);
+        this.container = null;
+        this.dimGraphics = null;
+        this.pointer = null;
+        this.bubble = null;
+        this.step = null;
+    }
+
+    destroy() {
+        this.scene.events?.off('update', this.update, this);
+        this.scene.events?.off('resume', this.start, this);
+        this.scene.events?.off('shutdown', this.destroy, this);
+        this.gameStateUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.gameStateUnsubscribers = [];
+        this.hide();
+        this.tutorialSystem?.end(this.sceneKey);
+    }
+}
+
+export default TutorialOverlayManager;
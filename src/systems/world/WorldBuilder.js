@@ -10,6 +10,13 @@ class WorldBuilder {
         this.backgroundImage = null;
     }
 
+    /**
+     * World layout rolls come from the shared 'world' stream (see RandomService)
+     */
+    get rng() {
+        return window.RandomService.stream('world');
+    }
+
     build() {
         const background = this.createBackgroundImage();
         const environment = this.createEnvironmentObjects();
@@ -45,9 +52,9 @@ class WorldBuilder {
 
         // Stars
         for (let i = 0; i < 200; i++) {
-            const x = Phaser.Math.Between(0, this.worldWidth);
-            const y = Phaser.Math.Between(0, this.worldHeight);
-            const brightness = Math.random();
+            const x = this.rng.between(0, this.worldWidth);
+            const y = this.rng.between(0, this.worldHeight);
+            const brightness = this.rng.next();
             const color = brightness > 0.7 ? 0xFFFFFF : (brightness > 0.4 ? 0xCCCCFF : 0x8888FF);
             const size = brightness > 0.8 ? 2 : 1;
             graphics.fillStyle(color, brightness);
@@ -62,10 +69,10 @@ class WorldBuilder {
             { color: 0x00CED1, alpha: 0.10 }
         ];
         for (let i = 0; i < 30; i++) {
-            const nebula = Phaser.Math.RND.pick(nebulaColors);
-            const x = Phaser.Math.Between(0, this.worldWidth);
-            const y = Phaser.Math.Between(0, this.worldHeight);
-            const size = Phaser.Math.Between(80, 200);
+            const nebula = this.rng.pick(nebulaColors);
+            const x = this.rng.between(0, this.worldWidth);
+            const y = this.rng.between(0, this.worldHeight);
+            const size = this.rng.between(80, 200);
             graphics.fillStyle(nebula.color, nebula.alpha);
             graphics.fillCircle(x, y, size);
         }
@@ -73,10 +80,10 @@ class WorldBuilder {
         // Floating platforms
         graphics.fillStyle(0x2a2a4e, 0.4);
         for (let i = 0; i < 40; i++) {
-            const x = Phaser.Math.Between(0, this.worldWidth);
-            const y = Phaser.Math.Between(0, this.worldHeight);
-            const width = Phaser.Math.Between(100, 300);
-            const height = Phaser.Math.Between(20, 40);
+            const x = this.rng.between(0, this.worldWidth);
+            const y = this.rng.between(0, this.worldHeight);
+            const width = this.rng.between(100, 300);
+            const height = this.rng.between(20, 40);
             graphics.fillRoundedRect(x, y, width, height, 10);
             graphics.fillStyle(0x9370DB, 0.3);
             graphics.fillRoundedRect(x, y, width, height * 0.3, 5);
@@ -99,11 +106,11 @@ class WorldBuilder {
         const validTreeVariants = treeVariants.filter(tex => this.scene.textures.exists(tex));
         if (validTreeVariants.length > 0) {
             for (let i = 0; i < 15; i++) {
-                const x = Phaser.Math.Between(150, this.worldWidth - 150);
-                const y = Phaser.Math.Between(150, this.worldHeight - 150);
-                const treeType = Phaser.Math.RND.pick(validTreeVariants);
+                const x = this.rng.between(150, this.worldWidth - 150);
+                const y = this.rng.between(150, this.worldHeight - 150);
+                const treeType = this.rng.pick(validTreeVariants);
                 const tree = trees.create(x, y, treeType);
-                tree.setScale(Phaser.Math.FloatBetween(1.0, 1.8));
+                tree.setScale(this.rng.floatBetween(1.0, 1.8));
                 tree.body.setSize(30, 40);
                 tree.setDepth(y);
             }
@@ -114,10 +121,10 @@ class WorldBuilder {
             const textureName = `enhancedRock_${i}`;
             if (!this.scene.textures.exists(textureName)) continue;
             for (let j = 0; j < 10; j++) {
-                const x = Phaser.Math.Between(100, this.worldWidth - 100);
-                const y = Phaser.Math.Between(100, this.worldHeight - 100);
+                const x = this.rng.between(100, this.worldWidth - 100);
+                const y = this.rng.between(100, this.worldHeight - 100);
                 const rock = rocks.create(x, y, textureName);
-                rock.setScale(Phaser.Math.FloatBetween(1.2, 2.0));
+                rock.setScale(this.rng.floatBetween(1.2, 2.0));
                 rock.body.setSize(25, 20);
                 rock.setDepth(y);
             }
@@ -126,14 +133,14 @@ class WorldBuilder {
         // Flowers
         if (this.scene.textures.exists('enhancedFlower')) {
             for (let i = 0; i < 25; i++) {
-                const x = Phaser.Math.Between(80, this.worldWidth - 80);
-                const y = Phaser.Math.Between(80, this.worldHeight - 80);
+                const x = this.rng.between(80, this.worldWidth - 80);
+                const y = this.rng.between(80, this.worldHeight - 80);
                 const flower = flowers.create(x, y, 'enhancedFlower');
-                flower.setScale(Phaser.Math.FloatBetween(1.0, 1.5));
+                flower.setScale(this.rng.floatBetween(1.0, 1.5));
                 flower.body.setSize(15, 20);
                 flower.setDepth(y);
                 const tints = [0xFFFFFF, 0xFFB6FF, 0xB6FFFF, 0xFFFFB6, 0xFFB6B6];
-                flower.setTint(Phaser.Math.RND.pick(tints));
+                flower.setTint(this.rng.pick(tints));
             }
         }
 